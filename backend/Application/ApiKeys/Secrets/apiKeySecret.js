@@ -0,0 +1,52 @@
+/**
+ * Secretos de API Keys
+ *
+ * Una API key es un valor aleatorio con el prefijo "ak_" (para reconocerla
+ * en configuraciones y escáneres de secretos). La base guarda su hash
+ * SHA-256 y los primeros caracteres, que identifican la key en el listado
+ * sin permitir usarla.
+ *
+ * @module ApiKeySecret
+ * @author Backend Team
+ */
+
+import { createHash, randomBytes } from "node:crypto";
+
+/**
+ * Prefijo fijo de todas las keys
+ * @constant {string}
+ * @private
+ */
+const KEY_PREFIX = 'ak_';
+
+/**
+ * Caracteres aleatorios que se conservan visibles junto al prefijo fijo
+ * @constant {number}
+ * @private
+ */
+const VISIBLE_CHARS = 8;
+
+/**
+ * Genera una key nueva
+ *
+ * @returns {{ key: string, prefix: string }} Key en claro (32 bytes
+ *   aleatorios en base64url tras "ak_") y su inicio visible
+ *
+ * @example
+ * const { key, prefix } = generateApiKey(); // prefix: 'ak_Xy3kP0aQ'
+ */
+export function generateApiKey() {
+  const key = `${KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+
+  return { key, prefix: key.slice(0, KEY_PREFIX.length + VISIBLE_CHARS) };
+}
+
+/**
+ * Calcula el hash con el que se persiste una key
+ *
+ * @param {string} key - Key en claro
+ * @returns {string} SHA-256 en hexadecimal
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
@@ -0,0 +1,98 @@
+/**
+ * Servicio de Aplicación: ApiKeyService
+ *
+ * Fachada que orquesta los casos de uso de API keys: su administración
+ * (alta, listado y revocación) y la autenticación de las peticiones que
+ * las presentan.
+ *
+ * @class ApiKeyService
+ * @author Backend Team
+ */
+
+import { CreateApiKeyUseCase } from '../UseCases/CreateApiKeyUseCase.js';
+import { GetApiKeysUseCase } from '../UseCases/GetApiKeysUseCase.js';
+import { RevokeApiKeyUseCase } from '../UseCases/RevokeApiKeyUseCase.js';
+import { AuthenticateApiKeyUseCase } from '../UseCases/AuthenticateApiKeyUseCase.js';
+
+export class ApiKeyService {
+
+  /**
+   * Constructor del servicio de API keys
+   *
+   * @param {Object} dependencies - Casos de uso inyectados
+   * @param {CreateApiKeyUseCase} dependencies.createApiKeyUseCase - Caso de uso para crear keys
+   * @param {GetApiKeysUseCase} dependencies.getApiKeysUseCase - Caso de uso para listar keys
+   * @param {RevokeApiKeyUseCase} dependencies.revokeApiKeyUseCase - Caso de uso para revocar keys
+   * @param {AuthenticateApiKeyUseCase} dependencies.authenticateApiKeyUseCase - Caso de uso para verificar keys
+   */
+  constructor({
+    createApiKeyUseCase,
+    getApiKeysUseCase,
+    revokeApiKeyUseCase,
+    authenticateApiKeyUseCase
+  }) {
+    /**
+     * @type {CreateApiKeyUseCase}
+     * @private
+     */
+    this.createApiKeyUseCase = createApiKeyUseCase;
+
+    /**
+     * @type {GetApiKeysUseCase}
+     * @private
+     */
+    this.getApiKeysUseCase = getApiKeysUseCase;
+
+    /**
+     * @type {RevokeApiKeyUseCase}
+     * @private
+     */
+    this.revokeApiKeyUseCase = revokeApiKeyUseCase;
+
+    /**
+     * @type {AuthenticateApiKeyUseCase}
+     * @private
+     */
+    this.authenticateApiKeyUseCase = authenticateApiKeyUseCase;
+  }
+
+  /**
+   * Crea una API key
+   *
+   * @param {Object} keyData - Datos de la key (name, scopes, expiresAt)
+   * @param {Object} options - Contexto (createdById: usuario que la crea)
+   * @returns {Promise<Result<{ apiKey: ApiKey, key: string }, AppError>>} Key creada y key en claro
+   */
+  async create(keyData, options) {
+    return this.createApiKeyUseCase.execute(keyData, options);
+  }
+
+  /**
+   * Lista las API keys
+   *
+   * @returns {Promise<Result<ApiKey[], AppError>>} Keys, las más recientes primero
+   */
+  async getAll() {
+    return this.getApiKeysUseCase.execute();
+  }
+
+  /**
+   * Revoca una API key
+   *
+   * @param {string} id - Identificador de la key
+   * @returns {Promise<Result<ApiKey, AppError>>} Key revocada o error 404
+   */
+  async revoke(id) {
+    return this.revokeApiKeyUseCase.execute(id);
+  }
+
+  /**
+   * Verifica una API key recibida en una petición
+   *
+   * @param {string} plainKey - Key en claro
+   * @returns {Promise<Result<ApiKey, AppError>>} Key vigente o INVALID_API_KEY
+   */
+  async authenticate(plainKey) {
+    return this.authenticateApiKeyUseCase.execute(plainKey);
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Caso de Uso: Autenticar API Key
+ *
+ * Verifica la key recibida en el header X-API-Key y registra su uso.
+ *
+ * Reglas de Negocio:
+ * - Una key inexistente, revocada o vencida es INVALID_API_KEY (401), sin
+ *   distinguir el motivo
+ * - lastUsedAt se actualiza como mucho una vez por minuto: una integración
+ *   que hace miles de peticiones no escribe en cada una
+ *
+ * @class AuthenticateApiKeyUseCase
+ * @author Backend Team
+ */
+
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { hashApiKey } from "../Secrets/apiKeySecret.js";
+
+/**
+ * Intervalo mínimo entre dos actualizaciones de lastUsedAt
+ * @constant {number}
+ * @private
+ */
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export class AuthenticateApiKeyUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ApiKeyRepository} dependencies.apiKeyRepository - Repositorio de API keys
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ apiKeyRepository, unitOfWork }) {
+    /**
+     * Repositorio de API keys
+     * @type {ApiKeyRepository}
+     * @private
+     */
+    this.apiKeyRepository = apiKeyRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de autenticación
+   *
+   * @param {string} plainKey - Key en claro recibida
+   * @returns {Promise<Result<ApiKey, AppError>>} Key vigente o INVALID_API_KEY
+   *
+   * @example
+   * const result = await authenticateApiKeyUseCase.execute(req.get('X-API-Key'));
+   */
+  async execute(plainKey) {
+    return this.uow.run(async (transaction) => {
+      const now = new Date();
+      const apiKey = await this.apiKeyRepository.findByHash(hashApiKey(plainKey), transaction);
+
+      if (!apiKey || apiKey.isRevoked() || apiKey.isExpired(now)) {
+        return fail(new AppError('INVALID_API_KEY', 'La API key no es válida, venció o fue revocada', 401));
+      }
+
+      if (!apiKey.lastUsedAt || now.getTime() - apiKey.lastUsedAt.getTime() >= LAST_USED_RESOLUTION_MS) {
+        await this.apiKeyRepository.touchLastUsed(apiKey.id, now, transaction);
+      }
+
+      return ok(apiKey);
+    });
+  }
+}
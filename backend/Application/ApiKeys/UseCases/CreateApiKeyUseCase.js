@@ -0,0 +1,92 @@
+/**
+ * Caso de Uso: Crear API Key
+ *
+ * Reglas de Negocio:
+ * - La key en claro se devuelve una única vez, en esta respuesta: solo se
+ *   persiste su hash
+ * - El vencimiento, si se indica, debe ser una fecha futura
+ *
+ * @class CreateApiKeyUseCase
+ * @author Backend Team
+ */
+
+import { ApiKey } from "../../../Domain/ApiKeys/Entities/ApiKey.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { generateApiKey, hashApiKey } from "../Secrets/apiKeySecret.js";
+
+export class CreateApiKeyUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ApiKeyRepository} dependencies.apiKeyRepository - Repositorio de API keys
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ apiKeyRepository, unitOfWork }) {
+    /**
+     * Repositorio de API keys
+     * @type {ApiKeyRepository}
+     * @private
+     */
+    this.apiKeyRepository = apiKeyRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de creación de API key
+   *
+   * @param {Object} keyData - Datos de la key
+   * @param {string} keyData.name - Nombre descriptivo
+   * @param {string[]} keyData.scopes - Scopes otorgados
+   * @param {Date|null} [keyData.expiresAt] - Vencimiento; null si no vence
+   * @param {Object} options - Contexto de la operación
+   * @param {string} options.createdById - Usuario que crea la key
+   * @returns {Promise<Result<{ apiKey: ApiKey, key: string }, AppError>>}
+   *   Key persistida y key en claro, o error
+   *
+   * @example
+   * const result = await createApiKeyUseCase.execute(
+   *   { name: 'Sincronización ERP', scopes: ['read:products', 'write:stock'] },
+   *   { createdById: req.user.id }
+   * );
+   */
+  async execute({ name, scopes, expiresAt = null }, { createdById }) {
+    if (expiresAt !== null && expiresAt.getTime() <= Date.now()) {
+      return fail(AppError.validation('La fecha de vencimiento debe ser futura', { field: 'expiresAt' }));
+    }
+
+    const { key, prefix } = generateApiKey();
+
+    // === CREACIÓN DE ENTIDAD DE DOMINIO ===
+
+    let apiKeyEntity;
+
+    try {
+      apiKeyEntity = new ApiKey({ name, prefix, keyHash: hashApiKey(key), scopes, expiresAt, createdById });
+    } catch (domainError) {
+      return fail(
+        new AppError(
+          "VALIDATION_ERROR",
+          `Datos de la API key inválidos: ${domainError.message}`,
+          400
+        )
+      );
+    }
+
+    // === PERSISTENCIA ===
+
+    return this.uow.run(async (transaction) => {
+      const apiKey = await this.apiKeyRepository.create(apiKeyEntity, transaction);
+
+      return ok({ apiKey, key });
+    });
+  }
+}
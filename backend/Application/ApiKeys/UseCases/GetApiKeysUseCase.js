@@ -0,0 +1,50 @@
+/**
+ * Caso de Uso: Listar API Keys
+ *
+ * Incluye las keys revocadas y vencidas, para auditar qué integraciones
+ * existieron. Ninguna key se muestra en claro.
+ *
+ * @class GetApiKeysUseCase
+ * @author Backend Team
+ */
+
+import { ok } from "../../../Shared/Result.js";
+
+export class GetApiKeysUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ApiKeyRepository} dependencies.apiKeyRepository - Repositorio de API keys
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ apiKeyRepository, unitOfWork }) {
+    /**
+     * Repositorio de API keys
+     * @type {ApiKeyRepository}
+     * @private
+     */
+    this.apiKeyRepository = apiKeyRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la consulta
+   *
+   * @returns {Promise<Result<ApiKey[], AppError>>} Keys, las más recientes primero
+   */
+  async execute() {
+    return this.uow.run(async (transaction) => {
+      const apiKeys = await this.apiKeyRepository.findAll(transaction);
+
+      return ok(apiKeys);
+    });
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Caso de Uso: Revocar API Key
+ *
+ * Reglas de Negocio:
+ * - La revocación es inmediata: la siguiente petición con la key recibe 401
+ * - Revocar una key ya revocada es idempotente
+ *
+ * @class RevokeApiKeyUseCase
+ * @author Backend Team
+ */
+
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+
+export class RevokeApiKeyUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ApiKeyRepository} dependencies.apiKeyRepository - Repositorio de API keys
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ apiKeyRepository, unitOfWork }) {
+    /**
+     * Repositorio de API keys
+     * @type {ApiKeyRepository}
+     * @private
+     */
+    this.apiKeyRepository = apiKeyRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de revocación
+   *
+   * @param {string} id - Identificador de la key
+   * @returns {Promise<Result<ApiKey, AppError>>} Key revocada o error 404
+   */
+  async execute(id) {
+    return this.uow.run(async (transaction) => {
+      const revoked = await this.apiKeyRepository.revoke(id, transaction);
+
+      if (!revoked) {
+        return fail(AppError.notFound('API key', { id }));
+      }
+
+      return ok(revoked);
+    });
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Servicio de Aplicación: AuthService
+ * 
+ * Fachada que orquesta los casos de uso de autenticación.
+ * 
+ * @class AuthService
+ * @author Backend Team
+ */
+
+import { RegisterUserUseCase } from '../UseCases/RegisterUserUseCase.js';
+import { LoginUseCase } from '../UseCases/LoginUseCase.js';
+import { RefreshSessionUseCase } from '../UseCases/RefreshSessionUseCase.js';
+import { LogoutUseCase } from '../UseCases/LogoutUseCase.js';
+
+export class AuthService {
+
+  /**
+   * Constructor del servicio de autenticación
+   * 
+   * @param {Object} dependencies - Casos de uso inyectados
+   * @param {RegisterUserUseCase} dependencies.registerUserUseCase - Caso de uso para registrar usuarios
+   * @param {LoginUseCase} dependencies.loginUseCase - Caso de uso para iniciar sesión
+   * @param {RefreshSessionUseCase} dependencies.refreshSessionUseCase - Caso de uso para renovar la sesión
+   * @param {LogoutUseCase} dependencies.logoutUseCase - Caso de uso para cerrar sesión
+   */
+  constructor({ registerUserUseCase, loginUseCase, refreshSessionUseCase, logoutUseCase }) {
+    /**
+     * @type {RegisterUserUseCase}
+     * @private
+     */
+    this.registerUserUseCase = registerUserUseCase;
+
+    /**
+     * @type {LoginUseCase}
+     * @private
+     */
+    this.loginUseCase = loginUseCase;
+
+    /**
+     * @type {RefreshSessionUseCase}
+     * @private
+     */
+    this.refreshSessionUseCase = refreshSessionUseCase;
+
+    /**
+     * @type {LogoutUseCase}
+     * @private
+     */
+    this.logoutUseCase = logoutUseCase;
+  }
+
+  /**
+   * Registra un usuario e inicia su sesión
+   * 
+   * @param {Object} registration - Datos (email, password, name)
+   * @returns {Promise<Result<Object, AppError>>} Usuario y sesión, o error
+   */
+  async register(registration) {
+    return this.registerUserUseCase.execute(registration);
+  }
+
+  /**
+   * Inicia sesión con email y contraseña
+   * 
+   * @param {Object} credentials - Credenciales (email, password) y carrito anónimo (cartId, cartToken)
+   * @returns {Promise<Result<Object, AppError>>} Usuario, sesión y carrito activo, o error
+   */
+  async login(credentials) {
+    return this.loginUseCase.execute(credentials);
+  }
+
+  /**
+   * Canjea un refresh token por una sesión nueva
+   * 
+   * @param {string} refreshToken - Refresh token vigente
+   * @returns {Promise<Result<Object, AppError>>} Sesión nueva o error
+   */
+  async refresh(refreshToken) {
+    return this.refreshSessionUseCase.execute(refreshToken);
+  }
+
+  /**
+   * Cierra la sesión de la petición
+   * 
+   * @param {Object} auth - Usuario y access token de la petición (userId, jti, expiresAt)
+   * @param {string|null} [refreshToken] - Refresh token de la sesión
+   * @returns {Promise<Result<null, AppError>>}
+   */
+  async logout(auth, refreshToken) {
+    return this.logoutUseCase.execute(auth, refreshToken);
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Sesiones de Usuario
+ *
+ * Una sesión es un par de tokens: un access token JWT de vida corta, que
+ * acompaña cada petición, y un refresh token opaco de vida larga, que solo
+ * sirve para obtener un par nuevo. El refresh token es un valor aleatorio
+ * que solo conoce el cliente: la base guarda su hash SHA-256.
+ *
+ * Registro, inicio de sesión y renovación emiten el par aquí, para que las
+ * tres respuestas tengan la misma forma.
+ *
+ * @module AuthSession
+ * @author Backend Team
+ */
+
+import { createHash, randomBytes, randomUUID } from "node:crypto";
+import { RefreshToken } from "../../../Domain/Users/Entities/RefreshToken.js";
+
+/**
+ * Calcula el hash con el que se persiste un refresh token
+ *
+ * @param {string} token - Token en claro
+ * @returns {string} SHA-256 en hexadecimal
+ */
+export function hashRefreshToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Emite un par de tokens para un usuario
+ *
+ * Sin familyId se inicia una familia nueva (registro o inicio de sesión);
+ * al rotar se hereda la familia del token reemplazado.
+ *
+ * @param {Object} dependencies - Dependencias requeridas
+ * @param {AccessTokenService} dependencies.accessTokenService - Emisor de access tokens
+ * @param {RefreshTokenRepository} dependencies.refreshTokenRepository - Repositorio de refresh tokens
+ * @param {number} dependencies.refreshTokenTtlSeconds - Vigencia del refresh token en segundos
+ * @param {User} user - Usuario autenticado
+ * @param {Transaction} transaction - Transacción activa
+ * @param {Object} [options] - Opciones
+ * @param {string} [options.familyId] - Familia del token que se rota
+ * @returns {Promise<{ session: Object, refreshToken: RefreshToken }>}
+ *   Datos de la sesión para el cliente y el refresh token persistido
+ *
+ * @example
+ * const { session } = await startSession(this, user, transaction);
+ * return ok({ user, ...session });
+ */
+export async function startSession({ accessTokenService, refreshTokenRepository, refreshTokenTtlSeconds }, user, transaction, { familyId = randomUUID() } = {}) {
+  const access = accessTokenService.issue(user);
+  const plainRefreshToken = randomBytes(32).toString('base64url');
+
+  const refreshToken = await refreshTokenRepository.create(new RefreshToken({
+    userId: user.id,
+    tokenHash: hashRefreshToken(plainRefreshToken),
+    familyId,
+    expiresAt: new Date(Date.now() + refreshTokenTtlSeconds * 1000),
+  }), transaction);
+
+  return {
+    session: {
+      accessToken: access.token,
+      tokenType: 'Bearer',
+      expiresIn: Math.round((access.expiresAt.getTime() - Date.now()) / 1000),
+      refreshToken: plainRefreshToken,
+      refreshTokenExpiresAt: refreshToken.expiresAt,
+    },
+    refreshToken,
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * Caso de Uso: Iniciar Sesión
+ *
+ * Verifica email y contraseña e inicia una sesión nueva (una familia de
+ * refresh tokens nueva). Si se presenta el carrito anónimo con el que se
+ * navegó, pasa a ser del usuario o se fusiona con el carrito activo que
+ * ya tenía (ver claimCart).
+ *
+ * Reglas de Negocio:
+ * - Email inexistente y contraseña incorrecta producen el mismo error,
+ *   para no revelar qué emails tienen cuenta
+ * - Si el email no existe se verifica igual un hash de relleno: el tiempo
+ *   de respuesta tampoco lo revela
+ * - Un carrito anónimo inválido (inexistente, inactivo, token incorrecto
+ *   o de otro usuario) se ignora: no impide iniciar sesión
+ *
+ * @class LoginUseCase
+ * @author Backend Team
+ */
+
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { startSession } from "../Session/authSession.js";
+import { claimCart } from "../../Carts/Merge/cartMerge.js";
+
+export class LoginUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {UserRepository} dependencies.userRepository - Repositorio de usuarios
+   * @param {RefreshTokenRepository} dependencies.refreshTokenRepository - Repositorio de refresh tokens
+   * @param {PasswordHasher} dependencies.passwordHasher - Hash de contraseñas
+   * @param {AccessTokenService} dependencies.accessTokenService - Emisor de access tokens
+   * @param {CartRepository} dependencies.cartRepository - Repositorio de carritos
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos (fusión de carritos)
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes (fusión de carritos)
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   * @param {Object} dependencies.env - Configuración (vigencia del refresh token)
+   */
+  constructor({
+    userRepository,
+    refreshTokenRepository,
+    passwordHasher,
+    accessTokenService,
+    cartRepository,
+    productRepository,
+    productVariantRepository,
+    unitOfWork,
+    env
+  }) {
+    /**
+     * Repositorio de usuarios
+     * @type {UserRepository}
+     * @private
+     */
+    this.userRepository = userRepository;
+
+    /**
+     * Repositorio de refresh tokens
+     * @type {RefreshTokenRepository}
+     * @private
+     */
+    this.refreshTokenRepository = refreshTokenRepository;
+
+    /**
+     * Hash de contraseñas
+     * @type {PasswordHasher}
+     * @private
+     */
+    this.passwordHasher = passwordHasher;
+
+    /**
+     * Emisor de access tokens
+     * @type {AccessTokenService}
+     * @private
+     */
+    this.accessTokenService = accessTokenService;
+
+    /**
+     * Repositorios del carrito y del catálogo (asociación del carrito anónimo)
+     * @private
+     */
+    this.cartRepository = cartRepository;
+    this.productRepository = productRepository;
+    this.productVariantRepository = productVariantRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+
+    /**
+     * Vigencia del refresh token en segundos
+     * @type {number}
+     * @private
+     */
+    this.refreshTokenTtlSeconds = env.SECURITY.REFRESH_TOKEN_TTL_SECONDS;
+
+    /**
+     * Hash de relleno para emails sin cuenta (se calcula en el primer uso)
+     * @type {Promise<string>|null}
+     * @private
+     */
+    this.dummyHash = null;
+  }
+
+  /**
+   * Ejecuta el caso de uso de inicio de sesión
+   *
+   * @param {Object} credentials - Credenciales
+   * @param {string} credentials.email - Email
+   * @param {string} credentials.password - Contraseña en claro
+   * @param {string|null} [credentials.cartId] - Carrito anónimo con el que se navegó
+   * @param {string|null} [credentials.cartToken] - Token de ese carrito
+   * @returns {Promise<Result<Object, AppError>>} Usuario, sesión y cartId (carrito activo
+   *   del usuario o null), o INVALID_CREDENTIALS
+   *
+   * @example
+   * const result = await loginUseCase.execute({ email: 'ana@correo.com', password: 'una clave larga', cartId, cartToken });
+   */
+  async execute({ email, password, cartId = null, cartToken = null }) {
+    const invalidCredentials = () => fail(
+      new AppError("INVALID_CREDENTIALS", "Email o contraseña incorrectos", 401)
+    );
+
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return invalidCredentials();
+    }
+
+    const user = await this.userRepository.findByEmail(email);
+
+    // === VERIFICACIÓN DE LA CONTRASEÑA ===
+
+    if (!user) {
+      this.dummyHash ??= this.passwordHasher.hash('contraseña de relleno');
+      await this.passwordHasher.verify(password, await this.dummyHash);
+      return invalidCredentials();
+    }
+
+    if (!(await this.passwordHasher.verify(password, user.passwordHash))) {
+      return invalidCredentials();
+    }
+
+    // === INICIO DE SESIÓN ===
+
+    return this.uow.run(async (transaction) => {
+      const { session } = await startSession(this, user, transaction);
+
+      const activeCartId = await claimCart(this, user.id, { cartId, cartToken }, transaction);
+
+      return ok({ user, ...session, cartId: activeCartId });
+    });
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Caso de Uso: Cerrar Sesión
+ *
+ * Revoca el access token con el que se hizo la petición (lista de
+ * revocación) y, si se presenta, el refresh token de la sesión junto con
+ * toda su familia.
+ *
+ * Reglas de Negocio:
+ * - Solo se revoca el refresh token si pertenece al usuario autenticado
+ * - Cerrar sesión es idempotente
+ * - De paso se purgan de la lista los access tokens ya vencidos
+ *
+ * @class LogoutUseCase
+ * @author Backend Team
+ */
+
+import { ok } from "../../../Shared/Result.js";
+import { hashRefreshToken } from "../Session/authSession.js";
+
+export class LogoutUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {RefreshTokenRepository} dependencies.refreshTokenRepository - Repositorio de refresh tokens
+   * @param {RevokedTokenRepository} dependencies.revokedTokenRepository - Lista de revocación
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ refreshTokenRepository, revokedTokenRepository, unitOfWork }) {
+    /**
+     * Repositorio de refresh tokens
+     * @type {RefreshTokenRepository}
+     * @private
+     */
+    this.refreshTokenRepository = refreshTokenRepository;
+
+    /**
+     * Lista de revocación de access tokens
+     * @type {RevokedTokenRepository}
+     * @private
+     */
+    this.revokedTokenRepository = revokedTokenRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de cierre de sesión
+   *
+   * @param {Object} auth - Datos del access token de la petición
+   * @param {string} auth.userId - Usuario autenticado
+   * @param {string} auth.jti - Claim jti del access token
+   * @param {Date} auth.expiresAt - Vencimiento del access token
+   * @param {string|null} [plainRefreshToken] - Refresh token de la sesión
+   * @returns {Promise<Result<null, AppError>>}
+   *
+   * @example
+   * await logoutUseCase.execute({ userId: req.user.id, ...req.auth }, req.body.refreshToken);
+   */
+  async execute({ userId, jti, expiresAt }, plainRefreshToken = null) {
+    return this.uow.run(async (transaction) => {
+
+      // === REVOCACIÓN DEL REFRESH TOKEN ===
+
+      if (plainRefreshToken) {
+        const refreshToken = await this.refreshTokenRepository.findByHash(
+          hashRefreshToken(String(plainRefreshToken)),
+          transaction
+        );
+
+        if (refreshToken && refreshToken.userId === userId) {
+          await this.refreshTokenRepository.revokeFamily(refreshToken.familyId, transaction);
+        }
+      }
+
+      // === REVOCACIÓN DEL ACCESS TOKEN ===
+
+      await this.revokedTokenRepository.add({ jti, expiresAt }, transaction);
+      await this.revokedTokenRepository.purgeExpired(new Date(), transaction);
+
+      return ok(null);
+    });
+  }
+}
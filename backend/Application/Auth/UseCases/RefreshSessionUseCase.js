@@ -0,0 +1,126 @@
+/**
+ * Caso de Uso: Renovar Sesión
+ *
+ * Canjea un refresh token por un par de tokens nuevo (rotación): el token
+ * presentado queda revocado y apunta al que lo reemplaza.
+ *
+ * Reglas de Negocio:
+ * - El token debe existir, no estar revocado y no haber vencido
+ * - Presentar un token ya revocado indica que alguien conserva una copia:
+ *   se revoca la familia completa y el dueño debe volver a iniciar sesión
+ *
+ * Concurrencia: la fila del token se bloquea (SELECT ... FOR UPDATE), de
+ * modo que dos renovaciones simultáneas con el mismo token no emiten dos
+ * pares: la segunda lo encuentra revocado.
+ *
+ * @class RefreshSessionUseCase
+ * @author Backend Team
+ */
+
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { hashRefreshToken, startSession } from "../Session/authSession.js";
+
+export class RefreshSessionUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {UserRepository} dependencies.userRepository - Repositorio de usuarios
+   * @param {RefreshTokenRepository} dependencies.refreshTokenRepository - Repositorio de refresh tokens
+   * @param {AccessTokenService} dependencies.accessTokenService - Emisor de access tokens
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   * @param {Object} dependencies.env - Configuración (vigencia del refresh token)
+   */
+  constructor({ userRepository, refreshTokenRepository, accessTokenService, unitOfWork, env }) {
+    /**
+     * Repositorio de usuarios
+     * @type {UserRepository}
+     * @private
+     */
+    this.userRepository = userRepository;
+
+    /**
+     * Repositorio de refresh tokens
+     * @type {RefreshTokenRepository}
+     * @private
+     */
+    this.refreshTokenRepository = refreshTokenRepository;
+
+    /**
+     * Emisor de access tokens
+     * @type {AccessTokenService}
+     * @private
+     */
+    this.accessTokenService = accessTokenService;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+
+    /**
+     * Vigencia del refresh token en segundos
+     * @type {number}
+     * @private
+     */
+    this.refreshTokenTtlSeconds = env.SECURITY.REFRESH_TOKEN_TTL_SECONDS;
+  }
+
+  /**
+   * Ejecuta el caso de uso de renovación
+   *
+   * @param {string} plainRefreshToken - Refresh token presentado por el cliente
+   * @returns {Promise<Result<Object, AppError>>} Sesión nueva o INVALID_REFRESH_TOKEN
+   *
+   * @example
+   * const result = await refreshSessionUseCase.execute(refreshToken);
+   * // result.value: { accessToken, tokenType, expiresIn, refreshToken, refreshTokenExpiresAt }
+   */
+  async execute(plainRefreshToken) {
+    const invalidToken = (message) => fail(
+      new AppError("INVALID_REFRESH_TOKEN", message, 401)
+    );
+
+    // Un fail() confirma la transacción: la revocación de la familia persiste
+    return this.uow.run(async (transaction) => {
+      const current = await this.refreshTokenRepository.findByHash(
+        hashRefreshToken(String(plainRefreshToken)),
+        transaction,
+        { lock: true }
+      );
+
+      if (!current) {
+        return invalidToken('El refresh token no es válido');
+      }
+
+      // === DETECCIÓN DE REUTILIZACIÓN ===
+
+      if (current.isRevoked()) {
+        await this.refreshTokenRepository.revokeFamily(current.familyId, transaction);
+        return invalidToken('El refresh token ya fue utilizado; la sesión se cerró por seguridad');
+      }
+
+      if (current.isExpired()) {
+        return invalidToken('El refresh token venció; inicie sesión nuevamente');
+      }
+
+      const user = await this.userRepository.findById(current.userId, transaction);
+
+      if (!user) {
+        return invalidToken('El refresh token no es válido');
+      }
+
+      // === ROTACIÓN ===
+
+      const { session, refreshToken } = await startSession(this, user, transaction, { familyId: current.familyId });
+
+      await this.refreshTokenRepository.revoke(current.id, transaction, { replacedById: refreshToken.id });
+
+      return ok(session);
+    });
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Caso de Uso: Registrar Usuario
+ *
+ * Crea una cuenta con email y contraseña e inicia su primera sesión.
+ *
+ * Reglas de Negocio:
+ * - No pueden existir dos usuarios con el mismo email (sin distinguir mayúsculas)
+ * - La contraseña tiene entre 8 caracteres y 72 bytes (bcrypt ignora el resto)
+ * - Solo se persiste el hash bcrypt de la contraseña
+ *
+ * @class RegisterUserUseCase
+ * @author Backend Team
+ */
+
+import { User } from "../../../Domain/Users/Entities/User.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { startSession } from "../Session/authSession.js";
+
+/**
+ * Longitud mínima de la contraseña (caracteres)
+ * @constant {number}
+ * @private
+ */
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Longitud máxima de la contraseña (bytes UTF-8, límite de bcrypt)
+ * @constant {number}
+ * @private
+ */
+const MAX_PASSWORD_BYTES = 72;
+
+export class RegisterUserUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {UserRepository} dependencies.userRepository - Repositorio de usuarios
+   * @param {RefreshTokenRepository} dependencies.refreshTokenRepository - Repositorio de refresh tokens
+   * @param {PasswordHasher} dependencies.passwordHasher - Hash de contraseñas
+   * @param {AccessTokenService} dependencies.accessTokenService - Emisor de access tokens
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   * @param {Object} dependencies.env - Configuración (vigencia del refresh token)
+   */
+  constructor({ userRepository, refreshTokenRepository, passwordHasher, accessTokenService, unitOfWork, env }) {
+    /**
+     * Repositorio de usuarios
+     * @type {UserRepository}
+     * @private
+     */
+    this.userRepository = userRepository;
+
+    /**
+     * Repositorio de refresh tokens
+     * @type {RefreshTokenRepository}
+     * @private
+     */
+    this.refreshTokenRepository = refreshTokenRepository;
+
+    /**
+     * Hash de contraseñas
+     * @type {PasswordHasher}
+     * @private
+     */
+    this.passwordHasher = passwordHasher;
+
+    /**
+     * Emisor de access tokens
+     * @type {AccessTokenService}
+     * @private
+     */
+    this.accessTokenService = accessTokenService;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+
+    /**
+     * Vigencia del refresh token en segundos
+     * @type {number}
+     * @private
+     */
+    this.refreshTokenTtlSeconds = env.SECURITY.REFRESH_TOKEN_TTL_SECONDS;
+  }
+
+  /**
+   * Ejecuta el caso de uso de registro
+   *
+   * @param {Object} registration - Datos de la cuenta
+   * @param {string} registration.email - Email
+   * @param {string} registration.password - Contraseña en claro
+   * @param {string|null} [registration.name] - Nombre para mostrar
+   * @returns {Promise<Result<Object, AppError>>} Usuario creado y su sesión, o error
+   *
+   * @example
+   * const result = await registerUserUseCase.execute({ email: 'ana@correo.com', password: 'una clave larga' });
+   * // result.value: { user, accessToken, tokenType, expiresIn, refreshToken, refreshTokenExpiresAt }
+   */
+  async execute({ email, password, name = null }) {
+
+    // === VALIDACIÓN DE LA CONTRASEÑA ===
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return fail(AppError.validation(`La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`));
+    }
+
+    if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+      return fail(AppError.validation(`La contraseña no puede exceder ${MAX_PASSWORD_BYTES} bytes`));
+    }
+
+    // === CREACIÓN DE ENTIDAD DE DOMINIO ===
+
+    // El hash se calcula fuera de la transacción: bcrypt es lento a propósito
+    const passwordHash = await this.passwordHasher.hash(password);
+
+    let userEntity;
+
+    try {
+      userEntity = new User({ email, name, passwordHash });
+    } catch (domainError) {
+      return fail(
+        new AppError(
+          "VALIDATION_ERROR",
+          `Datos del usuario inválidos: ${domainError.message}`,
+          400
+        )
+      );
+    }
+
+    return this.uow.run(async (transaction) => {
+
+      // === VALIDACIÓN DE UNICIDAD ===
+
+      const existingUser = await this.userRepository.findByEmail(userEntity.email, transaction);
+
+      if (existingUser) {
+        return fail(
+          new AppError(
+            "USER_ALREADY_EXISTS",
+            `Ya existe un usuario con el email "${userEntity.email}"`,
+            400
+          )
+        );
+      }
+
+      // === PERSISTENCIA E INICIO DE SESIÓN ===
+
+      const createdUser = await this.userRepository.create(userEntity, transaction);
+
+      const { session } = await startSession(this, createdUser, transaction);
+
+      return ok({ user: createdUser, ...session });
+    });
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Servicio de Aplicación: BrandService
+ * 
+ * Fachada que orquesta los casos de uso de marcas.
+ * 
+ * @class BrandService
+ * @author Backend Team
+ */
+
+import { CreateBrandUseCase } from '../UseCases/CreateBrandUseCase.js';
+import { GetBrandsUseCase } from '../UseCases/GetBrandsUseCase.js';
+import { GetBrandByIdUseCase } from '../UseCases/GetBrandByIdUseCase.js';
+import { UpdateBrandUseCase } from '../UseCases/UpdateBrandUseCase.js';
+import { DeleteBrandUseCase } from '../UseCases/DeleteBrandUseCase.js';
+
+export class BrandService {
+
+  /**
+   * Constructor del servicio de marcas
+   * 
+   * @param {Object} dependencies - Casos de uso inyectados
+   * @param {CreateBrandUseCase} dependencies.createBrandUseCase - Caso de uso para crear marcas
+   * @param {GetBrandsUseCase} dependencies.getBrandsUseCase - Caso de uso para listar marcas
+   * @param {GetBrandByIdUseCase} dependencies.getBrandByIdUseCase - Caso de uso para obtener una marca
+   * @param {UpdateBrandUseCase} dependencies.updateBrandUseCase - Caso de uso para actualizar marcas
+   * @param {DeleteBrandUseCase} dependencies.deleteBrandUseCase - Caso de uso para eliminar marcas
+   */
+  constructor({
+    createBrandUseCase,
+    getBrandsUseCase,
+    getBrandByIdUseCase,
+    updateBrandUseCase,
+    deleteBrandUseCase
+  }) {
+    /**
+     * @type {CreateBrandUseCase}
+     * @private
+     */
+    this.createBrandUseCase = createBrandUseCase;
+
+    /**
+     * @type {GetBrandsUseCase}
+     * @private
+     */
+    this.getBrandsUseCase = getBrandsUseCase;
+
+    /**
+     * @type {GetBrandByIdUseCase}
+     * @private
+     */
+    this.getBrandByIdUseCase = getBrandByIdUseCase;
+
+    /**
+     * @type {UpdateBrandUseCase}
+     * @private
+     */
+    this.updateBrandUseCase = updateBrandUseCase;
+
+    /**
+     * @type {DeleteBrandUseCase}
+     * @private
+     */
+    this.deleteBrandUseCase = deleteBrandUseCase;
+  }
+
+  /**
+   * Crea una marca
+   * 
+   * @param {Object} brandData - Datos (name)
+   * @returns {Promise<Result<Brand, AppError>>} Marca creada o error
+   */
+  async create(brandData) {
+    return this.createBrandUseCase.execute(brandData);
+  }
+
+  /**
+   * Lista todas las marcas
+   * 
+   * @returns {Promise<Result<Brand[], AppError>>} Marcas ordenadas por nombre
+   */
+  async getAll() {
+    return this.getBrandsUseCase.execute();
+  }
+
+  /**
+   * Obtiene una marca por su identificador
+   * 
+   * @param {string} id - Identificador de la marca
+   * @returns {Promise<Result<Brand, AppError>>} Marca o error 404
+   */
+  async getById(id) {
+    return this.getBrandByIdUseCase.execute(id);
+  }
+
+  /**
+   * Reemplaza el nombre de una marca
+   * 
+   * @param {string} id - Identificador de la marca
+   * @param {Object} brandData - Datos completos (name)
+   * @returns {Promise<Result<Brand, AppError>>} Marca actualizada o error
+   */
+  async replace(id, brandData) {
+    return this.updateBrandUseCase.execute(id, brandData);
+  }
+
+  /**
+   * Elimina una marca sin productos asociados
+   * 
+   * @param {string} id - Identificador de la marca
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id eliminado o error
+   */
+  async remove(id) {
+    return this.deleteBrandUseCase.execute(id);
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Caso de Uso: Crear Marca
+ * 
+ * Reglas de Negocio:
+ * - No pueden existir dos marcas con el mismo nombre
+ * 
+ * @class CreateBrandUseCase
+ * @author Backend Team
+ */
+
+import { Brand } from "../../../Domain/Brands/Entities/Brand.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+
+export class CreateBrandUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {BrandRepository} dependencies.brandRepository - Repositorio de marcas
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ brandRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de marcas
+     * @type {BrandRepository}
+     * @private
+     */
+    this.brandRepository = brandRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de creación de marca
+   * 
+   * @param {Object} brandData - Datos de la marca
+   * @param {string} brandData.name - Nombre de la marca
+   * @returns {Promise<Result<Brand, AppError>>} Marca creada o error
+   * 
+   * @example
+   * const result = await createBrandUseCase.execute({ name: 'Samy' });
+   */
+  async execute(brandData) {
+    return this.uow.run(async (transaction) => {
+
+      // === CREACIÓN DE ENTIDAD DE DOMINIO ===
+
+      let brandEntity;
+
+      try {
+        brandEntity = new Brand(brandData);
+      } catch (domainError) {
+        return fail(
+          new AppError(
+            "VALIDATION_ERROR",
+            `Datos de la marca inválidos: ${domainError.message}`,
+            400
+          )
+        );
+      }
+
+      // === VALIDACIÓN DE UNICIDAD ===
+
+      const existingBrand = await this.brandRepository.findByName(brandEntity.name, transaction);
+
+      if (existingBrand) {
+        return fail(
+          new AppError(
+            "BRAND_ALREADY_EXISTS",
+            `Ya existe una marca con el nombre "${brandEntity.name}"`,
+            400,
+            { id: existingBrand.id }
+          )
+        );
+      }
+
+      // === PERSISTENCIA ===
+
+      const createdBrand = await this.brandRepository.create(brandEntity, transaction);
+
+      return ok(createdBrand);
+    });
+  }
+}
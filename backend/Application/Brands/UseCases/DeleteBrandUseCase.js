@@ -0,0 +1,72 @@
+/**
+ * Caso de Uso: Eliminar Marca
+ * 
+ * Borra una marca sin productos asociados (incluidos los eliminados
+ * lógicamente, que pueden restaurarse y seguir referenciándola).
+ * 
+ * @class DeleteBrandUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class DeleteBrandUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {BrandRepository} dependencies.brandRepository - Repositorio de marcas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ brandRepository, productRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de marcas
+     * @type {BrandRepository}
+     * @private
+     */
+    this.brandRepository = brandRepository;
+
+    /**
+     * Repositorio de productos (referencias a la marca)
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la eliminación de la marca
+   * 
+   * @param {string} id - Identificador de la marca
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id eliminado o error
+   */
+  async execute(id) {
+    return this.uow.run(async (transaction) => {
+      const brand = await this.brandRepository.findById(id, transaction);
+
+      if (!brand) {
+        return fail(AppError.notFound('Marca', { id }));
+      }
+
+      const products = await this.productRepository.countByReference({ brandId: id }, transaction);
+
+      if (products > 0) {
+        return fail(AppError.conflict('La marca tiene productos asociados', { id, products }));
+      }
+
+      await this.brandRepository.delete(id, transaction);
+
+      return ok({ id });
+    });
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Caso de Uso: Obtener Marca por ID
+ * 
+ * @class GetBrandByIdUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class GetBrandByIdUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {BrandRepository} dependencies.brandRepository - Repositorio de marcas
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ brandRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de marcas
+     * @type {BrandRepository}
+     * @private
+     */
+    this.brandRepository = brandRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de consulta por ID
+   * 
+   * @param {string} id - Identificador de la marca
+   * @returns {Promise<Result<Brand, AppError>>} Marca encontrada o error 404
+   */
+  async execute(id) {
+    return this.uow.run(async (transaction) => {
+      const brand = await this.brandRepository.findById(id, transaction);
+
+      if (!brand) {
+        return fail(AppError.notFound('Marca', { id }));
+      }
+
+      return ok(brand);
+    });
+  }
+}
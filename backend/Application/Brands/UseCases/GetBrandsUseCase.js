@@ -0,0 +1,49 @@
+/**
+ * Caso de Uso: Obtener Marcas
+ * 
+ * Lista todas las marcas ordenadas por nombre (catálogo pequeño, sin paginación).
+ * 
+ * @class GetBrandsUseCase
+ * @author Backend Team
+ */
+
+import { ok } from "../../../Shared/Result.js";
+
+export class GetBrandsUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {BrandRepository} dependencies.brandRepository - Repositorio de marcas
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ brandRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de marcas
+     * @type {BrandRepository}
+     * @private
+     */
+    this.brandRepository = brandRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de consulta de marcas
+   * 
+   * @returns {Promise<Result<Brand[], AppError>>} Marcas registradas
+   */
+  async execute() {
+    return this.uow.run(async (transaction) => {
+      const brands = await this.brandRepository.getAll(transaction);
+
+      return ok(brands);
+    });
+  }
+}
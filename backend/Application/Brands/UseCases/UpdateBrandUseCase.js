@@ -0,0 +1,103 @@
+/**
+ * Caso de Uso: Actualizar Marca
+ * 
+ * Reglas de Negocio:
+ * - No pueden existir dos marcas con el mismo nombre
+ * 
+ * @class UpdateBrandUseCase
+ * @author Backend Team
+ */
+
+import { Brand } from "../../../Domain/Brands/Entities/Brand.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+
+export class UpdateBrandUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {BrandRepository} dependencies.brandRepository - Repositorio de marcas
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ brandRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de marcas
+     * @type {BrandRepository}
+     * @private
+     */
+    this.brandRepository = brandRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de actualización de marca
+   * 
+   * @param {string} id - Identificador de la marca
+   * @param {Object} brandData - Nuevos datos (name)
+   * @returns {Promise<Result<Brand, AppError>>} Marca actualizada o error
+   * 
+   * @example
+   * const result = await updateBrandUseCase.execute(id, { name: 'Samy Cosmetics' });
+   */
+  async execute(id, brandData) {
+    return this.uow.run(async (transaction) => {
+
+      // === VERIFICACIÓN DE EXISTENCIA ===
+
+      const current = await this.brandRepository.findById(id, transaction);
+
+      if (!current) {
+        return fail(AppError.notFound('Marca', { id }));
+      }
+
+      // === CREACIÓN DE ENTIDAD DE DOMINIO ===
+
+      let brandEntity;
+
+      try {
+        brandEntity = new Brand({ ...brandData, id });
+      } catch (domainError) {
+        return fail(
+          new AppError(
+            "VALIDATION_ERROR",
+            `Datos de la marca inválidos: ${domainError.message}`,
+            400
+          )
+        );
+      }
+
+      // === VALIDACIÓN DE UNICIDAD ===
+
+      const existingBrand = await this.brandRepository.findByName(brandEntity.name, transaction);
+
+      if (existingBrand && existingBrand.id !== id) {
+        return fail(
+          new AppError(
+            "BRAND_ALREADY_EXISTS",
+            `Ya existe una marca con el nombre "${brandEntity.name}"`,
+            400,
+            { id: existingBrand.id }
+          )
+        );
+      }
+
+      // === PERSISTENCIA ===
+
+      const updatedBrand = await this.brandRepository.update(brandEntity, transaction);
+
+      if (!updatedBrand) {
+        return fail(AppError.notFound('Marca', { id }));
+      }
+
+      return ok(updatedBrand);
+    });
+  }
+}
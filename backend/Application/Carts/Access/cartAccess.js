@@ -0,0 +1,86 @@
+/**
+ * Acceso a Carritos Anónimos
+ *
+ * Un carrito anónimo se identifica con un token aleatorio que solo conoce
+ * el cliente que lo creó: la base guarda su hash SHA-256. Toda operación
+ * sobre el carrito presenta el token y se verifica aquí, para reportar los
+ * mismos errores en todos los casos de uso. Un carrito con dueño también
+ * es accesible con la sesión de ese usuario, sin token (ej: desde otro
+ * dispositivo después de iniciar sesión).
+ *
+ * @module CartAccess
+ * @author Backend Team
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
+import { AppError } from "../../../Shared/AppError.js";
+
+/**
+ * Genera un token de acceso nuevo
+ *
+ * @returns {string} 32 bytes aleatorios en base64url (43 caracteres)
+ */
+export function generateCartToken() {
+  return randomBytes(32).toString('base64url');
+}
+
+/**
+ * Calcula el hash con el que se persiste un token
+ *
+ * @param {string} token - Token en claro
+ * @returns {string} SHA-256 en hexadecimal
+ */
+export function hashCartToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Busca un carrito y verifica que las credenciales den acceso
+ *
+ * Da acceso el token del carrito o, si el carrito tiene dueño, la sesión
+ * de ese usuario. La comparación de hashes es en tiempo constante.
+ *
+ * @param {Object} repositories - Repositorios requeridos
+ * @param {CartRepository} repositories.cartRepository - Repositorio de carritos
+ * @param {string} cartId - Identificador del carrito
+ * @param {Object} credentials - Credenciales presentadas
+ * @param {string|null} [credentials.token] - Token del carrito
+ * @param {string|null} [credentials.userId] - Usuario autenticado
+ * @param {Transaction} transaction - Transacción activa
+ * @param {Object} [options] - Opciones
+ * @param {boolean} [options.lock=false] - Bloquear el carrito hasta el fin de la transacción
+ * @param {boolean} [options.requireActive=false] - Exigir que el carrito admita cambios
+ * @returns {Promise<{ cart: Cart|null, error: AppError|null }>}
+ *
+ * @example
+ * const { cart, error } = await accessCart(this, cartId, { token, userId }, transaction, { lock: true, requireActive: true });
+ * if (error) return fail(error);
+ */
+export async function accessCart({ cartRepository }, cartId, { token = null, userId = null }, transaction, { lock = false, requireActive = false } = {}) {
+  const cart = await cartRepository.findById(cartId, transaction, { lock });
+
+  if (!cart) {
+    return { cart: null, error: AppError.notFound('Carrito', { id: cartId }) };
+  }
+
+  if (!cart.isOwnedBy(userId)) {
+    const expected = Buffer.from(cart.tokenHash, 'hex');
+    const provided = Buffer.from(hashCartToken(String(token ?? '')), 'hex');
+
+    if (!timingSafeEqual(expected, provided)) {
+      return { cart: null, error: AppError.forbidden('El token no corresponde al carrito') };
+    }
+  }
+
+  if (requireActive && !cart.isActive()) {
+    return {
+      cart: null,
+      error: AppError.conflict(
+        `El carrito no admite cambios (estado: ${cart.status})`,
+        { id: cartId, status: cart.status }
+      )
+    };
+  }
+
+  return { cart, error: null };
+}
@@ -0,0 +1,116 @@
+/**
+ * Carrito y Catálogo Vigente
+ *
+ * Las líneas de un carrito no guardan precio ni stock: se validan contra el
+ * catálogo al agregarlas o cambiarlas, y se completan con el precio y la
+ * disponibilidad vigentes cada vez que se lee el carrito. Compartido por
+ * todos los casos de uso de carritos.
+ *
+ * @module CartCatalog
+ * @author Backend Team
+ */
+
+import { AppError } from "../../../Shared/AppError.js";
+import { resolveStockVariant } from "../../Products/Stock/resolveStockVariant.js";
+
+/**
+ * Completa las líneas de un carrito con los datos vigentes del catálogo
+ *
+ * Una línea deja de estar a la venta si el producto se eliminó lógicamente
+ * o si no indica variante y el producto pasó a tenerlas.
+ *
+ * @param {Object} repositories - Repositorios requeridos
+ * @param {ProductRepository} repositories.productRepository - Repositorio de productos
+ * @param {ProductVariantRepository} repositories.productVariantRepository - Repositorio de variantes
+ * @param {Cart} cart - Carrito a completar
+ * @param {Transaction} transaction - Transacción activa
+ * @returns {Promise<Cart>} Carrito con precio, disponibilidad y subtotal calculables
+ *
+ * @example
+ * const priced = await priceCart(this, cart, transaction);
+ * console.log(priced.subtotal());
+ */
+export async function priceCart({ productRepository, productVariantRepository }, cart, transaction) {
+  const catalog = new Map();
+
+  // Una consulta por producto: los carritos tienen pocas líneas
+  for (const productId of new Set(cart.items.map(item => item.productId))) {
+    const product = await productRepository.findById(productId, transaction, { includeDeleted: true });
+    const variants = product ? await productVariantRepository.findByProduct(productId, transaction) : [];
+
+    catalog.set(productId, { product, variants });
+  }
+
+  const items = cart.items.map(item => {
+    const { product, variants } = catalog.get(item.productId);
+    const variant = item.variantId ? variants.find(candidate => candidate.id === item.variantId) : null;
+
+    if (!product || (item.variantId && !variant)) {
+      return item.withCatalog({ name: product?.name ?? null, sku: null, unitPrice: null, available: 0, sellable: false });
+    }
+
+    if (variant) {
+      return item.withCatalog({
+        name: product.name,
+        sku: variant.sku,
+        unitPrice: variant.effectivePrice(product.price),
+        available: variant.available(),
+        sellable: !product.isDeleted(),
+      });
+    }
+
+    return item.withCatalog({
+      name: product.name,
+      sku: null,
+      unitPrice: product.price,
+      available: product.available(),
+      sellable: !product.isDeleted() && variants.length === 0,
+    });
+  });
+
+  return cart.withItems(items);
+}
+
+/**
+ * Verifica que un producto (o variante) pueda llevarse en la cantidad indicada
+ *
+ * @param {Object} repositories - Repositorios requeridos
+ * @param {ProductRepository} repositories.productRepository - Repositorio de productos
+ * @param {ProductVariantRepository} repositories.productVariantRepository - Repositorio de variantes
+ * @param {Object} line - Línea a verificar
+ * @param {string} line.productId - Producto
+ * @param {string|null} line.variantId - Variante (requerida si el producto tiene variantes)
+ * @param {number} line.quantity - Cantidad total que tendría la línea
+ * @param {Transaction} transaction - Transacción activa
+ * @returns {Promise<AppError|null>} Error a reportar o null si la línea es válida
+ *
+ * @example
+ * const error = await checkLineStock(this, { productId, variantId, quantity: 3 }, transaction);
+ * if (error) return fail(error);
+ */
+export async function checkLineStock(repositories, { productId, variantId, quantity }, transaction) {
+  const product = await repositories.productRepository.findById(productId, transaction);
+
+  if (!product) {
+    return AppError.notFound('Producto', { id: productId });
+  }
+
+  const { variant, error } = await resolveStockVariant(repositories, productId, variantId, transaction);
+
+  if (error) {
+    return error;
+  }
+
+  const available = variant ? variant.available() : product.available();
+
+  if (quantity > available) {
+    return new AppError(
+      "INSUFFICIENT_STOCK",
+      `Stock insuficiente: hay ${available} unidades disponibles y el carrito tendría ${quantity}`,
+      409,
+      { productId, variantId, available, quantity }
+    );
+  }
+
+  return null;
+}
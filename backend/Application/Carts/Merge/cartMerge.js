@@ -0,0 +1,116 @@
+/**
+ * Fusión de Carritos
+ *
+ * Traslado de líneas entre carritos y asociación del carrito anónimo al
+ * iniciar sesión. Compartido por la fusión manual (POST /carts/:id/merge)
+ * y por el inicio de sesión.
+ *
+ * @module CartMerge
+ * @author Backend Team
+ */
+
+import { CartItem } from "../../../Domain/Carts/Entities/CartItem.js";
+import { accessCart } from "../Access/cartAccess.js";
+import { priceCart } from "../Catalog/cartCatalog.js";
+
+/**
+ * Traslada las líneas de un carrito a otro y marca el de origen como merged
+ *
+ * Una línea del mismo producto y variante suma unidades a la del destino.
+ * La cantidad se limita a las unidades disponibles; las líneas que ya no
+ * están a la venta o sin unidades disponibles se descartan. Ambos carritos
+ * deben estar bloqueados por la transacción.
+ *
+ * @param {Object} repositories - Repositorios requeridos
+ * @param {CartRepository} repositories.cartRepository - Repositorio de carritos
+ * @param {ProductRepository} repositories.productRepository - Repositorio de productos
+ * @param {ProductVariantRepository} repositories.productVariantRepository - Repositorio de variantes
+ * @param {Cart} target - Carrito de destino
+ * @param {Cart} source - Carrito de origen
+ * @param {Transaction} transaction - Transacción activa
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await mergeCartItems(this, target, source, transaction);
+ */
+export async function mergeCartItems(repositories, target, source, transaction) {
+  const { cartRepository } = repositories;
+  const pricedSource = await priceCart(repositories, source, transaction);
+
+  for (const item of pricedSource.items) {
+    if (!item.catalog.sellable) continue;
+
+    const existing = target.findItem(item.productId, item.variantId);
+    const quantity = Math.min((existing?.quantity ?? 0) + item.quantity, item.catalog.available);
+
+    if (existing && quantity > existing.quantity) {
+      await cartRepository.updateItemQuantity(target.id, existing.id, quantity, transaction);
+    } else if (!existing && quantity > 0) {
+      await cartRepository.addItem(
+        target.id,
+        new CartItem({ productId: item.productId, variantId: item.variantId, quantity }),
+        transaction
+      );
+    }
+  }
+
+  await cartRepository.updateStatus(source.id, 'merged', transaction);
+}
+
+/**
+ * Asocia el carrito anónimo de quien inicia sesión a su cuenta
+ *
+ * - Si el usuario no tiene un carrito activo, el anónimo pasa a ser suyo
+ * - Si ya tiene uno, las líneas del anónimo se fusionan en él (ver
+ *   mergeCartItems) y el anónimo queda en estado merged
+ *
+ * Un carrito anónimo inexistente, inactivo, con un token incorrecto o de
+ * otro usuario se ignora: no impide iniciar sesión.
+ *
+ * @param {Object} repositories - Repositorios requeridos (ver mergeCartItems)
+ * @param {string} userId - Usuario que inicia sesión
+ * @param {Object} guest - Carrito anónimo presentado al iniciar sesión
+ * @param {string|null} [guest.cartId] - Identificador del carrito
+ * @param {string|null} [guest.cartToken] - Token del carrito
+ * @param {Transaction} transaction - Transacción activa
+ * @returns {Promise<string|null>} Carrito activo del usuario tras la
+ *   asociación, o null si no tiene ninguno
+ *
+ * @example
+ * const cartId = await claimCart(this, user.id, { cartId, cartToken }, transaction);
+ */
+export async function claimCart(repositories, userId, { cartId = null, cartToken = null }, transaction) {
+  const { cartRepository } = repositories;
+  const owned = await cartRepository.findActiveByUser(userId, transaction);
+
+  if (!cartId || cartId === owned?.id) {
+    return owned?.id ?? null;
+  }
+
+  // Se bloquean en orden de id, como en la fusión manual
+  const locked = new Map();
+
+  for (const id of [cartId, owned?.id].filter(Boolean).sort((a, b) => a.localeCompare(b))) {
+    const cart = id === cartId
+      ? (await accessCart(repositories, id, { token: cartToken, userId }, transaction, { lock: true, requireActive: true })).cart
+      : await cartRepository.findById(id, transaction, { lock: true });
+
+    locked.set(id, cart);
+  }
+
+  const guest = locked.get(cartId);
+  const target = owned ? locked.get(owned.id) : null;
+
+  if (!guest || (guest.userId !== null && guest.userId !== userId)) {
+    return target?.isActive() ? target.id : null;
+  }
+
+  if (!target?.isActive()) {
+    await cartRepository.assignOwner(guest.id, userId, transaction);
+    return guest.id;
+  }
+
+  await mergeCartItems(repositories, target, guest, transaction);
+
+  return target.id;
+}
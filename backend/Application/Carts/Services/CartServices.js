@@ -0,0 +1,146 @@
+/**
+ * Servicio de Aplicación: CartService
+ *
+ * Fachada que orquesta los casos de uso de carritos de compras. Todas las
+ * operaciones, salvo la creación, reciben las credenciales de acceso al
+ * carrito: su token y, si hay sesión, el usuario (acceso del dueño).
+ *
+ * @class CartService
+ * @author Backend Team
+ */
+
+import { CreateCartUseCase } from '../UseCases/CreateCartUseCase.js';
+import { GetCartUseCase } from '../UseCases/GetCartUseCase.js';
+import { AddCartItemUseCase } from '../UseCases/AddCartItemUseCase.js';
+import { UpdateCartItemUseCase } from '../UseCases/UpdateCartItemUseCase.js';
+import { RemoveCartItemUseCase } from '../UseCases/RemoveCartItemUseCase.js';
+import { MergeCartsUseCase } from '../UseCases/MergeCartsUseCase.js';
+
+export class CartService {
+
+  /**
+   * Constructor del servicio de carritos
+   *
+   * @param {Object} dependencies - Casos de uso inyectados
+   * @param {CreateCartUseCase} dependencies.createCartUseCase - Caso de uso para crear carritos
+   * @param {GetCartUseCase} dependencies.getCartUseCase - Caso de uso para obtener un carrito
+   * @param {AddCartItemUseCase} dependencies.addCartItemUseCase - Caso de uso para agregar productos
+   * @param {UpdateCartItemUseCase} dependencies.updateCartItemUseCase - Caso de uso para cambiar cantidades
+   * @param {RemoveCartItemUseCase} dependencies.removeCartItemUseCase - Caso de uso para quitar líneas
+   * @param {MergeCartsUseCase} dependencies.mergeCartsUseCase - Caso de uso para fusionar carritos
+   */
+  constructor({
+    createCartUseCase,
+    getCartUseCase,
+    addCartItemUseCase,
+    updateCartItemUseCase,
+    removeCartItemUseCase,
+    mergeCartsUseCase
+  }) {
+    /**
+     * @type {CreateCartUseCase}
+     * @private
+     */
+    this.createCartUseCase = createCartUseCase;
+
+    /**
+     * @type {GetCartUseCase}
+     * @private
+     */
+    this.getCartUseCase = getCartUseCase;
+
+    /**
+     * @type {AddCartItemUseCase}
+     * @private
+     */
+    this.addCartItemUseCase = addCartItemUseCase;
+
+    /**
+     * @type {UpdateCartItemUseCase}
+     * @private
+     */
+    this.updateCartItemUseCase = updateCartItemUseCase;
+
+    /**
+     * @type {RemoveCartItemUseCase}
+     * @private
+     */
+    this.removeCartItemUseCase = removeCartItemUseCase;
+
+    /**
+     * @type {MergeCartsUseCase}
+     * @private
+     */
+    this.mergeCartsUseCase = mergeCartsUseCase;
+  }
+
+  /**
+   * Crea un carrito vacío
+   *
+   * @param {Object} [owner] - Dueño ({ userId }); sin él, el carrito es anónimo
+   * @returns {Promise<Result<{ cart: Cart, token: string }, AppError>>} Carrito y token de acceso
+   */
+  async create(owner) {
+    return this.createCartUseCase.execute(owner);
+  }
+
+  /**
+   * Obtiene un carrito con precios y subtotal vigentes
+   *
+   * @param {string} id - Identificador del carrito
+   * @param {Object} credentials - Token de acceso y usuario autenticado ({ token, userId })
+   * @returns {Promise<Result<Cart, AppError>>} Carrito o error
+   */
+  async getById(id, credentials) {
+    return this.getCartUseCase.execute(id, credentials);
+  }
+
+  /**
+   * Agrega unidades de un producto o variante
+   *
+   * @param {string} id - Identificador del carrito
+   * @param {Object} credentials - Token de acceso y usuario autenticado ({ token, userId })
+   * @param {Object} itemData - productId, quantity y opcionalmente variantId
+   * @returns {Promise<Result<Cart, AppError>>} Carrito actualizado o error
+   */
+  async addItem(id, credentials, itemData) {
+    return this.addCartItemUseCase.execute(id, credentials, itemData);
+  }
+
+  /**
+   * Cambia la cantidad de una línea
+   *
+   * @param {string} id - Identificador del carrito
+   * @param {Object} credentials - Token de acceso y usuario autenticado ({ token, userId })
+   * @param {string} itemId - Identificador de la línea
+   * @param {Object} changes - Nueva cantidad ({ quantity })
+   * @returns {Promise<Result<Cart, AppError>>} Carrito actualizado o error
+   */
+  async updateItem(id, credentials, itemId, changes) {
+    return this.updateCartItemUseCase.execute(id, credentials, itemId, changes);
+  }
+
+  /**
+   * Quita una línea
+   *
+   * @param {string} id - Identificador del carrito
+   * @param {Object} credentials - Token de acceso y usuario autenticado ({ token, userId })
+   * @param {string} itemId - Identificador de la línea
+   * @returns {Promise<Result<Cart, AppError>>} Carrito actualizado o error
+   */
+  async removeItem(id, credentials, itemId) {
+    return this.removeCartItemUseCase.execute(id, credentials, itemId);
+  }
+
+  /**
+   * Fusiona otro carrito en este
+   *
+   * @param {string} id - Carrito de destino
+   * @param {Object} credentials - Token del carrito de destino y usuario autenticado
+   * @param {Object} source - sourceCartId y sourceToken del carrito de origen
+   * @returns {Promise<Result<Cart, AppError>>} Carrito de destino fusionado o error
+   */
+  async merge(id, credentials, source) {
+    return this.mergeCartsUseCase.execute(id, credentials, source);
+  }
+}
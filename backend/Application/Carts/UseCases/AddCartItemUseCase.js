@@ -0,0 +1,109 @@
+/**
+ * Caso de Uso: Agregar Producto al Carrito
+ * 
+ * Agrega unidades de un producto (o de una de sus variantes) al carrito.
+ * Si el carrito ya tiene una línea para ese producto y variante, suma las
+ * unidades a la existente.
+ * 
+ * Reglas de Negocio:
+ * - El carrito debe estar activo
+ * - El producto debe existir y no estar eliminado
+ * - Si el producto tiene variantes, debe indicarse la variante
+ * - La cantidad resultante de la línea no puede superar las unidades
+ *   disponibles (stock menos reservas activas)
+ * 
+ * @class AddCartItemUseCase
+ * @author Backend Team
+ */
+
+import { CartItem } from "../../../Domain/Carts/Entities/CartItem.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { accessCart } from "../Access/cartAccess.js";
+import { checkLineStock, priceCart } from "../Catalog/cartCatalog.js";
+
+export class AddCartItemUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CartRepository} dependencies.cartRepository - Repositorio de carritos
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ cartRepository, productRepository, productVariantRepository, unitOfWork }) {
+    /**
+     * Repositorio de carritos
+     * @type {CartRepository}
+     * @private
+     */
+    this.cartRepository = cartRepository;
+
+    /**
+     * Repositorios del catálogo (validación y precios vigentes)
+     * @type {ProductRepository|ProductVariantRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+    this.productVariantRepository = productVariantRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el alta de la línea
+   * 
+   * @param {string} id - Identificador del carrito
+   * @param {Object} credentials - Token del carrito y usuario autenticado ({ token, userId })
+   * @param {Object} itemData - Línea a agregar
+   * @param {string} itemData.productId - Producto
+   * @param {string|null} [itemData.variantId] - Variante
+   * @param {number} itemData.quantity - Unidades a agregar
+   * @returns {Promise<Result<Cart, AppError>>} Carrito actualizado o error
+   * 
+   * @example
+   * const result = await addCartItemUseCase.execute(cartId, { token }, { productId, quantity: 2 });
+   */
+  async execute(id, credentials, { productId, variantId = null, quantity }) {
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return fail(AppError.validation('La cantidad debe ser un entero mayor a 0', { field: 'quantity', value: quantity }));
+    }
+
+    return this.uow.run(async (transaction) => {
+
+      // El bloqueo serializa los cambios concurrentes sobre el mismo carrito
+      const { cart, error } = await accessCart(this, id, credentials, transaction, { lock: true, requireActive: true });
+
+      if (error) {
+        return fail(error);
+      }
+
+      const existing = cart.findItem(productId, variantId);
+      const total = (existing?.quantity ?? 0) + quantity;
+
+      const stockError = await checkLineStock(this, { productId, variantId, quantity: total }, transaction);
+
+      if (stockError) {
+        return fail(stockError);
+      }
+
+      if (existing) {
+        await this.cartRepository.updateItemQuantity(id, existing.id, total, transaction);
+      } else {
+        await this.cartRepository.addItem(id, new CartItem({ productId, variantId, quantity }), transaction);
+      }
+
+      const updated = await this.cartRepository.findById(id, transaction);
+
+      return ok(await priceCart(this, updated, transaction));
+    });
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Caso de Uso: Crear Carrito
+ * 
+ * Crea un carrito vacío y su token de acceso. El token se entrega una sola
+ * vez, en la respuesta de creación: solo se persiste su hash. Si quien lo
+ * crea inició sesión, el carrito queda a su nombre.
+ * 
+ * @class CreateCartUseCase
+ * @author Backend Team
+ */
+
+import { Cart } from "../../../Domain/Carts/Entities/Cart.js";
+import { ok } from "../../../Shared/Result.js";
+import { generateCartToken, hashCartToken } from "../Access/cartAccess.js";
+
+export class CreateCartUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CartRepository} dependencies.cartRepository - Repositorio de carritos
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ cartRepository, unitOfWork }) {
+    /**
+     * Repositorio de carritos
+     * @type {CartRepository}
+     * @private
+     */
+    this.cartRepository = cartRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la creación del carrito
+   * 
+   * @param {Object} [owner] - Dueño del carrito
+   * @param {string|null} [owner.userId] - Usuario autenticado; null para un carrito anónimo
+   * @returns {Promise<Result<{ cart: Cart, token: string }, AppError>>} Carrito creado y su token
+   * 
+   * @example
+   * const { value: { cart, token } } = await createCartUseCase.execute();
+   */
+  async execute({ userId = null } = {}) {
+    const token = generateCartToken();
+
+    return this.uow.run(async (transaction) => {
+      const cart = await this.cartRepository.create(new Cart({ tokenHash: hashCartToken(token), userId }), transaction);
+
+      return ok({ cart, token });
+    });
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Caso de Uso: Obtener Carrito
+ * 
+ * Devuelve el carrito con sus líneas completadas con el precio y la
+ * disponibilidad vigentes del catálogo, y el subtotal calculado.
+ * 
+ * @class GetCartUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { accessCart } from "../Access/cartAccess.js";
+import { priceCart } from "../Catalog/cartCatalog.js";
+
+export class GetCartUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CartRepository} dependencies.cartRepository - Repositorio de carritos
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ cartRepository, productRepository, productVariantRepository, unitOfWork }) {
+    /**
+     * Repositorio de carritos
+     * @type {CartRepository}
+     * @private
+     */
+    this.cartRepository = cartRepository;
+
+    /**
+     * Repositorios del catálogo (precio y disponibilidad vigentes)
+     * @type {ProductRepository|ProductVariantRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+    this.productVariantRepository = productVariantRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la consulta
+   * 
+   * @param {string} id - Identificador del carrito
+   * @param {Object} credentials - Token del carrito y usuario autenticado ({ token, userId })
+   * @returns {Promise<Result<Cart, AppError>>} Carrito con subtotales, 403 o 404
+   */
+  async execute(id, credentials) {
+    return this.uow.run(async (transaction) => {
+      const { cart, error } = await accessCart(this, id, credentials, transaction);
+
+      if (error) {
+        return fail(error);
+      }
+
+      return ok(await priceCart(this, cart, transaction));
+    });
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Caso de Uso: Fusionar Carritos
+ * 
+ * Traslada las líneas de un carrito de origen (el anónimo con el que se
+ * navegó antes de iniciar sesión) al carrito de destino. Quien fusiona
+ * debe presentar el token de ambos carritos, o la sesión de su dueño. El
+ * inicio de sesión hace esta fusión automáticamente (ver claimCart).
+ * 
+ * Reglas de Negocio:
+ * - Ambos carritos deben estar activos y ser distintos
+ * - Las líneas se trasladan según mergeCartItems (cantidades limitadas a
+ *   las unidades disponibles)
+ * - El carrito de origen queda en estado merged y no admite más cambios
+ * 
+ * @class MergeCartsUseCase
+ * @author Backend Team
+ */
+
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { accessCart } from "../Access/cartAccess.js";
+import { priceCart } from "../Catalog/cartCatalog.js";
+import { mergeCartItems } from "../Merge/cartMerge.js";
+
+export class MergeCartsUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CartRepository} dependencies.cartRepository - Repositorio de carritos
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ cartRepository, productRepository, productVariantRepository, unitOfWork }) {
+    /**
+     * Repositorio de carritos
+     * @type {CartRepository}
+     * @private
+     */
+    this.cartRepository = cartRepository;
+
+    /**
+     * Repositorios del catálogo (disponibilidad y precios vigentes)
+     * @type {ProductRepository|ProductVariantRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+    this.productVariantRepository = productVariantRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la fusión
+   * 
+   * @param {string} id - Carrito de destino
+   * @param {Object} credentials - Token del carrito de destino y usuario autenticado ({ token, userId })
+   * @param {Object} source - Carrito de origen
+   * @param {string} source.sourceCartId - Identificador del carrito de origen
+   * @param {string} source.sourceToken - Token del carrito de origen
+   * @returns {Promise<Result<Cart, AppError>>} Carrito de destino con las líneas fusionadas
+   * 
+   * @example
+   * const result = await mergeCartsUseCase.execute(userCartId, { token: userCartToken }, {
+   *   sourceCartId: anonymousCartId,
+   *   sourceToken: anonymousCartToken
+   * });
+   */
+  async execute(id, credentials, { sourceCartId, sourceToken }) {
+
+    if (sourceCartId === id) {
+      return fail(AppError.validation('El carrito de origen debe ser distinto del de destino', { field: 'sourceCartId', value: sourceCartId }));
+    }
+
+    return this.uow.run(async (transaction) => {
+
+      // === ACCESO A AMBOS CARRITOS ===
+
+      // Se bloquean en orden de id para que dos fusiones cruzadas no se bloqueen mutuamente
+      const options = { lock: true, requireActive: true };
+      const [first, second] = [
+        [id, credentials],
+        [sourceCartId, { token: sourceToken, userId: credentials.userId }]
+      ].sort(([a], [b]) => a.localeCompare(b));
+
+      const firstAccess = await accessCart(this, ...first, transaction, options);
+      if (firstAccess.error) return fail(firstAccess.error);
+
+      const secondAccess = await accessCart(this, ...second, transaction, options);
+      if (secondAccess.error) return fail(secondAccess.error);
+
+      const [target, source] = firstAccess.cart.id === id
+        ? [firstAccess.cart, secondAccess.cart]
+        : [secondAccess.cart, firstAccess.cart];
+
+      // === TRASLADO DE LÍNEAS ===
+
+      await mergeCartItems(this, target, source, transaction);
+
+      const merged = await this.cartRepository.findById(id, transaction);
+
+      return ok(await priceCart(this, merged, transaction));
+    });
+  }
+}
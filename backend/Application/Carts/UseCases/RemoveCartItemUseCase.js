@@ -0,0 +1,75 @@
+/**
+ * Caso de Uso: Quitar una Línea del Carrito
+ * 
+ * @class RemoveCartItemUseCase
+ * @author Backend Team
+ */
+
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { accessCart } from "../Access/cartAccess.js";
+import { priceCart } from "../Catalog/cartCatalog.js";
+
+export class RemoveCartItemUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CartRepository} dependencies.cartRepository - Repositorio de carritos
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ cartRepository, productRepository, productVariantRepository, unitOfWork }) {
+    /**
+     * Repositorio de carritos
+     * @type {CartRepository}
+     * @private
+     */
+    this.cartRepository = cartRepository;
+
+    /**
+     * Repositorios del catálogo (precios vigentes del carrito resultante)
+     * @type {ProductRepository|ProductVariantRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+    this.productVariantRepository = productVariantRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la baja de la línea
+   * 
+   * @param {string} id - Identificador del carrito
+   * @param {Object} credentials - Token del carrito y usuario autenticado ({ token, userId })
+   * @param {string} itemId - Identificador de la línea
+   * @returns {Promise<Result<Cart, AppError>>} Carrito actualizado o error
+   */
+  async execute(id, credentials, itemId) {
+    return this.uow.run(async (transaction) => {
+      const { error } = await accessCart(this, id, credentials, transaction, { lock: true, requireActive: true });
+
+      if (error) {
+        return fail(error);
+      }
+
+      const removed = await this.cartRepository.removeItem(id, itemId, transaction);
+
+      if (!removed) {
+        return fail(AppError.notFound('Línea del carrito', { id: itemId, cartId: id }));
+      }
+
+      const updated = await this.cartRepository.findById(id, transaction);
+
+      return ok(await priceCart(this, updated, transaction));
+    });
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Caso de Uso: Cambiar Cantidad de una Línea del Carrito
+ * 
+ * Reglas de Negocio:
+ * - El carrito debe estar activo
+ * - La nueva cantidad no puede superar las unidades disponibles
+ * - Para quitar la línea se usa RemoveCartItemUseCase (la cantidad es > 0)
+ * 
+ * @class UpdateCartItemUseCase
+ * @author Backend Team
+ */
+
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { accessCart } from "../Access/cartAccess.js";
+import { checkLineStock, priceCart } from "../Catalog/cartCatalog.js";
+
+export class UpdateCartItemUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CartRepository} dependencies.cartRepository - Repositorio de carritos
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ cartRepository, productRepository, productVariantRepository, unitOfWork }) {
+    /**
+     * Repositorio de carritos
+     * @type {CartRepository}
+     * @private
+     */
+    this.cartRepository = cartRepository;
+
+    /**
+     * Repositorios del catálogo (validación y precios vigentes)
+     * @type {ProductRepository|ProductVariantRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+    this.productVariantRepository = productVariantRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el cambio de cantidad
+   * 
+   * @param {string} id - Identificador del carrito
+   * @param {Object} credentials - Token del carrito y usuario autenticado ({ token, userId })
+   * @param {string} itemId - Identificador de la línea
+   * @param {Object} changes - Cambios
+   * @param {number} changes.quantity - Nueva cantidad de la línea
+   * @returns {Promise<Result<Cart, AppError>>} Carrito actualizado o error
+   */
+  async execute(id, credentials, itemId, { quantity }) {
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return fail(AppError.validation('La cantidad debe ser un entero mayor a 0', { field: 'quantity', value: quantity }));
+    }
+
+    return this.uow.run(async (transaction) => {
+      const { cart, error } = await accessCart(this, id, credentials, transaction, { lock: true, requireActive: true });
+
+      if (error) {
+        return fail(error);
+      }
+
+      const item = cart.findItemById(itemId);
+
+      if (!item) {
+        return fail(AppError.notFound('Línea del carrito', { id: itemId, cartId: id }));
+      }
+
+      const stockError = await checkLineStock(this, { productId: item.productId, variantId: item.variantId, quantity }, transaction);
+
+      if (stockError) {
+        return fail(stockError);
+      }
+
+      await this.cartRepository.updateItemQuantity(id, itemId, quantity, transaction);
+
+      const updated = await this.cartRepository.findById(id, transaction);
+
+      return ok(await priceCart(this, updated, transaction));
+    });
+  }
+}
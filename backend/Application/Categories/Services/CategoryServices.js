@@ -0,0 +1,141 @@
+/**
+ * Servicio de Aplicación: CategoryService
+ * 
+ * Fachada que orquesta los casos de uso de categorías, con la misma
+ * función que ProductService para los productos.
+ * 
+ * @class CategoryService
+ * @author Backend Team
+ */
+
+import { CreateCategoryUseCase } from '../UseCases/CreateCategoryUseCase.js';
+import { GetCategoriesUseCase } from '../UseCases/GetCategoriesUseCase.js';
+import { GetCategoryByIdUseCase } from '../UseCases/GetCategoryByIdUseCase.js';
+import { UpdateCategoryUseCase } from '../UseCases/UpdateCategoryUseCase.js';
+import { DeleteCategoryUseCase } from '../UseCases/DeleteCategoryUseCase.js';
+import { GetCategoryProductsUseCase } from '../UseCases/GetCategoryProductsUseCase.js';
+
+export class CategoryService {
+
+  /**
+   * Constructor del servicio de categorías
+   * 
+   * @param {Object} dependencies - Casos de uso inyectados
+   * @param {CreateCategoryUseCase} dependencies.createCategoryUseCase - Caso de uso para crear categorías
+   * @param {GetCategoriesUseCase} dependencies.getCategoriesUseCase - Caso de uso para listar categorías
+   * @param {GetCategoryByIdUseCase} dependencies.getCategoryByIdUseCase - Caso de uso para obtener una categoría
+   * @param {UpdateCategoryUseCase} dependencies.updateCategoryUseCase - Caso de uso para actualizar categorías
+   * @param {DeleteCategoryUseCase} dependencies.deleteCategoryUseCase - Caso de uso para eliminar categorías
+   * @param {GetCategoryProductsUseCase} dependencies.getCategoryProductsUseCase - Caso de uso para listar productos de una categoría
+   */
+  constructor({
+    createCategoryUseCase,
+    getCategoriesUseCase,
+    getCategoryByIdUseCase,
+    updateCategoryUseCase,
+    deleteCategoryUseCase,
+    getCategoryProductsUseCase
+  }) {
+    /**
+     * @type {CreateCategoryUseCase}
+     * @private
+     */
+    this.createCategoryUseCase = createCategoryUseCase;
+
+    /**
+     * @type {GetCategoriesUseCase}
+     * @private
+     */
+    this.getCategoriesUseCase = getCategoriesUseCase;
+
+    /**
+     * @type {GetCategoryByIdUseCase}
+     * @private
+     */
+    this.getCategoryByIdUseCase = getCategoryByIdUseCase;
+
+    /**
+     * @type {UpdateCategoryUseCase}
+     * @private
+     */
+    this.updateCategoryUseCase = updateCategoryUseCase;
+
+    /**
+     * @type {DeleteCategoryUseCase}
+     * @private
+     */
+    this.deleteCategoryUseCase = deleteCategoryUseCase;
+
+    /**
+     * @type {GetCategoryProductsUseCase}
+     * @private
+     */
+    this.getCategoryProductsUseCase = getCategoryProductsUseCase;
+  }
+
+  /**
+   * Crea una categoría raíz o una subcategoría
+   * 
+   * @param {Object} categoryData - Datos (name, parentId)
+   * @returns {Promise<Result<Category, AppError>>} Categoría creada o error
+   */
+  async create(categoryData) {
+    return this.createCategoryUseCase.execute(categoryData);
+  }
+
+  /**
+   * Lista las categorías como lista plana o como árbol
+   * 
+   * @param {Object} [options] - Opciones de la consulta
+   * @param {boolean} [options.tree=false] - true para anidar subcategorías
+   * @returns {Promise<Result<Array, AppError>>} Categorías
+   */
+  async getAll(options) {
+    return this.getCategoriesUseCase.execute(options);
+  }
+
+  /**
+   * Obtiene una categoría por su identificador
+   * 
+   * @param {string} id - Identificador de la categoría
+   * @returns {Promise<Result<Category, AppError>>} Categoría o error 404
+   */
+  async getById(id) {
+    return this.getCategoryByIdUseCase.execute(id);
+  }
+
+  /**
+   * Reemplaza el nombre y el padre de una categoría
+   * 
+   * @param {string} id - Identificador de la categoría
+   * @param {Object} categoryData - Datos completos (name, parentId)
+   * @returns {Promise<Result<Category, AppError>>} Categoría actualizada o error
+   */
+  async replace(id, categoryData) {
+    return this.updateCategoryUseCase.execute(id, categoryData);
+  }
+
+  /**
+   * Elimina una categoría sin subcategorías ni productos
+   * 
+   * @param {string} id - Identificador de la categoría
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id eliminado o error
+   */
+  async remove(id) {
+    return this.deleteCategoryUseCase.execute(id);
+  }
+
+  /**
+   * Obtiene una página de productos de la categoría y sus subcategorías
+   * 
+   * @param {string} id - Identificador de la categoría
+   * @param {ProductListCriteria} criteria - Filtros, ordenamiento y paginación
+   * @returns {Promise<Result<Object, AppError>>} Página de productos
+   * 
+   * @example
+   * const result = await categoryService.getProducts(id, ProductListCriteria.fromQuery(req.query));
+   */
+  async getProducts(id, criteria) {
+    return this.getCategoryProductsUseCase.execute(id, criteria);
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Caso de Uso: Crear Categoría
+ * 
+ * Registra una categoría raíz o una subcategoría de una existente.
+ * 
+ * Reglas de Negocio:
+ * - La categoría padre, si se indica, debe existir
+ * - No pueden existir dos categorías hermanas con el mismo nombre
+ * 
+ * @class CreateCategoryUseCase
+ * @author Backend Team
+ */
+
+import { Category } from "../../../Domain/Categories/Entities/Category.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+
+export class CreateCategoryUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CategoryRepository} dependencies.categoryRepository - Repositorio de categorías
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ categoryRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de categorías
+     * @type {CategoryRepository}
+     * @private
+     */
+    this.categoryRepository = categoryRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de creación de categoría
+   * 
+   * @param {Object} categoryData - Datos de la categoría
+   * @param {string} categoryData.name - Nombre de la categoría
+   * @param {string|null} [categoryData.parentId] - Categoría padre
+   * @returns {Promise<Result<Category, AppError>>} Categoría creada o error
+   * 
+   * @example
+   * const result = await createCategoryUseCase.execute({ name: 'Bases', parentId: rostroId });
+   */
+  async execute(categoryData) {
+    return this.uow.run(async (transaction) => {
+
+      // === CREACIÓN DE ENTIDAD DE DOMINIO ===
+
+      let categoryEntity;
+
+      try {
+        categoryEntity = new Category(categoryData);
+      } catch (domainError) {
+        return fail(
+          new AppError(
+            "VALIDATION_ERROR",
+            `Datos de la categoría inválidos: ${domainError.message}`,
+            400
+          )
+        );
+      }
+
+      // === VALIDACIÓN DE REGLAS DE NEGOCIO ===
+
+      if (categoryEntity.parentId !== null) {
+        const parent = await this.categoryRepository.findById(categoryEntity.parentId, transaction);
+
+        if (!parent) {
+          return fail(AppError.validation('La categoría padre no existe', {
+            field: 'parentId',
+            value: categoryEntity.parentId
+          }));
+        }
+      }
+
+      const existingCategory = await this.categoryRepository.findByName(
+        categoryEntity.name,
+        categoryEntity.parentId,
+        transaction
+      );
+
+      if (existingCategory) {
+        return fail(
+          new AppError(
+            "CATEGORY_ALREADY_EXISTS",
+            `Ya existe una categoría con el nombre "${categoryEntity.name}" en ese nivel`,
+            400,
+            { id: existingCategory.id }
+          )
+        );
+      }
+
+      // === PERSISTENCIA ===
+
+      const createdCategory = await this.categoryRepository.create(categoryEntity, transaction);
+
+      return ok(createdCategory);
+    });
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Caso de Uso: Eliminar Categoría
+ * 
+ * Borra una categoría vacía. Para no dejar productos ni subcategorías
+ * huérfanos, la eliminación se rechaza mientras tenga alguno asociado
+ * (incluidos productos eliminados lógicamente, que pueden restaurarse).
+ * 
+ * @class DeleteCategoryUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class DeleteCategoryUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CategoryRepository} dependencies.categoryRepository - Repositorio de categorías
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ categoryRepository, productRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de categorías
+     * @type {CategoryRepository}
+     * @private
+     */
+    this.categoryRepository = categoryRepository;
+
+    /**
+     * Repositorio de productos (referencias a la categoría)
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la eliminación de la categoría
+   * 
+   * @param {string} id - Identificador de la categoría
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id eliminado o error
+   * 
+   * @example
+   * const result = await deleteCategoryUseCase.execute(id);
+   */
+  async execute(id) {
+    return this.uow.run(async (transaction) => {
+      const category = await this.categoryRepository.findById(id, transaction);
+
+      if (!category) {
+        return fail(AppError.notFound('Categoría', { id }));
+      }
+
+      const children = await this.categoryRepository.countChildren(id, transaction);
+
+      if (children > 0) {
+        return fail(AppError.conflict('La categoría tiene subcategorías; muévalas o elimínelas primero', {
+          id,
+          children
+        }));
+      }
+
+      const products = await this.productRepository.countByReference({ categoryId: id }, transaction);
+
+      if (products > 0) {
+        return fail(AppError.conflict('La categoría tiene productos asociados', { id, products }));
+      }
+
+      await this.categoryRepository.delete(id, transaction);
+
+      return ok({ id });
+    });
+  }
+}
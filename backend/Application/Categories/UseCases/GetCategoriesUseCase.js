@@ -0,0 +1,77 @@
+/**
+ * Caso de Uso: Obtener Categorías
+ * 
+ * Lista las categorías del catálogo, ya sea como lista plana (cada una
+ * con su parentId) o como árbol anidado listo para menús y filtros.
+ * 
+ * @class GetCategoriesUseCase
+ * @author Backend Team
+ */
+
+import { ok } from "../../../Shared/Result.js";
+
+export class GetCategoriesUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CategoryRepository} dependencies.categoryRepository - Repositorio de categorías
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ categoryRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de categorías
+     * @type {CategoryRepository}
+     * @private
+     */
+    this.categoryRepository = categoryRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de consulta de categorías
+   * 
+   * @param {Object} [options] - Opciones de la consulta
+   * @param {boolean} [options.tree=false] - true para anidar las subcategorías en `children`
+   * @returns {Promise<Result<Array<Category|Object>, AppError>>} Categorías ordenadas por nombre
+   * 
+   * @example
+   * const result = await getCategoriesUseCase.execute({ tree: true });
+   * // [{ id, name: 'Rostro', parentId: null, children: [{ name: 'Bases', ... }] }]
+   */
+  async execute({ tree = false } = {}) {
+    return this.uow.run(async (transaction) => {
+      const categories = await this.categoryRepository.getAll(transaction);
+
+      if (!tree) {
+        return ok(categories);
+      }
+
+      // Se indexan los nodos por id y cada uno se cuelga de su padre;
+      // el orden por nombre se conserva en cada nivel
+      const nodes = new Map(
+        categories.map(category => [category.id, { ...category.toJSON(), children: [] }])
+      );
+      const roots = [];
+
+      for (const node of nodes.values()) {
+        const parent = node.parentId !== null ? nodes.get(node.parentId) : null;
+
+        if (parent) {
+          parent.children.push(node);
+        } else {
+          roots.push(node);
+        }
+      }
+
+      return ok(roots);
+    });
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Caso de Uso: Obtener Categoría por ID
+ * 
+ * @class GetCategoryByIdUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class GetCategoryByIdUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CategoryRepository} dependencies.categoryRepository - Repositorio de categorías
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ categoryRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de categorías
+     * @type {CategoryRepository}
+     * @private
+     */
+    this.categoryRepository = categoryRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de consulta por ID
+   * 
+   * @param {string} id - Identificador de la categoría
+   * @returns {Promise<Result<Category, AppError>>} Categoría encontrada o error 404
+   */
+  async execute(id) {
+    return this.uow.run(async (transaction) => {
+      const category = await this.categoryRepository.findById(id, transaction);
+
+      if (!category) {
+        return fail(AppError.notFound('Categoría', { id }));
+      }
+
+      return ok(category);
+    });
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Caso de Uso: Obtener Productos de una Categoría
+ * 
+ * Lista paginada de los productos de una categoría y de todas sus
+ * subcategorías (ej: "Rostro" incluye bases, correctores y rubores).
+ * Acepta los mismos filtros, ordenamiento y paginación que el listado
+ * general de productos.
+ * 
+ * A diferencia del listado general, una categoría sin productos no es
+ * un error: se responde con una página vacía.
+ * 
+ * @class GetCategoryProductsUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ProductListCriteria } from "../../Products/Queries/ProductListCriteria.js";
+
+export class GetCategoryProductsUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CategoryRepository} dependencies.categoryRepository - Repositorio de categorías
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ categoryRepository, productRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de categorías
+     * @type {CategoryRepository}
+     * @private
+     */
+    this.categoryRepository = categoryRepository;
+
+    /**
+     * Repositorio de productos (referencias a la categoría)
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la consulta de productos de la categoría
+   * 
+   * @param {string} id - Identificador de la categoría
+   * @param {ProductListCriteria} [criteria] - Filtros, ordenamiento y paginación
+   * @returns {Promise<Result<Object, AppError>>} Página de productos (misma forma que GetProductUseCase)
+   * 
+   * @example
+   * const result = await getCategoryProductsUseCase.execute(id, ProductListCriteria.fromQuery(req.query));
+   */
+  async execute(id, criteria = new ProductListCriteria()) {
+    return this.uow.run(async (transaction) => {
+      const category = await this.categoryRepository.findById(id, transaction);
+
+      if (!category) {
+        return fail(AppError.notFound('Categoría', { id }));
+      }
+
+      // La categoría de la ruta reemplaza un posible ?categoryId
+      const categoryCriteria = criteria.with({ categoryId: id });
+
+      const { items, total, nextCursor } = await this.productRepository.findPage(
+        categoryCriteria,
+        transaction
+      );
+
+      return ok({
+        items,
+        total,
+        page: categoryCriteria.page,
+        limit: categoryCriteria.limit,
+        pageCount: Math.ceil(total / categoryCriteria.limit),
+        nextCursor,
+        cursorMode: categoryCriteria.usesCursor()
+      });
+    });
+  }
+}
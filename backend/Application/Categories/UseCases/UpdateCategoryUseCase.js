@@ -0,0 +1,136 @@
+/**
+ * Caso de Uso: Actualizar Categoría
+ * 
+ * Renombra una categoría o la mueve a otro punto de la jerarquía.
+ * 
+ * Reglas de Negocio:
+ * - La categoría padre, si se indica, debe existir
+ * - Una categoría no puede moverse debajo de sí misma ni de una de sus
+ *   subcategorías (se formaría un ciclo)
+ * - No pueden existir dos categorías hermanas con el mismo nombre
+ * 
+ * @class UpdateCategoryUseCase
+ * @author Backend Team
+ */
+
+import { Category } from "../../../Domain/Categories/Entities/Category.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+
+export class UpdateCategoryUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CategoryRepository} dependencies.categoryRepository - Repositorio de categorías
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ categoryRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de categorías
+     * @type {CategoryRepository}
+     * @private
+     */
+    this.categoryRepository = categoryRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de actualización (reemplazo completo)
+   * 
+   * @param {string} id - Identificador de la categoría
+   * @param {Object} categoryData - Nuevos datos
+   * @param {string} categoryData.name - Nombre de la categoría
+   * @param {string|null} [categoryData.parentId] - Nueva categoría padre (null para raíz)
+   * @returns {Promise<Result<Category, AppError>>} Categoría actualizada o error
+   * 
+   * @example
+   * const result = await updateCategoryUseCase.execute(id, { name: 'Bases líquidas', parentId: rostroId });
+   */
+  async execute(id, categoryData) {
+    return this.uow.run(async (transaction) => {
+
+      // === VERIFICACIÓN DE EXISTENCIA ===
+
+      const current = await this.categoryRepository.findById(id, transaction);
+
+      if (!current) {
+        return fail(AppError.notFound('Categoría', { id }));
+      }
+
+      // === CREACIÓN DE ENTIDAD DE DOMINIO ===
+
+      let categoryEntity;
+
+      try {
+        categoryEntity = new Category({ ...categoryData, id });
+      } catch (domainError) {
+        return fail(
+          new AppError(
+            "VALIDATION_ERROR",
+            `Datos de la categoría inválidos: ${domainError.message}`,
+            400
+          )
+        );
+      }
+
+      // === VALIDACIÓN DE LA JERARQUÍA ===
+
+      if (categoryEntity.parentId !== null && categoryEntity.parentId !== current.parentId) {
+        const parent = await this.categoryRepository.findById(categoryEntity.parentId, transaction);
+
+        if (!parent) {
+          return fail(AppError.validation('La categoría padre no existe', {
+            field: 'parentId',
+            value: categoryEntity.parentId
+          }));
+        }
+
+        const descendantIds = await this.categoryRepository.findDescendantIds(id, transaction);
+
+        if (descendantIds.includes(categoryEntity.parentId)) {
+          return fail(AppError.validation('Una categoría no puede moverse debajo de una de sus subcategorías', {
+            field: 'parentId',
+            value: categoryEntity.parentId
+          }));
+        }
+      }
+
+      // === VALIDACIÓN DE UNICIDAD ===
+
+      const existingCategory = await this.categoryRepository.findByName(
+        categoryEntity.name,
+        categoryEntity.parentId,
+        transaction
+      );
+
+      if (existingCategory && existingCategory.id !== id) {
+        return fail(
+          new AppError(
+            "CATEGORY_ALREADY_EXISTS",
+            `Ya existe una categoría con el nombre "${categoryEntity.name}" en ese nivel`,
+            400,
+            { id: existingCategory.id }
+          )
+        );
+      }
+
+      // === PERSISTENCIA ===
+
+      const updatedCategory = await this.categoryRepository.update(categoryEntity, transaction);
+
+      if (!updatedCategory) {
+        return fail(AppError.notFound('Categoría', { id }));
+      }
+
+      return ok(updatedCategory);
+    });
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Criterios de Consulta: Listado de Clientes
+ * 
+ * Objeto inmutable con los filtros del listado de clientes. Reutiliza la
+ * paginación por defecto de ProductListCriteria.
+ * 
+ * Parámetros soportados:
+ * - q: texto contenido en el nombre o el email (sin distinguir mayúsculas)
+ * - withStats: true para incluir las estadísticas de pedidos de cada cliente
+ * - page / limit: paginación por offset
+ * 
+ * @class CustomerListCriteria
+ * @author Backend Team
+ */
+
+import { AppError } from "../../../Shared/AppError.js";
+import { ProductListCriteria } from "../../Products/Queries/ProductListCriteria.js";
+
+export class CustomerListCriteria {
+
+  /**
+   * Constructor de los criterios
+   * 
+   * @param {Object} criteria - Criterios ya validados
+   * @param {string|null} criteria.q - Texto a buscar en nombre o email
+   * @param {boolean} criteria.withStats - Incluir estadísticas de pedidos
+   * @param {number} criteria.page - Página (desde 1)
+   * @param {number} criteria.limit - Tamaño de página
+   */
+  constructor({ q = null, withStats = false, page, limit }) {
+    this.q = q;
+    this.withStats = withStats;
+    this.page = page;
+    this.limit = limit;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Construye y valida los criterios a partir de los query params
+   * 
+   * @param {Object} query - req.query de Express
+   * @returns {CustomerListCriteria} Criterios validados
+   * 
+   * @throws {AppError} VALIDATION_ERROR si algún parámetro es inválido
+   * 
+   * @static
+   * @example
+   * const criteria = CustomerListCriteria.fromQuery({ q: 'gomez', withStats: 'true' });
+   */
+  static fromQuery(query = {}) {
+    // Acepta el string del query o el booleano ya convertido por el esquema de la ruta
+    const withStats = typeof query.withStats === 'boolean' ? String(query.withStats) : query.withStats;
+
+    if (withStats !== undefined && withStats !== '' && withStats !== 'true' && withStats !== 'false') {
+      throw AppError.validation('El parámetro withStats debe ser "true" o "false"', { field: 'withStats', value: withStats });
+    }
+
+    const { page, limit } = ProductListCriteria.fromQuery({ page: query.page, limit: query.limit });
+
+    const q = typeof query.q === 'string' && query.q.trim() !== '' ? query.q.trim() : null;
+
+    return new CustomerListCriteria({
+      q,
+      withStats: withStats === 'true',
+      page,
+      limit,
+    });
+  }
+}
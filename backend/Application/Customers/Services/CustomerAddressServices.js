@@ -0,0 +1,101 @@
+/**
+ * Servicio de Aplicación: CustomerAddressService
+ * 
+ * Fachada que orquesta los casos de uso de la libreta de direcciones,
+ * siempre en el contexto del cliente dueño.
+ * 
+ * @class CustomerAddressService
+ * @author Backend Team
+ */
+
+import { CreateCustomerAddressUseCase } from '../UseCases/CreateCustomerAddressUseCase.js';
+import { GetCustomerAddressesUseCase } from '../UseCases/GetCustomerAddressesUseCase.js';
+import { UpdateCustomerAddressUseCase } from '../UseCases/UpdateCustomerAddressUseCase.js';
+import { DeleteCustomerAddressUseCase } from '../UseCases/DeleteCustomerAddressUseCase.js';
+
+export class CustomerAddressService {
+
+  /**
+   * Constructor del servicio de direcciones
+   * 
+   * @param {Object} dependencies - Casos de uso inyectados
+   * @param {CreateCustomerAddressUseCase} dependencies.createCustomerAddressUseCase - Caso de uso para agregar direcciones
+   * @param {GetCustomerAddressesUseCase} dependencies.getCustomerAddressesUseCase - Caso de uso para listar direcciones
+   * @param {UpdateCustomerAddressUseCase} dependencies.updateCustomerAddressUseCase - Caso de uso para actualizar direcciones
+   * @param {DeleteCustomerAddressUseCase} dependencies.deleteCustomerAddressUseCase - Caso de uso para eliminar direcciones
+   */
+  constructor({
+    createCustomerAddressUseCase,
+    getCustomerAddressesUseCase,
+    updateCustomerAddressUseCase,
+    deleteCustomerAddressUseCase
+  }) {
+    /**
+     * @type {CreateCustomerAddressUseCase}
+     * @private
+     */
+    this.createCustomerAddressUseCase = createCustomerAddressUseCase;
+
+    /**
+     * @type {GetCustomerAddressesUseCase}
+     * @private
+     */
+    this.getCustomerAddressesUseCase = getCustomerAddressesUseCase;
+
+    /**
+     * @type {UpdateCustomerAddressUseCase}
+     * @private
+     */
+    this.updateCustomerAddressUseCase = updateCustomerAddressUseCase;
+
+    /**
+     * @type {DeleteCustomerAddressUseCase}
+     * @private
+     */
+    this.deleteCustomerAddressUseCase = deleteCustomerAddressUseCase;
+  }
+
+  /**
+   * Agrega una dirección a un cliente
+   * 
+   * @param {string} customerId - Cliente dueño
+   * @param {Object} addressData - Datos de la dirección
+   * @returns {Promise<Result<CustomerAddress, AppError>>} Dirección creada o error
+   */
+  async create(customerId, addressData) {
+    return this.createCustomerAddressUseCase.execute(customerId, addressData);
+  }
+
+  /**
+   * Lista la libreta de direcciones de un cliente
+   * 
+   * @param {string} customerId - Cliente dueño
+   * @returns {Promise<Result<CustomerAddress[], AppError>>} Direcciones o error 404
+   */
+  async getAll(customerId) {
+    return this.getCustomerAddressesUseCase.execute(customerId);
+  }
+
+  /**
+   * Modifica parcialmente una dirección
+   * 
+   * @param {string} customerId - Cliente dueño
+   * @param {string} addressId - Identificador de la dirección
+   * @param {Object} changes - Campos a modificar
+   * @returns {Promise<Result<CustomerAddress, AppError>>} Dirección actualizada o error
+   */
+  async update(customerId, addressId, changes) {
+    return this.updateCustomerAddressUseCase.execute(customerId, addressId, changes);
+  }
+
+  /**
+   * Elimina una dirección
+   * 
+   * @param {string} customerId - Cliente dueño
+   * @param {string} addressId - Identificador de la dirección
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id eliminado o error
+   */
+  async remove(customerId, addressId) {
+    return this.deleteCustomerAddressUseCase.execute(customerId, addressId);
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Servicio de Aplicación: CustomerService
+ * 
+ * Fachada que orquesta los casos de uso de clientes.
+ * 
+ * @class CustomerService
+ * @author Backend Team
+ */
+
+import { CreateCustomerUseCase } from '../UseCases/CreateCustomerUseCase.js';
+import { GetCustomersUseCase } from '../UseCases/GetCustomersUseCase.js';
+import { GetCustomerByIdUseCase } from '../UseCases/GetCustomerByIdUseCase.js';
+import { UpdateCustomerUseCase } from '../UseCases/UpdateCustomerUseCase.js';
+import { DeleteCustomerUseCase } from '../UseCases/DeleteCustomerUseCase.js';
+
+export class CustomerService {
+
+  /**
+   * Constructor del servicio de clientes
+   * 
+   * @param {Object} dependencies - Casos de uso inyectados
+   * @param {CreateCustomerUseCase} dependencies.createCustomerUseCase - Caso de uso para crear clientes
+   * @param {GetCustomersUseCase} dependencies.getCustomersUseCase - Caso de uso para listar clientes
+   * @param {GetCustomerByIdUseCase} dependencies.getCustomerByIdUseCase - Caso de uso para obtener un cliente
+   * @param {UpdateCustomerUseCase} dependencies.updateCustomerUseCase - Caso de uso para actualizar clientes
+   * @param {DeleteCustomerUseCase} dependencies.deleteCustomerUseCase - Caso de uso para eliminar clientes
+   */
+  constructor({
+    createCustomerUseCase,
+    getCustomersUseCase,
+    getCustomerByIdUseCase,
+    updateCustomerUseCase,
+    deleteCustomerUseCase
+  }) {
+    /**
+     * @type {CreateCustomerUseCase}
+     * @private
+     */
+    this.createCustomerUseCase = createCustomerUseCase;
+
+    /**
+     * @type {GetCustomersUseCase}
+     * @private
+     */
+    this.getCustomersUseCase = getCustomersUseCase;
+
+    /**
+     * @type {GetCustomerByIdUseCase}
+     * @private
+     */
+    this.getCustomerByIdUseCase = getCustomerByIdUseCase;
+
+    /**
+     * @type {UpdateCustomerUseCase}
+     * @private
+     */
+    this.updateCustomerUseCase = updateCustomerUseCase;
+
+    /**
+     * @type {DeleteCustomerUseCase}
+     * @private
+     */
+    this.deleteCustomerUseCase = deleteCustomerUseCase;
+  }
+
+  /**
+   * Crea un cliente
+   * 
+   * @param {Object} customerData - Datos (name, email, phone)
+   * @returns {Promise<Result<Customer, AppError>>} Cliente creado o error
+   */
+  async create(customerData) {
+    return this.createCustomerUseCase.execute(customerData);
+  }
+
+  /**
+   * Lista una página de clientes, opcionalmente con estadísticas de pedidos
+   * 
+   * @param {CustomerListCriteria} criteria - Búsqueda, estadísticas y paginación
+   * @returns {Promise<Result<Object, AppError>>} Página de clientes y datos de paginación
+   */
+  async getAll(criteria) {
+    return this.getCustomersUseCase.execute(criteria);
+  }
+
+  /**
+   * Obtiene un cliente por su identificador
+   * 
+   * @param {string} id - Identificador del cliente
+   * @returns {Promise<Result<Customer, AppError>>} Cliente o error 404
+   */
+  async getById(id) {
+    return this.getCustomerByIdUseCase.execute(id);
+  }
+
+  /**
+   * Reemplaza los datos de un cliente
+   * 
+   * @param {string} id - Identificador del cliente
+   * @param {Object} customerData - Datos completos (name, email, phone)
+   * @returns {Promise<Result<Customer, AppError>>} Cliente actualizado o error
+   */
+  async replace(id, customerData) {
+    return this.updateCustomerUseCase.execute(id, customerData);
+  }
+
+  /**
+   * Elimina un cliente sin pedidos
+   * 
+   * @param {string} id - Identificador del cliente
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id eliminado o error
+   */
+  async remove(id) {
+    return this.deleteCustomerUseCase.execute(id);
+  }
+}
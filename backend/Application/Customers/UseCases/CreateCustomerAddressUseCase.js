@@ -0,0 +1,111 @@
+/**
+ * Caso de Uso: Agregar Dirección a un Cliente
+ *
+ * Reglas de Negocio:
+ * - El cliente debe existir
+ * - La primera dirección del cliente es la predeterminada aunque no se pida
+ * - Si la nueva dirección se marca como predeterminada, la anterior deja de serlo
+ *
+ * @class CreateCustomerAddressUseCase
+ * @author Backend Team
+ */
+
+import { CustomerAddress } from "../../../Domain/Customers/Entities/CustomerAddress.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+
+export class CreateCustomerAddressUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CustomerRepository} dependencies.customerRepository - Repositorio de clientes
+   * @param {CustomerAddressRepository} dependencies.customerAddressRepository - Repositorio de direcciones
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ customerRepository, customerAddressRepository, unitOfWork }) {
+    /**
+     * Repositorio de clientes
+     * @type {CustomerRepository}
+     * @private
+     */
+    this.customerRepository = customerRepository;
+
+    /**
+     * Repositorio de direcciones
+     * @type {CustomerAddressRepository}
+     * @private
+     */
+    this.customerAddressRepository = customerAddressRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de creación de dirección
+   *
+   * @param {string} customerId - Cliente dueño
+   * @param {Object} addressData - Datos de la dirección (ver CustomerAddress)
+   * @returns {Promise<Result<CustomerAddress, AppError>>} Dirección creada o error
+   *
+   * @example
+   * const result = await createCustomerAddressUseCase.execute(customerId, {
+   *   line1: 'Cra 7 # 72-41', city: 'Bogotá', country: 'CO', isDefault: true
+   * });
+   */
+  async execute(customerId, addressData) {
+    return this.uow.run(async (transaction) => {
+
+      // === VERIFICACIÓN DE EXISTENCIA ===
+
+      // El bloqueo serializa los cambios de la dirección predeterminada del cliente
+      const customer = await this.customerRepository.findById(customerId, transaction, { lock: true });
+
+      if (!customer) {
+        return fail(AppError.notFound('Cliente', { id: customerId }));
+      }
+
+      // === CREACIÓN DE ENTIDAD DE DOMINIO ===
+
+      const { isDefault = false, ...fields } = addressData;
+
+      let addressEntity;
+
+      try {
+        // isDefault se aplica después con setDefault, que desmarca la anterior
+        addressEntity = new CustomerAddress({ ...fields, customerId, isDefault: false });
+      } catch (domainError) {
+        return fail(
+          new AppError(
+            "VALIDATION_ERROR",
+            `Datos de la dirección inválidos: ${domainError.message}`,
+            400
+          )
+        );
+      }
+
+      if (typeof isDefault !== 'boolean') {
+        return fail(AppError.validation('isDefault debe ser booleano', { field: 'isDefault', value: isDefault }));
+      }
+
+      // === PERSISTENCIA ===
+
+      const addressBook = await this.customerAddressRepository.findByCustomer(customerId, transaction);
+      const created = await this.customerAddressRepository.create(addressEntity, transaction);
+
+      if (isDefault || addressBook.length === 0) {
+        await this.customerAddressRepository.setDefault(customerId, created.id, transaction);
+      }
+
+      const address = await this.customerAddressRepository.findById(customerId, created.id, transaction);
+
+      return ok(address);
+    });
+  }
+}
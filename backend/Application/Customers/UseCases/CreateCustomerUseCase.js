@@ -0,0 +1,93 @@
+/**
+ * Caso de Uso: Crear Cliente
+ *
+ * Reglas de Negocio:
+ * - No pueden existir dos clientes con el mismo email (sin distinguir mayúsculas)
+ *
+ * @class CreateCustomerUseCase
+ * @author Backend Team
+ */
+
+import { Customer } from "../../../Domain/Customers/Entities/Customer.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+
+export class CreateCustomerUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CustomerRepository} dependencies.customerRepository - Repositorio de clientes
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ customerRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de clientes
+     * @type {CustomerRepository}
+     * @private
+     */
+    this.customerRepository = customerRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de creación de cliente
+   *
+   * @param {Object} customerData - Datos del cliente
+   * @param {string} customerData.name - Nombre completo
+   * @param {string} customerData.email - Email de contacto
+   * @param {string|null} [customerData.phone] - Teléfono
+   * @returns {Promise<Result<Customer, AppError>>} Cliente creado o error
+   *
+   * @example
+   * const result = await createCustomerUseCase.execute({ name: 'Ana Gómez', email: 'ana@correo.com' });
+   */
+  async execute(customerData) {
+    return this.uow.run(async (transaction) => {
+
+      // === CREACIÓN DE ENTIDAD DE DOMINIO ===
+
+      let customerEntity;
+
+      try {
+        customerEntity = new Customer(customerData);
+      } catch (domainError) {
+        return fail(
+          new AppError(
+            "VALIDATION_ERROR",
+            `Datos del cliente inválidos: ${domainError.message}`,
+            400
+          )
+        );
+      }
+
+      // === VALIDACIÓN DE UNICIDAD ===
+
+      const existingCustomer = await this.customerRepository.findByEmail(customerEntity.email, transaction);
+
+      if (existingCustomer) {
+        return fail(
+          new AppError(
+            "CUSTOMER_ALREADY_EXISTS",
+            `Ya existe un cliente con el email "${customerEntity.email}"`,
+            400,
+            { id: existingCustomer.id }
+          )
+        );
+      }
+
+      // === PERSISTENCIA ===
+
+      const createdCustomer = await this.customerRepository.create(customerEntity, transaction);
+
+      return ok(createdCustomer);
+    });
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Caso de Uso: Eliminar Dirección de un Cliente
+ *
+ * Si se elimina la dirección predeterminada, la más antigua de las
+ * restantes pasa a serlo.
+ *
+ * @class DeleteCustomerAddressUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class DeleteCustomerAddressUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CustomerRepository} dependencies.customerRepository - Repositorio de clientes
+   * @param {CustomerAddressRepository} dependencies.customerAddressRepository - Repositorio de direcciones
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ customerRepository, customerAddressRepository, unitOfWork }) {
+    /**
+     * Repositorio de clientes
+     * @type {CustomerRepository}
+     * @private
+     */
+    this.customerRepository = customerRepository;
+
+    /**
+     * Repositorio de direcciones
+     * @type {CustomerAddressRepository}
+     * @private
+     */
+    this.customerAddressRepository = customerAddressRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la eliminación de la dirección
+   *
+   * @param {string} customerId - Cliente dueño
+   * @param {string} addressId - Identificador de la dirección
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id eliminado o error 404
+   */
+  async execute(customerId, addressId) {
+    return this.uow.run(async (transaction) => {
+      const customer = await this.customerRepository.findById(customerId, transaction, { lock: true });
+
+      if (!customer) {
+        return fail(AppError.notFound('Cliente', { id: customerId }));
+      }
+
+      const addressBook = await this.customerAddressRepository.findByCustomer(customerId, transaction);
+      const address = addressBook.find(item => item.id === addressId);
+
+      if (!address) {
+        return fail(AppError.notFound('Dirección', { id: addressId, customerId }));
+      }
+
+      await this.customerAddressRepository.delete(customerId, addressId, transaction);
+
+      // findByCustomer devuelve la predeterminada primero y luego por antigüedad
+      const remaining = addressBook.filter(item => item.id !== addressId);
+
+      if (address.isDefault && remaining.length > 0) {
+        await this.customerAddressRepository.setDefault(customerId, remaining[0].id, transaction);
+      }
+
+      return ok({ id: addressId });
+    });
+  }
+}
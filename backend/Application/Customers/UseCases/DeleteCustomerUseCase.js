@@ -0,0 +1,72 @@
+/**
+ * Caso de Uso: Eliminar Cliente
+ *
+ * Borra un cliente sin pedidos junto con su libreta de direcciones. Los
+ * clientes con pedidos se conservan: los pedidos son el historial de ventas.
+ *
+ * @class DeleteCustomerUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class DeleteCustomerUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CustomerRepository} dependencies.customerRepository - Repositorio de clientes
+   * @param {OrderRepository} dependencies.orderRepository - Repositorio de pedidos
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ customerRepository, orderRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de clientes
+     * @type {CustomerRepository}
+     * @private
+     */
+    this.customerRepository = customerRepository;
+
+    /**
+     * Repositorio de pedidos (referencias al cliente)
+     * @type {OrderRepository}
+     * @private
+     */
+    this.orderRepository = orderRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la eliminación del cliente
+   *
+   * @param {string} id - Identificador del cliente
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id eliminado o error
+   */
+  async execute(id) {
+    return this.uow.run(async (transaction) => {
+      const customer = await this.customerRepository.findById(id, transaction, { lock: true });
+
+      if (!customer) {
+        return fail(AppError.notFound('Cliente', { id }));
+      }
+
+      const orders = await this.orderRepository.countByCustomer(id, transaction);
+
+      if (orders > 0) {
+        return fail(AppError.conflict('El cliente tiene pedidos asociados', { id, orders }));
+      }
+
+      await this.customerRepository.delete(id, transaction);
+
+      return ok({ id });
+    });
+  }
+}
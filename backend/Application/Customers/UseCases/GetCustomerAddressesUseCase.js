@@ -0,0 +1,63 @@
+/**
+ * Caso de Uso: Listar Direcciones de un Cliente
+ *
+ * @class GetCustomerAddressesUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class GetCustomerAddressesUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CustomerRepository} dependencies.customerRepository - Repositorio de clientes
+   * @param {CustomerAddressRepository} dependencies.customerAddressRepository - Repositorio de direcciones
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ customerRepository, customerAddressRepository, unitOfWork }) {
+    /**
+     * Repositorio de clientes
+     * @type {CustomerRepository}
+     * @private
+     */
+    this.customerRepository = customerRepository;
+
+    /**
+     * Repositorio de direcciones
+     * @type {CustomerAddressRepository}
+     * @private
+     */
+    this.customerAddressRepository = customerAddressRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la consulta
+   *
+   * @param {string} customerId - Cliente dueño
+   * @returns {Promise<Result<CustomerAddress[], AppError>>} Direcciones (la predeterminada primero) o error 404
+   */
+  async execute(customerId) {
+    return this.uow.run(async (transaction) => {
+      const customer = await this.customerRepository.findById(customerId, transaction);
+
+      if (!customer) {
+        return fail(AppError.notFound('Cliente', { id: customerId }));
+      }
+
+      const addresses = await this.customerAddressRepository.findByCustomer(customerId, transaction);
+
+      return ok(addresses);
+    });
+  }
+}
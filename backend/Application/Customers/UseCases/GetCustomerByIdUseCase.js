@@ -0,0 +1,53 @@
+/**
+ * Caso de Uso: Obtener Cliente por ID
+ *
+ * @class GetCustomerByIdUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class GetCustomerByIdUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CustomerRepository} dependencies.customerRepository - Repositorio de clientes
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ customerRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de clientes
+     * @type {CustomerRepository}
+     * @private
+     */
+    this.customerRepository = customerRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de consulta por ID
+   *
+   * @param {string} id - Identificador del cliente
+   * @returns {Promise<Result<Customer, AppError>>} Cliente encontrado o error 404
+   */
+  async execute(id) {
+    return this.uow.run(async (transaction) => {
+      const customer = await this.customerRepository.findById(id, transaction);
+
+      if (!customer) {
+        return fail(AppError.notFound('Cliente', { id }));
+      }
+
+      return ok(customer);
+    });
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Caso de Uso: Listar Clientes
+ *
+ * Devuelve una página de clientes ordenada por nombre. Con withStats cada
+ * cliente incluye la cantidad de pedidos, el gasto acumulado y la fecha
+ * del último pedido (sin contar los cancelados), calculados en la base de
+ * datos con una sola consulta de agregación.
+ *
+ * @class GetCustomersUseCase
+ * @author Backend Team
+ */
+
+import { ok } from "../../../Shared/Result.js";
+
+export class GetCustomersUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CustomerRepository} dependencies.customerRepository - Repositorio de clientes
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ customerRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de clientes
+     * @type {CustomerRepository}
+     * @private
+     */
+    this.customerRepository = customerRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la consulta
+   *
+   * @param {CustomerListCriteria} criteria - Búsqueda, estadísticas y paginación
+   * @returns {Promise<Result<{ items: Array<Customer|{ customer: Customer, stats: CustomerStats }>, total: number, page: number, limit: number, pageCount: number }, AppError>>}
+   *   Con withStats los items son pares { customer, stats }; sin él, clientes
+   *
+   * @example
+   * const result = await getCustomersUseCase.execute(CustomerListCriteria.fromQuery({ withStats: 'true' }));
+   */
+  async execute(criteria) {
+    return this.uow.run(async (transaction) => {
+      const query = { q: criteria.q, page: criteria.page, limit: criteria.limit };
+
+      const { items, total } = criteria.withStats
+        ? await this.customerRepository.findPageWithStats(query, transaction)
+        : await this.customerRepository.findPage(query, transaction);
+
+      return ok({
+        items,
+        total,
+        page: criteria.page,
+        limit: criteria.limit,
+        pageCount: Math.ceil(total / criteria.limit)
+      });
+    });
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Caso de Uso: Actualizar Dirección de un Cliente
+ *
+ * Actualización parcial: los campos no enviados conservan su valor.
+ *
+ * Reglas de Negocio:
+ * - Marcar una dirección como predeterminada desmarca la anterior
+ * - La dirección predeterminada no se puede desmarcar directamente: se
+ *   marca otra en su lugar (el cliente con direcciones siempre tiene una)
+ *
+ * @class UpdateCustomerAddressUseCase
+ * @author Backend Team
+ */
+
+import { CustomerAddress } from "../../../Domain/Customers/Entities/CustomerAddress.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+
+export class UpdateCustomerAddressUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CustomerRepository} dependencies.customerRepository - Repositorio de clientes
+   * @param {CustomerAddressRepository} dependencies.customerAddressRepository - Repositorio de direcciones
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ customerRepository, customerAddressRepository, unitOfWork }) {
+    /**
+     * Repositorio de clientes
+     * @type {CustomerRepository}
+     * @private
+     */
+    this.customerRepository = customerRepository;
+
+    /**
+     * Repositorio de direcciones
+     * @type {CustomerAddressRepository}
+     * @private
+     */
+    this.customerAddressRepository = customerAddressRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la actualización de la dirección
+   *
+   * @param {string} customerId - Cliente dueño
+   * @param {string} addressId - Identificador de la dirección
+   * @param {Object} changes - Campos a modificar; undefined conserva el valor actual
+   *   y null (en los campos opcionales) lo elimina
+   * @returns {Promise<Result<CustomerAddress, AppError>>} Dirección actualizada o error
+   *
+   * @example
+   * const result = await updateCustomerAddressUseCase.execute(customerId, addressId, { isDefault: true });
+   */
+  async execute(customerId, addressId, changes) {
+    return this.uow.run(async (transaction) => {
+
+      // === VERIFICACIÓN DE EXISTENCIA ===
+
+      const customer = await this.customerRepository.findById(customerId, transaction, { lock: true });
+
+      if (!customer) {
+        return fail(AppError.notFound('Cliente', { id: customerId }));
+      }
+
+      const current = await this.customerAddressRepository.findById(customerId, addressId, transaction);
+
+      if (!current) {
+        return fail(AppError.notFound('Dirección', { id: addressId, customerId }));
+      }
+
+      // === CREACIÓN DE ENTIDAD DE DOMINIO ===
+
+      // null es un valor válido en los campos opcionales, por eso no se usa ??
+      const pick = (field) => (changes[field] !== undefined ? changes[field] : current[field]);
+
+      let addressEntity;
+
+      try {
+        addressEntity = new CustomerAddress({
+          id: current.id,
+          customerId,
+          label: pick('label'),
+          line1: pick('line1'),
+          line2: pick('line2'),
+          city: pick('city'),
+          region: pick('region'),
+          postalCode: pick('postalCode'),
+          country: pick('country'),
+          isDefault: current.isDefault,
+        });
+      } catch (domainError) {
+        return fail(
+          new AppError(
+            "VALIDATION_ERROR",
+            `Datos de la dirección inválidos: ${domainError.message}`,
+            400
+          )
+        );
+      }
+
+      // === VALIDACIÓN DE CAMBIOS ===
+
+      const { isDefault } = changes;
+
+      if (isDefault !== undefined && typeof isDefault !== 'boolean') {
+        return fail(AppError.validation('isDefault debe ser booleano', { field: 'isDefault', value: isDefault }));
+      }
+
+      if (isDefault === false && current.isDefault) {
+        return fail(AppError.validation(
+          'La dirección predeterminada no se puede desmarcar: marque otra dirección como predeterminada',
+          { field: 'isDefault' }
+        ));
+      }
+
+      // === PERSISTENCIA ===
+
+      await this.customerAddressRepository.update(addressEntity, transaction);
+
+      if (isDefault === true && !current.isDefault) {
+        await this.customerAddressRepository.setDefault(customerId, addressId, transaction);
+      }
+
+      const updated = await this.customerAddressRepository.findById(customerId, addressId, transaction);
+
+      return ok(updated);
+    });
+  }
+}
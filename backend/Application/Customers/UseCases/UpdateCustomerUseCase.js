@@ -0,0 +1,105 @@
+/**
+ * Caso de Uso: Actualizar Cliente
+ *
+ * Reemplaza los datos de un cliente (nombre, email y teléfono).
+ *
+ * Reglas de Negocio:
+ * - El nuevo email no puede pertenecer a otro cliente
+ *
+ * @class UpdateCustomerUseCase
+ * @author Backend Team
+ */
+
+import { Customer } from "../../../Domain/Customers/Entities/Customer.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+
+export class UpdateCustomerUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {CustomerRepository} dependencies.customerRepository - Repositorio de clientes
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ customerRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de clientes
+     * @type {CustomerRepository}
+     * @private
+     */
+    this.customerRepository = customerRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de actualización de cliente
+   *
+   * @param {string} id - Identificador del cliente
+   * @param {Object} customerData - Datos completos (name, email, phone)
+   * @returns {Promise<Result<Customer, AppError>>} Cliente actualizado o error
+   *
+   * @example
+   * const result = await updateCustomerUseCase.execute(id, { name: 'Ana Gómez', email: 'ana@nuevo.com' });
+   */
+  async execute(id, customerData) {
+    return this.uow.run(async (transaction) => {
+
+      // === VERIFICACIÓN DE EXISTENCIA ===
+
+      const current = await this.customerRepository.findById(id, transaction);
+
+      if (!current) {
+        return fail(AppError.notFound('Cliente', { id }));
+      }
+
+      // === CREACIÓN DE ENTIDAD DE DOMINIO ===
+
+      let customerEntity;
+
+      try {
+        customerEntity = new Customer({ ...customerData, id });
+      } catch (domainError) {
+        return fail(
+          new AppError(
+            "VALIDATION_ERROR",
+            `Datos del cliente inválidos: ${domainError.message}`,
+            400
+          )
+        );
+      }
+
+      // === VALIDACIÓN DE UNICIDAD ===
+
+      const existingCustomer = await this.customerRepository.findByEmail(customerEntity.email, transaction);
+
+      if (existingCustomer && existingCustomer.id !== id) {
+        return fail(
+          new AppError(
+            "CUSTOMER_ALREADY_EXISTS",
+            `Ya existe un cliente con el email "${customerEntity.email}"`,
+            400,
+            { id: existingCustomer.id }
+          )
+        );
+      }
+
+      // === PERSISTENCIA ===
+
+      const updatedCustomer = await this.customerRepository.update(customerEntity, transaction);
+
+      if (!updatedCustomer) {
+        return fail(AppError.notFound('Cliente', { id }));
+      }
+
+      return ok(updatedCustomer);
+    });
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Servicio de Aplicación: HealthService
+ *
+ * Fachada de los endpoints de salud que consulta el orquestador:
+ *
+ * - Liveness: el proceso responde. No consulta dependencias: una base de
+ *   datos caída no se arregla reiniciando la instancia.
+ * - Readiness: la instancia puede atender tráfico (base de datos,
+ *   migraciones, pool). Deja de estarlo en cuanto empieza el apagado, para
+ *   que el balanceador no le derive peticiones nuevas mientras drena.
+ *
+ * @class HealthService
+ * @author Backend Team
+ */
+
+import { ok } from '../../../Shared/Result.js';
+import { CheckReadinessUseCase } from '../UseCases/CheckReadinessUseCase.js';
+
+export class HealthService {
+
+  /**
+   * Constructor del servicio de salud
+   *
+   * @param {Object} dependencies - Casos de uso inyectados
+   * @param {CheckReadinessUseCase} dependencies.checkReadinessUseCase - Caso de uso de los chequeos de readiness
+   */
+  constructor({ checkReadinessUseCase }) {
+    /**
+     * @type {CheckReadinessUseCase}
+     * @private
+     */
+    this.checkReadinessUseCase = checkReadinessUseCase;
+
+    /**
+     * Indica si empezó el apagado del servidor
+     * @type {boolean}
+     * @private
+     */
+    this.shuttingDown = false;
+  }
+
+  /**
+   * Reporta que el proceso está vivo
+   *
+   * @returns {{ status: string, uptimeSeconds: number }} Estado y segundos desde el arranque
+   */
+  live() {
+    return { status: 'up', uptimeSeconds: Math.round(process.uptime()) };
+  }
+
+  /**
+   * Verifica si la instancia puede recibir tráfico
+   *
+   * Durante el apagado responde no lista sin ejecutar los chequeos.
+   *
+   * @returns {Promise<Result<Object, AppError>>} Reporte con ready, status y checks
+   */
+  async ready() {
+    if (this.shuttingDown) {
+      return ok({ ready: false, status: 'shutting_down', checks: {} });
+    }
+
+    return this.checkReadinessUseCase.execute();
+  }
+
+  /**
+   * Marca el inicio del apagado: desde ahora readiness responde no lista
+   */
+  markShuttingDown() {
+    this.shuttingDown = true;
+  }
+}
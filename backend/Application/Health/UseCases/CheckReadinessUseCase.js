@@ -0,0 +1,105 @@
+/**
+ * Caso de Uso: Verificar Disponibilidad (readiness)
+ * 
+ * Ejecuta los chequeos de las dependencias del servicio y arma el reporte
+ * que consulta el orquestador para decidir si la instancia recibe tráfico.
+ * 
+ * Responsabilidades:
+ * - Ejecutar todos los chequeos en paralelo, cada uno con un tiempo máximo
+ *   (una base de datos colgada no debe colgar también el probe)
+ * - Medir la latencia de cada chequeo
+ * - Tratar como caído un chequeo que lanza o excede el tiempo
+ * - Declarar la instancia lista solo si todos los chequeos pasan
+ * 
+ * @class CheckReadinessUseCase
+ * @author Backend Team
+ */
+
+import { ok } from "../../../Shared/Result.js";
+
+/**
+ * Milisegundos transcurridos desde un instante de process.hrtime.bigint()
+ * 
+ * @param {bigint} startedAt - Inicio
+ * @returns {number} Milisegundos con tres decimales
+ * 
+ * @private
+ */
+const elapsedMs = (startedAt) => Math.round(Number(process.hrtime.bigint() - startedAt) / 1e3) / 1e3;
+
+export class CheckReadinessUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {HealthCheckPort[]} dependencies.healthChecks - Chequeos a ejecutar
+   * @param {Object} dependencies.env - Configuración (sección HEALTH)
+   */
+  constructor({ healthChecks, env }) {
+    /**
+     * Chequeos de las dependencias
+     * @type {HealthCheckPort[]}
+     * @private
+     */
+    this.healthChecks = healthChecks;
+
+    /**
+     * Tiempo máximo de cada chequeo en milisegundos
+     * @type {number}
+     * @private
+     */
+    this.timeoutMs = env.HEALTH.CHECK_TIMEOUT_MS;
+  }
+
+  /**
+   * Ejecuta los chequeos
+   * 
+   * @returns {Promise<Result<Object, AppError>>} Reporte: ready, status (ready | not_ready) y
+   *   checks, con status (up | down), latencyMs y los detalles o el error de cada chequeo
+   * 
+   * @example
+   * const { value: report } = await checkReadinessUseCase.execute();
+   * // { ready: false, status: 'not_ready', checks: { database: { status: 'down', latencyMs: 2000.4, error: '...' }, ... } }
+   */
+  async execute() {
+    const results = await Promise.all(this.healthChecks.map(healthCheck => this.#run(healthCheck)));
+
+    const ready = results.every(([, result]) => result.status === 'up');
+
+    return ok({
+      ready,
+      status: ready ? 'ready' : 'not_ready',
+      checks: Object.fromEntries(results)
+    });
+  }
+
+  /**
+   * Ejecuta un chequeo con tiempo máximo
+   * 
+   * @param {HealthCheckPort} healthCheck - Chequeo a ejecutar
+   * @returns {Promise<[string, Object]>} Nombre del chequeo y su resultado
+   * 
+   * @private
+   */
+  async #run(healthCheck) {
+    const startedAt = process.hrtime.bigint();
+    let timer;
+
+    const timeout = new Promise((_resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Sin respuesta en ${this.timeoutMs} ms`)), this.timeoutMs);
+    });
+
+    try {
+      const { healthy, details } = await Promise.race([healthCheck.check(), timeout]);
+
+      return [healthCheck.name, { status: healthy ? 'up' : 'down', latencyMs: elapsedMs(startedAt), ...details }];
+
+    } catch (error) {
+      return [healthCheck.name, { status: 'down', latencyMs: elapsedMs(startedAt), error: error.message }];
+
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
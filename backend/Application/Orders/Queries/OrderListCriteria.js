@@ -0,0 +1,63 @@
+/**
+ * Criterios de Consulta: Listado de Pedidos
+ * 
+ * Objeto inmutable con los filtros del listado de pedidos. Reutiliza la
+ * paginación por defecto de ProductListCriteria.
+ * 
+ * @class OrderListCriteria
+ * @author Backend Team
+ */
+
+import { AppError } from "../../../Shared/AppError.js";
+import { ORDER_STATUSES } from "../../../Domain/Orders/Entities/Order.js";
+import { ProductListCriteria } from "../../Products/Queries/ProductListCriteria.js";
+
+export class OrderListCriteria {
+
+  /**
+   * Constructor de los criterios
+   * 
+   * @param {Object} criteria - Criterios ya validados
+   * @param {string|null} criteria.status - Solo pedidos en este estado
+   * @param {number} criteria.page - Página (desde 1)
+   * @param {number} criteria.limit - Tamaño de página
+   */
+  constructor({ status = null, page, limit }) {
+    this.status = status;
+    this.page = page;
+    this.limit = limit;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Construye y valida los criterios a partir de los query params
+   * 
+   * @param {Object} query - req.query de Express
+   * @returns {OrderListCriteria} Criterios validados
+   * 
+   * @throws {AppError} VALIDATION_ERROR si algún parámetro es inválido
+   * 
+   * @static
+   * @example
+   * const criteria = OrderListCriteria.fromQuery({ status: 'paid', page: '2' });
+   */
+  static fromQuery(query = {}) {
+    const { status } = query;
+
+    if (status !== undefined && status !== '' && !ORDER_STATUSES.includes(status)) {
+      throw AppError.validation(
+        `El parámetro status debe ser uno de ${ORDER_STATUSES.join(', ')}`,
+        { field: 'status', value: status }
+      );
+    }
+
+    const { page, limit } = ProductListCriteria.fromQuery({ page: query.page, limit: query.limit });
+
+    return new OrderListCriteria({
+      status: status || null,
+      page,
+      limit,
+    });
+  }
+}
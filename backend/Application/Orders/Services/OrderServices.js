@@ -0,0 +1,102 @@
+/**
+ * Servicio de Aplicación: OrderService
+ * 
+ * Fachada que orquesta los casos de uso de pedidos: checkout, consultas y
+ * transiciones de estado.
+ * 
+ * @class OrderService
+ * @author Backend Team
+ */
+
+import { PlaceOrderUseCase } from '../UseCases/PlaceOrderUseCase.js';
+import { GetOrdersUseCase } from '../UseCases/GetOrdersUseCase.js';
+import { GetOrderByIdUseCase } from '../UseCases/GetOrderByIdUseCase.js';
+import { UpdateOrderStatusUseCase } from '../UseCases/UpdateOrderStatusUseCase.js';
+
+export class OrderService {
+
+  /**
+   * Constructor del servicio de pedidos
+   * 
+   * @param {Object} dependencies - Casos de uso inyectados
+   * @param {PlaceOrderUseCase} dependencies.placeOrderUseCase - Caso de uso para confirmar pedidos
+   * @param {GetOrdersUseCase} dependencies.getOrdersUseCase - Caso de uso para listar pedidos
+   * @param {GetOrderByIdUseCase} dependencies.getOrderByIdUseCase - Caso de uso para obtener un pedido
+   * @param {UpdateOrderStatusUseCase} dependencies.updateOrderStatusUseCase - Caso de uso para cambiar el estado
+   */
+  constructor({
+    placeOrderUseCase,
+    getOrdersUseCase,
+    getOrderByIdUseCase,
+    updateOrderStatusUseCase
+  }) {
+    /**
+     * @type {PlaceOrderUseCase}
+     * @private
+     */
+    this.placeOrderUseCase = placeOrderUseCase;
+
+    /**
+     * @type {GetOrdersUseCase}
+     * @private
+     */
+    this.getOrdersUseCase = getOrdersUseCase;
+
+    /**
+     * @type {GetOrderByIdUseCase}
+     * @private
+     */
+    this.getOrderByIdUseCase = getOrderByIdUseCase;
+
+    /**
+     * @type {UpdateOrderStatusUseCase}
+     * @private
+     */
+    this.updateOrderStatusUseCase = updateOrderStatusUseCase;
+  }
+
+  /**
+   * Convierte un carrito en pedido
+   * 
+   * @param {string} cartId - Carrito a convertir
+   * @param {Object} credentials - Token del carrito y usuario autenticado ({ token, userId })
+   * @param {Object} [options] - Datos opcionales (customerId, customerEmail, actor)
+   * @returns {Promise<Result<Order, AppError>>} Pedido creado o error
+   */
+  async place(cartId, credentials, options) {
+    return this.placeOrderUseCase.execute(cartId, credentials, options);
+  }
+
+  /**
+   * Lista pedidos
+   * 
+   * @param {OrderListCriteria} criteria - Filtro de estado y paginación
+   * @returns {Promise<Result<Object, AppError>>} Página de pedidos
+   */
+  async getAll(criteria) {
+    return this.getOrdersUseCase.execute(criteria);
+  }
+
+  /**
+   * Obtiene un pedido
+   * 
+   * @param {string} id - Identificador del pedido
+   * @param {Object} [access] - Credenciales ({ cartToken, userId, privileged })
+   * @returns {Promise<Result<Order, AppError>>} Pedido o error 403/404
+   */
+  async getById(id, access) {
+    return this.getOrderByIdUseCase.execute(id, access);
+  }
+
+  /**
+   * Cambia el estado de un pedido
+   * 
+   * @param {string} id - Identificador del pedido
+   * @param {Object} changes - Estado destino ({ status })
+   * @param {Object} [options] - Opciones (actor: responsable de la devolución de stock)
+   * @returns {Promise<Result<Order, AppError>>} Pedido actualizado o error
+   */
+  async updateStatus(id, changes, options) {
+    return this.updateOrderStatusUseCase.execute(id, changes, options);
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Caso de Uso: Obtener Pedido por ID
+ * 
+ * Reglas de Negocio:
+ * - Sin el permiso orders:read, solo puede consultarlo quien tiene el token
+ *   del carrito del que proviene el pedido o el usuario dueño de ese carrito
+ *   (que confirmó la compra con su sesión, sin token)
+ * 
+ * @class GetOrderByIdUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { accessCart } from "../../Carts/Access/cartAccess.js";
+
+export class GetOrderByIdUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {OrderRepository} dependencies.orderRepository - Repositorio de pedidos
+   * @param {CartRepository} dependencies.cartRepository - Repositorio de carritos (token)
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ orderRepository, cartRepository, unitOfWork }) {
+    /**
+     * Repositorio de pedidos
+     * @type {OrderRepository}
+     * @private
+     */
+    this.orderRepository = orderRepository;
+
+    /**
+     * Repositorio de carritos
+     * @type {CartRepository}
+     * @private
+     */
+    this.cartRepository = cartRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la consulta
+   * 
+   * @param {string} id - Identificador del pedido
+   * @param {Object} access - Credenciales de quien consulta
+   * @param {string|null} [access.cartToken] - Token del carrito del pedido
+   * @param {string|null} [access.userId] - Usuario autenticado (dueño del carrito)
+   * @param {boolean} [access.privileged=false] - Tiene el permiso orders:read
+   * @returns {Promise<Result<Order, AppError>>} Pedido con sus líneas, 403 si ni
+   *   el token ni la sesión corresponden o error 404
+   */
+  async execute(id, { cartToken = null, userId = null, privileged = false } = {}) {
+    return this.uow.run(async (transaction) => {
+      const order = await this.orderRepository.findById(id, transaction);
+
+      if (!order) {
+        return fail(AppError.notFound('Pedido', { id }));
+      }
+
+      if (!privileged) {
+        // Sin carrito de origen, o con el carrito eliminado, ni el token ni la sesión dan acceso
+        const granted = order.cartId !== null
+          && !(await accessCart(this, order.cartId, { token: cartToken, userId }, transaction)).error;
+
+        if (!granted) {
+          return fail(AppError.forbidden('El token o la sesión no corresponden al carrito del pedido'));
+        }
+      }
+
+      return ok(order);
+    });
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Caso de Uso: Listar Pedidos
+ * 
+ * Devuelve una página de pedidos, los más recientes primero, con filtro
+ * opcional por estado.
+ * 
+ * @class GetOrdersUseCase
+ * @author Backend Team
+ */
+
+import { ok } from "../../../Shared/Result.js";
+
+export class GetOrdersUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {OrderRepository} dependencies.orderRepository - Repositorio de pedidos
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ orderRepository, unitOfWork }) {
+    /**
+     * Repositorio de pedidos
+     * @type {OrderRepository}
+     * @private
+     */
+    this.orderRepository = orderRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la consulta
+   * 
+   * @param {OrderListCriteria} criteria - Filtro de estado y paginación
+   * @returns {Promise<Result<{ items: Order[], total: number, page: number, limit: number, pageCount: number }, AppError>>}
+   */
+  async execute(criteria) {
+    return this.uow.run(async (transaction) => {
+      const { items, total } = await this.orderRepository.findPage({
+        status: criteria.status,
+        page: criteria.page,
+        limit: criteria.limit,
+      }, transaction);
+
+      return ok({
+        items,
+        total,
+        page: criteria.page,
+        limit: criteria.limit,
+        pageCount: Math.ceil(total / criteria.limit)
+      });
+    });
+  }
+}
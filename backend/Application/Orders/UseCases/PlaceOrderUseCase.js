@@ -0,0 +1,258 @@
+/**
+ * Caso de Uso: Confirmar Pedido (Checkout)
+ *
+ * Convierte un carrito en un pedido. En una única transacción:
+ * 1. Bloquea el carrito y los productos de sus líneas
+ * 2. Verifica que haya unidades disponibles para todas las líneas
+ * 3. Crea el pedido con una copia de los precios vigentes
+ * 4. Descuenta el stock de cada línea y lo registra como venta en el
+ *    libro de inventario (referencia: id del pedido)
+ * 5. Consume las reservas hechas para el carrito y lo marca como ordered
+ *
+ * Si alguna línea no tiene unidades suficientes no se descuenta nada y el
+ * error lista todas las líneas afectadas, no solo la primera.
+ *
+ * Reglas de Negocio:
+ * - El carrito debe estar activo y tener al menos una línea
+ * - Si se indica un cliente, debe existir; el pedido queda asociado a él.
+ *   Sin cliente, el pedido se asocia al cliente con el email de quien
+ *   compra (usuario autenticado), si existe
+ * - Las reservas activas con referencia igual al id del carrito son del
+ *   propio comprador: sus unidades cuentan como disponibles para él
+ * - Una línea cuyo producto se eliminó, o que no indica variante y el
+ *   producto pasó a tenerlas, se informa con 0 unidades disponibles
+ *
+ * @class PlaceOrderUseCase
+ * @author Backend Team
+ */
+
+import { Order } from "../../../Domain/Orders/Entities/Order.js";
+import { OrderItem } from "../../../Domain/Orders/Entities/OrderItem.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { accessCart } from "../../Carts/Access/cartAccess.js";
+import { resolveStockVariant } from "../../Products/Stock/resolveStockVariant.js";
+import { applyStockChange } from "../../Products/Stock/applyStockChange.js";
+
+export class PlaceOrderUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {OrderRepository} dependencies.orderRepository - Repositorio de pedidos
+   * @param {CartRepository} dependencies.cartRepository - Repositorio de carritos
+   * @param {CustomerRepository} dependencies.customerRepository - Repositorio de clientes
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {ReservationRepository} dependencies.reservationRepository - Repositorio de reservas
+   * @param {StockMovementRepository} dependencies.stockMovementRepository - Libro de inventario
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({
+    orderRepository,
+    cartRepository,
+    customerRepository,
+    productRepository,
+    productVariantRepository,
+    reservationRepository,
+    stockMovementRepository,
+    unitOfWork
+  }) {
+    /**
+     * Repositorio de pedidos
+     * @type {OrderRepository}
+     * @private
+     */
+    this.orderRepository = orderRepository;
+
+    /**
+     * Repositorio de carritos
+     * @type {CartRepository}
+     * @private
+     */
+    this.cartRepository = cartRepository;
+
+    /**
+     * Repositorio de clientes
+     * @type {CustomerRepository}
+     * @private
+     */
+    this.customerRepository = customerRepository;
+
+    /**
+     * Repositorios del catálogo y del inventario
+     * @private
+     */
+    this.productRepository = productRepository;
+    this.productVariantRepository = productVariantRepository;
+    this.reservationRepository = reservationRepository;
+    this.stockMovementRepository = stockMovementRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la confirmación del pedido
+   *
+   * @param {string} cartId - Carrito a convertir
+   * @param {Object} credentials - Token del carrito y usuario autenticado ({ token, userId })
+   * @param {Object} [options] - Datos opcionales del pedido
+   * @param {string|null} [options.customerId] - Cliente al que se asocia el pedido
+   *   (solo con el permiso orders:write, lo verifica la ruta)
+   * @param {string|null} [options.customerEmail] - Email del usuario que compra;
+   *   sin customerId, asocia el pedido a su cliente
+   * @param {string|null} [options.actor] - Responsable de la venta en el libro de
+   *   inventario (principalOf; null en una compra anónima)
+   * @returns {Promise<Result<Order, AppError>>} Pedido creado o error
+   *   (INSUFFICIENT_STOCK con meta.lines si faltan unidades)
+   *
+   * @example
+   * const result = await placeOrderUseCase.execute(cartId, { token: cartToken });
+   * if (result.isFailure && result.error.code === 'INSUFFICIENT_STOCK') {
+   *   console.log(result.error.meta.lines);
+   * }
+   */
+  async execute(cartId, credentials, { customerId = null, customerEmail = null, actor = null } = {}) {
+    return this.uow.run(async (transaction) => {
+
+      // === ACCESO AL CARRITO ===
+
+      const { cart, error } = await accessCart(this, cartId, credentials, transaction, { lock: true, requireActive: true });
+
+      if (error) {
+        return fail(error);
+      }
+
+      if (cart.items.length === 0) {
+        return fail(AppError.validation('El carrito no tiene productos', { cartId }));
+      }
+
+      if (customerId && !(await this.customerRepository.findById(customerId, transaction))) {
+        return fail(AppError.notFound('Cliente', { id: customerId }));
+      }
+
+      if (!customerId && customerEmail) {
+        customerId = (await this.customerRepository.findByEmail(customerEmail, transaction))?.id ?? null;
+      }
+
+      // === BLOQUEO DE PRODUCTOS ===
+
+      // En orden de id: dos checkouts con productos en común no se bloquean mutuamente
+      const products = new Map();
+
+      for (const productId of [...new Set(cart.items.map(item => item.productId))].sort()) {
+        products.set(productId, await this.productRepository.findById(productId, transaction, { lock: true }));
+      }
+
+      // === VERIFICACIÓN DE DISPONIBILIDAD ===
+
+      const ownReservations = await this.reservationRepository.findActiveByReference(cartId, transaction);
+
+      const lines = [];
+      const shortages = [];
+
+      for (const item of cart.items) {
+        const product = products.get(item.productId);
+        const resolved = product
+          ? await resolveStockVariant(this, item.productId, item.variantId, transaction)
+          : null;
+
+        if (!product || resolved.error) {
+          shortages.push({ itemId: item.id, productId: item.productId, variantId: item.variantId, name: product?.name ?? null, requested: item.quantity, available: 0 });
+          continue;
+        }
+
+        const { variant } = resolved;
+        const stock = variant ? variant.stock : product.stock;
+
+        // Se suma después del bloqueo, como al crear una reserva
+        const reserved = await this.reservationRepository.sumActive({ productId: item.productId, variantId: item.variantId }, transaction);
+        const ownReserved = ownReservations
+          .filter(reservation => reservation.productId === item.productId && reservation.variantId === item.variantId)
+          .reduce((total, reservation) => total + reservation.quantity, 0);
+        const available = Math.max(stock - (reserved - ownReserved), 0);
+
+        if (item.quantity > available) {
+          shortages.push({ itemId: item.id, productId: item.productId, variantId: item.variantId, name: product.name, requested: item.quantity, available });
+          continue;
+        }
+
+        lines.push({ item, product, variant, stock });
+      }
+
+      if (shortages.length > 0) {
+        const detail = shortages
+          .map(line => `${line.name ?? line.productId} (pedido ${line.requested}, disponible ${line.available})`)
+          .join('; ');
+
+        return fail(
+          new AppError(
+            "INSUFFICIENT_STOCK",
+            `Stock insuficiente en ${shortages.length} línea(s) del carrito: ${detail}`,
+            409,
+            { cartId, lines: shortages }
+          )
+        );
+      }
+
+      // === CREACIÓN DEL PEDIDO ===
+
+      let orderEntity;
+
+      try {
+        orderEntity = new Order({
+          cartId,
+          customerId,
+          items: lines.map(({ item, product, variant }) => new OrderItem({
+            productId: item.productId,
+            variantId: item.variantId,
+            productName: product.name,
+            sku: variant?.sku ?? null,
+            unitPrice: variant ? variant.effectivePrice(product.price) : product.price,
+            quantity: item.quantity,
+          })),
+        });
+      } catch (domainError) {
+        return fail(
+          new AppError(
+            "VALIDATION_ERROR",
+            `Datos del pedido inválidos: ${domainError.message}`,
+            400
+          )
+        );
+      }
+
+      const order = await this.orderRepository.create(orderEntity, transaction);
+
+      // === DESCUENTO DE STOCK ===
+
+      for (const { item, product, variant, stock } of lines) {
+        await applyStockChange(this, {
+          product,
+          variant,
+          newStock: stock - item.quantity,
+          type: 'sale',
+          reason: 'Venta',
+          reference: order.id,
+          actor,
+        }, transaction);
+      }
+
+      // === CIERRE DEL CARRITO ===
+
+      for (const reservation of ownReservations) {
+        await this.reservationRepository.updateStatus(reservation.id, 'consumed', transaction);
+      }
+
+      await this.cartRepository.updateStatus(cartId, 'ordered', transaction);
+
+      return ok(order);
+    });
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Caso de Uso: Cambiar Estado de un Pedido
+ *
+ * Aplica una transición de la máquina de estados del pedido
+ * (pending → paid → shipped → delivered, o cancelled antes del envío).
+ * Al cancelar, las unidades de cada línea vuelven al stock y se registran
+ * como devolución en el libro de inventario, en la misma transacción.
+ *
+ * Reglas de Negocio:
+ * - Solo se admiten las transiciones de ORDER_TRANSITIONS
+ * - Si el producto de una línea se purgó o su variante se eliminó, sus
+ *   unidades no tienen a dónde volver y la línea se omite
+ *
+ * @class UpdateOrderStatusUseCase
+ * @author Backend Team
+ */
+
+import { ORDER_STATUSES } from "../../../Domain/Orders/Entities/Order.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { applyStockChange } from "../../Products/Stock/applyStockChange.js";
+
+export class UpdateOrderStatusUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {OrderRepository} dependencies.orderRepository - Repositorio de pedidos
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {StockMovementRepository} dependencies.stockMovementRepository - Libro de inventario
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ orderRepository, productRepository, productVariantRepository, stockMovementRepository, unitOfWork }) {
+    /**
+     * Repositorio de pedidos
+     * @type {OrderRepository}
+     * @private
+     */
+    this.orderRepository = orderRepository;
+
+    /**
+     * Repositorios del catálogo y del inventario (devolución de stock)
+     * @private
+     */
+    this.productRepository = productRepository;
+    this.productVariantRepository = productVariantRepository;
+    this.stockMovementRepository = stockMovementRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la transición
+   *
+   * @param {string} id - Identificador del pedido
+   * @param {Object} changes - Cambios
+   * @param {string} changes.status - Estado destino
+   * @param {Object} [options] - Opciones de la operación
+   * @param {string|null} [options.actor=null] - Responsable de la devolución de stock
+   *   al cancelar (principalOf)
+   * @returns {Promise<Result<Order, AppError>>} Pedido actualizado, 404 o 409 si la transición no está permitida
+   *
+   * @example
+   * const result = await updateOrderStatusUseCase.execute(orderId, { status: 'cancelled' });
+   */
+  async execute(id, { status }, { actor = null } = {}) {
+
+    if (!ORDER_STATUSES.includes(status)) {
+      return fail(AppError.validation(
+        `El estado debe ser uno de ${ORDER_STATUSES.join(', ')}`,
+        { field: 'status', value: status }
+      ));
+    }
+
+    return this.uow.run(async (transaction) => {
+      const order = await this.orderRepository.findById(id, transaction, { lock: true });
+
+      if (!order) {
+        return fail(AppError.notFound('Pedido', { id }));
+      }
+
+      if (!order.canTransitionTo(status)) {
+        return fail(AppError.conflict(
+          `El pedido no puede pasar de ${order.status} a ${status}`,
+          { id, from: order.status, to: status }
+        ));
+      }
+
+      // === DEVOLUCIÓN DE STOCK AL CANCELAR ===
+
+      if (status === 'cancelled') {
+        const items = [...order.items].sort((a, b) => a.productId.localeCompare(b.productId));
+
+        for (const item of items) {
+          const product = await this.productRepository.findById(item.productId, transaction, { includeDeleted: true, lock: true });
+          const variant = product && item.variantId
+            ? await this.productVariantRepository.findById(item.productId, item.variantId, transaction)
+            : null;
+
+          if (!product || (item.variantId && !variant)) continue;
+
+          await applyStockChange(this, {
+            product,
+            variant,
+            newStock: (variant ? variant.stock : product.stock) + item.quantity,
+            type: 'return',
+            reason: 'Cancelación del pedido',
+            reference: order.id,
+            actor,
+          }, transaction);
+        }
+      }
+
+      const updated = await this.orderRepository.updateStatus(order.transitionTo(status), transaction);
+
+      return ok(updated);
+    });
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Limpieza de Archivos de Imágenes
+ * 
+ * Elimina del almacenamiento el original y la miniatura de un conjunto de
+ * imágenes. Compartida por la eliminación de una imagen y la purga del
+ * producto, que se ejecutan después de confirmar la transacción.
+ * 
+ * @module RemoveImageFiles
+ * @author Backend Team
+ */
+
+/**
+ * Elimina los archivos de las imágenes indicadas
+ * 
+ * Un fallo aquí no revierte la operación (los registros ya no existen):
+ * solo deja archivos huérfanos, por eso se registra y no se propaga.
+ * 
+ * @param {ImageStoragePort} imageStorage - Almacenamiento de archivos
+ * @param {ProductImage[]} images - Imágenes cuyos archivos se eliminan
+ * @param {Logger} logger - Logger donde se registran los archivos no eliminados
+ * @returns {Promise<void>}
+ * 
+ * @example
+ * await removeImageFiles(this.imageStorage, [deletedImage], this.logger);
+ */
+export async function removeImageFiles(imageStorage, images, logger) {
+  const keys = images.flatMap(image => [image.key, image.thumbnailKey]);
+  const results = await Promise.allSettled(keys.map(key => imageStorage.delete(key)));
+
+  results
+    .forEach((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        logger.warn('No se pudo eliminar un archivo de imagen', { key: keys[index], error: outcome.reason });
+      }
+    });
+}
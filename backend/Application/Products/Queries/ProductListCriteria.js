@@ -0,0 +1,210 @@
+/**
+ * Criterios de Consulta: Listado de Productos
+ * 
+ * Objeto inmutable que describe una consulta paginada del catálogo:
+ * paginación (offset o cursor), filtros y ordenamiento. Se construye a
+ * partir de los query params HTTP ya validados por el esquema de la ruta
+ * (listProductsQuery): tipos, rangos y valores permitidos. Aquí solo se
+ * aplican los valores por defecto y las reglas que el esquema no expresa
+ * (rango de precios coherente y cursor íntegro).
+ * 
+ * Parámetros soportados:
+ * - page / limit: paginación por offset (page >= 1, 1 <= limit <= 100)
+ * - cursor: paginación por keyset (opaco, tomado del header Link)
+ * - minPrice / maxPrice: rango de precio (ambos opcionales)
+ * - inStock: true solo con stock, false solo agotados
+ * - q: texto contenido en el nombre (sin distinguir mayúsculas)
+ * - categoryId: categoría (incluye sus subcategorías)
+ * - brandId: marca
+ * - sort / order: campo (price, name, createdAt) y dirección (asc, desc)
+ * - includeDeleted: incluir productos eliminados lógicamente
+ * 
+ * @class ProductListCriteria
+ * @author Backend Team
+ */
+
+import { AppError } from "../../../Shared/AppError.js";
+import { decodeCursor } from "../../../Shared/pagination.js";
+import { isUuid } from "../../../Shared/validators.js";
+
+/**
+ * Campos por los que se permite ordenar
+ * @constant {string[]}
+ */
+export const SORTABLE_FIELDS = ['price', 'name', 'createdAt'];
+
+/**
+ * Tamaño de página por defecto y máximo permitido
+ * @constant {Object}
+ */
+export const PAGE_LIMITS = Object.freeze({ DEFAULT: 20, MAX: 100 });
+
+/**
+ * Valida el tipo del valor de ordenamiento de un cursor según el campo
+ * @constant {Object<string, Function>}
+ * @private
+ */
+const CURSOR_VALUE_CHECKS = {
+  // DECIMAL: pg lo devuelve como string numérico
+  price: (value) => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== ''))
+    && Number.isFinite(Number(value)),
+  name: (value) => typeof value === 'string',
+  createdAt: (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+};
+
+/**
+ * Crea el error de un cursor rechazado
+ *
+ * @param {string} message - Motivo del rechazo
+ * @returns {AppError} INVALID_CURSOR (400) con meta.fields
+ *
+ * @private
+ */
+const invalidCursor = (message) => new AppError('INVALID_CURSOR', message, 400, {
+  fields: [{ path: 'cursor', rule: 'cursor', message }]
+});
+
+/**
+ * Decodifica y valida el cursor recibido
+ *
+ * El cursor viaja en la URL y el cliente puede alterarlo: su forma y el
+ * tipo de cada valor se verifican antes de usarlos en la consulta, que de
+ * otro modo fallaría en la base de datos.
+ *
+ * @param {string} value - Cursor opaco recibido
+ * @param {string} sort - Campo de ordenamiento solicitado
+ * @param {string} order - Dirección solicitada
+ * @returns {{ s: string, v: (string|number), id: string }} Posición validada
+ *
+ * @throws {AppError} INVALID_CURSOR si el cursor no es válido o no corresponde al ordenamiento
+ *
+ * @private
+ */
+function toCursor(value, sort, order) {
+  const cursor = decodeCursor(value);
+
+  if (!cursor || typeof cursor !== 'object' || Array.isArray(cursor)
+    || typeof cursor.id !== 'string' || !isUuid(cursor.id)) {
+    throw invalidCursor('El cursor no es válido');
+  }
+
+  // El cursor solo es válido para el mismo ordenamiento con el que se generó
+  if (cursor.s !== `${sort}:${order}`) {
+    throw invalidCursor('El cursor no corresponde al ordenamiento solicitado');
+  }
+
+  if (!CURSOR_VALUE_CHECKS[sort](cursor.v)) {
+    throw invalidCursor('El cursor no es válido');
+  }
+
+  return { s: cursor.s, v: cursor.v, id: cursor.id };
+}
+
+export class ProductListCriteria {
+
+  /**
+   * Constructor de los criterios
+   * 
+   * Preferir ProductListCriteria.fromQuery() para datos que vienen de HTTP.
+   * 
+   * @param {Object} criteria - Criterios ya validados
+   */
+  constructor({
+    page = 1,
+    limit = PAGE_LIMITS.DEFAULT,
+    cursor = null,
+    minPrice = null,
+    maxPrice = null,
+    inStock = null,
+    q = null,
+    categoryId = null,
+    brandId = null,
+    sort = 'name',
+    order = 'asc',
+    includeDeleted = false
+  } = {}) {
+    this.page = page;
+    this.limit = limit;
+    this.cursor = cursor;
+    this.minPrice = minPrice;
+    this.maxPrice = maxPrice;
+    this.inStock = inStock;
+    this.q = q;
+    this.categoryId = categoryId;
+    this.brandId = brandId;
+    this.sort = sort;
+    this.order = order;
+    this.includeDeleted = includeDeleted;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Indica si la consulta usa paginación por cursor
+   * 
+   * @returns {boolean} true si se envió un cursor
+   */
+  usesCursor() {
+    return this.cursor !== null;
+  }
+
+  /**
+   * Crea una copia de los criterios reemplazando algunos valores
+   * 
+   * @param {Object} overrides - Valores a reemplazar
+   * @returns {ProductListCriteria} Nuevos criterios
+   * 
+   * @example
+   * const inCategory = criteria.with({ categoryId: id });
+   */
+  with(overrides) {
+    return new ProductListCriteria({ ...this, ...overrides });
+  }
+
+  /**
+   * Construye y valida los criterios a partir de los query params
+   * 
+   * @param {Object} query - req.query validado con listProductsQuery (valores ya tipados)
+   * @returns {ProductListCriteria} Criterios validados
+   * 
+   * @throws {AppError} VALIDATION_ERROR si minPrice es mayor que maxPrice
+   * @throws {AppError} INVALID_CURSOR si el cursor fue alterado o no corresponde al ordenamiento
+   * 
+   * @static
+   * @example
+   * const criteria = ProductListCriteria.fromQuery({ page: 2, sort: 'price', order: 'desc' });
+   */
+  static fromQuery(query = {}) {
+    const { page = 1, limit = PAGE_LIMITS.DEFAULT, minPrice = null, maxPrice = null } = query;
+
+    if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+      const message = 'No puede ser mayor que maxPrice';
+
+      throw AppError.validation(`Datos de entrada inválidos: minPrice: ${message}`, {
+        fields: [{ path: 'minPrice', rule: 'maxPrice', message }]
+      });
+    }
+
+    const sort = query.sort ?? 'name';
+    const order = (query.order ?? 'asc').toLowerCase();
+
+    const cursor = query.cursor ? toCursor(query.cursor, sort, order) : null;
+
+    const q = typeof query.q === 'string' && query.q.trim() !== '' ? query.q.trim() : null;
+
+    return new ProductListCriteria({
+      page,
+      limit,
+      cursor,
+      minPrice,
+      maxPrice,
+      inStock: query.inStock ?? null,
+      q,
+      categoryId: query.categoryId ?? null,
+      brandId: query.brandId ?? null,
+      sort,
+      order,
+      includeDeleted: query.includeDeleted ?? false
+    });
+  }
+}
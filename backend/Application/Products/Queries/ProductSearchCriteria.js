@@ -0,0 +1,65 @@
+/**
+ * Criterios de Consulta: Búsqueda de Productos
+ * 
+ * Objeto inmutable para la búsqueda de texto completo. Reutiliza la
+ * paginación por defecto de ProductListCriteria y exige un texto de
+ * búsqueda con longitud mínima.
+ * 
+ * @class ProductSearchCriteria
+ * @author Backend Team
+ */
+
+import { AppError } from "../../../Shared/AppError.js";
+import { ProductListCriteria } from "./ProductListCriteria.js";
+
+/**
+ * Longitud mínima y máxima del texto de búsqueda
+ * @constant {Object}
+ */
+export const SEARCH_LENGTH = Object.freeze({ MIN: 2, MAX: 100 });
+
+export class ProductSearchCriteria {
+
+  /**
+   * Constructor de los criterios
+   * 
+   * @param {Object} criteria - Criterios ya validados
+   * @param {string} criteria.q - Texto a buscar
+   * @param {number} criteria.page - Página (desde 1)
+   * @param {number} criteria.limit - Tamaño de página
+   */
+  constructor({ q, page, limit }) {
+    this.q = q;
+    this.page = page;
+    this.limit = limit;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Construye y valida los criterios a partir de los query params
+   * 
+   * @param {Object} query - req.query de Express
+   * @returns {ProductSearchCriteria} Criterios validados
+   * 
+   * @throws {AppError} VALIDATION_ERROR si falta q o la paginación es inválida
+   * 
+   * @static
+   * @example
+   * const criteria = ProductSearchCriteria.fromQuery({ q: 'pestanina', page: '1' });
+   */
+  static fromQuery(query = {}) {
+    const q = typeof query.q === 'string' ? query.q.trim() : '';
+
+    if (q.length < SEARCH_LENGTH.MIN || q.length > SEARCH_LENGTH.MAX) {
+      throw AppError.validation(
+        `El parámetro q debe tener entre ${SEARCH_LENGTH.MIN} y ${SEARCH_LENGTH.MAX} caracteres`,
+        { field: 'q' }
+      );
+    }
+
+    const { page, limit } = ProductListCriteria.fromQuery({ page: query.page, limit: query.limit });
+
+    return new ProductSearchCriteria({ q, page, limit });
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Criterios de Consulta: Historial de Inventario
+ * 
+ * Objeto inmutable con los filtros del historial de movimientos de un
+ * producto. Reutiliza la paginación por defecto de ProductListCriteria.
+ * 
+ * @class StockHistoryCriteria
+ * @author Backend Team
+ */
+
+import { AppError } from "../../../Shared/AppError.js";
+import { isUuid } from "../../../Shared/validators.js";
+import { MOVEMENT_TYPES } from "../../../Domain/Products/Entities/StockMovement.js";
+import { ProductListCriteria } from "./ProductListCriteria.js";
+
+export class StockHistoryCriteria {
+
+  /**
+   * Constructor de los criterios
+   * 
+   * @param {Object} criteria - Criterios ya validados
+   * @param {string|null} criteria.variantId - Solo movimientos de esta variante
+   * @param {string|null} criteria.type - Solo movimientos de este tipo
+   * @param {number} criteria.page - Página (desde 1)
+   * @param {number} criteria.limit - Tamaño de página
+   */
+  constructor({ variantId = null, type = null, page, limit }) {
+    this.variantId = variantId;
+    this.type = type;
+    this.page = page;
+    this.limit = limit;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Construye y valida los criterios a partir de los query params
+   * 
+   * @param {Object} query - req.query de Express
+   * @returns {StockHistoryCriteria} Criterios validados
+   * 
+   * @throws {AppError} VALIDATION_ERROR si algún parámetro es inválido
+   * 
+   * @static
+   * @example
+   * const criteria = StockHistoryCriteria.fromQuery({ type: 'sale', page: '2' });
+   */
+  static fromQuery(query = {}) {
+    const { variantId, type } = query;
+
+    if (variantId !== undefined && variantId !== '' && !isUuid(variantId)) {
+      throw AppError.validation('El parámetro variantId debe ser un UUID válido', { field: 'variantId', value: variantId });
+    }
+
+    if (type !== undefined && type !== '' && !Object.hasOwn(MOVEMENT_TYPES, type)) {
+      throw AppError.validation(
+        `El parámetro type debe ser uno de ${Object.keys(MOVEMENT_TYPES).join(', ')}`,
+        { field: 'type', value: type }
+      );
+    }
+
+    const { page, limit } = ProductListCriteria.fromQuery({ page: query.page, limit: query.limit });
+
+    return new StockHistoryCriteria({
+      variantId: variantId || null,
+      type: type || null,
+      page,
+      limit,
+    });
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Servicio de Aplicación: ProductImageService
+ *
+ * Fachada que orquesta los casos de uso de la galería de imágenes de un
+ * producto, siempre en el contexto de su producto padre.
+ *
+ * @class ProductImageService
+ * @author Backend Team
+ */
+
+import { UploadProductImageUseCase } from '../UseCases/UploadProductImageUseCase.js';
+import { GetProductImagesUseCase } from '../UseCases/GetProductImagesUseCase.js';
+import { UpdateProductImageUseCase } from '../UseCases/UpdateProductImageUseCase.js';
+import { DeleteProductImageUseCase } from '../UseCases/DeleteProductImageUseCase.js';
+
+export class ProductImageService {
+
+  /**
+   * Constructor del servicio de imágenes
+   *
+   * @param {Object} dependencies - Casos de uso inyectados
+   * @param {UploadProductImageUseCase} dependencies.uploadProductImageUseCase - Caso de uso para subir imágenes
+   * @param {GetProductImagesUseCase} dependencies.getProductImagesUseCase - Caso de uso para listar la galería
+   * @param {UpdateProductImageUseCase} dependencies.updateProductImageUseCase - Caso de uso para ordenar o marcar la principal
+   * @param {DeleteProductImageUseCase} dependencies.deleteProductImageUseCase - Caso de uso para eliminar imágenes
+   */
+  constructor({
+    uploadProductImageUseCase,
+    getProductImagesUseCase,
+    updateProductImageUseCase,
+    deleteProductImageUseCase
+  }) {
+    /**
+     * @type {UploadProductImageUseCase}
+     * @private
+     */
+    this.uploadProductImageUseCase = uploadProductImageUseCase;
+
+    /**
+     * @type {GetProductImagesUseCase}
+     * @private
+     */
+    this.getProductImagesUseCase = getProductImagesUseCase;
+
+    /**
+     * @type {UpdateProductImageUseCase}
+     * @private
+     */
+    this.updateProductImageUseCase = updateProductImageUseCase;
+
+    /**
+     * @type {DeleteProductImageUseCase}
+     * @private
+     */
+    this.deleteProductImageUseCase = deleteProductImageUseCase;
+  }
+
+  /**
+   * Sube una imagen a la galería de un producto
+   *
+   * @param {string} productId - Producto padre
+   * @param {{ content: Buffer }} file - Archivo recibido
+   * @param {{ isPrimary?: boolean }} [options] - Opciones de la imagen
+   * @returns {Promise<Result<ProductImage, AppError>>} Imagen registrada o error
+   */
+  async upload(productId, file, options) {
+    return this.uploadProductImageUseCase.execute(productId, file, options);
+  }
+
+  /**
+   * Lista la galería de un producto
+   *
+   * @param {string} productId - Producto padre
+   * @returns {Promise<Result<ProductImage[], AppError>>} Imágenes ordenadas o error 404
+   */
+  async getAll(productId) {
+    return this.getProductImagesUseCase.execute(productId);
+  }
+
+  /**
+   * Cambia la posición de una imagen y/o la marca como principal
+   *
+   * @param {string} productId - Producto padre
+   * @param {string} imageId - Identificador de la imagen
+   * @param {{ position?: number, isPrimary?: boolean }} changes - Campos a modificar
+   * @returns {Promise<Result<ProductImage, AppError>>} Imagen actualizada o error
+   */
+  async update(productId, imageId, changes) {
+    return this.updateProductImageUseCase.execute(productId, imageId, changes);
+  }
+
+  /**
+   * Elimina una imagen y sus archivos
+   *
+   * @param {string} productId - Producto padre
+   * @param {string} imageId - Identificador de la imagen
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id eliminado o error
+   */
+  async remove(productId, imageId) {
+    return this.deleteProductImageUseCase.execute(productId, imageId);
+  }
+}
@@ -24,6 +24,17 @@
 
 import { CreateProductUseCase } from '../UseCases/CreateProductUseCase.js';
 import { GetProductUseCase } from '../UseCases/GetProductUseCase.js';
+import { GetProductByIdUseCase } from '../UseCases/GetProductByIdUseCase.js';
+import { UpdateProductUseCase } from '../UseCases/UpdateProductUseCase.js';
+import { DeleteProductUseCase } from '../UseCases/DeleteProductUseCase.js';
+import { RestoreProductUseCase } from '../UseCases/RestoreProductUseCase.js';
+import { PurgeProductUseCase } from '../UseCases/PurgeProductUseCase.js';
+import { SearchProductsUseCase } from '../UseCases/SearchProductsUseCase.js';
+import { ImportProductsUseCase } from '../UseCases/ImportProductsUseCase.js';
+import { ExportProductsUseCase } from '../UseCases/ExportProductsUseCase.js';
+import { AdjustStockUseCase } from '../UseCases/AdjustStockUseCase.js';
+import { GetStockHistoryUseCase } from '../UseCases/GetStockHistoryUseCase.js';
+import { GetStockLevelsUseCase } from '../UseCases/GetStockLevelsUseCase.js';
 
 export class ProductService {
 
@@ -36,8 +47,33 @@ export class ProductService {
    * @param {Object} dependencies - Casos de uso inyectados
    * @param {CreateProductUseCase} dependencies.createProductUseCase - Caso de uso para crear productos
    * @param {GetProductUseCase} dependencies.getProductUseCase - Caso de uso para obtener productos
+   * @param {GetProductByIdUseCase} dependencies.getProductByIdUseCase - Caso de uso para obtener un producto
+   * @param {UpdateProductUseCase} dependencies.updateProductUseCase - Caso de uso para actualizar productos
+   * @param {DeleteProductUseCase} dependencies.deleteProductUseCase - Caso de uso para eliminar productos (soft delete)
+   * @param {RestoreProductUseCase} dependencies.restoreProductUseCase - Caso de uso para restaurar productos
+   * @param {PurgeProductUseCase} dependencies.purgeProductUseCase - Caso de uso para purgar productos
+   * @param {SearchProductsUseCase} dependencies.searchProductsUseCase - Caso de uso para búsqueda de texto completo
+   * @param {ImportProductsUseCase} dependencies.importProductsUseCase - Caso de uso para importación masiva
+   * @param {ExportProductsUseCase} dependencies.exportProductsUseCase - Caso de uso para exportación en streaming
+   * @param {AdjustStockUseCase} dependencies.adjustStockUseCase - Caso de uso para movimientos de inventario
+   * @param {GetStockHistoryUseCase} dependencies.getStockHistoryUseCase - Caso de uso para el historial de inventario
+   * @param {GetStockLevelsUseCase} dependencies.getStockLevelsUseCase - Caso de uso para los conteos de stock bajo y agotado
    */
-  constructor({ createProductUseCase, getProductUseCase }) {
+  constructor({
+    createProductUseCase,
+    getProductUseCase,
+    getProductByIdUseCase,
+    updateProductUseCase,
+    deleteProductUseCase,
+    restoreProductUseCase,
+    purgeProductUseCase,
+    searchProductsUseCase,
+    importProductsUseCase,
+    exportProductsUseCase,
+    adjustStockUseCase,
+    getStockHistoryUseCase,
+    getStockLevelsUseCase
+  }) {
     /**
      * Caso de uso para la creación de productos
      * @type {CreateProductUseCase}
@@ -51,6 +87,83 @@ export class ProductService {
      * @private
      */
     this.getProductUseCase = getProductUseCase;
+
+    /**
+     * Caso de uso para la consulta de un producto por ID
+     * @type {GetProductByIdUseCase}
+     * @private
+     */
+    this.getProductByIdUseCase = getProductByIdUseCase;
+
+    /**
+     * Caso de uso para la actualización de productos
+     * @type {UpdateProductUseCase}
+     * @private
+     */
+    this.updateProductUseCase = updateProductUseCase;
+
+    /**
+     * Caso de uso para la eliminación lógica de productos
+     * @type {DeleteProductUseCase}
+     * @private
+     */
+    this.deleteProductUseCase = deleteProductUseCase;
+
+    /**
+     * Caso de uso para la restauración de productos eliminados
+     * @type {RestoreProductUseCase}
+     * @private
+     */
+    this.restoreProductUseCase = restoreProductUseCase;
+
+    /**
+     * Caso de uso para la eliminación física de productos
+     * @type {PurgeProductUseCase}
+     * @private
+     */
+    this.purgeProductUseCase = purgeProductUseCase;
+
+    /**
+     * Caso de uso para la búsqueda de texto completo
+     * @type {SearchProductsUseCase}
+     * @private
+     */
+    this.searchProductsUseCase = searchProductsUseCase;
+
+    /**
+     * Caso de uso para la importación masiva de productos
+     * @type {ImportProductsUseCase}
+     * @private
+     */
+    this.importProductsUseCase = importProductsUseCase;
+
+    /**
+     * Caso de uso para la exportación del catálogo en streaming
+     * @type {ExportProductsUseCase}
+     * @private
+     */
+    this.exportProductsUseCase = exportProductsUseCase;
+
+    /**
+     * Caso de uso para registrar movimientos de inventario
+     * @type {AdjustStockUseCase}
+     * @private
+     */
+    this.adjustStockUseCase = adjustStockUseCase;
+
+    /**
+     * Caso de uso para consultar el historial de inventario
+     * @type {GetStockHistoryUseCase}
+     * @private
+     */
+    this.getStockHistoryUseCase = getStockHistoryUseCase;
+
+    /**
+     * Caso de uso para contar productos agotados y con stock bajo
+     * @type {GetStockLevelsUseCase}
+     * @private
+     */
+    this.getStockLevelsUseCase = getStockLevelsUseCase;
   }
 
   /**
@@ -64,6 +177,9 @@ export class ProductService {
    * @param {string} productData.name - Nombre del producto
    * @param {number} productData.price - Precio del producto
    * @param {number} productData.stock - Cantidad en inventario
+   * @param {string|null} [productData.categoryId] - Categoría del producto
+   * @param {string|null} [productData.brandId] - Marca del producto
+   * @param {Object} [options] - Opciones (actor: responsable del stock inicial)
    * 
    * @returns {Promise<Result<Product, AppError>>} Resultado de la creación
    * 
@@ -74,27 +190,185 @@ export class ProductService {
    *   stock: 25
    * });
    */
-  async create(productData) {
-    return this.createProductUseCase.execute(productData);
+  async create(productData, options) {
+    return this.createProductUseCase.execute(productData, options);
   }
 
   /**
-   * Obtiene todos los productos disponibles en el sistema
+   * Obtiene una página de productos del catálogo
    * 
    * Delega la operación al caso de uso correspondiente. En el futuro
    * puede agregar lógica de caché, transformaciones adicionales o
    * filtrado de datos sensibles.
    * 
-   * @returns {Promise<Result<Product[], AppError>>} Lista de productos
+   * @param {ProductListCriteria} [criteria] - Paginación, filtros y ordenamiento
+   * @returns {Promise<Result<Object, AppError>>} Página de productos con metadatos
    * 
    * @example
-   * const result = await productService.getAll();
+   * const result = await productService.getAll(ProductListCriteria.fromQuery(req.query));
    * 
    * if (result.isSuccess) {
-   *   console.log(`Total de productos: ${result.value.length}`);
+   *   console.log(`Total de productos: ${result.value.total}`);
    * }
    */
-  async getAll() {
-    return this.getProductUseCase.execute();
+  async getAll(criteria) {
+    return this.getProductUseCase.execute(criteria);
+  }
+
+  /**
+   * Obtiene un producto por su identificador
+   * 
+   * @param {string} id - Identificador único (UUID) del producto
+   * @returns {Promise<Result<Product, AppError>>} Producto encontrado o error 404
+   * 
+   * @example
+   * const result = await productService.getById('550e8400-e29b-41d4-a716-446655440000');
+   */
+  async getById(id) {
+    return this.getProductByIdUseCase.execute(id);
+  }
+
+  /**
+   * Reemplaza todos los campos editables de un producto (PUT)
+   * 
+   * @param {string} id - Identificador del producto
+   * @param {Object} productData - Datos completos (name, price, stock, categoryId, brandId)
+   * @param {number|null} expectedVersion - Versión esperada tomada del header If-Match
+   * @param {string|null} [actor=null] - Responsable de un cambio de stock (principalOf)
+   * @returns {Promise<Result<Product, AppError>>} Producto actualizado o error
+   */
+  async replace(id, productData, expectedVersion, actor = null) {
+    return this.updateProductUseCase.execute(id, productData, {
+      expectedVersion,
+      partial: false,
+      actor
+    });
+  }
+
+  /**
+   * Actualiza parcialmente un producto (PATCH)
+   * 
+   * @param {string} id - Identificador del producto
+   * @param {Object} changes - Campos a modificar
+   * @param {number|null} expectedVersion - Versión esperada tomada del header If-Match
+   * @param {string|null} [actor=null] - Responsable de un cambio de stock (principalOf)
+   * @returns {Promise<Result<Product, AppError>>} Producto actualizado o error
+   * 
+   * @example
+   * const result = await productService.update(id, { price: 79.99 }, 4, principalOf(req));
+   */
+  async update(id, changes, expectedVersion, actor = null) {
+    return this.updateProductUseCase.execute(id, changes, {
+      expectedVersion,
+      partial: true,
+      actor
+    });
+  }
+
+  /**
+   * Elimina lógicamente un producto (recuperable con restore)
+   * 
+   * @param {string} id - Identificador del producto
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id eliminado o error
+   */
+  async remove(id) {
+    return this.deleteProductUseCase.execute(id);
+  }
+
+  /**
+   * Restaura un producto eliminado lógicamente
+   * 
+   * @param {string} id - Identificador del producto
+   * @returns {Promise<Result<Product, AppError>>} Producto restaurado o error
+   */
+  async restore(id) {
+    return this.restoreProductUseCase.execute(id);
+  }
+
+  /**
+   * Elimina físicamente un producto (irreversible)
+   * 
+   * @param {string} id - Identificador del producto
+   * @param {Object} [options] - Opciones (actor: responsable del cierre del stock)
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id purgado o error
+   */
+  async purge(id, options) {
+    return this.purgeProductUseCase.execute(id, options);
+  }
+
+  /**
+   * Busca productos por texto (insensible a acentos y tolerante a errores)
+   * 
+   * @param {ProductSearchCriteria} criteria - Texto y paginación
+   * @returns {Promise<Result<Object, AppError>>} Página de resultados rankeados
+   * 
+   * @example
+   * const result = await productService.search(ProductSearchCriteria.fromQuery({ q: 'pestanina' }));
+   */
+  async search(criteria) {
+    return this.searchProductsUseCase.execute(criteria);
+  }
+
+  /**
+   * Importa productos en lote con reporte por fila
+   * 
+   * @param {Object[]} rows - Filas con name, price y stock
+   * @param {Object} [options] - Opciones de importación
+   * @param {string} [options.mode='all-or-nothing'] - all-or-nothing | best-effort
+   * @param {boolean} [options.dryRun=false] - true para solo validar y reportar
+   * @param {string|null} [options.actor] - Responsable del stock inicial (principalOf)
+   * @returns {Promise<Result<Object, AppError>>} Reporte de la importación
+   * 
+   * @example
+   * const result = await productService.bulkImport(rows, { mode: 'best-effort', dryRun: true });
+   */
+  async bulkImport(rows, options) {
+    return this.importProductsUseCase.execute(rows, options);
+  }
+
+  /**
+   * Exporta el catálogo filtrado entregando cada producto al consumidor
+   * 
+   * @param {ProductListCriteria} criteria - Filtros y ordenamiento
+   * @param {function(Product): Promise<void>} onProduct - Consumidor de cada producto
+   * @returns {Promise<Result<{ exported: number }, AppError>>} Cantidad exportada
+   */
+  async exportAll(criteria, onProduct) {
+    return this.exportProductsUseCase.execute(criteria, onProduct);
+  }
+
+  /**
+   * Registra un movimiento de inventario y actualiza el stock
+   * 
+   * @param {string} id - Identificador del producto
+   * @param {Object} movementData - type, quantity, reason y opcionalmente variantId, actor, reference
+   * @returns {Promise<Result<StockMovement, AppError>>} Movimiento registrado o error
+   * 
+   * @example
+   * const result = await productService.adjustStock(id, { type: 'receipt', quantity: 24, reason: 'Recepción de proveedor' });
+   */
+  async adjustStock(id, movementData) {
+    return this.adjustStockUseCase.execute(id, movementData);
+  }
+
+  /**
+   * Obtiene el historial de movimientos de inventario de un producto
+   * 
+   * @param {string} id - Identificador del producto
+   * @param {StockHistoryCriteria} criteria - Filtros y paginación
+   * @returns {Promise<Result<Object, AppError>>} Página de movimientos con metadatos
+   */
+  async getStockHistory(id, criteria) {
+    return this.getStockHistoryUseCase.execute(id, criteria);
+  }
+
+  /**
+   * Cuenta los productos agotados y con stock bajo
+   * 
+   * @param {number} lowStockThreshold - Umbral de stock bajo (inclusive)
+   * @returns {Promise<Result<{ outOfStock: number, lowStock: number }, AppError>>} Cantidades de productos o error
+   */
+  async getStockLevels(lowStockThreshold) {
+    return this.getStockLevelsUseCase.execute(lowStockThreshold);
   }
 }
@@ -0,0 +1,123 @@
+/**
+ * Servicio de Aplicación: ProductVariantService
+ * 
+ * Fachada que orquesta los casos de uso de variantes de producto
+ * (tono, tamaño), siempre en el contexto de su producto padre.
+ * 
+ * @class ProductVariantService
+ * @author Backend Team
+ */
+
+import { CreateProductVariantUseCase } from '../UseCases/CreateProductVariantUseCase.js';
+import { GetProductVariantsUseCase } from '../UseCases/GetProductVariantsUseCase.js';
+import { GetProductVariantByIdUseCase } from '../UseCases/GetProductVariantByIdUseCase.js';
+import { UpdateProductVariantUseCase } from '../UseCases/UpdateProductVariantUseCase.js';
+import { DeleteProductVariantUseCase } from '../UseCases/DeleteProductVariantUseCase.js';
+
+export class ProductVariantService {
+
+  /**
+   * Constructor del servicio de variantes
+   * 
+   * @param {Object} dependencies - Casos de uso inyectados
+   * @param {CreateProductVariantUseCase} dependencies.createProductVariantUseCase - Caso de uso para crear variantes
+   * @param {GetProductVariantsUseCase} dependencies.getProductVariantsUseCase - Caso de uso para listar variantes
+   * @param {GetProductVariantByIdUseCase} dependencies.getProductVariantByIdUseCase - Caso de uso para obtener una variante
+   * @param {UpdateProductVariantUseCase} dependencies.updateProductVariantUseCase - Caso de uso para actualizar variantes
+   * @param {DeleteProductVariantUseCase} dependencies.deleteProductVariantUseCase - Caso de uso para eliminar variantes
+   */
+  constructor({
+    createProductVariantUseCase,
+    getProductVariantsUseCase,
+    getProductVariantByIdUseCase,
+    updateProductVariantUseCase,
+    deleteProductVariantUseCase
+  }) {
+    /**
+     * @type {CreateProductVariantUseCase}
+     * @private
+     */
+    this.createProductVariantUseCase = createProductVariantUseCase;
+
+    /**
+     * @type {GetProductVariantsUseCase}
+     * @private
+     */
+    this.getProductVariantsUseCase = getProductVariantsUseCase;
+
+    /**
+     * @type {GetProductVariantByIdUseCase}
+     * @private
+     */
+    this.getProductVariantByIdUseCase = getProductVariantByIdUseCase;
+
+    /**
+     * @type {UpdateProductVariantUseCase}
+     * @private
+     */
+    this.updateProductVariantUseCase = updateProductVariantUseCase;
+
+    /**
+     * @type {DeleteProductVariantUseCase}
+     * @private
+     */
+    this.deleteProductVariantUseCase = deleteProductVariantUseCase;
+  }
+
+  /**
+   * Agrega una variante a un producto
+   * 
+   * @param {string} productId - Producto padre
+   * @param {Object} variantData - Datos (sku, shade, size, price, stock)
+   * @param {Object} [options] - Opciones (actor: responsable del stock inicial)
+   * @returns {Promise<Result<ProductVariant, AppError>>} Variante creada o error
+   */
+  async create(productId, variantData, options) {
+    return this.createProductVariantUseCase.execute(productId, variantData, options);
+  }
+
+  /**
+   * Lista las variantes de un producto
+   * 
+   * @param {string} productId - Producto padre
+   * @returns {Promise<Result<ProductVariant[], AppError>>} Variantes o error 404
+   */
+  async getAll(productId) {
+    return this.getProductVariantsUseCase.execute(productId);
+  }
+
+  /**
+   * Obtiene una variante de un producto
+   * 
+   * @param {string} productId - Producto padre
+   * @param {string} variantId - Identificador de la variante
+   * @returns {Promise<Result<ProductVariant, AppError>>} Variante o error 404
+   */
+  async getById(productId, variantId) {
+    return this.getProductVariantByIdUseCase.execute(productId, variantId);
+  }
+
+  /**
+   * Modifica parcialmente una variante
+   * 
+   * @param {string} productId - Producto padre
+   * @param {string} variantId - Identificador de la variante
+   * @param {Object} changes - Campos a modificar
+   * @param {Object} [options] - Opciones (actor: responsable de un cambio de stock)
+   * @returns {Promise<Result<ProductVariant, AppError>>} Variante actualizada o error
+   */
+  async update(productId, variantId, changes, options) {
+    return this.updateProductVariantUseCase.execute(productId, variantId, changes, options);
+  }
+
+  /**
+   * Elimina una variante
+   * 
+   * @param {string} productId - Producto padre
+   * @param {string} variantId - Identificador de la variante
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id eliminado o error
+   */
+  async remove(productId, variantId) {
+    return this.deleteProductVariantUseCase.execute(productId, variantId);
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Aplicación de Cambios de Stock
+ *
+ * Persiste el nuevo stock cacheado de un producto o de una variante y
+ * asienta el movimiento en el libro de inventario. Lo usan los pedidos
+ * (venta al confirmar, devolución al cancelar), que mueven el stock de
+ * varias líneas en la misma transacción.
+ *
+ * @module ApplyStockChange
+ * @author Backend Team
+ */
+
+import { ProductVariant } from "../../../Domain/Products/Entities/ProductVariant.js";
+import { recordStockChange } from "./recordStockChange.js";
+
+/**
+ * Actualiza el stock y registra el movimiento
+ *
+ * El llamador es responsable de haber bloqueado el producto y validado
+ * que el nuevo stock no sea negativo.
+ *
+ * @param {Object} repositories - Repositorios requeridos
+ * @param {ProductRepository} repositories.productRepository - Repositorio de productos
+ * @param {ProductVariantRepository} repositories.productVariantRepository - Repositorio de variantes
+ * @param {StockMovementRepository} repositories.stockMovementRepository - Libro de inventario
+ * @param {Object} change - Cambio a aplicar
+ * @param {Product} change.product - Producto afectado
+ * @param {ProductVariant|null} [change.variant] - Variante afectada (null = stock del producto)
+ * @param {number} change.newStock - Stock resultante
+ * @param {string} change.type - Tipo de movimiento (sale, return...)
+ * @param {string} change.reason - Motivo
+ * @param {string|null} [change.reference] - Referencia externa (ej: id del pedido)
+ * @param {string|null} [change.actor] - Responsable (principalOf: user:<id> o api-key:<id>)
+ * @param {Transaction} transaction - Transacción activa
+ * @returns {Promise<StockMovement|null>} Movimiento registrado o null si el stock no cambió
+ *
+ * @example
+ * await applyStockChange(this, {
+ *   product, variant, newStock: variant.stock - 2, type: 'sale', reason: 'Venta', reference: order.id, actor
+ * }, transaction);
+ */
+export async function applyStockChange(repositories, { product, variant = null, newStock, type, reason, reference = null, actor = null }, transaction) {
+  const previousStock = variant ? variant.stock : product.stock;
+
+  if (variant) {
+    await repositories.productVariantRepository.update(new ProductVariant({ ...variant, stock: newStock }), transaction);
+  } else {
+    await repositories.productRepository.setStock(product.id, newStock, transaction);
+  }
+
+  return recordStockChange(repositories.stockMovementRepository, {
+    productId: product.id,
+    variantId: variant?.id ?? null,
+    type,
+    previousStock,
+    newStock,
+    reason,
+    reference,
+    actor,
+  }, transaction);
+}
@@ -0,0 +1,52 @@
+/**
+ * Registro de Cambios de Stock
+ * 
+ * Asienta en el libro de inventario los cambios de stock que no pasan
+ * por AdjustStockUseCase: el stock inicial de productos y variantes
+ * (creación e importación), las ediciones directas del campo stock,
+ * las ventas y cancelaciones de pedidos y el cierre del stock al purgar.
+ * Así el historial explica cada unidad, sin importar por dónde cambió.
+ * 
+ * @module RecordStockChange
+ * @author Backend Team
+ */
+
+import { StockMovement } from "../../../Domain/Products/Entities/StockMovement.js";
+
+/**
+ * Registra la diferencia entre el stock previo y el nuevo
+ * 
+ * Debe llamarse con la misma transacción que persistió el nuevo stock.
+ * 
+ * @param {StockMovementRepository} stockMovementRepository - Libro de inventario
+ * @param {Object} change - Cambio a registrar
+ * @param {string} change.productId - Producto afectado
+ * @param {string|null} [change.variantId] - Variante afectada
+ * @param {string} change.type - Tipo de movimiento (receipt para stock inicial, adjustment para ediciones)
+ * @param {number} change.previousStock - Stock antes del cambio
+ * @param {number} change.newStock - Stock después del cambio
+ * @param {string} change.reason - Motivo
+ * @param {string|null} [change.reference] - Referencia externa (ej: id del pedido)
+ * @param {string|null} [change.actor] - Responsable (principalOf: user:<id> o api-key:<id>)
+ * @param {Transaction} transaction - Transacción activa
+ * @returns {Promise<StockMovement|null>} Movimiento registrado o null si el stock no cambió
+ * 
+ * @example
+ * await recordStockChange(this.stockMovementRepository, {
+ *   productId: created.id, type: 'receipt', previousStock: 0, newStock: created.stock, reason: 'Stock inicial', actor
+ * }, transaction);
+ */
+export async function recordStockChange(stockMovementRepository, { productId, variantId = null, type, previousStock, newStock, reason, reference = null, actor = null }, transaction) {
+  if (newStock === previousStock) return null;
+
+  return stockMovementRepository.create(new StockMovement({
+    productId,
+    variantId,
+    type,
+    quantity: newStock - previousStock,
+    stockAfter: newStock,
+    reason,
+    actor,
+    reference,
+  }), transaction);
+}
@@ -0,0 +1,52 @@
+/**
+ * Resolución de la Variante de un Movimiento de Stock
+ * 
+ * Los productos con variantes guardan el stock en cada variante: toda
+ * operación que mueve o aparta unidades (movimientos de inventario,
+ * reservas) debe indicar cuál. Compartida para reportar los mismos
+ * errores en todos los casos.
+ * 
+ * @module ResolveStockVariant
+ * @author Backend Team
+ */
+
+import { AppError } from "../../../Shared/AppError.js";
+
+/**
+ * Obtiene la variante indicada o verifica que el producto no tenga variantes
+ * 
+ * @param {Object} repositories - Repositorios requeridos
+ * @param {ProductVariantRepository} repositories.productVariantRepository - Repositorio de variantes
+ * @param {string} productId - Producto
+ * @param {string|null} variantId - Variante indicada por el cliente
+ * @param {Transaction} transaction - Transacción activa
+ * @returns {Promise<{ variant: ProductVariant|null, error: AppError|null }>}
+ *   variant null significa que el stock es el del producto
+ * 
+ * @example
+ * const { variant, error } = await resolveStockVariant(this, productId, variantId, transaction);
+ * if (error) return fail(error);
+ */
+export async function resolveStockVariant({ productVariantRepository }, productId, variantId, transaction) {
+  if (variantId) {
+    const variant = await productVariantRepository.findById(productId, variantId, transaction);
+
+    return variant
+      ? { variant, error: null }
+      : { variant: null, error: AppError.notFound('Variante', { id: variantId, productId }) };
+  }
+
+  const variants = await productVariantRepository.findByProduct(productId, transaction);
+
+  if (variants.length > 0) {
+    return {
+      variant: null,
+      error: AppError.validation(
+        'El producto tiene variantes: indique la variante (variantId)',
+        { field: 'variantId' }
+      )
+    };
+  }
+
+  return { variant: null, error: null };
+}
@@ -0,0 +1,181 @@
+/**
+ * Caso de Uso: Ajustar Stock
+ *
+ * Registra un movimiento en el libro de inventario (recepción, venta,
+ * ajuste, devolución o merma) y actualiza el stock cacheado del producto
+ * o de la variante en la misma transacción: o se aplican ambos, o ninguno.
+ *
+ * Reglas de Negocio:
+ * - El producto debe existir y no estar eliminado
+ * - Si el producto tiene variantes, el movimiento debe indicar la variante
+ *   (el stock vive en cada variante)
+ * - En recepción, devolución, venta y merma la cantidad es positiva y el
+ *   tipo determina si suma o resta; en un ajuste la cantidad lleva signo
+ * - El stock resultante no puede ser negativo
+ *
+ * @class AdjustStockUseCase
+ * @author Backend Team
+ */
+
+import { MOVEMENT_TYPES, StockMovement } from "../../../Domain/Products/Entities/StockMovement.js";
+import { ProductVariant } from "../../../Domain/Products/Entities/ProductVariant.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { resolveStockVariant } from "../Stock/resolveStockVariant.js";
+
+export class AdjustStockUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {StockMovementRepository} dependencies.stockMovementRepository - Libro de inventario
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ productRepository, productVariantRepository, stockMovementRepository, unitOfWork }) {
+    /**
+     * Repositorio de productos (stock cacheado de productos sin variantes)
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Repositorio de variantes (stock cacheado de cada variante)
+     * @type {ProductVariantRepository}
+     * @private
+     */
+    this.productVariantRepository = productVariantRepository;
+
+    /**
+     * Libro de movimientos de inventario
+     * @type {StockMovementRepository}
+     * @private
+     */
+    this.stockMovementRepository = stockMovementRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el movimiento de inventario
+   *
+   * @param {string} productId - Producto afectado
+   * @param {Object} movementData - Datos del movimiento
+   * @param {string} movementData.type - receipt | sale | adjustment | return | damage
+   * @param {number} movementData.quantity - Unidades (con signo solo en adjustment)
+   * @param {string} movementData.reason - Motivo
+   * @param {string|null} [movementData.variantId] - Variante afectada
+   * @param {string|null} [movementData.actor] - Responsable: quien se autenticó (user:<id> o api-key:<id>)
+   * @param {string|null} [movementData.reference] - Referencia externa
+   * @returns {Promise<Result<StockMovement, AppError>>} Movimiento registrado o error
+   *
+   * @example
+   * const result = await adjustStockUseCase.execute(productId, {
+   *   type: 'damage',
+   *   quantity: 2,
+   *   reason: 'Envases rotos en depósito',
+   *   actor: 'user:550e8400-e29b-41d4-a716-446655440000'
+   * });
+   */
+  async execute(productId, { type, quantity, reason, variantId = null, actor = null, reference = null }) {
+
+    // === VALIDACIÓN DE LA CANTIDAD ===
+
+    if (!Object.hasOwn(MOVEMENT_TYPES, type)) {
+      return fail(AppError.validation(
+        `El tipo debe ser uno de ${Object.keys(MOVEMENT_TYPES).join(', ')}`,
+        { field: 'type', value: type }
+      ));
+    }
+
+    const direction = MOVEMENT_TYPES[type];
+
+    if (!Number.isInteger(quantity) || quantity === 0 || (direction !== 0 && quantity < 0)) {
+      return fail(AppError.validation(
+        direction === 0
+          ? 'La cantidad de un ajuste debe ser un entero distinto de 0 (negativo para restar)'
+          : `La cantidad debe ser un entero positivo: un movimiento de tipo ${type} siempre ${direction > 0 ? 'suma' : 'resta'}`,
+        { field: 'quantity', value: quantity }
+      ));
+    }
+
+    const delta = direction === 0 ? quantity : direction * quantity;
+
+    return this.uow.run(async (transaction) => {
+
+      // === VERIFICACIÓN DEL PRODUCTO Y LA VARIANTE ===
+
+      // El bloqueo serializa los movimientos del producto y de sus variantes
+      const product = await this.productRepository.findById(productId, transaction, { lock: true });
+
+      if (!product) {
+        return fail(AppError.notFound('Producto', { id: productId }));
+      }
+
+      const { variant, error } = await resolveStockVariant(this, productId, variantId, transaction);
+
+      if (error) {
+        return fail(error);
+      }
+
+      // === CÁLCULO DEL NUEVO STOCK ===
+
+      const currentStock = variant ? variant.stock : product.stock;
+      const newStock = currentStock + delta;
+
+      if (newStock < 0) {
+        return fail(
+          new AppError(
+            "INSUFFICIENT_STOCK",
+            `Stock insuficiente: hay ${currentStock} unidades y el movimiento resta ${-delta}`,
+            409,
+            { productId, variantId, stock: currentStock, quantity: delta }
+          )
+        );
+      }
+
+      let movementEntity;
+
+      try {
+        movementEntity = new StockMovement({
+          productId,
+          variantId,
+          type,
+          quantity: delta,
+          stockAfter: newStock,
+          reason,
+          actor,
+          reference,
+        });
+      } catch (domainError) {
+        return fail(
+          new AppError(
+            "VALIDATION_ERROR",
+            `Datos del movimiento inválidos: ${domainError.message}`,
+            400
+          )
+        );
+      }
+
+      // === PERSISTENCIA: STOCK CACHEADO Y MOVIMIENTO ===
+
+      if (variant) {
+        await this.productVariantRepository.update(new ProductVariant({ ...variant, stock: newStock }), transaction);
+      } else {
+        await this.productRepository.setStock(productId, newStock, transaction);
+      }
+
+      const movement = await this.stockMovementRepository.create(movementEntity, transaction);
+
+      return ok(movement);
+    });
+  }
+}
@@ -15,6 +15,7 @@
  * Reglas de Negocio:
  * - No pueden existir dos productos con el mismo nombre
  * - Todos los datos del producto deben ser válidos
+ * - La categoría y la marca, si se indican, deben existir
  * - La operación debe ser transaccional
  * 
  * @class CreateProductUseCase
@@ -24,6 +25,8 @@
 import { Product } from "../../../Domain/Products/Entities/Product.js";
 import { AppError } from "../../../Shared/AppError.js";
 import { ok, fail } from "../../../Shared/Result.js";
+import { findInvalidReference } from "../Validation/productReferences.js";
+import { recordStockChange } from "../Stock/recordStockChange.js";
 
 export class CreateProductUseCase {
   
@@ -35,9 +38,12 @@ export class CreateProductUseCase {
    * 
    * @param {Object} dependencies - Dependencias inyectadas
    * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {CategoryRepository} dependencies.categoryRepository - Repositorio de categorías
+   * @param {BrandRepository} dependencies.brandRepository - Repositorio de marcas
+   * @param {StockMovementRepository} dependencies.stockMovementRepository - Libro de inventario
    * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
    */
-  constructor({ productRepository, unitOfWork }) {
+  constructor({ productRepository, categoryRepository, brandRepository, stockMovementRepository, unitOfWork }) {
     /**
      * Repositorio para operaciones de persistencia de productos
      * @type {ProductRepository}
@@ -45,6 +51,26 @@ export class CreateProductUseCase {
      */
     this.productRepository = productRepository;
     
+    /**
+     * Repositorios para validar la categoría y la marca del producto
+     * @type {CategoryRepository}
+     * @private
+     */
+    this.categoryRepository = categoryRepository;
+    
+    /**
+     * @type {BrandRepository}
+     * @private
+     */
+    this.brandRepository = brandRepository;
+    
+    /**
+     * Libro de inventario (registra el stock inicial)
+     * @type {StockMovementRepository}
+     * @private
+     */
+    this.stockMovementRepository = stockMovementRepository;
+    
     /**
      * Unit of Work para manejo transaccional
      * @type {UnitOfWork}
@@ -68,6 +94,10 @@ export class CreateProductUseCase {
    * @param {string} productData.name - Nombre del producto
    * @param {number} productData.price - Precio del producto
    * @param {number} productData.stock - Cantidad en inventario
+   * @param {string|null} [productData.categoryId] - Categoría del producto
+   * @param {string|null} [productData.brandId] - Marca del producto
+   * @param {Object} [options] - Opciones de la operación
+   * @param {string|null} [options.actor=null] - Responsable del stock inicial (principalOf)
    * 
    * @returns {Promise<Result<Product, AppError>>} Resultado de la operación
    * 
@@ -84,7 +114,7 @@ export class CreateProductUseCase {
    *   console.error('Error:', result.error.message);
    * }
    */
-  async execute(productData) {
+  async execute(productData, { actor = null } = {}) {
     // Ejecutar toda la operación dentro de una transacción
     // Esto garantiza consistencia ACID
     return this.uow.run(async (transaction) => {
@@ -99,11 +129,18 @@ export class CreateProductUseCase {
       );
       
       if (existingProduct) {
+        // Un producto eliminado lógicamente sigue reservando su nombre;
+        // se indica su id para que pueda restaurarse en lugar de recrearse
+        const message = existingProduct.isDeleted()
+          ? `Ya existe un producto eliminado con el nombre "${productData.name}", restáurelo en lugar de crearlo`
+          : `Ya existe un producto con el nombre "${productData.name}"`;
+        
         return fail(
           new AppError(
             "PRODUCT_ALREADY_EXISTS", 
-            `Ya existe un producto con el nombre "${productData.name}"`, 
-            400
+            message, 
+            400,
+            { id: existingProduct.id, deleted: existingProduct.isDeleted() }
           )
         );
       }
@@ -115,6 +152,15 @@ export class CreateProductUseCase {
         // Si los datos son inválidos, lanzará una excepción
         const productEntity = new Product(productData);
         
+        // === VALIDACIÓN DE REFERENCIAS ===
+        
+        // La categoría y la marca deben existir antes de asignarlas
+        const referenceError = await findInvalidReference(this, productEntity, transaction);
+        
+        if (referenceError) {
+          return fail(referenceError);
+        }
+        
         // === PERSISTENCIA ===
         
         // Delegar la persistencia al repositorio
@@ -135,6 +181,16 @@ export class CreateProductUseCase {
           );
         }
         
+        // El stock inicial queda asentado como la primera recepción
+        await recordStockChange(this.stockMovementRepository, {
+          productId: createdProduct.id,
+          type: 'receipt',
+          previousStock: 0,
+          newStock: createdProduct.stock,
+          reason: 'Stock inicial',
+          actor
+        }, transaction);
+        
         // === RESULTADO EXITOSO ===
         return ok(createdProduct);
         
@@ -144,7 +200,9 @@ export class CreateProductUseCase {
           new AppError(
             "VALIDATION_ERROR",
             `Datos del producto inválidos: ${domainError.message}`,
-            400
+            400,
+            // Violaciones por campo, para que el cliente resalte cada uno
+            domainError.fields ? { fields: domainError.fields } : {}
           )
         );
       }
@@ -0,0 +1,156 @@
+/**
+ * Caso de Uso: Crear Variante de Producto
+ * 
+ * Agrega una variante (tono y/o tamaño) a un producto existente.
+ * 
+ * Reglas de Negocio:
+ * - El producto padre debe existir y no estar eliminado
+ * - El SKU es único en todo el catálogo
+ * - Un producto no puede tener dos variantes con el mismo tono y tamaño
+ * 
+ * @class CreateProductVariantUseCase
+ * @author Backend Team
+ */
+
+import { ProductVariant } from "../../../Domain/Products/Entities/ProductVariant.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { recordStockChange } from "../Stock/recordStockChange.js";
+
+export class CreateProductVariantUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {StockMovementRepository} dependencies.stockMovementRepository - Libro de inventario
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ productRepository, productVariantRepository, stockMovementRepository, unitOfWork }) {
+    /**
+     * Repositorio de productos (verifica que el producto padre exista)
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Repositorio para operaciones de persistencia de variantes
+     * @type {ProductVariantRepository}
+     * @private
+     */
+    this.productVariantRepository = productVariantRepository;
+
+    /**
+     * Libro de inventario (registra los cambios de stock de la variante)
+     * @type {StockMovementRepository}
+     * @private
+     */
+    this.stockMovementRepository = stockMovementRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de creación de variante
+   * 
+   * @param {string} productId - Producto padre
+   * @param {Object} variantData - Datos de la variante (sku, shade, size, price, stock)
+   * @param {Object} [options] - Opciones de la operación
+   * @param {string|null} [options.actor=null] - Responsable del stock inicial (principalOf)
+   * @returns {Promise<Result<ProductVariant, AppError>>} Variante creada o error
+   * 
+   * @example
+   * const result = await createProductVariantUseCase.execute(productId, {
+   *   sku: 'BASE-MATE-30-130',
+   *   shade: '130',
+   *   size: '30ml',
+   *   stock: 8
+   * });
+   */
+  async execute(productId, variantData, { actor = null } = {}) {
+    return this.uow.run(async (transaction) => {
+
+      // === VERIFICACIÓN DEL PRODUCTO PADRE ===
+
+      const product = await this.productRepository.findById(productId, transaction);
+
+      if (!product) {
+        return fail(AppError.notFound('Producto', { id: productId }));
+      }
+
+      // === CREACIÓN DE ENTIDAD DE DOMINIO ===
+
+      let variantEntity;
+
+      try {
+        variantEntity = new ProductVariant({ ...variantData, productId });
+      } catch (domainError) {
+        return fail(
+          new AppError(
+            "VALIDATION_ERROR",
+            `Datos de la variante inválidos: ${domainError.message}`,
+            400
+          )
+        );
+      }
+
+      // === VALIDACIÓN DE UNICIDAD ===
+
+      // El SKU es único en todo el catálogo
+      const existingSku = await this.productVariantRepository.findBySku(variantEntity.sku, transaction);
+
+      if (existingSku && existingSku.id !== variantEntity.id) {
+        return fail(
+          new AppError(
+            "SKU_ALREADY_EXISTS",
+            `Ya existe una variante con el SKU "${variantEntity.sku}"`,
+            400,
+            { id: existingSku.id, productId: existingSku.productId }
+          )
+        );
+      }
+
+      // Dos variantes del mismo producto no pueden tener el mismo tono y tamaño
+      const siblings = await this.productVariantRepository.findByProduct(productId, transaction);
+      const duplicate = siblings.find(sibling =>
+        sibling.id !== variantEntity.id && sibling.hasSameOptions(variantEntity)
+      );
+
+      if (duplicate) {
+        return fail(
+          new AppError(
+            "VARIANT_ALREADY_EXISTS",
+            'El producto ya tiene una variante con ese tono y tamaño',
+            400,
+            { id: duplicate.id }
+          )
+        );
+      }
+
+      // === PERSISTENCIA ===
+
+      const createdVariant = await this.productVariantRepository.create(variantEntity, transaction);
+
+      // El stock inicial queda asentado como la primera recepción
+      await recordStockChange(this.stockMovementRepository, {
+        productId,
+        variantId: createdVariant.id,
+        type: 'receipt',
+        previousStock: 0,
+        newStock: createdVariant.stock,
+        reason: 'Stock inicial',
+        actor
+      }, transaction);
+
+      return ok(createdVariant);
+    });
+  }
+}
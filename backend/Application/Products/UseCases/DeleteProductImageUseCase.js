@@ -0,0 +1,115 @@
+/**
+ * Caso de Uso: Eliminar Imagen de Producto
+ * 
+ * Quita una imagen de la galería y elimina sus archivos del almacenamiento.
+ * 
+ * Reglas de Negocio:
+ * - Si se elimina la imagen principal, la primera de las restantes pasa
+ *   a ser la principal
+ * - Las posiciones de la galería se renumeran de forma consecutiva
+ * 
+ * Los archivos se eliminan después de confirmar la transacción: si el
+ * registro no llega a borrarse, la imagen sigue siendo accesible.
+ * 
+ * @class DeleteProductImageUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { removeImageFiles } from "../Images/removeImageFiles.js";
+
+export class DeleteProductImageUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductImageRepository} dependencies.productImageRepository - Repositorio de imágenes
+   * @param {ImageStoragePort} dependencies.imageStorage - Almacenamiento de archivos
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   * @param {Logger} dependencies.logger - Logger (archivos que no se pudieron eliminar)
+   */
+  constructor({ productRepository, productImageRepository, imageStorage, unitOfWork, logger }) {
+    /**
+     * Repositorio de productos (verifica y bloquea el producto padre)
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Repositorio para operaciones de persistencia de imágenes
+     * @type {ProductImageRepository}
+     * @private
+     */
+    this.productImageRepository = productImageRepository;
+
+    /**
+     * Almacenamiento de donde se eliminan original y miniatura
+     * @type {ImageStoragePort}
+     * @private
+     */
+    this.imageStorage = imageStorage;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+
+    /**
+     * Logger de la aplicación
+     * @type {Logger}
+     * @private
+     */
+    this.logger = logger;
+  }
+
+  /**
+   * Ejecuta la eliminación de la imagen
+   * 
+   * @param {string} productId - Producto padre
+   * @param {string} imageId - Identificador de la imagen
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id eliminado o error 404
+   */
+  async execute(productId, imageId) {
+    const result = await this.uow.run(async (transaction) => {
+      const product = await this.productRepository.findById(productId, transaction, { lock: true });
+
+      if (!product) {
+        return fail(AppError.notFound('Producto', { id: productId }));
+      }
+
+      const gallery = await this.productImageRepository.findByProduct(productId, transaction);
+      const image = gallery.find(item => item.id === imageId);
+
+      if (!image) {
+        return fail(AppError.notFound('Imagen', { id: imageId, productId }));
+      }
+
+      await this.productImageRepository.delete(productId, imageId, transaction);
+
+      const remaining = gallery.filter(item => item.id !== imageId);
+
+      if (remaining.length > 0) {
+        await this.productImageRepository.reorder(productId, remaining.map(item => item.id), transaction);
+
+        if (image.isPrimary) {
+          await this.productImageRepository.setPrimary(productId, remaining[0].id, transaction);
+        }
+      }
+
+      return ok(image);
+    });
+
+    if (result.isFailure) return result;
+
+    await removeImageFiles(this.imageStorage, [result.value], this.logger);
+
+    return ok({ id: imageId });
+  }
+}
+
@@ -0,0 +1,60 @@
+/**
+ * Caso de Uso: Eliminar Producto (Soft Delete)
+ * 
+ * Marca un producto como eliminado sin borrarlo físicamente. El producto
+ * deja de aparecer en el catálogo pero puede restaurarse con
+ * RestoreProductUseCase, evitando pérdidas por eliminaciones accidentales.
+ * 
+ * @class DeleteProductUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class DeleteProductUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ productRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de productos
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la eliminación lógica del producto
+   * 
+   * @param {string} id - Identificador del producto
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id eliminado o error 404
+   * 
+   * @example
+   * const result = await deleteProductUseCase.execute(id);
+   */
+  async execute(id) {
+    return this.uow.run(async (transaction) => {
+      const deleted = await this.productRepository.softDelete(id, transaction);
+
+      if (!deleted) {
+        return fail(AppError.notFound('Producto', { id }));
+      }
+
+      return ok({ id });
+    });
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Caso de Uso: Eliminar Variante de Producto
+ * 
+ * Elimina físicamente una variante. A diferencia de los productos no
+ * tiene papelera: una variante discontinuada puede quedarse con stock 0.
+ * 
+ * @class DeleteProductVariantUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class DeleteProductVariantUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ productRepository, productVariantRepository, unitOfWork }) {
+    /**
+     * Repositorio de productos (verifica que el producto padre exista)
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Repositorio para operaciones de persistencia de variantes
+     * @type {ProductVariantRepository}
+     * @private
+     */
+    this.productVariantRepository = productVariantRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la eliminación de la variante
+   * 
+   * @param {string} productId - Producto padre
+   * @param {string} variantId - Identificador de la variante
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id eliminado o error 404
+   */
+  async execute(productId, variantId) {
+    return this.uow.run(async (transaction) => {
+      const product = await this.productRepository.findById(productId, transaction);
+
+      if (!product) {
+        return fail(AppError.notFound('Producto', { id: productId }));
+      }
+
+      const deleted = await this.productVariantRepository.delete(productId, variantId, transaction);
+
+      if (!deleted) {
+        return fail(AppError.notFound('Variante', { id: variantId, productId }));
+      }
+
+      return ok({ id: variantId });
+    });
+  }
+}
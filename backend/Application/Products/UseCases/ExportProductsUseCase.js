@@ -0,0 +1,70 @@
+/**
+ * Caso de Uso: Exportar Productos
+ * 
+ * Recorre el catálogo filtrado directamente desde la base de datos y
+ * entrega cada producto a un consumidor (por ejemplo, la respuesta HTTP),
+ * sin acumular el resultado en memoria.
+ * 
+ * El formato de salida (CSV, NDJSON) es responsabilidad del consumidor;
+ * este caso de uso solo garantiza el recorrido consistente dentro de una
+ * única transacción, que mantiene vivo el cursor de PostgreSQL.
+ * 
+ * @class ExportProductsUseCase
+ * @author Backend Team
+ */
+
+import { ok } from "../../../Shared/Result.js";
+
+export class ExportProductsUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ productRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de consulta de productos
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.unitOfWork = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la exportación
+   * 
+   * Si el consumidor lanza una excepción (ej: el cliente cerró la conexión)
+   * el recorrido se detiene y la transacción se revierte, liberando el cursor.
+   * 
+   * @param {ProductListCriteria} criteria - Filtros y ordenamiento (se ignora la paginación)
+   * @param {function(Product): Promise<void>} onProduct - Consumidor de cada producto
+   * @returns {Promise<Result<{ exported: number }, AppError>>} Cantidad de productos exportados
+   * 
+   * @example
+   * const result = await exportProductsUseCase.execute(criteria, async (product) => {
+   *   stream.write(JSON.stringify(product) + '\n');
+   * });
+   */
+  async execute(criteria, onProduct) {
+    return this.unitOfWork.run(async (transaction) => {
+      let exported = 0;
+
+      for await (const product of this.productRepository.streamAll(criteria, transaction)) {
+        await onProduct(product);
+        exported++;
+      }
+
+      return ok({ exported });
+    });
+  }
+}
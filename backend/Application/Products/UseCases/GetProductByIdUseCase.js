@@ -0,0 +1,89 @@
+/**
+ * Caso de Uso: Obtener Producto por ID
+ * 
+ * Implementa la consulta de un único producto a partir de su identificador.
+ * Evita que las pantallas de detalle tengan que descargar el catálogo
+ * completo para mostrar un solo producto.
+ * 
+ * Responsabilidades:
+ * - Consultar el producto por su clave primaria
+ * - Incluir sus variantes (tono, tamaño) y su galería de imágenes en la respuesta
+ * - Reportar un error 404 cuando el producto no existe
+ * - Retornar resultados tipados
+ * 
+ * @class GetProductByIdUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class GetProductByIdUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {ProductImageRepository} dependencies.productImageRepository - Repositorio de imágenes
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ productRepository, productVariantRepository, productImageRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de consulta de productos
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Repositorio de variantes, embebidas en el detalle del producto
+     * @type {ProductVariantRepository}
+     * @private
+     */
+    this.productVariantRepository = productVariantRepository;
+
+    /**
+     * Repositorio de imágenes, embebidas en el detalle del producto
+     * @type {ProductImageRepository}
+     * @private
+     */
+    this.productImageRepository = productImageRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.unitOfWork = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de consulta por ID
+   * 
+   * @param {string} id - Identificador único (UUID) del producto
+   * @returns {Promise<Result<Product, AppError>>} Producto con sus variantes e imágenes o error
+   * 
+   * @example
+   * const result = await getProductByIdUseCase.execute(id);
+   * 
+   * if (result.isSuccess) {
+   *   console.log(`${result.value.name}: $${result.value.price}`);
+   * }
+   */
+  async execute(id) {
+    return this.unitOfWork.run(async (transaction) => {
+      const product = await this.productRepository.findById(id, transaction);
+
+      if (!product) {
+        return fail(AppError.notFound('Producto', { id }));
+      }
+
+      const variants = await this.productVariantRepository.findByProduct(id, transaction);
+      const images = await this.productImageRepository.findByProduct(id, transaction);
+
+      return ok(product.withVariants(variants).withImages(images));
+    });
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Caso de Uso: Obtener Imágenes de un Producto
+ * 
+ * Lista la galería de un producto en el orden en que se muestra.
+ * 
+ * @class GetProductImagesUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class GetProductImagesUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductImageRepository} dependencies.productImageRepository - Repositorio de imágenes
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ productRepository, productImageRepository, unitOfWork }) {
+    /**
+     * Repositorio de productos (verifica que el producto padre exista)
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Repositorio para operaciones de persistencia de imágenes
+     * @type {ProductImageRepository}
+     * @private
+     */
+    this.productImageRepository = productImageRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Obtiene la galería del producto
+   * 
+   * @param {string} productId - Producto padre
+   * @returns {Promise<Result<ProductImage[], AppError>>} Imágenes ordenadas o error 404 si el producto no existe
+   */
+  async execute(productId) {
+    return this.uow.run(async (transaction) => {
+      const product = await this.productRepository.findById(productId, transaction);
+
+      if (!product) {
+        return fail(AppError.notFound('Producto', { id: productId }));
+      }
+
+      const images = await this.productImageRepository.findByProduct(productId, transaction);
+
+      return ok(images);
+    });
+  }
+}
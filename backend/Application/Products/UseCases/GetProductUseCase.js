@@ -6,23 +6,22 @@
  * para la presentación de información de productos.
  * 
  * Responsabilidades:
- * - Obtener la lista completa de productos
- * - Aplicar reglas de negocio para filtrado (futuro)
- * - Manejar casos donde no existen productos
+ * - Obtener una página de productos según los criterios recibidos
+ * - Aplicar filtros de precio, stock y texto, y el ordenamiento solicitado
  * - Garantizar consistencia de lectura mediante transacciones
  * - Retornar resultados tipados
  * 
  * Consideraciones de Rendimiento:
  * - Usa transacciones de solo lectura para mejor rendimiento
- * - Preparado para implementar paginación en el futuro
+ * - Paginación por offset o por cursor (keyset) para catálogos grandes
  * - Optimizado para consultas frecuentes
  * 
  * @class GetProductUseCase
  * @author Backend Team
  */
 
-import { ok, fail } from "../../../Shared/Result.js";
-import { AppError } from "../../../Shared/AppError.js";
+import { ok } from "../../../Shared/Result.js";
+import { ProductListCriteria } from "../Queries/ProductListCriteria.js";
 
 export class GetProductUseCase {
   
@@ -56,55 +55,51 @@ export class GetProductUseCase {
    * 
    * Proceso:
    * 1. Inicia una transacción de solo lectura
-   * 2. Consulta todos los productos disponibles
-   * 3. Valida que existan productos en el sistema
-   * 4. Retorna la lista de productos o un error apropiado
+   * 2. Consulta la página de productos que cumple los criterios
+   * 3. Retorna la página con sus metadatos de navegación (vacía si ningún
+   *    producto cumple los filtros, igual que la búsqueda)
    * 
+   * @param {ProductListCriteria} [criteria] - Paginación, filtros y ordenamiento
    * 
-   * @returns {Promise<Result<Product[], AppError>>} Lista de productos o error
+   * @returns {Promise<Result<Object, AppError>>} Página de productos o error
+   * @returns {Product[]} result.value.items - Productos de la página
+   * @returns {number} result.value.total - Total de productos que cumplen los filtros
+   * @returns {number} result.value.pageCount - Total de páginas
+   * @returns {string|null} result.value.nextCursor - Cursor de la siguiente página
    * 
    * @example
-   * const result = await getProductUseCase.execute();
+   * const criteria = ProductListCriteria.fromQuery({ sort: 'price', order: 'desc' });
+   * const result = await getProductUseCase.execute(criteria);
    * 
    * if (result.isSuccess) {
-   *   console.log(`Encontrados ${result.value.length} productos`);
-   *   result.value.forEach(product => {
-   *     console.log(`- ${product.name}: $${product.price}`);
-   *   });
+   *   console.log(`Página con ${result.value.items.length} de ${result.value.total} productos`);
    * } else {
    *   console.error('Error:', result.error.message);
    * }
    */
-  async execute() {
+  async execute(criteria = new ProductListCriteria()) {
     // Ejecutar la consulta dentro de una transacción
-    // Esto garantiza una vista consistente de los datos
+    // Esto garantiza una vista consistente entre el conteo y la página
     return this.unitOfWork.run(async (transaction) => {
       
       // === CONSULTA DE DATOS ===
       
-      // Obtener todos los productos del repositorio
-      // El repositorio maneja los detalles de la consulta SQL
-      const products = await this.productRepository.getAll(transaction);
-      
-      // === VALIDACIÓN DE RESULTADOS ===
-      
-      // Verificar si se encontraron productos
-      // Nota: Una lista vacía es diferente a null/undefined
-      if (!products || products.length === 0) {
-        return fail(
-          new AppError(
-            "PRODUCT_NOT_FOUND", 
-            "No se encontraron productos en el sistema", 
-            404
-          )
-        );
-      }
+      const { items, total, nextCursor } = await this.productRepository.findPage(
+        criteria,
+        transaction
+      );
       
       // === RESULTADO EXITOSO ===
       
-      // Retornar la lista de productos
-      // Los productos ya vienen como entidades de dominio desde el repositorio
-      return ok(products);
+      return ok({
+        items,
+        total,
+        page: criteria.page,
+        limit: criteria.limit,
+        pageCount: Math.ceil(total / criteria.limit),
+        nextCursor,
+        cursorMode: criteria.usesCursor()
+      });
     });
   }
 }
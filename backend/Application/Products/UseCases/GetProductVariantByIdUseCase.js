@@ -0,0 +1,68 @@
+/**
+ * Caso de Uso: Obtener Variante de Producto por ID
+ * 
+ * @class GetProductVariantByIdUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class GetProductVariantByIdUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ productRepository, productVariantRepository, unitOfWork }) {
+    /**
+     * Repositorio de productos (verifica que el producto padre exista)
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Repositorio para operaciones de persistencia de variantes
+     * @type {ProductVariantRepository}
+     * @private
+     */
+    this.productVariantRepository = productVariantRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Obtiene una variante del producto
+   * 
+   * @param {string} productId - Producto padre
+   * @param {string} variantId - Identificador de la variante
+   * @returns {Promise<Result<ProductVariant, AppError>>} Variante o error 404
+   */
+  async execute(productId, variantId) {
+    return this.uow.run(async (transaction) => {
+      const product = await this.productRepository.findById(productId, transaction);
+
+      if (!product) {
+        return fail(AppError.notFound('Producto', { id: productId }));
+      }
+
+      const variant = await this.productVariantRepository.findById(productId, variantId, transaction);
+
+      if (!variant) {
+        return fail(AppError.notFound('Variante', { id: variantId, productId }));
+      }
+
+      return ok(variant);
+    });
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Caso de Uso: Obtener Variantes de un Producto
+ * 
+ * Lista las variantes de un producto.
+ * 
+ * @class GetProductVariantsUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class GetProductVariantsUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ productRepository, productVariantRepository, unitOfWork }) {
+    /**
+     * Repositorio de productos (verifica que el producto padre exista)
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Repositorio para operaciones de persistencia de variantes
+     * @type {ProductVariantRepository}
+     * @private
+     */
+    this.productVariantRepository = productVariantRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Obtiene todas las variantes del producto
+   * 
+   * @param {string} productId - Producto padre
+   * @returns {Promise<Result<ProductVariant[], AppError>>} Variantes o error 404 si el producto no existe
+   */
+  async execute(productId) {
+    return this.uow.run(async (transaction) => {
+      const product = await this.productRepository.findById(productId, transaction);
+
+      if (!product) {
+        return fail(AppError.notFound('Producto', { id: productId }));
+      }
+
+      const variants = await this.productVariantRepository.findByProduct(productId, transaction);
+
+      return ok(variants);
+    });
+  }
+}
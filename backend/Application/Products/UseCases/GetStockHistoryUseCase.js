@@ -0,0 +1,86 @@
+/**
+ * Caso de Uso: Obtener Historial de Inventario
+ * 
+ * Lista los movimientos de inventario de un producto, del más reciente
+ * al más antiguo, con filtros por variante y tipo. Responde la pregunta
+ * de auditoría "¿a dónde fueron las unidades?".
+ * 
+ * Los productos eliminados lógicamente conservan su historial y también
+ * pueden consultarse.
+ * 
+ * @class GetStockHistoryUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class GetStockHistoryUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {StockMovementRepository} dependencies.stockMovementRepository - Libro de inventario
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ productRepository, stockMovementRepository, unitOfWork }) {
+    /**
+     * Repositorio de productos (verifica que el producto exista)
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Libro de movimientos de inventario
+     * @type {StockMovementRepository}
+     * @private
+     */
+    this.stockMovementRepository = stockMovementRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Obtiene una página del historial
+   * 
+   * @param {string} productId - Producto
+   * @param {StockHistoryCriteria} criteria - Filtros y paginación
+   * @returns {Promise<Result<Object, AppError>>} Página de movimientos con metadatos o error 404
+   * 
+   * @example
+   * const result = await getStockHistoryUseCase.execute(productId, StockHistoryCriteria.fromQuery({ type: 'damage' }));
+   */
+  async execute(productId, criteria) {
+    return this.uow.run(async (transaction) => {
+      const product = await this.productRepository.findById(productId, transaction, { includeDeleted: true });
+
+      if (!product) {
+        return fail(AppError.notFound('Producto', { id: productId }));
+      }
+
+      const { items, total } = await this.stockMovementRepository.findPage({
+        productId,
+        variantId: criteria.variantId,
+        type: criteria.type,
+        page: criteria.page,
+        limit: criteria.limit,
+      }, transaction);
+
+      return ok({
+        items,
+        total,
+        page: criteria.page,
+        limit: criteria.limit,
+        pageCount: Math.ceil(total / criteria.limit)
+      });
+    });
+  }
+}
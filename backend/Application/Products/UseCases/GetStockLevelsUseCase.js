@@ -0,0 +1,63 @@
+/**
+ * Caso de Uso: Obtener Niveles de Stock
+ * 
+ * Cuenta los productos activos agotados y con stock bajo. Alimenta los
+ * indicadores de inventario del endpoint /metrics, que Prometheus consulta
+ * periódicamente.
+ * 
+ * Responsabilidades:
+ * - Contar los productos sin stock (stock = 0)
+ * - Contar los productos con stock igual o menor al umbral
+ * - Retornar resultados tipados
+ * 
+ * No usa el Unit of Work: son dos conteos independientes de solo lectura,
+ * y abrir una transacción en cada scrape inflaría las métricas de
+ * transacciones que se quieren observar.
+ * 
+ * @class GetStockLevelsUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class GetStockLevelsUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   */
+  constructor({ productRepository }) {
+    /**
+     * Repositorio para operaciones de consulta de productos
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+  }
+
+  /**
+   * Ejecuta el conteo por nivel de stock
+   * 
+   * @param {number} lowStockThreshold - Umbral de stock bajo (entero >= 0, inclusive)
+   * @returns {Promise<Result<{ outOfStock: number, lowStock: number }, AppError>>} Cantidades de productos o error
+   * 
+   * @example
+   * const result = await getStockLevelsUseCase.execute(10);
+   * 
+   * if (result.isSuccess) {
+   *   console.log(`${result.value.outOfStock} agotados, ${result.value.lowStock} con stock bajo`);
+   * }
+   */
+  async execute(lowStockThreshold) {
+    if (!Number.isInteger(lowStockThreshold) || lowStockThreshold < 0) {
+      return fail(AppError.validation('El umbral de stock bajo debe ser un entero mayor o igual a 0', { lowStockThreshold }));
+    }
+
+    const levels = await this.productRepository.countByStockLevel(lowStockThreshold);
+
+    return ok(levels);
+  }
+}
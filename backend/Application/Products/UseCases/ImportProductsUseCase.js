@@ -0,0 +1,380 @@
+/**
+ * Caso de Uso: Importar Productos
+ * 
+ * Carga masiva de productos desde filas ya parseadas (CSV o JSON). Cada fila
+ * pasa por las mismas reglas que CreateProductUseCase: invariantes de la
+ * entidad Product y unicidad de nombre vía findByName.
+ * 
+ * Modos de importación:
+ * - all-or-nothing: todas las filas en una única transacción; si alguna
+ *   falla no se persiste ninguna
+ * - best-effort: cada fila en su propia transacción; las filas válidas se
+ *   persisten aunque otras fallen
+ * 
+ * Con dryRun las filas se procesan igual (incluidas las consultas de
+ * unicidad) pero la transacción siempre se revierte: solo se reporta.
+ * 
+ * Resultado por fila:
+ * - created: el producto se creó y quedó guardado
+ * - would_create: dryRun; el producto se crearía (sin id: no se guardó)
+ * - rolled_back: all-or-nothing con alguna fila fallida; la fila era válida
+ *   pero se revirtió junto con el resto (sin id)
+ * - skipped: el nombre ya existe en la base de datos o se repite en el archivo
+ * - failed: la fila no cumple las reglas de negocio o falló la persistencia
+ * 
+ * @class ImportProductsUseCase
+ * @author Backend Team
+ */
+
+import { Product } from "../../../Domain/Products/Entities/Product.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { recordStockChange } from "../Stock/recordStockChange.js";
+
+/**
+ * Modos de importación soportados
+ * @constant {string[]}
+ */
+export const IMPORT_MODES = ['all-or-nothing', 'best-effort'];
+
+/**
+ * Máximo de filas por importación
+ * @constant {number}
+ */
+export const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Señal interna para revertir una transacción sin tratarlo como error
+ * 
+ * expected indica al Unit of Work que la reversión es deliberada (no la
+ * registra como anomalía).
+ * 
+ * @class RollbackSignal
+ * @private
+ */
+class RollbackSignal extends Error {
+  expected = true;
+}
+
+/**
+ * Convierte valores de texto (CSV) a número; deja los demás intactos
+ * 
+ * @param {any} value - Valor de la celda
+ * @returns {any} Número si el texto es numérico, el valor original en otro caso
+ * 
+ * @private
+ */
+function toNumber(value) {
+  if (typeof value !== 'string' || value.trim() === '') return value;
+
+  const number = Number(value.trim());
+  return Number.isNaN(number) ? value : number;
+}
+
+export class ImportProductsUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {StockMovementRepository} dependencies.stockMovementRepository - Libro de inventario
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   * @param {Logger} dependencies.logger - Logger (errores inesperados de una fila)
+   */
+  constructor({ productRepository, stockMovementRepository, unitOfWork, logger }) {
+    /**
+     * Repositorio para operaciones de persistencia de productos
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Libro de inventario (registra el stock inicial)
+     * @type {StockMovementRepository}
+     * @private
+     */
+    this.stockMovementRepository = stockMovementRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+
+    /**
+     * Logger de la aplicación
+     * @type {Logger}
+     * @private
+     */
+    this.logger = logger;
+  }
+
+  /**
+   * Ejecuta la importación
+   * 
+   * @param {Object[]} rows - Filas con name, price y stock
+   * @param {Object} [options] - Opciones de importación
+   * @param {string} [options.mode='all-or-nothing'] - all-or-nothing | best-effort
+   * @param {boolean} [options.dryRun=false] - true para validar sin persistir
+   * @param {string|null} [options.actor=null] - Responsable del stock inicial (principalOf)
+   * 
+   * @returns {Promise<Result<Object, AppError>>} Reporte de la importación
+   * @returns {Object[]} result.value.rows - Resultado de cada fila (row, status, name, id, code, message)
+   * @returns {Object} result.value.summary - Totales por estado, modo, dryRun y committed
+   *   (created solo cuenta productos guardados)
+   * 
+   * @example
+   * const result = await importProductsUseCase.execute(rows, { mode: 'best-effort' });
+   * console.log(result.value.summary); // { total: 3, created: 2, wouldCreate: 0, rolledBack: 0, skipped: 0, failed: 1, ... }
+   */
+  async execute(rows, { mode = 'all-or-nothing', dryRun = false, actor = null } = {}) {
+
+    // === VALIDACIÓN DE LA SOLICITUD ===
+
+    if (!IMPORT_MODES.includes(mode)) {
+      return fail(AppError.validation(`El modo debe ser uno de: ${IMPORT_MODES.join(', ')}`, { field: 'mode' }));
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return fail(AppError.validation('La importación no contiene filas'));
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return fail(AppError.validation(`La importación no puede exceder ${MAX_IMPORT_ROWS} filas`, { rows: rows.length }));
+    }
+
+    // === PROCESAMIENTO SEGÚN EL MODO ===
+
+    const processed = mode === 'all-or-nothing'
+      ? await this.#importAllOrNothing(rows, dryRun, actor)
+      : await this.#importBestEffort(rows, dryRun, actor);
+
+    // === REPORTE ===
+
+    // En all-or-nothing una sola fila fallida revierte toda la importación
+    const committed = !dryRun && (mode === 'best-effort' || !processed.some(row => row.status === 'failed'));
+
+    // Las filas creadas en una transacción revertida no existen: su id tampoco
+    const results = committed ? processed : processed.map(row => (row.status === 'created'
+      ? this.#rowResult(row.row - 1, dryRun ? 'would_create' : 'rolled_back', row.name)
+      : row));
+
+    const count = (status) => results.filter(row => row.status === status).length;
+
+    return ok({
+      rows: results,
+      summary: {
+        total: results.length,
+        created: count('created'),
+        wouldCreate: count('would_create'),
+        rolledBack: count('rolled_back'),
+        skipped: count('skipped'),
+        failed: count('failed'),
+        mode,
+        dryRun,
+        committed
+      }
+    });
+  }
+
+  /**
+   * Importa todas las filas en una única transacción
+   * 
+   * @param {Object[]} rows - Filas a importar
+   * @param {boolean} dryRun - true para revertir siempre
+   * @param {string|null} actor - Responsable del stock inicial
+   * @returns {Promise<Object[]>} Resultado por fila
+   * 
+   * @private
+   */
+  async #importAllOrNothing(rows, dryRun, actor) {
+    const results = [];
+
+    try {
+      await this.uow.run(async (transaction) => {
+        const seenNames = new Set();
+
+        for (let index = 0; index < rows.length; index++) {
+          try {
+            results.push(await this.#processRow(rows[index], index, seenNames, actor, transaction));
+          } catch (error) {
+            // Un error de base de datos aborta la transacción en PostgreSQL:
+            // las filas restantes ya no pueden procesarse
+            results.push(this.#failedRow(index, rows[index], error));
+            rows.slice(index + 1).forEach((row, offset) => {
+              results.push(this.#failedRow(
+                index + 1 + offset,
+                row,
+                new AppError('IMPORT_ABORTED', 'No procesada: la importación se detuvo por un error previo', 409)
+              ));
+            });
+            break;
+          }
+        }
+
+        if (dryRun || results.some(row => row.status === 'failed')) {
+          throw new RollbackSignal();
+        }
+      });
+    } catch (error) {
+      if (!(error instanceof RollbackSignal)) throw error;
+    }
+
+    return results;
+  }
+
+  /**
+   * Importa cada fila en su propia transacción
+   * 
+   * @param {Object[]} rows - Filas a importar
+   * @param {boolean} dryRun - true para revertir cada fila
+   * @param {string|null} actor - Responsable del stock inicial
+   * @returns {Promise<Object[]>} Resultado por fila
+   * 
+   * @private
+   */
+  async #importBestEffort(rows, dryRun, actor) {
+    const results = [];
+    const seenNames = new Set();
+
+    for (let index = 0; index < rows.length; index++) {
+      let rowResult = null;
+
+      try {
+        await this.uow.run(async (transaction) => {
+          rowResult = await this.#processRow(rows[index], index, seenNames, actor, transaction);
+
+          if (dryRun) throw new RollbackSignal();
+        });
+      } catch (error) {
+        if (!(error instanceof RollbackSignal)) {
+          rowResult = this.#failedRow(index, rows[index], error);
+        }
+      }
+
+      results.push(rowResult);
+    }
+
+    return results;
+  }
+
+  /**
+   * Aplica las reglas de creación a una fila
+   * 
+   * @param {Object} raw - Fila original
+   * @param {number} index - Posición de la fila (base 0)
+   * @param {Set<string>} seenNames - Nombres ya procesados en esta importación
+   * @param {string|null} actor - Responsable del stock inicial
+   * @param {Transaction} transaction - Transacción activa
+   * @returns {Promise<Object>} Resultado de la fila
+   * 
+   * @private
+   */
+  async #processRow(raw, index, seenNames, actor, transaction) {
+    const data = {
+      name: typeof raw?.name === 'string' ? raw.name.trim() : raw?.name,
+      price: toNumber(raw?.price),
+      stock: toNumber(raw?.stock)
+    };
+
+    // === INVARIANTES DE DOMINIO ===
+
+    let productEntity;
+
+    try {
+      productEntity = new Product(data);
+    } catch (domainError) {
+      return this.#failedRow(index, raw, new AppError(
+        "VALIDATION_ERROR",
+        `Datos del producto inválidos: ${domainError.message}`,
+        400,
+        domainError.fields ? { fields: domainError.fields } : {}
+      ));
+    }
+
+    // === UNICIDAD DE NOMBRE ===
+
+    if (seenNames.has(productEntity.name)) {
+      return this.#rowResult(index, 'skipped', productEntity.name, {
+        code: 'DUPLICATE_ROW',
+        message: 'El nombre se repite en una fila anterior del archivo'
+      });
+    }
+
+    seenNames.add(productEntity.name);
+
+    const existingProduct = await this.productRepository.findByName(productEntity.name, transaction);
+
+    if (existingProduct) {
+      return this.#rowResult(index, 'skipped', productEntity.name, {
+        id: existingProduct.id,
+        code: 'PRODUCT_ALREADY_EXISTS',
+        message: `Ya existe un producto con el nombre "${productEntity.name}"`
+      });
+    }
+
+    // === PERSISTENCIA ===
+
+    const createdProduct = await this.productRepository.create(productEntity, transaction);
+
+    await recordStockChange(this.stockMovementRepository, {
+      productId: createdProduct.id,
+      type: 'receipt',
+      previousStock: 0,
+      newStock: createdProduct.stock,
+      reason: 'Stock inicial (importación)',
+      actor
+    }, transaction);
+
+    return this.#rowResult(index, 'created', createdProduct.name, { id: createdProduct.id });
+  }
+
+  /**
+   * Construye el resultado de una fila fallida a partir de un error
+   * 
+   * Los AppError son errores previstos y su mensaje se devuelve tal cual.
+   * Cualquier otro error (ej: de la base de datos) se registra en el log y
+   * la fila recibe un mensaje genérico, sin detalles internos.
+   * 
+   * @param {number} index - Posición de la fila (base 0)
+   * @param {Object} raw - Fila original
+   * @param {Error} error - Error ocurrido
+   * @returns {Object} Resultado de la fila
+   * 
+   * @private
+   */
+  #failedRow(index, raw, error) {
+    if (!(error instanceof AppError)) {
+      this.logger.error('Error importando una fila', { row: index + 1, error });
+
+      return this.#rowResult(index, 'failed', raw?.name ?? null, {
+        code: 'INTERNAL_ERROR',
+        message: 'Error interno al procesar la fila'
+      });
+    }
+
+    return this.#rowResult(index, 'failed', raw?.name ?? null, {
+      code: error.code,
+      message: error.message,
+      ...(error.meta?.fields && { fields: error.meta.fields })
+    });
+  }
+
+  /**
+   * Construye el resultado de una fila
+   * 
+   * @param {number} index - Posición de la fila (base 0)
+   * @param {string} status - created | skipped | failed (would_create y rolled_back se asignan en el reporte)
+   * @param {string|null} name - Nombre del producto
+   * @param {Object} [details] - id, code, message y fields según el caso
+   * @returns {Object} Resultado con número de fila en base 1
+   * 
+   * @private
+   */
+  #rowResult(index, status, name, details = {}) {
+    return { row: index + 1, status, name, ...details };
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * Caso de Uso: Purgar Producto
+ * 
+ * Elimina físicamente un producto de la base de datos. A diferencia de
+ * DeleteProductUseCase, esta operación es irreversible y está reservada
+ * a administradores.
+ * 
+ * Las variantes e imágenes se eliminan en cascada; los archivos de las
+ * imágenes se borran del almacenamiento una vez confirmada la purga.
+ * 
+ * El historial de stock se conserva (stock_movements no tiene clave
+ * foránea al producto): antes de borrar, se registra un ajuste que lleva
+ * a cero el stock del producto y el de cada variante, de modo que el
+ * libro de inventario explique también las unidades que salieron con
+ * la purga.
+ * 
+ * @class PurgeProductUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { removeImageFiles } from "../Images/removeImageFiles.js";
+import { recordStockChange } from "../Stock/recordStockChange.js";
+
+export class PurgeProductUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {StockMovementRepository} dependencies.stockMovementRepository - Libro de inventario
+   * @param {ProductImageRepository} dependencies.productImageRepository - Repositorio de imágenes
+   * @param {ImageStoragePort} dependencies.imageStorage - Almacenamiento de archivos
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   * @param {Logger} dependencies.logger - Logger (archivos que no se pudieron eliminar)
+   */
+  constructor({ productRepository, productVariantRepository, stockMovementRepository, productImageRepository, imageStorage, unitOfWork, logger }) {
+    /**
+     * Repositorio para operaciones de persistencia de productos
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Repositorio de variantes (stock a cerrar antes de la purga)
+     * @type {ProductVariantRepository}
+     * @private
+     */
+    this.productVariantRepository = productVariantRepository;
+
+    /**
+     * Libro de inventario (registra el cierre del stock purgado)
+     * @type {StockMovementRepository}
+     * @private
+     */
+    this.stockMovementRepository = stockMovementRepository;
+
+    /**
+     * Repositorio de imágenes (archivos a eliminar tras la purga)
+     * @type {ProductImageRepository}
+     * @private
+     */
+    this.productImageRepository = productImageRepository;
+
+    /**
+     * Almacenamiento de los archivos de imágenes
+     * @type {ImageStoragePort}
+     * @private
+     */
+    this.imageStorage = imageStorage;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+
+    /**
+     * Logger de la aplicación
+     * @type {Logger}
+     * @private
+     */
+    this.logger = logger;
+  }
+
+  /**
+   * Ejecuta la eliminación física del producto
+   * 
+   * @param {string} id - Identificador del producto
+   * @param {Object} [options] - Opciones
+   * @param {string|null} [options.actor] - Responsable, registrado en el cierre del stock
+   * @returns {Promise<Result<{ id: string }, AppError>>} Id purgado o error 404
+   * 
+   * @example
+   * const result = await purgeProductUseCase.execute(id, { actor: 'user:42' });
+   */
+  async execute(id, { actor = null } = {}) {
+    const result = await this.uow.run(async (transaction) => {
+      // Bloquea la fila: ninguna venta o ajuste concurrente cambia el stock que se cierra
+      const product = await this.productRepository.findById(id, transaction, { includeDeleted: true, lock: true });
+
+      if (!product) {
+        return fail(AppError.notFound('Producto', { id }));
+      }
+
+      // Se leen antes de purgar: el CASCADE elimina los registros
+      const variants = await this.productVariantRepository.findByProduct(id, transaction);
+      const images = await this.productImageRepository.findByProduct(id, transaction);
+
+      const closing = { productId: id, type: 'adjustment', newStock: 0, reason: 'Purga del producto', actor };
+
+      await recordStockChange(this.stockMovementRepository, { ...closing, previousStock: product.stock }, transaction);
+
+      for (const variant of variants) {
+        await recordStockChange(this.stockMovementRepository, {
+          ...closing, variantId: variant.id, previousStock: variant.stock
+        }, transaction);
+      }
+
+      await this.productRepository.purge(id, transaction);
+
+      return ok(images);
+    });
+
+    if (result.isFailure) return result;
+
+    await removeImageFiles(this.imageStorage, result.value, this.logger);
+
+    return ok({ id });
+  }
+}
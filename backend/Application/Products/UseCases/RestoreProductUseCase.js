@@ -0,0 +1,71 @@
+/**
+ * Caso de Uso: Restaurar Producto
+ * 
+ * Revierte una eliminación lógica, devolviendo el producto al catálogo
+ * con los mismos datos que tenía antes de eliminarse.
+ * 
+ * Reglas de Negocio:
+ * - Solo se pueden restaurar productos que existan (eliminados o no)
+ * - Restaurar un producto activo es un conflicto (409)
+ * 
+ * @class RestoreProductUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class RestoreProductUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ productRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de productos
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la restauración del producto
+   * 
+   * @param {string} id - Identificador del producto
+   * @returns {Promise<Result<Product, AppError>>} Producto restaurado o error
+   * 
+   * @example
+   * const result = await restoreProductUseCase.execute(id);
+   */
+  async execute(id) {
+    return this.uow.run(async (transaction) => {
+      const current = await this.productRepository.findById(id, transaction, {
+        includeDeleted: true
+      });
+
+      if (!current) {
+        return fail(AppError.notFound('Producto', { id }));
+      }
+
+      if (!current.isDeleted()) {
+        return fail(AppError.conflict('El producto no está eliminado', { id }));
+      }
+
+      const restored = await this.productRepository.restore(id, transaction);
+
+      return ok(restored);
+    });
+  }
+}
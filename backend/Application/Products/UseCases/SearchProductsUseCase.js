@@ -0,0 +1,67 @@
+/**
+ * Caso de Uso: Buscar Productos
+ * 
+ * Implementa la búsqueda de texto completo del catálogo del lado del
+ * servidor: insensible a acentos, tolerante a errores de tipeo, con
+ * resultados ordenados por relevancia y coincidencias resaltadas.
+ * 
+ * A diferencia del listado, una búsqueda sin resultados no es un error:
+ * retorna una página vacía.
+ * 
+ * @class SearchProductsUseCase
+ * @author Backend Team
+ */
+
+import { ok } from "../../../Shared/Result.js";
+
+export class SearchProductsUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ productRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de consulta de productos
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.unitOfWork = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la búsqueda
+   * 
+   * @param {ProductSearchCriteria} criteria - Texto y paginación
+   * @returns {Promise<Result<Object, AppError>>} Página de resultados con metadatos
+   * 
+   * @example
+   * const result = await searchProductsUseCase.execute(
+   *   ProductSearchCriteria.fromQuery({ q: 'base mate' })
+   * );
+   * result.value.items.forEach(({ product, highlight }) => console.log(highlight));
+   */
+  async execute(criteria) {
+    return this.unitOfWork.run(async (transaction) => {
+      const { items, total } = await this.productRepository.search(criteria, transaction);
+
+      return ok({
+        items,
+        total,
+        page: criteria.page,
+        limit: criteria.limit,
+        pageCount: Math.ceil(total / criteria.limit)
+      });
+    });
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Caso de Uso: Actualizar Imagen de Producto
+ * 
+ * Cambia la posición de una imagen dentro de la galería y/o la marca
+ * como imagen principal del producto.
+ * 
+ * Reglas de Negocio:
+ * - La posición es un índice de la galería (0 a cantidad de imágenes - 1);
+ *   las demás imágenes se desplazan para hacerle lugar
+ * - Marcar una imagen como principal desmarca la anterior
+ * - La principal no se puede desmarcar directamente: se marca otra
+ * 
+ * @class UpdateProductImageUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class UpdateProductImageUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductImageRepository} dependencies.productImageRepository - Repositorio de imágenes
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ productRepository, productImageRepository, unitOfWork }) {
+    /**
+     * Repositorio de productos (verifica y bloquea el producto padre)
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Repositorio para operaciones de persistencia de imágenes
+     * @type {ProductImageRepository}
+     * @private
+     */
+    this.productImageRepository = productImageRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la actualización de la imagen
+   * 
+   * @param {string} productId - Producto padre
+   * @param {string} imageId - Identificador de la imagen
+   * @param {Object} changes - Campos a modificar
+   * @param {number} [changes.position] - Nueva posición en la galería
+   * @param {boolean} [changes.isPrimary] - true para marcarla como principal
+   * @returns {Promise<Result<ProductImage, AppError>>} Imagen actualizada o error
+   * 
+   * @example
+   * const result = await updateProductImageUseCase.execute(productId, imageId, { position: 0, isPrimary: true });
+   */
+  async execute(productId, imageId, { position, isPrimary }) {
+    return this.uow.run(async (transaction) => {
+
+      // === VERIFICACIÓN DE EXISTENCIA ===
+
+      // El bloqueo evita que dos reordenamientos simultáneos se mezclen
+      const product = await this.productRepository.findById(productId, transaction, { lock: true });
+
+      if (!product) {
+        return fail(AppError.notFound('Producto', { id: productId }));
+      }
+
+      const gallery = await this.productImageRepository.findByProduct(productId, transaction);
+      const current = gallery.find(image => image.id === imageId);
+
+      if (!current) {
+        return fail(AppError.notFound('Imagen', { id: imageId, productId }));
+      }
+
+      // === VALIDACIÓN DE CAMBIOS ===
+
+      if (position !== undefined && (!Number.isInteger(position) || position < 0 || position >= gallery.length)) {
+        return fail(AppError.validation(
+          `La posición debe ser un entero entre 0 y ${gallery.length - 1}`,
+          { field: 'position', value: position }
+        ));
+      }
+
+      if (isPrimary !== undefined && typeof isPrimary !== 'boolean') {
+        return fail(AppError.validation('isPrimary debe ser booleano', { field: 'isPrimary', value: isPrimary }));
+      }
+
+      if (isPrimary === false && current.isPrimary) {
+        return fail(AppError.validation(
+          'La imagen principal no se puede desmarcar: marque otra imagen como principal',
+          { field: 'isPrimary' }
+        ));
+      }
+
+      // === PERSISTENCIA ===
+
+      if (position !== undefined) {
+        // Mueve la imagen y renumera la galería de forma consecutiva
+        const orderedIds = gallery.map(image => image.id).filter(id => id !== imageId);
+        orderedIds.splice(position, 0, imageId);
+
+        await this.productImageRepository.reorder(productId, orderedIds, transaction);
+      }
+
+      if (isPrimary === true && !current.isPrimary) {
+        await this.productImageRepository.setPrimary(productId, imageId, transaction);
+      }
+
+      const updated = await this.productImageRepository.findById(productId, imageId, transaction);
+
+      return ok(updated);
+    });
+  }
+}
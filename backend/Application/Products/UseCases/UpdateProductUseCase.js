@@ -0,0 +1,217 @@
+/**
+ * Caso de Uso: Actualizar Producto
+ * 
+ * Implementa la lógica de negocio para modificar un producto existente,
+ * tanto en reemplazo completo (PUT) como en actualización parcial (PATCH).
+ * 
+ * Responsabilidades:
+ * - Verificar que el producto exista
+ * - Aplicar control de concurrencia optimista con la versión esperada
+ * - Re-ejecutar las invariantes de la entidad Product
+ * - Mantener la regla de unicidad de nombre
+ * - Persistir los cambios dentro de una transacción
+ * 
+ * Reglas de Negocio:
+ * - No pueden existir dos productos con el mismo nombre
+ * - Todos los datos resultantes deben ser válidos
+ * - La categoría y la marca, si se indican, deben existir
+ * - Si la versión esperada no coincide con la actual, la operación falla (412)
+ * - Un cambio de stock queda registrado como ajuste en el libro de inventario
+ * 
+ * @class UpdateProductUseCase
+ * @author Backend Team
+ */
+
+import { Product } from "../../../Domain/Products/Entities/Product.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { findInvalidReference } from "../Validation/productReferences.js";
+import { recordStockChange } from "../Stock/recordStockChange.js";
+
+export class UpdateProductUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {CategoryRepository} dependencies.categoryRepository - Repositorio de categorías
+   * @param {BrandRepository} dependencies.brandRepository - Repositorio de marcas
+   * @param {StockMovementRepository} dependencies.stockMovementRepository - Libro de inventario
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ productRepository, categoryRepository, brandRepository, stockMovementRepository, unitOfWork }) {
+    /**
+     * Repositorio para operaciones de persistencia de productos
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Repositorios para validar la categoría y la marca del producto
+     * @type {CategoryRepository}
+     * @private
+     */
+    this.categoryRepository = categoryRepository;
+
+    /**
+     * @type {BrandRepository}
+     * @private
+     */
+    this.brandRepository = brandRepository;
+
+    /**
+     * Libro de inventario (registra los cambios de stock)
+     * @type {StockMovementRepository}
+     * @private
+     */
+    this.stockMovementRepository = stockMovementRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de actualización de producto
+   * 
+   * Proceso:
+   * 1. Inicia una transacción de base de datos
+   * 2. Obtiene el producto actual (404 si no existe)
+   * 3. Compara la versión esperada con la actual (412 si difiere)
+   * 4. Combina los cambios y re-valida la entidad de dominio
+   * 5. Verifica la unicidad del nombre si cambió
+   * 6. Persiste los cambios con bloqueo de fila
+   * 
+   * @param {string} id - Identificador del producto
+   * @param {Object} changes - Campos a modificar (name, price, stock, categoryId, brandId);
+   *   en PATCH, categoryId/brandId null quita la asignación y undefined la conserva
+   * @param {Object} [options] - Opciones de la operación
+   * @param {number|null} [options.expectedVersion=null] - Versión esperada (null omite la verificación)
+   * @param {boolean} [options.partial=false] - true para PATCH, false para PUT
+   * @param {string|null} [options.actor=null] - Responsable de un cambio de stock (principalOf)
+   * 
+   * @returns {Promise<Result<Product, AppError>>} Producto actualizado o error
+   * 
+   * @example
+   * const result = await updateProductUseCase.execute(id, { price: 89.99 }, {
+   *   expectedVersion: 2,
+   *   partial: true
+   * });
+   */
+  async execute(id, changes, { expectedVersion = null, partial = false, actor = null } = {}) {
+    return this.uow.run(async (transaction) => {
+
+      // === VERIFICACIÓN DE EXISTENCIA Y VERSIÓN ===
+
+      const current = await this.productRepository.findById(id, transaction);
+
+      if (!current) {
+        return fail(AppError.notFound('Producto', { id }));
+      }
+
+      if (expectedVersion !== null && current.version !== expectedVersion) {
+        return fail(
+          AppError.preconditionFailed(undefined, {
+            id,
+            expectedVersion,
+            currentVersion: current.version
+          })
+        );
+      }
+
+      // === CREACIÓN DE ENTIDAD DE DOMINIO ===
+
+      // En PATCH se parte del estado actual; en PUT se reemplaza todo
+      const base = partial
+        ? {
+            name: current.name,
+            price: current.price,
+            stock: current.stock,
+            categoryId: current.categoryId,
+            brandId: current.brandId
+          }
+        : {};
+
+      let productEntity;
+
+      try {
+        productEntity = new Product({
+          ...base,
+          name: changes.name ?? base.name,
+          price: changes.price ?? base.price,
+          stock: changes.stock ?? base.stock,
+          // null es un valor válido (quitar la asignación), por eso no se usa ??
+          categoryId: changes.categoryId !== undefined ? changes.categoryId : base.categoryId,
+          brandId: changes.brandId !== undefined ? changes.brandId : base.brandId,
+          id,
+          version: current.version
+        });
+      } catch (domainError) {
+        return fail(
+          new AppError(
+            "VALIDATION_ERROR",
+            `Datos del producto inválidos: ${domainError.message}`,
+            400,
+            // Violaciones por campo, para que el cliente resalte cada uno
+            domainError.fields ? { fields: domainError.fields } : {}
+          )
+        );
+      }
+
+      // === VALIDACIÓN DE REFERENCIAS ===
+
+      const referenceError = await findInvalidReference(this, productEntity, transaction);
+
+      if (referenceError) {
+        return fail(referenceError);
+      }
+
+      // === VALIDACIÓN DE UNICIDAD ===
+
+      if (productEntity.name !== current.name) {
+        const existingProduct = await this.productRepository.findByName(
+          productEntity.name,
+          transaction
+        );
+
+        if (existingProduct && existingProduct.id !== id) {
+          return fail(
+            new AppError(
+              "PRODUCT_ALREADY_EXISTS",
+              `Ya existe un producto con el nombre "${productEntity.name}"`,
+              400
+            )
+          );
+        }
+      }
+
+      // === PERSISTENCIA ===
+
+      const updatedProduct = await this.productRepository.update(
+        productEntity,
+        current.version,
+        transaction
+      );
+
+      if (!updatedProduct) {
+        return fail(AppError.notFound('Producto', { id }));
+      }
+
+      await recordStockChange(this.stockMovementRepository, {
+        productId: id,
+        type: 'adjustment',
+        previousStock: current.stock,
+        newStock: updatedProduct.stock,
+        reason: 'Edición del producto',
+        actor
+      }, transaction);
+
+      return ok(updatedProduct);
+    });
+  }
+}
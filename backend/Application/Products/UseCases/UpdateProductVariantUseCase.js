@@ -0,0 +1,174 @@
+/**
+ * Caso de Uso: Actualizar Variante de Producto
+ * 
+ * Modifica parcialmente una variante (PATCH): SKU, opciones, precio o stock.
+ * Enviar price: null hace que la variante vuelva a heredar el precio del producto.
+ * 
+ * Reglas de Negocio:
+ * - Las mismas que en la creación (SKU único, opciones únicas por producto)
+ * - Un cambio de stock queda registrado como ajuste en el libro de inventario
+ * 
+ * @class UpdateProductVariantUseCase
+ * @author Backend Team
+ */
+
+import { ProductVariant } from "../../../Domain/Products/Entities/ProductVariant.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { recordStockChange } from "../Stock/recordStockChange.js";
+
+export class UpdateProductVariantUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {StockMovementRepository} dependencies.stockMovementRepository - Libro de inventario
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ productRepository, productVariantRepository, stockMovementRepository, unitOfWork }) {
+    /**
+     * Repositorio de productos (verifica que el producto padre exista)
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Repositorio para operaciones de persistencia de variantes
+     * @type {ProductVariantRepository}
+     * @private
+     */
+    this.productVariantRepository = productVariantRepository;
+
+    /**
+     * Libro de inventario (registra los cambios de stock de la variante)
+     * @type {StockMovementRepository}
+     * @private
+     */
+    this.stockMovementRepository = stockMovementRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de actualización de variante
+   * 
+   * @param {string} productId - Producto padre
+   * @param {string} variantId - Identificador de la variante
+   * @param {Object} changes - Campos a modificar; undefined conserva el valor actual
+   *   y null (en shade, size o price) lo elimina
+   * @param {Object} [options] - Opciones de la operación
+   * @param {string|null} [options.actor=null] - Responsable de un cambio de stock (principalOf)
+   * @returns {Promise<Result<ProductVariant, AppError>>} Variante actualizada o error
+   * 
+   * @example
+   * const result = await updateProductVariantUseCase.execute(productId, variantId, { stock: 20 });
+   */
+  async execute(productId, variantId, changes, { actor = null } = {}) {
+    return this.uow.run(async (transaction) => {
+
+      // === VERIFICACIÓN DE EXISTENCIA ===
+
+      // El bloqueo serializa la edición con los movimientos de inventario del producto
+      const product = await this.productRepository.findById(productId, transaction, { lock: true });
+
+      if (!product) {
+        return fail(AppError.notFound('Producto', { id: productId }));
+      }
+
+      const current = await this.productVariantRepository.findById(productId, variantId, transaction);
+
+      if (!current) {
+        return fail(AppError.notFound('Variante', { id: variantId, productId }));
+      }
+
+      // === CREACIÓN DE ENTIDAD DE DOMINIO ===
+
+      // null es un valor válido en shade, size y price, por eso no se usa ??
+      const pick = (field) => (changes[field] !== undefined ? changes[field] : current[field]);
+
+      let variantEntity;
+
+      try {
+        variantEntity = new ProductVariant({
+          id: current.id,
+          productId,
+          sku: pick('sku'),
+          shade: pick('shade'),
+          size: pick('size'),
+          price: pick('price'),
+          stock: pick('stock')
+        });
+      } catch (domainError) {
+        return fail(
+          new AppError(
+            "VALIDATION_ERROR",
+            `Datos de la variante inválidos: ${domainError.message}`,
+            400
+          )
+        );
+      }
+
+      // === VALIDACIÓN DE UNICIDAD ===
+
+      // El SKU es único en todo el catálogo
+      const existingSku = await this.productVariantRepository.findBySku(variantEntity.sku, transaction);
+
+      if (existingSku && existingSku.id !== variantEntity.id) {
+        return fail(
+          new AppError(
+            "SKU_ALREADY_EXISTS",
+            `Ya existe una variante con el SKU "${variantEntity.sku}"`,
+            400,
+            { id: existingSku.id, productId: existingSku.productId }
+          )
+        );
+      }
+
+      // Dos variantes del mismo producto no pueden tener el mismo tono y tamaño
+      const siblings = await this.productVariantRepository.findByProduct(productId, transaction);
+      const duplicate = siblings.find(sibling =>
+        sibling.id !== variantEntity.id && sibling.hasSameOptions(variantEntity)
+      );
+
+      if (duplicate) {
+        return fail(
+          new AppError(
+            "VARIANT_ALREADY_EXISTS",
+            'El producto ya tiene una variante con ese tono y tamaño',
+            400,
+            { id: duplicate.id }
+          )
+        );
+      }
+
+      // === PERSISTENCIA ===
+
+      const updatedVariant = await this.productVariantRepository.update(variantEntity, transaction);
+
+      if (!updatedVariant) {
+        return fail(AppError.notFound('Variante', { id: variantId, productId }));
+      }
+
+      await recordStockChange(this.stockMovementRepository, {
+        productId,
+        variantId,
+        type: 'adjustment',
+        previousStock: current.stock,
+        newStock: updatedVariant.stock,
+        reason: 'Edición de la variante',
+        actor
+      }, transaction);
+
+      return ok(updatedVariant);
+    });
+  }
+}
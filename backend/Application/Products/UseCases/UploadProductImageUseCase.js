@@ -0,0 +1,199 @@
+/**
+ * Caso de Uso: Subir Imagen de Producto
+ *
+ * Agrega una imagen a la galería de un producto: valida el archivo,
+ * genera su miniatura, guarda ambos en el almacenamiento y registra la
+ * imagen al final de la galería.
+ *
+ * Reglas de Negocio:
+ * - El producto debe existir y no estar eliminado
+ * - El tipo se detecta por el contenido: solo JPEG, PNG o WebP
+ * - El archivo no puede superar el tamaño máximo configurado
+ * - La primera imagen de un producto es su imagen principal
+ *
+ * Si el registro en base de datos falla, los archivos ya guardados se
+ * eliminan para no dejar huérfanos en el almacenamiento.
+ *
+ * @class UploadProductImageUseCase
+ * @author Backend Team
+ */
+
+import { randomUUID } from "node:crypto";
+import { IMAGE_MIME_TYPES, ProductImage } from "../../../Domain/Products/Entities/ProductImage.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+
+/**
+ * Extensión de archivo por tipo MIME
+ * @constant {Object<string, string>}
+ * @private
+ */
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+export class UploadProductImageUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductImageRepository} dependencies.productImageRepository - Repositorio de imágenes
+   * @param {ImageStoragePort} dependencies.imageStorage - Almacenamiento de archivos
+   * @param {ImageProcessorPort} dependencies.imageProcessor - Análisis y miniaturas
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   * @param {Object} dependencies.env - Configuración (límite de tamaño)
+   */
+  constructor({ productRepository, productImageRepository, imageStorage, imageProcessor, unitOfWork, env }) {
+    /**
+     * Repositorio de productos (verifica y bloquea el producto padre)
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Repositorio para operaciones de persistencia de imágenes
+     * @type {ProductImageRepository}
+     * @private
+     */
+    this.productImageRepository = productImageRepository;
+
+    /**
+     * Almacenamiento donde se guardan original y miniatura
+     * @type {ImageStoragePort}
+     * @private
+     */
+    this.imageStorage = imageStorage;
+
+    /**
+     * Procesador que detecta el formato y genera miniaturas
+     * @type {ImageProcessorPort}
+     * @private
+     */
+    this.imageProcessor = imageProcessor;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+
+    /**
+     * Tamaño máximo permitido en bytes
+     * @type {number}
+     * @private
+     */
+    this.maxImageBytes = env.STORAGE.MAX_IMAGE_BYTES;
+  }
+
+  /**
+   * Ejecuta la subida de la imagen
+   *
+   * @param {string} productId - Producto padre
+   * @param {Object} file - Archivo recibido
+   * @param {Buffer} file.content - Contenido binario
+   * @param {Object} [options] - Opciones de la imagen
+   * @param {boolean} [options.isPrimary=false] - Marcarla como principal aunque no sea la primera
+   * @returns {Promise<Result<ProductImage, AppError>>} Imagen registrada o error
+   *
+   * @example
+   * const result = await uploadProductImageUseCase.execute(productId, { content: buffer }, { isPrimary: true });
+   */
+  async execute(productId, { content }, { isPrimary = false } = {}) {
+
+    // === VALIDACIÓN DEL ARCHIVO ===
+
+    if (content.length > this.maxImageBytes) {
+      return fail(
+        new AppError(
+          "FILE_TOO_LARGE",
+          `La imagen supera el tamaño máximo de ${this.maxImageBytes} bytes`,
+          413,
+          { size: content.length, maxSize: this.maxImageBytes }
+        )
+      );
+    }
+
+    const info = await this.imageProcessor.inspect(content);
+
+    if (!info || !IMAGE_MIME_TYPES.includes(info.mimeType)) {
+      return fail(
+        new AppError(
+          "UNSUPPORTED_MEDIA_TYPE",
+          `El archivo no es una imagen soportada (${IMAGE_MIME_TYPES.join(', ')})`,
+          415
+        )
+      );
+    }
+
+    const thumbnail = await this.imageProcessor.thumbnail(content);
+
+    // Archivos guardados, para eliminarlos si el registro falla
+    const storedKeys = [];
+
+    try {
+      return await this.uow.run(async (transaction) => {
+
+        // === VERIFICACIÓN DEL PRODUCTO PADRE ===
+
+        // El bloqueo serializa las subidas concurrentes al mismo producto
+        // (posición al final de la galería e imagen principal única)
+        const product = await this.productRepository.findById(productId, transaction, { lock: true });
+
+        if (!product) {
+          return fail(AppError.notFound('Producto', { id: productId }));
+        }
+
+        const gallery = await this.productImageRepository.findByProduct(productId, transaction);
+
+        // === ALMACENAMIENTO DE ARCHIVOS ===
+
+        const baseKey = `products/${productId}/${randomUUID()}`;
+
+        const original = await this.imageStorage.save(
+          `${baseKey}.${EXTENSIONS[info.mimeType]}`, content, info.mimeType
+        );
+        storedKeys.push(original.key);
+
+        const thumb = await this.imageStorage.save(
+          `${baseKey}_thumb.${thumbnail.extension}`, thumbnail.content, thumbnail.mimeType
+        );
+        storedKeys.push(thumb.key);
+
+        // === REGISTRO DE LA IMAGEN ===
+
+        // La primera imagen de la galería es la principal
+        const created = await this.productImageRepository.create(new ProductImage({
+          productId,
+          key: original.key,
+          thumbnailKey: thumb.key,
+          url: original.url,
+          thumbnailUrl: thumb.url,
+          mimeType: info.mimeType,
+          size: content.length,
+          width: info.width,
+          height: info.height,
+          position: gallery.length === 0 ? 0 : gallery[gallery.length - 1].position + 1,
+          isPrimary: gallery.length === 0,
+        }), transaction);
+
+        if (isPrimary && !created.isPrimary) {
+          await this.productImageRepository.setPrimary(productId, created.id, transaction);
+
+          return ok(await this.productImageRepository.findById(productId, created.id, transaction));
+        }
+
+        return ok(created);
+      });
+
+    } catch (error) {
+      await Promise.allSettled(storedKeys.map(key => this.imageStorage.delete(key)));
+      throw error;
+    }
+  }
+}
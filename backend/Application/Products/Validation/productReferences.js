@@ -0,0 +1,53 @@
+/**
+ * Validación de Referencias del Producto
+ * 
+ * Verifica que la categoría y la marca asignadas a un producto existan
+ * antes de persistirlo. Compartida por la creación y la actualización
+ * de productos para reportar el mismo error en ambos casos, en lugar
+ * del error genérico de clave foránea de PostgreSQL.
+ * 
+ * @module ProductReferences
+ * @author Backend Team
+ */
+
+import { AppError } from "../../../Shared/AppError.js";
+
+/**
+ * Busca la primera referencia inexistente del producto
+ * 
+ * @param {Object} repositories - Repositorios de las referencias
+ * @param {CategoryRepository} repositories.categoryRepository - Repositorio de categorías
+ * @param {BrandRepository} repositories.brandRepository - Repositorio de marcas
+ * @param {Product} productEntity - Producto a validar
+ * @param {Transaction} transaction - Transacción activa
+ * @returns {Promise<AppError|null>} VALIDATION_ERROR con meta.field o null si todo existe
+ * 
+ * @example
+ * const referenceError = await findInvalidReference(this, productEntity, transaction);
+ * if (referenceError) return fail(referenceError);
+ */
+export async function findInvalidReference({ categoryRepository, brandRepository }, productEntity, transaction) {
+  if (productEntity.categoryId !== null) {
+    const category = await categoryRepository.findById(productEntity.categoryId, transaction);
+
+    if (!category) {
+      return AppError.validation('La categoría indicada no existe', {
+        field: 'categoryId',
+        value: productEntity.categoryId
+      });
+    }
+  }
+
+  if (productEntity.brandId !== null) {
+    const brand = await brandRepository.findById(productEntity.brandId, transaction);
+
+    if (!brand) {
+      return AppError.validation('La marca indicada no existe', {
+        field: 'brandId',
+        value: productEntity.brandId
+      });
+    }
+  }
+
+  return null;
+}
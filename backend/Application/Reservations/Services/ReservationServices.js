@@ -0,0 +1,97 @@
+/**
+ * Servicio de Aplicación: ReservationService
+ * 
+ * Fachada que orquesta los casos de uso de reservas de stock.
+ * 
+ * @class ReservationService
+ * @author Backend Team
+ */
+
+import { CreateReservationUseCase } from '../UseCases/CreateReservationUseCase.js';
+import { GetReservationByIdUseCase } from '../UseCases/GetReservationByIdUseCase.js';
+import { ReleaseReservationUseCase } from '../UseCases/ReleaseReservationUseCase.js';
+import { ExpireReservationsUseCase } from '../UseCases/ExpireReservationsUseCase.js';
+
+export class ReservationService {
+
+  /**
+   * Constructor del servicio de reservas
+   * 
+   * @param {Object} dependencies - Casos de uso inyectados
+   * @param {CreateReservationUseCase} dependencies.createReservationUseCase - Caso de uso para crear reservas
+   * @param {GetReservationByIdUseCase} dependencies.getReservationByIdUseCase - Caso de uso para obtener una reserva
+   * @param {ReleaseReservationUseCase} dependencies.releaseReservationUseCase - Caso de uso para liberar reservas
+   * @param {ExpireReservationsUseCase} dependencies.expireReservationsUseCase - Caso de uso para vencer reservas
+   */
+  constructor({
+    createReservationUseCase,
+    getReservationByIdUseCase,
+    releaseReservationUseCase,
+    expireReservationsUseCase
+  }) {
+    /**
+     * @type {CreateReservationUseCase}
+     * @private
+     */
+    this.createReservationUseCase = createReservationUseCase;
+
+    /**
+     * @type {GetReservationByIdUseCase}
+     * @private
+     */
+    this.getReservationByIdUseCase = getReservationByIdUseCase;
+
+    /**
+     * @type {ReleaseReservationUseCase}
+     * @private
+     */
+    this.releaseReservationUseCase = releaseReservationUseCase;
+
+    /**
+     * @type {ExpireReservationsUseCase}
+     * @private
+     */
+    this.expireReservationsUseCase = expireReservationsUseCase;
+  }
+
+  /**
+   * Reserva unidades de un producto o variante
+   * 
+   * @param {Object} reservationData - productId, quantity y opcionalmente variantId, ttlSeconds
+   * @param {Object} access - cartId y cartToken, principal y privileged (ver CreateReservationUseCase)
+   * @returns {Promise<Result<Reservation, AppError>>} Reserva creada o error
+   */
+  async create(reservationData, access) {
+    return this.createReservationUseCase.execute(reservationData, access);
+  }
+
+  /**
+   * Obtiene una reserva
+   * 
+   * @param {string} id - Identificador de la reserva
+   * @returns {Promise<Result<Reservation, AppError>>} Reserva o error 404
+   */
+  async getById(id) {
+    return this.getReservationByIdUseCase.execute(id);
+  }
+
+  /**
+   * Libera una reserva activa
+   * 
+   * @param {string} id - Identificador de la reserva
+   * @param {Object} access - cartToken y privileged (ver ReleaseReservationUseCase)
+   * @returns {Promise<Result<Reservation, AppError>>} Reserva liberada o error
+   */
+  async release(id, access) {
+    return this.releaseReservationUseCase.execute(id, access);
+  }
+
+  /**
+   * Marca como vencidas las reservas cuya vigencia terminó
+   * 
+   * @returns {Promise<Result<{ expired: number }, AppError>>} Cantidad de reservas vencidas
+   */
+  async expireOverdue() {
+    return this.expireReservationsUseCase.execute();
+  }
+}
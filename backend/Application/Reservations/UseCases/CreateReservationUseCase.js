@@ -0,0 +1,225 @@
+/**
+ * Caso de Uso: Crear Reserva de Stock
+ * 
+ * Aparta unidades de un producto (o de una de sus variantes) durante un
+ * tiempo limitado, para que dos clientes no puedan comprar la última
+ * unidad a la vez.
+ * 
+ * Reglas de Negocio:
+ * - El producto debe existir y no estar eliminado
+ * - Si el producto tiene variantes, la reserva debe indicar la variante
+ * - Solo se reservan unidades disponibles: stock menos reservas activas
+ * - La vigencia (ttlSeconds) es opcional y está acotada por configuración
+ * - La referencia la fija el servidor: el id del carrito, si la reserva es
+ *   para un carrito (se verifica su token), o quien se autenticó
+ * - Sin el permiso orders:write solo se reserva para un carrito activo,
+ *   con topes de unidades (todas sus reservas activas) y de vigencia
+ * 
+ * Concurrencia: el carrito y la fila del producto se bloquean (SELECT ...
+ * FOR UPDATE), en ese orden, como al confirmar un pedido. El bloqueo del
+ * producto serializa sus reservas y la suma siempre ve las ya confirmadas;
+ * el del carrito, el tope de unidades del carrito.
+ * 
+ * @class CreateReservationUseCase
+ * @author Backend Team
+ */
+
+import { Reservation } from "../../../Domain/Reservations/Entities/Reservation.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+import { resolveStockVariant } from "../../Products/Stock/resolveStockVariant.js";
+import { accessCart } from "../../Carts/Access/cartAccess.js";
+
+export class CreateReservationUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ProductRepository} dependencies.productRepository - Repositorio de productos
+   * @param {ProductVariantRepository} dependencies.productVariantRepository - Repositorio de variantes
+   * @param {ReservationRepository} dependencies.reservationRepository - Repositorio de reservas
+   * @param {CartRepository} dependencies.cartRepository - Repositorio de carritos (token y estado)
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   * @param {Object} dependencies.env - Configuración (vigencias y topes de carrito)
+   */
+  constructor({ productRepository, productVariantRepository, reservationRepository, cartRepository, unitOfWork, env }) {
+    /**
+     * Repositorio de productos (bloqueo y stock de productos sin variantes)
+     * @type {ProductRepository}
+     * @private
+     */
+    this.productRepository = productRepository;
+
+    /**
+     * Repositorio de variantes (stock de cada variante)
+     * @type {ProductVariantRepository}
+     * @private
+     */
+    this.productVariantRepository = productVariantRepository;
+
+    /**
+     * Repositorio de reservas
+     * @type {ReservationRepository}
+     * @private
+     */
+    this.reservationRepository = reservationRepository;
+
+    /**
+     * Repositorio de carritos
+     * @type {CartRepository}
+     * @private
+     */
+    this.cartRepository = cartRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+
+    /**
+     * Vigencias (en segundos) y topes de las reservas de carrito
+     * @type {{ DEFAULT_TTL_SECONDS: number, MAX_TTL_SECONDS: number, CART_MAX_UNITS: number, CART_MAX_TTL_SECONDS: number }}
+     * @private
+     */
+    this.limits = env.RESERVATIONS;
+  }
+
+  /**
+   * Ejecuta el caso de uso de creación de reserva
+   * 
+   * @param {Object} reservationData - Datos de la reserva
+   * @param {string} reservationData.productId - Producto a reservar
+   * @param {string|null} [reservationData.variantId] - Variante a reservar
+   * @param {number} reservationData.quantity - Unidades
+   * @param {number} [reservationData.ttlSeconds] - Vigencia en segundos
+   * @param {Object} access - Para quién se reserva y con qué permisos
+   * @param {string|null} [access.cartId] - Carrito para el que se reserva (referencia de la reserva)
+   * @param {string|null} [access.cartToken] - Token del carrito
+   * @param {string|null} [access.principal] - Quien se autenticó (referencia si no hay carrito)
+   * @param {boolean} [access.privileged=false] - Tiene el permiso orders:write (sin topes)
+   * @returns {Promise<Result<Reservation, AppError>>} Reserva creada o error
+   * 
+   * @example
+   * const result = await createReservationUseCase.execute(
+   *   { productId, quantity: 1, ttlSeconds: 600 },
+   *   { cartId, cartToken }
+   * );
+   */
+  async execute({ productId, variantId = null, quantity, ttlSeconds }, { cartId = null, cartToken = null, principal = null, privileged = false } = {}) {
+
+    // === VALIDACIÓN DE CANTIDAD Y VIGENCIA ===
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return fail(AppError.validation('La cantidad debe ser un entero mayor a 0', { field: 'quantity', value: quantity }));
+    }
+
+    if (!cartId && !privileged) {
+      return fail(AppError.forbidden('Sin el permiso orders:write solo se reserva para un carrito (cartId)'));
+    }
+
+    const maxTtl = privileged
+      ? this.limits.MAX_TTL_SECONDS
+      : Math.min(this.limits.MAX_TTL_SECONDS, this.limits.CART_MAX_TTL_SECONDS);
+
+    const ttl = ttlSeconds ?? Math.min(this.limits.DEFAULT_TTL_SECONDS, maxTtl);
+
+    if (!Number.isInteger(ttl) || ttl <= 0 || ttl > maxTtl) {
+      return fail(AppError.validation(
+        `ttlSeconds debe ser un entero entre 1 y ${maxTtl}`,
+        { field: 'ttlSeconds', value: ttlSeconds }
+      ));
+    }
+
+    return this.uow.run(async (transaction) => {
+
+      // === VERIFICACIÓN DEL CARRITO ===
+
+      let reference = principal;
+
+      if (cartId) {
+        const { error: cartError } = await accessCart(this, cartId, { token: cartToken }, transaction, { lock: true, requireActive: true });
+
+        if (cartError) {
+          return fail(cartError);
+        }
+
+        reference = cartId;
+
+        if (!privileged) {
+          const held = (await this.reservationRepository.findActiveByReference(cartId, transaction))
+            .reduce((total, reservation) => total + reservation.quantity, 0);
+
+          if (held + quantity > this.limits.CART_MAX_UNITS) {
+            return fail(AppError.validation(
+              `El carrito retiene ${held} unidades; puede reservar como máximo ${this.limits.CART_MAX_UNITS}`,
+              { field: 'quantity', value: quantity, held, max: this.limits.CART_MAX_UNITS }
+            ));
+          }
+        }
+      }
+
+      // === VERIFICACIÓN DEL PRODUCTO Y LA VARIANTE ===
+
+      // El bloqueo serializa las reservas y los movimientos del producto
+      const product = await this.productRepository.findById(productId, transaction, { lock: true });
+
+      if (!product) {
+        return fail(AppError.notFound('Producto', { id: productId }));
+      }
+
+      const { variant, error } = await resolveStockVariant(this, productId, variantId, transaction);
+
+      if (error) {
+        return fail(error);
+      }
+
+      // === CÁLCULO DE DISPONIBILIDAD ===
+
+      // Se suma en una consulta posterior al bloqueo: la lectura del producto
+      // pudo esperar a otra reserva y su snapshot no la incluiría
+      const stock = variant ? variant.stock : product.stock;
+      const reserved = await this.reservationRepository.sumActive({ productId, variantId }, transaction);
+      const available = Math.max(stock - reserved, 0);
+
+      if (quantity > available) {
+        return fail(
+          new AppError(
+            "INSUFFICIENT_STOCK",
+            `Stock insuficiente: hay ${available} unidades disponibles y se solicitaron ${quantity}`,
+            409,
+            { productId, variantId, available, quantity }
+          )
+        );
+      }
+
+      // === CREACIÓN Y PERSISTENCIA ===
+
+      let reservationEntity;
+
+      try {
+        reservationEntity = new Reservation({
+          productId,
+          variantId,
+          quantity,
+          expiresAt: new Date(Date.now() + ttl * 1000),
+          reference,
+        });
+      } catch (domainError) {
+        return fail(
+          new AppError(
+            "VALIDATION_ERROR",
+            `Datos de la reserva inválidos: ${domainError.message}`,
+            400
+          )
+        );
+      }
+
+      const reservation = await this.reservationRepository.create(reservationEntity, transaction);
+
+      return ok(reservation);
+    });
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Caso de Uso: Vencer Reservas
+ * 
+ * Marca como vencidas las reservas activas cuya vigencia terminó. Lo
+ * ejecuta periódicamente el barrido de reservas; la disponibilidad no
+ * depende de él (las consultas ya ignoran las reservas vencidas), pero
+ * mantiene el estado persistido al día y los índices acotados.
+ * 
+ * @class ExpireReservationsUseCase
+ * @author Backend Team
+ */
+
+import { ok } from "../../../Shared/Result.js";
+
+export class ExpireReservationsUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ReservationRepository} dependencies.reservationRepository - Repositorio de reservas
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ reservationRepository, unitOfWork }) {
+    /**
+     * Repositorio de reservas
+     * @type {ReservationRepository}
+     * @private
+     */
+    this.reservationRepository = reservationRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el vencimiento
+   * 
+   * @param {Date} [now=new Date()] - Momento de referencia
+   * @returns {Promise<Result<{ expired: number }, AppError>>} Cantidad de reservas vencidas
+   */
+  async execute(now = new Date()) {
+    return this.uow.run(async (transaction) => {
+      const expired = await this.reservationRepository.expireOverdue(now, transaction);
+
+      return ok({ expired });
+    });
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Caso de Uso: Obtener Reserva por ID
+ * 
+ * @class GetReservationByIdUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+
+export class GetReservationByIdUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ReservationRepository} dependencies.reservationRepository - Repositorio de reservas
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ reservationRepository, unitOfWork }) {
+    /**
+     * Repositorio de reservas
+     * @type {ReservationRepository}
+     * @private
+     */
+    this.reservationRepository = reservationRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de consulta por ID
+   * 
+   * @param {string} id - Identificador de la reserva
+   * @returns {Promise<Result<Reservation, AppError>>} Reserva encontrada o error 404
+   */
+  async execute(id) {
+    return this.uow.run(async (transaction) => {
+      const reservation = await this.reservationRepository.findById(id, transaction);
+
+      if (!reservation) {
+        return fail(AppError.notFound('Reserva', { id }));
+      }
+
+      return ok(reservation);
+    });
+  }
+}
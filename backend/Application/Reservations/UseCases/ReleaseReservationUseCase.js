@@ -0,0 +1,99 @@
+/**
+ * Caso de Uso: Liberar Reserva
+ * 
+ * Devuelve al stock disponible las unidades de una reserva antes de su
+ * vencimiento (carrito vaciado, checkout cancelado).
+ * 
+ * Reglas de Negocio:
+ * - Solo una reserva activa y sin vencer puede liberarse
+ * - Sin el permiso orders:write, solo quien tiene el token del carrito de
+ *   la reserva (su referencia) puede liberarla
+ * 
+ * @class ReleaseReservationUseCase
+ * @author Backend Team
+ */
+
+import { ok, fail } from "../../../Shared/Result.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { isUuid } from "../../../Shared/validators.js";
+import { accessCart } from "../../Carts/Access/cartAccess.js";
+
+export class ReleaseReservationUseCase {
+
+  /**
+   * Constructor del caso de uso
+   * 
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ReservationRepository} dependencies.reservationRepository - Repositorio de reservas
+   * @param {CartRepository} dependencies.cartRepository - Repositorio de carritos (token)
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ reservationRepository, cartRepository, unitOfWork }) {
+    /**
+     * Repositorio de reservas
+     * @type {ReservationRepository}
+     * @private
+     */
+    this.reservationRepository = reservationRepository;
+
+    /**
+     * Repositorio de carritos
+     * @type {CartRepository}
+     * @private
+     */
+    this.cartRepository = cartRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta la liberación
+   * 
+   * @param {string} id - Identificador de la reserva
+   * @param {Object} access - Credenciales de quien libera
+   * @param {string|null} [access.cartToken] - Token del carrito de la reserva
+   * @param {boolean} [access.privileged=false] - Tiene el permiso orders:write
+   * @returns {Promise<Result<Reservation, AppError>>} Reserva liberada, 403 si el token no
+   *   corresponde, 404 o 409 si ya no está activa
+   */
+  async execute(id, { cartToken = null, privileged = false } = {}) {
+    return this.uow.run(async (transaction) => {
+      const reservation = await this.reservationRepository.findById(id, transaction, { lock: true });
+
+      if (!reservation) {
+        return fail(AppError.notFound('Reserva', { id }));
+      }
+
+      if (!privileged) {
+        // Las reservas sin carrito (referencia user:/api-key:) requieren el permiso
+        if (!isUuid(reservation.reference)) {
+          return fail(AppError.forbidden('La reserva no pertenece a un carrito: liberarla requiere el permiso orders:write'));
+        }
+
+        const { error } = await accessCart(this, reservation.reference, { token: cartToken }, transaction);
+
+        if (error) {
+          return fail(error.code === 'RESOURCE_NOT_FOUND'
+            ? AppError.forbidden('El token no corresponde al carrito de la reserva')
+            : error);
+        }
+      }
+
+      if (!reservation.isActive()) {
+        return fail(AppError.conflict(
+          `La reserva no está activa (estado: ${reservation.currentStatus()})`,
+          { id, status: reservation.currentStatus() }
+        ));
+      }
+
+      const released = await this.reservationRepository.updateStatus(id, 'released', transaction);
+
+      return ok(released);
+    });
+  }
+}
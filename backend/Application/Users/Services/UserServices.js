@@ -0,0 +1,39 @@
+/**
+ * Servicio de Aplicación: UserService
+ * 
+ * Fachada que orquesta los casos de uso de administración de usuarios.
+ * 
+ * @class UserService
+ * @author Backend Team
+ */
+
+import { ChangeUserRoleUseCase } from '../UseCases/ChangeUserRoleUseCase.js';
+
+export class UserService {
+
+  /**
+   * Constructor del servicio de usuarios
+   * 
+   * @param {Object} dependencies - Casos de uso inyectados
+   * @param {ChangeUserRoleUseCase} dependencies.changeUserRoleUseCase - Caso de uso para cambiar roles
+   */
+  constructor({ changeUserRoleUseCase }) {
+    /**
+     * @type {ChangeUserRoleUseCase}
+     * @private
+     */
+    this.changeUserRoleUseCase = changeUserRoleUseCase;
+  }
+
+  /**
+   * Cambia el rol de un usuario
+   * 
+   * @param {string} id - Usuario a modificar
+   * @param {string} role - Nuevo rol
+   * @param {Object} options - Contexto (actorId: usuario que hace el cambio)
+   * @returns {Promise<Result<User, AppError>>} Usuario actualizado o error
+   */
+  async changeRole(id, role, options) {
+    return this.changeUserRoleUseCase.execute(id, role, options);
+  }
+}
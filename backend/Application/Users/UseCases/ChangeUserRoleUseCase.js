@@ -0,0 +1,76 @@
+/**
+ * Caso de Uso: Cambiar Rol de Usuario
+ *
+ * Reglas de Negocio:
+ * - El rol debe ser uno de ROLES
+ * - Un usuario no puede cambiar su propio rol: evita que el último
+ *   administrador se quite el permiso por error
+ * - El cambio se refleja en el siguiente access token del usuario (al
+ *   renovar la sesión); los tokens ya emitidos conservan el rol anterior
+ *   hasta su vencimiento
+ *
+ * @class ChangeUserRoleUseCase
+ * @author Backend Team
+ */
+
+import { ROLES } from "../../../Domain/Users/Entities/Role.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { ok, fail } from "../../../Shared/Result.js";
+
+export class ChangeUserRoleUseCase {
+
+  /**
+   * Constructor del caso de uso
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {UserRepository} dependencies.userRepository - Repositorio de usuarios
+   * @param {UnitOfWork} dependencies.unitOfWork - Manejador de transacciones
+   */
+  constructor({ userRepository, unitOfWork }) {
+    /**
+     * Repositorio de usuarios
+     * @type {UserRepository}
+     * @private
+     */
+    this.userRepository = userRepository;
+
+    /**
+     * Unit of Work para manejo transaccional
+     * @type {UnitOfWork}
+     * @private
+     */
+    this.uow = unitOfWork;
+  }
+
+  /**
+   * Ejecuta el caso de uso de cambio de rol
+   *
+   * @param {string} id - Usuario a modificar
+   * @param {string} role - Nuevo rol
+   * @param {Object} options - Contexto de la operación
+   * @param {string} options.actorId - Usuario que hace el cambio
+   * @returns {Promise<Result<User, AppError>>} Usuario actualizado o error
+   *
+   * @example
+   * const result = await changeUserRoleUseCase.execute(userId, 'catalog-editor', { actorId: req.user.id });
+   */
+  async execute(id, role, { actorId }) {
+    if (!ROLES.includes(role)) {
+      return fail(AppError.validation(`El rol debe ser uno de: ${ROLES.join(', ')}`, { field: 'role', value: role }));
+    }
+
+    if (id === actorId) {
+      return fail(AppError.conflict('No puede cambiar su propio rol', { id }));
+    }
+
+    return this.uow.run(async (transaction) => {
+      const updated = await this.userRepository.updateRole(id, role, transaction);
+
+      if (!updated) {
+        return fail(AppError.notFound('Usuario', { id }));
+      }
+
+      return ok(updated);
+    });
+  }
+}
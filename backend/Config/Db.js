@@ -1,5 +1,33 @@
 import { Sequelize } from "sequelize";
 import { env } from "./env.js";
+import { logger } from "./logger.js";
+import { redactSql } from "../Shared/logger.js";
+
+const sqlLogger = logger.child({ component: 'sequelize' });
+
+/**
+ * Formato de los mensajes de consulta de Sequelize:
+ * "Executed (<id de transacción | default>): <sql>"
+ * @constant {RegExp}
+ */
+const QUERY_MESSAGE_REGEX = /^Execut(?:ing|ed) \(([^)]+)\): ([\s\S]*)$/;
+
+/**
+ * Registra cada consulta en debug con su duración y su transacción
+ * El requestId lo agrega el logger desde el contexto de la petición
+ *
+ * @param {string} message - Mensaje de Sequelize
+ * @param {number} durationMs - Duración de la consulta (benchmark)
+ */
+const logQuery = (message, durationMs) => {
+  const [, connection, sql] = QUERY_MESSAGE_REGEX.exec(message) ?? [null, 'default', message];
+
+  sqlLogger.debug('Consulta SQL', {
+    sql: redactSql(sql),
+    durationMs,
+    transactionId: connection === 'default' ? undefined : connection
+  });
+};
 
 export const sequelize = new Sequelize(
   env.DB.DATABASE,
@@ -8,6 +36,7 @@ export const sequelize = new Sequelize(
   {
     host: env.DB.HOST,
     dialect: env.DB.DIALECT,
-    logging: env.DB.LOGGING,
+    logging: env.DB.LOGGING ? logQuery : false,
+    benchmark: env.DB.LOGGING,
   }
 );
@@ -20,23 +20,164 @@
  */
 
 import { asClass, asFunction, asValue, createContainer, InjectionMode, Lifetime } from 'awilix';
+import { randomBytes } from 'node:crypto';
 
 // === IMPORTACIONES DE CONFIGURACIÓN ===
 import { env } from './env.js';
 import { sequelize } from './Db.js';
+import { logger } from './logger.js';
 
 // === IMPORTACIONES DE INFRAESTRUCTURA ===
 import { buildProductModel } from '../Infraestructure/Products/Models/ProductModel.js';
+import { buildProductVariantModel } from '../Infraestructure/Products/Models/ProductVariantModel.js';
+import { buildProductImageModel } from '../Infraestructure/Products/Models/ProductImageModel.js';
+import { buildStockMovementModel } from '../Infraestructure/Products/Models/StockMovementModel.js';
+import { buildCategoryModel } from '../Infraestructure/Categories/Models/CategoryModel.js';
+import { buildBrandModel } from '../Infraestructure/Brands/Models/BrandModel.js';
+import { buildReservationModel } from '../Infraestructure/Reservations/Models/ReservationModel.js';
+import { buildCartModel } from '../Infraestructure/Carts/Models/CartModel.js';
+import { buildCartItemModel } from '../Infraestructure/Carts/Models/CartItemModel.js';
+import { buildOrderModel } from '../Infraestructure/Orders/Models/OrderModel.js';
+import { buildOrderItemModel } from '../Infraestructure/Orders/Models/OrderItemModel.js';
+import { buildCustomerModel } from '../Infraestructure/Customers/Models/CustomerModel.js';
+import { buildCustomerAddressModel } from '../Infraestructure/Customers/Models/CustomerAddressModel.js';
+import { buildUserModel } from '../Infraestructure/Users/Models/UserModel.js';
+import { buildRefreshTokenModel } from '../Infraestructure/Users/Models/RefreshTokenModel.js';
+import { buildRevokedTokenModel } from '../Infraestructure/Users/Models/RevokedTokenModel.js';
+import { buildApiKeyModel } from '../Infraestructure/ApiKeys/Models/ApiKeyModel.js';
 import { SequelizeUnitOfWork } from '../Infraestructure/UoW/SequelizeUnitOfWork.js';
 import { SequelizeProductRepository } from '../Infraestructure/Products/Repositories/SequelizeProductRepository.js';
+import { SequelizeProductVariantRepository } from '../Infraestructure/Products/Repositories/SequelizeProductVariantRepository.js';
+import { SequelizeProductImageRepository } from '../Infraestructure/Products/Repositories/SequelizeProductImageRepository.js';
+import { SequelizeStockMovementRepository } from '../Infraestructure/Products/Repositories/SequelizeStockMovementRepository.js';
+import { LocalDiskImageStorage } from '../Infraestructure/Storage/LocalDiskImageStorage.js';
+import { SharpImageProcessor } from '../Infraestructure/Products/Images/SharpImageProcessor.js';
+import { SequelizeCategoryRepository } from '../Infraestructure/Categories/Repositories/SequelizeCategoryRepository.js';
+import { SequelizeBrandRepository } from '../Infraestructure/Brands/Repositories/SequelizeBrandRepository.js';
+import { SequelizeReservationRepository } from '../Infraestructure/Reservations/Repositories/SequelizeReservationRepository.js';
+import { ReservationSweeper } from '../Infraestructure/Reservations/ReservationSweeper.js';
+import { SequelizeCartRepository } from '../Infraestructure/Carts/Repositories/SequelizeCartRepository.js';
+import { SequelizeOrderRepository } from '../Infraestructure/Orders/Repositories/SequelizeOrderRepository.js';
+import { SequelizeCustomerRepository } from '../Infraestructure/Customers/Repositories/SequelizeCustomerRepository.js';
+import { SequelizeCustomerAddressRepository } from '../Infraestructure/Customers/Repositories/SequelizeCustomerAddressRepository.js';
+import { SequelizeUserRepository } from '../Infraestructure/Users/Repositories/SequelizeUserRepository.js';
+import { SequelizeRefreshTokenRepository } from '../Infraestructure/Users/Repositories/SequelizeRefreshTokenRepository.js';
+import { SequelizeRevokedTokenRepository } from '../Infraestructure/Users/Repositories/SequelizeRevokedTokenRepository.js';
+import { SequelizeApiKeyRepository } from '../Infraestructure/ApiKeys/Repositories/SequelizeApiKeyRepository.js';
+import { BcryptPasswordHasher } from '../Infraestructure/Auth/BcryptPasswordHasher.js';
+import { JwtAccessTokenService } from '../Infraestructure/Auth/JwtAccessTokenService.js';
+import { MemoryRateLimitStore } from '../Infraestructure/RateLimits/MemoryRateLimitStore.js';
+import { PrometheusMetrics } from '../Infraestructure/Metrics/PrometheusMetrics.js';
+import { DatabaseConnectionCheck } from '../Infraestructure/Health/DatabaseConnectionCheck.js';
+import { PendingMigrationsCheck } from '../Infraestructure/Health/PendingMigrationsCheck.js';
+import { MigrationRunner } from '../Infraestructure/Migrations/MigrationRunner.js';
+import { DatabasePoolCheck } from '../Infraestructure/Health/DatabasePoolCheck.js';
 
 // === IMPORTACIONES DE APLICACIÓN ===
 import { CreateProductUseCase } from '../Application/Products/UseCases/CreateProductUseCase.js';
 import { GetProductUseCase } from '../Application/Products/UseCases/GetProductUseCase.js';
+import { GetProductByIdUseCase } from '../Application/Products/UseCases/GetProductByIdUseCase.js';
+import { UpdateProductUseCase } from '../Application/Products/UseCases/UpdateProductUseCase.js';
+import { DeleteProductUseCase } from '../Application/Products/UseCases/DeleteProductUseCase.js';
+import { RestoreProductUseCase } from '../Application/Products/UseCases/RestoreProductUseCase.js';
+import { PurgeProductUseCase } from '../Application/Products/UseCases/PurgeProductUseCase.js';
+import { SearchProductsUseCase } from '../Application/Products/UseCases/SearchProductsUseCase.js';
+import { ImportProductsUseCase } from '../Application/Products/UseCases/ImportProductsUseCase.js';
+import { ExportProductsUseCase } from '../Application/Products/UseCases/ExportProductsUseCase.js';
+import { AdjustStockUseCase } from '../Application/Products/UseCases/AdjustStockUseCase.js';
+import { GetStockHistoryUseCase } from '../Application/Products/UseCases/GetStockHistoryUseCase.js';
+import { GetStockLevelsUseCase } from '../Application/Products/UseCases/GetStockLevelsUseCase.js';
+import { CheckReadinessUseCase } from '../Application/Health/UseCases/CheckReadinessUseCase.js';
+import { HealthService } from '../Application/Health/Services/HealthServices.js';
 import { ProductService } from '../Application/Products/Services/ProductServices.js';
+import { CreateProductVariantUseCase } from '../Application/Products/UseCases/CreateProductVariantUseCase.js';
+import { GetProductVariantsUseCase } from '../Application/Products/UseCases/GetProductVariantsUseCase.js';
+import { GetProductVariantByIdUseCase } from '../Application/Products/UseCases/GetProductVariantByIdUseCase.js';
+import { UpdateProductVariantUseCase } from '../Application/Products/UseCases/UpdateProductVariantUseCase.js';
+import { DeleteProductVariantUseCase } from '../Application/Products/UseCases/DeleteProductVariantUseCase.js';
+import { ProductVariantService } from '../Application/Products/Services/ProductVariantServices.js';
+import { UploadProductImageUseCase } from '../Application/Products/UseCases/UploadProductImageUseCase.js';
+import { GetProductImagesUseCase } from '../Application/Products/UseCases/GetProductImagesUseCase.js';
+import { UpdateProductImageUseCase } from '../Application/Products/UseCases/UpdateProductImageUseCase.js';
+import { DeleteProductImageUseCase } from '../Application/Products/UseCases/DeleteProductImageUseCase.js';
+import { ProductImageService } from '../Application/Products/Services/ProductImageServices.js';
+import { CreateCategoryUseCase } from '../Application/Categories/UseCases/CreateCategoryUseCase.js';
+import { GetCategoriesUseCase } from '../Application/Categories/UseCases/GetCategoriesUseCase.js';
+import { GetCategoryByIdUseCase } from '../Application/Categories/UseCases/GetCategoryByIdUseCase.js';
+import { UpdateCategoryUseCase } from '../Application/Categories/UseCases/UpdateCategoryUseCase.js';
+import { DeleteCategoryUseCase } from '../Application/Categories/UseCases/DeleteCategoryUseCase.js';
+import { GetCategoryProductsUseCase } from '../Application/Categories/UseCases/GetCategoryProductsUseCase.js';
+import { CategoryService } from '../Application/Categories/Services/CategoryServices.js';
+import { CreateBrandUseCase } from '../Application/Brands/UseCases/CreateBrandUseCase.js';
+import { GetBrandsUseCase } from '../Application/Brands/UseCases/GetBrandsUseCase.js';
+import { GetBrandByIdUseCase } from '../Application/Brands/UseCases/GetBrandByIdUseCase.js';
+import { UpdateBrandUseCase } from '../Application/Brands/UseCases/UpdateBrandUseCase.js';
+import { DeleteBrandUseCase } from '../Application/Brands/UseCases/DeleteBrandUseCase.js';
+import { BrandService } from '../Application/Brands/Services/BrandServices.js';
+import { CreateReservationUseCase } from '../Application/Reservations/UseCases/CreateReservationUseCase.js';
+import { GetReservationByIdUseCase } from '../Application/Reservations/UseCases/GetReservationByIdUseCase.js';
+import { ReleaseReservationUseCase } from '../Application/Reservations/UseCases/ReleaseReservationUseCase.js';
+import { ExpireReservationsUseCase } from '../Application/Reservations/UseCases/ExpireReservationsUseCase.js';
+import { ReservationService } from '../Application/Reservations/Services/ReservationServices.js';
+import { CreateCartUseCase } from '../Application/Carts/UseCases/CreateCartUseCase.js';
+import { GetCartUseCase } from '../Application/Carts/UseCases/GetCartUseCase.js';
+import { AddCartItemUseCase } from '../Application/Carts/UseCases/AddCartItemUseCase.js';
+import { UpdateCartItemUseCase } from '../Application/Carts/UseCases/UpdateCartItemUseCase.js';
+import { RemoveCartItemUseCase } from '../Application/Carts/UseCases/RemoveCartItemUseCase.js';
+import { MergeCartsUseCase } from '../Application/Carts/UseCases/MergeCartsUseCase.js';
+import { CartService } from '../Application/Carts/Services/CartServices.js';
+import { PlaceOrderUseCase } from '../Application/Orders/UseCases/PlaceOrderUseCase.js';
+import { GetOrdersUseCase } from '../Application/Orders/UseCases/GetOrdersUseCase.js';
+import { GetOrderByIdUseCase } from '../Application/Orders/UseCases/GetOrderByIdUseCase.js';
+import { UpdateOrderStatusUseCase } from '../Application/Orders/UseCases/UpdateOrderStatusUseCase.js';
+import { OrderService } from '../Application/Orders/Services/OrderServices.js';
+import { CreateCustomerUseCase } from '../Application/Customers/UseCases/CreateCustomerUseCase.js';
+import { GetCustomersUseCase } from '../Application/Customers/UseCases/GetCustomersUseCase.js';
+import { GetCustomerByIdUseCase } from '../Application/Customers/UseCases/GetCustomerByIdUseCase.js';
+import { UpdateCustomerUseCase } from '../Application/Customers/UseCases/UpdateCustomerUseCase.js';
+import { DeleteCustomerUseCase } from '../Application/Customers/UseCases/DeleteCustomerUseCase.js';
+import { CreateCustomerAddressUseCase } from '../Application/Customers/UseCases/CreateCustomerAddressUseCase.js';
+import { GetCustomerAddressesUseCase } from '../Application/Customers/UseCases/GetCustomerAddressesUseCase.js';
+import { UpdateCustomerAddressUseCase } from '../Application/Customers/UseCases/UpdateCustomerAddressUseCase.js';
+import { DeleteCustomerAddressUseCase } from '../Application/Customers/UseCases/DeleteCustomerAddressUseCase.js';
+import { CustomerService } from '../Application/Customers/Services/CustomerServices.js';
+import { CustomerAddressService } from '../Application/Customers/Services/CustomerAddressServices.js';
+import { RegisterUserUseCase } from '../Application/Auth/UseCases/RegisterUserUseCase.js';
+import { LoginUseCase } from '../Application/Auth/UseCases/LoginUseCase.js';
+import { RefreshSessionUseCase } from '../Application/Auth/UseCases/RefreshSessionUseCase.js';
+import { LogoutUseCase } from '../Application/Auth/UseCases/LogoutUseCase.js';
+import { AuthService } from '../Application/Auth/Services/AuthServices.js';
+import { ChangeUserRoleUseCase } from '../Application/Users/UseCases/ChangeUserRoleUseCase.js';
+import { UserService } from '../Application/Users/Services/UserServices.js';
+import { CreateApiKeyUseCase } from '../Application/ApiKeys/UseCases/CreateApiKeyUseCase.js';
+import { GetApiKeysUseCase } from '../Application/ApiKeys/UseCases/GetApiKeysUseCase.js';
+import { RevokeApiKeyUseCase } from '../Application/ApiKeys/UseCases/RevokeApiKeyUseCase.js';
+import { AuthenticateApiKeyUseCase } from '../Application/ApiKeys/UseCases/AuthenticateApiKeyUseCase.js';
+import { ApiKeyService } from '../Application/ApiKeys/Services/ApiKeyServices.js';
 
 // === IMPORTACIONES DE PRESENTACIÓN ===
 import { buildProductRouter } from '../Routes/Product.routes.js';
+import { buildProductVariantRouter } from '../Routes/ProductVariant.routes.js';
+import { buildProductImageRouter } from '../Routes/ProductImage.routes.js';
+import { buildCategoryRouter } from '../Routes/Category.routes.js';
+import { buildBrandRouter } from '../Routes/Brand.routes.js';
+import { buildReservationRouter } from '../Routes/Reservation.routes.js';
+import { buildCartRouter } from '../Routes/Cart.routes.js';
+import { buildOrderRouter } from '../Routes/Order.routes.js';
+import { buildCustomerRouter } from '../Routes/Customer.routes.js';
+import { buildCustomerAddressRouter } from '../Routes/CustomerAddress.routes.js';
+import { buildAuthRouter } from '../Routes/Auth.routes.js';
+import { buildUserRouter } from '../Routes/User.routes.js';
+import { buildApiKeyRouter } from '../Routes/ApiKey.routes.js';
+import { buildMetricsRouter } from '../Routes/Metrics.routes.js';
+import { buildHealthRouter } from '../Routes/Health.routes.js';
+import { buildDocsRouter } from '../Routes/Docs.routes.js';
+import { buildAuthenticate } from '../Shared/authGuard.js';
+import { buildIpRateLimit, buildRateLimit } from '../Shared/rateLimit.js';
+import { buildRequestContext } from '../Shared/requestContext.js';
+import { buildErrorHandler } from '../Shared/errorHandler.js';
+import { buildHttpMetrics } from '../Shared/httpMetrics.js';
+import { buildGracefulShutdown } from '../Shared/gracefulShutdown.js';
 
 /**
  * Construye y configura el contenedor de inyección de dependencias
@@ -67,6 +208,54 @@ export function buildContainer() {
   // Los modelos se construyen una sola vez durante la inicialización
   // para evitar problemas de registro múltiple en Sequelize
   const ProductModel = buildProductModel(sequelize);
+  const ProductVariantModel = buildProductVariantModel(sequelize);
+  const ProductImageModel = buildProductImageModel(sequelize);
+  const StockMovementModel = buildStockMovementModel(sequelize);
+  const CategoryModel = buildCategoryModel(sequelize);
+  const BrandModel = buildBrandModel(sequelize);
+  const ReservationModel = buildReservationModel(sequelize);
+  const CartModel = buildCartModel(sequelize);
+  const CartItemModel = buildCartItemModel(sequelize);
+  const OrderModel = buildOrderModel(sequelize);
+  const OrderItemModel = buildOrderItemModel(sequelize);
+  const CustomerModel = buildCustomerModel(sequelize);
+  const CustomerAddressModel = buildCustomerAddressModel(sequelize);
+  const UserModel = buildUserModel(sequelize);
+  const RefreshTokenModel = buildRefreshTokenModel(sequelize);
+  const RevokedTokenModel = buildRevokedTokenModel(sequelize);
+  const ApiKeyModel = buildApiKeyModel(sequelize);
+
+  // Las relaciones se registran cuando todos los modelos existen
+  Object.values(sequelize.models).forEach(model => model.associate?.(sequelize.models));
+
+  // === ALMACENAMIENTO DE ARCHIVOS ===
+  // Solo existe el adaptador de disco local; otro adaptador (ej: almacenamiento
+  // de objetos) se agrega aquí implementando ImageStoragePort
+  if (env.STORAGE.DRIVER !== 'local') {
+    throw new Error(`STORAGE_DRIVER no soportado: ${env.STORAGE.DRIVER}`);
+  }
+
+  // === SECRETO DE FIRMA DE ACCESS TOKENS ===
+  // En producción es obligatorio; en desarrollo se genera uno aleatorio,
+  // con lo que las sesiones no sobreviven a un reinicio del proceso
+  let jwtSecret = env.SECURITY.JWT_SECRET;
+
+  if (!jwtSecret) {
+    if (env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET es requerido en producción');
+    }
+
+    jwtSecret = randomBytes(32).toString('hex');
+    logger.warn('JWT_SECRET no configurado: se usa un secreto aleatorio (las sesiones se pierden al reiniciar)');
+  }
+
+  // === MÉTRICAS ===
+  // Se crean antes del registro porque el Unit of Work las recibe al construirse
+  const metrics = new PrometheusMetrics({ sequelize });
+
+  // === MIGRACIONES ===
+  // Lo usan el arranque (index.js) y el chequeo de readiness
+  const migrationRunner = new MigrationRunner(sequelize, { logger });
 
   // === REGISTRO DE DEPENDENCIAS ===
   container.register({
@@ -75,6 +264,7 @@ export function buildContainer() {
     // Valores constantes que no requieren instanciación
     env: asValue(env),
     sequelize: asValue(sequelize),
+    logger: asValue(logger),
     
     // === CAPA DE INFRAESTRUCTURA ===
     // Adaptadores que implementan las interfaces del dominio
@@ -85,11 +275,117 @@ export function buildContainer() {
      */
     productRepository: asValue(new SequelizeProductRepository(ProductModel)),
     
+    /**
+     * Repository de variantes (tono, tamaño) de productos
+     */
+    productVariantRepository: asValue(new SequelizeProductVariantRepository(ProductVariantModel)),
+    
+    /**
+     * Repository de la galería de imágenes de productos
+     */
+    productImageRepository: asValue(new SequelizeProductImageRepository(ProductImageModel)),
+    
+    /**
+     * Repository del libro de movimientos de inventario
+     */
+    stockMovementRepository: asValue(new SequelizeStockMovementRepository(StockMovementModel)),
+    
+    /**
+     * Almacenamiento de archivos y procesador de imágenes (miniaturas)
+     */
+    imageStorage: asValue(new LocalDiskImageStorage({
+      rootDir: env.STORAGE.LOCAL_DIR,
+      publicUrl: env.STORAGE.PUBLIC_URL
+    })),
+    imageProcessor: asValue(new SharpImageProcessor({
+      thumbnailSize: env.STORAGE.THUMBNAIL_SIZE
+    })),
+    
+    /**
+     * Repositories de categorías (jerárquicas) y marcas
+     */
+    categoryRepository: asValue(new SequelizeCategoryRepository(CategoryModel)),
+    brandRepository: asValue(new SequelizeBrandRepository(BrandModel)),
+    
+    /**
+     * Repository de reservas de stock
+     */
+    reservationRepository: asValue(new SequelizeReservationRepository(ReservationModel)),
+    
+    /**
+     * Repository de carritos y sus líneas
+     */
+    cartRepository: asValue(new SequelizeCartRepository(CartModel, CartItemModel)),
+    
+    /**
+     * Repository de pedidos y sus líneas
+     */
+    orderRepository: asValue(new SequelizeOrderRepository(OrderModel, OrderItemModel)),
+    
+    /**
+     * Repositories de clientes y de su libreta de direcciones
+     */
+    customerRepository: asValue(new SequelizeCustomerRepository(CustomerModel)),
+    customerAddressRepository: asValue(new SequelizeCustomerAddressRepository(CustomerAddressModel)),
+    
+    /**
+     * Repositories de usuarios, refresh tokens y lista de revocación
+     */
+    userRepository: asValue(new SequelizeUserRepository(UserModel)),
+    refreshTokenRepository: asValue(new SequelizeRefreshTokenRepository(RefreshTokenModel)),
+    revokedTokenRepository: asValue(new SequelizeRevokedTokenRepository(RevokedTokenModel)),
+    
+    /**
+     * Repository de API keys de integraciones
+     */
+    apiKeyRepository: asValue(new SequelizeApiKeyRepository(ApiKeyModel)),
+    
+    /**
+     * Hash de contraseñas (bcrypt) y emisor de access tokens (JWT)
+     */
+    passwordHasher: asValue(new BcryptPasswordHasher({
+      saltRounds: env.SECURITY.SALT_ROUNDS
+    })),
+    accessTokenService: asValue(new JwtAccessTokenService({
+      secret: jwtSecret,
+      ttlSeconds: env.SECURITY.ACCESS_TOKEN_TTL_SECONDS
+    })),
+    
+    /**
+     * Contadores del límite de peticiones
+     * En memoria: sirve para una instancia; con varias se reemplaza por un
+     * adaptador sobre un almacén compartido (RateLimitStorePort)
+     */
+    rateLimitStore: asValue(new MemoryRateLimitStore({
+      sweepIntervalMs: env.RATE_LIMIT.WINDOW_SECONDS * 1000
+    })),
+    
+    /**
+     * Registro de métricas expuesto en /metrics (Prometheus)
+     */
+    metrics: asValue(metrics),
+    
     /**
      * Unit of Work para manejo transaccional
      * Garantiza consistencia ACID en operaciones complejas
      */
-    unitOfWork: asValue(new SequelizeUnitOfWork(sequelize)),
+    unitOfWork: asValue(new SequelizeUnitOfWork(sequelize, logger, metrics)),
+    
+    /**
+     * Ejecutor de migraciones de esquema (tabla schema_migrations)
+     */
+    migrationRunner: asValue(migrationRunner),
+    
+    /**
+     * Chequeos de las dependencias que ejecuta /health/ready
+     */
+    healthChecks: asValue([
+      new DatabaseConnectionCheck(sequelize),
+      new PendingMigrationsCheck(migrationRunner),
+      new DatabasePoolCheck(sequelize, {
+        maxWaiting: env.HEALTH.POOL_MAX_WAITING
+      })
+    ]),
 
     // === CAPA DE APLICACIÓN ===
     // Casos de uso que implementan la lógica de negocio
@@ -110,6 +406,67 @@ export function buildContainer() {
       lifetime: Lifetime.SINGLETON 
     }),
     
+    /**
+     * Caso de uso para obtener un producto por ID
+     */
+    getProductByIdUseCase: asClass(GetProductByIdUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Caso de uso para actualizar productos (PUT y PATCH)
+     */
+    updateProductUseCase: asClass(UpdateProductUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Casos de uso de eliminación: lógica, restauración y física
+     */
+    deleteProductUseCase: asClass(DeleteProductUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    restoreProductUseCase: asClass(RestoreProductUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    purgeProductUseCase: asClass(PurgeProductUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Caso de uso para búsqueda de texto completo en PostgreSQL
+     */
+    searchProductsUseCase: asClass(SearchProductsUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Caso de uso para importación masiva desde CSV o JSON
+     */
+    importProductsUseCase: asClass(ImportProductsUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Caso de uso para exportación en streaming (CSV / NDJSON)
+     */
+    exportProductsUseCase: asClass(ExportProductsUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Casos de uso del libro de inventario: movimientos e historial
+     */
+    adjustStockUseCase: asClass(AdjustStockUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getStockHistoryUseCase: asClass(GetStockHistoryUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getStockLevelsUseCase: asClass(GetStockLevelsUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
     /**
      * Servicio de aplicación que orquesta casos de uso
      * Actúa como fachada para operaciones relacionadas con productos
@@ -117,6 +474,295 @@ export function buildContainer() {
     productService: asClass(ProductService, { 
       lifetime: Lifetime.SINGLETON 
     }),
+    
+    /**
+     * Casos de uso de variantes de producto
+     */
+    createProductVariantUseCase: asClass(CreateProductVariantUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getProductVariantsUseCase: asClass(GetProductVariantsUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getProductVariantByIdUseCase: asClass(GetProductVariantByIdUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    updateProductVariantUseCase: asClass(UpdateProductVariantUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    deleteProductVariantUseCase: asClass(DeleteProductVariantUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Servicio de aplicación de variantes
+     */
+    productVariantService: asClass(ProductVariantService, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Casos de uso de la galería de imágenes
+     */
+    uploadProductImageUseCase: asClass(UploadProductImageUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getProductImagesUseCase: asClass(GetProductImagesUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    updateProductImageUseCase: asClass(UpdateProductImageUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    deleteProductImageUseCase: asClass(DeleteProductImageUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Servicio de aplicación de imágenes
+     */
+    productImageService: asClass(ProductImageService, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Casos de uso de categorías
+     */
+    createCategoryUseCase: asClass(CreateCategoryUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getCategoriesUseCase: asClass(GetCategoriesUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getCategoryByIdUseCase: asClass(GetCategoryByIdUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    updateCategoryUseCase: asClass(UpdateCategoryUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    deleteCategoryUseCase: asClass(DeleteCategoryUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getCategoryProductsUseCase: asClass(GetCategoryProductsUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Servicio de aplicación de categorías
+     */
+    categoryService: asClass(CategoryService, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Casos de uso de marcas
+     */
+    createBrandUseCase: asClass(CreateBrandUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getBrandsUseCase: asClass(GetBrandsUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getBrandByIdUseCase: asClass(GetBrandByIdUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    updateBrandUseCase: asClass(UpdateBrandUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    deleteBrandUseCase: asClass(DeleteBrandUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Servicio de aplicación de marcas
+     */
+    brandService: asClass(BrandService, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Casos de uso de reservas de stock
+     */
+    createReservationUseCase: asClass(CreateReservationUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getReservationByIdUseCase: asClass(GetReservationByIdUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    releaseReservationUseCase: asClass(ReleaseReservationUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    expireReservationsUseCase: asClass(ExpireReservationsUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Servicio de aplicación de reservas
+     */
+    reservationService: asClass(ReservationService, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Barrido en proceso de reservas vencidas (se inicia en index.js)
+     */
+    reservationSweeper: asClass(ReservationSweeper, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Casos de uso de carritos de compras
+     */
+    createCartUseCase: asClass(CreateCartUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getCartUseCase: asClass(GetCartUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    addCartItemUseCase: asClass(AddCartItemUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    updateCartItemUseCase: asClass(UpdateCartItemUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    removeCartItemUseCase: asClass(RemoveCartItemUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    mergeCartsUseCase: asClass(MergeCartsUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Servicio de aplicación de carritos
+     */
+    cartService: asClass(CartService, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Casos de uso de pedidos: checkout, consultas y estados
+     */
+    placeOrderUseCase: asClass(PlaceOrderUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getOrdersUseCase: asClass(GetOrdersUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getOrderByIdUseCase: asClass(GetOrderByIdUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    updateOrderStatusUseCase: asClass(UpdateOrderStatusUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Servicio de aplicación de pedidos
+     */
+    orderService: asClass(OrderService, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Casos de uso de clientes y de su libreta de direcciones
+     */
+    createCustomerUseCase: asClass(CreateCustomerUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getCustomersUseCase: asClass(GetCustomersUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getCustomerByIdUseCase: asClass(GetCustomerByIdUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    updateCustomerUseCase: asClass(UpdateCustomerUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    deleteCustomerUseCase: asClass(DeleteCustomerUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    createCustomerAddressUseCase: asClass(CreateCustomerAddressUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getCustomerAddressesUseCase: asClass(GetCustomerAddressesUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    updateCustomerAddressUseCase: asClass(UpdateCustomerAddressUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    deleteCustomerAddressUseCase: asClass(DeleteCustomerAddressUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Servicios de aplicación de clientes y direcciones
+     */
+    customerService: asClass(CustomerService, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    customerAddressService: asClass(CustomerAddressService, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Casos de uso de autenticación: registro, sesión, renovación y cierre
+     */
+    registerUserUseCase: asClass(RegisterUserUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    loginUseCase: asClass(LoginUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    refreshSessionUseCase: asClass(RefreshSessionUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    logoutUseCase: asClass(LogoutUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Servicio de aplicación de autenticación
+     */
+    authService: asClass(AuthService, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Administración de usuarios (roles)
+     */
+    changeUserRoleUseCase: asClass(ChangeUserRoleUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    userService: asClass(UserService, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * API keys: administración y autenticación de integraciones
+     */
+    createApiKeyUseCase: asClass(CreateApiKeyUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    getApiKeysUseCase: asClass(GetApiKeysUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    revokeApiKeyUseCase: asClass(RevokeApiKeyUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    authenticateApiKeyUseCase: asClass(AuthenticateApiKeyUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    apiKeyService: asClass(ApiKeyService, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Salud del servicio: chequeos de readiness y su fachada
+     */
+    checkReadinessUseCase: asClass(CheckReadinessUseCase, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    healthService: asClass(HealthService, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
 
     // === CAPA DE PRESENTACIÓN ===
     // Routers y controladores HTTP
@@ -128,6 +774,131 @@ export function buildContainer() {
     productRouter: asFunction(buildProductRouter, { 
       lifetime: Lifetime.SINGLETON 
     }),
+    
+    /**
+     * Router de variantes, anidado bajo /products/:productId/variants
+     */
+    productVariantRouter: asFunction(buildProductVariantRouter, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Router de imágenes, anidado bajo /products/:productId/images
+     */
+    productImageRouter: asFunction(buildProductImageRouter, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Routers de categorías y marcas
+     */
+    categoryRouter: asFunction(buildCategoryRouter, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    brandRouter: asFunction(buildBrandRouter, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Router de reservas de stock
+     */
+    reservationRouter: asFunction(buildReservationRouter, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Router de carritos de compras
+     */
+    cartRouter: asFunction(buildCartRouter, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Router de pedidos
+     */
+    orderRouter: asFunction(buildOrderRouter, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Routers de clientes y de direcciones (anidado bajo /customers/:customerId/addresses)
+     */
+    customerRouter: asFunction(buildCustomerRouter, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    customerAddressRouter: asFunction(buildCustomerAddressRouter, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Routers de autenticación, usuarios y API keys, y middleware que
+     * identifica al usuario (req.user) o la integración (req.apiKey)
+     */
+    authRouter: asFunction(buildAuthRouter, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    userRouter: asFunction(buildUserRouter, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    apiKeyRouter: asFunction(buildApiKeyRouter, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    authenticate: asFunction(buildAuthenticate, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Routers de salud (/health) y de métricas (/metrics), fuera de /api
+     */
+    healthRouter: asFunction(buildHealthRouter, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    metricsRouter: asFunction(buildMetricsRouter, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Router de documentación (/openapi.json y /docs), generada desde los
+     * routers de routerMounts
+     */
+    docsRouter: asFunction(buildDocsRouter, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Middleware de límite de peticiones por IP (antes de authenticate)
+     */
+    ipRateLimit: asFunction(buildIpRateLimit, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Middleware de límite de peticiones por identidad (después de authenticate)
+     */
+    rateLimit: asFunction(buildRateLimit, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Middlewares de contexto de petición (X-Request-Id y log de cada
+     * petición), de métricas HTTP y de manejo global de errores
+     */
+    requestContext: asFunction(buildRequestContext, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    httpMetrics: asFunction(buildHttpMetrics, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    errorHandler: asFunction(buildErrorHandler, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
+    
+    /**
+     * Apagado ordenado ante SIGTERM/SIGINT
+     */
+    gracefulShutdown: asFunction(buildGracefulShutdown, { 
+      lifetime: Lifetime.SINGLETON 
+    }),
   });
 
   return container;
@@ -19,8 +19,24 @@
  * 
  * Variables opcionales:
  * - NODE_ENV: Ambiente de ejecución (development|production|test)
+ * - DB_MIGRATE_ON_START: Aplicar las migraciones pendientes al arrancar
  * - PORT: Puerto del servidor HTTP
  * - SALT_ROUNDS: Rounds para hashing de contraseñas
+ * - ADMIN_TOKEN: Token para operaciones administrativas
+ * - JWT_SECRET, ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_SECONDS: Autenticación de usuarios
+ * - STORAGE_DRIVER, STORAGE_LOCAL_DIR, STORAGE_PUBLIC_URL: Almacenamiento de imágenes
+ * - MAX_IMAGE_BYTES, THUMBNAIL_SIZE: Límites de las imágenes de productos
+ * - RESERVATION_TTL_SECONDS, RESERVATION_MAX_TTL_SECONDS, RESERVATION_SWEEP_INTERVAL_MS: Reservas de stock
+ * - RESERVATION_CART_MAX_UNITS, RESERVATION_CART_MAX_TTL_SECONDS: Topes de las reservas de un carrito
+ * - TRUST_PROXY: Proxies delante del servidor (para conocer la IP del cliente)
+ * - RATE_LIMIT_ENABLED, RATE_LIMIT_WINDOW_SECONDS, RATE_LIMIT_AUTH_MAX,
+ *   RATE_LIMIT_IP_MAX, RATE_LIMIT_READ_MAX, RATE_LIMIT_WRITE_MAX,
+ *   RATE_LIMIT_USER_READ_MAX, RATE_LIMIT_USER_WRITE_MAX,
+ *   RATE_LIMIT_API_KEY_READ_MAX, RATE_LIMIT_API_KEY_WRITE_MAX: Límite de peticiones
+ * - LOG_LEVEL: Nivel mínimo de los logs (debug|info|warn|error)
+ * - METRICS_ENABLED, METRICS_TOKEN, METRICS_LOW_STOCK_THRESHOLD: Endpoint /metrics (Prometheus)
+ * - HEALTH_CHECK_TIMEOUT_MS, HEALTH_POOL_MAX_WAITING: Chequeos de /health/ready
+ * - SHUTDOWN_TIMEOUT_MS: Plazo del apagado ordenado
  * 
  * @module Environment
  * @author Backend Team
@@ -28,6 +44,7 @@
 
 // Carga automática de variables desde archivo .env
 import 'dotenv/config';
+import { fileURLToPath } from 'node:url';
 
 /**
  * Objeto de configuración tipado y validado
@@ -57,6 +74,17 @@ export const env = {
    */
   PORT: +(process.env.PORT ?? 3000),
   
+  /**
+   * Cantidad de proxies (balanceador, CDN...) delante del servidor
+   * Con 0 la IP del cliente es la de la conexión; con n se toma de
+   * X-Forwarded-For saltando n saltos. Nunca debe ser mayor que la cantidad
+   * real de proxies: el cliente podría falsificar su IP
+   * 
+   * @type {number}
+   * @default 0
+   */
+  TRUST_PROXY: +(process.env.TRUST_PROXY ?? 0),
+  
   /**
    * Configuración de la base de datos PostgreSQL
    * Agrupa todas las variables relacionadas con la persistencia
@@ -107,6 +135,15 @@ export const env = {
      * @default false
      */
     LOGGING: process.env.NODE_ENV === 'development',
+    
+    /**
+     * Aplica las migraciones pendientes al arrancar el servidor
+     * Desactivarlo si el despliegue las ejecuta como paso previo (pnpm migrate)
+     * 
+     * @type {boolean}
+     * @default true
+     */
+    MIGRATE_ON_START: process.env.DB_MIGRATE_ON_START !== 'false',
   },
   
   /**
@@ -148,5 +185,316 @@ export const env = {
      * @range 4-31
      */
     SALT_ROUNDS: +(process.env.SALT_ROUNDS ?? 10),
+    
+    /**
+     * Token compartido que habilita operaciones administrativas
+     * (ej: purga física de productos) mediante el header X-Admin-Token
+     * Si no se configura, esas operaciones quedan deshabilitadas
+     * 
+     * @type {string|undefined}
+     */
+    ADMIN_TOKEN: process.env.ADMIN_TOKEN,
+    
+    /**
+     * Secreto con el que se firman los access tokens (JWT, HS256)
+     * Requerido en producción. Fuera de producción, si no se configura,
+     * se genera uno aleatorio al iniciar: las sesiones no sobreviven a un
+     * reinicio del servidor
+     * 
+     * @type {string|undefined}
+     */
+    JWT_SECRET: process.env.JWT_SECRET || undefined,
+    
+    /**
+     * Vigencia de los access tokens
+     * Cortos a propósito: el cliente obtiene uno nuevo con el refresh token
+     * 
+     * @type {number}
+     * @default 900 (15 minutos)
+     */
+    ACCESS_TOKEN_TTL_SECONDS: +(process.env.ACCESS_TOKEN_TTL_SECONDS ?? 900),
+    
+    /**
+     * Vigencia de los refresh tokens
+     * Cada uso entrega uno nuevo (rotación) con la misma vigencia
+     * 
+     * @type {number}
+     * @default 2592000 (30 días)
+     */
+    REFRESH_TOKEN_TTL_SECONDS: +(process.env.REFRESH_TOKEN_TTL_SECONDS ?? 30 * 24 * 60 * 60),
+  },
+
+  /**
+   * Configuración del almacenamiento de archivos
+   * Usado por las imágenes de productos
+   */
+  STORAGE: {
+    /**
+     * Adaptador de almacenamiento
+     * Solo 'local' (disco) está implementado; un almacenamiento de objetos
+     * se agrega implementando ImageStoragePort
+     * 
+     * @type {string}
+     * @default 'local'
+     */
+    DRIVER: process.env.STORAGE_DRIVER ?? 'local',
+    
+    /**
+     * Directorio donde el adaptador local escribe los archivos
+     * Por defecto backend/uploads, independiente del directorio de trabajo
+     * 
+     * @type {string}
+     * @default '<backend>/uploads'
+     */
+    LOCAL_DIR: process.env.STORAGE_LOCAL_DIR ?? fileURLToPath(new URL('../uploads', import.meta.url)),
+    
+    /**
+     * Prefijo de las URLs públicas de los archivos
+     * Absoluto por defecto porque el frontend se sirve desde otro origen.
+     * Con el adaptador local, su ruta (/uploads) es donde Express los sirve
+     * 
+     * @type {string}
+     * @default 'http://localhost:<PORT>/uploads'
+     */
+    PUBLIC_URL: process.env.STORAGE_PUBLIC_URL ?? `http://localhost:${process.env.PORT ?? 3000}/uploads`,
+    
+    /**
+     * Tamaño máximo de una imagen subida, en bytes
+     * 
+     * @type {number}
+     * @default 5242880 (5 MB)
+     */
+    MAX_IMAGE_BYTES: +(process.env.MAX_IMAGE_BYTES ?? 5 * 1024 * 1024),
+    
+    /**
+     * Lado máximo de las miniaturas, en píxeles
+     * 
+     * @type {number}
+     * @default 320
+     */
+    THUMBNAIL_SIZE: +(process.env.THUMBNAIL_SIZE ?? 320),
+  },
+
+  /**
+   * Configuración de las reservas de stock
+   * Usada por carritos y checkouts para apartar unidades temporalmente
+   */
+  RESERVATIONS: {
+    /**
+     * Vigencia de una reserva cuando el cliente no indica ttlSeconds
+     * 
+     * @type {number}
+     * @default 900 (15 minutos)
+     */
+    DEFAULT_TTL_SECONDS: +(process.env.RESERVATION_TTL_SECONDS ?? 900),
+    
+    /**
+     * Vigencia máxima que puede solicitarse
+     * 
+     * @type {number}
+     * @default 86400 (24 horas)
+     */
+    MAX_TTL_SECONDS: +(process.env.RESERVATION_MAX_TTL_SECONDS ?? 86400),
+    
+    /**
+     * Intervalo del barrido que marca las reservas vencidas
+     * 0 deshabilita el barrido (las vencidas igual dejan de retener stock)
+     * 
+     * @type {number}
+     * @default 60000 (1 minuto)
+     */
+    SWEEP_INTERVAL_MS: +(process.env.RESERVATION_SWEEP_INTERVAL_MS ?? 60000),
+
+    /**
+     * Unidades que un carrito puede retener a la vez (sumando todas sus
+     * reservas activas) cuando quien reserva no tiene el permiso orders:write
+     * 
+     * @type {number}
+     * @default 20
+     */
+    CART_MAX_UNITS: +(process.env.RESERVATION_CART_MAX_UNITS ?? 20),
+
+    /**
+     * Vigencia máxima de una reserva de carrito sin el permiso orders:write
+     * 
+     * @type {number}
+     * @default 900 (15 minutos)
+     */
+    CART_MAX_TTL_SECONDS: +(process.env.RESERVATION_CART_MAX_TTL_SECONDS ?? 900),
+  },
+
+  /**
+   * Configuración del límite de peticiones
+   * Cada identidad (API key, usuario o IP) tiene un presupuesto de
+   * peticiones por ventana para lecturas, otro para escrituras y otro, por
+   * IP, para los endpoints de autenticación
+   */
+  RATE_LIMIT: {
+    /**
+     * Habilita el límite de peticiones
+     * 
+     * @type {boolean}
+     * @default true
+     */
+    ENABLED: process.env.RATE_LIMIT_ENABLED !== 'false',
+    
+    /**
+     * Duración de la ventana de conteo
+     * 
+     * @type {number}
+     * @default 60
+     */
+    WINDOW_SECONDS: +(process.env.RATE_LIMIT_WINDOW_SECONDS ?? 60),
+    
+    /**
+     * Peticiones por ventana a /api/auth (registro, login, renovación y
+     * cierre de sesión), por IP
+     * 
+     * @type {number}
+     * @default 10
+     */
+    AUTH_MAX: +(process.env.RATE_LIMIT_AUTH_MAX ?? 10),
+    
+    /**
+     * Peticiones por ventana al resto de /api, por IP y antes de
+     * identificar al cliente (frena la prueba de tokens y API keys)
+     * 
+     * @type {number}
+     * @default 2000
+     */
+    IP_MAX: +(process.env.RATE_LIMIT_IP_MAX ?? 2000),
+    
+    /**
+     * Lecturas (GET, HEAD) por ventana de un cliente anónimo, por IP
+     * 
+     * @type {number}
+     * @default 300
+     */
+    READ_MAX: +(process.env.RATE_LIMIT_READ_MAX ?? 300),
+    
+    /**
+     * Escrituras (POST, PUT, PATCH, DELETE) por ventana de un cliente
+     * anónimo, por IP
+     * 
+     * @type {number}
+     * @default 60
+     */
+    WRITE_MAX: +(process.env.RATE_LIMIT_WRITE_MAX ?? 60),
+    
+    /**
+     * Lecturas por ventana de un usuario autenticado
+     * 
+     * @type {number}
+     * @default 600
+     */
+    USER_READ_MAX: +(process.env.RATE_LIMIT_USER_READ_MAX ?? 600),
+    
+    /**
+     * Escrituras por ventana de un usuario autenticado
+     * 
+     * @type {number}
+     * @default 120
+     */
+    USER_WRITE_MAX: +(process.env.RATE_LIMIT_USER_WRITE_MAX ?? 120),
+    
+    /**
+     * Lecturas por ventana de una API key
+     * 
+     * @type {number}
+     * @default 1200
+     */
+    API_KEY_READ_MAX: +(process.env.RATE_LIMIT_API_KEY_READ_MAX ?? 1200),
+    
+    /**
+     * Escrituras por ventana de una API key
+     * 
+     * @type {number}
+     * @default 300
+     */
+    API_KEY_WRITE_MAX: +(process.env.RATE_LIMIT_API_KEY_WRITE_MAX ?? 300),
+  },
+
+  /**
+   * Configuración de los logs
+   * Se escriben como líneas JSON en stdout (un objeto por evento)
+   */
+  LOG: {
+    /**
+     * Nivel mínimo que se registra: debug | info | warn | error
+     * Las consultas SQL y las transacciones se registran en debug
+     * 
+     * @type {string}
+     * @default 'debug' en desarrollo, 'info' en otros ambientes
+     */
+    LEVEL: process.env.LOG_LEVEL ?? ((process.env.NODE_ENV ?? 'development') === 'development' ? 'debug' : 'info'),
+  },
+
+  /**
+   * Configuración de las métricas
+   * Expuestas en GET /metrics en formato de texto de Prometheus
+   */
+  METRICS: {
+    /**
+     * Habilita la recolección de métricas HTTP y el endpoint /metrics
+     * 
+     * @type {boolean}
+     * @default true
+     */
+    ENABLED: process.env.METRICS_ENABLED !== 'false',
+    
+    /**
+     * Token que Prometheus debe enviar como "Authorization: Bearer <token>"
+     * Si no se configura, /metrics es público: en ese caso debe quedar
+     * fuera del alcance de internet (red interna, reglas del proxy)
+     * 
+     * @type {string|undefined}
+     */
+    TOKEN: process.env.METRICS_TOKEN || undefined,
+    
+    /**
+     * Stock a partir del cual (inclusive) un producto cuenta en products_low_stock
+     * 
+     * @type {number}
+     * @default 10 (el umbral por defecto de ProductModel.findLowStock)
+     */
+    LOW_STOCK_THRESHOLD: +(process.env.METRICS_LOW_STOCK_THRESHOLD ?? 10),
+  },
+
+  /**
+   * Configuración de los chequeos de salud
+   * Usados por GET /health/ready
+   */
+  HEALTH: {
+    /**
+     * Tiempo máximo de cada chequeo; al excederlo cuenta como caído
+     * Debe ser menor que el timeout del probe del orquestador
+     * 
+     * @type {number}
+     * @default 2000
+     */
+    CHECK_TIMEOUT_MS: +(process.env.HEALTH_CHECK_TIMEOUT_MS ?? 2000),
+    
+    /**
+     * Peticiones esperando conexión que se toleran con el pool lleno
+     * Por encima, el pool se considera saturado y la instancia no lista
+     * 
+     * @type {number}
+     * @default 10
+     */
+    POOL_MAX_WAITING: +(process.env.HEALTH_POOL_MAX_WAITING ?? 10),
+  },
+
+  /**
+   * Configuración del apagado ordenado (SIGTERM, SIGINT)
+   */
+  SHUTDOWN: {
+    /**
+     * Plazo para que terminen las peticiones en curso; al vencer se cortan
+     * Debe ser menor que el período de gracia del orquestador (30 s en Kubernetes)
+     * 
+     * @type {number}
+     * @default 10000
+     */
+    TIMEOUT_MS: +(process.env.SHUTDOWN_TIMEOUT_MS ?? 10000),
   },
 };
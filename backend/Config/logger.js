@@ -0,0 +1,17 @@
+/**
+ * Logger de la Aplicación
+ * 
+ * Instancia raíz del logger estructurado, configurada con LOG_LEVEL. Se
+ * crea al importar el módulo (igual que la conexión de Db.js) porque la
+ * necesitan piezas que existen antes que el contenedor: la configuración
+ * de Sequelize y el arranque en index.js. El resto de la aplicación la
+ * recibe inyectada como `logger`.
+ * 
+ * @module AppLogger
+ * @author Backend Team
+ */
+
+import { Logger } from "../Shared/logger.js";
+import { env } from "./env.js";
+
+export const logger = new Logger({ level: env.LOG.LEVEL });
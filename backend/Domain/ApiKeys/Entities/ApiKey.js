@@ -0,0 +1,220 @@
+/**
+ * Entidad de Dominio: ApiKey
+ *
+ * Representa una credencial de integración máquina a máquina (ej: la
+ * sincronización con el ERP). La key en claro solo se entrega al crearla;
+ * se persiste su hash SHA-256 y un prefijo visible para reconocerla en el
+ * listado.
+ *
+ * Cada scope otorga permisos (ver Domain/Users/Entities/Role.js), igual que
+ * un rol, de modo que las rutas exigen el mismo permiso a usuarios y a
+ * integraciones.
+ *
+ * Reglas de Negocio:
+ * - El nombre es obligatorio (máximo 100 caracteres)
+ * - Debe tener al menos un scope y todos deben ser de API_KEY_SCOPES
+ * - Una key está activa si no fue revocada y no venció (sin expiresAt no
+ *   vence)
+ *
+ * @class ApiKey
+ * @author Backend Team
+ */
+
+import { PERMISSIONS } from "../../Users/Entities/Role.js";
+
+/**
+ * Permisos que otorga cada scope
+ * @constant {Object<string, Set<string>>}
+ * @private
+ */
+const SCOPE_PERMISSIONS = Object.freeze({
+  'read:products': new Set([PERMISSIONS.CATALOG_READ]),
+  'write:products': new Set([PERMISSIONS.CATALOG_WRITE]),
+  'write:stock': new Set([PERMISSIONS.STOCK_WRITE]),
+});
+
+/**
+ * Scopes válidos
+ * @constant {string[]}
+ */
+export const API_KEY_SCOPES = Object.freeze(Object.keys(SCOPE_PERMISSIONS));
+
+/**
+ * Verifica si un conjunto de scopes otorga un permiso
+ *
+ * @param {string[]} scopes - Scopes de la key
+ * @param {string} permission - Permiso requerido (ver PERMISSIONS)
+ * @returns {boolean} true si algún scope otorga el permiso
+ *
+ * @example
+ * scopesHavePermission(['write:stock'], PERMISSIONS.STOCK_WRITE);   // true
+ * scopesHavePermission(['write:stock'], PERMISSIONS.CATALOG_WRITE); // false
+ */
+export function scopesHavePermission(scopes, permission) {
+  return scopes.some(scope => SCOPE_PERMISSIONS[scope]?.has(permission) ?? false);
+}
+
+export class ApiKey {
+
+  /**
+   * Constructor de la entidad ApiKey
+   *
+   * @param {Object} keyData - Datos de la key
+   * @param {string|null} [keyData.id] - Identificador único (UUID)
+   * @param {string} keyData.name - Nombre descriptivo (ej: "Sincronización ERP")
+   * @param {string} keyData.prefix - Inicio de la key en claro, para identificarla
+   * @param {string} keyData.keyHash - SHA-256 de la key en hexadecimal
+   * @param {string[]} keyData.scopes - Scopes otorgados (ver API_KEY_SCOPES)
+   * @param {Date|null} [keyData.expiresAt] - Fecha de vencimiento; null si no vence
+   * @param {Date|null} [keyData.lastUsedAt] - Último uso registrado
+   * @param {Date|null} [keyData.revokedAt] - Fecha de revocación
+   * @param {string|null} [keyData.createdById] - Usuario que la creó
+   * @param {Date|null} [keyData.createdAt] - Fecha de creación
+   *
+   * @throws {Error} Si algún dato requerido está ausente o es inválido
+   *
+   * @example
+   * const apiKey = new ApiKey({ name: 'Sincronización ERP', prefix, keyHash, scopes: ['write:stock'] });
+   */
+  constructor({
+    id = null,
+    name,
+    prefix,
+    keyHash,
+    scopes,
+    expiresAt = null,
+    lastUsedAt = null,
+    revokedAt = null,
+    createdById = null,
+    createdAt = null
+  }) {
+
+    // === VALIDACIONES DE REGLAS DE NEGOCIO ===
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      throw new Error('ApiKey: El nombre es requerido');
+    }
+
+    if (name.trim().length > 100) {
+      throw new Error('ApiKey: El nombre no puede exceder 100 caracteres');
+    }
+
+    if (typeof prefix !== 'string' || prefix.length === 0) {
+      throw new Error('ApiKey: El prefijo es requerido');
+    }
+
+    if (typeof keyHash !== 'string' || !/^[0-9a-f]{64}$/.test(keyHash)) {
+      throw new Error('ApiKey: El hash de la key debe ser un SHA-256 en hexadecimal');
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error('ApiKey: Se requiere al menos un scope');
+    }
+
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+
+    if (invalidScopes.length > 0) {
+      throw new Error(`ApiKey: Scopes inválidos (${invalidScopes.join(', ')}); los válidos son: ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    if (expiresAt !== null && (!(expiresAt instanceof Date) || Number.isNaN(expiresAt.getTime()))) {
+      throw new Error('ApiKey: La fecha de vencimiento debe ser una fecha válida o null');
+    }
+
+    // === ASIGNACIÓN DE PROPIEDADES ===
+
+    /**
+     * Identificador único de la key
+     * @type {string|null}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Nombre descriptivo
+     * @type {string}
+     * @readonly
+     */
+    this.name = name.trim();
+
+    /**
+     * Inicio de la key en claro
+     * @type {string}
+     * @readonly
+     */
+    this.prefix = prefix;
+
+    /**
+     * Hash SHA-256 de la key
+     * @type {string}
+     * @readonly
+     */
+    this.keyHash = keyHash;
+
+    /**
+     * Scopes otorgados, sin repetidos
+     * @type {string[]}
+     * @readonly
+     */
+    this.scopes = Object.freeze([...new Set(scopes)]);
+
+    /**
+     * Fechas de vencimiento, último uso, revocación y creación
+     * @type {Date|null}
+     * @readonly
+     */
+    this.expiresAt = expiresAt;
+    this.lastUsedAt = lastUsedAt;
+    this.revokedAt = revokedAt;
+    this.createdAt = createdAt;
+
+    /**
+     * Usuario que creó la key
+     * @type {string|null}
+     * @readonly
+     */
+    this.createdById = createdById;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Verifica si la key fue revocada
+   *
+   * @returns {boolean} true si tiene fecha de revocación
+   */
+  isRevoked() {
+    return this.revokedAt !== null;
+  }
+
+  /**
+   * Verifica si la key venció
+   *
+   * @param {Date} [now=new Date()] - Momento de referencia
+   * @returns {boolean} true si tiene vencimiento y ya pasó
+   */
+  isExpired(now = new Date()) {
+    return this.expiresAt !== null && this.expiresAt.getTime() <= now.getTime();
+  }
+
+  /**
+   * Convierte la entidad a un objeto plano para serialización
+   *
+   * El hash no se expone: la key no puede recuperarse después de crearla.
+   *
+   * @returns {Object} Objeto plano con las propiedades de la key
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      prefix: this.prefix,
+      scopes: this.scopes,
+      expiresAt: this.expiresAt,
+      lastUsedAt: this.lastUsedAt,
+      revokedAt: this.revokedAt,
+      createdById: this.createdById,
+      createdAt: this.createdAt,
+    };
+  }
+}
@@ -0,0 +1,14 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * API keys de integraciones, identificadas por el hash de la key.
+ *
+ * @typedef {import('../Entities/ApiKey.js').ApiKey} ApiKey
+ * @interface ApiKeyRepositoryPort
+ * create(apiKey: ApiKey, tx?): Promise<ApiKey>
+ * findAll(tx?): Promise<ApiKey[]>                          // las más recientes primero
+ * findById(id: string, tx?): Promise<ApiKey|null>
+ * findByHash(keyHash: string, tx?): Promise<ApiKey|null>
+ * revoke(id: string, tx?): Promise<ApiKey|null>            // idempotente; null si no existe
+ * touchLastUsed(id: string, usedAt: Date, tx?): Promise<void>
+ */
+export const ApiKeyRepositoryPort = {}; // marcador, contrato por documentación
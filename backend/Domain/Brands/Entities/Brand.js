@@ -0,0 +1,68 @@
+/**
+ * Entidad de Dominio: Brand
+ * 
+ * Representa una marca del catálogo de productos.
+ * 
+ * Reglas de Negocio:
+ * - El nombre es obligatorio (máximo 100 caracteres) y único
+ * 
+ * @class Brand
+ * @author Backend Team
+ */
+export class Brand {
+
+  /**
+   * Constructor de la entidad Brand
+   * 
+   * @param {Object} brandData - Datos de la marca
+   * @param {string|null} [brandData.id] - Identificador único (UUID)
+   * @param {string} brandData.name - Nombre de la marca (requerido)
+   * 
+   * @throws {Error} Si el nombre está ausente o es inválido
+   * 
+   * @example
+   * const brand = new Brand({ name: 'Samy' });
+   */
+  constructor({ id = null, name }) {
+
+    // === VALIDACIONES DE REGLAS DE NEGOCIO ===
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      throw new Error('Brand: El nombre es requerido');
+    }
+
+    if (name.trim().length > 100) {
+      throw new Error('Brand: El nombre no puede exceder 100 caracteres');
+    }
+
+    // === ASIGNACIÓN DE PROPIEDADES ===
+
+    /**
+     * Identificador único de la marca
+     * @type {string|null}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Nombre de la marca
+     * @type {string}
+     * @readonly
+     */
+    this.name = name.trim();
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Convierte la entidad a un objeto plano para serialización
+   * 
+   * @returns {Object} Objeto plano con las propiedades de la marca
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name
+    };
+  }
+}
@@ -0,0 +1,12 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * @typedef {import('../Entities/Brand.js').Brand} Brand
+ * @interface BrandRepositoryPort
+ * create(brand: Brand, tx?): Promise<Brand>
+ * getAll(tx?): Promise<Brand[]>
+ * findById(id: string, tx?): Promise<Brand|null>
+ * findByName(name: string, tx?): Promise<Brand|null>
+ * update(brand: Brand, tx?): Promise<Brand|null>
+ * delete(id: string, tx?): Promise<boolean>
+ */
+export const BrandRepositoryPort = {}; // marcador, contrato por documentación
@@ -0,0 +1,221 @@
+/**
+ * Entidad de Dominio: Cart
+ *
+ * Representa un carrito de compras del lado del servidor. Los carritos
+ * anónimos se identifican con un token secreto que recibe quien lo crea:
+ * solo se guarda su hash, y cada operación sobre el carrito lo exige. Un
+ * carrito con dueño (userId) también es accesible con la sesión de ese
+ * usuario.
+ *
+ * Reglas de Negocio:
+ * - Solo un carrito activo admite cambios en sus líneas
+ * - Un producto (o variante) aparece en una sola línea: agregarlo de nuevo
+ *   suma unidades a la existente
+ * - Al fusionarse con otro carrito (inicio de sesión) el carrito de origen
+ *   queda en estado merged
+ * - Al iniciar sesión, un carrito anónimo pasa a ser del usuario si este
+ *   no tenía uno activo
+ * - El subtotal se calcula con los precios vigentes del catálogo
+ *
+ * @class Cart
+ * @author Backend Team
+ */
+
+import { CartItem } from './CartItem.js';
+
+/**
+ * Estados de un carrito
+ * - active: admite cambios
+ * - merged: sus líneas se fusionaron en otro carrito
+ * - ordered: se convirtió en un pedido
+ * @constant {string[]}
+ */
+export const CART_STATUSES = Object.freeze(['active', 'merged', 'ordered']);
+
+export class Cart {
+
+  /**
+   * Constructor de la entidad Cart
+   *
+   * @param {Object} cartData - Datos del carrito
+   * @param {string|null} [cartData.id] - Identificador único (UUID)
+   * @param {string} cartData.tokenHash - Hash SHA-256 (hex) del token de acceso
+   * @param {string|null} [cartData.userId] - Usuario dueño; null si es anónimo
+   * @param {string} [cartData.status='active'] - Estado (ver CART_STATUSES)
+   * @param {CartItem[]} [cartData.items=[]] - Líneas del carrito
+   * @param {Date|null} [cartData.createdAt] - Fecha de creación (la asigna la persistencia)
+   * @param {Date|null} [cartData.updatedAt] - Fecha de última modificación
+   *
+   * @throws {Error} Si algún dato requerido está ausente o es inválido
+   *
+   * @example
+   * const cart = new Cart({ tokenHash: hashCartToken(token) });
+   */
+  constructor({ id = null, tokenHash, userId = null, status = 'active', items = [], createdAt = null, updatedAt = null }) {
+
+    // === VALIDACIONES DE REGLAS DE NEGOCIO ===
+
+    if (typeof tokenHash !== 'string' || !/^[a-f0-9]{64}$/.test(tokenHash)) {
+      throw new Error('Cart: El hash del token es requerido (SHA-256 en hexadecimal)');
+    }
+
+    if (userId !== null && (typeof userId !== 'string' || userId.length === 0)) {
+      throw new Error('Cart: El dueño debe ser un identificador o null');
+    }
+
+    if (!CART_STATUSES.includes(status)) {
+      throw new Error(`Cart: El estado debe ser uno de ${CART_STATUSES.join(', ')}`);
+    }
+
+    if (!Array.isArray(items) || items.some(item => !(item instanceof CartItem))) {
+      throw new Error('Cart: Las líneas deben ser un arreglo de CartItem');
+    }
+
+    // === ASIGNACIÓN DE PROPIEDADES ===
+
+    /**
+     * Identificador único del carrito
+     * @type {string|null}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Hash del token de acceso (el token en claro nunca se persiste)
+     * @type {string}
+     * @readonly
+     */
+    this.tokenHash = tokenHash;
+
+    /**
+     * Usuario dueño (null si es anónimo)
+     * @type {string|null}
+     * @readonly
+     */
+    this.userId = userId;
+
+    /**
+     * Estado del carrito
+     * @type {string}
+     * @readonly
+     */
+    this.status = status;
+
+    /**
+     * Líneas del carrito
+     * @type {CartItem[]}
+     * @readonly
+     */
+    this.items = Object.freeze([...items]);
+
+    /**
+     * Fechas de creación y última modificación
+     * @type {Date|null}
+     * @readonly
+     */
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Verifica si el carrito admite cambios
+   *
+   * @returns {boolean} true si está activo
+   */
+  isActive() {
+    return this.status === 'active';
+  }
+
+  /**
+   * Verifica si el carrito pertenece a un usuario
+   *
+   * @param {string|null} userId - Usuario
+   * @returns {boolean} true si el carrito tiene dueño y es ese usuario
+   */
+  isOwnedBy(userId) {
+    return this.userId !== null && this.userId === userId;
+  }
+
+  /**
+   * Busca la línea de un producto o variante
+   *
+   * @param {string} productId - Producto
+   * @param {string|null} [variantId] - Variante
+   * @returns {CartItem|null} Línea encontrada o null
+   */
+  findItem(productId, variantId = null) {
+    return this.items.find(item => item.matches(productId, variantId)) ?? null;
+  }
+
+  /**
+   * Busca una línea por su identificador
+   *
+   * @param {string} itemId - Identificador de la línea
+   * @returns {CartItem|null} Línea encontrada o null
+   */
+  findItemById(itemId) {
+    return this.items.find(item => item.id === itemId) ?? null;
+  }
+
+  /**
+   * Crea una copia del carrito con otras líneas
+   *
+   * @param {CartItem[]} items - Líneas (normalmente con datos de catálogo)
+   * @returns {Cart} Nueva instancia con las líneas indicadas
+   */
+  withItems(items) {
+    return new Cart({ ...this, items });
+  }
+
+  /**
+   * Total de unidades del carrito
+   *
+   * @returns {number} Suma de las cantidades de todas las líneas
+   */
+  itemCount() {
+    return this.items.reduce((total, item) => total + item.quantity, 0);
+  }
+
+  /**
+   * Subtotal del carrito a precios vigentes
+   *
+   * @returns {number} Suma de los totales de línea, redondeada a centavos
+   */
+  subtotal() {
+    const total = this.items.reduce((sum, item) => sum + item.lineTotal(), 0);
+
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * Verifica si el carrito puede convertirse en pedido tal como está
+   *
+   * @returns {boolean} true si tiene líneas y todas son comprables
+   */
+  isPurchasable() {
+    return this.items.length > 0 && this.items.every(item => item.isPurchasable());
+  }
+
+  /**
+   * Convierte la entidad a un objeto plano para serialización
+   *
+   * El hash del token no se expone.
+   *
+   * @returns {Object} Objeto plano con las líneas y los totales calculados
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      status: this.status,
+      items: this.items.map(item => item.toJSON()),
+      itemCount: this.itemCount(),
+      subtotal: this.subtotal(),
+      purchasable: this.isPurchasable(),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Entidad de Dominio: CartItem
+ *
+ * Representa una línea de un carrito: unidades de un producto (o de una de
+ * sus variantes). La línea no guarda precio: el precio y la disponibilidad
+ * se toman del catálogo vigente cada vez que se lee el carrito (ver
+ * withCatalog), de modo que el subtotal siempre refleja el precio actual.
+ *
+ * Reglas de Negocio:
+ * - Pertenece a un producto y, opcionalmente, a una de sus variantes
+ * - La cantidad es un entero mayor a 0
+ * - Una línea es comprable si el producto sigue a la venta y hay unidades
+ *   disponibles para cubrir la cantidad
+ *
+ * @class CartItem
+ * @author Backend Team
+ */
+
+export class CartItem {
+
+  /**
+   * Constructor de la entidad CartItem
+   *
+   * @param {Object} itemData - Datos de la línea
+   * @param {string|null} [itemData.id] - Identificador único (UUID)
+   * @param {string} itemData.productId - Producto
+   * @param {string|null} [itemData.variantId] - Variante (null = producto sin variantes)
+   * @param {number} itemData.quantity - Unidades (> 0)
+   * @param {Object|null} [itemData.catalog] - Datos vigentes del catálogo (ver withCatalog)
+   *
+   * @throws {Error} Si algún dato requerido está ausente o es inválido
+   *
+   * @example
+   * const item = new CartItem({ productId, variantId, quantity: 2 });
+   */
+  constructor({ id = null, productId, variantId = null, quantity, catalog = null }) {
+
+    // === VALIDACIONES DE REGLAS DE NEGOCIO ===
+
+    if (typeof productId !== 'string' || productId.length === 0) {
+      throw new Error('CartItem: El producto es requerido');
+    }
+
+    if (variantId !== null && (typeof variantId !== 'string' || variantId.length === 0)) {
+      throw new Error('CartItem: La variante debe ser un identificador o null');
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error('CartItem: La cantidad debe ser un entero mayor a 0');
+    }
+
+    // === ASIGNACIÓN DE PROPIEDADES ===
+
+    /**
+     * Identificador único de la línea
+     * @type {string|null}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Producto y, si aplica, variante de la línea
+     * @type {string}
+     * @readonly
+     */
+    this.productId = productId;
+    this.variantId = variantId;
+
+    /**
+     * Unidades
+     * @type {number}
+     * @readonly
+     */
+    this.quantity = quantity;
+
+    /**
+     * Datos vigentes del catálogo: nombre, sku, precio unitario,
+     * unidades disponibles y si el producto sigue a la venta
+     * @type {{ name: string|null, sku: string|null, unitPrice: number|null, available: number, sellable: boolean }|null}
+     * @readonly
+     */
+    this.catalog = catalog ? Object.freeze({ ...catalog }) : null;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Indica si la línea corresponde a un producto y variante dados
+   *
+   * @param {string} productId - Producto
+   * @param {string|null} variantId - Variante
+   * @returns {boolean} true si coinciden
+   */
+  matches(productId, variantId = null) {
+    return this.productId === productId && this.variantId === (variantId ?? null);
+  }
+
+  /**
+   * Crea una copia de la línea con los datos vigentes del catálogo
+   *
+   * @param {Object} catalog - Datos del catálogo
+   * @param {string|null} catalog.name - Nombre del producto
+   * @param {string|null} catalog.sku - SKU de la variante (null sin variante)
+   * @param {number|null} catalog.unitPrice - Precio unitario vigente
+   * @param {number} catalog.available - Unidades disponibles
+   * @param {boolean} catalog.sellable - El producto (y la variante) siguen a la venta
+   * @returns {CartItem} Nueva instancia con los datos del catálogo
+   */
+  withCatalog(catalog) {
+    return new CartItem({ ...this, catalog });
+  }
+
+  /**
+   * Total de la línea al precio vigente
+   *
+   * @returns {number} Precio unitario por cantidad (0 si no se consultó el catálogo)
+   */
+  lineTotal() {
+    return (this.catalog?.unitPrice ?? 0) * this.quantity;
+  }
+
+  /**
+   * Verifica si la línea puede comprarse tal como está
+   *
+   * @returns {boolean} true si sigue a la venta y hay unidades suficientes
+   */
+  isPurchasable() {
+    return Boolean(this.catalog?.sellable) && this.catalog.available >= this.quantity;
+  }
+
+  /**
+   * Convierte la entidad a un objeto plano para serialización
+   *
+   * @returns {Object} Objeto plano con la línea y sus datos de catálogo
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      productId: this.productId,
+      variantId: this.variantId,
+      name: this.catalog?.name ?? null,
+      sku: this.catalog?.sku ?? null,
+      quantity: this.quantity,
+      unitPrice: this.catalog?.unitPrice ?? null,
+      lineTotal: Math.round(this.lineTotal() * 100) / 100,
+      available: this.catalog?.available ?? null,
+      purchasable: this.isPurchasable(),
+    };
+  }
+}
@@ -0,0 +1,19 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * Carritos y sus líneas. findById devuelve el carrito con sus líneas en
+ * orden de alta; el bloqueo (lock) aplica a la fila del carrito.
+ * findActiveByUser devuelve el carrito activo más reciente del usuario.
+ *
+ * @typedef {import('../Entities/Cart.js').Cart} Cart
+ * @typedef {import('../Entities/CartItem.js').CartItem} CartItem
+ * @interface CartRepositoryPort
+ * create(cart: Cart, tx?): Promise<Cart>
+ * findById(id: string, tx?, options?: { lock?: boolean }): Promise<Cart|null>
+ * findActiveByUser(userId: string, tx?): Promise<Cart|null>
+ * updateStatus(id: string, status: string, tx?): Promise<Cart|null>
+ * assignOwner(id: string, userId: string, tx?): Promise<Cart|null>
+ * addItem(cartId: string, item: CartItem, tx?): Promise<CartItem>
+ * updateItemQuantity(cartId: string, itemId: string, quantity: number, tx?): Promise<CartItem|null>
+ * removeItem(cartId: string, itemId: string, tx?): Promise<boolean>
+ */
+export const CartRepositoryPort = {}; // marcador, contrato por documentación
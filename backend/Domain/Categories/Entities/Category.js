@@ -0,0 +1,94 @@
+/**
+ * Entidad de Dominio: Category
+ * 
+ * Representa una categoría del catálogo (ej: Rostro > Bases, Correctores).
+ * Las categorías forman una jerarquía mediante parentId: una categoría sin
+ * padre es raíz.
+ * 
+ * Reglas de Negocio:
+ * - El nombre es obligatorio (máximo 100 caracteres)
+ * - El nombre es único entre categorías hermanas (mismo padre)
+ * - Una categoría no puede ser su propio padre ni descender de sí misma
+ * 
+ * @class Category
+ * @author Backend Team
+ */
+export class Category {
+
+  /**
+   * Constructor de la entidad Category
+   * 
+   * @param {Object} categoryData - Datos de la categoría
+   * @param {string|null} [categoryData.id] - Identificador único (UUID)
+   * @param {string} categoryData.name - Nombre de la categoría (requerido)
+   * @param {string|null} [categoryData.parentId] - Id de la categoría padre
+   * 
+   * @throws {Error} Si algún dato requerido está ausente o es inválido
+   * 
+   * @example
+   * const category = new Category({ name: 'Bases', parentId: rostroId });
+   */
+  constructor({ id = null, name, parentId = null }) {
+
+    // === VALIDACIONES DE REGLAS DE NEGOCIO ===
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      throw new Error('Category: El nombre es requerido');
+    }
+
+    if (name.trim().length > 100) {
+      throw new Error('Category: El nombre no puede exceder 100 caracteres');
+    }
+
+    if (id !== null && parentId !== null && id === parentId) {
+      throw new Error('Category: Una categoría no puede ser su propio padre');
+    }
+
+    // === ASIGNACIÓN DE PROPIEDADES ===
+
+    /**
+     * Identificador único de la categoría
+     * @type {string|null}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Nombre de la categoría
+     * @type {string}
+     * @readonly
+     */
+    this.name = name.trim();
+
+    /**
+     * Identificador de la categoría padre (null si es raíz)
+     * @type {string|null}
+     * @readonly
+     */
+    this.parentId = parentId;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Verifica si la categoría es raíz de la jerarquía
+   * 
+   * @returns {boolean} true si no tiene padre
+   */
+  isRoot() {
+    return this.parentId === null;
+  }
+
+  /**
+   * Convierte la entidad a un objeto plano para serialización
+   * 
+   * @returns {Object} Objeto plano con las propiedades de la categoría
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      parentId: this.parentId
+    };
+  }
+}
@@ -0,0 +1,14 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * @typedef {import('../Entities/Category.js').Category} Category
+ * @interface CategoryRepositoryPort
+ * create(category: Category, tx?): Promise<Category>
+ * getAll(tx?): Promise<Category[]>
+ * findById(id: string, tx?): Promise<Category|null>
+ * findByName(name: string, parentId: string|null, tx?): Promise<Category|null>
+ * findDescendantIds(id: string, tx?): Promise<string[]>
+ * update(category: Category, tx?): Promise<Category|null>
+ * delete(id: string, tx?): Promise<boolean>
+ * countChildren(id: string, tx?): Promise<number>
+ */
+export const CategoryRepositoryPort = {}; // marcador, contrato por documentación
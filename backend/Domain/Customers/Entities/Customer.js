@@ -0,0 +1,143 @@
+/**
+ * Entidad de Dominio: Customer
+ *
+ * Representa un cliente de la tienda. Sus pedidos lo referencian y sus
+ * direcciones forman la libreta de direcciones (CustomerAddress).
+ *
+ * Reglas de Negocio:
+ * - El nombre es obligatorio (máximo 255 caracteres)
+ * - El email es obligatorio, se guarda en minúsculas y es único
+ * - El teléfono es opcional (máximo 30 caracteres)
+ *
+ * @class Customer
+ * @author Backend Team
+ */
+
+/**
+ * Formato mínimo de email: algo@dominio.tld, sin espacios
+ * @constant {RegExp}
+ * @private
+ */
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Verifica el formato de un email
+ *
+ * @param {any} value - Valor a verificar
+ * @returns {boolean} true si es un string con formato de email (hasta 255 caracteres)
+ *
+ * @example
+ * isEmail('ana@correo.com'); // true
+ */
+export function isEmail(value) {
+  return typeof value === 'string' && value.trim().length <= 255 && EMAIL_REGEX.test(value.trim());
+}
+
+/**
+ * Normaliza un email para compararlo y guardarlo
+ *
+ * @param {string} email - Email recibido
+ * @returns {string} Email sin espacios en los extremos y en minúsculas
+ *
+ * @example
+ * normalizeEmail(' Ana@Correo.com '); // 'ana@correo.com'
+ */
+export function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+export class Customer {
+
+  /**
+   * Constructor de la entidad Customer
+   *
+   * @param {Object} customerData - Datos del cliente
+   * @param {string|null} [customerData.id] - Identificador único (UUID)
+   * @param {string} customerData.name - Nombre completo (requerido)
+   * @param {string} customerData.email - Email de contacto (requerido, único)
+   * @param {string|null} [customerData.phone] - Teléfono de contacto
+   * @param {Date|null} [customerData.createdAt] - Fecha de alta (la asigna la persistencia)
+   * @param {Date|null} [customerData.updatedAt] - Fecha de última modificación
+   *
+   * @throws {Error} Si algún dato requerido está ausente o es inválido
+   *
+   * @example
+   * const customer = new Customer({ name: 'Ana Gómez', email: 'ana@correo.com' });
+   */
+  constructor({ id = null, name, email, phone = null, createdAt = null, updatedAt = null }) {
+
+    // === VALIDACIONES DE REGLAS DE NEGOCIO ===
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      throw new Error('Customer: El nombre es requerido');
+    }
+
+    if (name.trim().length > 255) {
+      throw new Error('Customer: El nombre no puede exceder 255 caracteres');
+    }
+
+    if (!isEmail(email)) {
+      throw new Error('Customer: El email es requerido, debe tener un formato válido y no exceder 255 caracteres');
+    }
+
+    if (phone !== null && (typeof phone !== 'string' || phone.trim().length === 0 || phone.trim().length > 30)) {
+      throw new Error('Customer: El teléfono debe tener entre 1 y 30 caracteres o ser null');
+    }
+
+    // === ASIGNACIÓN DE PROPIEDADES ===
+
+    /**
+     * Identificador único del cliente
+     * @type {string|null}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Nombre completo
+     * @type {string}
+     * @readonly
+     */
+    this.name = name.trim();
+
+    /**
+     * Email en minúsculas
+     * @type {string}
+     * @readonly
+     */
+    this.email = normalizeEmail(email);
+
+    /**
+     * Teléfono de contacto
+     * @type {string|null}
+     * @readonly
+     */
+    this.phone = phone === null ? null : phone.trim();
+
+    /**
+     * Fechas de alta y última modificación
+     * @type {Date|null}
+     * @readonly
+     */
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Convierte la entidad a un objeto plano para serialización
+   *
+   * @returns {Object} Objeto plano con las propiedades del cliente
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      email: this.email,
+      phone: this.phone,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Entidad de Dominio: CustomerAddress
+ *
+ * Representa una dirección de la libreta de direcciones de un cliente.
+ *
+ * Reglas de Negocio:
+ * - Calle (line1), ciudad y país son obligatorios
+ * - El país es un código ISO 3166-1 alfa-2 (se guarda en mayúsculas)
+ * - Cada cliente tiene a lo sumo una dirección predeterminada; la primera
+ *   dirección del cliente lo es siempre
+ *
+ * @class CustomerAddress
+ * @author Backend Team
+ */
+
+/**
+ * Longitud máxima de los campos de texto de la dirección
+ * @constant {Object<string, number>}
+ * @private
+ */
+const MAX_LENGTHS = Object.freeze({
+  label: 50,
+  line1: 255,
+  line2: 255,
+  city: 100,
+  region: 100,
+  postalCode: 20,
+});
+
+/**
+ * Valida un campo de texto de la dirección
+ *
+ * @param {string} field - Nombre del campo
+ * @param {any} value - Valor recibido
+ * @param {boolean} required - Si el campo es obligatorio
+ * @returns {string|null} Valor sin espacios en los extremos o null
+ *
+ * @throws {Error} Si el valor no es válido
+ *
+ * @private
+ */
+function textField(field, value, required) {
+  if (value === null || value === undefined) {
+    if (required) throw new Error(`CustomerAddress: El campo ${field} es requerido`);
+    return null;
+  }
+
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    throw new Error(`CustomerAddress: El campo ${field} no puede estar vacío`);
+  }
+
+  if (value.trim().length > MAX_LENGTHS[field]) {
+    throw new Error(`CustomerAddress: El campo ${field} no puede exceder ${MAX_LENGTHS[field]} caracteres`);
+  }
+
+  return value.trim();
+}
+
+export class CustomerAddress {
+
+  /**
+   * Constructor de la entidad CustomerAddress
+   *
+   * @param {Object} addressData - Datos de la dirección
+   * @param {string|null} [addressData.id] - Identificador único (UUID)
+   * @param {string} addressData.customerId - Cliente dueño de la dirección
+   * @param {string|null} [addressData.label] - Etiqueta libre (ej: "Casa", "Oficina")
+   * @param {string} addressData.line1 - Calle y número
+   * @param {string|null} [addressData.line2] - Apartamento, piso, referencias
+   * @param {string} addressData.city - Ciudad
+   * @param {string|null} [addressData.region] - Departamento, estado o provincia
+   * @param {string|null} [addressData.postalCode] - Código postal
+   * @param {string} addressData.country - Código de país ISO 3166-1 alfa-2
+   * @param {boolean} [addressData.isDefault=false] - Dirección predeterminada del cliente
+   *
+   * @throws {Error} Si algún dato requerido está ausente o es inválido
+   *
+   * @example
+   * const address = new CustomerAddress({ customerId, line1: 'Cra 7 # 72-41', city: 'Bogotá', country: 'CO' });
+   */
+  constructor({
+    id = null,
+    customerId,
+    label = null,
+    line1,
+    line2 = null,
+    city,
+    region = null,
+    postalCode = null,
+    country,
+    isDefault = false
+  }) {
+
+    // === VALIDACIONES DE REGLAS DE NEGOCIO ===
+
+    if (typeof customerId !== 'string' || customerId.length === 0) {
+      throw new Error('CustomerAddress: El cliente es requerido');
+    }
+
+    if (typeof country !== 'string' || !/^[A-Za-z]{2}$/.test(country.trim())) {
+      throw new Error('CustomerAddress: El país debe ser un código ISO de 2 letras');
+    }
+
+    if (typeof isDefault !== 'boolean') {
+      throw new Error('CustomerAddress: isDefault debe ser booleano');
+    }
+
+    // === ASIGNACIÓN DE PROPIEDADES ===
+
+    /**
+     * Identificador único de la dirección
+     * @type {string|null}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Cliente dueño de la dirección
+     * @type {string}
+     * @readonly
+     */
+    this.customerId = customerId;
+
+    /**
+     * Campos de texto de la dirección
+     * @type {string|null}
+     * @readonly
+     */
+    this.label = textField('label', label, false);
+    this.line1 = textField('line1', line1, true);
+    this.line2 = textField('line2', line2, false);
+    this.city = textField('city', city, true);
+    this.region = textField('region', region, false);
+    this.postalCode = textField('postalCode', postalCode, false);
+
+    /**
+     * Código de país en mayúsculas
+     * @type {string}
+     * @readonly
+     */
+    this.country = country.trim().toUpperCase();
+
+    /**
+     * Dirección predeterminada del cliente
+     * @type {boolean}
+     * @readonly
+     */
+    this.isDefault = isDefault;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Convierte la entidad a un objeto plano para serialización
+   *
+   * @returns {Object} Objeto plano con las propiedades de la dirección
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      customerId: this.customerId,
+      label: this.label,
+      line1: this.line1,
+      line2: this.line2,
+      city: this.city,
+      region: this.region,
+      postalCode: this.postalCode,
+      country: this.country,
+      isDefault: this.isDefault,
+    };
+  }
+}
@@ -0,0 +1,12 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * @typedef {import('../Entities/CustomerAddress.js').CustomerAddress} CustomerAddress
+ * @interface CustomerAddressRepositoryPort
+ * create(address: CustomerAddress, tx?): Promise<CustomerAddress>
+ * findByCustomer(customerId: string, tx?): Promise<CustomerAddress[]>     // predeterminada primero
+ * findById(customerId: string, id: string, tx?): Promise<CustomerAddress|null>
+ * update(address: CustomerAddress, tx?): Promise<CustomerAddress|null>   // no cambia isDefault
+ * setDefault(customerId: string, id: string, tx?): Promise<void>         // desmarca la anterior
+ * delete(customerId: string, id: string, tx?): Promise<boolean>
+ */
+export const CustomerAddressRepositoryPort = {}; // marcador, contrato por documentación
@@ -0,0 +1,17 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * Clientes. findPageWithStats agrega los pedidos de cada cliente
+ * (cantidad, gasto acumulado y fecha del último pedido, sin cancelados).
+ *
+ * @typedef {import('../Entities/Customer.js').Customer} Customer
+ * @typedef {{ orderCount: number, lifetimeSpend: number, lastOrderAt: Date|null }} CustomerStats
+ * @interface CustomerRepositoryPort
+ * create(customer: Customer, tx?): Promise<Customer>
+ * findById(id: string, tx?, options?: { lock?: boolean }): Promise<Customer|null>
+ * findByEmail(email: string, tx?): Promise<Customer|null>
+ * findPage(criteria: { q?, page, limit }, tx?): Promise<{ items: Customer[], total: number }>
+ * findPageWithStats(criteria: { q?, page, limit }, tx?): Promise<{ items: Array<{ customer: Customer, stats: CustomerStats }>, total: number }>
+ * update(customer: Customer, tx?): Promise<Customer|null>
+ * delete(id: string, tx?): Promise<boolean>
+ */
+export const CustomerRepositoryPort = {}; // marcador, contrato por documentación
@@ -0,0 +1,14 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * Chequeo de una dependencia de la que el servicio necesita para atender
+ * tráfico (base de datos, migraciones, pool de conexiones...). El endpoint
+ * de readiness ejecuta todos los registrados y mide la latencia de cada uno.
+ *
+ * @interface HealthCheckPort
+ * name: string
+ *   // clave del chequeo en el reporte (ej: database)
+ * check(): Promise<{ healthy: boolean, details?: Object }>
+ *   // estado de la dependencia; details agrega datos al reporte (ej: pending,
+ *   // inUse). Si lanza, el chequeo cuenta como fallido con el mensaje del error
+ */
+export const HealthCheckPort = {}; // marcador, contrato por documentación
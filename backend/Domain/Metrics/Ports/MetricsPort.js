@@ -0,0 +1,21 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * Registro de métricas operativas del servicio (Prometheus, StatsD...).
+ * Los middlewares y el Unit of Work reportan eventos; el adaptador los
+ * agrega y los expone en el formato de su sistema de monitoreo.
+ *
+ * @interface MetricsPort
+ * observeRequest({ method: string, route: string, status: number, durationSeconds: number }): void
+ *   // duración de una petición HTTP; route es el patrón (/api/products/:id), no la URL
+ * countError({ code: string, status: number }): void
+ *   // una respuesta de error (>= 400) con el código de AppError del cuerpo
+ * countTransaction(outcome: 'commit' | 'rollback' | 'rollback_failed'): void
+ *   // una transacción terminada del Unit of Work
+ * setStockLevels({ outOfStock: number, lowStock: number }): void
+ *   // últimos conteos de productos agotados y con stock bajo
+ * contentType: string
+ *   // Content-Type de la exposición
+ * render(): Promise<string>
+ *   // todas las métricas en el formato de exposición
+ */
+export const MetricsPort = {}; // marcador, contrato por documentación
@@ -0,0 +1,241 @@
+/**
+ * Entidad de Dominio: Order
+ *
+ * Representa un pedido confirmado a partir de un carrito. Las líneas
+ * guardan una copia de los precios al confirmar, y el stock de todas ellas
+ * se descuenta en la misma transacción que crea el pedido.
+ *
+ * Máquina de estados:
+ *
+ *   pending ──► paid ──► shipped ──► delivered
+ *      │          │
+ *      └──────────┴──► cancelled
+ *
+ * Reglas de Negocio:
+ * - Todo pedido tiene al menos una línea
+ * - Solo se admiten las transiciones de ORDER_TRANSITIONS; delivered y
+ *   cancelled son estados finales
+ * - Un pedido solo puede cancelarse antes del envío; al cancelarse, sus
+ *   unidades vuelven al stock
+ * - Cada transición registra su fecha (paidAt, shippedAt, deliveredAt,
+ *   cancelledAt)
+ *
+ * @class Order
+ * @author Backend Team
+ */
+
+import { OrderItem } from './OrderItem.js';
+
+/**
+ * Estados de un pedido
+ * @constant {string[]}
+ */
+export const ORDER_STATUSES = Object.freeze(['pending', 'paid', 'shipped', 'delivered', 'cancelled']);
+
+/**
+ * Transiciones permitidas desde cada estado
+ * @constant {Object<string, string[]>}
+ */
+export const ORDER_TRANSITIONS = Object.freeze({
+  pending: Object.freeze(['paid', 'cancelled']),
+  paid: Object.freeze(['shipped', 'cancelled']),
+  shipped: Object.freeze(['delivered']),
+  delivered: Object.freeze([]),
+  cancelled: Object.freeze([]),
+});
+
+/**
+ * Campo de fecha que registra la llegada a cada estado
+ * @constant {Object<string, string>}
+ * @private
+ */
+const STATUS_DATE_FIELDS = Object.freeze({
+  paid: 'paidAt',
+  shipped: 'shippedAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt',
+});
+
+export class Order {
+
+  /**
+   * Constructor de la entidad Order
+   *
+   * @param {Object} orderData - Datos del pedido
+   * @param {string|null} [orderData.id] - Identificador único (UUID)
+   * @param {string|null} [orderData.cartId] - Carrito del que proviene
+   * @param {string|null} [orderData.customerId] - Cliente que hizo el pedido
+   * @param {string} [orderData.status='pending'] - Estado (ver ORDER_STATUSES)
+   * @param {OrderItem[]} orderData.items - Líneas del pedido (al menos una)
+   * @param {Date|null} [orderData.paidAt] - Fecha de pago
+   * @param {Date|null} [orderData.shippedAt] - Fecha de envío
+   * @param {Date|null} [orderData.deliveredAt] - Fecha de entrega
+   * @param {Date|null} [orderData.cancelledAt] - Fecha de cancelación
+   * @param {Date|null} [orderData.createdAt] - Fecha de confirmación (la asigna la persistencia)
+   * @param {Date|null} [orderData.updatedAt] - Fecha de última modificación
+   *
+   * @throws {Error} Si algún dato requerido está ausente o es inválido
+   *
+   * @example
+   * const order = new Order({ cartId, items: [new OrderItem({ ... })] });
+   */
+  constructor({
+    id = null,
+    cartId = null,
+    customerId = null,
+    status = 'pending',
+    items,
+    paidAt = null,
+    shippedAt = null,
+    deliveredAt = null,
+    cancelledAt = null,
+    createdAt = null,
+    updatedAt = null
+  }) {
+
+    // === VALIDACIONES DE REGLAS DE NEGOCIO ===
+
+    if (cartId !== null && (typeof cartId !== 'string' || cartId.length === 0)) {
+      throw new Error('Order: El carrito debe ser un identificador o null');
+    }
+
+    if (customerId !== null && (typeof customerId !== 'string' || customerId.length === 0)) {
+      throw new Error('Order: El cliente debe ser un identificador o null');
+    }
+
+    if (!ORDER_STATUSES.includes(status)) {
+      throw new Error(`Order: El estado debe ser uno de ${ORDER_STATUSES.join(', ')}`);
+    }
+
+    if (!Array.isArray(items) || items.length === 0 || items.some(item => !(item instanceof OrderItem))) {
+      throw new Error('Order: El pedido debe tener al menos una línea (OrderItem)');
+    }
+
+    // === ASIGNACIÓN DE PROPIEDADES ===
+
+    /**
+     * Identificador único del pedido
+     * @type {string|null}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Carrito del que proviene
+     * @type {string|null}
+     * @readonly
+     */
+    this.cartId = cartId;
+
+    /**
+     * Cliente que hizo el pedido
+     * @type {string|null}
+     * @readonly
+     */
+    this.customerId = customerId;
+
+    /**
+     * Estado del pedido
+     * @type {string}
+     * @readonly
+     */
+    this.status = status;
+
+    /**
+     * Líneas del pedido
+     * @type {OrderItem[]}
+     * @readonly
+     */
+    this.items = Object.freeze([...items]);
+
+    /**
+     * Fechas de cada transición
+     * @type {Date|null}
+     * @readonly
+     */
+    this.paidAt = paidAt;
+    this.shippedAt = shippedAt;
+    this.deliveredAt = deliveredAt;
+    this.cancelledAt = cancelledAt;
+
+    /**
+     * Fechas de confirmación y última modificación
+     * @type {Date|null}
+     * @readonly
+     */
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Verifica si el pedido puede pasar a un estado
+   *
+   * @param {string} status - Estado destino
+   * @returns {boolean} true si la transición está permitida
+   */
+  canTransitionTo(status) {
+    return ORDER_TRANSITIONS[this.status].includes(status);
+  }
+
+  /**
+   * Crea una copia del pedido en el nuevo estado
+   *
+   * @param {string} status - Estado destino
+   * @param {Date} [at=new Date()] - Fecha de la transición
+   * @returns {Order} Nueva instancia con el estado y su fecha
+   *
+   * @throws {Error} Si la transición no está permitida
+   */
+  transitionTo(status, at = new Date()) {
+    if (!this.canTransitionTo(status)) {
+      throw new Error(`Order: No se puede pasar de ${this.status} a ${status}`);
+    }
+
+    return new Order({ ...this, status, [STATUS_DATE_FIELDS[status]]: at });
+  }
+
+  /**
+   * Total de unidades del pedido
+   *
+   * @returns {number} Suma de las cantidades de todas las líneas
+   */
+  itemCount() {
+    return this.items.reduce((total, item) => total + item.quantity, 0);
+  }
+
+  /**
+   * Subtotal del pedido
+   *
+   * @returns {number} Suma de los totales de línea, redondeada a centavos
+   */
+  subtotal() {
+    const total = this.items.reduce((sum, item) => sum + item.lineTotal(), 0);
+
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * Convierte la entidad a un objeto plano para serialización
+   *
+   * @returns {Object} Objeto plano con las propiedades del pedido
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      cartId: this.cartId,
+      customerId: this.customerId,
+      status: this.status,
+      items: this.items.map(item => item.toJSON()),
+      itemCount: this.itemCount(),
+      subtotal: this.subtotal(),
+      paidAt: this.paidAt,
+      shippedAt: this.shippedAt,
+      deliveredAt: this.deliveredAt,
+      cancelledAt: this.cancelledAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Entidad de Dominio: OrderItem
+ *
+ * Representa una línea de un pedido. A diferencia de la línea de carrito,
+ * guarda una copia del nombre, el SKU y el precio unitario vigentes al
+ * confirmar el pedido: cambios posteriores del catálogo (o su purga) no
+ * alteran lo que se vendió.
+ *
+ * Reglas de Negocio:
+ * - Pertenece a un producto y, opcionalmente, a una de sus variantes
+ * - La cantidad es un entero mayor a 0
+ * - El precio unitario es mayor a 0
+ *
+ * @class OrderItem
+ * @author Backend Team
+ */
+
+export class OrderItem {
+
+  /**
+   * Constructor de la entidad OrderItem
+   *
+   * @param {Object} itemData - Datos de la línea
+   * @param {string|null} [itemData.id] - Identificador único (UUID)
+   * @param {string} itemData.productId - Producto vendido
+   * @param {string|null} [itemData.variantId] - Variante vendida
+   * @param {string} itemData.productName - Nombre del producto al confirmar el pedido
+   * @param {string|null} [itemData.sku] - SKU de la variante al confirmar el pedido
+   * @param {number} itemData.unitPrice - Precio unitario al confirmar el pedido
+   * @param {number} itemData.quantity - Unidades (> 0)
+   *
+   * @throws {Error} Si algún dato requerido está ausente o es inválido
+   *
+   * @example
+   * const item = new OrderItem({ productId, productName: 'Labial Mate Rojo', unitPrice: 15.99, quantity: 2 });
+   */
+  constructor({ id = null, productId, variantId = null, productName, sku = null, unitPrice, quantity }) {
+
+    // === VALIDACIONES DE REGLAS DE NEGOCIO ===
+
+    if (typeof productId !== 'string' || productId.length === 0) {
+      throw new Error('OrderItem: El producto es requerido');
+    }
+
+    if (variantId !== null && (typeof variantId !== 'string' || variantId.length === 0)) {
+      throw new Error('OrderItem: La variante debe ser un identificador o null');
+    }
+
+    if (typeof productName !== 'string' || productName.trim().length === 0) {
+      throw new Error('OrderItem: El nombre del producto es requerido');
+    }
+
+    if (typeof unitPrice !== 'number' || !(unitPrice > 0)) {
+      throw new Error('OrderItem: El precio unitario debe ser un número mayor a 0');
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error('OrderItem: La cantidad debe ser un entero mayor a 0');
+    }
+
+    // === ASIGNACIÓN DE PROPIEDADES ===
+
+    /**
+     * Identificador único de la línea
+     * @type {string|null}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Producto y, si aplica, variante vendidos
+     * @type {string}
+     * @readonly
+     */
+    this.productId = productId;
+    this.variantId = variantId;
+
+    /**
+     * Copia del nombre y el SKU al confirmar el pedido
+     * @type {string}
+     * @readonly
+     */
+    this.productName = productName;
+    this.sku = sku;
+
+    /**
+     * Precio unitario y unidades
+     * @type {number}
+     * @readonly
+     */
+    this.unitPrice = unitPrice;
+    this.quantity = quantity;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Total de la línea
+   *
+   * @returns {number} Precio unitario por cantidad, redondeado a centavos
+   */
+  lineTotal() {
+    return Math.round(this.unitPrice * this.quantity * 100) / 100;
+  }
+
+  /**
+   * Convierte la entidad a un objeto plano para serialización
+   *
+   * @returns {Object} Objeto plano con las propiedades de la línea
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      productId: this.productId,
+      variantId: this.variantId,
+      productName: this.productName,
+      sku: this.sku,
+      unitPrice: this.unitPrice,
+      quantity: this.quantity,
+      lineTotal: this.lineTotal(),
+    };
+  }
+}
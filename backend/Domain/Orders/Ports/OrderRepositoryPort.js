@@ -0,0 +1,13 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * Pedidos y sus líneas. Las lecturas devuelven el pedido con sus líneas.
+ *
+ * @typedef {import('../Entities/Order.js').Order} Order
+ * @interface OrderRepositoryPort
+ * create(order: Order, tx?): Promise<Order>                      // crea el pedido y sus líneas
+ * findById(id: string, tx?, options?: { lock?: boolean }): Promise<Order|null>
+ * findPage(criteria: { status?, page, limit }, tx?): Promise<{ items: Order[], total: number }>
+ * countByCustomer(customerId: string, tx?): Promise<number>
+ * updateStatus(order: Order, tx?): Promise<Order|null>            // persiste estado y fechas de transición
+ */
+export const OrderRepositoryPort = {}; // marcador, contrato por documentación
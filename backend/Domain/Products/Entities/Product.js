@@ -16,10 +16,18 @@
  * - El precio debe ser mayor a 0
  * - El stock debe ser mayor o igual a 0
  * - El ID es opcional (se asigna en persistencia)
+ * - La versión es opcional (la gestiona la persistencia para concurrencia optimista)
+ * - La categoría y la marca son opcionales (identificadores o null)
+ * - Si el producto tiene variantes, la disponibilidad se evalúa por variante
+ * - Las unidades con reservas activas no están disponibles (disponible = stock - reservado)
+ * - La imagen del producto es la URL de su imagen principal (si tiene)
  * 
  * @class Product
  * @author Backend Team
  */
+
+import { DomainValidationError } from '../../Shared/Errors/DomainValidationError.js';
+
 export class Product {
   
   /**
@@ -33,8 +41,16 @@ export class Product {
    * @param {string} productData.name - Nombre del producto (requerido)
    * @param {number} productData.price - Precio del producto (requerido, > 0)
    * @param {number} productData.stock - Cantidad en inventario (requerido, >= 0)
+   * @param {number} [productData.reserved=0] - Unidades con reservas activas
+   * @param {number|null} [productData.version] - Versión para control de concurrencia
+   * @param {Date|null} [productData.deletedAt] - Fecha de eliminación lógica, si aplica
+   * @param {string|null} [productData.categoryId] - Categoría del producto
+   * @param {string|null} [productData.brandId] - Marca del producto
+   * @param {ProductVariant[]|null} [productData.variants] - Variantes cargadas (null si no se consultaron)
+   * @param {string|null} [productData.image] - URL de la imagen principal
+   * @param {ProductImage[]|null} [productData.images] - Galería cargada (null si no se consultó)
    * 
-   * @throws {Error} Si algún dato requerido está ausente o es inválido
+   * @throws {DomainValidationError} Si algún dato requerido está ausente o es inválido (con cada violación por campo)
    * 
    * @example
    * const product = new Product({
@@ -43,35 +59,70 @@ export class Product {
    *   stock: 15
    * });
    */
-  constructor({ id = null, name, price, stock }) {
+  constructor({ id = null, name, price, stock, reserved = 0, version = null, deletedAt = null, categoryId = null, brandId = null, variants = null, image = null, images = null }) {
     
     // === VALIDACIONES DE REGLAS DE NEGOCIO ===
     
-    // Validar datos requeridos
-    if (!name || !price || stock === undefined || stock === null) {
-      throw new Error('Product: Todos los campos son requeridos (name, price, stock)');
+    // Se acumulan todas las violaciones para informarlas juntas, campo por campo
+    const violations = [];
+    const violate = (path, rule, message) => violations.push({ path, rule, message });
+    
+    // Validar nombre: requerido, texto, no vacío y de longitud acotada
+    if (name === undefined || name === null || name === '') {
+      violate('name', 'required', 'El nombre es requerido');
+    } else if (typeof name !== 'string') {
+      violate('name', 'type', 'El nombre debe ser una cadena de texto');
+    } else if (name.trim().length === 0) {
+      violate('name', 'minLength', 'El nombre no puede estar vacío');
+    } else if (name.length > 255) {
+      violate('name', 'maxLength', 'El nombre no puede exceder 255 caracteres');
+    }
+    
+    // Validar precio: requerido, numérico y mayor a 0
+    if (price === undefined || price === null) {
+      violate('price', 'required', 'El precio es requerido');
+    } else if (typeof price !== 'number' || !Number.isFinite(price)) {
+      violate('price', 'type', 'El precio debe ser un número mayor a 0');
+    } else if (price <= 0) {
+      violate('price', 'exclusiveMinimum', 'El precio debe ser un número mayor a 0');
+    }
+    
+    // Validar stock: requerido, entero y no negativo
+    if (stock === undefined || stock === null) {
+      violate('stock', 'required', 'El stock es requerido');
+    } else if (typeof stock !== 'number' || !Number.isInteger(stock)) {
+      violate('stock', 'type', 'El stock debe ser un número entero mayor o igual a 0');
+    } else if (stock < 0) {
+      violate('stock', 'minimum', 'El stock debe ser un número entero mayor o igual a 0');
     }
     
-    // Validar tipos de datos
-    if (typeof name !== 'string') {
-      throw new Error('Product: El nombre debe ser una cadena de texto');
+    if (!Number.isInteger(reserved) || reserved < 0) {
+      violate('reserved', 'minimum', 'Las unidades reservadas deben ser un entero mayor o igual a 0');
     }
     
-    if (typeof price !== 'number' || price <= 0) {
-      throw new Error('Product: El precio debe ser un número mayor a 0');
+    // Validar referencias opcionales
+    if (categoryId !== null && typeof categoryId !== 'string') {
+      violate('categoryId', 'type', 'La categoría debe ser un identificador o null');
     }
     
-    if (typeof stock !== 'number' || stock < 0 || !Number.isInteger(stock)) {
-      throw new Error('Product: El stock debe ser un número entero mayor o igual a 0');
+    if (brandId !== null && typeof brandId !== 'string') {
+      violate('brandId', 'type', 'La marca debe ser un identificador o null');
     }
     
-    // Validar longitud del nombre
-    if (name.trim().length === 0) {
-      throw new Error('Product: El nombre no puede estar vacío');
+    if (variants !== null && !Array.isArray(variants)) {
+      violate('variants', 'type', 'Las variantes deben ser un arreglo o null');
     }
     
-    if (name.length > 255) {
-      throw new Error('Product: El nombre no puede exceder 255 caracteres');
+    if (image !== null && typeof image !== 'string') {
+      violate('image', 'type', 'La imagen debe ser una URL o null');
+    }
+    
+    if (images !== null && !Array.isArray(images)) {
+      violate('images', 'type', 'Las imágenes deben ser un arreglo o null');
+    }
+    
+    if (violations.length > 0) {
+      throw new DomainValidationError('Product', violations);
     }
     
     // === ASIGNACIÓN DE PROPIEDADES ===
@@ -104,19 +155,99 @@ export class Product {
      */
     this.stock = stock;
     
+    /**
+     * Unidades retenidas por reservas activas (0 si no se consultaron)
+     * @type {number}
+     * @readonly
+     */
+    this.reserved = reserved;
+    
+    /**
+     * Versión del registro para control de concurrencia optimista
+     * Se expone al cliente como ETag, no forma parte del JSON
+     * @type {number|null}
+     * @readonly
+     */
+    this.version = version;
+    
+    /**
+     * Fecha de eliminación lógica (soft delete)
+     * null mientras el producto esté activo
+     * @type {Date|null}
+     * @readonly
+     */
+    this.deletedAt = deletedAt;
+    
+    /**
+     * Identificador de la categoría (null si no tiene)
+     * @type {string|null}
+     * @readonly
+     */
+    this.categoryId = categoryId;
+    
+    /**
+     * Identificador de la marca (null si no tiene)
+     * @type {string|null}
+     * @readonly
+     */
+    this.brandId = brandId;
+    
+    /**
+     * Variantes del producto (tono, tamaño)
+     * null significa que no se cargaron, no que no existan
+     * @type {ProductVariant[]|null}
+     * @readonly
+     */
+    this.variants = variants === null ? null : Object.freeze([...variants]);
+    
+    /**
+     * URL de la imagen principal (null si no tiene o no se consultó)
+     * @type {string|null}
+     * @readonly
+     */
+    this.image = image;
+    
+    /**
+     * Galería de imágenes ordenada por posición
+     * null significa que no se cargó, no que no existan
+     * @type {ProductImage[]|null}
+     * @readonly
+     */
+    this.images = images === null ? null : Object.freeze([...images]);
+    
     // === INMUTABILIDAD ===
     // Congela el objeto para prevenir modificaciones accidentales
     // Esto garantiza que la entidad mantenga su estado consistente
     Object.freeze(this);
   }
   
+  /**
+   * Unidades disponibles para la venta: stock menos reservas activas
+   * 
+   * Nunca es negativo: una merma puede dejar el stock por debajo de lo
+   * reservado.
+   * 
+   * @returns {number} Unidades disponibles del stock propio del producto
+   */
+  available() {
+    return Math.max(this.stock - this.reserved, 0);
+  }
+  
   /**
    * Verifica si el producto está disponible en inventario
    * 
+   * Con variantes cargadas, el producto está disponible si alguna
+   * variante tiene unidades disponibles; sin variantes se usa el stock
+   * del producto. En ambos casos se descuentan las reservas activas.
+   * 
    * @returns {boolean} true si hay stock disponible, false en caso contrario
    */
   isAvailable() {
-    return this.stock > 0;
+    if (this.hasVariants()) {
+      return this.variants.some(variant => variant.isAvailable());
+    }
+    
+    return this.available() > 0;
   }
   
   /**
@@ -125,7 +256,55 @@ export class Product {
    * @returns {boolean} true si no hay stock, false en caso contrario
    */
   isOutOfStock() {
-    return this.stock === 0;
+    return !this.isAvailable();
+  }
+  
+  /**
+   * Verifica si el producto tiene variantes cargadas
+   * 
+   * @returns {boolean} true si se cargaron variantes y hay al menos una
+   */
+  hasVariants() {
+    return this.variants !== null && this.variants.length > 0;
+  }
+  
+  /**
+   * Crea una copia del producto con sus variantes cargadas
+   * 
+   * @param {ProductVariant[]} variants - Variantes del producto
+   * @returns {Product} Nueva instancia con las variantes
+   * 
+   * @example
+   * const detailed = product.withVariants(await variantRepository.findByProduct(product.id));
+   */
+  withVariants(variants) {
+    return new Product({ ...this, variants });
+  }
+  
+  /**
+   * Crea una copia del producto con su galería de imágenes cargada
+   * 
+   * La imagen del producto pasa a ser la principal de la galería.
+   * 
+   * @param {ProductImage[]} images - Imágenes del producto ordenadas por posición
+   * @returns {Product} Nueva instancia con las imágenes
+   * 
+   * @example
+   * const detailed = product.withImages(await imageRepository.findByProduct(product.id));
+   */
+  withImages(images) {
+    const primary = images.find(image => image.isPrimary);
+    
+    return new Product({ ...this, images, image: primary?.url ?? null });
+  }
+  
+  /**
+   * Verifica si el producto fue eliminado lógicamente
+   * 
+   * @returns {boolean} true si el producto está en la papelera
+   */
+  isDeleted() {
+    return this.deletedAt !== null;
   }
   
   /**
@@ -148,7 +327,22 @@ export class Product {
       id: this.id,
       name: this.name,
       price: this.price,
-      stock: this.stock
+      stock: this.stock,
+      available: this.available(),
+      categoryId: this.categoryId,
+      brandId: this.brandId,
+      // URL de la imagen principal, omitida si el producto no tiene
+      ...(this.image && { image: this.image }),
+      // Solo se incluye para productos eliminados (listados con includeDeleted)
+      ...(this.deletedAt && { deletedAt: this.deletedAt }),
+      // Solo se incluyen cuando se cargaron (detalle del producto)
+      ...(this.variants && {
+        variants: this.variants.map(variant => ({
+          ...variant.toJSON(),
+          effectivePrice: variant.effectivePrice(this.price)
+        }))
+      }),
+      ...(this.images && { images: this.images.map(image => image.toJSON()) })
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,170 @@
+/**
+ * Entidad de Dominio: ProductImage
+ *
+ * Representa una imagen de la galería de un producto. El archivo original
+ * y su miniatura viven en el almacenamiento de archivos (ver
+ * ImageStoragePort); la entidad guarda sus claves, sus URLs públicas y
+ * los datos de presentación (orden y si es la imagen principal).
+ *
+ * Reglas de Negocio:
+ * - Pertenece a un producto (productId requerido)
+ * - Solo se aceptan imágenes JPEG, PNG o WebP
+ * - La posición es un entero mayor o igual a 0 (0 = primera de la galería)
+ * - Un producto tiene a lo sumo una imagen principal
+ *
+ * @class ProductImage
+ * @author Backend Team
+ */
+
+/**
+ * Tipos MIME de imagen aceptados
+ * @constant {string[]}
+ */
+export const IMAGE_MIME_TYPES = Object.freeze(['image/jpeg', 'image/png', 'image/webp']);
+
+export class ProductImage {
+
+  /**
+   * Constructor de la entidad ProductImage
+   *
+   * @param {Object} imageData - Datos de la imagen
+   * @param {string|null} [imageData.id] - Identificador único (UUID)
+   * @param {string} imageData.productId - Producto al que pertenece
+   * @param {string} imageData.key - Clave del archivo original en el almacenamiento
+   * @param {string} imageData.thumbnailKey - Clave de la miniatura en el almacenamiento
+   * @param {string} imageData.url - URL pública del archivo original
+   * @param {string} imageData.thumbnailUrl - URL pública de la miniatura
+   * @param {string} imageData.mimeType - Tipo MIME del original
+   * @param {number} imageData.size - Tamaño del original en bytes
+   * @param {number} imageData.width - Ancho del original en píxeles
+   * @param {number} imageData.height - Alto del original en píxeles
+   * @param {number} [imageData.position=0] - Orden dentro de la galería
+   * @param {boolean} [imageData.isPrimary=false] - Si es la imagen principal del producto
+   *
+   * @throws {Error} Si algún dato requerido está ausente o es inválido
+   */
+  constructor({
+    id = null,
+    productId,
+    key,
+    thumbnailKey,
+    url,
+    thumbnailUrl,
+    mimeType,
+    size,
+    width,
+    height,
+    position = 0,
+    isPrimary = false
+  }) {
+
+    // === VALIDACIONES DE REGLAS DE NEGOCIO ===
+
+    if (typeof productId !== 'string' || productId.length === 0) {
+      throw new Error('ProductImage: El producto es requerido');
+    }
+
+    for (const [field, value] of [['key', key], ['thumbnailKey', thumbnailKey], ['url', url], ['thumbnailUrl', thumbnailUrl]]) {
+      if (typeof value !== 'string' || value.length === 0) {
+        throw new Error(`ProductImage: El campo ${field} es requerido`);
+      }
+    }
+
+    if (!IMAGE_MIME_TYPES.includes(mimeType)) {
+      throw new Error(`ProductImage: Tipo de imagen no soportado (${IMAGE_MIME_TYPES.join(', ')})`);
+    }
+
+    for (const [field, value] of [['size', size], ['width', width], ['height', height]]) {
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`ProductImage: El campo ${field} debe ser un entero mayor a 0`);
+      }
+    }
+
+    if (!Number.isInteger(position) || position < 0) {
+      throw new Error('ProductImage: La posición debe ser un entero mayor o igual a 0');
+    }
+
+    if (typeof isPrimary !== 'boolean') {
+      throw new Error('ProductImage: isPrimary debe ser booleano');
+    }
+
+    // === ASIGNACIÓN DE PROPIEDADES ===
+
+    /**
+     * Identificador único de la imagen
+     * @type {string|null}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Producto al que pertenece la imagen
+     * @type {string}
+     * @readonly
+     */
+    this.productId = productId;
+
+    /**
+     * Claves de los archivos en el almacenamiento (no se exponen en la API)
+     * @type {string}
+     * @readonly
+     */
+    this.key = key;
+    this.thumbnailKey = thumbnailKey;
+
+    /**
+     * URLs públicas del original y de la miniatura
+     * @type {string}
+     * @readonly
+     */
+    this.url = url;
+    this.thumbnailUrl = thumbnailUrl;
+
+    /**
+     * Metadatos del archivo original
+     * @readonly
+     */
+    this.mimeType = mimeType;
+    this.size = size;
+    this.width = width;
+    this.height = height;
+
+    /**
+     * Orden dentro de la galería (0 = primera)
+     * @type {number}
+     * @readonly
+     */
+    this.position = position;
+
+    /**
+     * Indica si es la imagen principal del producto
+     * @type {boolean}
+     * @readonly
+     */
+    this.isPrimary = isPrimary;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Convierte la entidad a un objeto plano para serialización
+   *
+   * Las claves de almacenamiento son un detalle interno y no se incluyen.
+   *
+   * @returns {Object} Objeto plano con las propiedades públicas de la imagen
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      productId: this.productId,
+      url: this.url,
+      thumbnailUrl: this.thumbnailUrl,
+      mimeType: this.mimeType,
+      size: this.size,
+      width: this.width,
+      height: this.height,
+      position: this.position,
+      isPrimary: this.isPrimary,
+    };
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * Entidad de Dominio: ProductVariant
+ * 
+ * Representa una variante vendible de un producto: un tono y/o tamaño
+ * concreto con su propio SKU, stock y, opcionalmente, su propio precio.
+ * Permite registrar "Base de maquillaje mate 30ml" una sola vez y colgar
+ * de ella los tonos 120, 130, etc., en lugar de crear un producto por tono.
+ * 
+ * Reglas de Negocio:
+ * - Pertenece a un producto (productId requerido)
+ * - El SKU es obligatorio, único y se normaliza a mayúsculas
+ * - Debe tener al menos una opción (tono o tamaño)
+ * - El precio es opcional: null hereda el precio del producto
+ * - El stock debe ser un entero mayor o igual a 0
+ * - Las unidades con reservas activas no están disponibles
+ * 
+ * @class ProductVariant
+ * @author Backend Team
+ */
+
+/**
+ * Formato permitido para el SKU: letras, números, guiones, puntos y
+ * guiones bajos, de 2 a 64 caracteres, comenzando por letra o número
+ * @constant {RegExp}
+ */
+export const SKU_PATTERN = /^[A-Z0-9][A-Z0-9._-]{1,63}$/;
+
+export class ProductVariant {
+
+  /**
+   * Constructor de la entidad ProductVariant
+   * 
+   * @param {Object} variantData - Datos de la variante
+   * @param {string|null} [variantData.id] - Identificador único (UUID)
+   * @param {string} variantData.productId - Producto al que pertenece
+   * @param {string} variantData.sku - Código de inventario (SKU)
+   * @param {string|null} [variantData.shade] - Tono (ej: "120")
+   * @param {string|null} [variantData.size] - Tamaño (ej: "30ml")
+   * @param {number|null} [variantData.price] - Precio propio (null hereda el del producto)
+   * @param {number} variantData.stock - Cantidad en inventario (>= 0)
+   * @param {number} [variantData.reserved=0] - Unidades con reservas activas
+   * 
+   * @throws {Error} Si algún dato requerido está ausente o es inválido
+   * 
+   * @example
+   * const variant = new ProductVariant({
+   *   productId,
+   *   sku: 'BASE-MATE-30-120',
+   *   shade: '120',
+   *   size: '30ml',
+   *   stock: 12
+   * });
+   */
+  constructor({ id = null, productId, sku, shade = null, size = null, price = null, stock, reserved = 0 }) {
+
+    // === VALIDACIONES DE REGLAS DE NEGOCIO ===
+
+    if (typeof productId !== 'string' || productId.length === 0) {
+      throw new Error('ProductVariant: El producto es requerido');
+    }
+
+    if (typeof sku !== 'string' || !SKU_PATTERN.test(sku.trim().toUpperCase())) {
+      throw new Error('ProductVariant: El SKU es requerido (2 a 64 caracteres: letras, números, ".", "-" o "_")');
+    }
+
+    for (const [field, value] of [['tono', shade], ['tamaño', size]]) {
+      if (value !== null && (typeof value !== 'string' || value.trim().length === 0 || value.length > 50)) {
+        throw new Error(`ProductVariant: El ${field} debe ser un texto de 1 a 50 caracteres o null`);
+      }
+    }
+
+    if (shade === null && size === null) {
+      throw new Error('ProductVariant: Debe indicar al menos una opción (shade o size)');
+    }
+
+    if (price !== null && (typeof price !== 'number' || price <= 0)) {
+      throw new Error('ProductVariant: El precio debe ser un número mayor a 0 o null');
+    }
+
+    if (typeof stock !== 'number' || stock < 0 || !Number.isInteger(stock)) {
+      throw new Error('ProductVariant: El stock debe ser un número entero mayor o igual a 0');
+    }
+
+    if (!Number.isInteger(reserved) || reserved < 0) {
+      throw new Error('ProductVariant: Las unidades reservadas deben ser un entero mayor o igual a 0');
+    }
+
+    // === ASIGNACIÓN DE PROPIEDADES ===
+
+    /**
+     * Identificador único de la variante
+     * @type {string|null}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Producto al que pertenece la variante
+     * @type {string}
+     * @readonly
+     */
+    this.productId = productId;
+
+    /**
+     * Código de inventario, normalizado a mayúsculas
+     * @type {string}
+     * @readonly
+     */
+    this.sku = sku.trim().toUpperCase();
+
+    /**
+     * Tono de la variante
+     * @type {string|null}
+     * @readonly
+     */
+    this.shade = shade?.trim() ?? null;
+
+    /**
+     * Tamaño o presentación de la variante
+     * @type {string|null}
+     * @readonly
+     */
+    this.size = size?.trim() ?? null;
+
+    /**
+     * Precio propio; null si hereda el precio del producto
+     * @type {number|null}
+     * @readonly
+     */
+    this.price = price === null ? null : Number(price.toFixed(2));
+
+    /**
+     * Cantidad disponible en inventario
+     * @type {number}
+     * @readonly
+     */
+    this.stock = stock;
+
+    /**
+     * Unidades retenidas por reservas activas (0 si no se consultaron)
+     * @type {number}
+     * @readonly
+     */
+    this.reserved = reserved;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Unidades disponibles para la venta: stock menos reservas activas
+   * 
+   * @returns {number} Unidades disponibles (nunca negativo)
+   */
+  available() {
+    return Math.max(this.stock - this.reserved, 0);
+  }
+
+  /**
+   * Verifica si la variante tiene stock disponible
+   * 
+   * @returns {boolean} true si hay unidades sin reservar
+   */
+  isAvailable() {
+    return this.available() > 0;
+  }
+
+  /**
+   * Precio de venta de la variante
+   * 
+   * @param {number} basePrice - Precio del producto padre
+   * @returns {number} Precio propio o, si no tiene, el del producto
+   */
+  effectivePrice(basePrice) {
+    return this.price ?? basePrice;
+  }
+
+  /**
+   * Indica si otra variante tiene la misma combinación de opciones
+   * 
+   * La comparación no distingue mayúsculas ("30ML" equivale a "30ml").
+   * 
+   * @param {{ shade: string|null, size: string|null }} other - Opciones a comparar
+   * @returns {boolean} true si tono y tamaño coinciden
+   */
+  hasSameOptions(other) {
+    const normalize = (value) => value?.trim().toLowerCase() ?? null;
+
+    return normalize(this.shade) === normalize(other.shade)
+      && normalize(this.size) === normalize(other.size);
+  }
+
+  /**
+   * Convierte la entidad a un objeto plano para serialización
+   * 
+   * @returns {Object} Objeto plano con las propiedades de la variante
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      productId: this.productId,
+      sku: this.sku,
+      shade: this.shade,
+      size: this.size,
+      price: this.price,
+      stock: this.stock,
+      available: this.available()
+    };
+  }
+}
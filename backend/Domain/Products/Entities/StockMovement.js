@@ -0,0 +1,194 @@
+/**
+ * Entidad de Dominio: StockMovement
+ *
+ * Representa un movimiento del libro de inventario: cada cambio de stock
+ * de un producto (o de una de sus variantes) queda registrado con su tipo,
+ * cantidad, motivo, responsable y referencia externa. El libro es de solo
+ * inserción: los movimientos no se modifican ni se eliminan, y el stock
+ * del producto es un valor cacheado que se actualiza junto con cada uno.
+ *
+ * Reglas de Negocio:
+ * - Pertenece a un producto y, opcionalmente, a una de sus variantes
+ * - La cantidad es un entero con signo distinto de 0
+ * - El signo depende del tipo: entradas (receipt, return) positivas,
+ *   salidas (sale, damage) negativas, ajustes (adjustment) en ambos sentidos
+ * - El motivo es obligatorio
+ * - El stock resultante nunca es negativo
+ *
+ * @class StockMovement
+ * @author Backend Team
+ */
+
+/**
+ * Tipos de movimiento y el signo que admiten (1 entrada, -1 salida, 0 ambos)
+ * @constant {Object<string, number>}
+ */
+export const MOVEMENT_TYPES = Object.freeze({
+  receipt: 1,      // Recepción de mercadería
+  return: 1,       // Devolución de un cliente
+  sale: -1,        // Venta
+  damage: -1,      // Merma (producto dañado, vencido o extraviado)
+  adjustment: 0,   // Ajuste de inventario (conteo físico, corrección)
+});
+
+export class StockMovement {
+
+  /**
+   * Constructor de la entidad StockMovement
+   *
+   * @param {Object} movementData - Datos del movimiento
+   * @param {string|null} [movementData.id] - Identificador único (UUID)
+   * @param {string} movementData.productId - Producto afectado
+   * @param {string|null} [movementData.variantId] - Variante afectada (null = stock del producto)
+   * @param {string} movementData.type - Tipo de movimiento (ver MOVEMENT_TYPES)
+   * @param {number} movementData.quantity - Cantidad con signo (positiva entra, negativa sale)
+   * @param {number} movementData.stockAfter - Stock resultante tras el movimiento
+   * @param {string} movementData.reason - Motivo del movimiento
+   * @param {string|null} [movementData.actor] - Responsable del movimiento
+   * @param {string|null} [movementData.reference] - Referencia externa (factura, pedido, acta...)
+   * @param {Date|null} [movementData.createdAt] - Fecha de registro (la asigna la persistencia)
+   *
+   * @throws {Error} Si algún dato requerido está ausente o es inválido
+   *
+   * @example
+   * const movement = new StockMovement({
+   *   productId,
+   *   type: 'receipt',
+   *   quantity: 24,
+   *   stockAfter: 36,
+   *   reason: 'Recepción de proveedor',
+   *   reference: 'FAC-000123'
+   * });
+   */
+  constructor({
+    id = null,
+    productId,
+    variantId = null,
+    type,
+    quantity,
+    stockAfter,
+    reason,
+    actor = null,
+    reference = null,
+    createdAt = null
+  }) {
+
+    // === VALIDACIONES DE REGLAS DE NEGOCIO ===
+
+    if (typeof productId !== 'string' || productId.length === 0) {
+      throw new Error('StockMovement: El producto es requerido');
+    }
+
+    if (variantId !== null && (typeof variantId !== 'string' || variantId.length === 0)) {
+      throw new Error('StockMovement: La variante debe ser un identificador o null');
+    }
+
+    if (!Object.hasOwn(MOVEMENT_TYPES, type)) {
+      throw new Error(`StockMovement: El tipo debe ser uno de ${Object.keys(MOVEMENT_TYPES).join(', ')}`);
+    }
+
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      throw new Error('StockMovement: La cantidad debe ser un entero distinto de 0');
+    }
+
+    const direction = MOVEMENT_TYPES[type];
+
+    if (direction !== 0 && Math.sign(quantity) !== direction) {
+      throw new Error(`StockMovement: Un movimiento de tipo ${type} debe ${direction > 0 ? 'sumar' : 'restar'} unidades`);
+    }
+
+    if (!Number.isInteger(stockAfter) || stockAfter < 0) {
+      throw new Error('StockMovement: El stock resultante debe ser un entero mayor o igual a 0');
+    }
+
+    if (typeof reason !== 'string' || reason.trim().length === 0 || reason.length > 255) {
+      throw new Error('StockMovement: El motivo es requerido (máximo 255 caracteres)');
+    }
+
+    for (const [field, value] of [['responsable', actor], ['referencia', reference]]) {
+      if (value !== null && (typeof value !== 'string' || value.trim().length === 0 || value.length > 100)) {
+        throw new Error(`StockMovement: La ${field} debe ser un texto de 1 a 100 caracteres o null`);
+      }
+    }
+
+    // === ASIGNACIÓN DE PROPIEDADES ===
+
+    /**
+     * Identificador único del movimiento
+     * @type {string|null}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Producto y, si aplica, variante afectados
+     * @type {string}
+     * @readonly
+     */
+    this.productId = productId;
+    this.variantId = variantId;
+
+    /**
+     * Tipo de movimiento
+     * @type {string}
+     * @readonly
+     */
+    this.type = type;
+
+    /**
+     * Cantidad con signo y stock resultante
+     * @type {number}
+     * @readonly
+     */
+    this.quantity = quantity;
+    this.stockAfter = stockAfter;
+
+    /**
+     * Motivo, responsable y referencia externa
+     * @type {string|null}
+     * @readonly
+     */
+    this.reason = reason.trim();
+    this.actor = actor?.trim() ?? null;
+    this.reference = reference?.trim() ?? null;
+
+    /**
+     * Fecha de registro
+     * @type {Date|null}
+     * @readonly
+     */
+    this.createdAt = createdAt;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Stock previo al movimiento
+   *
+   * @returns {number} Stock antes de aplicar la cantidad
+   */
+  stockBefore() {
+    return this.stockAfter - this.quantity;
+  }
+
+  /**
+   * Convierte la entidad a un objeto plano para serialización
+   *
+   * @returns {Object} Objeto plano con las propiedades del movimiento
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      productId: this.productId,
+      variantId: this.variantId,
+      type: this.type,
+      quantity: this.quantity,
+      stockBefore: this.stockBefore(),
+      stockAfter: this.stockAfter,
+      reason: this.reason,
+      actor: this.actor,
+      reference: this.reference,
+      createdAt: this.createdAt,
+    };
+  }
+}
@@ -0,0 +1,10 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * Análisis y transformación de imágenes.
+ *
+ * @interface ImageProcessorPort
+ * inspect(content: Buffer): Promise<{ mimeType: string, width: number, height: number }|null>
+ *   // null si el contenido no es una imagen reconocible (el tipo se detecta por el contenido, no por el nombre)
+ * thumbnail(content: Buffer): Promise<{ content: Buffer, mimeType: string, extension: string }>
+ */
+export const ImageProcessorPort = {}; // marcador, contrato por documentación
@@ -0,0 +1,10 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * Almacenamiento de archivos binarios (disco local, almacenamiento de objetos...).
+ * Las claves son rutas relativas con "/" como separador (ej: products/<id>/<uuid>.jpg).
+ *
+ * @interface ImageStoragePort
+ * save(key: string, content: Buffer, contentType: string): Promise<{ key: string, url: string }>
+ * delete(key: string): Promise<void>   // idempotente: no falla si el archivo no existe
+ */
+export const ImageStoragePort = {}; // marcador, contrato por documentación
@@ -0,0 +1,12 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * @typedef {import('../Entities/ProductImage.js').ProductImage} ProductImage
+ * @interface ProductImageRepositoryPort
+ * create(image: ProductImage, tx?): Promise<ProductImage>
+ * findByProduct(productId: string, tx?): Promise<ProductImage[]>
+ * findById(productId: string, id: string, tx?): Promise<ProductImage|null>
+ * reorder(productId: string, orderedIds: string[], tx?): Promise<void>
+ * setPrimary(productId: string, id: string, tx?): Promise<void>
+ * delete(productId: string, id: string, tx?): Promise<boolean>
+ */
+export const ProductImageRepositoryPort = {}; // marcador, contrato por documentación
@@ -3,6 +3,17 @@
  * @typedef {import('../Entities/Product.js').Product} Product
  * @interface ProductRepositoryPort
  * create(product: Product, tx?): Promise<Product>
- * getAll(tx?): Promise<Product|null>
+ * findPage(criteria: ProductListCriteria, tx?): Promise<{ items: Product[], total: number, nextCursor: string|null }>
+ * search(criteria: { q, page, limit }, tx?): Promise<{ items: Array<{ product, score, highlight }>, total: number }>
+ * streamAll(criteria: ProductListCriteria, tx): AsyncGenerator<Product>
+ * findById(id: string, tx?, options?: { includeDeleted?: boolean, lock?: boolean }): Promise<Product|null>
+ * findByName(name: string, tx?): Promise<Product|null>
+ * update(product: Product, expectedVersion: number|null, tx?): Promise<Product|null>
+ * setStock(id: string, stock: number, tx?): Promise<Product|null>
+ * softDelete(id: string, tx?): Promise<boolean>
+ * restore(id: string, tx?): Promise<Product|null>
+ * purge(id: string, tx?): Promise<boolean>
+ * countByReference(reference: { categoryId?: string, brandId?: string }, tx?): Promise<number>
+ * countByStockLevel(lowStockThreshold: number, tx?): Promise<{ outOfStock: number, lowStock: number }>
  */
 export const ProductRepositoryPort = {}; // marcador, contrato por documentación
@@ -0,0 +1,12 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * @typedef {import('../Entities/ProductVariant.js').ProductVariant} ProductVariant
+ * @interface ProductVariantRepositoryPort
+ * create(variant: ProductVariant, tx?): Promise<ProductVariant>
+ * findByProduct(productId: string, tx?): Promise<ProductVariant[]>
+ * findById(productId: string, id: string, tx?): Promise<ProductVariant|null>
+ * findBySku(sku: string, tx?): Promise<ProductVariant|null>
+ * update(variant: ProductVariant, tx?): Promise<ProductVariant|null>
+ * delete(productId: string, id: string, tx?): Promise<boolean>
+ */
+export const ProductVariantRepositoryPort = {}; // marcador, contrato por documentación
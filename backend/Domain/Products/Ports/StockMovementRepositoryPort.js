@@ -0,0 +1,10 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * Libro de movimientos de inventario: solo inserción y consulta.
+ *
+ * @typedef {import('../Entities/StockMovement.js').StockMovement} StockMovement
+ * @interface StockMovementRepositoryPort
+ * create(movement: StockMovement, tx?): Promise<StockMovement>
+ * findPage(criteria: { productId, variantId?, type?, page, limit }, tx?): Promise<{ items: StockMovement[], total: number }>
+ */
+export const StockMovementRepositoryPort = {}; // marcador, contrato por documentación
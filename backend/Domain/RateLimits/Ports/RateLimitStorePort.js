@@ -0,0 +1,12 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * Contadores de peticiones por ventana fija de tiempo (memoria del proceso,
+ * Redis...). Con varias instancias del servidor el almacén debe ser
+ * compartido para que el límite sea global.
+ *
+ * @interface RateLimitStorePort
+ * hit(key: string, windowMs: number): Promise<{ count: number, resetAt: Date }>
+ *   // suma una petición a la ventana vigente de la clave (abre una nueva si
+ *   // no hay) y devuelve el total acumulado y el fin de la ventana
+ */
+export const RateLimitStorePort = {}; // marcador, contrato por documentación
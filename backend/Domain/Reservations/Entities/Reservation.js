@@ -0,0 +1,187 @@
+/**
+ * Entidad de Dominio: Reservation
+ * 
+ * Representa una reserva de stock: unidades de un producto (o de una de
+ * sus variantes) apartadas temporalmente para un carrito o un checkout.
+ * Mientras está activa y no venció, las unidades reservadas no están
+ * disponibles para otros clientes.
+ * 
+ * Reglas de Negocio:
+ * - Pertenece a un producto y, opcionalmente, a una de sus variantes
+ * - La cantidad es un entero mayor a 0
+ * - Toda reserva tiene vencimiento (expiresAt); pasada esa fecha deja de
+ *   retener stock aunque el barrido todavía no la haya marcado como vencida
+ * - Solo una reserva activa puede liberarse o consumirse
+ * 
+ * @class Reservation
+ * @author Backend Team
+ */
+
+/**
+ * Estados de una reserva
+ * - active: retiene stock hasta su vencimiento
+ * - released: liberada antes de vencer (carrito abandonado, cancelación)
+ * - expired: vencida, marcada por el barrido
+ * - consumed: convertida en venta por un pedido
+ * @constant {string[]}
+ */
+export const RESERVATION_STATUSES = Object.freeze(['active', 'released', 'expired', 'consumed']);
+
+export class Reservation {
+
+  /**
+   * Constructor de la entidad Reservation
+   * 
+   * @param {Object} reservationData - Datos de la reserva
+   * @param {string|null} [reservationData.id] - Identificador único (UUID)
+   * @param {string} reservationData.productId - Producto reservado
+   * @param {string|null} [reservationData.variantId] - Variante reservada (null = stock del producto)
+   * @param {number} reservationData.quantity - Unidades reservadas (> 0)
+   * @param {string} [reservationData.status='active'] - Estado (ver RESERVATION_STATUSES)
+   * @param {Date} reservationData.expiresAt - Vencimiento de la reserva
+   * @param {string|null} [reservationData.reference] - Referencia externa (carrito, checkout...)
+   * @param {Date|null} [reservationData.createdAt] - Fecha de creación (la asigna la persistencia)
+   * 
+   * @throws {Error} Si algún dato requerido está ausente o es inválido
+   * 
+   * @example
+   * const reservation = new Reservation({
+   *   productId,
+   *   quantity: 2,
+   *   expiresAt: new Date(Date.now() + 15 * 60 * 1000),
+   *   reference: 'cart-8f2c'
+   * });
+   */
+  constructor({
+    id = null,
+    productId,
+    variantId = null,
+    quantity,
+    status = 'active',
+    expiresAt,
+    reference = null,
+    createdAt = null
+  }) {
+
+    // === VALIDACIONES DE REGLAS DE NEGOCIO ===
+
+    if (typeof productId !== 'string' || productId.length === 0) {
+      throw new Error('Reservation: El producto es requerido');
+    }
+
+    if (variantId !== null && (typeof variantId !== 'string' || variantId.length === 0)) {
+      throw new Error('Reservation: La variante debe ser un identificador o null');
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error('Reservation: La cantidad debe ser un entero mayor a 0');
+    }
+
+    if (!RESERVATION_STATUSES.includes(status)) {
+      throw new Error(`Reservation: El estado debe ser uno de ${RESERVATION_STATUSES.join(', ')}`);
+    }
+
+    if (!(expiresAt instanceof Date) || Number.isNaN(expiresAt.getTime())) {
+      throw new Error('Reservation: La fecha de vencimiento es requerida');
+    }
+
+    if (reference !== null && (typeof reference !== 'string' || reference.trim().length === 0 || reference.length > 100)) {
+      throw new Error('Reservation: La referencia debe ser un texto de 1 a 100 caracteres o null');
+    }
+
+    // === ASIGNACIÓN DE PROPIEDADES ===
+
+    /**
+     * Identificador único de la reserva
+     * @type {string|null}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Producto y, si aplica, variante reservados
+     * @type {string}
+     * @readonly
+     */
+    this.productId = productId;
+    this.variantId = variantId;
+
+    /**
+     * Unidades reservadas
+     * @type {number}
+     * @readonly
+     */
+    this.quantity = quantity;
+
+    /**
+     * Estado persistido (ver currentStatus para el estado efectivo)
+     * @type {string}
+     * @readonly
+     */
+    this.status = status;
+
+    /**
+     * Vencimiento de la reserva
+     * @type {Date}
+     * @readonly
+     */
+    this.expiresAt = expiresAt;
+
+    /**
+     * Referencia externa (carrito, checkout...)
+     * @type {string|null}
+     * @readonly
+     */
+    this.reference = reference?.trim() ?? null;
+
+    /**
+     * Fecha de creación
+     * @type {Date|null}
+     * @readonly
+     */
+    this.createdAt = createdAt;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Verifica si la reserva retiene stock
+   * 
+   * @param {Date} [now=new Date()] - Momento de referencia
+   * @returns {boolean} true si está activa y no venció
+   */
+  isActive(now = new Date()) {
+    return this.status === 'active' && this.expiresAt > now;
+  }
+
+  /**
+   * Estado efectivo de la reserva
+   * 
+   * Una reserva activa vencida se informa como expired aunque el barrido
+   * todavía no la haya marcado.
+   * 
+   * @param {Date} [now=new Date()] - Momento de referencia
+   * @returns {string} Estado efectivo
+   */
+  currentStatus(now = new Date()) {
+    return this.status === 'active' && !this.isActive(now) ? 'expired' : this.status;
+  }
+
+  /**
+   * Convierte la entidad a un objeto plano para serialización
+   * 
+   * @returns {Object} Objeto plano con las propiedades de la reserva
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      productId: this.productId,
+      variantId: this.variantId,
+      quantity: this.quantity,
+      status: this.currentStatus(),
+      expiresAt: this.expiresAt,
+      reference: this.reference,
+      createdAt: this.createdAt,
+    };
+  }
+}
@@ -0,0 +1,14 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * Reservas de stock. "Activa" significa status = 'active' y sin vencer.
+ *
+ * @typedef {import('../Entities/Reservation.js').Reservation} Reservation
+ * @interface ReservationRepositoryPort
+ * create(reservation: Reservation, tx?): Promise<Reservation>
+ * findById(id: string, tx?, options?: { lock?: boolean }): Promise<Reservation|null>
+ * findActiveByReference(reference: string, tx?): Promise<Reservation[]>
+ * sumActive(target: { productId, variantId? }, tx?): Promise<number>
+ * updateStatus(id: string, status: string, tx?): Promise<Reservation|null>
+ * expireOverdue(now: Date, tx?): Promise<number>   // marca como expired las activas vencidas
+ */
+export const ReservationRepositoryPort = {}; // marcador, contrato por documentación
@@ -0,0 +1,51 @@
+/**
+ * Error de Validación de Dominio
+ *
+ * Lo lanzan las entidades cuando sus datos violan alguna regla de negocio.
+ * Además del mensaje (con el formato habitual "Entidad: detalle") lista
+ * cada violación por campo con el mismo formato { path, rule, message }
+ * que la validación de peticiones, para que la capa de aplicación pueda
+ * devolverlas al cliente sin reinterpretar el texto.
+ *
+ * @class DomainValidationError
+ * @extends Error
+ * @author Backend Team
+ */
+
+export class DomainValidationError extends Error {
+
+  /**
+   * Constructor del error
+   *
+   * @param {string} entity - Nombre de la entidad (ej: Product)
+   * @param {Array<{ path: string, rule: string, message: string }>} fields - Violaciones, al menos una
+   *
+   * @example
+   * throw new DomainValidationError('Product', [
+   *   { path: 'price', rule: 'exclusiveMinimum', message: 'El precio debe ser un número mayor a 0' }
+   * ]);
+   */
+  constructor(entity, fields) {
+    super(`${entity}: ${fields.map(field => field.message).join('; ')}`);
+
+    /**
+     * Nombre de la clase de error
+     * @type {string}
+     */
+    this.name = 'DomainValidationError';
+
+    /**
+     * Entidad que rechazó los datos
+     * @type {string}
+     * @readonly
+     */
+    this.entity = entity;
+
+    /**
+     * Violaciones por campo
+     * @type {ReadonlyArray<{ path: string, rule: string, message: string }>}
+     * @readonly
+     */
+    this.fields = Object.freeze(fields.map(field => Object.freeze({ ...field })));
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Entidad de Dominio: RefreshToken
+ *
+ * Representa un refresh token emitido a un usuario. El token en claro solo
+ * lo conoce el cliente; se persiste su hash SHA-256.
+ *
+ * Cada uso del token lo revoca y emite uno nuevo de la misma familia
+ * (rotación). Todos los tokens que descienden de un mismo inicio de sesión
+ * comparten familyId: si un token ya revocado vuelve a presentarse, alguien
+ * conserva una copia robada y se revoca la familia completa.
+ *
+ * Reglas de Negocio:
+ * - Un token está activo si no fue revocado y no venció
+ * - replacedById indica el token que lo reemplazó al rotar
+ *
+ * @class RefreshToken
+ * @author Backend Team
+ */
+
+export class RefreshToken {
+
+  /**
+   * Constructor de la entidad RefreshToken
+   *
+   * @param {Object} tokenData - Datos del token
+   * @param {string|null} [tokenData.id] - Identificador único (UUID)
+   * @param {string} tokenData.userId - Usuario dueño del token
+   * @param {string} tokenData.tokenHash - SHA-256 del token en hexadecimal
+   * @param {string} tokenData.familyId - Inicio de sesión del que desciende
+   * @param {Date} tokenData.expiresAt - Fecha de vencimiento
+   * @param {Date|null} [tokenData.revokedAt] - Fecha de revocación
+   * @param {string|null} [tokenData.replacedById] - Token emitido al rotarlo
+   * @param {Date|null} [tokenData.createdAt] - Fecha de emisión
+   *
+   * @throws {Error} Si algún dato requerido está ausente o es inválido
+   */
+  constructor({
+    id = null,
+    userId,
+    tokenHash,
+    familyId,
+    expiresAt,
+    revokedAt = null,
+    replacedById = null,
+    createdAt = null
+  }) {
+
+    // === VALIDACIONES DE REGLAS DE NEGOCIO ===
+
+    if (typeof userId !== 'string' || userId.length === 0) {
+      throw new Error('RefreshToken: El usuario es requerido');
+    }
+
+    if (typeof tokenHash !== 'string' || !/^[0-9a-f]{64}$/.test(tokenHash)) {
+      throw new Error('RefreshToken: El hash del token debe ser un SHA-256 en hexadecimal');
+    }
+
+    if (typeof familyId !== 'string' || familyId.length === 0) {
+      throw new Error('RefreshToken: La familia es requerida');
+    }
+
+    if (!(expiresAt instanceof Date) || Number.isNaN(expiresAt.getTime())) {
+      throw new Error('RefreshToken: La fecha de vencimiento es requerida');
+    }
+
+    // === ASIGNACIÓN DE PROPIEDADES ===
+
+    /**
+     * Identificador único del token
+     * @type {string|null}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Usuario dueño del token
+     * @type {string}
+     * @readonly
+     */
+    this.userId = userId;
+
+    /**
+     * Hash SHA-256 del token
+     * @type {string}
+     * @readonly
+     */
+    this.tokenHash = tokenHash;
+
+    /**
+     * Inicio de sesión del que desciende
+     * @type {string}
+     * @readonly
+     */
+    this.familyId = familyId;
+
+    /**
+     * Fechas de vencimiento, revocación y emisión
+     * @type {Date|null}
+     * @readonly
+     */
+    this.expiresAt = expiresAt;
+    this.revokedAt = revokedAt;
+    this.createdAt = createdAt;
+
+    /**
+     * Token emitido al rotarlo
+     * @type {string|null}
+     * @readonly
+     */
+    this.replacedById = replacedById;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Verifica si el token fue revocado
+   *
+   * @returns {boolean} true si tiene fecha de revocación
+   */
+  isRevoked() {
+    return this.revokedAt !== null;
+  }
+
+  /**
+   * Verifica si el token venció
+   *
+   * @param {Date} [now=new Date()] - Momento de referencia
+   * @returns {boolean} true si la fecha de vencimiento ya pasó
+   */
+  isExpired(now = new Date()) {
+    return this.expiresAt.getTime() <= now.getTime();
+  }
+}
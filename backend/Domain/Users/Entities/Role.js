@@ -0,0 +1,77 @@
+/**
+ * Roles y Permisos
+ *
+ * Cada usuario tiene un rol y cada rol otorga un conjunto fijo de permisos.
+ * Las rutas declaran el permiso que exigen (no el rol): así agregar un rol
+ * o mover un permiso entre roles no obliga a tocar los routers.
+ *
+ * Roles:
+ * - admin: todos los permisos, incluida la administración de usuarios y
+ *   de API keys
+ * - catalog-editor: escribe el catálogo (productos, precios, stock,
+ *   variantes, imágenes, categorías y marcas) y consulta sus datos internos
+ *   (exportación e historial de stock)
+ * - viewer: consulta pedidos, clientes y los datos internos del catálogo
+ *   sin poder modificarlos
+ * - customer: rol por defecto de las cuentas registradas; sin permisos
+ *   de back-office
+ *
+ * @module Role
+ * @author Backend Team
+ */
+
+/**
+ * Roles válidos
+ * @constant {string[]}
+ */
+export const ROLES = Object.freeze(['admin', 'catalog-editor', 'viewer', 'customer']);
+
+/**
+ * Rol asignado a las cuentas nuevas
+ * @constant {string}
+ */
+export const DEFAULT_ROLE = 'customer';
+
+/**
+ * Permisos que pueden exigir las rutas
+ * @constant {Object<string, string>}
+ */
+export const PERMISSIONS = Object.freeze({
+  CATALOG_READ: 'catalog:read',
+  CATALOG_WRITE: 'catalog:write',
+  CATALOG_PURGE: 'catalog:purge',
+  STOCK_WRITE: 'stock:write',
+  ORDERS_READ: 'orders:read',
+  ORDERS_WRITE: 'orders:write',
+  CUSTOMERS_READ: 'customers:read',
+  CUSTOMERS_WRITE: 'customers:write',
+  USERS_MANAGE: 'users:manage',
+  API_KEYS_MANAGE: 'api-keys:manage',
+});
+
+/**
+ * Permisos de cada rol
+ * @constant {Object<string, Set<string>>}
+ * @private
+ */
+const ROLE_PERMISSIONS = Object.freeze({
+  'admin': new Set(Object.values(PERMISSIONS)),
+  'catalog-editor': new Set([PERMISSIONS.CATALOG_READ, PERMISSIONS.CATALOG_WRITE, PERMISSIONS.STOCK_WRITE]),
+  'viewer': new Set([PERMISSIONS.CATALOG_READ, PERMISSIONS.ORDERS_READ, PERMISSIONS.CUSTOMERS_READ]),
+  'customer': new Set(),
+});
+
+/**
+ * Verifica si un rol otorga un permiso
+ *
+ * @param {string} role - Rol del usuario
+ * @param {string} permission - Permiso requerido (ver PERMISSIONS)
+ * @returns {boolean} true si el rol existe y otorga el permiso
+ *
+ * @example
+ * roleHasPermission('catalog-editor', PERMISSIONS.CATALOG_WRITE); // true
+ * roleHasPermission('viewer', PERMISSIONS.CATALOG_WRITE);         // false
+ */
+export function roleHasPermission(role, permission) {
+  return ROLE_PERMISSIONS[role]?.has(permission) ?? false;
+}
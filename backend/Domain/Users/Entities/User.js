@@ -0,0 +1,125 @@
+/**
+ * Entidad de Dominio: User
+ *
+ * Representa una cuenta de usuario que se autentica con email y
+ * contraseña. La entidad solo conoce el hash de la contraseña (bcrypt);
+ * la contraseña en claro nunca sale del caso de uso que la recibe.
+ *
+ * Reglas de Negocio:
+ * - El email es obligatorio, se guarda en minúsculas y es único
+ * - El nombre es opcional (máximo 255 caracteres)
+ * - El hash de la contraseña es obligatorio y nunca se serializa
+ * - El rol es uno de ROLES (ver Role.js); las cuentas nuevas son customer
+ *
+ * @class User
+ * @author Backend Team
+ */
+
+import { isEmail, normalizeEmail } from '../../Customers/Entities/Customer.js';
+import { DEFAULT_ROLE, ROLES } from './Role.js';
+
+export class User {
+
+  /**
+   * Constructor de la entidad User
+   *
+   * @param {Object} userData - Datos del usuario
+   * @param {string|null} [userData.id] - Identificador único (UUID)
+   * @param {string} userData.email - Email con el que inicia sesión
+   * @param {string|null} [userData.name] - Nombre para mostrar
+   * @param {string} userData.passwordHash - Hash bcrypt de la contraseña
+   * @param {string} [userData.role='customer'] - Rol (admin, catalog-editor, viewer, customer)
+   * @param {Date|null} [userData.createdAt] - Fecha de alta (la asigna la persistencia)
+   * @param {Date|null} [userData.updatedAt] - Fecha de última modificación
+   *
+   * @throws {Error} Si algún dato requerido está ausente o es inválido
+   *
+   * @example
+   * const user = new User({ email: 'ana@correo.com', passwordHash: await passwordHasher.hash(password) });
+   */
+  constructor({ id = null, email, name = null, passwordHash, role = DEFAULT_ROLE, createdAt = null, updatedAt = null }) {
+
+    // === VALIDACIONES DE REGLAS DE NEGOCIO ===
+
+    if (!isEmail(email)) {
+      throw new Error('User: El email es requerido, debe tener un formato válido y no exceder 255 caracteres');
+    }
+
+    if (name !== null && (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 255)) {
+      throw new Error('User: El nombre debe tener entre 1 y 255 caracteres o ser null');
+    }
+
+    if (typeof passwordHash !== 'string' || passwordHash.length === 0) {
+      throw new Error('User: El hash de la contraseña es requerido');
+    }
+
+    if (!ROLES.includes(role)) {
+      throw new Error(`User: El rol debe ser uno de: ${ROLES.join(', ')}`);
+    }
+
+    // === ASIGNACIÓN DE PROPIEDADES ===
+
+    /**
+     * Identificador único del usuario
+     * @type {string|null}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Email en minúsculas
+     * @type {string}
+     * @readonly
+     */
+    this.email = normalizeEmail(email);
+
+    /**
+     * Nombre para mostrar
+     * @type {string|null}
+     * @readonly
+     */
+    this.name = name === null ? null : name.trim();
+
+    /**
+     * Hash bcrypt de la contraseña
+     * @type {string}
+     * @readonly
+     */
+    this.passwordHash = passwordHash;
+
+    /**
+     * Rol del usuario (determina sus permisos)
+     * @type {string}
+     * @readonly
+     */
+    this.role = role;
+
+    /**
+     * Fechas de alta y última modificación
+     * @type {Date|null}
+     * @readonly
+     */
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Convierte la entidad a un objeto plano para serialización
+   *
+   * El hash de la contraseña no se expone.
+   *
+   * @returns {Object} Objeto plano con las propiedades públicas del usuario
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      email: this.email,
+      name: this.name,
+      role: this.role,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
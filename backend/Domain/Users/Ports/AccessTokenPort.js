@@ -0,0 +1,11 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * Emisión y verificación de access tokens firmados.
+ *
+ * @typedef {import('../Entities/User.js').User} User
+ * @interface AccessTokenPort
+ * issue(user: User): { token: string, jti: string, expiresAt: Date }
+ * verify(token: string): { userId: string, email: string, role: string, jti: string, expiresAt: Date }|null
+ *   // null si la firma no es válida, el token venció o no tiene el formato esperado
+ */
+export const AccessTokenPort = {}; // marcador, contrato por documentación
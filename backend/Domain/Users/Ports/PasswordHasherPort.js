@@ -0,0 +1,9 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * Hash de contraseñas.
+ *
+ * @interface PasswordHasherPort
+ * hash(password: string): Promise<string>
+ * verify(password: string, passwordHash: string): Promise<boolean>
+ */
+export const PasswordHasherPort = {}; // marcador, contrato por documentación
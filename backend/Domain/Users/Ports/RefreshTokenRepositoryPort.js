@@ -0,0 +1,12 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * Refresh tokens emitidos, identificados por el hash del token.
+ *
+ * @typedef {import('../Entities/RefreshToken.js').RefreshToken} RefreshToken
+ * @interface RefreshTokenRepositoryPort
+ * create(token: RefreshToken, tx?): Promise<RefreshToken>
+ * findByHash(tokenHash: string, tx?, options?: { lock?: boolean }): Promise<RefreshToken|null>
+ * revoke(id: string, tx?, options?: { replacedById?: string }): Promise<void>
+ * revokeFamily(familyId: string, tx?): Promise<number>     // revoca los tokens activos de la familia
+ */
+export const RefreshTokenRepositoryPort = {}; // marcador, contrato por documentación
@@ -0,0 +1,12 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * Lista de revocación de access tokens (por jti). Un access token revocado
+ * se rechaza aunque su firma y vigencia sean válidas; la entrada deja de
+ * hacer falta cuando el token vence.
+ *
+ * @interface RevokedTokenRepositoryPort
+ * add(entry: { jti: string, expiresAt: Date }, tx?): Promise<void>   // idempotente
+ * isRevoked(jti: string, tx?): Promise<boolean>
+ * purgeExpired(now: Date, tx?): Promise<number>
+ */
+export const RevokedTokenRepositoryPort = {}; // marcador, contrato por documentación
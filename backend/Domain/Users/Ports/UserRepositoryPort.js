@@ -0,0 +1,10 @@
+// P U E R T O  (contrato que la Infra debe cumplir)
+/**
+ * @typedef {import('../Entities/User.js').User} User
+ * @interface UserRepositoryPort
+ * create(user: User, tx?): Promise<User>
+ * findById(id: string, tx?): Promise<User|null>
+ * findByEmail(email: string, tx?): Promise<User|null>     // sin distinguir mayúsculas
+ * updateRole(id: string, role: string, tx?): Promise<User|null>
+ */
+export const UserRepositoryPort = {}; // marcador, contrato por documentación
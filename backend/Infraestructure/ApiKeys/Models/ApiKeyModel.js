@@ -0,0 +1,157 @@
+/**
+ * Modelo de Datos: ApiKeyModel
+ *
+ * Define la estructura de la tabla 'api_keys' en PostgreSQL. Cada fila es
+ * una credencial de integración; la key en claro no se guarda, solo su
+ * hash SHA-256 y un prefijo visible.
+ *
+ * Relaciones (ver associate):
+ * - createdBy: usuario que la creó (belongsTo, ON DELETE SET NULL: la key
+ *   sobrevive a la cuenta de quien la creó)
+ *
+ * @module ApiKeyModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+import { API_KEY_SCOPES } from "../../../Domain/ApiKeys/Entities/ApiKey.js";
+
+/**
+ * Construye y configura el modelo de ApiKey para Sequelize
+ *
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la entidad ApiKey
+ *
+ * @example
+ * const ApiKeyModel = buildApiKeyModel(sequelize);
+ */
+export function buildApiKeyModel(sequelize) {
+
+  const ApiKeyModel = sequelize.define('ApiKey', {
+
+    /**
+     * Identificador único de la key (UUID v4)
+     */
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Identificador único de la API key (UUID v4)'
+    },
+
+    /**
+     * Nombre descriptivo
+     */
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: { msg: 'El nombre no puede estar vacío' },
+        len: { args: [1, 100], msg: 'El nombre debe tener entre 1 y 100 caracteres' }
+      },
+      comment: 'Nombre descriptivo de la integración'
+    },
+
+    /**
+     * Prefijo visible
+     */
+    prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      comment: 'Inicio de la key en claro, para reconocerla en el listado'
+    },
+
+    /**
+     * Hash de la key
+     */
+    keyHash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false,
+      unique: {
+        name: 'api_keys_hash_unique',
+        msg: 'El hash de la API key ya existe'
+      },
+      comment: 'SHA-256 de la key en hexadecimal'
+    },
+
+    /**
+     * Scopes otorgados
+     */
+    scopes: {
+      type: DataTypes.ARRAY(DataTypes.STRING(30)),
+      allowNull: false,
+      validate: {
+        validScopes(value) {
+          if (!Array.isArray(value) || value.length === 0 || value.some(scope => !API_KEY_SCOPES.includes(scope))) {
+            throw new Error(`Los scopes deben ser de: ${API_KEY_SCOPES.join(', ')}`);
+          }
+        }
+      },
+      comment: 'Scopes otorgados (read:products, write:products, write:stock)'
+    },
+
+    /**
+     * Vencimiento
+     */
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha de vencimiento; NULL si no vence'
+    },
+
+    /**
+     * Último uso
+     */
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Último uso registrado (con resolución de un minuto)'
+    },
+
+    /**
+     * Revocación
+     */
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha de revocación; NULL mientras la key esté vigente'
+    },
+
+    /**
+     * Usuario que la creó
+     */
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Usuario que creó la key'
+    },
+
+  }, {
+
+    tableName: 'api_keys',
+
+    timestamps: true,
+
+    updatedAt: false,
+
+    comment: 'API keys de integraciones máquina a máquina'
+  });
+
+  /**
+   * Registra las relaciones del modelo
+   *
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   *
+   * @static
+   */
+  ApiKeyModel.associate = function(models) {
+    this.belongsTo(models.User, {
+      as: 'createdBy',
+      foreignKey: 'createdById',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+  };
+
+  return ApiKeyModel;
+}
@@ -0,0 +1,188 @@
+/**
+ * Repositorio de API Keys - Implementación con Sequelize
+ *
+ * Adaptador entre la entidad de dominio ApiKey y la tabla 'api_keys'. Las
+ * keys se buscan por su hash: la key en claro nunca llega a la base.
+ *
+ * @class SequelizeApiKeyRepository
+ * @implements {ApiKeyRepositoryPort}
+ * @author Backend Team
+ */
+
+import { ApiKey } from "../../../Domain/ApiKeys/Entities/ApiKey.js";
+
+export class SequelizeApiKeyRepository {
+
+  /**
+   * Constructor del repositorio
+   *
+   * @param {Model} ApiKeyModel - Modelo de Sequelize para la entidad ApiKey
+   */
+  constructor(ApiKeyModel) {
+    /**
+     * Modelo de Sequelize para operaciones de base de datos
+     * @type {Model}
+     * @private
+     */
+    this.ApiKeyModel = ApiKeyModel;
+  }
+
+  /**
+   * Convierte un registro de base de datos a entidad de dominio
+   *
+   * @param {Object|null} row - Registro de Sequelize o null
+   * @returns {ApiKey|null} Entidad de dominio o null si no existe
+   *
+   * @private
+   */
+  #toDomain(row) {
+    if (!row) return null;
+
+    try {
+      return new ApiKey({
+        id: row.id,
+        name: row.name,
+        prefix: row.prefix,
+        keyHash: row.keyHash,
+        scopes: row.scopes,
+        expiresAt: row.expiresAt ?? null,
+        lastUsedAt: row.lastUsedAt ?? null,
+        revokedAt: row.revokedAt ?? null,
+        createdById: row.createdById ?? null,
+        createdAt: row.createdAt ?? null,
+      });
+    } catch (error) {
+      throw new Error(`Error de mapeo de datos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Registra una API key
+   *
+   * @param {ApiKey} apiKeyEntity - Entidad de dominio a persistir
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<ApiKey>} Entidad persistida con ID asignado
+   */
+  async create(apiKeyEntity, transaction) {
+    try {
+      const row = await this.ApiKeyModel.create({
+        name: apiKeyEntity.name,
+        prefix: apiKeyEntity.prefix,
+        keyHash: apiKeyEntity.keyHash,
+        scopes: apiKeyEntity.scopes,
+        expiresAt: apiKeyEntity.expiresAt,
+        createdById: apiKeyEntity.createdById,
+      }, {
+        transaction,
+        returning: true,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error registrando API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene todas las API keys, incluidas las revocadas y vencidas
+   *
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<ApiKey[]>} Keys, las más recientes primero
+   */
+  async findAll(transaction) {
+    try {
+      const rows = await this.ApiKeyModel.findAll({
+        order: [['createdAt', 'DESC'], ['id', 'ASC']],
+        transaction,
+      });
+
+      return rows.map(row => this.#toDomain(row));
+
+    } catch (error) {
+      throw new Error(`Error listando API keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca una API key por su identificador
+   *
+   * @param {string} id - Identificador (UUID)
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<ApiKey|null>} Entidad encontrada o null
+   */
+  async findById(id, transaction) {
+    try {
+      const row = await this.ApiKeyModel.findByPk(id, { transaction });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando API key por id: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca una API key por su hash
+   *
+   * @param {string} keyHash - SHA-256 de la key en hexadecimal
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<ApiKey|null>} Entidad encontrada o null
+   */
+  async findByHash(keyHash, transaction) {
+    try {
+      const row = await this.ApiKeyModel.findOne({
+        where: { keyHash },
+        transaction,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoca una API key
+   *
+   * Revocar una key ya revocada conserva la fecha original.
+   *
+   * @param {string} id - Identificador de la key
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<ApiKey|null>} Entidad revocada o null si no existe
+   */
+  async revoke(id, transaction) {
+    try {
+      await this.ApiKeyModel.update(
+        { revokedAt: new Date() },
+        { where: { id, revokedAt: null }, transaction }
+      );
+
+      return this.findById(id, transaction);
+
+    } catch (error) {
+      throw new Error(`Error revocando API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra el último uso de una API key
+   *
+   * @param {string} id - Identificador de la key
+   * @param {Date} usedAt - Momento del uso
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<void>}
+   */
+  async touchLastUsed(id, usedAt, transaction) {
+    try {
+      await this.ApiKeyModel.update(
+        { lastUsedAt: usedAt },
+        { where: { id }, transaction }
+      );
+
+    } catch (error) {
+      throw new Error(`Error registrando uso de API key: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Hash de Contraseñas con bcrypt
+ *
+ * Implementa PasswordHasherPort. El costo (SALT_ROUNDS) sale de la
+ * configuración: cada punto duplica el tiempo de cálculo.
+ *
+ * @class BcryptPasswordHasher
+ * @implements {PasswordHasherPort}
+ * @author Backend Team
+ */
+
+import bcrypt from 'bcrypt';
+
+export class BcryptPasswordHasher {
+
+  /**
+   * Constructor del adaptador
+   *
+   * @param {Object} options - Configuración
+   * @param {number} options.saltRounds - Costo de bcrypt
+   */
+  constructor({ saltRounds }) {
+    /**
+     * Costo de bcrypt
+     * @type {number}
+     * @private
+     */
+    this.saltRounds = saltRounds;
+  }
+
+  /**
+   * Calcula el hash de una contraseña
+   *
+   * @param {string} password - Contraseña en claro
+   * @returns {Promise<string>} Hash bcrypt (incluye sal y costo)
+   */
+  async hash(password) {
+    return bcrypt.hash(password, this.saltRounds);
+  }
+
+  /**
+   * Verifica una contraseña contra un hash
+   *
+   * @param {string} password - Contraseña en claro
+   * @param {string} passwordHash - Hash bcrypt guardado
+   * @returns {Promise<boolean>} true si la contraseña corresponde al hash
+   */
+  async verify(password, passwordHash) {
+    return bcrypt.compare(password, passwordHash);
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Access Tokens JWT
+ *
+ * Implementa AccessTokenPort con JSON Web Tokens firmados con HS256. Cada
+ * token lleva un jti aleatorio para poder revocarlo antes de su
+ * vencimiento (lista de revocación) y el rol del usuario, que decide sus
+ * permisos: un cambio de rol se refleja en el siguiente token emitido (al
+ * renovar la sesión).
+ *
+ * Al verificar se fija el algoritmo: un token con "alg": "none" u otro
+ * algoritmo se rechaza aunque su estructura sea válida.
+ *
+ * @class JwtAccessTokenService
+ * @implements {AccessTokenPort}
+ * @author Backend Team
+ */
+
+import { randomUUID } from 'node:crypto';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Algoritmo de firma
+ * @constant {string}
+ * @private
+ */
+const ALGORITHM = 'HS256';
+
+export class JwtAccessTokenService {
+
+  /**
+   * Constructor del adaptador
+   *
+   * @param {Object} options - Configuración
+   * @param {string} options.secret - Secreto de firma
+   * @param {number} options.ttlSeconds - Vigencia de los tokens en segundos
+   */
+  constructor({ secret, ttlSeconds }) {
+    /**
+     * Secreto de firma
+     * @type {string}
+     * @private
+     */
+    this.secret = secret;
+
+    /**
+     * Vigencia de los tokens en segundos
+     * @type {number}
+     * @private
+     */
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  /**
+   * Emite un access token para un usuario
+   *
+   * @param {User} user - Usuario autenticado
+   * @returns {{ token: string, jti: string, expiresAt: Date }} Token firmado y sus datos
+   */
+  issue(user) {
+    const jti = randomUUID();
+
+    const token = jwt.sign({ email: user.email, role: user.role }, this.secret, {
+      algorithm: ALGORITHM,
+      subject: user.id,
+      jwtid: jti,
+      expiresIn: this.ttlSeconds,
+    });
+
+    const { exp } = jwt.decode(token);
+
+    return { token, jti, expiresAt: new Date(exp * 1000) };
+  }
+
+  /**
+   * Verifica un access token
+   *
+   * @param {string} token - Token presentado por el cliente
+   * @returns {{ userId: string, email: string, role: string, jti: string, expiresAt: Date }|null}
+   *   Datos del token, o null si la firma no es válida, venció o le faltan claims
+   */
+  verify(token) {
+    try {
+      const payload = jwt.verify(token, this.secret, { algorithms: [ALGORITHM] });
+
+      if (typeof payload.sub !== 'string' || typeof payload.jti !== 'string') return null;
+
+      return {
+        userId: payload.sub,
+        email: payload.email,
+        role: payload.role,
+        jti: payload.jti,
+        expiresAt: new Date(payload.exp * 1000),
+      };
+
+    } catch {
+      // Firma inválida, token vencido o mal formado
+      return null;
+    }
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Modelo de Datos: BrandModel
+ * 
+ * Define la estructura de la tabla 'brands' en PostgreSQL usando Sequelize ORM.
+ * 
+ * Relaciones (ver associate):
+ * - products: productos de la marca (hasMany)
+ * 
+ * @module BrandModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+
+/**
+ * Construye y configura el modelo de Brand para Sequelize
+ * 
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la entidad Brand
+ * 
+ * @example
+ * const BrandModel = buildBrandModel(sequelize);
+ * await BrandModel.create({ name: 'Samy' });
+ */
+export function buildBrandModel(sequelize) {
+
+  const BrandModel = sequelize.define('Brand', {
+
+    /**
+     * Identificador único de la marca (UUID v4)
+     */
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Identificador único de la marca (UUID v4)'
+    },
+
+    /**
+     * Nombre único de la marca
+     */
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: {
+        name: 'brands_name_unique',
+        msg: 'Ya existe una marca con este nombre'
+      },
+      validate: {
+        notEmpty: {
+          msg: 'El nombre de la marca no puede estar vacío'
+        },
+        len: {
+          args: [1, 100],
+          msg: 'El nombre debe tener entre 1 y 100 caracteres'
+        }
+      },
+      comment: 'Nombre único de la marca'
+    },
+
+  }, {
+
+    tableName: 'brands',
+
+    timestamps: true,
+
+    comment: 'Marcas del catálogo'
+  });
+
+  /**
+   * Registra las relaciones del modelo
+   * 
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   * 
+   * @static
+   */
+  BrandModel.associate = function(models) {
+    this.hasMany(models.Product, {
+      as: 'products',
+      foreignKey: 'brandId',
+      onDelete: 'RESTRICT'
+    });
+  };
+
+  return BrandModel;
+}
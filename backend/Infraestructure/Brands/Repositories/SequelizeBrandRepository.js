@@ -0,0 +1,187 @@
+/**
+ * Repositorio de Marcas - Implementación con Sequelize
+ * 
+ * Adaptador entre la entidad de dominio Brand y la tabla 'brands'.
+ * 
+ * @class SequelizeBrandRepository
+ * @implements {BrandRepositoryPort}
+ * @author Backend Team
+ */
+
+import { Brand } from "../../../Domain/Brands/Entities/Brand.js";
+
+export class SequelizeBrandRepository {
+
+  /**
+   * Constructor del repositorio
+   * 
+   * @param {Model} BrandModel - Modelo de Sequelize para la entidad Brand
+   */
+  constructor(BrandModel) {
+    /**
+     * Modelo de Sequelize para operaciones de base de datos
+     * @type {Model}
+     * @private
+     */
+    this.BrandModel = BrandModel;
+  }
+
+  /**
+   * Convierte un registro de base de datos a entidad de dominio
+   * 
+   * @param {Object|null} row - Registro de Sequelize o null
+   * @returns {Brand|null} Entidad de dominio o null si no existe
+   * 
+   * @private
+   */
+  #toDomain(row) {
+    if (!row) return null;
+
+    try {
+      return new Brand({
+        id: row.id,
+        name: row.name,
+      });
+    } catch (error) {
+      throw new Error(`Error de mapeo de datos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Crea una nueva marca
+   * 
+   * @param {Brand} brandEntity - Entidad de dominio a persistir
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Brand>} Entidad persistida con ID asignado
+   */
+  async create(brandEntity, transaction) {
+    try {
+      const row = await this.BrandModel.create({
+        name: brandEntity.name,
+      }, {
+        transaction,
+        returning: true,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error(`Ya existe una marca con el nombre "${brandEntity.name}"`);
+      }
+
+      throw new Error(`Error creando marca: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene todas las marcas ordenadas por nombre
+   * 
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Brand[]>} Marcas registradas
+   */
+  async getAll(transaction) {
+    try {
+      const rows = await this.BrandModel.findAll({
+        order: [['name', 'ASC']],
+        transaction,
+      });
+
+      return rows.map(row => this.#toDomain(row));
+
+    } catch (error) {
+      throw new Error(`Error obteniendo marcas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca una marca por su identificador
+   * 
+   * @param {string} id - Identificador (UUID)
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Brand|null>} Entidad encontrada o null
+   */
+  async findById(id, transaction) {
+    try {
+      const row = await this.BrandModel.findByPk(id, { transaction });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando marca por id: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca una marca por su nombre exacto
+   * 
+   * @param {string} name - Nombre de la marca
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Brand|null>} Entidad encontrada o null
+   */
+  async findByName(name, transaction) {
+    try {
+      const row = await this.BrandModel.findOne({
+        where: { name: name.trim() },
+        transaction,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando marca por nombre: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza el nombre de una marca
+   * 
+   * @param {Brand} brandEntity - Entidad con los nuevos valores
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Brand|null>} Entidad actualizada o null si no existe
+   */
+  async update(brandEntity, transaction) {
+    try {
+      const row = await this.BrandModel.findByPk(brandEntity.id, {
+        transaction,
+        lock: transaction ? transaction.LOCK.UPDATE : undefined,
+      });
+
+      if (!row) return null;
+
+      row.set({ name: brandEntity.name });
+
+      await row.save({ transaction });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error(`Ya existe una marca con el nombre "${brandEntity.name}"`);
+      }
+
+      throw new Error(`Error actualizando marca: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina una marca
+   * 
+   * @param {string} id - Identificador de la marca
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<boolean>} true si se eliminó, false si no existía
+   */
+  async delete(id, transaction) {
+    try {
+      const deleted = await this.BrandModel.destroy({
+        where: { id },
+        transaction,
+      });
+
+      return deleted > 0;
+
+    } catch (error) {
+      throw new Error(`Error eliminando marca: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Modelo de Datos: CartItemModel
+ *
+ * Define la estructura de la tabla 'cart_items' en PostgreSQL. Cada fila
+ * es una línea de un carrito; el precio no se guarda porque se toma del
+ * catálogo vigente al leer el carrito.
+ *
+ * Relaciones (ver associate):
+ * - cart: carrito al que pertenece (belongsTo, ON DELETE CASCADE)
+ * - product: producto de la línea (belongsTo, ON DELETE CASCADE: la purga
+ *   de un producto lo quita de los carritos)
+ * - variant: variante de la línea (belongsTo, ON DELETE CASCADE)
+ *
+ * @module CartItemModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+
+/**
+ * Construye y configura el modelo de CartItem para Sequelize
+ *
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la entidad CartItem
+ *
+ * @example
+ * const CartItemModel = buildCartItemModel(sequelize);
+ */
+export function buildCartItemModel(sequelize) {
+
+  const CartItemModel = sequelize.define('CartItem', {
+
+    /**
+     * Identificador único de la línea (UUID v4)
+     */
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Identificador único de la línea (UUID v4)'
+    },
+
+    /**
+     * Carrito al que pertenece
+     */
+    cartId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Carrito al que pertenece la línea'
+    },
+
+    /**
+     * Producto de la línea
+     */
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Producto de la línea'
+    },
+
+    /**
+     * Variante de la línea
+     */
+    variantId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Variante de la línea; NULL si el producto no tiene variantes'
+    },
+
+    /**
+     * Unidades
+     */
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: {
+          args: [1],
+          msg: 'La cantidad debe ser mayor a 0'
+        }
+      },
+      comment: 'Unidades de la línea'
+    },
+
+  }, {
+
+    tableName: 'cart_items',
+
+    timestamps: true,
+
+    indexes: [
+      {
+        // Líneas de un carrito en orden de alta
+        fields: ['cartId', 'createdAt'],
+        name: 'cart_items_cart_created_idx'
+      }
+    ],
+
+    comment: 'Líneas de los carritos de compras'
+  });
+
+  /**
+   * Registra las relaciones del modelo
+   *
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   *
+   * @static
+   */
+  CartItemModel.associate = function(models) {
+    this.belongsTo(models.Cart, {
+      as: 'cart',
+      foreignKey: 'cartId',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+
+    this.belongsTo(models.Product, {
+      as: 'product',
+      foreignKey: 'productId',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+
+    this.belongsTo(models.ProductVariant, {
+      as: 'variant',
+      foreignKey: 'variantId',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+  };
+
+  return CartItemModel;
+}
@@ -0,0 +1,114 @@
+/**
+ * Modelo de Datos: CartModel
+ *
+ * Define la estructura de la tabla 'carts' en PostgreSQL. Un carrito
+ * anónimo se identifica con un token cuyo hash SHA-256 se guarda en
+ * tokenHash; el token en claro solo lo conoce el cliente. Al iniciar
+ * sesión, el carrito pasa a tener dueño (userId).
+ *
+ * Relaciones (ver associate):
+ * - items: líneas del carrito (hasMany, ON DELETE CASCADE)
+ * - user: usuario dueño (belongsTo, ON DELETE SET NULL)
+ *
+ * @module CartModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+import { CART_STATUSES } from "../../../Domain/Carts/Entities/Cart.js";
+
+/**
+ * Construye y configura el modelo de Cart para Sequelize
+ *
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la entidad Cart
+ *
+ * @example
+ * const CartModel = buildCartModel(sequelize);
+ */
+export function buildCartModel(sequelize) {
+
+  const CartModel = sequelize.define('Cart', {
+
+    /**
+     * Identificador único del carrito (UUID v4)
+     */
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Identificador único del carrito (UUID v4)'
+    },
+
+    /**
+     * Hash del token de acceso
+     */
+    tokenHash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false,
+      unique: true,
+      comment: 'Hash SHA-256 (hex) del token de acceso del carrito'
+    },
+
+    /**
+     * Usuario dueño
+     */
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Usuario dueño del carrito; NULL si es anónimo'
+    },
+
+    /**
+     * Estado del carrito
+     */
+    status: {
+      type: DataTypes.ENUM(...CART_STATUSES),
+      allowNull: false,
+      defaultValue: 'active',
+      comment: 'Estado (active, merged, ordered)'
+    },
+
+  }, {
+
+    tableName: 'carts',
+
+    timestamps: true,
+
+    indexes: [
+      {
+        // Carrito activo de un usuario (inicio de sesión)
+        fields: ['userId'],
+        name: 'carts_user_active_idx',
+        where: { status: 'active' }
+      }
+    ],
+
+    comment: 'Carritos de compras'
+  });
+
+  /**
+   * Registra las relaciones del modelo
+   *
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   *
+   * @static
+   */
+  CartModel.associate = function(models) {
+    this.hasMany(models.CartItem, {
+      as: 'items',
+      foreignKey: 'cartId',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+
+    this.belongsTo(models.User, {
+      as: 'user',
+      foreignKey: 'userId',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+  };
+
+  return CartModel;
+}
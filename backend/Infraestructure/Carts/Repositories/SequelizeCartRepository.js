@@ -0,0 +1,314 @@
+/**
+ * Repositorio de Carritos - Implementación con Sequelize
+ *
+ * Adaptador entre las entidades Cart / CartItem y las tablas 'carts' y
+ * 'cart_items'. El carrito y sus líneas se leen en consultas separadas:
+ * PostgreSQL no admite FOR UPDATE sobre el lado opcional de un LEFT JOIN,
+ * y el bloqueo solo necesita la fila del carrito.
+ *
+ * Cada cambio en las líneas actualiza updatedAt del carrito, de modo que
+ * esa fecha refleja la última actividad.
+ *
+ * @class SequelizeCartRepository
+ * @implements {CartRepositoryPort}
+ * @author Backend Team
+ */
+
+import { Cart } from "../../../Domain/Carts/Entities/Cart.js";
+import { CartItem } from "../../../Domain/Carts/Entities/CartItem.js";
+
+export class SequelizeCartRepository {
+
+  /**
+   * Constructor del repositorio
+   *
+   * @param {Model} CartModel - Modelo de Sequelize para la entidad Cart
+   * @param {Model} CartItemModel - Modelo de Sequelize para la entidad CartItem
+   */
+  constructor(CartModel, CartItemModel) {
+    /**
+     * Modelos de Sequelize para operaciones de base de datos
+     * @type {Model}
+     * @private
+     */
+    this.CartModel = CartModel;
+    this.CartItemModel = CartItemModel;
+  }
+
+  /**
+   * Convierte un registro de línea a entidad de dominio
+   *
+   * @param {Object|null} row - Registro de Sequelize o null
+   * @returns {CartItem|null} Entidad de dominio o null si no existe
+   *
+   * @private
+   */
+  #toItem(row) {
+    if (!row) return null;
+
+    try {
+      return new CartItem({
+        id: row.id,
+        productId: row.productId,
+        variantId: row.variantId ?? null,
+        quantity: row.quantity,
+      });
+    } catch (error) {
+      throw new Error(`Error de mapeo de datos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Convierte un registro de carrito y sus líneas a entidad de dominio
+   *
+   * @param {Object|null} row - Registro de Sequelize o null
+   * @param {Object[]} [itemRows=[]] - Registros de las líneas
+   * @returns {Cart|null} Entidad de dominio o null si no existe
+   *
+   * @private
+   */
+  #toDomain(row, itemRows = []) {
+    if (!row) return null;
+
+    try {
+      return new Cart({
+        id: row.id,
+        tokenHash: row.tokenHash,
+        userId: row.userId ?? null,
+        status: row.status,
+        items: itemRows.map(itemRow => this.#toItem(itemRow)),
+        createdAt: row.createdAt ?? null,
+        updatedAt: row.updatedAt ?? null,
+      });
+    } catch (error) {
+      throw new Error(`Error de mapeo de datos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Registra actividad en el carrito (updatedAt)
+   *
+   * @param {string} cartId - Identificador del carrito
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<void>}
+   *
+   * @private
+   */
+  async #touch(cartId, transaction) {
+    await this.CartModel.update({ updatedAt: new Date() }, {
+      where: { id: cartId },
+      transaction,
+    });
+  }
+
+  /**
+   * Crea un carrito vacío
+   *
+   * @param {Cart} cartEntity - Entidad de dominio a persistir
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Cart>} Carrito persistido con ID asignado
+   */
+  async create(cartEntity, transaction) {
+    try {
+      const row = await this.CartModel.create({
+        tokenHash: cartEntity.tokenHash,
+        userId: cartEntity.userId,
+        status: cartEntity.status,
+      }, {
+        transaction,
+        returning: true,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error creando carrito: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca un carrito con sus líneas
+   *
+   * @param {string} id - Identificador del carrito
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @param {Object} [options] - Opciones de consulta
+   * @param {boolean} [options.lock=false] - Bloquear la fila del carrito hasta el fin de la transacción
+   * @returns {Promise<Cart|null>} Entidad encontrada o null
+   */
+  async findById(id, transaction, { lock = false } = {}) {
+    try {
+      const row = await this.CartModel.findByPk(id, {
+        transaction,
+        lock: lock && transaction ? transaction.LOCK.UPDATE : undefined,
+      });
+
+      if (!row) return null;
+
+      const itemRows = await this.CartItemModel.findAll({
+        where: { cartId: id },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']],
+        transaction,
+      });
+
+      return this.#toDomain(row, itemRows);
+
+    } catch (error) {
+      throw new Error(`Error buscando carrito por id: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca el carrito activo de un usuario
+   *
+   * Si tiene más de uno (ej: creados con sesión en varios dispositivos),
+   * devuelve el de actividad más reciente.
+   *
+   * @param {string} userId - Usuario dueño
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Cart|null>} Carrito con sus líneas o null si no tiene
+   */
+  async findActiveByUser(userId, transaction) {
+    try {
+      const row = await this.CartModel.findOne({
+        where: { userId, status: 'active' },
+        order: [['updatedAt', 'DESC'], ['id', 'ASC']],
+        attributes: ['id'],
+        transaction,
+      });
+
+      return row ? this.findById(row.id, transaction) : null;
+
+    } catch (error) {
+      throw new Error(`Error buscando carrito del usuario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cambia el estado de un carrito
+   *
+   * @param {string} id - Identificador del carrito
+   * @param {string} status - Nuevo estado
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Cart|null>} Carrito actualizado o null si no existe
+   */
+  async updateStatus(id, status, transaction) {
+    try {
+      const [count] = await this.CartModel.update({ status }, {
+        where: { id },
+        transaction,
+      });
+
+      return count > 0 ? this.findById(id, transaction) : null;
+
+    } catch (error) {
+      throw new Error(`Error actualizando carrito: ${error.message}`);
+    }
+  }
+
+  /**
+   * Asigna el dueño de un carrito
+   *
+   * @param {string} id - Identificador del carrito
+   * @param {string} userId - Usuario dueño
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Cart|null>} Carrito actualizado o null si no existe
+   */
+  async assignOwner(id, userId, transaction) {
+    try {
+      const [count] = await this.CartModel.update({ userId }, {
+        where: { id },
+        transaction,
+      });
+
+      return count > 0 ? this.findById(id, transaction) : null;
+
+    } catch (error) {
+      throw new Error(`Error asignando dueño al carrito: ${error.message}`);
+    }
+  }
+
+  /**
+   * Agrega una línea al carrito
+   *
+   * @param {string} cartId - Identificador del carrito
+   * @param {CartItem} itemEntity - Línea a persistir
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<CartItem>} Línea persistida con ID asignado
+   */
+  async addItem(cartId, itemEntity, transaction) {
+    try {
+      const row = await this.CartItemModel.create({
+        cartId,
+        productId: itemEntity.productId,
+        variantId: itemEntity.variantId,
+        quantity: itemEntity.quantity,
+      }, {
+        transaction,
+        returning: true,
+      });
+
+      await this.#touch(cartId, transaction);
+
+      return this.#toItem(row);
+
+    } catch (error) {
+      throw new Error(`Error agregando línea al carrito: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cambia la cantidad de una línea
+   *
+   * @param {string} cartId - Identificador del carrito
+   * @param {string} itemId - Identificador de la línea
+   * @param {number} quantity - Nueva cantidad
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<CartItem|null>} Línea actualizada o null si no existe
+   */
+  async updateItemQuantity(cartId, itemId, quantity, transaction) {
+    try {
+      const row = await this.CartItemModel.findOne({
+        where: { id: itemId, cartId },
+        transaction,
+      });
+
+      if (!row) return null;
+
+      row.set({ quantity });
+      await row.save({ transaction });
+
+      await this.#touch(cartId, transaction);
+
+      return this.#toItem(row);
+
+    } catch (error) {
+      throw new Error(`Error actualizando línea del carrito: ${error.message}`);
+    }
+  }
+
+  /**
+   * Quita una línea del carrito
+   *
+   * @param {string} cartId - Identificador del carrito
+   * @param {string} itemId - Identificador de la línea
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<boolean>} true si la línea existía
+   */
+  async removeItem(cartId, itemId, transaction) {
+    try {
+      const count = await this.CartItemModel.destroy({
+        where: { id: itemId, cartId },
+        transaction,
+      });
+
+      if (count > 0) {
+        await this.#touch(cartId, transaction);
+      }
+
+      return count > 0;
+
+    } catch (error) {
+      throw new Error(`Error quitando línea del carrito: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Modelo de Datos: CategoryModel
+ * 
+ * Define la estructura de la tabla 'categories' en PostgreSQL usando Sequelize ORM.
+ * La jerarquía se modela con una auto-referencia (parentId → categories.id).
+ * 
+ * Relaciones (ver associate):
+ * - parent: categoría padre (belongsTo)
+ * - children: subcategorías (hasMany)
+ * - products: productos de la categoría (hasMany)
+ * 
+ * @module CategoryModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+
+/**
+ * Construye y configura el modelo de Category para Sequelize
+ * 
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la entidad Category
+ * 
+ * @example
+ * const CategoryModel = buildCategoryModel(sequelize);
+ * const rostro = await CategoryModel.create({ name: 'Rostro' });
+ * await CategoryModel.create({ name: 'Bases', parentId: rostro.id });
+ */
+export function buildCategoryModel(sequelize) {
+
+  const CategoryModel = sequelize.define('Category', {
+
+    /**
+     * Identificador único de la categoría (UUID v4)
+     */
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Identificador único de la categoría (UUID v4)'
+    },
+
+    /**
+     * Nombre de la categoría, único entre hermanas
+     */
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'El nombre de la categoría no puede estar vacío'
+        },
+        len: {
+          args: [1, 100],
+          msg: 'El nombre debe tener entre 1 y 100 caracteres'
+        }
+      },
+      comment: 'Nombre de la categoría'
+    },
+
+    /**
+     * Categoría padre (null para categorías raíz)
+     */
+    parentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Categoría padre; null si es raíz'
+    },
+
+  }, {
+
+    tableName: 'categories',
+
+    timestamps: true,
+
+    indexes: [
+      {
+        // Nombre único entre categorías con el mismo padre
+        unique: true,
+        fields: ['parentId', 'name'],
+        name: 'categories_parent_name_unique'
+      },
+      {
+        // Las raíces tienen parentId NULL y el índice anterior no las cubre
+        // (en PostgreSQL NULL es distinto de NULL)
+        unique: true,
+        fields: ['name'],
+        where: { parentId: null },
+        name: 'categories_root_name_unique'
+      }
+    ],
+
+    comment: 'Categorías jerárquicas del catálogo'
+  });
+
+  /**
+   * Registra las relaciones del modelo
+   * 
+   * Se invoca una vez construidos todos los modelos.
+   * 
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   * 
+   * @static
+   */
+  CategoryModel.associate = function(models) {
+    this.belongsTo(models.Category, {
+      as: 'parent',
+      foreignKey: 'parentId',
+      // No se permite borrar una categoría con subcategorías
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE'
+    });
+
+    this.hasMany(models.Category, {
+      as: 'children',
+      foreignKey: 'parentId',
+      onDelete: 'RESTRICT'
+    });
+
+    this.hasMany(models.Product, {
+      as: 'products',
+      foreignKey: 'categoryId',
+      onDelete: 'RESTRICT'
+    });
+  };
+
+  return CategoryModel;
+}
@@ -0,0 +1,249 @@
+/**
+ * Repositorio de Categorías - Implementación con Sequelize
+ * 
+ * Adaptador entre la entidad de dominio Category y la tabla 'categories'.
+ * Sigue las mismas convenciones que SequelizeProductRepository: recibe
+ * la transacción en cada operación y traduce los errores de Sequelize.
+ * 
+ * @class SequelizeCategoryRepository
+ * @implements {CategoryRepositoryPort}
+ * @author Backend Team
+ */
+
+import { QueryTypes } from "sequelize";
+import { Category } from "../../../Domain/Categories/Entities/Category.js";
+
+export class SequelizeCategoryRepository {
+
+  /**
+   * Constructor del repositorio
+   * 
+   * @param {Model} CategoryModel - Modelo de Sequelize para la entidad Category
+   */
+  constructor(CategoryModel) {
+    /**
+     * Modelo de Sequelize para operaciones de base de datos
+     * @type {Model}
+     * @private
+     */
+    this.CategoryModel = CategoryModel;
+  }
+
+  /**
+   * Convierte un registro de base de datos a entidad de dominio
+   * 
+   * @param {Object|null} row - Registro de Sequelize o null
+   * @returns {Category|null} Entidad de dominio o null si no existe
+   * 
+   * @private
+   */
+  #toDomain(row) {
+    if (!row) return null;
+
+    try {
+      return new Category({
+        id: row.id,
+        name: row.name,
+        parentId: row.parentId ?? null,
+      });
+    } catch (error) {
+      throw new Error(`Error de mapeo de datos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Crea una nueva categoría
+   * 
+   * @param {Category} categoryEntity - Entidad de dominio a persistir
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Category>} Entidad persistida con ID asignado
+   */
+  async create(categoryEntity, transaction) {
+    try {
+      const row = await this.CategoryModel.create({
+        name: categoryEntity.name,
+        parentId: categoryEntity.parentId,
+      }, {
+        transaction,
+        returning: true,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error(`Ya existe una categoría con el nombre "${categoryEntity.name}"`);
+      }
+
+      throw new Error(`Error creando categoría: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene todas las categorías ordenadas por nombre
+   * 
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Category[]>} Categorías de todos los niveles
+   */
+  async getAll(transaction) {
+    try {
+      const rows = await this.CategoryModel.findAll({
+        order: [['name', 'ASC'], ['id', 'ASC']],
+        transaction,
+      });
+
+      return rows.map(row => this.#toDomain(row));
+
+    } catch (error) {
+      throw new Error(`Error obteniendo categorías: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca una categoría por su identificador
+   * 
+   * @param {string} id - Identificador (UUID)
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Category|null>} Entidad encontrada o null
+   */
+  async findById(id, transaction) {
+    try {
+      const row = await this.CategoryModel.findByPk(id, { transaction });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando categoría por id: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca una categoría por nombre dentro de un mismo padre
+   * 
+   * @param {string} name - Nombre exacto
+   * @param {string|null} parentId - Categoría padre (null para raíces)
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Category|null>} Entidad encontrada o null
+   */
+  async findByName(name, parentId, transaction) {
+    try {
+      const row = await this.CategoryModel.findOne({
+        where: {
+          name: name.trim(),
+          parentId: parentId ?? null,
+        },
+        transaction,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando categoría por nombre: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene los ids de todas las subcategorías (a cualquier profundidad)
+   * 
+   * Usa una CTE recursiva; no incluye la categoría indicada.
+   * 
+   * @param {string} id - Categoría raíz del recorrido
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<string[]>} Ids de las descendientes
+   * 
+   * @example
+   * const ids = await repository.findDescendantIds(rostroId, transaction);
+   */
+  async findDescendantIds(id, transaction) {
+    try {
+      const rows = await this.CategoryModel.sequelize.query(
+        `WITH RECURSIVE subtree AS (
+           SELECT id FROM categories WHERE "parentId" = :id
+           UNION ALL
+           SELECT c.id FROM categories c JOIN subtree s ON c."parentId" = s.id
+         )
+         SELECT id FROM subtree`,
+        { replacements: { id }, type: QueryTypes.SELECT, transaction }
+      );
+
+      return rows.map(row => row.id);
+
+    } catch (error) {
+      throw new Error(`Error obteniendo subcategorías: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cuenta las subcategorías directas de una categoría
+   * 
+   * @param {string} id - Identificador de la categoría
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<number>} Cantidad de hijas directas
+   */
+  async countChildren(id, transaction) {
+    try {
+      return await this.CategoryModel.count({
+        where: { parentId: id },
+        transaction,
+      });
+
+    } catch (error) {
+      throw new Error(`Error contando subcategorías: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza el nombre y el padre de una categoría
+   * 
+   * @param {Category} categoryEntity - Entidad con los nuevos valores
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Category|null>} Entidad actualizada o null si no existe
+   */
+  async update(categoryEntity, transaction) {
+    try {
+      const row = await this.CategoryModel.findByPk(categoryEntity.id, {
+        transaction,
+        lock: transaction ? transaction.LOCK.UPDATE : undefined,
+      });
+
+      if (!row) return null;
+
+      row.set({
+        name: categoryEntity.name,
+        parentId: categoryEntity.parentId,
+      });
+
+      await row.save({ transaction });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error(`Ya existe una categoría con el nombre "${categoryEntity.name}"`);
+      }
+
+      throw new Error(`Error actualizando categoría: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina una categoría
+   * 
+   * @param {string} id - Identificador de la categoría
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<boolean>} true si se eliminó, false si no existía
+   */
+  async delete(id, transaction) {
+    try {
+      const deleted = await this.CategoryModel.destroy({
+        where: { id },
+        transaction,
+      });
+
+      return deleted > 0;
+
+    } catch (error) {
+      throw new Error(`Error eliminando categoría: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Modelo de Datos: CustomerAddressModel
+ *
+ * Define la estructura de la tabla 'customer_addresses' en PostgreSQL.
+ * Cada fila es una dirección de la libreta de un cliente.
+ *
+ * Relaciones (ver associate):
+ * - customer: cliente dueño de la dirección (belongsTo, ON DELETE CASCADE)
+ *
+ * @module CustomerAddressModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+
+/**
+ * Construye y configura el modelo de CustomerAddress para Sequelize
+ *
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la entidad CustomerAddress
+ *
+ * @example
+ * const CustomerAddressModel = buildCustomerAddressModel(sequelize);
+ */
+export function buildCustomerAddressModel(sequelize) {
+
+  const CustomerAddressModel = sequelize.define('CustomerAddress', {
+
+    /**
+     * Identificador único de la dirección (UUID v4)
+     */
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Identificador único de la dirección (UUID v4)'
+    },
+
+    /**
+     * Cliente dueño de la dirección
+     */
+    customerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Cliente dueño de la dirección'
+    },
+
+    /**
+     * Etiqueta libre
+     */
+    label: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Etiqueta de la dirección (ej: Casa, Oficina)'
+    },
+
+    /**
+     * Calle y número
+     */
+    line1: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Calle y número'
+    },
+
+    /**
+     * Datos complementarios
+     */
+    line2: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Apartamento, piso o referencias'
+    },
+
+    city: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Ciudad'
+    },
+
+    region: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Departamento, estado o provincia'
+    },
+
+    postalCode: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'Código postal'
+    },
+
+    /**
+     * País (ISO 3166-1 alfa-2)
+     */
+    country: {
+      type: DataTypes.CHAR(2),
+      allowNull: false,
+      comment: 'Código de país ISO 3166-1 alfa-2'
+    },
+
+    /**
+     * Dirección predeterminada
+     */
+    isDefault: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Dirección predeterminada del cliente'
+    },
+
+  }, {
+
+    tableName: 'customer_addresses',
+
+    timestamps: true,
+
+    indexes: [
+      {
+        // Libreta de un cliente en orden de alta
+        fields: ['customerId', 'createdAt'],
+        name: 'customer_addresses_customer_created_idx'
+      },
+      {
+        // A lo sumo una dirección predeterminada por cliente
+        unique: true,
+        fields: ['customerId'],
+        where: { isDefault: true },
+        name: 'customer_addresses_default_unique'
+      }
+    ],
+
+    comment: 'Libreta de direcciones de los clientes'
+  });
+
+  /**
+   * Registra las relaciones del modelo
+   *
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   *
+   * @static
+   */
+  CustomerAddressModel.associate = function(models) {
+    this.belongsTo(models.Customer, {
+      as: 'customer',
+      foreignKey: 'customerId',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+  };
+
+  return CustomerAddressModel;
+}
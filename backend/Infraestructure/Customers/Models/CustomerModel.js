@@ -0,0 +1,122 @@
+/**
+ * Modelo de Datos: CustomerModel
+ *
+ * Define la estructura de la tabla 'customers' en PostgreSQL usando Sequelize ORM.
+ *
+ * Relaciones (ver associate):
+ * - addresses: libreta de direcciones (hasMany, ON DELETE CASCADE)
+ * - orders: pedidos del cliente (hasMany, ON DELETE RESTRICT)
+ *
+ * @module CustomerModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+
+/**
+ * Construye y configura el modelo de Customer para Sequelize
+ *
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la entidad Customer
+ *
+ * @example
+ * const CustomerModel = buildCustomerModel(sequelize);
+ * await CustomerModel.create({ name: 'Ana Gómez', email: 'ana@correo.com' });
+ */
+export function buildCustomerModel(sequelize) {
+
+  const CustomerModel = sequelize.define('Customer', {
+
+    /**
+     * Identificador único del cliente (UUID v4)
+     */
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Identificador único del cliente (UUID v4)'
+    },
+
+    /**
+     * Nombre completo
+     */
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'El nombre del cliente no puede estar vacío'
+        }
+      },
+      comment: 'Nombre completo del cliente'
+    },
+
+    /**
+     * Email único, en minúsculas
+     */
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: {
+        name: 'customers_email_unique',
+        msg: 'Ya existe un cliente con este email'
+      },
+      validate: {
+        isEmail: {
+          msg: 'El email no tiene un formato válido'
+        }
+      },
+      comment: 'Email de contacto, único y en minúsculas'
+    },
+
+    /**
+     * Teléfono de contacto
+     */
+    phone: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      comment: 'Teléfono de contacto'
+    },
+
+  }, {
+
+    tableName: 'customers',
+
+    timestamps: true,
+
+    indexes: [
+      {
+        // Listado alfabético de clientes
+        fields: ['name'],
+        name: 'customers_name_idx'
+      }
+    ],
+
+    comment: 'Clientes de la tienda'
+  });
+
+  /**
+   * Registra las relaciones del modelo
+   *
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   *
+   * @static
+   */
+  CustomerModel.associate = function(models) {
+    this.hasMany(models.CustomerAddress, {
+      as: 'addresses',
+      foreignKey: 'customerId',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+
+    this.hasMany(models.Order, {
+      as: 'orders',
+      foreignKey: 'customerId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE'
+    });
+  };
+
+  return CustomerModel;
+}
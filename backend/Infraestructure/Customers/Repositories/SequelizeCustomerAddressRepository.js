@@ -0,0 +1,212 @@
+/**
+ * Repositorio de Direcciones de Cliente - Implementación con Sequelize
+ *
+ * Adaptador entre la entidad de dominio CustomerAddress y la tabla
+ * 'customer_addresses'. Todas las operaciones se acotan al cliente dueño.
+ *
+ * @class SequelizeCustomerAddressRepository
+ * @implements {CustomerAddressRepositoryPort}
+ * @author Backend Team
+ */
+
+import { CustomerAddress } from "../../../Domain/Customers/Entities/CustomerAddress.js";
+
+export class SequelizeCustomerAddressRepository {
+
+  /**
+   * Constructor del repositorio
+   *
+   * @param {Model} CustomerAddressModel - Modelo de Sequelize para la entidad CustomerAddress
+   */
+  constructor(CustomerAddressModel) {
+    /**
+     * Modelo de Sequelize para operaciones de base de datos
+     * @type {Model}
+     * @private
+     */
+    this.CustomerAddressModel = CustomerAddressModel;
+  }
+
+  /**
+   * Convierte un registro de base de datos a entidad de dominio
+   *
+   * @param {Object|null} row - Registro de Sequelize o null
+   * @returns {CustomerAddress|null} Entidad de dominio o null si no existe
+   *
+   * @private
+   */
+  #toDomain(row) {
+    if (!row) return null;
+
+    try {
+      return new CustomerAddress({
+        id: row.id,
+        customerId: row.customerId,
+        label: row.label ?? null,
+        line1: row.line1,
+        line2: row.line2 ?? null,
+        city: row.city,
+        region: row.region ?? null,
+        postalCode: row.postalCode ?? null,
+        country: row.country,
+        isDefault: row.isDefault,
+      });
+    } catch (error) {
+      throw new Error(`Error de mapeo de datos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Crea una dirección
+   *
+   * @param {CustomerAddress} addressEntity - Entidad de dominio a persistir
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<CustomerAddress>} Entidad persistida con ID asignado
+   */
+  async create(addressEntity, transaction) {
+    try {
+      const row = await this.CustomerAddressModel.create({
+        customerId: addressEntity.customerId,
+        label: addressEntity.label,
+        line1: addressEntity.line1,
+        line2: addressEntity.line2,
+        city: addressEntity.city,
+        region: addressEntity.region,
+        postalCode: addressEntity.postalCode,
+        country: addressEntity.country,
+        isDefault: addressEntity.isDefault,
+      }, {
+        transaction,
+        returning: true,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error creando dirección: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene la libreta de direcciones de un cliente
+   *
+   * @param {string} customerId - Cliente dueño
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<CustomerAddress[]>} Direcciones, la predeterminada primero
+   */
+  async findByCustomer(customerId, transaction) {
+    try {
+      const rows = await this.CustomerAddressModel.findAll({
+        where: { customerId },
+        order: [['isDefault', 'DESC'], ['createdAt', 'ASC'], ['id', 'ASC']],
+        transaction,
+      });
+
+      return rows.map(row => this.#toDomain(row));
+
+    } catch (error) {
+      throw new Error(`Error obteniendo direcciones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca una dirección de un cliente
+   *
+   * @param {string} customerId - Cliente dueño
+   * @param {string} id - Identificador de la dirección
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<CustomerAddress|null>} Entidad encontrada o null
+   */
+  async findById(customerId, id, transaction) {
+    try {
+      const row = await this.CustomerAddressModel.findOne({
+        where: { id, customerId },
+        transaction,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando dirección por id: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza los campos de una dirección (isDefault se cambia con setDefault)
+   *
+   * @param {CustomerAddress} addressEntity - Entidad con los nuevos valores
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<CustomerAddress|null>} Entidad actualizada o null si no existe
+   */
+  async update(addressEntity, transaction) {
+    try {
+      const [count] = await this.CustomerAddressModel.update({
+        label: addressEntity.label,
+        line1: addressEntity.line1,
+        line2: addressEntity.line2,
+        city: addressEntity.city,
+        region: addressEntity.region,
+        postalCode: addressEntity.postalCode,
+        country: addressEntity.country,
+      }, {
+        where: { id: addressEntity.id, customerId: addressEntity.customerId },
+        transaction,
+      });
+
+      return count > 0 ? this.findById(addressEntity.customerId, addressEntity.id, transaction) : null;
+
+    } catch (error) {
+      throw new Error(`Error actualizando dirección: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marca una dirección como predeterminada y desmarca la anterior
+   *
+   * Se desmarca primero para no violar el índice único parcial
+   * customer_addresses_default_unique.
+   *
+   * @param {string} customerId - Cliente dueño
+   * @param {string} id - Dirección que pasa a ser la predeterminada
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<void>}
+   */
+  async setDefault(customerId, id, transaction) {
+    try {
+      await this.CustomerAddressModel.update(
+        { isDefault: false },
+        { where: { customerId, isDefault: true }, transaction }
+      );
+
+      await this.CustomerAddressModel.update(
+        { isDefault: true },
+        { where: { id, customerId }, transaction }
+      );
+
+    } catch (error) {
+      throw new Error(`Error marcando dirección predeterminada: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina una dirección
+   *
+   * @param {string} customerId - Cliente dueño
+   * @param {string} id - Identificador de la dirección
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<boolean>} true si se eliminó, false si no existía
+   */
+  async delete(customerId, id, transaction) {
+    try {
+      const deleted = await this.CustomerAddressModel.destroy({
+        where: { id, customerId },
+        transaction,
+      });
+
+      return deleted > 0;
+
+    } catch (error) {
+      throw new Error(`Error eliminando dirección: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * Repositorio de Clientes - Implementación con Sequelize
+ *
+ * Adaptador entre la entidad de dominio Customer y la tabla 'customers'.
+ * El listado con estadísticas usa SQL nativo: la consulta de agregación
+ * de clientes con pedidos (LEFT JOIN + GROUP BY) descrita en SQL.md.
+ *
+ * @class SequelizeCustomerRepository
+ * @implements {CustomerRepositoryPort}
+ * @author Backend Team
+ */
+
+import { Op, QueryTypes } from "sequelize";
+import { Customer, normalizeEmail } from "../../../Domain/Customers/Entities/Customer.js";
+
+/**
+ * Escapa los comodines de LIKE en un texto de búsqueda
+ *
+ * @param {string} text - Texto recibido
+ * @returns {string} Patrón "%texto%" con %, _ y \ escapados
+ *
+ * @private
+ */
+const likePattern = (text) => `%${text.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+
+export class SequelizeCustomerRepository {
+
+  /**
+   * Constructor del repositorio
+   *
+   * @param {Model} CustomerModel - Modelo de Sequelize para la entidad Customer
+   */
+  constructor(CustomerModel) {
+    /**
+     * Modelo de Sequelize para operaciones de base de datos
+     * @type {Model}
+     * @private
+     */
+    this.CustomerModel = CustomerModel;
+  }
+
+  /**
+   * Convierte un registro de base de datos a entidad de dominio
+   *
+   * @param {Object|null} row - Registro de Sequelize (o fila de SQL nativo) o null
+   * @returns {Customer|null} Entidad de dominio o null si no existe
+   *
+   * @private
+   */
+  #toDomain(row) {
+    if (!row) return null;
+
+    try {
+      return new Customer({
+        id: row.id,
+        name: row.name,
+        email: row.email,
+        phone: row.phone ?? null,
+        createdAt: row.createdAt ?? null,
+        updatedAt: row.updatedAt ?? null,
+      });
+    } catch (error) {
+      throw new Error(`Error de mapeo de datos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Crea un nuevo cliente
+   *
+   * @param {Customer} customerEntity - Entidad de dominio a persistir
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Customer>} Entidad persistida con ID asignado
+   */
+  async create(customerEntity, transaction) {
+    try {
+      const row = await this.CustomerModel.create({
+        name: customerEntity.name,
+        email: customerEntity.email,
+        phone: customerEntity.phone,
+      }, {
+        transaction,
+        returning: true,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error(`Ya existe un cliente con el email "${customerEntity.email}"`);
+      }
+
+      throw new Error(`Error creando cliente: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca un cliente por su identificador
+   *
+   * @param {string} id - Identificador (UUID)
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @param {Object} [options] - Opciones de consulta
+   * @param {boolean} [options.lock=false] - Bloquear la fila hasta el fin de la transacción
+   * @returns {Promise<Customer|null>} Entidad encontrada o null
+   */
+  async findById(id, transaction, { lock = false } = {}) {
+    try {
+      const row = await this.CustomerModel.findByPk(id, {
+        transaction,
+        lock: lock && transaction ? transaction.LOCK.UPDATE : undefined,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando cliente por id: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca un cliente por su email (sin distinguir mayúsculas)
+   *
+   * @param {string} email - Email del cliente
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Customer|null>} Entidad encontrada o null
+   */
+  async findByEmail(email, transaction) {
+    try {
+      const row = await this.CustomerModel.findOne({
+        where: { email: normalizeEmail(email) },
+        transaction,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando cliente por email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene una página de clientes ordenada por nombre
+   *
+   * @param {Object} criteria - Criterios de consulta
+   * @param {string|null} [criteria.q] - Texto contenido en el nombre o el email
+   * @param {number} criteria.page - Página (desde 1)
+   * @param {number} criteria.limit - Tamaño de página
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<{ items: Customer[], total: number }>} Página de clientes y total
+   */
+  async findPage({ q = null, page, limit }, transaction) {
+    try {
+      const where = q
+        ? { [Op.or]: [{ name: { [Op.iLike]: likePattern(q) } }, { email: { [Op.iLike]: likePattern(q) } }] }
+        : {};
+
+      const { rows, count } = await this.CustomerModel.findAndCountAll({
+        where,
+        order: [['name', 'ASC'], ['id', 'ASC']],
+        limit,
+        offset: (page - 1) * limit,
+        transaction,
+      });
+
+      return {
+        items: rows.map(row => this.#toDomain(row)),
+        total: count,
+      };
+
+    } catch (error) {
+      throw new Error(`Error listando clientes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene una página de clientes con las estadísticas de sus pedidos
+   *
+   * LEFT JOIN para incluir a los clientes sin pedidos (orderCount = 0,
+   * lifetimeSpend = 0, lastOrderAt = null). Los pedidos cancelados no
+   * cuentan: se filtran en la condición del JOIN y no en el WHERE, que
+   * descartaría a los clientes cuyos únicos pedidos están cancelados.
+   *
+   * @param {Object} criteria - Criterios de consulta
+   * @param {string|null} [criteria.q] - Texto contenido en el nombre o el email
+   * @param {number} criteria.page - Página (desde 1)
+   * @param {number} criteria.limit - Tamaño de página
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<{ items: Array<{ customer: Customer, stats: CustomerStats }>, total: number }>}
+   *
+   * @example
+   * const { items } = await repository.findPageWithStats({ page: 1, limit: 20 }, transaction);
+   * console.log(items[0].stats); // { orderCount: 3, lifetimeSpend: 154.5, lastOrderAt: Date }
+   */
+  async findPageWithStats({ q = null, page, limit }, transaction) {
+    // Condición compartida por el conteo y la consulta paginada
+    const matchCondition = q ? 'WHERE c.name ILIKE :pattern OR c.email ILIKE :pattern' : '';
+    const pattern = q ? likePattern(q) : null;
+
+    try {
+      const [{ total }] = await this.CustomerModel.sequelize.query(
+        `SELECT count(*)::int AS total FROM customers c ${matchCondition}`,
+        { replacements: { pattern }, type: QueryTypes.SELECT, transaction }
+      );
+
+      // GROUP BY c.id basta: el resto de columnas de c dependen de la clave primaria
+      const rows = await this.CustomerModel.sequelize.query(
+        `SELECT
+           c.id, c.name, c.email, c.phone, c."createdAt", c."updatedAt",
+           count(o.id)::int AS "orderCount",
+           coalesce(sum(o.subtotal), 0) AS "lifetimeSpend",
+           max(o."createdAt") AS "lastOrderAt"
+         FROM customers c
+         LEFT JOIN orders o ON o."customerId" = c.id AND o.status <> 'cancelled'
+         ${matchCondition}
+         GROUP BY c.id
+         ORDER BY c.name ASC, c.id ASC
+         LIMIT :limit OFFSET :offset`,
+        {
+          replacements: { pattern, limit, offset: (page - 1) * limit },
+          type: QueryTypes.SELECT,
+          transaction,
+        }
+      );
+
+      return {
+        items: rows.map(row => ({
+          customer: this.#toDomain(row),
+          stats: {
+            orderCount: row.orderCount,
+            lifetimeSpend: parseFloat(row.lifetimeSpend), // Convertir NUMERIC a number
+            lastOrderAt: row.lastOrderAt ?? null,
+          },
+        })),
+        total,
+      };
+
+    } catch (error) {
+      throw new Error(`Error listando clientes con estadísticas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza los datos de un cliente
+   *
+   * @param {Customer} customerEntity - Entidad con los nuevos valores
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Customer|null>} Entidad actualizada o null si no existe
+   */
+  async update(customerEntity, transaction) {
+    try {
+      const row = await this.CustomerModel.findByPk(customerEntity.id, {
+        transaction,
+        lock: transaction ? transaction.LOCK.UPDATE : undefined,
+      });
+
+      if (!row) return null;
+
+      row.set({
+        name: customerEntity.name,
+        email: customerEntity.email,
+        phone: customerEntity.phone,
+      });
+
+      await row.save({ transaction });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error(`Ya existe un cliente con el email "${customerEntity.email}"`);
+      }
+
+      throw new Error(`Error actualizando cliente: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina un cliente (sus direcciones se eliminan en cascada)
+   *
+   * @param {string} id - Identificador del cliente
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<boolean>} true si se eliminó, false si no existía
+   */
+  async delete(id, transaction) {
+    try {
+      const deleted = await this.CustomerModel.destroy({
+        where: { id },
+        transaction,
+      });
+
+      return deleted > 0;
+
+    } catch (error) {
+      throw new Error(`Error eliminando cliente: ${error.message}`);
+    }
+  }
+}
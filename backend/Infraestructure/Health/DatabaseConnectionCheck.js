@@ -0,0 +1,46 @@
+/**
+ * Chequeo de Conexión a la Base de Datos
+ *
+ * Implementa HealthCheckPort ejecutando la misma consulta de verificación
+ * que el arranque (sequelize.authenticate): falla si la base de datos no
+ * responde o rechaza las credenciales.
+ *
+ * @class DatabaseConnectionCheck
+ * @implements {HealthCheckPort}
+ * @author Backend Team
+ */
+
+export class DatabaseConnectionCheck {
+
+  /**
+   * Constructor del chequeo
+   *
+   * @param {Sequelize} sequelize - Instancia configurada de Sequelize
+   */
+  constructor(sequelize) {
+    /**
+     * Clave del chequeo en el reporte
+     * @type {string}
+     */
+    this.name = 'database';
+
+    /**
+     * Instancia de Sequelize a verificar
+     * @type {Sequelize}
+     * @private
+     */
+    this.sequelize = sequelize;
+  }
+
+  /**
+   * Verifica la conexión
+   *
+   * @returns {Promise<{ healthy: boolean }>} healthy true si la consulta respondió
+   * @throws {Error} Si la base de datos no responde
+   */
+  async check() {
+    await this.sequelize.authenticate({ logging: false });
+
+    return { healthy: true };
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Chequeo de Saturación del Pool de Conexiones
+ *
+ * Implementa HealthCheckPort leyendo el estado del pool de Sequelize. El
+ * pool está saturado cuando todas sus conexiones están en uso y la cola
+ * de peticiones esperando una supera el máximo tolerado: una instancia
+ * así responde con latencias crecientes y conviene que el balanceador le
+ * derive menos tráfico hasta que se recupere.
+ *
+ * No usa conexiones: lee los contadores del pool en memoria.
+ *
+ * @class DatabasePoolCheck
+ * @implements {HealthCheckPort}
+ * @author Backend Team
+ */
+
+export class DatabasePoolCheck {
+
+  /**
+   * Constructor del chequeo
+   *
+   * @param {Sequelize} sequelize - Instancia configurada de Sequelize
+   * @param {Object} options - Opciones
+   * @param {number} options.maxWaiting - Peticiones en espera toleradas con el pool lleno
+   */
+  constructor(sequelize, { maxWaiting }) {
+    /**
+     * Clave del chequeo en el reporte
+     * @type {string}
+     */
+    this.name = 'pool';
+
+    /**
+     * Instancia de Sequelize cuyo pool se observa
+     * @type {Sequelize}
+     * @private
+     */
+    this.sequelize = sequelize;
+
+    /**
+     * Peticiones en espera toleradas con el pool lleno
+     * @type {number}
+     * @private
+     */
+    this.maxWaiting = maxWaiting;
+  }
+
+  /**
+   * Verifica la saturación del pool
+   *
+   * @returns {Promise<{ healthy: boolean, details: Object }>} Estado y contadores (inUse, idle, waiting, max)
+   */
+  async check() {
+    const pool = this.sequelize.connectionManager.pool;
+
+    const details = {
+      inUse: pool.using,
+      idle: pool.available,
+      waiting: pool.waiting,
+      max: pool.maxSize
+    };
+
+    const saturated = details.inUse >= details.max && details.waiting > this.maxWaiting;
+
+    return { healthy: !saturated, details };
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Chequeo de Migraciones Pendientes
+ *
+ * Implementa HealthCheckPort consultando el estado del ejecutor de
+ * migraciones: archivos del directorio de migraciones que todavía no
+ * figuran en la tabla "schema_migrations". Una instancia con migraciones
+ * pendientes corre código que espera un esquema que la base de datos
+ * todavía no tiene: no debe recibir tráfico.
+ *
+ * Las migraciones registradas sin archivo (missing) no cuentan como caída:
+ * ocurren durante un despliegue gradual, cuando una instancia nueva ya
+ * migró y esta todavía corre el código anterior.
+ *
+ * @class PendingMigrationsCheck
+ * @implements {HealthCheckPort}
+ * @author Backend Team
+ */
+
+export class PendingMigrationsCheck {
+
+  /**
+   * Constructor del chequeo
+   *
+   * @param {MigrationRunner} migrationRunner - Ejecutor de migraciones a consultar
+   */
+  constructor(migrationRunner) {
+    /**
+     * Clave del chequeo en el reporte
+     * @type {string}
+     */
+    this.name = 'migrations';
+
+    /**
+     * Ejecutor de migraciones a consultar
+     * @type {MigrationRunner}
+     * @private
+     */
+    this.migrationRunner = migrationRunner;
+  }
+
+  /**
+   * Verifica que no queden migraciones por ejecutar
+   *
+   * @returns {Promise<{ healthy: boolean, details: Object }>} Estado, cantidad aplicada y nombres pendientes
+   * @throws {Error} Si no se puede leer el directorio o consultar la tabla
+   */
+  async check() {
+    const migrations = await this.migrationRunner.status();
+
+    const applied = migrations.filter(migration => migration.status === 'applied').length;
+    const pending = migrations
+      .filter(migration => migration.status === 'pending')
+      .map(migration => migration.name);
+
+    return {
+      healthy: pending.length === 0,
+      details: { applied, pending }
+    };
+  }
+}
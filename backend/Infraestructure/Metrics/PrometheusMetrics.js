@@ -0,0 +1,206 @@
+/**
+ * Métricas en Formato Prometheus
+ *
+ * Implementa MetricsPort con prom-client sobre un registro propio (no el
+ * global de la librería), expuesto por GET /metrics. Incluye:
+ *
+ * - http_request_duration_seconds: histograma de latencia por método,
+ *   patrón de ruta y estado
+ * - app_errors_total: respuestas de error por código de AppError y estado
+ * - db_transactions_total: transacciones del Unit of Work por resultado
+ * - db_pool_connections / db_pool_max_connections: uso del pool de
+ *   Sequelize, leído en cada scrape
+ * - products_out_of_stock / products_low_stock: indicadores de inventario,
+ *   actualizados por el router de métricas en cada scrape
+ * - Las métricas por defecto del proceso (CPU, memoria, event loop, GC)
+ *
+ * Las etiquetas son de cardinalidad acotada: rutas como patrones
+ * (/api/products/:id), nunca URLs con ids.
+ *
+ * @class PrometheusMetrics
+ * @implements {MetricsPort}
+ * @author Backend Team
+ */
+
+import { Counter, Gauge, Histogram, Registry, collectDefaultMetrics } from 'prom-client';
+
+/**
+ * Límites de los buckets de latencia, en segundos (5 ms a 10 s)
+ * @constant {number[]}
+ * @private
+ */
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export class PrometheusMetrics {
+
+  /**
+   * Constructor del registro de métricas
+   *
+   * @param {Object} options - Opciones
+   * @param {Sequelize} options.sequelize - Instancia de Sequelize cuyo pool se observa
+   */
+  constructor({ sequelize }) {
+    /**
+     * Registro con todas las métricas del servicio
+     * @type {Registry}
+     * @private
+     */
+    this.registry = new Registry();
+
+    collectDefaultMetrics({ register: this.registry });
+
+    const registers = [this.registry];
+
+    /**
+     * Latencia de las peticiones HTTP
+     * @type {Histogram}
+     * @private
+     */
+    this.httpRequestDuration = new Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'Duración de las peticiones HTTP en segundos',
+      labelNames: ['method', 'route', 'status'],
+      buckets: LATENCY_BUCKETS,
+      registers
+    });
+
+    /**
+     * Respuestas de error por código
+     * @type {Counter}
+     * @private
+     */
+    this.appErrors = new Counter({
+      name: 'app_errors_total',
+      help: 'Respuestas de error por código de AppError y estado HTTP',
+      labelNames: ['code', 'status'],
+      registers
+    });
+
+    /**
+     * Transacciones terminadas del Unit of Work
+     * @type {Counter}
+     * @private
+     */
+    this.dbTransactions = new Counter({
+      name: 'db_transactions_total',
+      help: 'Transacciones del Unit of Work por resultado (commit, rollback, rollback_failed)',
+      labelNames: ['outcome'],
+      registers
+    });
+
+    // El pool solo existe con una conexión configurada; se consulta en cada
+    // scrape para reportar el estado del momento
+    const getPool = () => sequelize.connectionManager?.pool;
+
+    new Gauge({
+      name: 'db_pool_connections',
+      help: 'Conexiones del pool de la base de datos por estado (in_use, idle, waiting = peticiones esperando conexión)',
+      labelNames: ['state'],
+      registers,
+      collect() {
+        const pool = getPool();
+        if (!pool) return;
+
+        this.set({ state: 'in_use' }, pool.using);
+        this.set({ state: 'idle' }, pool.available);
+        this.set({ state: 'waiting' }, pool.waiting);
+      }
+    });
+
+    new Gauge({
+      name: 'db_pool_max_connections',
+      help: 'Tamaño máximo configurado del pool de la base de datos',
+      registers,
+      collect() {
+        const pool = getPool();
+        if (!pool) return;
+
+        this.set(pool.maxSize);
+      }
+    });
+
+    /**
+     * Productos activos agotados
+     * @type {Gauge}
+     * @private
+     */
+    this.productsOutOfStock = new Gauge({
+      name: 'products_out_of_stock',
+      help: 'Productos activos sin stock',
+      registers
+    });
+
+    /**
+     * Productos activos con stock bajo
+     * @type {Gauge}
+     * @private
+     */
+    this.productsLowStock = new Gauge({
+      name: 'products_low_stock',
+      help: 'Productos activos con stock igual o menor al umbral METRICS_LOW_STOCK_THRESHOLD (incluye los agotados)',
+      registers
+    });
+  }
+
+  /**
+   * Content-Type de la exposición de Prometheus
+   * @type {string}
+   */
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  /**
+   * Registra la duración de una petición HTTP
+   *
+   * @param {Object} request - Datos de la petición
+   * @param {string} request.method - Método HTTP
+   * @param {string} request.route - Patrón de la ruta (ej: /api/products/:id)
+   * @param {number} request.status - Estado de la respuesta
+   * @param {number} request.durationSeconds - Duración en segundos
+   */
+  observeRequest({ method, route, status, durationSeconds }) {
+    this.httpRequestDuration.observe({ method, route, status }, durationSeconds);
+  }
+
+  /**
+   * Cuenta una respuesta de error
+   *
+   * @param {Object} error - Datos del error
+   * @param {string} error.code - Código de AppError (ej: NOT_FOUND)
+   * @param {number} error.status - Estado de la respuesta
+   */
+  countError({ code, status }) {
+    this.appErrors.inc({ code, status });
+  }
+
+  /**
+   * Cuenta una transacción terminada
+   *
+   * @param {string} outcome - commit, rollback o rollback_failed
+   */
+  countTransaction(outcome) {
+    this.dbTransactions.inc({ outcome });
+  }
+
+  /**
+   * Actualiza los indicadores de inventario
+   *
+   * @param {Object} levels - Conteos de productos
+   * @param {number} levels.outOfStock - Productos sin stock
+   * @param {number} levels.lowStock - Productos con stock bajo
+   */
+  setStockLevels({ outOfStock, lowStock }) {
+    this.productsOutOfStock.set(outOfStock);
+    this.productsLowStock.set(lowStock);
+  }
+
+  /**
+   * Genera la exposición de todas las métricas
+   *
+   * @returns {Promise<string>} Métricas en formato de texto de Prometheus
+   */
+  async render() {
+    return this.registry.metrics();
+  }
+}
@@ -0,0 +1,359 @@
+/**
+ * Ejecutor de Migraciones de Esquema
+ *
+ * Aplica y revierte los archivos versionados del directorio de migraciones
+ * y lleva el registro de los aplicados en la tabla `schema_migrations`.
+ * Reemplaza a sequelize.sync(), que no modifica tablas existentes: con
+ * migraciones, agregar una columna es un archivo nuevo y no una base
+ * recreada.
+ *
+ * Formato de los archivos: `NNNN_descripcion.js` (el número es la versión
+ * y define el orden). Cada uno exporta:
+ *
+ * - up({ sequelize, queryInterface, transaction }): aplica el cambio
+ * - down({ sequelize, queryInterface, transaction }): lo revierte
+ *
+ * Cada migración corre en su propia transacción junto con su registro en
+ * `schema_migrations`: si falla, no queda aplicada a medias. Las consultas
+ * deben recibir la transacción del contexto.
+ *
+ * Concurrencia: migrate y rollback toman un advisory lock de PostgreSQL en
+ * una conexión dedicada. Si varias instancias arrancan a la vez, una migra
+ * y las demás esperan; al obtener el lock ya no encuentran pendientes.
+ *
+ * @class MigrationRunner
+ * @author Backend Team
+ */
+
+import { readdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { QueryTypes } from 'sequelize';
+
+/**
+ * Directorio de migraciones por defecto (backend/migrations)
+ * @constant {string}
+ */
+export const MIGRATIONS_DIR = fileURLToPath(new URL('../../migrations', import.meta.url));
+
+/**
+ * Nombre de archivo de una migración: versión numérica y descripción
+ * @constant {RegExp}
+ * @private
+ */
+const MIGRATION_FILE_REGEX = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Clave del advisory lock que serializa las migraciones entre instancias
+ * Valor arbitrario, fijo: todas las instancias deben usar el mismo
+ * @constant {number}
+ * @private
+ */
+const LOCK_KEY = 727_465_311;
+
+/**
+ * Código de PostgreSQL para una tabla inexistente (undefined_table)
+ * @constant {string}
+ * @private
+ */
+const UNDEFINED_TABLE = '42P01';
+
+export class MigrationRunner {
+
+  /**
+   * Constructor del ejecutor
+   *
+   * @param {Sequelize} sequelize - Instancia configurada de Sequelize
+   * @param {Object} options - Opciones
+   * @param {Logger} options.logger - Logger de la aplicación
+   * @param {string} [options.migrationsDir=MIGRATIONS_DIR] - Directorio con los archivos de migración
+   */
+  constructor(sequelize, { logger, migrationsDir = MIGRATIONS_DIR }) {
+    /**
+     * Instancia de Sequelize sobre la que se migra
+     * @type {Sequelize}
+     * @private
+     */
+    this.sequelize = sequelize;
+
+    /**
+     * Logger de las migraciones
+     * @type {Logger}
+     * @private
+     */
+    this.logger = logger.child({ component: 'migrations' });
+
+    /**
+     * Directorio con los archivos de migración
+     * @type {string}
+     * @private
+     */
+    this.migrationsDir = migrationsDir;
+  }
+
+  /**
+   * Estado de todas las migraciones conocidas
+   *
+   * No toma el lock ni crea la tabla de registro: puede consultarse con
+   * otra instancia migrando (refleja lo confirmado hasta ese momento).
+   *
+   * Estados:
+   * - applied: registrada en schema_migrations
+   * - pending: el archivo existe y no fue aplicada
+   * - missing: registrada pero sin archivo (ej: código anterior a la base)
+   *
+   * @returns {Promise<Array<{ version: number, name: string, status: string, appliedAt: (Date|null) }>>}
+   *   Migraciones ordenadas por versión
+   * @throws {Error} Si hay archivos con la misma versión o falla la consulta
+   */
+  async status() {
+    const [files, applied] = await Promise.all([this.#migrationFiles(), this.#appliedMigrations()]);
+
+    const versions = new Set([...files.keys(), ...applied.keys()]);
+
+    return [...versions]
+      .sort((a, b) => a - b)
+      .map(version => {
+        const file = files.get(version);
+        const row = applied.get(version);
+
+        return {
+          version,
+          name: file?.name ?? row.name,
+          status: row ? (file ? 'applied' : 'missing') : 'pending',
+          appliedAt: row?.appliedAt ?? null
+        };
+      });
+  }
+
+  /**
+   * Aplica las migraciones pendientes en orden de versión
+   *
+   * @param {Object} [options={}] - Opciones
+   * @param {number} [options.to] - Última versión a aplicar (por defecto, todas)
+   * @returns {Promise<Array<{ version: number, name: string }>>} Migraciones aplicadas (vacío si no había pendientes)
+   * @throws {Error} Si una migración falla; las anteriores quedan aplicadas
+   *
+   * @example
+   * await migrationRunner.migrate();          // todas las pendientes
+   * await migrationRunner.migrate({ to: 3 }); // hasta la 0003 inclusive
+   */
+  async migrate({ to } = {}) {
+    return this.#withLock(async () => {
+      await this.#ensureTable();
+
+      const [files, applied] = await Promise.all([this.#migrationFiles(), this.#appliedMigrations()]);
+
+      const pending = [...files.values()]
+        .filter(file => !applied.has(file.version) && (to === undefined || file.version <= to))
+        .sort((a, b) => a.version - b.version);
+
+      for (const file of pending) {
+        await this.#run(file, 'up');
+      }
+
+      return pending.map(({ version, name }) => ({ version, name }));
+    });
+  }
+
+  /**
+   * Revierte las últimas migraciones aplicadas, de la más reciente a la
+   * más antigua
+   *
+   * @param {Object} [options={}] - Opciones
+   * @param {number} [options.steps=1] - Cantidad de migraciones a revertir
+   * @returns {Promise<Array<{ version: number, name: string }>>} Migraciones revertidas
+   * @throws {Error} Si falta el archivo de una migración a revertir, no
+   *   exporta down o su reversión falla
+   *
+   * @example
+   * await migrationRunner.rollback();             // la última
+   * await migrationRunner.rollback({ steps: 2 }); // las dos últimas
+   */
+  async rollback({ steps = 1 } = {}) {
+    return this.#withLock(async () => {
+      await this.#ensureTable();
+
+      const [files, applied] = await Promise.all([this.#migrationFiles(), this.#appliedMigrations()]);
+
+      const targets = [...applied.keys()]
+        .sort((a, b) => b - a)
+        .slice(0, steps);
+
+      const missing = targets.filter(version => !files.has(version));
+
+      if (missing.length > 0) {
+        throw new Error(`No se encuentran los archivos de las migraciones ${missing.join(', ')}: no pueden revertirse`);
+      }
+
+      for (const version of targets) {
+        await this.#run(files.get(version), 'down');
+      }
+
+      return targets.map(version => ({ version, name: files.get(version).name }));
+    });
+  }
+
+  /**
+   * Ejecuta una dirección de una migración en su transacción, junto con
+   * el alta o la baja de su registro
+   *
+   * @param {{ version: number, name: string, path: string }} file - Migración a ejecutar
+   * @param {'up'|'down'} direction - Dirección
+   * @returns {Promise<void>}
+   * @throws {Error} Si el archivo no exporta la función o la migración falla
+   *
+   * @private
+   */
+  async #run(file, direction) {
+    const migration = await import(pathToFileURL(file.path).href);
+
+    if (typeof migration[direction] !== 'function') {
+      throw new Error(`La migración ${file.name} no exporta ${direction}()`);
+    }
+
+    const startedAt = Date.now();
+
+    await this.sequelize.transaction(async (transaction) => {
+      await migration[direction]({
+        sequelize: this.sequelize,
+        queryInterface: this.sequelize.getQueryInterface(),
+        transaction
+      });
+
+      if (direction === 'up') {
+        await this.sequelize.query(
+          'INSERT INTO schema_migrations (version, name) VALUES (:version, :name)',
+          { replacements: { version: file.version, name: file.name }, transaction }
+        );
+      } else {
+        await this.sequelize.query(
+          'DELETE FROM schema_migrations WHERE version = :version',
+          { replacements: { version: file.version }, transaction }
+        );
+      }
+    });
+
+    this.logger.info(direction === 'up' ? 'Migración aplicada' : 'Migración revertida', {
+      version: file.version,
+      name: file.name,
+      durationMs: Date.now() - startedAt
+    });
+  }
+
+  /**
+   * Ejecuta una función con el advisory lock de migraciones tomado
+   *
+   * El lock es de sesión: se toma en una conexión del pool reservada hasta
+   * liberarlo. Si otra instancia lo tiene, se registra la espera y se
+   * bloquea hasta que lo suelte.
+   *
+   * @param {Function} fn - Función a ejecutar con el lock
+   * @returns {Promise<any>} Resultado de la función
+   *
+   * @private
+   */
+  async #withLock(fn) {
+    const { connectionManager } = this.sequelize;
+    const connection = await connectionManager.getConnection();
+
+    try {
+      const { rows } = await connection.query('SELECT pg_try_advisory_lock($1) AS locked', [LOCK_KEY]);
+
+      if (!rows[0].locked) {
+        this.logger.info('Otra instancia está migrando; esperando el lock');
+        await connection.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+      }
+
+      try {
+        return await fn();
+      } finally {
+        await connection.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+      }
+
+    } finally {
+      connectionManager.releaseConnection(connection);
+    }
+  }
+
+  /**
+   * Crea la tabla de registro si no existe
+   *
+   * @returns {Promise<void>}
+   *
+   * @private
+   */
+  async #ensureTable() {
+    await this.sequelize.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version BIGINT PRIMARY KEY,
+         name VARCHAR(255) NOT NULL,
+         applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+       )`,
+      { logging: false }
+    );
+  }
+
+  /**
+   * Lee los archivos de migración del directorio
+   *
+   * @returns {Promise<Map<number, { version: number, name: string, path: string }>>}
+   *   Migraciones por versión (vacío si el directorio no existe)
+   * @throws {Error} Si dos archivos comparten versión
+   *
+   * @private
+   */
+  async #migrationFiles() {
+    let entries;
+
+    try {
+      entries = await readdir(this.migrationsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return new Map();
+      throw error;
+    }
+
+    const files = new Map();
+
+    for (const entry of entries) {
+      const match = MIGRATION_FILE_REGEX.exec(entry);
+
+      if (!match) continue;
+
+      const version = Number(match[1]);
+      const name = entry.replace(/\.js$/, '');
+
+      if (files.has(version)) {
+        throw new Error(`Migraciones con la misma versión ${version}: ${files.get(version).name} y ${name}`);
+      }
+
+      files.set(version, { version, name, path: join(this.migrationsDir, entry) });
+    }
+
+    return files;
+  }
+
+  /**
+   * Obtiene las migraciones registradas como aplicadas
+   *
+   * @returns {Promise<Map<number, { name: string, appliedAt: Date }>>}
+   *   Registros por versión (vacío si la tabla aún no existe)
+   *
+   * @private
+   */
+  async #appliedMigrations() {
+    try {
+      const rows = await this.sequelize.query(
+        'SELECT version, name, applied_at AS "appliedAt" FROM schema_migrations',
+        { type: QueryTypes.SELECT, logging: false }
+      );
+
+      // BIGINT llega como string desde pg
+      return new Map(rows.map(row => [Number(row.version), { name: row.name, appliedAt: row.appliedAt }]));
+
+    } catch (error) {
+      if (error.original?.code === UNDEFINED_TABLE) return new Map();
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Modelo de Datos: OrderItemModel
+ *
+ * Define la estructura de la tabla 'order_items' en PostgreSQL. Cada fila
+ * guarda una copia del nombre, el SKU y el precio unitario al confirmar
+ * el pedido.
+ *
+ * Relaciones (ver associate):
+ * - order: pedido al que pertenece (belongsTo, ON DELETE CASCADE)
+ *
+ * productId y variantId no tienen clave foránea a propósito: los pedidos
+ * deben conservarse aunque el producto se purgue o la variante se elimine.
+ *
+ * @module OrderItemModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+
+/**
+ * Construye y configura el modelo de OrderItem para Sequelize
+ *
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la entidad OrderItem
+ *
+ * @example
+ * const OrderItemModel = buildOrderItemModel(sequelize);
+ */
+export function buildOrderItemModel(sequelize) {
+
+  const OrderItemModel = sequelize.define('OrderItem', {
+
+    /**
+     * Identificador único de la línea (UUID v4)
+     */
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Identificador único de la línea (UUID v4)'
+    },
+
+    /**
+     * Pedido al que pertenece
+     */
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Pedido al que pertenece la línea'
+    },
+
+    /**
+     * Producto y variante vendidos (sin clave foránea, ver cabecera)
+     */
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Producto vendido'
+    },
+
+    variantId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Variante vendida; NULL si el producto no tiene variantes'
+    },
+
+    /**
+     * Copia del catálogo al confirmar
+     */
+    productName: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Nombre del producto al confirmar el pedido'
+    },
+
+    sku: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'SKU de la variante al confirmar el pedido'
+    },
+
+    unitPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Precio unitario al confirmar el pedido'
+    },
+
+    /**
+     * Unidades
+     */
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: {
+          args: [1],
+          msg: 'La cantidad debe ser mayor a 0'
+        }
+      },
+      comment: 'Unidades vendidas'
+    },
+
+  }, {
+
+    tableName: 'order_items',
+
+    // Las líneas no cambian después de confirmar el pedido
+    timestamps: true,
+    updatedAt: false,
+
+    indexes: [
+      {
+        fields: ['orderId'],
+        name: 'order_items_order_id_idx'
+      },
+      {
+        // Ventas de un producto
+        fields: ['productId'],
+        name: 'order_items_product_id_idx'
+      }
+    ],
+
+    comment: 'Líneas de los pedidos (con precios al confirmar)'
+  });
+
+  /**
+   * Registra las relaciones del modelo
+   *
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   *
+   * @static
+   */
+  OrderItemModel.associate = function(models) {
+    this.belongsTo(models.Order, {
+      as: 'order',
+      foreignKey: 'orderId',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+  };
+
+  return OrderItemModel;
+}
@@ -0,0 +1,164 @@
+/**
+ * Modelo de Datos: OrderModel
+ *
+ * Define la estructura de la tabla 'orders' en PostgreSQL. El subtotal se
+ * guarda al confirmar el pedido para consultas y reportes; la entidad lo
+ * recalcula a partir de las líneas.
+ *
+ * Relaciones (ver associate):
+ * - items: líneas del pedido (hasMany, ON DELETE CASCADE)
+ * - cart: carrito del que proviene (belongsTo, ON DELETE SET NULL)
+ * - customer: cliente que hizo el pedido (belongsTo, ON DELETE RESTRICT)
+ *
+ * @module OrderModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+import { ORDER_STATUSES } from "../../../Domain/Orders/Entities/Order.js";
+
+/**
+ * Construye y configura el modelo de Order para Sequelize
+ *
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la entidad Order
+ *
+ * @example
+ * const OrderModel = buildOrderModel(sequelize);
+ */
+export function buildOrderModel(sequelize) {
+
+  const OrderModel = sequelize.define('Order', {
+
+    /**
+     * Identificador único del pedido (UUID v4)
+     */
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Identificador único del pedido (UUID v4)'
+    },
+
+    /**
+     * Carrito del que proviene
+     */
+    cartId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Carrito convertido en este pedido'
+    },
+
+    /**
+     * Cliente que hizo el pedido
+     */
+    customerId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Cliente del pedido; NULL en compras sin cliente registrado'
+    },
+
+    /**
+     * Estado del pedido
+     */
+    status: {
+      type: DataTypes.ENUM(...ORDER_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: 'Estado (pending, paid, shipped, delivered, cancelled)'
+    },
+
+    /**
+     * Subtotal al confirmar
+     */
+    subtotal: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      comment: 'Suma de las líneas al confirmar el pedido'
+    },
+
+    /**
+     * Fechas de cada transición de estado
+     */
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha de pago'
+    },
+
+    shippedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha de envío'
+    },
+
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha de entrega'
+    },
+
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha de cancelación'
+    },
+
+  }, {
+
+    tableName: 'orders',
+
+    timestamps: true,
+
+    indexes: [
+      {
+        // Listado de pedidos por estado, los más recientes primero
+        fields: ['status', 'createdAt'],
+        name: 'orders_status_created_idx'
+      },
+      {
+        fields: ['cartId'],
+        name: 'orders_cart_id_idx'
+      },
+      {
+        // Pedidos de un cliente (estadísticas de clientes)
+        fields: ['customerId', 'createdAt'],
+        name: 'orders_customer_created_idx'
+      }
+    ],
+
+    comment: 'Pedidos confirmados'
+  });
+
+  /**
+   * Registra las relaciones del modelo
+   *
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   *
+   * @static
+   */
+  OrderModel.associate = function(models) {
+    this.hasMany(models.OrderItem, {
+      as: 'items',
+      foreignKey: 'orderId',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+
+    this.belongsTo(models.Cart, {
+      as: 'cart',
+      foreignKey: 'cartId',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+
+    this.belongsTo(models.Customer, {
+      as: 'customer',
+      foreignKey: 'customerId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE'
+    });
+  };
+
+  return OrderModel;
+}
@@ -0,0 +1,240 @@
+/**
+ * Repositorio de Pedidos - Implementación con Sequelize
+ *
+ * Adaptador entre las entidades Order / OrderItem y las tablas 'orders' y
+ * 'order_items'. El pedido y sus líneas se leen en consultas separadas:
+ * el bloqueo solo necesita la fila del pedido y el listado pagina pedidos,
+ * no líneas.
+ *
+ * @class SequelizeOrderRepository
+ * @implements {OrderRepositoryPort}
+ * @author Backend Team
+ */
+
+import { Op } from "sequelize";
+import { Order } from "../../../Domain/Orders/Entities/Order.js";
+import { OrderItem } from "../../../Domain/Orders/Entities/OrderItem.js";
+
+export class SequelizeOrderRepository {
+
+  /**
+   * Constructor del repositorio
+   *
+   * @param {Model} OrderModel - Modelo de Sequelize para la entidad Order
+   * @param {Model} OrderItemModel - Modelo de Sequelize para la entidad OrderItem
+   */
+  constructor(OrderModel, OrderItemModel) {
+    /**
+     * Modelos de Sequelize para operaciones de base de datos
+     * @type {Model}
+     * @private
+     */
+    this.OrderModel = OrderModel;
+    this.OrderItemModel = OrderItemModel;
+  }
+
+  /**
+   * Convierte un registro de pedido y sus líneas a entidad de dominio
+   *
+   * @param {Object|null} row - Registro de Sequelize o null
+   * @param {Object[]} itemRows - Registros de las líneas
+   * @returns {Order|null} Entidad de dominio o null si no existe
+   *
+   * @private
+   */
+  #toDomain(row, itemRows) {
+    if (!row) return null;
+
+    try {
+      return new Order({
+        id: row.id,
+        cartId: row.cartId ?? null,
+        customerId: row.customerId ?? null,
+        status: row.status,
+        items: itemRows.map(itemRow => new OrderItem({
+          id: itemRow.id,
+          productId: itemRow.productId,
+          variantId: itemRow.variantId ?? null,
+          productName: itemRow.productName,
+          sku: itemRow.sku ?? null,
+          unitPrice: parseFloat(itemRow.unitPrice), // Convertir DECIMAL a number
+          quantity: itemRow.quantity,
+        })),
+        paidAt: row.paidAt ?? null,
+        shippedAt: row.shippedAt ?? null,
+        deliveredAt: row.deliveredAt ?? null,
+        cancelledAt: row.cancelledAt ?? null,
+        createdAt: row.createdAt ?? null,
+        updatedAt: row.updatedAt ?? null,
+      });
+    } catch (error) {
+      throw new Error(`Error de mapeo de datos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Lee las líneas de varios pedidos agrupadas por pedido
+   *
+   * @param {string[]} orderIds - Identificadores de los pedidos
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Map<string, Object[]>>} Registros de líneas por pedido
+   *
+   * @private
+   */
+  async #itemRowsByOrder(orderIds, transaction) {
+    const rows = orderIds.length === 0 ? [] : await this.OrderItemModel.findAll({
+      where: { orderId: { [Op.in]: orderIds } },
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      transaction,
+    });
+
+    const byOrder = new Map(orderIds.map(id => [id, []]));
+    rows.forEach(row => byOrder.get(row.orderId).push(row));
+
+    return byOrder;
+  }
+
+  /**
+   * Crea un pedido con sus líneas
+   *
+   * @param {Order} orderEntity - Entidad de dominio a persistir
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Order>} Pedido persistido con IDs asignados
+   */
+  async create(orderEntity, transaction) {
+    try {
+      const row = await this.OrderModel.create({
+        cartId: orderEntity.cartId,
+        customerId: orderEntity.customerId,
+        status: orderEntity.status,
+        subtotal: orderEntity.subtotal(),
+      }, {
+        transaction,
+        returning: true,
+      });
+
+      await this.OrderItemModel.bulkCreate(orderEntity.items.map(item => ({
+        orderId: row.id,
+        productId: item.productId,
+        variantId: item.variantId,
+        productName: item.productName,
+        sku: item.sku,
+        unitPrice: item.unitPrice,
+        quantity: item.quantity,
+      })), {
+        transaction,
+        validate: true,
+      });
+
+      return this.findById(row.id, transaction);
+
+    } catch (error) {
+      throw new Error(`Error creando pedido: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca un pedido con sus líneas
+   *
+   * @param {string} id - Identificador del pedido
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @param {Object} [options] - Opciones de consulta
+   * @param {boolean} [options.lock=false] - Bloquear la fila del pedido hasta el fin de la transacción
+   * @returns {Promise<Order|null>} Entidad encontrada o null
+   */
+  async findById(id, transaction, { lock = false } = {}) {
+    try {
+      const row = await this.OrderModel.findByPk(id, {
+        transaction,
+        lock: lock && transaction ? transaction.LOCK.UPDATE : undefined,
+      });
+
+      if (!row) return null;
+
+      const itemRows = await this.#itemRowsByOrder([id], transaction);
+
+      return this.#toDomain(row, itemRows.get(id));
+
+    } catch (error) {
+      throw new Error(`Error buscando pedido por id: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene una página de pedidos, los más recientes primero
+   *
+   * @param {Object} criteria - Criterios de consulta
+   * @param {string|null} [criteria.status] - Solo pedidos en este estado
+   * @param {number} criteria.page - Página (desde 1)
+   * @param {number} criteria.limit - Tamaño de página
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<{ items: Order[], total: number }>} Página de pedidos y total
+   */
+  async findPage({ status = null, page, limit }, transaction) {
+    try {
+      const { rows, count } = await this.OrderModel.findAndCountAll({
+        where: status ? { status } : {},
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit,
+        offset: (page - 1) * limit,
+        transaction,
+      });
+
+      const itemRows = await this.#itemRowsByOrder(rows.map(row => row.id), transaction);
+
+      return {
+        items: rows.map(row => this.#toDomain(row, itemRows.get(row.id))),
+        total: count,
+      };
+
+    } catch (error) {
+      throw new Error(`Error listando pedidos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cuenta los pedidos de un cliente
+   *
+   * @param {string} customerId - Identificador del cliente
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<number>} Cantidad de pedidos (en cualquier estado)
+   */
+  async countByCustomer(customerId, transaction) {
+    try {
+      return await this.OrderModel.count({
+        where: { customerId },
+        transaction,
+      });
+
+    } catch (error) {
+      throw new Error(`Error contando pedidos del cliente: ${error.message}`);
+    }
+  }
+
+  /**
+   * Persiste el estado y las fechas de transición de un pedido
+   *
+   * @param {Order} orderEntity - Pedido con el nuevo estado
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Order|null>} Pedido actualizado o null si no existe
+   */
+  async updateStatus(orderEntity, transaction) {
+    try {
+      const [count] = await this.OrderModel.update({
+        status: orderEntity.status,
+        paidAt: orderEntity.paidAt,
+        shippedAt: orderEntity.shippedAt,
+        deliveredAt: orderEntity.deliveredAt,
+        cancelledAt: orderEntity.cancelledAt,
+      }, {
+        where: { id: orderEntity.id },
+        transaction,
+      });
+
+      return count > 0 ? this.findById(orderEntity.id, transaction) : null;
+
+    } catch (error) {
+      throw new Error(`Error actualizando pedido: ${error.message}`);
+    }
+  }
+}
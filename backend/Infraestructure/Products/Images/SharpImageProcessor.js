@@ -0,0 +1,83 @@
+/**
+ * Procesador de Imágenes con sharp
+ *
+ * Implementa ImageProcessorPort: detecta el formato real de una imagen a
+ * partir de su contenido (no del nombre ni del Content-Type que envía el
+ * cliente) y genera miniaturas WebP redimensionadas.
+ *
+ * @class SharpImageProcessor
+ * @implements {ImageProcessorPort}
+ * @author Backend Team
+ */
+
+import sharp from 'sharp';
+
+/**
+ * Formatos de sharp y su tipo MIME
+ * @constant {Object<string, string>}
+ * @private
+ */
+const FORMAT_MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+};
+
+export class SharpImageProcessor {
+
+  /**
+   * Constructor del procesador
+   *
+   * @param {Object} options - Configuración
+   * @param {number} options.thumbnailSize - Lado máximo de la miniatura en píxeles
+   */
+  constructor({ thumbnailSize }) {
+    /**
+     * Lado máximo de la miniatura (se conserva la proporción)
+     * @type {number}
+     * @private
+     */
+    this.thumbnailSize = thumbnailSize;
+  }
+
+  /**
+   * Analiza el contenido de una imagen
+   *
+   * @param {Buffer} content - Contenido binario
+   * @returns {Promise<{ mimeType: string, width: number, height: number }|null>}
+   *   Datos de la imagen, o null si no es una imagen en un formato soportado
+   */
+  async inspect(content) {
+    try {
+      const { format, width, height } = await sharp(content).metadata();
+      const mimeType = FORMAT_MIME_TYPES[format];
+
+      if (!mimeType || !width || !height) return null;
+
+      return { mimeType, width, height };
+
+    } catch {
+      // sharp rechaza el contenido que no reconoce como imagen
+      return null;
+    }
+  }
+
+  /**
+   * Genera la miniatura de una imagen
+   *
+   * Respeta la orientación EXIF, no amplía imágenes pequeñas y descarta
+   * los metadatos del original.
+   *
+   * @param {Buffer} content - Contenido binario de la imagen original
+   * @returns {Promise<{ content: Buffer, mimeType: string, extension: string }>} Miniatura WebP
+   */
+  async thumbnail(content) {
+    const output = await sharp(content)
+      .rotate()
+      .resize(this.thumbnailSize, this.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    return { content: output, mimeType: 'image/webp', extension: 'webp' };
+  }
+}
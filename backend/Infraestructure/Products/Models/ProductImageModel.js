@@ -0,0 +1,176 @@
+/**
+ * Modelo de Datos: ProductImageModel
+ *
+ * Define la estructura de la tabla 'product_images' en PostgreSQL.
+ * Cada fila describe una imagen de la galería de un producto; los archivos
+ * (original y miniatura) viven en el almacenamiento configurado y aquí
+ * solo se guardan sus claves y URLs.
+ *
+ * Relaciones (ver associate):
+ * - product: producto padre (belongsTo, ON DELETE CASCADE)
+ *
+ * @module ProductImageModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+
+/**
+ * Construye y configura el modelo de ProductImage para Sequelize
+ *
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la entidad ProductImage
+ *
+ * @example
+ * const ProductImageModel = buildProductImageModel(sequelize);
+ */
+export function buildProductImageModel(sequelize) {
+
+  const ProductImageModel = sequelize.define('ProductImage', {
+
+    /**
+     * Identificador único de la imagen (UUID v4)
+     */
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Identificador único de la imagen (UUID v4)'
+    },
+
+    /**
+     * Producto padre
+     */
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Producto al que pertenece la imagen'
+    },
+
+    /**
+     * Claves de los archivos en el almacenamiento
+     */
+    key: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Clave del archivo original en el almacenamiento'
+    },
+
+    thumbnailKey: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Clave de la miniatura en el almacenamiento'
+    },
+
+    /**
+     * URLs públicas de los archivos
+     */
+    url: {
+      type: DataTypes.STRING(1024),
+      allowNull: false,
+      comment: 'URL pública del archivo original'
+    },
+
+    thumbnailUrl: {
+      type: DataTypes.STRING(1024),
+      allowNull: false,
+      comment: 'URL pública de la miniatura'
+    },
+
+    /**
+     * Metadatos del archivo original
+     */
+    mimeType: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Tipo MIME detectado del original'
+    },
+
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Tamaño del original en bytes'
+    },
+
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Ancho del original en píxeles'
+    },
+
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Alto del original en píxeles'
+    },
+
+    /**
+     * Orden dentro de la galería
+     */
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: {
+          args: [0],
+          msg: 'La posición no puede ser negativa'
+        }
+      },
+      comment: 'Orden dentro de la galería (0 = primera)'
+    },
+
+    /**
+     * Imagen principal del producto
+     */
+    isPrimary: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Indica si es la imagen principal del producto'
+    },
+
+  }, {
+
+    tableName: 'product_images',
+
+    timestamps: true,
+
+    indexes: [
+      {
+        // Galería de un producto en orden
+        fields: ['productId', 'position'],
+        name: 'product_images_product_position_idx'
+      },
+      {
+        // A lo sumo una imagen principal por producto
+        unique: true,
+        fields: ['productId'],
+        where: { isPrimary: true },
+        name: 'product_images_primary_unique'
+      }
+    ],
+
+    comment: 'Galería de imágenes de los productos'
+  });
+
+  /**
+   * Registra las relaciones del modelo
+   *
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   *
+   * @static
+   */
+  ProductImageModel.associate = function(models) {
+    // La purga de un producto elimina las filas de sus imágenes
+    // (los archivos los elimina PurgeProductUseCase)
+    this.belongsTo(models.Product, {
+      as: 'product',
+      foreignKey: 'productId',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+  };
+
+  return ProductImageModel;
+}
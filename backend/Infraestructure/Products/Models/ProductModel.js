@@ -8,7 +8,7 @@
  * Responsabilidades:
  * - Mapear entidades de dominio a registros de base de datos
  * - Definir esquema, tipos de datos y restricciones
- * - Configurar índices y relaciones (futuro)
+ * - Configurar índices y relaciones (categoría y marca)
  * - Manejar validaciones a nivel de base de datos
  * 
  * Consideraciones de Diseño:
@@ -149,6 +149,35 @@ export function buildProductModel(sequelize) {
       comment: 'Cantidad disponible en inventario'
     },
     
+    /**
+     * Categoría del producto
+     * 
+     * Clave foránea a categories.id (ver associate). Opcional para
+     * no invalidar los productos existentes sin categoría.
+     * 
+     * @type {UUID}
+     * @nullable
+     */
+    categoryId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Categoría del producto'
+    },
+    
+    /**
+     * Marca del producto
+     * 
+     * Clave foránea a brands.id (ver associate).
+     * 
+     * @type {UUID}
+     * @nullable
+     */
+    brandId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Marca del producto'
+    },
+    
   }, {
     
     // === CONFIGURACIÓN DE LA TABLA ===
@@ -165,6 +194,13 @@ export function buildProductModel(sequelize) {
      */
     timestamps: true,
     
+    /**
+     * Habilita el bloqueo optimista con una columna `version`
+     * Sequelize incrementa la versión en cada UPDATE y lanza
+     * OptimisticLockError si el registro cambió desde que se leyó
+     */
+    version: true,
+    
     /**
      * Configuración de índices para optimizar consultas
      */
@@ -184,14 +220,29 @@ export function buildProductModel(sequelize) {
         // Índice en stock para filtrar productos disponibles
         fields: ['stock'],
         name: 'products_stock_idx'
+      },
+      {
+        // Índice en fecha de creación para ordenar listados paginados
+        fields: ['createdAt'],
+        name: 'products_created_at_idx'
+      },
+      {
+        // Índices en las claves foráneas para filtrar por categoría y marca
+        fields: ['categoryId'],
+        name: 'products_category_id_idx'
+      },
+      {
+        fields: ['brandId'],
+        name: 'products_brand_id_idx'
       }
     ],
     
     /**
-     * Configuración de paranoid para soft deletes (futuro)
-     * Permite "eliminar" registros sin borrarlos físicamente
+     * Configuración de paranoid para soft deletes
+     * Permite "eliminar" registros sin borrarlos físicamente: destroy()
+     * llena la columna deletedAt y las consultas la excluyen por defecto
      */
-    paranoid: false, // Cambiar a true cuando se implemente soft delete
+    paranoid: true,
     
     /**
      * Comentario de la tabla para documentación en la BD
@@ -238,6 +289,55 @@ export function buildProductModel(sequelize) {
     }
   });
 
+  // === RELACIONES ===
+  
+  /**
+   * Registra las relaciones del modelo
+   * 
+   * Se invoca una vez construidos todos los modelos, porque las
+   * asociaciones necesitan que Category y Brand ya estén definidos.
+   * 
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   * 
+   * @static
+   * @example
+   * Object.values(sequelize.models).forEach(model => model.associate?.(sequelize.models));
+   */
+  ProductModel.associate = function(models) {
+    // RESTRICT: una categoría o marca con productos no puede borrarse
+    this.belongsTo(models.Category, {
+      as: 'category',
+      foreignKey: 'categoryId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE'
+    });
+    
+    this.belongsTo(models.Brand, {
+      as: 'brand',
+      foreignKey: 'brandId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE'
+    });
+    
+    this.hasMany(models.ProductVariant, {
+      as: 'variants',
+      foreignKey: 'productId',
+      onDelete: 'CASCADE'
+    });
+    
+    this.hasMany(models.ProductImage, {
+      as: 'images',
+      foreignKey: 'productId',
+      onDelete: 'CASCADE'
+    });
+    
+    this.hasMany(models.StockMovement, {
+      as: 'stockMovements',
+      foreignKey: 'productId',
+      constraints: false
+    });
+  };
+
   // === MÉTODOS DE CLASE (ESTÁTICOS) ===
   
   /**
@@ -254,14 +354,44 @@ export function buildProductModel(sequelize) {
   ProductModel.findByPriceRange = function(minPrice, maxPrice) {
     return this.findAll({
       where: {
-        price: {
-          [sequelize.Sequelize.Op.between]: [minPrice, maxPrice]
-        }
+        price: this.priceRangeCondition(minPrice, maxPrice)
       },
       order: [['price', 'ASC']]
     });
   };
   
+  /**
+   * Construye la condición de rango de precio para un `where`
+   * 
+   * Admite límites abiertos: si solo se envía uno de los extremos se
+   * usa >= o <=. Compartida por findByPriceRange y los listados paginados.
+   * 
+   * @param {number|null} minPrice - Precio mínimo (null = sin límite)
+   * @param {number|null} maxPrice - Precio máximo (null = sin límite)
+   * @returns {Object|null} Condición para el campo price o null si no hay límites
+   * 
+   * @static
+   * @example
+   * ProductModel.findAll({ where: { price: ProductModel.priceRangeCondition(10, null) } });
+   */
+  ProductModel.priceRangeCondition = function(minPrice = null, maxPrice = null) {
+    const { Op } = sequelize.Sequelize;
+    
+    if (minPrice !== null && maxPrice !== null) {
+      return { [Op.between]: [minPrice, maxPrice] };
+    }
+    
+    if (minPrice !== null) {
+      return { [Op.gte]: minPrice };
+    }
+    
+    if (maxPrice !== null) {
+      return { [Op.lte]: maxPrice };
+    }
+    
+    return null;
+  };
+  
   /**
    * Busca productos con stock bajo
    * 
@@ -273,13 +403,27 @@ export function buildProductModel(sequelize) {
   ProductModel.findLowStock = function(threshold = 10) {
     return this.findAll({
       where: {
-        stock: {
-          [sequelize.Sequelize.Op.lte]: threshold
-        }
+        stock: this.lowStockCondition(threshold)
       },
       order: [['stock', 'ASC']]
     });
   };
+  
+  /**
+   * Construye la condición de stock bajo para un `where`
+   * 
+   * Compartida por findLowStock y el conteo de las métricas de inventario.
+   * 
+   * @param {number} threshold - Umbral de stock bajo (inclusive)
+   * @returns {Object} Condición para el campo stock
+   * 
+   * @static
+   * @example
+   * ProductModel.count({ where: { stock: ProductModel.lowStockCondition(5) } });
+   */
+  ProductModel.lowStockCondition = function(threshold = 10) {
+    return { [sequelize.Sequelize.Op.lte]: threshold };
+  };
 
   return ProductModel;
 } 
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * Modelo de Datos: ProductVariantModel
+ * 
+ * Define la estructura de la tabla 'product_variants' en PostgreSQL.
+ * Cada fila es una variante (tono y/o tamaño) de un producto, con su
+ * propio SKU, stock y precio opcional.
+ * 
+ * Relaciones (ver associate):
+ * - product: producto padre (belongsTo, ON DELETE CASCADE)
+ * 
+ * @module ProductVariantModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+
+/**
+ * Construye y configura el modelo de ProductVariant para Sequelize
+ * 
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la entidad ProductVariant
+ * 
+ * @example
+ * const ProductVariantModel = buildProductVariantModel(sequelize);
+ * await ProductVariantModel.create({ productId, sku: 'BASE-MATE-30-120', shade: '120', stock: 12 });
+ */
+export function buildProductVariantModel(sequelize) {
+
+  const ProductVariantModel = sequelize.define('ProductVariant', {
+
+    /**
+     * Identificador único de la variante (UUID v4)
+     */
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Identificador único de la variante (UUID v4)'
+    },
+
+    /**
+     * Producto padre
+     */
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Producto al que pertenece la variante'
+    },
+
+    /**
+     * Código de inventario, único en todo el catálogo
+     */
+    sku: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: {
+        name: 'product_variants_sku_unique',
+        msg: 'Ya existe una variante con este SKU'
+      },
+      comment: 'Código de inventario (SKU) en mayúsculas'
+    },
+
+    /**
+     * Tono de la variante
+     */
+    shade: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Tono (ej: 120)'
+    },
+
+    /**
+     * Tamaño o presentación de la variante
+     */
+    size: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Tamaño o presentación (ej: 30ml)'
+    },
+
+    /**
+     * Precio propio de la variante; NULL hereda el del producto
+     */
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: {
+          args: [0.01],
+          msg: 'El precio debe ser mayor a 0'
+        }
+      },
+      comment: 'Precio de la variante; NULL hereda el precio del producto'
+    },
+
+    /**
+     * Cantidad en inventario de la variante
+     */
+    stock: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: {
+          args: [0],
+          msg: 'El stock no puede ser negativo'
+        }
+      },
+      comment: 'Cantidad disponible de la variante'
+    },
+
+  }, {
+
+    tableName: 'product_variants',
+
+    timestamps: true,
+
+    indexes: [
+      {
+        // Listado de variantes de un producto y subconsultas de stock
+        fields: ['productId'],
+        name: 'product_variants_product_id_idx'
+      }
+    ],
+
+    comment: 'Variantes (tono, tamaño) de los productos'
+  });
+
+  /**
+   * Registra las relaciones del modelo
+   * 
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   * 
+   * @static
+   */
+  ProductVariantModel.associate = function(models) {
+    // La purga de un producto elimina sus variantes
+    this.belongsTo(models.Product, {
+      as: 'product',
+      foreignKey: 'productId',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+  };
+
+  return ProductVariantModel;
+}
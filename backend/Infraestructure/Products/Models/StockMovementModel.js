@@ -0,0 +1,163 @@
+/**
+ * Modelo de Datos: StockMovementModel
+ *
+ * Define la estructura de la tabla 'stock_movements' en PostgreSQL: el
+ * libro de inventario de solo inserción. Cada fila registra un cambio de
+ * stock de un producto o de una de sus variantes.
+ *
+ * Relaciones (ver associate):
+ * - product: producto afectado (belongsTo, sin clave foránea)
+ *
+ * productId y variantId no tienen clave foránea a propósito: productos y
+ * variantes se eliminan físicamente y el historial debe conservar a qué
+ * producto o variante correspondía cada movimiento (ver migración 0009).
+ *
+ * @module StockMovementModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+import { MOVEMENT_TYPES } from "../../../Domain/Products/Entities/StockMovement.js";
+
+/**
+ * Construye y configura el modelo de StockMovement para Sequelize
+ *
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la entidad StockMovement
+ *
+ * @example
+ * const StockMovementModel = buildStockMovementModel(sequelize);
+ */
+export function buildStockMovementModel(sequelize) {
+
+  const StockMovementModel = sequelize.define('StockMovement', {
+
+    /**
+     * Identificador único del movimiento (UUID v4)
+     */
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Identificador único del movimiento (UUID v4)'
+    },
+
+    /**
+     * Producto afectado (sin clave foránea, ver cabecera)
+     */
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Producto afectado; sin clave foránea para conservar el historial de los productos purgados'
+    },
+
+    /**
+     * Variante afectada (sin clave foránea, ver cabecera)
+     */
+    variantId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Variante afectada; NULL si el movimiento es sobre el stock del producto'
+    },
+
+    /**
+     * Tipo de movimiento
+     */
+    type: {
+      type: DataTypes.ENUM(...Object.keys(MOVEMENT_TYPES)),
+      allowNull: false,
+      comment: 'Tipo de movimiento (receipt, sale, adjustment, return, damage)'
+    },
+
+    /**
+     * Cantidad con signo
+     */
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        notZero(value) {
+          if (value === 0) {
+            throw new Error('La cantidad no puede ser 0');
+          }
+        }
+      },
+      comment: 'Cantidad con signo: positiva entra, negativa sale'
+    },
+
+    /**
+     * Stock resultante
+     */
+    stockAfter: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: {
+          args: [0],
+          msg: 'El stock resultante no puede ser negativo'
+        }
+      },
+      comment: 'Stock del producto o variante tras el movimiento'
+    },
+
+    /**
+     * Motivo, responsable y referencia externa
+     */
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Motivo del movimiento'
+    },
+
+    actor: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Responsable del movimiento'
+    },
+
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Referencia externa (factura, pedido, acta...)'
+    },
+
+  }, {
+
+    tableName: 'stock_movements',
+
+    // Solo inserción: no hay updatedAt
+    timestamps: true,
+    updatedAt: false,
+
+    indexes: [
+      {
+        // Historial de un producto en orden cronológico
+        fields: ['productId', 'createdAt'],
+        name: 'stock_movements_product_created_idx'
+      },
+      {
+        fields: ['variantId'],
+        name: 'stock_movements_variant_id_idx'
+      }
+    ],
+
+    comment: 'Libro de movimientos de inventario (solo inserción)'
+  });
+
+  /**
+   * Registra las relaciones del modelo
+   *
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   *
+   * @static
+   */
+  StockMovementModel.associate = function(models) {
+    this.belongsTo(models.Product, {
+      as: 'product',
+      foreignKey: 'productId',
+      constraints: false
+    });
+  };
+
+  return StockMovementModel;
+}
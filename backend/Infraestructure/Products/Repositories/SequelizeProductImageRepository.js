@@ -0,0 +1,212 @@
+/**
+ * Repositorio de Imágenes de Producto - Implementación con Sequelize
+ *
+ * Adaptador entre la entidad ProductImage y la tabla 'product_images'.
+ * Como en las variantes, las consultas por id reciben también el productId
+ * para que una imagen solo sea accesible a través de su producto padre.
+ *
+ * @class SequelizeProductImageRepository
+ * @implements {ProductImageRepositoryPort}
+ * @author Backend Team
+ */
+
+import { ProductImage } from "../../../Domain/Products/Entities/ProductImage.js";
+
+export class SequelizeProductImageRepository {
+
+  /**
+   * Constructor del repositorio
+   *
+   * @param {Model} ProductImageModel - Modelo de Sequelize para la entidad ProductImage
+   */
+  constructor(ProductImageModel) {
+    /**
+     * Modelo de Sequelize para operaciones de base de datos
+     * @type {Model}
+     * @private
+     */
+    this.ProductImageModel = ProductImageModel;
+  }
+
+  /**
+   * Convierte un registro de base de datos a entidad de dominio
+   *
+   * @param {Object|null} row - Registro de Sequelize o null
+   * @returns {ProductImage|null} Entidad de dominio o null si no existe
+   *
+   * @private
+   */
+  #toDomain(row) {
+    if (!row) return null;
+
+    try {
+      return new ProductImage({
+        id: row.id,
+        productId: row.productId,
+        key: row.key,
+        thumbnailKey: row.thumbnailKey,
+        url: row.url,
+        thumbnailUrl: row.thumbnailUrl,
+        mimeType: row.mimeType,
+        size: row.size,
+        width: row.width,
+        height: row.height,
+        position: row.position,
+        isPrimary: row.isPrimary,
+      });
+    } catch (error) {
+      throw new Error(`Error de mapeo de datos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Registra una nueva imagen
+   *
+   * @param {ProductImage} imageEntity - Entidad de dominio a persistir
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<ProductImage>} Entidad persistida con ID asignado
+   */
+  async create(imageEntity, transaction) {
+    try {
+      const row = await this.ProductImageModel.create({
+        productId: imageEntity.productId,
+        key: imageEntity.key,
+        thumbnailKey: imageEntity.thumbnailKey,
+        url: imageEntity.url,
+        thumbnailUrl: imageEntity.thumbnailUrl,
+        mimeType: imageEntity.mimeType,
+        size: imageEntity.size,
+        width: imageEntity.width,
+        height: imageEntity.height,
+        position: imageEntity.position,
+        isPrimary: imageEntity.isPrimary,
+      }, {
+        transaction,
+        returning: true,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error registrando imagen: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene la galería de un producto
+   *
+   * @param {string} productId - Producto padre
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<ProductImage[]>} Imágenes ordenadas por posición (y antigüedad ante empates)
+   */
+  async findByProduct(productId, transaction) {
+    try {
+      const rows = await this.ProductImageModel.findAll({
+        where: { productId },
+        order: [['position', 'ASC'], ['createdAt', 'ASC'], ['id', 'ASC']],
+        transaction,
+      });
+
+      return rows.map(row => this.#toDomain(row));
+
+    } catch (error) {
+      throw new Error(`Error obteniendo imágenes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca una imagen de un producto por su identificador
+   *
+   * @param {string} productId - Producto padre
+   * @param {string} id - Identificador de la imagen
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<ProductImage|null>} Entidad encontrada o null
+   */
+  async findById(productId, id, transaction) {
+    try {
+      const row = await this.ProductImageModel.findOne({
+        where: { id, productId },
+        transaction,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando imagen por id: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reescribe las posiciones de la galería
+   *
+   * Cada imagen toma como posición su índice en la lista recibida.
+   *
+   * @param {string} productId - Producto padre
+   * @param {string[]} orderedIds - Ids de las imágenes en el orden deseado
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<void>}
+   */
+  async reorder(productId, orderedIds, transaction) {
+    try {
+      for (const [position, id] of orderedIds.entries()) {
+        await this.ProductImageModel.update(
+          { position },
+          { where: { id, productId }, transaction }
+        );
+      }
+
+    } catch (error) {
+      throw new Error(`Error reordenando imágenes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marca una imagen como principal y desmarca la anterior
+   *
+   * Se desmarca primero para no violar el índice único parcial
+   * product_images_primary_unique.
+   *
+   * @param {string} productId - Producto padre
+   * @param {string} id - Imagen que pasa a ser la principal
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<void>}
+   */
+  async setPrimary(productId, id, transaction) {
+    try {
+      await this.ProductImageModel.update(
+        { isPrimary: false },
+        { where: { productId, isPrimary: true }, transaction }
+      );
+
+      await this.ProductImageModel.update(
+        { isPrimary: true },
+        { where: { id, productId }, transaction }
+      );
+
+    } catch (error) {
+      throw new Error(`Error marcando imagen principal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina el registro de una imagen (los archivos se eliminan aparte)
+   *
+   * @param {string} productId - Producto padre
+   * @param {string} id - Identificador de la imagen
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<boolean>} true si se eliminó, false si no existía
+   */
+  async delete(productId, id, transaction) {
+    try {
+      const deleted = await this.ProductImageModel.destroy({
+        where: { id, productId },
+        transaction,
+      });
+
+      return deleted > 0;
+
+    } catch (error) {
+      throw new Error(`Error eliminando imagen: ${error.message}`);
+    }
+  }
+}
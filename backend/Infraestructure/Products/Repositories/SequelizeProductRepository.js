@@ -23,7 +23,38 @@
  * @author Backend Team
  */
 
+import { Op, QueryTypes, literal } from "sequelize";
 import { Product } from "../../../Domain/Products/Entities/Product.js";
+import { AppError } from "../../../Shared/AppError.js";
+import { encodeCursor } from "../../../Shared/pagination.js";
+import { SEARCH_CONFIG } from "../Search/productSearchSetup.js";
+import { reservedStockSql } from "../../Reservations/reservedStockSql.js";
+
+/**
+ * Subconsulta escalar con la URL de la imagen principal de un producto
+ * 
+ * @param {string} alias - Alias SQL de la tabla products en la consulta
+ * @returns {string} Fragmento SQL (NULL si el producto no tiene imagen principal)
+ * 
+ * @private
+ */
+const primaryImageSql = (alias) =>
+  `(SELECT i.url FROM product_images i WHERE i."productId" = ${alias}."id" AND i."isPrimary" LIMIT 1)`;
+
+/**
+ * Atributos de consulta: las columnas del modelo más la imagen principal
+ * y las unidades con reservas activas
+ * 
+ * @returns {Object} Opción `attributes` de Sequelize
+ * 
+ * @private
+ */
+const withComputedAttributes = () => ({
+  include: [
+    [literal(primaryImageSql('"Product"')), 'image'],
+    [literal(reservedStockSql('"Product"."id"')), 'reserved']
+  ]
+});
 
 export class SequelizeProductRepository {
 
@@ -59,6 +90,9 @@ export class SequelizeProductRepository {
     // Manejar caso donde no se encuentra el registro
     if (!row) return null;
 
+    // Atributos calculados: las instancias de Sequelize los exponen solo vía get()
+    const computed = (name) => (typeof row.get === 'function' ? row.get(name) : row[name]);
+
     try {
       // Crear entidad de dominio con validaciones automáticas
       return new Product({
@@ -66,14 +100,80 @@ export class SequelizeProductRepository {
         name: row.name,
         price: parseFloat(row.price), // Convertir DECIMAL a number
         stock: row.stock,
+        version: row.version ?? null,
+        deletedAt: row.deletedAt ?? null,
+        categoryId: row.categoryId ?? null,
+        brandId: row.brandId ?? null,
+        image: computed('image') ?? null,
+        // Solo las lecturas que lo calculan lo traen; el resto asume sin reservas
+        reserved: Number(computed('reserved') ?? 0),
       });
     } catch (error) {
       // Log del error para debugging (en producción usar logger apropiado)
-      console.error('Error convirtiendo registro a entidad de dominio:', error);
-      throw new Error(`Error de mapeo de datos: ${error.message}`);
+      throw new Error(`Error de mapeo de datos: ${error.message}`, { cause: error });
     }
   }
 
+  /**
+   * Construye la cláusula WHERE para los filtros de listado
+   * 
+   * @param {ProductListCriteria} criteria - Criterios de la consulta
+   * @returns {Object} Cláusula where de Sequelize
+   * 
+   * @private
+   */
+  #buildWhere(criteria) {
+    const conditions = [];
+
+    const priceCondition = this.ProductModel.priceRangeCondition(criteria.minPrice, criteria.maxPrice);
+    if (priceCondition) {
+      conditions.push({ price: priceCondition });
+    }
+
+    if (criteria.inStock !== null) {
+      // Los productos con variantes se evalúan por el stock de sus variantes;
+      // el stock propio solo cuenta para productos sin variantes. En ambos
+      // casos se descuentan las reservas activas
+      const variantExists = (extra = '') =>
+        `EXISTS (SELECT 1 FROM product_variants v WHERE v."productId" = "Product"."id"${extra})`;
+      const variantAvailable = ` AND v.stock > ${reservedStockSql('"Product"."id"', 'v."id"')}`;
+      const productAvailable = `"Product"."stock" > ${reservedStockSql('"Product"."id"')}`;
+
+      conditions.push(criteria.inStock
+        ? literal(`((NOT ${variantExists()} AND ${productAvailable}) OR ${variantExists(variantAvailable)})`)
+        : literal(`(CASE WHEN ${variantExists()} THEN NOT ${variantExists(variantAvailable)} ELSE NOT ${productAvailable} END)`));
+    }
+
+    if (criteria.categoryId) {
+      // La categoría incluye a todas sus subcategorías (CTE recursiva)
+      const categoryId = this.ProductModel.sequelize.escape(criteria.categoryId);
+      conditions.push({
+        categoryId: {
+          [Op.in]: literal(`(
+            WITH RECURSIVE subtree AS (
+              SELECT id FROM categories WHERE id = ${categoryId}
+              UNION ALL
+              SELECT c.id FROM categories c JOIN subtree s ON c."parentId" = s.id
+            )
+            SELECT id FROM subtree
+          )`)
+        }
+      });
+    }
+
+    if (criteria.brandId) {
+      conditions.push({ brandId: criteria.brandId });
+    }
+
+    if (criteria.q) {
+      // Escapar comodines de LIKE para que el texto se busque literalmente
+      const escaped = criteria.q.replace(/[\\%_]/g, (char) => `\\${char}`);
+      conditions.push({ name: { [Op.iLike]: `%${escaped}%` } });
+    }
+
+    return conditions.length > 0 ? { [Op.and]: conditions } : {};
+  }
+
   /**
    * Crea un nuevo producto en la base de datos
    * 
@@ -99,6 +199,8 @@ export class SequelizeProductRepository {
         name: productEntity.name,
         price: productEntity.price,
         stock: productEntity.stock,
+        categoryId: productEntity.categoryId,
+        brandId: productEntity.brandId,
       }, {
         transaction, // Usar la transacción proporcionada
         returning: true, // Asegurar que PostgreSQL retorne el registro creado
@@ -124,66 +226,532 @@ export class SequelizeProductRepository {
   }
 
   /**
-   * Obtiene todos los productos de la base de datos
+   * Busca un producto por su nombre
    * 
-   * Recupera la lista completa de productos, convirtiéndolos a entidades
-   * de dominio. Optimizado para consultas frecuentes con índices apropiados.
+   * Realiza una búsqueda exacta por nombre de producto. Útil para
+   * validar unicidad antes de crear nuevos productos. Incluye productos
+   * eliminados lógicamente porque siguen ocupando el índice único.
    * 
+   * @param {string} name - Nombre exacto del producto a buscar
    * @param {Transaction} transaction - Transacción de Sequelize
-   * @returns {Promise<Product[]>} Array de entidades de dominio
+   * @returns {Promise<Product|null>} Entidad encontrada o null
    * 
    * @example
-   * const products = await repository.getAll(transaction);
-   * console.log(`Encontrados ${products.length} productos`);
+   * const existing = await repository.findByName("Laptop Gaming", transaction);
+   * if (existing) {
+   *   console.log("El producto ya existe");
+   * }
    */
-  async getAll(transaction) {
+  async findByName(name, transaction) {
     try {
-      // Consultar todos los productos con ordenamiento por nombre
-      const rows = await this.ProductModel.findAll({
+      // Buscar producto por nombre exacto (case-sensitive)
+      const row = await this.ProductModel.findOne({
+        where: {
+          name: name.trim() // Normalizar espacios
+        },
+        paranoid: false,
         transaction,
-        order: [['name', 'ASC']], // Ordenar alfabéticamente
-        // TODO: Implementar paginación para listas grandes
-        // limit: 100, // Limitar resultados en producción
       });
 
-      // Convertir todos los registros a entidades de dominio
-      return rows.map(row => this.#toDomain(row));
+      return this.#toDomain(row);
 
     } catch (error) {
-      throw new Error(`Error obteniendo productos: ${error.message}`);
+      throw new Error(`Error buscando producto por nombre: ${error.message}`);
     }
   }
 
   /**
-   * Busca un producto por su nombre
+   * Busca un producto por su identificador
    * 
-   * Realiza una búsqueda exacta por nombre de producto. Útil para
-   * validar unicidad antes de crear nuevos productos.
+   * Realiza una búsqueda por clave primaria. Retorna null si el
+   * producto no existe para que el caso de uso decida cómo reportarlo.
    * 
-   * @param {string} name - Nombre exacto del producto a buscar
+   * @param {string} id - Identificador único (UUID) del producto
    * @param {Transaction} transaction - Transacción de Sequelize
+   * @param {Object} [options] - Opciones de consulta
+   * @param {boolean} [options.includeDeleted=false] - Incluir productos eliminados lógicamente
+   * @param {boolean} [options.lock=false] - Bloquear la fila (SELECT ... FOR UPDATE) hasta el fin de la transacción
    * @returns {Promise<Product|null>} Entidad encontrada o null
    * 
    * @example
-   * const existing = await repository.findByName("Laptop Gaming", transaction);
-   * if (existing) {
-   *   console.log("El producto ya existe");
+   * const product = await repository.findById(id, transaction);
+   * if (!product) {
+   *   console.log("El producto no existe");
    * }
    */
-  async findByName(name, transaction) {
+  async findById(id, transaction, { includeDeleted = false, lock = false } = {}) {
     try {
-      // Buscar producto por nombre exacto (case-sensitive)
-      const row = await this.ProductModel.findOne({
-        where: {
-          name: name.trim() // Normalizar espacios
-        },
+      const row = await this.ProductModel.findByPk(id, {
         transaction,
+        paranoid: !includeDeleted,
+        attributes: withComputedAttributes(),
+        lock: lock && transaction ? transaction.LOCK.UPDATE : undefined,
       });
 
       return this.#toDomain(row);
 
     } catch (error) {
-      throw new Error(`Error buscando producto por nombre: ${error.message}`);
+      throw new Error(`Error buscando producto por id: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza un producto existente con control de concurrencia optimista
+   * 
+   * Bloquea la fila (SELECT ... FOR UPDATE) dentro de la transacción,
+   * compara la versión actual con la esperada y persiste los cambios.
+   * Sequelize incrementa la columna `version` automáticamente.
+   * 
+   * @param {Product} productEntity - Entidad de dominio con los nuevos valores
+   * @param {number|null} expectedVersion - Versión esperada (null omite la verificación)
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Product|null>} Entidad actualizada o null si no existe
+   * 
+   * @throws {AppError} PRECONDITION_FAILED si la versión no coincide
+   * @throws {Error} Si falla la operación de persistencia
+   * 
+   * @example
+   * const updated = await repository.update(product, 3, transaction);
+   * console.log(`Nueva versión: ${updated.version}`);
+   */
+  async update(productEntity, expectedVersion, transaction) {
+    try {
+      const row = await this.ProductModel.findByPk(productEntity.id, {
+        transaction,
+        lock: transaction ? transaction.LOCK.UPDATE : undefined,
+      });
+
+      if (!row) return null;
+
+      if (expectedVersion !== null && expectedVersion !== undefined && row.version !== expectedVersion) {
+        throw AppError.preconditionFailed(undefined, {
+          id: productEntity.id,
+          expectedVersion,
+          currentVersion: row.version,
+        });
+      }
+
+      row.set({
+        name: productEntity.name,
+        price: productEntity.price,
+        stock: productEntity.stock,
+        categoryId: productEntity.categoryId,
+        brandId: productEntity.brandId,
+      });
+
+      await row.save({ transaction });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+
+      if (error.name === 'SequelizeOptimisticLockError') {
+        throw AppError.preconditionFailed(undefined, { id: productEntity.id, expectedVersion });
+      }
+
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error(`Ya existe un producto con el nombre "${productEntity.name}"`);
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        const messages = error.errors.map(err => err.message).join(', ');
+        throw new Error(`Errores de validación: ${messages}`);
+      }
+
+      throw new Error(`Error actualizando producto: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza el stock cacheado de un producto
+   * 
+   * Lo usa el libro de inventario, que registra el movimiento en la misma
+   * transacción. Incrementa la versión: un cambio de stock invalida el
+   * ETag que tenga el cliente.
+   * 
+   * @param {string} id - Identificador del producto
+   * @param {number} stock - Nuevo stock
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Product|null>} Entidad actualizada o null si no existe
+   */
+  async setStock(id, stock, transaction) {
+    try {
+      // Incluye eliminados: la cancelación de un pedido devuelve sus
+      // unidades aunque el producto se haya eliminado lógicamente
+      const row = await this.ProductModel.findByPk(id, {
+        transaction,
+        paranoid: false,
+        lock: transaction ? transaction.LOCK.UPDATE : undefined,
+      });
+
+      if (!row) return null;
+
+      row.set({ stock });
+      await row.save({ transaction });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error actualizando stock del producto: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina lógicamente un producto (soft delete)
+   * 
+   * Llena la columna deletedAt; el registro deja de aparecer en las
+   * consultas normales pero puede restaurarse.
+   * 
+   * @param {string} id - Identificador del producto
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<boolean>} true si se eliminó, false si no existía
+   */
+  async softDelete(id, transaction) {
+    try {
+      const deleted = await this.ProductModel.destroy({
+        where: { id },
+        transaction,
+      });
+
+      return deleted > 0;
+
+    } catch (error) {
+      throw new Error(`Error eliminando producto: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restaura un producto eliminado lógicamente
+   * 
+   * @param {string} id - Identificador del producto
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Product|null>} Entidad restaurada o null si no existe
+   */
+  async restore(id, transaction) {
+    try {
+      const row = await this.ProductModel.findByPk(id, {
+        transaction,
+        paranoid: false,
+      });
+
+      if (!row) return null;
+
+      if (row.deletedAt) {
+        await row.restore({ transaction });
+      }
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error restaurando producto: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina físicamente un producto (purge)
+   * 
+   * Borra el registro de la tabla, esté o no eliminado lógicamente.
+   * Esta operación es irreversible.
+   * 
+   * @param {string} id - Identificador del producto
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<boolean>} true si se eliminó, false si no existía
+   */
+  async purge(id, transaction) {
+    try {
+      const deleted = await this.ProductModel.destroy({
+        where: { id },
+        force: true, // Ignora paranoid y ejecuta DELETE real
+        transaction,
+      });
+
+      return deleted > 0;
+
+    } catch (error) {
+      throw new Error(`Error purgando producto: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cuenta los productos asociados a una categoría o marca
+   * 
+   * Incluye los productos eliminados lógicamente: siguen referenciando
+   * la categoría o marca y la clave foránea impide borrarla.
+   * 
+   * @param {Object} reference - Referencia a contar (una sola clave)
+   * @param {string} [reference.categoryId] - Categoría (sin subcategorías)
+   * @param {string} [reference.brandId] - Marca
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<number>} Cantidad de productos
+   * 
+   * @example
+   * const count = await repository.countByReference({ brandId }, transaction);
+   */
+  async countByReference({ categoryId, brandId }, transaction) {
+    try {
+      const where = categoryId !== undefined ? { categoryId } : { brandId };
+
+      return await this.ProductModel.count({
+        where,
+        paranoid: false,
+        transaction,
+      });
+
+    } catch (error) {
+      throw new Error(`Error contando productos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cuenta los productos activos sin stock y con stock bajo
+   * 
+   * Considera el stock del producto (no el disponible descontando
+   * reservas) y excluye los eliminados lógicamente.
+   * 
+   * @param {number} lowStockThreshold - Umbral de stock bajo (inclusive)
+   * @param {Transaction} [transaction] - Transacción de Sequelize
+   * @returns {Promise<{ outOfStock: number, lowStock: number }>} Cantidades de productos
+   * 
+   * @example
+   * const { outOfStock, lowStock } = await repository.countByStockLevel(10);
+   */
+  async countByStockLevel(lowStockThreshold, transaction) {
+    try {
+      const [outOfStock, lowStock] = await Promise.all([
+        this.ProductModel.count({ where: { stock: this.ProductModel.lowStockCondition(0) }, transaction }),
+        this.ProductModel.count({ where: { stock: this.ProductModel.lowStockCondition(lowStockThreshold) }, transaction })
+      ]);
+
+      return { outOfStock, lowStock };
+
+    } catch (error) {
+      throw new Error(`Error contando productos por nivel de stock: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene una página de productos aplicando filtros y ordenamiento
+   * 
+   * Soporta dos modos de paginación:
+   * - Offset (page/limit): permite saltar a cualquier página
+   * - Cursor (keyset): estable ante inserciones y eficiente en páginas profundas;
+   *   ordena por el campo solicitado y desempata por id
+   * 
+   * @param {ProductListCriteria} criteria - Criterios de la consulta
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<{ items: Product[], total: number, nextCursor: string|null }>} Página de productos
+   * 
+   * @example
+   * const { items, total } = await repository.findPage(criteria, transaction);
+   */
+  async findPage(criteria, transaction) {
+    try {
+      const where = this.#buildWhere(criteria);
+      const paranoid = !criteria.includeDeleted;
+      const direction = criteria.order === 'desc' ? 'DESC' : 'ASC';
+
+      // El total ignora el cursor: siempre refleja todos los registros filtrados
+      const total = await this.ProductModel.count({ where, paranoid, transaction });
+
+      let pageWhere = where;
+      let offset;
+
+      if (criteria.usesCursor()) {
+        const { v: value, id } = criteria.cursor;
+        const comparator = direction === 'ASC' ? Op.gt : Op.lt;
+
+        pageWhere = {
+          [Op.and]: [
+            where,
+            {
+              [Op.or]: [
+                { [criteria.sort]: { [comparator]: value } },
+                { [criteria.sort]: value, id: { [comparator]: id } }
+              ]
+            }
+          ]
+        };
+      } else {
+        offset = (criteria.page - 1) * criteria.limit;
+      }
+
+      // Se pide un registro extra para saber si existe una página siguiente
+      const rows = await this.ProductModel.findAll({
+        where: pageWhere,
+        paranoid,
+        attributes: withComputedAttributes(),
+        order: [[criteria.sort, direction], ['id', direction]],
+        limit: criteria.limit + 1,
+        offset,
+        transaction,
+      });
+
+      const hasMore = rows.length > criteria.limit;
+      const pageRows = hasMore ? rows.slice(0, criteria.limit) : rows;
+
+      let nextCursor = null;
+
+      if (hasMore) {
+        const last = pageRows[pageRows.length - 1];
+        const lastValue = last.get(criteria.sort);
+
+        nextCursor = encodeCursor({
+          s: `${criteria.sort}:${criteria.order}`,
+          v: lastValue instanceof Date ? lastValue.toISOString() : lastValue,
+          id: last.id,
+        });
+      }
+
+      return {
+        items: pageRows.map(row => this.#toDomain(row)),
+        total,
+        nextCursor,
+      };
+
+    } catch (error) {
+      throw new Error(`Error obteniendo página de productos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Búsqueda de texto completo insensible a acentos y tolerante a errores
+   * 
+   * Combina dos estrategias sobre products.name:
+   * - Texto completo (tsvector con la configuración es_unaccent): coincidencias
+   *   por palabra con stemming en español ("bases" encuentra "Base")
+   * - Trigramas (pg_trgm sobre el nombre sin acentos): tolera errores de tipeo
+   *   ("pestanina", "pestañna" encuentran "Pestañina")
+   * 
+   * Los resultados se ordenan por relevancia combinada y cada uno incluye
+   * el nombre con las coincidencias resaltadas entre <mark></mark>.
+   * 
+   * Requiere los objetos creados por la migración 0002_product_search.
+   * 
+   * @param {Object} criteria - Criterios de búsqueda
+   * @param {string} criteria.q - Texto a buscar
+   * @param {number} criteria.page - Página (desde 1)
+   * @param {number} criteria.limit - Tamaño de página
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<{ items: Array<{ product: Product, score: number, highlight: string }>, total: number }>}
+   * 
+   * @example
+   * const { items } = await repository.search({ q: 'pestanina', page: 1, limit: 20 }, transaction);
+   * console.log(items[0].highlight); // "<mark>Pestañina</mark> a prueba de agua"
+   */
+  async search({ q, page, limit }, transaction) {
+    // Condición compartida por el conteo y la consulta paginada
+    const matchCondition = `
+      p."deletedAt" IS NULL
+      AND (
+        to_tsvector('${SEARCH_CONFIG}', p.name) @@ plainto_tsquery('${SEARCH_CONFIG}', :q)
+        OR immutable_unaccent(lower(:q)) <% immutable_unaccent(lower(p.name))
+      )`;
+
+    try {
+      const [{ total }] = await this.ProductModel.sequelize.query(
+        `SELECT count(*)::int AS total FROM products p WHERE ${matchCondition}`,
+        { replacements: { q }, type: QueryTypes.SELECT, transaction }
+      );
+
+      const rows = await this.ProductModel.sequelize.query(
+        `SELECT
+           p.id, p.name, p.price, p.stock, p.version, p."categoryId", p."brandId",
+           ${primaryImageSql('p')} AS image,
+           ${reservedStockSql('p."id"')} AS reserved,
+           ts_rank(to_tsvector('${SEARCH_CONFIG}', p.name), plainto_tsquery('${SEARCH_CONFIG}', :q))
+             + word_similarity(immutable_unaccent(lower(:q)), immutable_unaccent(lower(p.name))) AS score,
+           ts_headline('${SEARCH_CONFIG}', p.name, plainto_tsquery('${SEARCH_CONFIG}', :q),
+             'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS highlight
+         FROM products p
+         WHERE ${matchCondition}
+         ORDER BY score DESC, p.name ASC, p.id ASC
+         LIMIT :limit OFFSET :offset`,
+        {
+          replacements: { q, limit, offset: (page - 1) * limit },
+          type: QueryTypes.SELECT,
+          transaction,
+        }
+      );
+
+      return {
+        items: rows.map(row => ({
+          product: this.#toDomain(row),
+          score: Number(Number(row.score).toFixed(4)),
+          highlight: row.highlight,
+        })),
+        total,
+      };
+
+    } catch (error) {
+      throw new Error(`Error buscando productos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recorre los productos filtrados con un cursor de servidor de PostgreSQL
+   * 
+   * Generador asíncrono pensado para exportaciones grandes: en lugar de
+   * cargar todas las filas con findAll, declara un cursor (DECLARE ... CURSOR)
+   * y las obtiene por lotes con FETCH, de modo que la memoria usada es
+   * proporcional al tamaño del lote y no al del catálogo.
+   * 
+   * Aplica los mismos filtros y ordenamiento que findPage; ignora la
+   * paginación. Requiere una transacción activa durante todo el recorrido.
+   * 
+   * @param {ProductListCriteria} criteria - Filtros y ordenamiento
+   * @param {Transaction} transaction - Transacción de Sequelize (obligatoria)
+   * @param {Object} [options] - Opciones del recorrido
+   * @param {number} [options.batchSize=500] - Filas por cada FETCH
+   * @yields {Product} Entidades de dominio en el orden solicitado
+   * 
+   * @example
+   * await unitOfWork.run(async (tx) => {
+   *   for await (const product of repository.streamAll(criteria, tx)) {
+   *     output.write(`${product.name}\n`);
+   *   }
+   * });
+   */
+  async *streamAll(criteria, transaction, { batchSize = 500 } = {}) {
+    const { sequelize } = this.ProductModel;
+    const direction = criteria.order === 'desc' ? 'DESC' : 'ASC';
+    const conditions = [this.#buildWhere(criteria)];
+
+    // selectQuery no aplica la cláusula paranoid automáticamente
+    if (!criteria.includeDeleted) {
+      conditions.push({ deletedAt: null });
+    }
+
+    const selectSql = this.ProductModel.queryGenerator
+      .selectQuery(this.ProductModel.getTableName(), {
+        attributes: ['id', 'name', 'price', 'stock', 'categoryId', 'brandId', 'version', 'deletedAt'],
+        where: { [Op.and]: conditions },
+        order: [[criteria.sort, direction], ['id', direction]],
+      }, this.ProductModel)
+      .replace(/;\s*$/, '');
+
+    const cursorName = 'products_export_cursor';
+
+    try {
+      await sequelize.query(`DECLARE ${cursorName} NO SCROLL CURSOR FOR ${selectSql}`, { transaction });
+
+      while (true) {
+        const rows = await sequelize.query(`FETCH FORWARD ${Number(batchSize)} FROM ${cursorName}`, {
+          type: QueryTypes.SELECT,
+          transaction,
+        });
+
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          yield this.#toDomain(row);
+        }
+      }
+
+      await sequelize.query(`CLOSE ${cursorName}`, { transaction });
+
+    } catch (error) {
+      throw new Error(`Error recorriendo productos: ${error.message}`);
     }
   }
-}
\ No newline at end of file
+}
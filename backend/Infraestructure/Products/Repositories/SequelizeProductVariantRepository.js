@@ -0,0 +1,231 @@
+/**
+ * Repositorio de Variantes de Producto - Implementación con Sequelize
+ * 
+ * Adaptador entre la entidad ProductVariant y la tabla 'product_variants'.
+ * Las consultas por id reciben también el productId para que una variante
+ * solo sea accesible a través de su producto padre.
+ * 
+ * @class SequelizeProductVariantRepository
+ * @implements {ProductVariantRepositoryPort}
+ * @author Backend Team
+ */
+
+import { literal } from "sequelize";
+import { ProductVariant } from "../../../Domain/Products/Entities/ProductVariant.js";
+import { reservedStockSql } from "../../Reservations/reservedStockSql.js";
+
+/**
+ * Atributos de consulta: las columnas del modelo más las unidades con
+ * reservas activas
+ * 
+ * @returns {Object} Opción `attributes` de Sequelize
+ * 
+ * @private
+ */
+const withReservedStock = () => ({
+  include: [[literal(reservedStockSql('"ProductVariant"."productId"', '"ProductVariant"."id"')), 'reserved']]
+});
+
+export class SequelizeProductVariantRepository {
+
+  /**
+   * Constructor del repositorio
+   * 
+   * @param {Model} ProductVariantModel - Modelo de Sequelize para la entidad ProductVariant
+   */
+  constructor(ProductVariantModel) {
+    /**
+     * Modelo de Sequelize para operaciones de base de datos
+     * @type {Model}
+     * @private
+     */
+    this.ProductVariantModel = ProductVariantModel;
+  }
+
+  /**
+   * Convierte un registro de base de datos a entidad de dominio
+   * 
+   * @param {Object|null} row - Registro de Sequelize o null
+   * @returns {ProductVariant|null} Entidad de dominio o null si no existe
+   * 
+   * @private
+   */
+  #toDomain(row) {
+    if (!row) return null;
+
+    try {
+      return new ProductVariant({
+        id: row.id,
+        productId: row.productId,
+        sku: row.sku,
+        shade: row.shade ?? null,
+        size: row.size ?? null,
+        price: row.price === null ? null : parseFloat(row.price), // Convertir DECIMAL a number
+        stock: row.stock,
+        // Atributo calculado: solo lo traen las lecturas que lo consultan
+        reserved: Number(row.get?.('reserved') ?? 0),
+      });
+    } catch (error) {
+      throw new Error(`Error de mapeo de datos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Crea una nueva variante
+   * 
+   * @param {ProductVariant} variantEntity - Entidad de dominio a persistir
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<ProductVariant>} Entidad persistida con ID asignado
+   */
+  async create(variantEntity, transaction) {
+    try {
+      const row = await this.ProductVariantModel.create({
+        productId: variantEntity.productId,
+        sku: variantEntity.sku,
+        shade: variantEntity.shade,
+        size: variantEntity.size,
+        price: variantEntity.price,
+        stock: variantEntity.stock,
+      }, {
+        transaction,
+        returning: true,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error(`Ya existe una variante con el SKU "${variantEntity.sku}"`);
+      }
+
+      throw new Error(`Error creando variante: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene las variantes de un producto
+   * 
+   * @param {string} productId - Producto padre
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<ProductVariant[]>} Variantes ordenadas por tamaño, tono y SKU
+   */
+  async findByProduct(productId, transaction) {
+    try {
+      const rows = await this.ProductVariantModel.findAll({
+        where: { productId },
+        attributes: withReservedStock(),
+        order: [['size', 'ASC'], ['shade', 'ASC'], ['sku', 'ASC']],
+        transaction,
+      });
+
+      return rows.map(row => this.#toDomain(row));
+
+    } catch (error) {
+      throw new Error(`Error obteniendo variantes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca una variante de un producto por su identificador
+   * 
+   * @param {string} productId - Producto padre
+   * @param {string} id - Identificador de la variante
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<ProductVariant|null>} Entidad encontrada o null
+   */
+  async findById(productId, id, transaction) {
+    try {
+      const row = await this.ProductVariantModel.findOne({
+        where: { id, productId },
+        attributes: withReservedStock(),
+        transaction,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando variante por id: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca una variante por SKU en todo el catálogo
+   * 
+   * @param {string} sku - SKU (se compara en mayúsculas)
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<ProductVariant|null>} Entidad encontrada o null
+   */
+  async findBySku(sku, transaction) {
+    try {
+      const row = await this.ProductVariantModel.findOne({
+        where: { sku: sku.trim().toUpperCase() },
+        transaction,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando variante por SKU: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza una variante existente
+   * 
+   * @param {ProductVariant} variantEntity - Entidad con los nuevos valores
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<ProductVariant|null>} Entidad actualizada o null si no existe
+   */
+  async update(variantEntity, transaction) {
+    try {
+      const row = await this.ProductVariantModel.findOne({
+        where: { id: variantEntity.id, productId: variantEntity.productId },
+        transaction,
+        lock: transaction ? transaction.LOCK.UPDATE : undefined,
+      });
+
+      if (!row) return null;
+
+      row.set({
+        sku: variantEntity.sku,
+        shade: variantEntity.shade,
+        size: variantEntity.size,
+        price: variantEntity.price,
+        stock: variantEntity.stock,
+      });
+
+      await row.save({ transaction });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error(`Ya existe una variante con el SKU "${variantEntity.sku}"`);
+      }
+
+      throw new Error(`Error actualizando variante: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina una variante de un producto
+   * 
+   * @param {string} productId - Producto padre
+   * @param {string} id - Identificador de la variante
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<boolean>} true si se eliminó, false si no existía
+   */
+  async delete(productId, id, transaction) {
+    try {
+      const deleted = await this.ProductVariantModel.destroy({
+        where: { id, productId },
+        transaction,
+      });
+
+      return deleted > 0;
+
+    } catch (error) {
+      throw new Error(`Error eliminando variante: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Repositorio de Movimientos de Inventario - Implementación con Sequelize
+ * 
+ * Adaptador entre la entidad StockMovement y la tabla 'stock_movements'.
+ * El libro es de solo inserción: este repositorio no expone operaciones
+ * de actualización ni de eliminación.
+ * 
+ * @class SequelizeStockMovementRepository
+ * @implements {StockMovementRepositoryPort}
+ * @author Backend Team
+ */
+
+import { StockMovement } from "../../../Domain/Products/Entities/StockMovement.js";
+
+export class SequelizeStockMovementRepository {
+
+  /**
+   * Constructor del repositorio
+   * 
+   * @param {Model} StockMovementModel - Modelo de Sequelize para la entidad StockMovement
+   */
+  constructor(StockMovementModel) {
+    /**
+     * Modelo de Sequelize para operaciones de base de datos
+     * @type {Model}
+     * @private
+     */
+    this.StockMovementModel = StockMovementModel;
+  }
+
+  /**
+   * Convierte un registro de base de datos a entidad de dominio
+   * 
+   * @param {Object|null} row - Registro de Sequelize o null
+   * @returns {StockMovement|null} Entidad de dominio o null si no existe
+   * 
+   * @private
+   */
+  #toDomain(row) {
+    if (!row) return null;
+
+    try {
+      return new StockMovement({
+        id: row.id,
+        productId: row.productId,
+        variantId: row.variantId ?? null,
+        type: row.type,
+        quantity: row.quantity,
+        stockAfter: row.stockAfter,
+        reason: row.reason,
+        actor: row.actor ?? null,
+        reference: row.reference ?? null,
+        createdAt: row.createdAt ?? null,
+      });
+    } catch (error) {
+      throw new Error(`Error de mapeo de datos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Registra un movimiento
+   * 
+   * @param {StockMovement} movementEntity - Entidad de dominio a persistir
+   * @param {Transaction} transaction - Transacción de Sequelize (la misma que actualiza el stock)
+   * @returns {Promise<StockMovement>} Movimiento registrado con ID y fecha
+   */
+  async create(movementEntity, transaction) {
+    try {
+      const row = await this.StockMovementModel.create({
+        productId: movementEntity.productId,
+        variantId: movementEntity.variantId,
+        type: movementEntity.type,
+        quantity: movementEntity.quantity,
+        stockAfter: movementEntity.stockAfter,
+        reason: movementEntity.reason,
+        actor: movementEntity.actor,
+        reference: movementEntity.reference,
+      }, {
+        transaction,
+        returning: true,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error registrando movimiento de inventario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene una página del historial de un producto, del más reciente al más antiguo
+   * 
+   * @param {Object} criteria - Criterios de la consulta
+   * @param {string} criteria.productId - Producto
+   * @param {string|null} [criteria.variantId] - Solo los movimientos de esta variante
+   * @param {string|null} [criteria.type] - Solo los movimientos de este tipo
+   * @param {number} criteria.page - Página (desde 1)
+   * @param {number} criteria.limit - Tamaño de página
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<{ items: StockMovement[], total: number }>} Página del historial
+   */
+  async findPage({ productId, variantId = null, type = null, page, limit }, transaction) {
+    try {
+      const where = {
+        productId,
+        ...(variantId && { variantId }),
+        ...(type && { type }),
+      };
+
+      const { rows, count } = await this.StockMovementModel.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit,
+        offset: (page - 1) * limit,
+        transaction,
+      });
+
+      return {
+        items: rows.map(row => this.#toDomain(row)),
+        total: count,
+      };
+
+    } catch (error) {
+      throw new Error(`Error obteniendo historial de inventario: ${error.message}`);
+    }
+  }
+}
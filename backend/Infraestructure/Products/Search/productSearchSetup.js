@@ -0,0 +1,19 @@
+/**
+ * Configuración de Búsqueda de Productos en PostgreSQL
+ *
+ * Nombre de la configuración de texto completo que usa la búsqueda de
+ * productos insensible a acentos. Los objetos de base de datos que la
+ * respaldan (extensiones unaccent y pg_trgm, función immutable_unaccent,
+ * configuración e índices GIN sobre products.name) los crea la migración
+ * 0002_product_search.
+ *
+ * @module ProductSearchSetup
+ * @author Backend Team
+ */
+
+/**
+ * Nombre de la configuración de texto completo insensible a acentos
+ * Debe coincidir con la creada por la migración 0002_product_search
+ * @constant {string}
+ */
+export const SEARCH_CONFIG = 'es_unaccent';
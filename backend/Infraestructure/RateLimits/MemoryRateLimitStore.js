@@ -0,0 +1,92 @@
+/**
+ * Almacén de Límites de Peticiones en Memoria
+ *
+ * Implementa RateLimitStorePort con un Map en la memoria del proceso. Sirve
+ * para una sola instancia del servidor: con varias, cada una cuenta por su
+ * lado y el límite efectivo se multiplica. Para escalar horizontalmente se
+ * reemplaza por un adaptador sobre un almacén compartido (ej: Redis).
+ *
+ * Las ventanas vencidas se descartan en un barrido perezoso, dentro de
+ * hit(), como mucho una vez por intervalo: no hay timers que detener al
+ * apagar el servidor.
+ *
+ * @class MemoryRateLimitStore
+ * @implements {RateLimitStorePort}
+ * @author Backend Team
+ */
+
+export class MemoryRateLimitStore {
+
+  /**
+   * Constructor del almacén
+   *
+   * @param {Object} [options] - Opciones
+   * @param {number} [options.sweepIntervalMs=60000] - Intervalo mínimo entre barridos de ventanas vencidas
+   */
+  constructor({ sweepIntervalMs = 60000 } = {}) {
+    /**
+     * Ventanas vigentes por clave
+     * @type {Map<string, { count: number, resetAt: number }>}
+     * @private
+     */
+    this.windows = new Map();
+
+    /**
+     * Intervalo mínimo entre barridos
+     * @type {number}
+     * @private
+     */
+    this.sweepIntervalMs = sweepIntervalMs;
+
+    /**
+     * Momento a partir del cual corresponde el próximo barrido
+     * @type {number}
+     * @private
+     */
+    this.nextSweepAt = Date.now() + sweepIntervalMs;
+  }
+
+  /**
+   * Suma una petición a la ventana vigente de una clave
+   *
+   * @param {string} key - Clave del contador (presupuesto e identidad)
+   * @param {number} windowMs - Duración de la ventana en milisegundos
+   * @returns {Promise<{ count: number, resetAt: Date }>} Peticiones en la ventana y su fin
+   *
+   * @example
+   * const { count, resetAt } = await store.hit('read:ip:10.0.0.1', 60000);
+   */
+  async hit(key, windowMs) {
+    const now = Date.now();
+
+    if (now >= this.nextSweepAt) {
+      this.#sweep(now);
+    }
+
+    let window = this.windows.get(key);
+
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count += 1;
+
+    return { count: window.count, resetAt: new Date(window.resetAt) };
+  }
+
+  /**
+   * Descarta las ventanas vencidas
+   *
+   * @param {number} now - Momento de referencia (epoch ms)
+   *
+   * @private
+   */
+  #sweep(now) {
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+
+    this.nextSweepAt = now + this.sweepIntervalMs;
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Modelo de Datos: ReservationModel
+ *
+ * Define la estructura de la tabla 'stock_reservations' en PostgreSQL.
+ * Cada fila aparta unidades de un producto o de una de sus variantes
+ * hasta su vencimiento.
+ *
+ * Relaciones (ver associate):
+ * - product: producto reservado (belongsTo, ON DELETE CASCADE)
+ * - variant: variante reservada (belongsTo, ON DELETE CASCADE)
+ *
+ * A diferencia del libro de inventario, las reservas son transitorias:
+ * se eliminan junto con el producto o la variante.
+ *
+ * @module ReservationModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+import { RESERVATION_STATUSES } from "../../../Domain/Reservations/Entities/Reservation.js";
+
+/**
+ * Construye y configura el modelo de Reservation para Sequelize
+ *
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la entidad Reservation
+ *
+ * @example
+ * const ReservationModel = buildReservationModel(sequelize);
+ */
+export function buildReservationModel(sequelize) {
+
+  const ReservationModel = sequelize.define('Reservation', {
+
+    /**
+     * Identificador único de la reserva (UUID v4)
+     */
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Identificador único de la reserva (UUID v4)'
+    },
+
+    /**
+     * Producto reservado
+     */
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Producto reservado'
+    },
+
+    /**
+     * Variante reservada
+     */
+    variantId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Variante reservada; NULL si la reserva es sobre el stock del producto'
+    },
+
+    /**
+     * Unidades reservadas
+     */
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: {
+          args: [1],
+          msg: 'La cantidad reservada debe ser mayor a 0'
+        }
+      },
+      comment: 'Unidades reservadas'
+    },
+
+    /**
+     * Estado de la reserva
+     */
+    status: {
+      type: DataTypes.ENUM(...RESERVATION_STATUSES),
+      allowNull: false,
+      defaultValue: 'active',
+      comment: 'Estado (active, released, expired, consumed)'
+    },
+
+    /**
+     * Vencimiento
+     */
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Fecha a partir de la cual la reserva deja de retener stock'
+    },
+
+    /**
+     * Referencia externa
+     */
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Referencia externa (carrito, checkout...)'
+    },
+
+  }, {
+
+    tableName: 'stock_reservations',
+
+    timestamps: true,
+
+    indexes: [
+      {
+        // Suma de las reservas activas de un producto o variante
+        fields: ['productId', 'variantId', 'status'],
+        name: 'stock_reservations_target_status_idx'
+      },
+      {
+        // Barrido de reservas vencidas
+        fields: ['status', 'expiresAt'],
+        name: 'stock_reservations_status_expires_idx'
+      }
+    ],
+
+    comment: 'Reservas temporales de stock'
+  });
+
+  /**
+   * Registra las relaciones del modelo
+   *
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   *
+   * @static
+   */
+  ReservationModel.associate = function(models) {
+    this.belongsTo(models.Product, {
+      as: 'product',
+      foreignKey: 'productId',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+
+    this.belongsTo(models.ProductVariant, {
+      as: 'variant',
+      foreignKey: 'variantId',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+  };
+
+  return ReservationModel;
+}
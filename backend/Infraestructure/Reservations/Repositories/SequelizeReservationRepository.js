@@ -0,0 +1,210 @@
+/**
+ * Repositorio de Reservas de Stock - Implementación con Sequelize
+ *
+ * Adaptador entre la entidad Reservation y la tabla 'stock_reservations'.
+ * La exclusión mutua entre reservas concurrentes no vive aquí: el caso de
+ * uso bloquea la fila del producto antes de sumar y crear.
+ *
+ * @class SequelizeReservationRepository
+ * @implements {ReservationRepositoryPort}
+ * @author Backend Team
+ */
+
+import { Op } from "sequelize";
+import { Reservation } from "../../../Domain/Reservations/Entities/Reservation.js";
+
+export class SequelizeReservationRepository {
+
+  /**
+   * Constructor del repositorio
+   *
+   * @param {Model} ReservationModel - Modelo de Sequelize para la entidad Reservation
+   */
+  constructor(ReservationModel) {
+    /**
+     * Modelo de Sequelize para operaciones de base de datos
+     * @type {Model}
+     * @private
+     */
+    this.ReservationModel = ReservationModel;
+  }
+
+  /**
+   * Convierte un registro de base de datos a entidad de dominio
+   *
+   * @param {Object|null} row - Registro de Sequelize o null
+   * @returns {Reservation|null} Entidad de dominio o null si no existe
+   *
+   * @private
+   */
+  #toDomain(row) {
+    if (!row) return null;
+
+    try {
+      return new Reservation({
+        id: row.id,
+        productId: row.productId,
+        variantId: row.variantId ?? null,
+        quantity: row.quantity,
+        status: row.status,
+        expiresAt: row.expiresAt,
+        reference: row.reference ?? null,
+        createdAt: row.createdAt ?? null,
+      });
+    } catch (error) {
+      throw new Error(`Error de mapeo de datos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Crea una reserva
+   *
+   * @param {Reservation} reservationEntity - Entidad de dominio a persistir
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Reservation>} Reserva persistida con ID asignado
+   */
+  async create(reservationEntity, transaction) {
+    try {
+      const row = await this.ReservationModel.create({
+        productId: reservationEntity.productId,
+        variantId: reservationEntity.variantId,
+        quantity: reservationEntity.quantity,
+        status: reservationEntity.status,
+        expiresAt: reservationEntity.expiresAt,
+        reference: reservationEntity.reference,
+      }, {
+        transaction,
+        returning: true,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error creando reserva: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca una reserva por su identificador
+   *
+   * @param {string} id - Identificador de la reserva
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @param {Object} [options] - Opciones de consulta
+   * @param {boolean} [options.lock=false] - Bloquear la fila hasta el fin de la transacción
+   * @returns {Promise<Reservation|null>} Entidad encontrada o null
+   */
+  async findById(id, transaction, { lock = false } = {}) {
+    try {
+      const row = await this.ReservationModel.findByPk(id, {
+        transaction,
+        lock: lock && transaction ? transaction.LOCK.UPDATE : undefined,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando reserva por id: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca las reservas activas con una referencia
+   *
+   * @param {string} reference - Referencia externa (ej: id del carrito)
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Reservation[]>} Reservas activas y sin vencer
+   */
+  async findActiveByReference(reference, transaction) {
+    try {
+      const rows = await this.ReservationModel.findAll({
+        where: {
+          reference,
+          status: 'active',
+          expiresAt: { [Op.gt]: new Date() },
+        },
+        transaction,
+      });
+
+      return rows.map(row => this.#toDomain(row));
+
+    } catch (error) {
+      throw new Error(`Error buscando reservas por referencia: ${error.message}`);
+    }
+  }
+
+  /**
+   * Suma las unidades retenidas por reservas activas
+   *
+   * @param {Object} target - Stock reservado
+   * @param {string} target.productId - Producto
+   * @param {string|null} [target.variantId] - Variante; null suma las reservas sobre el stock del producto
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<number>} Unidades reservadas
+   */
+  async sumActive({ productId, variantId = null }, transaction) {
+    try {
+      const total = await this.ReservationModel.sum('quantity', {
+        where: {
+          productId,
+          variantId,
+          status: 'active',
+          expiresAt: { [Op.gt]: new Date() },
+        },
+        transaction,
+      });
+
+      return Number(total ?? 0);
+
+    } catch (error) {
+      throw new Error(`Error sumando reservas activas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cambia el estado de una reserva
+   *
+   * @param {string} id - Identificador de la reserva
+   * @param {string} status - Nuevo estado
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<Reservation|null>} Reserva actualizada o null si no existe
+   */
+  async updateStatus(id, status, transaction) {
+    try {
+      const row = await this.ReservationModel.findByPk(id, { transaction });
+
+      if (!row) return null;
+
+      row.set({ status });
+      await row.save({ transaction });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error actualizando reserva: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marca como vencidas las reservas activas cuyo vencimiento ya pasó
+   *
+   * @param {Date} now - Momento de referencia
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<number>} Cantidad de reservas marcadas
+   */
+  async expireOverdue(now, transaction) {
+    try {
+      const [count] = await this.ReservationModel.update({ status: 'expired' }, {
+        where: {
+          status: 'active',
+          expiresAt: { [Op.lte]: now },
+        },
+        transaction,
+      });
+
+      return count;
+
+    } catch (error) {
+      throw new Error(`Error liberando reservas vencidas: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * Barrido de Reservas Vencidas
+ *
+ * Tarea en proceso que, cada SWEEP_INTERVAL_MS, marca como vencidas las
+ * reservas cuya vigencia terminó. La disponibilidad no depende del barrido
+ * (las consultas ya ignoran las reservas vencidas): su función es mantener
+ * el estado persistido al día.
+ *
+ * Con varias instancias de la API cada una ejecuta su propio barrido; la
+ * operación es idempotente, por lo que no requiere coordinación.
+ *
+ * Cada barrido corre en su propio contexto de log (job y jobId), así sus
+ * consultas y transacciones se agrupan como las de una petición.
+ *
+ * @class ReservationSweeper
+ * @author Backend Team
+ */
+
+import { randomUUID } from 'node:crypto';
+import { runWithContext } from '../../Shared/requestContext.js';
+
+export class ReservationSweeper {
+
+  /**
+   * Constructor del barrido
+   *
+   * @param {Object} dependencies - Dependencias inyectadas
+   * @param {ReservationService} dependencies.reservationService - Servicio de reservas
+   * @param {Object} dependencies.env - Configuración (intervalo del barrido)
+   * @param {Logger} dependencies.logger - Logger de la aplicación
+   */
+  constructor({ reservationService, env, logger }) {
+    /**
+     * Servicio de reservas
+     * @type {ReservationService}
+     * @private
+     */
+    this.reservationService = reservationService;
+
+    /**
+     * Logger del barrido
+     * @type {Logger}
+     * @private
+     */
+    this.logger = logger.child({ component: 'reservation-sweeper' });
+
+    /**
+     * Intervalo entre barridos en milisegundos (0 = deshabilitado)
+     * @type {number}
+     * @private
+     */
+    this.intervalMs = env.RESERVATIONS.SWEEP_INTERVAL_MS;
+
+    /**
+     * Temporizador activo (null si está detenido)
+     * @type {NodeJS.Timeout|null}
+     * @private
+     */
+    this.timer = null;
+
+    /**
+     * Barrido en curso (null si no hay). Evita que dos barridos se
+     * superpongan si uno demora más que el intervalo, y permite esperarlo
+     * al detener
+     * @type {Promise<number>|null}
+     * @private
+     */
+    this.current = null;
+  }
+
+  /**
+   * Inicia el barrido periódico
+   *
+   * El temporizador no mantiene vivo el proceso (unref).
+   *
+   * @returns {boolean} true si quedó programado, false si está deshabilitado
+   */
+  start() {
+    if (this.timer || this.intervalMs <= 0) return false;
+
+    this.timer = setInterval(
+      () => runWithContext({ job: 'reservation-sweep', jobId: randomUUID() }, () => this.sweep()),
+      this.intervalMs
+    );
+    this.timer.unref();
+
+    return true;
+  }
+
+  /**
+   * Detiene el barrido periódico
+   *
+   * Espera al barrido en curso, si lo hay: en el apagado, el pool de
+   * conexiones se cierra después.
+   *
+   * @returns {Promise<void>} Se resuelve cuando no queda barrido en curso
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    await this.current;
+  }
+
+  /**
+   * Ejecuta un barrido
+   *
+   * Nunca rechaza: un error se registra y el siguiente barrido reintenta.
+   *
+   * @returns {Promise<number>} Cantidad de reservas vencidas (0 si se omitió o falló)
+   */
+  async sweep() {
+    if (this.current) return 0;
+
+    this.current = this.#expireOverdue();
+
+    try {
+      return await this.current;
+    } finally {
+      this.current = null;
+    }
+  }
+
+  /**
+   * Vence las reservas y registra el resultado
+   *
+   * @returns {Promise<number>} Cantidad de reservas vencidas (0 si falló)
+   *
+   * @private
+   */
+  async #expireOverdue() {
+    try {
+      const result = await this.reservationService.expireOverdue();
+
+      if (result.isFailure) {
+        this.logger.error('Barrido de reservas fallido', { code: result.error.code, message: result.error.message });
+        return 0;
+      }
+
+      if (result.value.expired > 0) {
+        this.logger.info('Reservas vencidas liberadas', { expired: result.value.expired });
+      }
+
+      return result.value.expired;
+
+    } catch (error) {
+      this.logger.error('Barrido de reservas fallido', { error });
+      return 0;
+    }
+  }
+}
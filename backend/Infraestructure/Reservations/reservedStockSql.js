@@ -0,0 +1,31 @@
+/**
+ * SQL de Unidades Reservadas
+ *
+ * Subconsulta escalar compartida por los repositorios que exponen el
+ * stock disponible (productos y variantes). Una reserva retiene stock
+ * mientras está activa y no venció: el vencimiento se evalúa en la
+ * consulta, sin esperar a que el barrido la marque.
+ *
+ * @module ReservedStockSql
+ * @author Backend Team
+ */
+
+/**
+ * Subconsulta con las unidades retenidas por reservas activas
+ *
+ * @param {string} productRef - Expresión SQL con el id del producto (ej: '"Product"."id"')
+ * @param {string|null} [variantRef=null] - Expresión SQL con el id de la variante;
+ *   null cuenta solo las reservas sobre el stock propio del producto
+ * @returns {string} Fragmento SQL de tipo integer (0 si no hay reservas)
+ *
+ * @example
+ * literal(reservedStockSql('"Product"."id"'))
+ */
+export const reservedStockSql = (productRef, variantRef = null) => `(
+  SELECT COALESCE(SUM(r.quantity), 0)::integer
+  FROM stock_reservations r
+  WHERE r."productId" = ${productRef}
+    AND r."variantId" ${variantRef ? `= ${variantRef}` : 'IS NULL'}
+    AND r.status = 'active'
+    AND r."expiresAt" > NOW()
+)`;
@@ -0,0 +1,98 @@
+/**
+ * Almacenamiento de Imágenes en Disco Local
+ *
+ * Adaptador por defecto de ImageStoragePort: escribe los archivos bajo un
+ * directorio raíz y los expone con una URL pública que index.js sirve con
+ * express.static. Un adaptador de almacenamiento de objetos (S3, GCS...)
+ * solo necesita implementar el mismo contrato (save/delete) y devolver
+ * la URL pública del objeto.
+ *
+ * @class LocalDiskImageStorage
+ * @implements {ImageStoragePort}
+ * @author Backend Team
+ */
+
+import { mkdir, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+export class LocalDiskImageStorage {
+
+  /**
+   * Constructor del adaptador
+   *
+   * @param {Object} options - Configuración del almacenamiento
+   * @param {string} options.rootDir - Directorio raíz donde se escriben los archivos
+   * @param {string} options.publicUrl - Prefijo de las URLs públicas (ej: /uploads)
+   */
+  constructor({ rootDir, publicUrl }) {
+    /**
+     * Directorio raíz absoluto
+     * @type {string}
+     * @private
+     */
+    this.rootDir = path.resolve(rootDir);
+
+    /**
+     * Prefijo de las URLs públicas, sin "/" final
+     * @type {string}
+     * @private
+     */
+    this.publicUrl = publicUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Resuelve la ruta absoluta de una clave
+   *
+   * @param {string} key - Clave relativa (ej: products/<id>/<uuid>.jpg)
+   * @returns {string} Ruta absoluta dentro de rootDir
+   * @throws {Error} Si la clave intenta salir del directorio raíz
+   *
+   * @private
+   */
+  #resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Clave de almacenamiento inválida: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Guarda un archivo
+   *
+   * @param {string} key - Clave relativa del archivo
+   * @param {Buffer} content - Contenido binario
+   * @param {string} _contentType - Tipo MIME (el disco local no lo necesita)
+   * @returns {Promise<{ key: string, url: string }>} Clave y URL pública
+   */
+  async save(key, content, _contentType) {
+    const filePath = this.#resolve(key);
+
+    try {
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await writeFile(filePath, content);
+
+      return { key, url: `${this.publicUrl}/${key}` };
+
+    } catch (error) {
+      throw new Error(`Error guardando archivo ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina un archivo (no falla si no existe)
+   *
+   * @param {string} key - Clave relativa del archivo
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    try {
+      await rm(this.#resolve(key), { force: true });
+
+    } catch (error) {
+      throw new Error(`Error eliminando archivo ${key}: ${error.message}`);
+    }
+  }
+}
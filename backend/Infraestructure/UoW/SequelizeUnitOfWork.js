@@ -16,6 +16,11 @@
  * - Reduce el acoplamiento entre lógica de negocio y detalles de persistencia
  * - Facilita el testing con transacciones mock
  * 
+ * Cada transacción se registra con su id (el mismo que Sequelize muestra en
+ * los logs de sus consultas) y, por el contexto de la petición, con el
+ * requestId que la originó: una reversión se rastrea hasta la petición.
+ * Además se cuenta en la métrica db_transactions_total por resultado.
+ * 
  * Casos de uso típicos:
  * - Crear un producto y actualizar inventario
  * - Procesar una orden con múltiples productos
@@ -33,14 +38,30 @@ export class SequelizeUnitOfWork {
    * Constructor del Unit of Work
    * 
    * @param {Sequelize} sequelize - Instancia configurada de Sequelize
+   * @param {Logger} logger - Logger de la aplicación
+   * @param {MetricsPort} metrics - Registro de métricas (cuenta commits y reversiones)
    */
-  constructor(sequelize) {
+  constructor(sequelize, logger, metrics) {
     /**
      * Instancia de Sequelize para manejo de transacciones
      * @type {Sequelize}
      * @private
      */
     this.sequelize = sequelize;
+
+    /**
+     * Logger de las transacciones
+     * @type {Logger}
+     * @private
+     */
+    this.logger = logger.child({ component: 'unit-of-work' });
+
+    /**
+     * Registro de métricas de las transacciones
+     * @type {MetricsPort}
+     * @private
+     */
+    this.metrics = metrics;
   }
 
   /**
@@ -79,7 +100,7 @@ export class SequelizeUnitOfWork {
    *     await repository2.update(data2, tx);
    *   });
    * } catch (error) {
-   *   console.error('Transacción fallida:', error.message);
+   *   logger.error('Transacción fallida', { error });
    *   // La transacción ya fue revertida automáticamente
    * }
    */
@@ -100,10 +121,8 @@ export class SequelizeUnitOfWork {
       // Confirmar todos los cambios en la base de datos
       await transaction.commit();
       
-      // Logging de éxito en desarrollo
-      if (process.env.NODE_ENV === 'development') {
-        console.log('✅ Transacción confirmada exitosamente');
-      }
+      this.metrics.countTransaction('commit');
+      this.logger.debug('Transacción confirmada', { transactionId: transaction.id });
       
       return result;
       
@@ -114,17 +133,27 @@ export class SequelizeUnitOfWork {
         // Revertir todos los cambios realizados en la transacción
         await transaction.rollback();
         
-        // Logging de rollback en desarrollo
-        if (process.env.NODE_ENV === 'development') {
-          console.log('🔄 Transacción revertida debido a error:', error.message);
+        this.metrics.countTransaction('rollback');
+        
+        // Las reversiones previstas (errores de negocio 4xx, señales como la
+        // de un ensayo de importación) se registran en debug; las demás en
+        // warn, con el error completo
+        if (error?.expected || error?.httpCode < 500) {
+          this.logger.debug('Transacción revertida', { transactionId: transaction.id, code: error.code });
+        } else {
+          this.logger.warn('Transacción revertida', { transactionId: transaction.id, error });
         }
         
       } catch (rollbackError) {
         // Error crítico: no se pudo revertir la transacción
-        console.error('💥 Error crítico en rollback:', rollbackError);
-        
         // En producción, esto debería alertar al equipo de operaciones
-        // TODO: Implementar alertas de monitoreo
+        this.metrics.countTransaction('rollback_failed');
+        
+        this.logger.error('No se pudo revertir la transacción', {
+          transactionId: transaction.id,
+          error: rollbackError,
+          cause: error
+        });
       }
       
       // Re-lanzar el error original para que el llamador pueda manejarlo
@@ -0,0 +1,138 @@
+/**
+ * Modelo de Datos: RefreshTokenModel
+ *
+ * Define la estructura de la tabla 'refresh_tokens' en PostgreSQL. Cada
+ * fila es un refresh token emitido; el token en claro no se guarda, solo
+ * su hash SHA-256.
+ *
+ * Relaciones (ver associate):
+ * - user: usuario dueño (belongsTo, ON DELETE CASCADE)
+ *
+ * @module RefreshTokenModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+
+/**
+ * Construye y configura el modelo de RefreshToken para Sequelize
+ *
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la entidad RefreshToken
+ *
+ * @example
+ * const RefreshTokenModel = buildRefreshTokenModel(sequelize);
+ */
+export function buildRefreshTokenModel(sequelize) {
+
+  const RefreshTokenModel = sequelize.define('RefreshToken', {
+
+    /**
+     * Identificador único del token (UUID v4)
+     */
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Identificador único del refresh token (UUID v4)'
+    },
+
+    /**
+     * Usuario dueño
+     */
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Usuario dueño del token'
+    },
+
+    /**
+     * Hash del token
+     */
+    tokenHash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false,
+      unique: {
+        name: 'refresh_tokens_hash_unique',
+        msg: 'El hash del refresh token ya existe'
+      },
+      comment: 'SHA-256 del token en hexadecimal'
+    },
+
+    /**
+     * Familia (inicio de sesión del que desciende el token)
+     */
+    familyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Inicio de sesión del que desciende; se revoca completa si un token se reutiliza'
+    },
+
+    /**
+     * Vencimiento
+     */
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Fecha de vencimiento'
+    },
+
+    /**
+     * Revocación
+     */
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha de revocación; NULL mientras el token esté vigente'
+    },
+
+    /**
+     * Token que lo reemplazó al rotar
+     */
+    replacedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Refresh token emitido al rotar este'
+    },
+
+  }, {
+
+    tableName: 'refresh_tokens',
+
+    timestamps: true,
+
+    updatedAt: false,
+
+    indexes: [
+      {
+        // Revocación de la familia completa
+        fields: ['familyId'],
+        name: 'refresh_tokens_family_idx'
+      },
+      {
+        fields: ['userId'],
+        name: 'refresh_tokens_user_idx'
+      }
+    ],
+
+    comment: 'Refresh tokens emitidos (rotación con detección de reutilización)'
+  });
+
+  /**
+   * Registra las relaciones del modelo
+   *
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   *
+   * @static
+   */
+  RefreshTokenModel.associate = function(models) {
+    this.belongsTo(models.User, {
+      as: 'user',
+      foreignKey: 'userId',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+  };
+
+  return RefreshTokenModel;
+}
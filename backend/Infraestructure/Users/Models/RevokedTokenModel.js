@@ -0,0 +1,65 @@
+/**
+ * Modelo de Datos: RevokedTokenModel
+ *
+ * Define la estructura de la tabla 'revoked_tokens' en PostgreSQL: la lista
+ * de revocación de access tokens, identificados por su claim jti. Las filas
+ * vencidas se pueden borrar porque el token ya no pasaría la verificación.
+ *
+ * @module RevokedTokenModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+
+/**
+ * Construye y configura el modelo de RevokedToken para Sequelize
+ *
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la lista de revocación
+ *
+ * @example
+ * const RevokedTokenModel = buildRevokedTokenModel(sequelize);
+ */
+export function buildRevokedTokenModel(sequelize) {
+
+  const RevokedTokenModel = sequelize.define('RevokedToken', {
+
+    /**
+     * Identificador del access token (claim jti)
+     */
+    jti: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      comment: 'Claim jti del access token revocado'
+    },
+
+    /**
+     * Vencimiento del access token
+     */
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Vencimiento del access token; después la fila puede borrarse'
+    },
+
+  }, {
+
+    tableName: 'revoked_tokens',
+
+    timestamps: true,
+
+    updatedAt: false,
+
+    indexes: [
+      {
+        // Purga de entradas vencidas
+        fields: ['expiresAt'],
+        name: 'revoked_tokens_expires_idx'
+      }
+    ],
+
+    comment: 'Lista de revocación de access tokens'
+  });
+
+  return RevokedTokenModel;
+}
@@ -0,0 +1,118 @@
+/**
+ * Modelo de Datos: UserModel
+ *
+ * Define la estructura de la tabla 'users' en PostgreSQL usando Sequelize ORM.
+ * La contraseña se guarda únicamente como hash bcrypt (60 caracteres).
+ *
+ * Relaciones (ver associate):
+ * - refreshTokens: refresh tokens emitidos (hasMany, ON DELETE CASCADE)
+ *
+ * @module UserModel
+ * @author Backend Team
+ */
+
+import { DataTypes } from "sequelize";
+import { DEFAULT_ROLE, ROLES } from "../../../Domain/Users/Entities/Role.js";
+
+/**
+ * Construye y configura el modelo de User para Sequelize
+ *
+ * @param {Sequelize} sequelize - Instancia de Sequelize configurada
+ * @returns {Model} Modelo de Sequelize para la entidad User
+ *
+ * @example
+ * const UserModel = buildUserModel(sequelize);
+ */
+export function buildUserModel(sequelize) {
+
+  const UserModel = sequelize.define('User', {
+
+    /**
+     * Identificador único del usuario (UUID v4)
+     */
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Identificador único del usuario (UUID v4)'
+    },
+
+    /**
+     * Email único, en minúsculas
+     */
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: {
+        name: 'users_email_unique',
+        msg: 'Ya existe un usuario con este email'
+      },
+      validate: {
+        isEmail: {
+          msg: 'El email no tiene un formato válido'
+        }
+      },
+      comment: 'Email con el que inicia sesión, único y en minúsculas'
+    },
+
+    /**
+     * Nombre para mostrar
+     */
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Nombre para mostrar'
+    },
+
+    /**
+     * Hash bcrypt de la contraseña
+     */
+    passwordHash: {
+      type: DataTypes.STRING(60),
+      allowNull: false,
+      comment: 'Hash bcrypt de la contraseña'
+    },
+
+    /**
+     * Rol del usuario
+     */
+    role: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: DEFAULT_ROLE,
+      validate: {
+        isIn: {
+          args: [ROLES],
+          msg: 'El rol no es válido'
+        }
+      },
+      comment: 'Rol del usuario (admin, catalog-editor, viewer, customer)'
+    },
+
+  }, {
+
+    tableName: 'users',
+
+    timestamps: true,
+
+    comment: 'Cuentas de usuario'
+  });
+
+  /**
+   * Registra las relaciones del modelo
+   *
+   * @param {Object} models - Modelos registrados (sequelize.models)
+   *
+   * @static
+   */
+  UserModel.associate = function(models) {
+    this.hasMany(models.RefreshToken, {
+      as: 'refreshTokens',
+      foreignKey: 'userId',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+  };
+
+  return UserModel;
+}
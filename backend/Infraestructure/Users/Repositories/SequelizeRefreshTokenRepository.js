@@ -0,0 +1,149 @@
+/**
+ * Repositorio de Refresh Tokens - Implementación con Sequelize
+ *
+ * Adaptador entre la entidad de dominio RefreshToken y la tabla
+ * 'refresh_tokens'. Los tokens se buscan por su hash: el token en claro
+ * nunca llega a la base.
+ *
+ * @class SequelizeRefreshTokenRepository
+ * @implements {RefreshTokenRepositoryPort}
+ * @author Backend Team
+ */
+
+import { RefreshToken } from "../../../Domain/Users/Entities/RefreshToken.js";
+
+export class SequelizeRefreshTokenRepository {
+
+  /**
+   * Constructor del repositorio
+   *
+   * @param {Model} RefreshTokenModel - Modelo de Sequelize para la entidad RefreshToken
+   */
+  constructor(RefreshTokenModel) {
+    /**
+     * Modelo de Sequelize para operaciones de base de datos
+     * @type {Model}
+     * @private
+     */
+    this.RefreshTokenModel = RefreshTokenModel;
+  }
+
+  /**
+   * Convierte un registro de base de datos a entidad de dominio
+   *
+   * @param {Object|null} row - Registro de Sequelize o null
+   * @returns {RefreshToken|null} Entidad de dominio o null si no existe
+   *
+   * @private
+   */
+  #toDomain(row) {
+    if (!row) return null;
+
+    try {
+      return new RefreshToken({
+        id: row.id,
+        userId: row.userId,
+        tokenHash: row.tokenHash,
+        familyId: row.familyId,
+        expiresAt: row.expiresAt,
+        revokedAt: row.revokedAt ?? null,
+        replacedById: row.replacedById ?? null,
+        createdAt: row.createdAt ?? null,
+      });
+    } catch (error) {
+      throw new Error(`Error de mapeo de datos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Registra un refresh token emitido
+   *
+   * @param {RefreshToken} tokenEntity - Entidad de dominio a persistir
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<RefreshToken>} Entidad persistida con ID asignado
+   */
+  async create(tokenEntity, transaction) {
+    try {
+      const row = await this.RefreshTokenModel.create({
+        userId: tokenEntity.userId,
+        tokenHash: tokenEntity.tokenHash,
+        familyId: tokenEntity.familyId,
+        expiresAt: tokenEntity.expiresAt,
+      }, {
+        transaction,
+        returning: true,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error registrando refresh token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca un refresh token por su hash
+   *
+   * @param {string} tokenHash - SHA-256 del token en hexadecimal
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @param {Object} [options] - Opciones de consulta
+   * @param {boolean} [options.lock=false] - Bloquear la fila hasta el fin de la transacción
+   * @returns {Promise<RefreshToken|null>} Entidad encontrada o null
+   */
+  async findByHash(tokenHash, transaction, { lock = false } = {}) {
+    try {
+      const row = await this.RefreshTokenModel.findOne({
+        where: { tokenHash },
+        transaction,
+        lock: lock && transaction ? transaction.LOCK.UPDATE : undefined,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando refresh token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoca un refresh token
+   *
+   * @param {string} id - Identificador del token
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @param {Object} [options] - Opciones
+   * @param {string|null} [options.replacedById=null] - Token emitido al rotarlo
+   * @returns {Promise<void>}
+   */
+  async revoke(id, transaction, { replacedById = null } = {}) {
+    try {
+      await this.RefreshTokenModel.update(
+        { revokedAt: new Date(), replacedById },
+        { where: { id, revokedAt: null }, transaction }
+      );
+
+    } catch (error) {
+      throw new Error(`Error revocando refresh token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoca todos los tokens vigentes de una familia
+   *
+   * @param {string} familyId - Familia a revocar
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<number>} Cantidad de tokens revocados
+   */
+  async revokeFamily(familyId, transaction) {
+    try {
+      const [count] = await this.RefreshTokenModel.update(
+        { revokedAt: new Date() },
+        { where: { familyId, revokedAt: null }, transaction }
+      );
+
+      return count;
+
+    } catch (error) {
+      throw new Error(`Error revocando familia de refresh tokens: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Repositorio de la Lista de Revocación - Implementación con Sequelize
+ *
+ * Persiste en la tabla 'revoked_tokens' los jti de los access tokens
+ * revocados antes de su vencimiento (ej: al cerrar sesión).
+ *
+ * @class SequelizeRevokedTokenRepository
+ * @implements {RevokedTokenRepositoryPort}
+ * @author Backend Team
+ */
+
+import { Op } from "sequelize";
+
+export class SequelizeRevokedTokenRepository {
+
+  /**
+   * Constructor del repositorio
+   *
+   * @param {Model} RevokedTokenModel - Modelo de Sequelize para la lista de revocación
+   */
+  constructor(RevokedTokenModel) {
+    /**
+     * Modelo de Sequelize para operaciones de base de datos
+     * @type {Model}
+     * @private
+     */
+    this.RevokedTokenModel = RevokedTokenModel;
+  }
+
+  /**
+   * Agrega un access token a la lista (si ya estaba, no hace nada)
+   *
+   * @param {Object} entry - Token a revocar
+   * @param {string} entry.jti - Claim jti del token
+   * @param {Date} entry.expiresAt - Vencimiento del token
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<void>}
+   */
+  async add({ jti, expiresAt }, transaction) {
+    try {
+      await this.RevokedTokenModel.findOrCreate({
+        where: { jti },
+        defaults: { expiresAt },
+        transaction,
+      });
+
+    } catch (error) {
+      throw new Error(`Error revocando access token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verifica si un access token fue revocado
+   *
+   * @param {string} jti - Claim jti del token
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<boolean>} true si está en la lista
+   */
+  async isRevoked(jti, transaction) {
+    try {
+      const row = await this.RevokedTokenModel.findByPk(jti, { transaction });
+
+      return row !== null;
+
+    } catch (error) {
+      throw new Error(`Error consultando la lista de revocación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina las entradas de tokens ya vencidos
+   *
+   * @param {Date} now - Momento de referencia
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<number>} Cantidad de entradas eliminadas
+   */
+  async purgeExpired(now, transaction) {
+    try {
+      return await this.RevokedTokenModel.destroy({
+        where: { expiresAt: { [Op.lte]: now } },
+        transaction,
+      });
+
+    } catch (error) {
+      throw new Error(`Error purgando la lista de revocación: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Repositorio de Usuarios - Implementación con Sequelize
+ *
+ * Adaptador entre la entidad de dominio User y la tabla 'users'.
+ *
+ * @class SequelizeUserRepository
+ * @implements {UserRepositoryPort}
+ * @author Backend Team
+ */
+
+import { User } from "../../../Domain/Users/Entities/User.js";
+import { normalizeEmail } from "../../../Domain/Customers/Entities/Customer.js";
+
+export class SequelizeUserRepository {
+
+  /**
+   * Constructor del repositorio
+   *
+   * @param {Model} UserModel - Modelo de Sequelize para la entidad User
+   */
+  constructor(UserModel) {
+    /**
+     * Modelo de Sequelize para operaciones de base de datos
+     * @type {Model}
+     * @private
+     */
+    this.UserModel = UserModel;
+  }
+
+  /**
+   * Convierte un registro de base de datos a entidad de dominio
+   *
+   * @param {Object|null} row - Registro de Sequelize o null
+   * @returns {User|null} Entidad de dominio o null si no existe
+   *
+   * @private
+   */
+  #toDomain(row) {
+    if (!row) return null;
+
+    try {
+      return new User({
+        id: row.id,
+        email: row.email,
+        name: row.name ?? null,
+        passwordHash: row.passwordHash,
+        role: row.role,
+        createdAt: row.createdAt ?? null,
+        updatedAt: row.updatedAt ?? null,
+      });
+    } catch (error) {
+      throw new Error(`Error de mapeo de datos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Crea un nuevo usuario
+   *
+   * @param {User} userEntity - Entidad de dominio a persistir
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<User>} Entidad persistida con ID asignado
+   */
+  async create(userEntity, transaction) {
+    try {
+      const row = await this.UserModel.create({
+        email: userEntity.email,
+        name: userEntity.name,
+        passwordHash: userEntity.passwordHash,
+        role: userEntity.role,
+      }, {
+        transaction,
+        returning: true,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error(`Ya existe un usuario con el email "${userEntity.email}"`);
+      }
+
+      throw new Error(`Error creando usuario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca un usuario por su identificador
+   *
+   * @param {string} id - Identificador (UUID)
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<User|null>} Entidad encontrada o null
+   */
+  async findById(id, transaction) {
+    try {
+      const row = await this.UserModel.findByPk(id, { transaction });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando usuario por id: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca un usuario por su email (sin distinguir mayúsculas)
+   *
+   * @param {string} email - Email del usuario
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<User|null>} Entidad encontrada o null
+   */
+  async findByEmail(email, transaction) {
+    try {
+      const row = await this.UserModel.findOne({
+        where: { email: normalizeEmail(email) },
+        transaction,
+      });
+
+      return this.#toDomain(row);
+
+    } catch (error) {
+      throw new Error(`Error buscando usuario por email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cambia el rol de un usuario
+   *
+   * @param {string} id - Identificador del usuario
+   * @param {string} role - Nuevo rol
+   * @param {Transaction} transaction - Transacción de Sequelize
+   * @returns {Promise<User|null>} Entidad actualizada o null si no existe
+   */
+  async updateRole(id, role, transaction) {
+    try {
+      const [count] = await this.UserModel.update(
+        { role },
+        { where: { id }, transaction }
+      );
+
+      return count > 0 ? this.findById(id, transaction) : null;
+
+    } catch (error) {
+      throw new Error(`Error actualizando rol de usuario: ${error.message}`);
+    }
+  }
+}
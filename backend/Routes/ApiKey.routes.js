@@ -0,0 +1,145 @@
+/**
+ * Router de API Keys - Controladores HTTP
+ *
+ * Administración de las credenciales de integraciones máquina a máquina.
+ * Exige el permiso api-keys:manage (solo admin); una API key nunca puede
+ * administrar otras keys.
+ *
+ * @module ApiKeyRoutes
+ * @author Backend Team
+ */
+
+import express from 'express';
+import { errorAsync } from '../Shared/errorHandler.js';
+import { describeRoute } from '../Shared/openApi.js';
+import { validate } from '../Shared/validation.js';
+import { requirePermission } from '../Shared/authGuard.js';
+import { PERMISSIONS } from '../Domain/Users/Entities/Role.js';
+import { idParams } from './Schemas/common.schemas.js';
+import { createApiKeyBody } from './Schemas/ApiKey.schemas.js';
+
+/**
+ * Construye el router de API keys con dependencias inyectadas
+ *
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {ApiKeyService} dependencies.apiKeyService - Servicio de API keys
+ * @returns {Router} Router de Express configurado
+ *
+ * @example
+ * app.use('/api/api-keys', buildApiKeyRouter({ apiKeyService }));
+ */
+export const buildApiKeyRouter = ({ apiKeyService }) => {
+
+  const router = express.Router();
+
+  router.use(requirePermission(PERMISSIONS.API_KEYS_MANAGE));
+
+  // === ENDPOINT: CREAR API KEY ===
+
+  /**
+   * POST /api-keys
+   *
+   * Permiso: api-keys:manage
+   *
+   * Request Body:
+   * {
+   *   "name": "string",          // Nombre de la integración
+   *   "scopes": ["string"],      // read:products | write:products | write:stock
+   *   "expiresAt": "string"      // Opcional: fecha ISO 8601 futura; sin ella no vence
+   * }
+   *
+   * Responses:
+   * - 201: Key creada; el campo key (en claro) solo se muestra en esta respuesta
+   * - 400: Faltan campos, scope inválido o vencimiento no futuro
+   * - 401 / 403: Sin sesión o rol sin permiso
+   */
+  router.post('/', describeRoute({
+    summary: 'Crear API key',
+    responses: {
+      201: 'Key creada; el campo key (en claro) solo se muestra en esta respuesta',
+      400: 'Faltan campos, scope inválido o vencimiento no futuro'
+    }
+  }), validate({ body: createApiKeyBody }), errorAsync(async (req, res) => {
+    const { name, scopes, expiresAt } = req.body;
+
+    const result = await apiKeyService.create(
+      { name, scopes, expiresAt: expiresAt === null ? null : new Date(expiresAt) },
+      { createdById: req.user.id }
+    );
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(201).json({ ...result.value.apiKey.toJSON(), key: result.value.key });
+  }));
+
+  // === ENDPOINT: LISTAR API KEYS ===
+
+  /**
+   * GET /api-keys
+   *
+   * Permiso: api-keys:manage
+   *
+   * Responses:
+   * - 200: Keys (sin la key en claro), las más recientes primero
+   * - 401 / 403: Sin sesión o rol sin permiso
+   */
+  router.get('/', describeRoute({
+    summary: 'Listar API keys',
+    responses: {
+      200: 'Keys (sin la key en claro), las más recientes primero'
+    }
+  }), errorAsync(async (req, res) => {
+    const result = await apiKeyService.getAll();
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: REVOCAR API KEY ===
+
+  /**
+   * DELETE /api-keys/:id
+   *
+   * La key se conserva revocada en el listado.
+   *
+   * Permiso: api-keys:manage
+   *
+   * Responses:
+   * - 204: Key revocada (también si ya lo estaba)
+   * - 400: El id no es un UUID válido
+   * - 401 / 403: Sin sesión o rol sin permiso
+   * - 404: La key no existe
+   */
+  router.delete('/:id', describeRoute({
+    summary: 'Revocar API key',
+    responses: {
+      204: 'Key revocada (también si ya lo estaba)',
+      400: 'El id no es un UUID válido',
+      404: 'La key no existe'
+    }
+  }), validate({ params: idParams }), errorAsync(async (req, res) => {
+    const result = await apiKeyService.revoke(req.params.id);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(204).send();
+  }));
+
+  return router;
+};
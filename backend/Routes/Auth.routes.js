@@ -0,0 +1,202 @@
+/**
+ * Router de Autenticación - Controladores HTTP
+ * 
+ * Endpoints de cuentas de usuario y sesiones. Las respuestas de registro,
+ * inicio de sesión y renovación tienen la misma forma:
+ * 
+ * {
+ *   "accessToken": "string",           // JWT para el header Authorization: Bearer
+ *   "tokenType": "Bearer",
+ *   "expiresIn": 900,                  // Segundos de vigencia del access token
+ *   "refreshToken": "string",          // Opaco; se canjea una sola vez en /auth/refresh
+ *   "refreshTokenExpiresAt": "date"
+ * }
+ * 
+ * @module AuthRoutes
+ * @author Backend Team
+ */
+
+import express from 'express';
+import { errorAsync } from '../Shared/errorHandler.js';
+import { describeRoute } from '../Shared/openApi.js';
+import { requireUser } from '../Shared/authGuard.js';
+import { validate } from '../Shared/validation.js';
+import { registerBody, loginBody, refreshBody, logoutBody } from './Schemas/Auth.schemas.js';
+
+/**
+ * Construye el router de autenticación con dependencias inyectadas
+ * 
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {AuthService} dependencies.authService - Servicio de autenticación
+ * @returns {Router} Router de Express configurado
+ * 
+ * @example
+ * app.use('/api/auth', buildAuthRouter({ authService }));
+ */
+export const buildAuthRouter = ({ authService }) => {
+
+  const router = express.Router();
+
+  // === ENDPOINT: REGISTRO ===
+
+  /**
+   * POST /auth/register
+   * 
+   * Request Body:
+   * {
+   *   "email": "string",      // Email único (se guarda en minúsculas)
+   *   "password": "string",   // Entre 8 caracteres y 72 bytes
+   *   "name": "string"        // Opcional
+   * }
+   * 
+   * Responses:
+   * - 201: Usuario creado ({ user, ...sesión })
+   * - 400: Datos inválidos o email duplicado (USER_ALREADY_EXISTS)
+   */
+  router.post('/register', describeRoute({
+    summary: 'Registrar usuario',
+    responses: {
+      201: 'Usuario creado ({ user, ...sesión })',
+      400: 'Datos inválidos o email duplicado (USER_ALREADY_EXISTS)'
+    }
+  }), validate({ body: registerBody }), errorAsync(async (req, res) => {
+    const { email, password, name } = req.body;
+
+    const result = await authService.register({ email, password, name });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(201).json(result.value);
+  }));
+
+  // === ENDPOINT: INICIO DE SESIÓN ===
+
+  /**
+   * POST /auth/login
+   * 
+   * Request Body:
+   * {
+   *   "email": "string",
+   *   "password": "string",
+   *   "cartId"?: "string",       // Carrito anónimo con el que se navegó
+   *   "cartToken"?: "string"     // Token de ese carrito
+   * }
+   * 
+   * El carrito anónimo pasa a ser del usuario o, si ya tenía uno activo, se
+   * fusiona en él. cartId en la respuesta es el carrito activo del usuario
+   * (accesible con la sesión, sin token) o null.
+   * 
+   * Responses:
+   * - 200: Sesión iniciada ({ user, ...sesión, cartId })
+   * - 400: Faltan campos o cartId no es un UUID
+   * - 401: INVALID_CREDENTIALS (mismo error para email inexistente y contraseña incorrecta)
+   */
+  router.post('/login', describeRoute({
+    summary: 'Iniciar sesión',
+    responses: {
+      200: 'Sesión iniciada ({ user, ...sesión, cartId })',
+      400: 'Faltan campos o cartId no es un UUID',
+      401: 'INVALID_CREDENTIALS (mismo error para email inexistente y contraseña incorrecta)'
+    }
+  }), validate({ body: loginBody }), errorAsync(async (req, res) => {
+    const { email, password, cartId, cartToken } = req.body;
+
+    const result = await authService.login({ email, password, cartId, cartToken });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 401).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: RENOVAR SESIÓN ===
+
+  /**
+   * POST /auth/refresh
+   * 
+   * Canjea el refresh token por un par nuevo. El token presentado queda
+   * revocado; si se vuelve a presentar se revoca la sesión completa.
+   * 
+   * Request Body:
+   * {
+   *   "refreshToken": "string"
+   * }
+   * 
+   * Responses:
+   * - 200: Sesión renovada
+   * - 400: Falta refreshToken
+   * - 401: INVALID_REFRESH_TOKEN (inexistente, vencido o reutilizado)
+   */
+  router.post('/refresh', describeRoute({
+    summary: 'Renovar sesión',
+    responses: {
+      200: 'Sesión renovada',
+      400: 'Falta refreshToken',
+      401: 'INVALID_REFRESH_TOKEN (inexistente, vencido o reutilizado)'
+    }
+  }), validate({ body: refreshBody }), errorAsync(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    const result = await authService.refresh(refreshToken);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 401).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: CERRAR SESIÓN ===
+
+  /**
+   * POST /auth/logout
+   * 
+   * Revoca el access token de la petición y, si se envía, el refresh token
+   * de la sesión.
+   * 
+   * Headers: Authorization: Bearer <accessToken>
+   * 
+   * Request Body (opcional):
+   * {
+   *   "refreshToken": "string"
+   * }
+   * 
+   * Responses:
+   * - 204: Sesión cerrada
+   * - 401: Sin sesión o access token inválido
+   */
+  router.post('/logout', describeRoute({
+    summary: 'Cerrar sesión',
+    responses: {
+      204: 'Sesión cerrada',
+      401: 'Sin sesión o access token inválido'
+    }
+  }), requireUser, validate({ body: logoutBody }), errorAsync(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    const result = await authService.logout({ userId: req.user.id, ...req.auth }, refreshToken);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(204).send();
+  }));
+
+  return router;
+};
@@ -0,0 +1,196 @@
+/**
+ * Router de Marcas - Controladores HTTP
+ * 
+ * Endpoints para administrar las marcas del catálogo. Para listar los
+ * productos de una marca se usa GET /products?brandId=...
+ * Crear, editar y eliminar marcas exige el permiso catalog:write.
+ * 
+ * @module BrandRoutes
+ * @author Backend Team
+ */
+
+import express from 'express';
+import { errorAsync } from '../Shared/errorHandler.js';
+import { describeRoute } from '../Shared/openApi.js';
+import { requirePermission } from '../Shared/authGuard.js';
+import { PERMISSIONS } from '../Domain/Users/Entities/Role.js';
+import { validate } from '../Shared/validation.js';
+import { idParams } from './Schemas/common.schemas.js';
+import { brandBody } from './Schemas/Brand.schemas.js';
+
+/**
+ * Construye el router de marcas con dependencias inyectadas
+ * 
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {BrandService} dependencies.brandService - Servicio de marcas
+ * @returns {Router} Router de Express configurado
+ * 
+ * @example
+ * app.use('/api/brands', buildBrandRouter({ brandService }));
+ */
+export const buildBrandRouter = ({ brandService }) => {
+
+  const router = express.Router();
+
+  // === ENDPOINT: CREAR MARCA ===
+
+  /**
+   * POST /brands
+   * 
+   * Request Body:
+   * {
+   *   "name": "string"   // Nombre único de la marca
+   * }
+   * 
+   * Responses:
+   * - 201: Marca creada
+   * - 400: Datos inválidos o nombre duplicado
+   */
+  router.post('/', describeRoute({
+    summary: 'Crear marca',
+    responses: {
+      201: 'Marca creada',
+      400: 'Datos inválidos o nombre duplicado'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ body: brandBody }), errorAsync(async (req, res) => {
+    const { name } = req.body;
+
+    const result = await brandService.create({ name });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(201).json(result.value);
+  }));
+
+  // === ENDPOINT: LISTAR MARCAS ===
+
+  /**
+   * GET /brands
+   * 
+   * Responses:
+   * - 200: Marcas ordenadas por nombre (lista vacía si no hay)
+   */
+  router.get('/', describeRoute({
+    summary: 'Listar marcas',
+    responses: {
+      200: 'Marcas ordenadas por nombre (lista vacía si no hay)'
+    }
+  }), errorAsync(async (req, res) => {
+    const result = await brandService.getAll();
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: OBTENER MARCA POR ID ===
+
+  /**
+   * GET /brands/:id
+   * 
+   * Responses:
+   * - 200: Marca encontrada
+   * - 400: El id no es un UUID válido
+   * - 404: La marca no existe
+   */
+  router.get('/:id', describeRoute({
+    summary: 'Obtener marca por id',
+    responses: {
+      200: 'Marca encontrada',
+      400: 'El id no es un UUID válido',
+      404: 'La marca no existe'
+    }
+  }), validate({ params: idParams }), errorAsync(async (req, res) => {
+    const result = await brandService.getById(req.params.id);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: REEMPLAZAR MARCA ===
+
+  /**
+   * PUT /brands/:id
+   * 
+   * Request Body:
+   * {
+   *   "name": "string"
+   * }
+   * 
+   * Responses:
+   * - 200: Marca actualizada
+   * - 400: Datos inválidos o nombre duplicado
+   * - 404: La marca no existe
+   */
+  router.put('/:id', describeRoute({
+    summary: 'Reemplazar marca',
+    responses: {
+      200: 'Marca actualizada',
+      400: 'Datos inválidos o nombre duplicado',
+      404: 'La marca no existe'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ params: idParams, body: brandBody }), errorAsync(async (req, res) => {
+    const { name } = req.body;
+
+    const result = await brandService.replace(req.params.id, { name });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: ELIMINAR MARCA ===
+
+  /**
+   * DELETE /brands/:id
+   * 
+   * Responses:
+   * - 204: Marca eliminada
+   * - 400: El id no es un UUID válido
+   * - 404: La marca no existe
+   * - 409: Tiene productos asociados
+   */
+  router.delete('/:id', describeRoute({
+    summary: 'Eliminar marca',
+    responses: {
+      204: 'Marca eliminada',
+      400: 'El id no es un UUID válido',
+      404: 'La marca no existe',
+      409: 'Tiene productos asociados'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ params: idParams }), errorAsync(async (req, res) => {
+    const result = await brandService.remove(req.params.id);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(204).end();
+  }));
+
+  return router;
+};
@@ -0,0 +1,322 @@
+/**
+ * Router de Carritos - Controladores HTTP
+ *
+ * Endpoints del carrito de compras de la tienda. Crear un carrito no
+ * requiere sesión: la respuesta incluye un token que el cliente debe
+ * guardar y enviar en el header X-Cart-Token en cada operación posterior.
+ * Un carrito con dueño (creado con sesión, o asociado al iniciarla) también
+ * acepta la sesión de ese usuario en lugar del token.
+ * Las respuestas devuelven el carrito completo con precios vigentes,
+ * disponibilidad y subtotal.
+ *
+ * @module CartRoutes
+ * @author Backend Team
+ */
+
+import express from 'express';
+import { errorAsync } from '../Shared/errorHandler.js';
+import { describeRoute, headerParameter } from '../Shared/openApi.js';
+import { AppError } from '../Shared/AppError.js';
+import { validate } from '../Shared/validation.js';
+import { idParams, uuidParams } from './Schemas/common.schemas.js';
+import { addCartItemBody, updateCartItemBody, mergeCartBody } from './Schemas/Cart.schemas.js';
+
+/**
+ * Params de las rutas de una línea del carrito
+ * @constant {Object}
+ * @private
+ */
+const itemParams = uuidParams('id', 'itemId');
+
+/**
+ * Header X-Cart-Token en la documentación OpenAPI
+ * @constant {Object}
+ * @private
+ */
+const cartTokenHeader = headerParameter('X-Cart-Token', 'Token del carrito, entregado al crearlo');
+
+/**
+ * Obtiene las credenciales de acceso al carrito
+ *
+ * @param {Request} req - Request de Express
+ * @returns {{ token: (string|null), userId: (string|null) }} Header X-Cart-Token y usuario autenticado
+ * @throws {AppError} UNAUTHORIZED si no se envió el token ni hay sesión
+ *
+ * @private
+ */
+const cartCredentials = (req) => {
+  const token = req.get('X-Cart-Token') ?? null;
+  const userId = req.user?.id ?? null;
+
+  if (!token && !userId) {
+    throw AppError.unauthorized('Se requiere el header X-Cart-Token');
+  }
+
+  return { token, userId };
+};
+
+/**
+ * Construye el router de carritos con dependencias inyectadas
+ *
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {CartService} dependencies.cartService - Servicio de carritos
+ * @returns {Router} Router de Express configurado
+ *
+ * @example
+ * app.use('/api/carts', buildCartRouter({ cartService }));
+ */
+export const buildCartRouter = ({ cartService }) => {
+
+  const router = express.Router();
+
+  // === ENDPOINT: CREAR CARRITO ===
+
+  /**
+   * POST /carts
+   *
+   * Crea un carrito anónimo vacío. El token solo se entrega en esta
+   * respuesta: no puede recuperarse después.
+   *
+   * Con sesión, el carrito queda a nombre del usuario.
+   *
+   * Responses:
+   * - 201: Carrito creado, con el campo token
+   */
+  router.post('/', describeRoute({
+    summary: 'Crear carrito',
+    responses: {
+      201: 'Carrito creado, con el campo token'
+    }
+  }), errorAsync(async (req, res) => {
+    const result = await cartService.create({ userId: req.user?.id ?? null });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    const { cart, token } = result.value;
+
+    return res.status(201).json({ ...cart.toJSON(), token });
+  }));
+
+  // === ENDPOINT: OBTENER CARRITO ===
+
+  /**
+   * GET /carts/:id
+   *
+   * Headers: X-Cart-Token (o la sesión del dueño del carrito)
+   *
+   * Responses:
+   * - 200: Carrito con unitPrice, lineTotal y available por línea, itemCount,
+   *        subtotal y purchasable (todas las líneas pueden comprarse)
+   * - 400: El id no es un UUID válido
+   * - 401: Falta el header X-Cart-Token (o la sesión del dueño)
+   * - 403: El token no corresponde al carrito
+   * - 404: El carrito no existe
+   */
+  router.get('/:id', describeRoute({
+    summary: 'Obtener carrito',
+    parameters: [cartTokenHeader],
+    responses: {
+      200: 'Carrito con unitPrice, lineTotal y available por línea, itemCount, subtotal y purchasable (todas las líneas pueden comprarse)',
+      400: 'El id no es un UUID válido',
+      401: 'Falta el header X-Cart-Token (o la sesión del dueño)',
+      403: 'El token no corresponde al carrito',
+      404: 'El carrito no existe'
+    }
+  }), validate({ params: idParams }), errorAsync(async (req, res) => {
+    const result = await cartService.getById(req.params.id, cartCredentials(req));
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: AGREGAR PRODUCTO ===
+
+  /**
+   * POST /carts/:id/items
+   *
+   * Headers: X-Cart-Token (o la sesión del dueño del carrito)
+   *
+   * Request Body:
+   * {
+   *   "productId": "string",     // UUID del producto
+   *   "variantId"?: "string",    // Requerido si el producto tiene variantes
+   *   "quantity": "number"       // Unidades a agregar (se suman a la línea existente)
+   * }
+   *
+   * Responses:
+   * - 201: Carrito actualizado
+   * - 400: Campos faltantes o inválidos
+   * - 401 / 403: Token ausente o incorrecto
+   * - 404: El carrito, el producto o la variante no existen
+   * - 409: INSUFFICIENT_STOCK o el carrito no está activo
+   */
+  router.post('/:id/items', describeRoute({
+    summary: 'Agregar producto al carrito',
+    parameters: [cartTokenHeader],
+    responses: {
+      201: 'Carrito actualizado',
+      400: 'Campos faltantes o inválidos',
+      401: 'Falta el header X-Cart-Token (o la sesión del dueño)',
+      403: 'El token no corresponde al carrito',
+      404: 'El carrito, el producto o la variante no existen',
+      409: 'INSUFFICIENT_STOCK o el carrito no está activo'
+    }
+  }), validate({ params: idParams, body: addCartItemBody }), errorAsync(async (req, res) => {
+    const { productId, variantId, quantity } = req.body;
+
+    const result = await cartService.addItem(req.params.id, cartCredentials(req), { productId, variantId, quantity });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(201).json(result.value);
+  }));
+
+  // === ENDPOINT: CAMBIAR CANTIDAD ===
+
+  /**
+   * PATCH /carts/:id/items/:itemId
+   *
+   * Headers: X-Cart-Token (o la sesión del dueño del carrito)
+   *
+   * Request Body:
+   * {
+   *   "quantity": "number"       // Nueva cantidad de la línea (> 0)
+   * }
+   *
+   * Responses:
+   * - 200: Carrito actualizado
+   * - 400: Falta quantity o es inválida
+   * - 401 / 403: Token ausente o incorrecto
+   * - 404: El carrito o la línea no existen
+   * - 409: INSUFFICIENT_STOCK o el carrito no está activo
+   */
+  router.patch('/:id/items/:itemId', describeRoute({
+    summary: 'Cambiar cantidad de una línea',
+    parameters: [cartTokenHeader],
+    responses: {
+      200: 'Carrito actualizado',
+      400: 'Falta quantity o es inválida',
+      401: 'Falta el header X-Cart-Token (o la sesión del dueño)',
+      403: 'El token no corresponde al carrito',
+      404: 'El carrito o la línea no existen',
+      409: 'INSUFFICIENT_STOCK o el carrito no está activo'
+    }
+  }), validate({ params: itemParams, body: updateCartItemBody }), errorAsync(async (req, res) => {
+    const { quantity } = req.body;
+
+    const result = await cartService.updateItem(req.params.id, cartCredentials(req), req.params.itemId, { quantity });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: QUITAR LÍNEA ===
+
+  /**
+   * DELETE /carts/:id/items/:itemId
+   *
+   * Headers: X-Cart-Token (o la sesión del dueño del carrito)
+   *
+   * Responses:
+   * - 200: Carrito actualizado
+   * - 401 / 403: Token ausente o incorrecto
+   * - 404: El carrito o la línea no existen
+   * - 409: El carrito no está activo
+   */
+  router.delete('/:id/items/:itemId', describeRoute({
+    summary: 'Quitar línea del carrito',
+    parameters: [cartTokenHeader],
+    responses: {
+      200: 'Carrito actualizado',
+      401: 'Falta el header X-Cart-Token (o la sesión del dueño)',
+      403: 'El token no corresponde al carrito',
+      404: 'El carrito o la línea no existen',
+      409: 'El carrito no está activo'
+    }
+  }), validate({ params: itemParams }), errorAsync(async (req, res) => {
+    const result = await cartService.removeItem(req.params.id, cartCredentials(req), req.params.itemId);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: FUSIONAR CARRITOS ===
+
+  /**
+   * POST /carts/:id/merge
+   *
+   * Traslada las líneas de otro carrito (ej: el anónimo previo al inicio de
+   * sesión) a este. Las cantidades se limitan a las unidades disponibles y
+   * el carrito de origen queda en estado merged.
+   *
+   * Headers: X-Cart-Token (del carrito de destino, o la sesión de su dueño)
+   *
+   * Request Body:
+   * {
+   *   "sourceCartId": "string",  // UUID del carrito de origen
+   *   "sourceToken": "string"    // Token del carrito de origen
+   * }
+   *
+   * Responses:
+   * - 200: Carrito de destino con las líneas fusionadas
+   * - 400: Campos faltantes o el origen es el mismo carrito
+   * - 401 / 403: Token ausente o incorrecto (de cualquiera de los dos)
+   * - 404: Alguno de los carritos no existe
+   * - 409: Alguno de los carritos no está activo
+   */
+  router.post('/:id/merge', describeRoute({
+    summary: 'Fusionar carritos',
+    parameters: [headerParameter('X-Cart-Token', 'Token del carrito de destino')],
+    responses: {
+      200: 'Carrito de destino con las líneas fusionadas',
+      400: 'Campos faltantes o el origen es el mismo carrito',
+      401: 'Falta el header X-Cart-Token (o la sesión del dueño)',
+      403: 'El token no corresponde al carrito (de destino o de origen)',
+      404: 'Alguno de los carritos no existe',
+      409: 'Alguno de los carritos no está activo'
+    }
+  }), validate({ params: idParams, body: mergeCartBody }), errorAsync(async (req, res) => {
+    const { sourceCartId, sourceToken } = req.body;
+
+    const result = await cartService.merge(req.params.id, cartCredentials(req), { sourceCartId, sourceToken });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  return router;
+};
@@ -0,0 +1,252 @@
+/**
+ * Router de Categorías - Controladores HTTP
+ * 
+ * Endpoints para administrar la jerarquía de categorías del catálogo
+ * y consultar los productos de cada una. Las escrituras exigen el
+ * permiso catalog:write.
+ * 
+ * @module CategoryRoutes
+ * @author Backend Team
+ */
+
+import express from 'express';
+import { errorAsync } from '../Shared/errorHandler.js';
+import { describeRoute } from '../Shared/openApi.js';
+import { requirePermission, requirePermissionIf } from '../Shared/authGuard.js';
+import { PERMISSIONS } from '../Domain/Users/Entities/Role.js';
+import { validate } from '../Shared/validation.js';
+import { setPaginationHeaders } from '../Shared/pagination.js';
+import { ProductListCriteria } from '../Application/Products/Queries/ProductListCriteria.js';
+import { idParams } from './Schemas/common.schemas.js';
+import { categoryBody, listCategoriesQuery } from './Schemas/Category.schemas.js';
+import { listProductsQuery } from './Schemas/Product.schemas.js';
+
+/**
+ * Construye el router de categorías con dependencias inyectadas
+ * 
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {CategoryService} dependencies.categoryService - Servicio de categorías
+ * @returns {Router} Router de Express configurado
+ * 
+ * @example
+ * app.use('/api/categories', buildCategoryRouter({ categoryService }));
+ */
+export const buildCategoryRouter = ({ categoryService }) => {
+
+  const router = express.Router();
+
+  // === ENDPOINT: CREAR CATEGORÍA ===
+
+  /**
+   * POST /categories
+   * 
+   * Request Body:
+   * {
+   *   "name": "string",            // Único entre categorías hermanas
+   *   "parentId"?: "uuid" | null   // Categoría padre (omitido = raíz)
+   * }
+   * 
+   * Responses:
+   * - 201: Categoría creada
+   * - 400: Datos inválidos, padre inexistente o nombre duplicado
+   */
+  router.post('/', describeRoute({
+    summary: 'Crear categoría',
+    responses: {
+      201: 'Categoría creada',
+      400: 'Datos inválidos, padre inexistente o nombre duplicado'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ body: categoryBody }), errorAsync(async (req, res) => {
+    const { name, parentId } = req.body;
+
+    const result = await categoryService.create({ name, parentId });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(201).json(result.value);
+  }));
+
+  // === ENDPOINT: LISTAR CATEGORÍAS ===
+
+  /**
+   * GET /categories
+   * 
+   * Query Params:
+   * - tree: "true" para anidar las subcategorías en `children`
+   * 
+   * Responses:
+   * - 200: Categorías ordenadas por nombre (lista vacía si no hay)
+   * - 400: tree no es "true" ni "false"
+   */
+  router.get('/', describeRoute({
+    summary: 'Listar categorías',
+    responses: {
+      200: 'Categorías ordenadas por nombre (lista vacía si no hay)',
+      400: 'tree no es "true" ni "false"'
+    }
+  }), validate({ query: listCategoriesQuery }), errorAsync(async (req, res) => {
+    const result = await categoryService.getAll({ tree: req.query.tree });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: OBTENER CATEGORÍA POR ID ===
+
+  /**
+   * GET /categories/:id
+   * 
+   * Responses:
+   * - 200: Categoría encontrada
+   * - 400: El id no es un UUID válido
+   * - 404: La categoría no existe
+   */
+  router.get('/:id', describeRoute({
+    summary: 'Obtener categoría por id',
+    responses: {
+      200: 'Categoría encontrada',
+      400: 'El id no es un UUID válido',
+      404: 'La categoría no existe'
+    }
+  }), validate({ params: idParams }), errorAsync(async (req, res) => {
+    const result = await categoryService.getById(req.params.id);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: PRODUCTOS DE LA CATEGORÍA ===
+
+  /**
+   * GET /categories/:id/products
+   * 
+   * Productos de la categoría y de todas sus subcategorías. Acepta los
+   * mismos parámetros que GET /products (page, limit, cursor, minPrice,
+   * maxPrice, inStock, q, brandId, sort, order, includeDeleted). Como
+   * allí, includeDeleted requiere el permiso catalog:write.
+   * 
+   * Response Headers: X-Total-Count, X-Page-Count, Link
+   * 
+   * Responses:
+   * - 200: Página de productos (lista vacía si la categoría no tiene)
+   * - 400: Id o parámetros inválidos
+   * - 401 / 403: includeDeleted sin credenciales o sin el permiso catalog:write
+   * - 404: La categoría no existe
+   */
+  router.get('/:id/products', describeRoute({
+    summary: 'Productos de la categoría',
+    responses: {
+      200: 'Página de productos (lista vacía si la categoría no tiene)',
+      400: 'Id o parámetros inválidos',
+      401: 'includeDeleted sin credenciales',
+      403: 'includeDeleted sin el permiso catalog:write',
+      404: 'La categoría no existe'
+    }
+  }), validate({ params: idParams, query: listProductsQuery }), requirePermissionIf(req => req.query.includeDeleted === true, PERMISSIONS.CATALOG_WRITE), errorAsync(async (req, res) => {
+    const criteria = ProductListCriteria.fromQuery(req.query);
+
+    const result = await categoryService.getProducts(req.params.id, criteria);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    setPaginationHeaders(req, res, result.value);
+
+    return res.status(200).json(result.value.items);
+  }));
+
+  // === ENDPOINT: REEMPLAZAR CATEGORÍA ===
+
+  /**
+   * PUT /categories/:id
+   * 
+   * Renombra la categoría o la mueve dentro de la jerarquía
+   * 
+   * Request Body:
+   * {
+   *   "name": "string",
+   *   "parentId"?: "uuid" | null   // omitido o null = raíz
+   * }
+   * 
+   * Responses:
+   * - 200: Categoría actualizada
+   * - 400: Datos inválidos, padre inexistente, ciclo o nombre duplicado
+   * - 404: La categoría no existe
+   */
+  router.put('/:id', describeRoute({
+    summary: 'Reemplazar categoría',
+    responses: {
+      200: 'Categoría actualizada',
+      400: 'Datos inválidos, padre inexistente, ciclo o nombre duplicado',
+      404: 'La categoría no existe'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ params: idParams, body: categoryBody }), errorAsync(async (req, res) => {
+    const { name, parentId } = req.body;
+
+    const result = await categoryService.replace(req.params.id, { name, parentId });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: ELIMINAR CATEGORÍA ===
+
+  /**
+   * DELETE /categories/:id
+   * 
+   * Responses:
+   * - 204: Categoría eliminada
+   * - 400: El id no es un UUID válido
+   * - 404: La categoría no existe
+   * - 409: Tiene subcategorías o productos asociados
+   */
+  router.delete('/:id', describeRoute({
+    summary: 'Eliminar categoría',
+    responses: {
+      204: 'Categoría eliminada',
+      400: 'El id no es un UUID válido',
+      404: 'La categoría no existe',
+      409: 'Tiene subcategorías o productos asociados'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ params: idParams }), errorAsync(async (req, res) => {
+    const result = await categoryService.remove(req.params.id);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(204).end();
+  }));
+
+  return router;
+};
@@ -0,0 +1,245 @@
+/**
+ * Router de Clientes - Controladores HTTP
+ * 
+ * Endpoints para que el equipo de soporte consulte y administre los
+ * clientes sin acceso a la base de datos. Contienen datos personales, por
+ * eso todos exigen permiso: customers:read para consultar (admin, viewer)
+ * y customers:write para modificar (admin). La
+ * libreta de direcciones está en /customers/:customerId/addresses.
+ * 
+ * @module CustomerRoutes
+ * @author Backend Team
+ */
+
+import express from 'express';
+import { errorAsync } from '../Shared/errorHandler.js';
+import { describeRoute } from '../Shared/openApi.js';
+import { validate } from '../Shared/validation.js';
+import { requirePermission } from '../Shared/authGuard.js';
+import { PERMISSIONS } from '../Domain/Users/Entities/Role.js';
+import { setPaginationHeaders } from '../Shared/pagination.js';
+import { CustomerListCriteria } from '../Application/Customers/Queries/CustomerListCriteria.js';
+import { idParams } from './Schemas/common.schemas.js';
+import { customerBody, listCustomersQuery } from './Schemas/Customer.schemas.js';
+
+/**
+ * Construye el router de clientes con dependencias inyectadas
+ * 
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {CustomerService} dependencies.customerService - Servicio de clientes
+ * @returns {Router} Router de Express configurado
+ * 
+ * @example
+ * app.use('/api/customers', buildCustomerRouter({ customerService }));
+ */
+export const buildCustomerRouter = ({ customerService }) => {
+
+  const router = express.Router();
+
+  // === ENDPOINT: CREAR CLIENTE ===
+
+  /**
+   * POST /customers
+   * 
+   * Permiso: customers:write
+   * 
+   * Request Body:
+   * {
+   *   "name": "string",    // Nombre completo
+   *   "email": "string",   // Email único (se guarda en minúsculas)
+   *   "phone": "string"    // Opcional
+   * }
+   * 
+   * Responses:
+   * - 201: Cliente creado
+   * - 400: Datos inválidos o email duplicado (CUSTOMER_ALREADY_EXISTS)
+   * - 401 / 403: Sin sesión o rol sin permiso
+   */
+  router.post('/', describeRoute({
+    summary: 'Crear cliente',
+    responses: {
+      201: 'Cliente creado',
+      400: 'Datos inválidos o email duplicado (CUSTOMER_ALREADY_EXISTS)'
+    }
+  }), requirePermission(PERMISSIONS.CUSTOMERS_WRITE), validate({ body: customerBody }), errorAsync(async (req, res) => {
+    const { name, email, phone } = req.body;
+
+    const result = await customerService.create({ name, email, phone });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(201).json(result.value);
+  }));
+
+  // === ENDPOINT: LISTAR CLIENTES ===
+
+  /**
+   * GET /customers
+   * 
+   * Permiso: customers:read
+   * 
+   * Query Params:
+   * - q: texto contenido en el nombre o el email
+   * - withStats: true para incluir stats { orderCount, lifetimeSpend,
+   *   lastOrderAt } de cada cliente (sin contar pedidos cancelados)
+   * - page, limit: paginación por offset
+   * 
+   * Response Headers: X-Total-Count, X-Page-Count, Link
+   * 
+   * Responses:
+   * - 200: Clientes ordenados por nombre
+   * - 400: Parámetros inválidos
+   * - 401 / 403: Sin sesión o rol sin permiso
+   */
+  router.get('/', describeRoute({
+    summary: 'Listar clientes',
+    responses: {
+      200: 'Clientes ordenados por nombre',
+      400: 'Parámetros inválidos'
+    }
+  }), requirePermission(PERMISSIONS.CUSTOMERS_READ), validate({ query: listCustomersQuery }), errorAsync(async (req, res) => {
+    const criteria = CustomerListCriteria.fromQuery(req.query);
+
+    const result = await customerService.getAll(criteria);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    setPaginationHeaders(req, res, result.value);
+
+    if (!criteria.withStats) {
+      return res.status(200).json(result.value.items);
+    }
+
+    // Cada resultado es el cliente más las estadísticas de sus pedidos
+    return res.status(200).json(
+      result.value.items.map(({ customer, stats }) => ({
+        ...customer.toJSON(),
+        stats
+      }))
+    );
+  }));
+
+  // === ENDPOINT: OBTENER CLIENTE POR ID ===
+
+  /**
+   * GET /customers/:id
+   * 
+   * Permiso: customers:read
+   * 
+   * Responses:
+   * - 200: Cliente encontrado
+   * - 400: El id no es un UUID válido
+   * - 401 / 403: Sin sesión o rol sin permiso
+   * - 404: El cliente no existe
+   */
+  router.get('/:id', describeRoute({
+    summary: 'Obtener cliente por id',
+    responses: {
+      200: 'Cliente encontrado',
+      400: 'El id no es un UUID válido',
+      404: 'El cliente no existe'
+    }
+  }), requirePermission(PERMISSIONS.CUSTOMERS_READ), validate({ params: idParams }), errorAsync(async (req, res) => {
+    const result = await customerService.getById(req.params.id);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: REEMPLAZAR CLIENTE ===
+
+  /**
+   * PUT /customers/:id
+   * 
+   * Permiso: customers:write
+   * 
+   * Request Body:
+   * {
+   *   "name": "string",
+   *   "email": "string",
+   *   "phone": "string"    // Opcional; ausente o null lo elimina
+   * }
+   * 
+   * Responses:
+   * - 200: Cliente actualizado
+   * - 400: Datos inválidos o email de otro cliente (CUSTOMER_ALREADY_EXISTS)
+   * - 401 / 403: Sin sesión o rol sin permiso
+   * - 404: El cliente no existe
+   */
+  router.put('/:id', describeRoute({
+    summary: 'Reemplazar cliente',
+    responses: {
+      200: 'Cliente actualizado',
+      400: 'Datos inválidos o email de otro cliente (CUSTOMER_ALREADY_EXISTS)',
+      404: 'El cliente no existe'
+    }
+  }), requirePermission(PERMISSIONS.CUSTOMERS_WRITE), validate({ params: idParams, body: customerBody }), errorAsync(async (req, res) => {
+    const { name, email, phone } = req.body;
+
+    const result = await customerService.replace(req.params.id, { name, email, phone });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: ELIMINAR CLIENTE ===
+
+  /**
+   * DELETE /customers/:id
+   * 
+   * Elimina el cliente y su libreta de direcciones.
+   * 
+   * Permiso: customers:write
+   * 
+   * Responses:
+   * - 204: Cliente eliminado
+   * - 400: El id no es un UUID válido
+   * - 401 / 403: Sin sesión o rol sin permiso
+   * - 404: El cliente no existe
+   * - 409: Tiene pedidos asociados
+   */
+  router.delete('/:id', describeRoute({
+    summary: 'Eliminar cliente',
+    responses: {
+      204: 'Cliente eliminado',
+      400: 'El id no es un UUID válido',
+      404: 'El cliente no existe',
+      409: 'Tiene pedidos asociados'
+    }
+  }), requirePermission(PERMISSIONS.CUSTOMERS_WRITE), validate({ params: idParams }), errorAsync(async (req, res) => {
+    const result = await customerService.remove(req.params.id);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(204).end();
+  }));
+
+  return router;
+};
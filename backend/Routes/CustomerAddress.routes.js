@@ -0,0 +1,209 @@
+/**
+ * Router de Direcciones de Cliente - Controladores HTTP
+ * 
+ * Endpoints anidados bajo /customers/:customerId/addresses para administrar
+ * la libreta de direcciones de un cliente. Como el resto de la API de
+ * clientes, exigen customers:read para consultar y customers:write para
+ * modificar.
+ * 
+ * @module CustomerAddressRoutes
+ * @author Backend Team
+ */
+
+import express from 'express';
+import { errorAsync } from '../Shared/errorHandler.js';
+import { describeRoute } from '../Shared/openApi.js';
+import { validate } from '../Shared/validation.js';
+import { requirePermission } from '../Shared/authGuard.js';
+import { PERMISSIONS } from '../Domain/Users/Entities/Role.js';
+import { uuidParams } from './Schemas/common.schemas.js';
+import { addressBody, addressPatchBody } from './Schemas/Customer.schemas.js';
+
+/**
+ * Campos editables de una dirección
+ * @constant {string[]}
+ * @private
+ */
+const ADDRESS_FIELDS = ['label', 'line1', 'line2', 'city', 'region', 'postalCode', 'country', 'isDefault'];
+
+/**
+ * Params de las rutas de la libreta (montaje con :customerId)
+ * @constant {Object}
+ * @private
+ */
+const customerParams = uuidParams('customerId');
+
+/**
+ * Params de las rutas de una dirección
+ * @constant {Object}
+ * @private
+ */
+const addressParams = uuidParams('customerId', 'addressId');
+
+/**
+ * Toma del cuerpo solo los campos editables
+ * 
+ * @param {Object} body - req.body
+ * @returns {Object} Campos enviados (los ausentes quedan undefined)
+ * 
+ * @private
+ */
+const pickAddressFields = (body) =>
+  Object.fromEntries(ADDRESS_FIELDS.map(field => [field, body?.[field]]));
+
+/**
+ * Construye el router de direcciones con dependencias inyectadas
+ * 
+ * Usa mergeParams para leer :customerId de la ruta de montaje.
+ * 
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {CustomerAddressService} dependencies.customerAddressService - Servicio de direcciones
+ * @returns {Router} Router de Express configurado
+ * 
+ * @example
+ * app.use('/api/customers/:customerId/addresses', buildCustomerAddressRouter({ customerAddressService }));
+ */
+export const buildCustomerAddressRouter = ({ customerAddressService }) => {
+
+  const router = express.Router({ mergeParams: true });
+
+  // === ENDPOINT: AGREGAR DIRECCIÓN ===
+
+  /**
+   * POST /customers/:customerId/addresses
+   * 
+   * Request Body:
+   * {
+   *   "label"?: "string",        // Ej: Casa, Oficina
+   *   "line1": "string",         // Calle y número
+   *   "line2"?: "string",
+   *   "city": "string",
+   *   "region"?: "string",
+   *   "postalCode"?: "string",
+   *   "country": "string",       // ISO 3166-1 alfa-2 (ej: CO)
+   *   "isDefault"?: "boolean"    // La primera dirección siempre es la predeterminada
+   * }
+   * 
+   * Responses:
+   * - 201: Dirección creada
+   * - 400: Datos inválidos
+   * - 404: El cliente no existe
+   */
+  router.post('/', describeRoute({
+    summary: 'Agregar dirección',
+    responses: {
+      201: 'Dirección creada',
+      400: 'Datos inválidos',
+      404: 'El cliente no existe'
+    }
+  }), requirePermission(PERMISSIONS.CUSTOMERS_WRITE), validate({ params: customerParams, body: addressBody }), errorAsync(async (req, res) => {
+    const fields = pickAddressFields(req.body);
+
+    const result = await customerAddressService.create(req.params.customerId, fields);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(201).json(result.value);
+  }));
+
+  // === ENDPOINT: LISTAR DIRECCIONES ===
+
+  /**
+   * GET /customers/:customerId/addresses
+   * 
+   * Responses:
+   * - 200: Direcciones del cliente, la predeterminada primero
+   * - 404: El cliente no existe
+   */
+  router.get('/', describeRoute({
+    summary: 'Listar direcciones',
+    responses: {
+      200: 'Direcciones del cliente, la predeterminada primero',
+      404: 'El cliente no existe'
+    }
+  }), requirePermission(PERMISSIONS.CUSTOMERS_READ), validate({ params: customerParams }), errorAsync(async (req, res) => {
+    const result = await customerAddressService.getAll(req.params.customerId);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: ACTUALIZAR DIRECCIÓN ===
+
+  /**
+   * PATCH /customers/:customerId/addresses/:addressId
+   * 
+   * Modifica uno o varios campos de la dirección. null en label, line2,
+   * region o postalCode elimina el valor; isDefault: true la marca como
+   * predeterminada (la anterior deja de serlo).
+   * 
+   * Responses:
+   * - 200: Dirección actualizada
+   * - 400: Datos inválidos, sin campos o intento de desmarcar la predeterminada
+   * - 404: El cliente o la dirección no existen
+   */
+  router.patch('/:addressId', describeRoute({
+    summary: 'Actualizar dirección',
+    responses: {
+      200: 'Dirección actualizada',
+      400: 'Datos inválidos, sin campos o intento de desmarcar la predeterminada',
+      404: 'El cliente o la dirección no existen'
+    }
+  }), requirePermission(PERMISSIONS.CUSTOMERS_WRITE), validate({ params: addressParams, body: addressPatchBody }), errorAsync(async (req, res) => {
+    const changes = pickAddressFields(req.body);
+
+    const result = await customerAddressService.update(req.params.customerId, req.params.addressId, changes);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: ELIMINAR DIRECCIÓN ===
+
+  /**
+   * DELETE /customers/:customerId/addresses/:addressId
+   * 
+   * Si era la predeterminada, la más antigua de las restantes pasa a serlo.
+   * 
+   * Responses:
+   * - 204: Dirección eliminada
+   * - 404: El cliente o la dirección no existen
+   */
+  router.delete('/:addressId', describeRoute({
+    summary: 'Eliminar dirección',
+    responses: {
+      204: 'Dirección eliminada',
+      404: 'El cliente o la dirección no existen'
+    }
+  }), requirePermission(PERMISSIONS.CUSTOMERS_WRITE), validate({ params: addressParams }), errorAsync(async (req, res) => {
+    const result = await customerAddressService.remove(req.params.customerId, req.params.addressId);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(204).end();
+  }));
+
+  return router;
+};
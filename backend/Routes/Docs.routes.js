@@ -0,0 +1,87 @@
+/**
+ * Router de Documentación - OpenAPI y Visor Interactivo
+ *
+ * GET /openapi.json devuelve el documento OpenAPI 3.1 generado desde los
+ * routers montados (ver Shared/openApi.js); GET /docs sirve Swagger UI
+ * apuntando a ese documento. Se montan fuera de /api, sin autenticación:
+ * el documento describe la API pública, no datos.
+ *
+ * @module DocsRoutes
+ * @author Backend Team
+ */
+
+import express from 'express';
+import swaggerUi from 'swagger-ui-express';
+import { buildOpenApiDocument } from '../Shared/openApi.js';
+import { routePattern } from '../Shared/httpMetrics.js';
+import { activeMounts, collectMountedRoutes } from './routerMounts.js';
+
+/**
+ * Datos generales del documento OpenAPI
+ * @constant {Object}
+ * @private
+ */
+const API_INFO = {
+  title: 'API de Productos',
+  version: '1.0.0',
+  description: [
+    'API REST de catálogo, inventario, carritos y pedidos.',
+    '',
+    'Los errores responden `{ code, message }` (más `fields` en VALIDATION_ERROR); ver el esquema Error.',
+    'Toda respuesta incluye `X-Request-Id`.'
+  ].join('\n')
+};
+
+/**
+ * Construye el router de documentación con dependencias inyectadas
+ *
+ * Recibe el cradle del contenedor para resolver los routers documentados
+ * por nombre (tabla de routerMounts). El documento se genera en la primera
+ * petición y se reutiliza: los routers no cambian en ejecución.
+ *
+ * @param {Object} cradle - Cradle del contenedor (env y los routers de routerMounts)
+ * @returns {Router} Router de Express configurado
+ *
+ * @example
+ * app.use(buildDocsRouter(container.cradle));
+ */
+export const buildDocsRouter = (cradle) => {
+
+  const router = express.Router();
+  let document = null;
+
+  const getDocument = () => {
+    document ??= buildOpenApiDocument({
+      routes: collectMountedRoutes(activeMounts(cradle.env), name => cradle[name]),
+      info: API_INFO
+    });
+
+    return document;
+  };
+
+  // === ENDPOINT: DOCUMENTO OPENAPI ===
+
+  /**
+   * GET /openapi.json
+   *
+   * Responses:
+   * - 200: Documento OpenAPI 3.1
+   */
+  router.get('/openapi.json', routePattern(''), (_req, res) => {
+    return res.status(200).json(getDocument());
+  });
+
+  // === ENDPOINT: VISOR INTERACTIVO ===
+
+  /**
+   * GET /docs
+   *
+   * Swagger UI con sus recursos estáticos; carga /openapi.json.
+   */
+  router.use('/docs', routePattern('/docs'), swaggerUi.serve, swaggerUi.setup(null, {
+    customSiteTitle: API_INFO.title,
+    swaggerOptions: { url: '/openapi.json' }
+  }));
+
+  return router;
+};
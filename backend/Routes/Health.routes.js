@@ -0,0 +1,96 @@
+/**
+ * Router de Salud - Probes del Orquestador
+ *
+ * GET /health/live y GET /health/ready, montados fuera de /api: no pasan
+ * por authenticate ni por el límite de peticiones, porque el orquestador
+ * los consulta cada pocos segundos y sin credenciales.
+ *
+ * @module HealthRoutes
+ * @author Backend Team
+ */
+
+import express from 'express';
+import { errorAsync } from '../Shared/errorHandler.js';
+import { describeRoute } from '../Shared/openApi.js';
+
+/**
+ * Construye el router de salud con dependencias inyectadas
+ *
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {HealthService} dependencies.healthService - Servicio de salud
+ * @returns {Router} Router de Express configurado
+ *
+ * @example
+ * app.use('/health', buildHealthRouter({ healthService }));
+ */
+export const buildHealthRouter = ({ healthService }) => {
+
+  const router = express.Router();
+
+  // Un probe siempre debe ver el estado actual, nunca una respuesta cacheada
+  router.use((_req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  // === ENDPOINT: LIVENESS ===
+
+  /**
+   * GET /health/live
+   *
+   * Responses:
+   * - 200: { "status": "up", "uptimeSeconds": 3600 }
+   */
+  router.get('/live', describeRoute({
+    summary: 'Liveness: el proceso responde',
+    responses: {
+      200: 'Proceso vivo ({ status: "up", uptimeSeconds })'
+    }
+  }), (_req, res) => {
+    return res.status(200).json(healthService.live());
+  });
+
+  // === ENDPOINT: READINESS ===
+
+  /**
+   * GET /health/ready
+   *
+   * Response Body:
+   * {
+   *   "status": "ready" | "not_ready" | "shutting_down",
+   *   "checks": {
+   *     "database":   { "status": "up", "latencyMs": 1.8 },
+   *     "migrations": { "status": "up", "latencyMs": 2.3, "applied": 4, "pending": [] },
+   *     "pool":       { "status": "up", "latencyMs": 0.1, "inUse": 1, "idle": 2, "waiting": 0, "max": 5 }
+   *   }
+   * }
+   *
+   * Responses:
+   * - 200: Todos los chequeos pasan
+   * - 503: Algún chequeo falló (con status "down" y su error) o el servidor se está apagando
+   */
+  router.get('/ready', describeRoute({
+    summary: 'Readiness: la instancia puede recibir tráfico',
+    description: 'Chequea la base de datos, las migraciones pendientes y el pool de conexiones. El cuerpo es el mismo en 200 y 503: `{ status, checks }`.',
+    responses: {
+      200: 'Todos los chequeos pasan',
+      // El cuerpo es el reporte de chequeos, no el esquema Error
+      503: { description: 'Algún chequeo falló (con status "down" y su error) o el servidor se está apagando' }
+    }
+  }), errorAsync(async (_req, res) => {
+    const result = await healthService.ready();
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 503).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    const { ready, ...report } = result.value;
+
+    return res.status(ready ? 200 : 503).json(report);
+  }));
+
+  return router;
+};
@@ -0,0 +1,104 @@
+/**
+ * Router de Métricas - Exposición para Prometheus
+ *
+ * GET /metrics devuelve las métricas del servicio en formato de texto de
+ * Prometheus: latencia HTTP por ruta y estado, errores por código,
+ * transacciones, pool de conexiones, indicadores de inventario y las
+ * métricas del proceso.
+ *
+ * Se monta fuera de /api: no pasa por authenticate ni por el límite de
+ * peticiones. Si METRICS_TOKEN está configurado exige
+ * "Authorization: Bearer <token>"; si no, el endpoint es público y debe
+ * quedar fuera del alcance de internet.
+ *
+ * @module MetricsRoutes
+ * @author Backend Team
+ */
+
+import express from 'express';
+import { errorAsync } from '../Shared/errorHandler.js';
+import { describeRoute } from '../Shared/openApi.js';
+import { safeEqual } from '../Shared/adminGuard.js';
+import { AppError } from '../Shared/AppError.js';
+
+/**
+ * Crea el middleware que exige el token de métricas, si hay uno configurado
+ *
+ * @param {string|undefined} token - METRICS_TOKEN
+ * @returns {Function} Middleware de Express
+ *
+ * @private
+ */
+const requireMetricsToken = (token) => (req, _res, next) => {
+  if (!token) return next();
+
+  const [scheme, provided] = (req.get('Authorization') ?? '').split(' ');
+
+  if (scheme !== 'Bearer' || !provided || !safeEqual(provided, token)) {
+    return next(AppError.unauthorized('Se requiere el token de métricas'));
+  }
+
+  return next();
+};
+
+/**
+ * Construye el router de métricas con dependencias inyectadas
+ *
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {MetricsPort} dependencies.metrics - Registro de métricas
+ * @param {ProductService} dependencies.productService - Servicio de productos (indicadores de inventario)
+ * @param {Object} dependencies.env - Configuración (sección METRICS)
+ * @param {Logger} dependencies.logger - Logger de la aplicación
+ * @returns {Router} Router de Express configurado
+ *
+ * @example
+ * app.use('/metrics', buildMetricsRouter({ metrics, productService, env, logger }));
+ */
+export const buildMetricsRouter = ({ metrics, productService, env, logger }) => {
+
+  const router = express.Router();
+
+  // === ENDPOINT: EXPOSICIÓN DE MÉTRICAS ===
+
+  /**
+   * GET /metrics
+   *
+   * Actualiza los indicadores de inventario antes de exponer. Si la
+   * consulta falla se exponen igual las demás métricas (con los últimos
+   * valores de inventario conocidos): un scrape fallido dejaría al equipo
+   * de guardia sin datos justo cuando la base de datos tiene problemas.
+   *
+   * Request Headers:
+   * - Authorization: Bearer <METRICS_TOKEN> (si está configurado)
+   *
+   * Responses:
+   * - 200: Métricas en text/plain (formato de exposición 0.0.4)
+   * - 401: Falta el token o no coincide
+   */
+  router.get('/', describeRoute({
+    summary: 'Métricas para Prometheus',
+    description: 'Si METRICS_TOKEN está configurado exige `Authorization: Bearer <METRICS_TOKEN>`.',
+    responses: {
+      200: 'Métricas en text/plain (formato de exposición 0.0.4)',
+      401: 'Falta el token o no coincide'
+    }
+  }), requireMetricsToken(env.METRICS.TOKEN), errorAsync(async (_req, res) => {
+    try {
+      const result = await productService.getStockLevels(env.METRICS.LOW_STOCK_THRESHOLD);
+
+      if (result.isFailure) {
+        logger.warn('Indicadores de inventario no actualizados', { code: result.error.code, message: result.error.message });
+      } else {
+        metrics.setStockLevels(result.value);
+      }
+    } catch (error) {
+      logger.warn('Indicadores de inventario no actualizados', { error });
+    }
+
+    res.set('Content-Type', metrics.contentType);
+
+    return res.status(200).send(await metrics.render());
+  }));
+
+  return router;
+};
@@ -0,0 +1,246 @@
+/**
+ * Router de Pedidos - Controladores HTTP
+ *
+ * Endpoints de checkout y administración de pedidos. El checkout convierte
+ * un carrito (identificado por su token) en un pedido; el listado y los
+ * cambios de estado son operaciones de back-office: el listado exige el
+ * permiso orders:read (admin, viewer) y los cambios de estado orders:write
+ * (admin). Un pedido puede consultarse con orders:read o con el token del
+ * carrito del que proviene.
+ *
+ * @module OrderRoutes
+ * @author Backend Team
+ */
+
+import express from 'express';
+import { errorAsync } from '../Shared/errorHandler.js';
+import { describeRoute, headerParameter } from '../Shared/openApi.js';
+import { AppError } from '../Shared/AppError.js';
+import { validate } from '../Shared/validation.js';
+import { hasPermission, principalOf, requirePermission, requirePermissionIf } from '../Shared/authGuard.js';
+import { PERMISSIONS } from '../Domain/Users/Entities/Role.js';
+import { setPaginationHeaders } from '../Shared/pagination.js';
+import { OrderListCriteria } from '../Application/Orders/Queries/OrderListCriteria.js';
+import { idParams } from './Schemas/common.schemas.js';
+import { placeOrderBody, listOrdersQuery, orderStatusBody } from './Schemas/Order.schemas.js';
+
+/**
+ * Header X-Cart-Token en la documentación OpenAPI
+ * @constant {Object}
+ * @private
+ */
+const cartTokenHeader = headerParameter('X-Cart-Token', 'Token del carrito');
+
+/**
+ * Construye el router de pedidos con dependencias inyectadas
+ *
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {OrderService} dependencies.orderService - Servicio de pedidos
+ * @returns {Router} Router de Express configurado
+ *
+ * @example
+ * app.use('/api/orders', buildOrderRouter({ orderService }));
+ */
+export const buildOrderRouter = ({ orderService }) => {
+
+  const router = express.Router();
+
+  // === ENDPOINT: CONFIRMAR PEDIDO (CHECKOUT) ===
+
+  /**
+   * POST /orders
+   *
+   * Convierte el carrito en un pedido: copia los precios vigentes, descuenta
+   * el stock de todas las líneas y marca el carrito como ordered, todo en
+   * una transacción.
+   *
+   * Headers: X-Cart-Token (del carrito, o la sesión de su dueño)
+   *
+   * Request Body:
+   * {
+   *   "cartId": "string",        // UUID del carrito
+   *   "customerId": "string"     // Opcional, requiere orders:write: UUID del cliente del pedido
+   * }
+   *
+   * Sin customerId, el pedido se asocia al cliente con el email del
+   * usuario autenticado (si existe); sin sesión, a ninguno.
+   *
+   * Responses:
+   * - 201: Pedido creado (status pending)
+   * - 400: Falta cartId, algún id no es un UUID o el carrito está vacío
+   * - 401 / 403: Token del carrito ausente o incorrecto, o customerId sin el permiso orders:write
+   * - 404: El carrito o el cliente no existen
+   * - 409: INSUFFICIENT_STOCK (con lines: las líneas sin unidades suficientes)
+   *        o el carrito no está activo
+   */
+  router.post('/', describeRoute({
+    summary: 'Confirmar pedido (checkout)',
+    parameters: [cartTokenHeader],
+    responses: {
+      201: 'Pedido creado (status pending)',
+      400: 'Falta cartId, algún id no es un UUID o el carrito está vacío',
+      401: 'Falta el header X-Cart-Token (o la sesión del dueño del carrito)',
+      403: 'El token no corresponde al carrito, o customerId sin el permiso orders:write',
+      404: 'El carrito o el cliente no existen',
+      409: 'INSUFFICIENT_STOCK (el cuerpo agrega lines: las líneas sin unidades suficientes) o el carrito no está activo'
+    }
+  }), validate({ body: placeOrderBody }), errorAsync(async (req, res) => {
+    const { cartId, customerId } = req.body;
+
+    const token = req.get('X-Cart-Token') ?? null;
+
+    if (!token && !req.user) {
+      throw AppError.unauthorized('Se requiere el header X-Cart-Token');
+    }
+
+    if (customerId && !hasPermission(req, PERMISSIONS.ORDERS_WRITE)) {
+      throw AppError.forbidden(`Indicar customerId requiere el permiso ${PERMISSIONS.ORDERS_WRITE}`);
+    }
+
+    const result = await orderService.place(cartId, { token, userId: req.user?.id ?? null }, {
+      customerId,
+      customerEmail: req.user?.email ?? null,
+      actor: principalOf(req)
+    });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message,
+        // El cliente necesita saber qué líneas ajustar
+        ...(result.error.meta?.lines && { lines: result.error.meta.lines })
+      });
+    }
+
+    return res.status(201).json(result.value);
+  }));
+
+  // === ENDPOINT: LISTAR PEDIDOS ===
+
+  /**
+   * GET /orders
+   *
+   * Permiso: orders:read
+   *
+   * Query Params:
+   * - status: solo pedidos en ese estado
+   * - page, limit: paginación por offset
+   *
+   * Response Headers: X-Total-Count, X-Page-Count, Link
+   *
+   * Responses:
+   * - 200: Pedidos, los más recientes primero
+   * - 400: Parámetros inválidos
+   * - 401 / 403: Sin sesión o rol sin permiso
+   */
+  router.get('/', describeRoute({
+    summary: 'Listar pedidos',
+    responses: {
+      200: 'Pedidos, los más recientes primero',
+      400: 'Parámetros inválidos'
+    }
+  }), requirePermission(PERMISSIONS.ORDERS_READ), validate({ query: listOrdersQuery }), errorAsync(async (req, res) => {
+    const criteria = OrderListCriteria.fromQuery(req.query);
+
+    const result = await orderService.getAll(criteria);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    setPaginationHeaders(req, res, result.value);
+
+    return res.status(200).json(result.value.items);
+  }));
+
+  // === ENDPOINT: OBTENER PEDIDO POR ID ===
+
+  /**
+   * GET /orders/:id
+   *
+   * Permiso: orders:read, el header X-Cart-Token del carrito del pedido o
+   * la sesión del dueño de ese carrito (checkout con sesión, sin token)
+   *
+   * Responses:
+   * - 200: Pedido con sus líneas
+   * - 400: El id no es un UUID válido
+   * - 401 / 403: Sin token ni sesión, o sin acceso al carrito del pedido
+   * - 404: El pedido no existe
+   */
+  router.get('/:id', describeRoute({
+    summary: 'Obtener pedido por id',
+    parameters: [cartTokenHeader],
+    responses: {
+      200: 'Pedido con sus líneas',
+      400: 'El id no es un UUID válido',
+      401: 'Sin el header X-Cart-Token ni credenciales',
+      403: 'Sin el permiso orders:read, el token no corresponde al carrito del pedido ni la sesión es de su dueño',
+      404: 'El pedido no existe'
+    }
+  }), validate({ params: idParams }), requirePermissionIf(req => !req.get('X-Cart-Token') && !req.user, PERMISSIONS.ORDERS_READ), errorAsync(async (req, res) => {
+    const result = await orderService.getById(req.params.id, {
+      cartToken: req.get('X-Cart-Token'),
+      userId: req.user?.id ?? null,
+      privileged: hasPermission(req, PERMISSIONS.ORDERS_READ)
+    });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: CAMBIAR ESTADO ===
+
+  /**
+   * PATCH /orders/:id/status
+   *
+   * Transiciones permitidas: pending → paid | cancelled, paid → shipped |
+   * cancelled, shipped → delivered. Cancelar devuelve las unidades al stock.
+   *
+   * Permiso: orders:write
+   *
+   * Request Body:
+   * {
+   *   "status": "string"         // paid | shipped | delivered | cancelled
+   * }
+   *
+   * Responses:
+   * - 200: Pedido actualizado (con la fecha de la transición)
+   * - 400: Falta status o no es un estado válido
+   * - 401 / 403: Sin sesión o rol sin permiso
+   * - 404: El pedido no existe
+   * - 409: La transición no está permitida desde el estado actual
+   */
+  router.patch('/:id/status', describeRoute({
+    summary: 'Cambiar estado del pedido',
+    responses: {
+      200: 'Pedido actualizado (con la fecha de la transición)',
+      400: 'Falta status o no es un estado válido',
+      404: 'El pedido no existe',
+      409: 'La transición no está permitida desde el estado actual'
+    }
+  }), requirePermission(PERMISSIONS.ORDERS_WRITE), validate({ params: idParams, body: orderStatusBody }), errorAsync(async (req, res) => {
+    const { status } = req.body;
+
+    const result = await orderService.updateStatus(req.params.id, { status }, { actor: principalOf(req) });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  return router;
+};
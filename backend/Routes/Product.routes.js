@@ -13,6 +13,15 @@
  * - Manejar códigos de estado HTTP correctos
  * - Proporcionar documentación implícita de la API
  * 
+ * Autorización: el listado, la búsqueda y el detalle son públicos; la
+ * exportación y el historial de stock exigen catalog:read (admin,
+ * catalog-editor y viewer, o API key con read:products). Crear, importar,
+ * editar (incluido el precio), eliminar y restaurar exigen catalog:write
+ * (admin y catalog-editor, o API key con write:products) y registrar
+ * movimientos de stock, stock:write (admin y catalog-editor, o API key con
+ * write:stock). La purga física exige catalog:purge (admin) y además el
+ * token administrativo.
+ * 
  * Principios seguidos:
  * - RESTful API design
  * - Separación de responsabilidades
@@ -24,7 +33,138 @@
  */
 
 import express from 'express';
+import { once } from 'node:events';
 import { errorAsync } from '../Shared/errorHandler.js';
+import { describeRoute, headerParameter } from '../Shared/openApi.js';
+import { principalOf, requirePermission, requirePermissionIf } from '../Shared/authGuard.js';
+import { PERMISSIONS } from '../Domain/Users/Entities/Role.js';
+import { AppError } from '../Shared/AppError.js';
+import { validate } from '../Shared/validation.js';
+import { requireAdminToken } from '../Shared/adminGuard.js';
+import { setPaginationHeaders } from '../Shared/pagination.js';
+import { parseCsv, toCsvLine } from '../Shared/csv.js';
+import { ProductListCriteria } from '../Application/Products/Queries/ProductListCriteria.js';
+import { ProductSearchCriteria } from '../Application/Products/Queries/ProductSearchCriteria.js';
+import { StockHistoryCriteria } from '../Application/Products/Queries/StockHistoryCriteria.js';
+import { idParams } from './Schemas/common.schemas.js';
+import {
+  productBody,
+  productPatchBody,
+  listProductsQuery,
+  exportProductsQuery,
+  searchProductsQuery,
+  importProductsQuery,
+  stockMovementBody,
+  stockHistoryQuery
+} from './Schemas/Product.schemas.js';
+
+/**
+ * Tamaño máximo del cuerpo de POST /products/import (CSV o JSON)
+ * @constant {string}
+ * @private
+ */
+const IMPORT_BODY_LIMIT = '5mb';
+
+/**
+ * Construye el valor del header ETag a partir de la versión del producto
+ * 
+ * @param {number|null} version - Versión del registro
+ * @returns {string} ETag entre comillas (ej: "3")
+ * 
+ * @private
+ */
+const toEtag = (version) => `"${version ?? 0}"`;
+
+/**
+ * Header If-Match en la documentación OpenAPI
+ * @constant {Object}
+ * @private
+ */
+const ifMatchHeader = headerParameter('If-Match', 'ETag obtenido en la última lectura (`*` omite la verificación)');
+
+/**
+ * Interpreta el header If-Match y extrae la versión esperada
+ * 
+ * Acepta ETags fuertes ("3"), débiles (W/"3") y el comodín `*`,
+ * que omite la verificación de versión.
+ * 
+ * @param {string|undefined} header - Valor del header If-Match
+ * @returns {number|null} Versión esperada o null si se envió `*`
+ * 
+ * @throws {AppError} PRECONDITION_REQUIRED si el header no fue enviado
+ * @throws {AppError} PRECONDITION_FAILED si el ETag no tiene un formato reconocible
+ * 
+ * @private
+ */
+const parseIfMatch = (header) => {
+  if (!header) {
+    throw AppError.preconditionRequired();
+  }
+
+  const value = header.split(',')[0].trim();
+
+  if (value === '*') return null;
+
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(value);
+
+  if (!match) {
+    throw AppError.preconditionFailed('El header If-Match no contiene un ETag válido', { ifMatch: header });
+  }
+
+  return Number(match[1]);
+};
+
+/**
+ * Formatos de exportación soportados
+ * 
+ * Cada formato define su Content-Type, extensión, preámbulo (encabezado)
+ * y la serialización de cada producto.
+ * 
+ * @constant {Object}
+ * @private
+ */
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // BOM para que Excel detecte UTF-8 (tildes y eñes)
+    preamble: (columns) => `\uFEFF${toCsvLine(columns)}`,
+    serialize: (product, columns) => toCsvLine(columns.map(column => product[column] ?? null))
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    preamble: () => '',
+    serialize: (product) => `${JSON.stringify(product)}\n`
+  }
+};
+
+/**
+ * Escribe en la respuesta respetando la contrapresión del socket
+ * 
+ * Si el buffer está lleno espera el evento `drain`; si el cliente cierra
+ * la conexión lanza un error para detener el recorrido del cursor.
+ * 
+ * @param {Response} res - Response de Express
+ * @param {string} chunk - Contenido a escribir
+ * @returns {Promise<void>}
+ * 
+ * @private
+ */
+const writeChunk = async (res, chunk) => {
+  if (res.destroyed) {
+    throw new Error('El cliente cerró la conexión durante la exportación');
+  }
+
+  if (!res.write(chunk)) {
+    await Promise.race([
+      once(res, 'drain'),
+      once(res, 'close').then(() => {
+        throw new Error('El cliente cerró la conexión durante la exportación');
+      })
+    ]);
+  }
+};
 
 /**
  * Construye el router de productos con dependencias inyectadas
@@ -35,13 +175,15 @@ import { errorAsync } from '../Shared/errorHandler.js';
  * 
  * @param {Object} dependencies - Dependencias inyectadas
  * @param {ProductService} dependencies.productService - Servicio de productos
+ * @param {Object} dependencies.env - Configuración de la aplicación
+ * @param {Logger} dependencies.logger - Logger de la aplicación
  * @returns {Router} Router de Express configurado
  * 
  * @example
- * const router = buildProductRouter({ productService });
+ * const router = buildProductRouter({ productService, env, logger });
  * app.use('/api/products', router);
  */
-export const buildProductRouter = ({ productService }) => {
+export const buildProductRouter = ({ productService, env, logger }) => {
   
   // Crear instancia de router de Express
   const router = express.Router();
@@ -57,7 +199,9 @@ export const buildProductRouter = ({ productService }) => {
    * {
    *   "name": "string",     // Nombre único del producto
    *   "price": "number",    // Precio mayor a 0
-   *   "stock": "number"     // Cantidad en inventario >= 0
+   *   "stock": "number",    // Cantidad en inventario >= 0
+   *   "categoryId"?: "uuid",// Categoría existente
+   *   "brandId"?: "uuid"    // Marca existente
    * }
    * 
    * Responses:
@@ -65,26 +209,26 @@ export const buildProductRouter = ({ productService }) => {
    * - 400: Datos inválidos o producto ya existe
    * - 500: Error interno del servidor
    */
-  router.post('/', errorAsync(async (req, res) => {
-    
-    // === EXTRACCIÓN Y VALIDACIÓN DE PARÁMETROS ===
+  router.post('/', describeRoute({
+    summary: 'Crear producto',
+    responses: {
+      201: 'Producto creado exitosamente',
+      400: 'Datos inválidos o producto ya existe',
+      500: 'Error interno del servidor'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ body: productBody }), errorAsync(async (req, res) => {
     
-    const { name, price, stock } = req.body;
+    // === EXTRACCIÓN DE PARÁMETROS ===
     
-    // Validación básica de presencia de campos
-    // Las validaciones de negocio se manejan en la capa de dominio
-    if (!name || price === undefined || stock === undefined) {
-      return res.status(400).json({
-        code: 'MISSING_FIELDS',
-        message: 'Los campos name, price y stock son requeridos'
-      });
-    }
+    // La forma de los datos ya fue validada por el esquema;
+    // las reglas de negocio se manejan en la capa de dominio
+    const { name, price, stock, categoryId, brandId } = req.body;
     
     // === INVOCACIÓN DEL SERVICIO DE APLICACIÓN ===
     
     // Delegar la lógica de negocio al servicio
     // El servicio maneja validaciones, reglas de negocio y persistencia
-    const result = await productService.create({ name, price, stock });
+    const result = await productService.create({ name, price, stock, categoryId, brandId }, { actor: principalOf(req) });
 
     // === MANEJO DE RESPUESTA ===
     
@@ -94,12 +238,15 @@ export const buildProductRouter = ({ productService }) => {
       
       return res.status(statusCode).json({
         code: result.error.code,
-        message: result.error.message
+        message: result.error.message,
+        // Violaciones de dominio por campo, para resaltarlas en el formulario
+        ...(result.error.meta?.fields && { fields: result.error.meta.fields })
       });
     }
     
     // Respuesta exitosa con el producto creado
     // Status 201 indica que un recurso fue creado
+    res.set('ETag', toEtag(result.value.version));
     return res.status(201).json(result.value);
   }));
 
@@ -108,36 +255,681 @@ export const buildProductRouter = ({ productService }) => {
   /**
    * GET /products
    * 
-   * Obtiene la lista completa de productos disponibles
+   * Obtiene una página de productos con filtros y ordenamiento
+   * 
+   * Query Params:
+   * - page, limit: paginación por offset (limit máximo 100, por defecto 20)
+   * - cursor: paginación por cursor (tomado del Link rel="next")
+   * - minPrice, maxPrice: rango de precio
+   * - inStock: "true" solo con stock, "false" solo agotados
+   * - q: texto contenido en el nombre
+   * - categoryId: categoría (incluye sus subcategorías)
+   * - brandId: marca
+   * - sort: price | name | createdAt (por defecto name)
+   * - order: asc | desc (por defecto asc)
+   * - includeDeleted: "true" para incluir productos eliminados lógicamente
+   *   (requiere el permiso catalog:write)
    * 
+   * Response Headers:
+   * - X-Total-Count: total de productos que cumplen los filtros
+   * - X-Page-Count: total de páginas
+   * - Link: enlaces first/prev/next/last
    * 
    * Responses:
-   * - 200: Lista de productos obtenida exitosamente
-   * - 404: No se encontraron productos
+   * - 200: Página de productos obtenida exitosamente (vacía si ninguno
+   *        cumple los filtros, con X-Total-Count: 0)
+   * - 400: Parámetros de consulta inválidos o cursor alterado (INVALID_CURSOR)
+   * - 401 / 403: includeDeleted sin credenciales o sin el permiso catalog:write
    * - 500: Error interno del servidor
    */
-  router.get('/', errorAsync(async (req, res) => {
+  router.get('/', describeRoute({
+    summary: 'Listar productos',
+    responses: {
+      200: 'Página de productos obtenida exitosamente (vacía si ninguno cumple los filtros, con X-Total-Count: 0)',
+      400: 'Parámetros de consulta inválidos o cursor alterado (INVALID_CURSOR)',
+      401: 'includeDeleted sin credenciales',
+      403: 'includeDeleted sin el permiso catalog:write',
+      500: 'Error interno del servidor'
+    }
+  }), validate({ query: listProductsQuery }), requirePermissionIf(req => req.query.includeDeleted === true, PERMISSIONS.CATALOG_WRITE), errorAsync(async (req, res) => {
+    
+    // === VALIDACIÓN DE PARÁMETROS ===
+    
+    // Lanza VALIDATION_ERROR si algún parámetro es inválido, INVALID_CURSOR si el cursor fue alterado
+    const criteria = ProductListCriteria.fromQuery(req.query);
+    
     // === INVOCACIÓN DEL SERVICIO ===
     
-    const result = await productService.getAll();
+    const result = await productService.getAll(criteria);
 
     // === MANEJO DE RESPUESTA ===
     
     if (result.isFailure) {
-      // Mapear error específico de "no encontrado" a 404
-      const statusCode = result.error.code === 'PRODUCT_NOT_FOUND' ? 404 : 
-                        (result.error.httpCode ?? 500);
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+    
+    // Los metadatos de paginación viajan en headers para mantener
+    // el cuerpo como un arreglo de productos
+    setPaginationHeaders(req, res, result.value);
+    
+    return res.status(200).json(result.value.items);
+  }));
+
+  // === ENDPOINT: IMPORTAR PRODUCTOS ===
+  
+  /**
+   * POST /products/import
+   * 
+   * Importación masiva desde CSV (Content-Type: text/csv) o JSON (arreglo).
+   * El CSV debe tener encabezado con las columnas name, price y stock.
+   * 
+   * Query Params:
+   * - mode: all-or-nothing (por defecto) | best-effort
+   * - dryRun: "true" para validar y reportar sin persistir
+   * - delimiter: separador del CSV (por defecto ",")
+   * 
+   * Response Body:
+   * {
+   *   "rows": [{ "row": 1, "status": "created|would_create|rolled_back|skipped|failed", "name", "id"?, "code"?, "message"? }],
+   *   "summary": { "total", "created", "wouldCreate", "rolledBack", "skipped", "failed", "mode", "dryRun", "committed" }
+   * }
+   * 
+   * Responses:
+   * - 201: Importación confirmada con al menos un producto creado
+   * - 200: Simulación (dryRun) o importación sin productos nuevos
+   * - 400: Cuerpo vacío, formato no soportado o parámetros inválidos
+   * - 413: El cuerpo supera IMPORT_BODY_LIMIT
+   * - 422: all-or-nothing revertido porque alguna fila falló
+   */
+  router.post(
+    '/import',
+    describeRoute({
+      summary: 'Importar productos',
+      requestBody: {
+        required: true,
+        content: {
+          'text/csv': { schema: { type: 'string', description: 'Encabezado con las columnas name, price y stock' } },
+          'application/json': { schema: { type: 'array', items: { type: 'object' } } }
+        }
+      },
+      responses: {
+        201: 'Importación confirmada con al menos un producto creado',
+        200: 'Simulación (dryRun) o importación sin productos nuevos',
+        400: 'Cuerpo vacío, formato no soportado o parámetros inválidos',
+        413: `El cuerpo supera ${IMPORT_BODY_LIMIT}`,
+        // El cuerpo es el reporte de filas, no el esquema Error
+        422: { description: 'all-or-nothing revertido porque alguna fila falló (mismo reporte { rows, summary })' }
+      }
+    }),
+    requirePermission(PERMISSIONS.CATALOG_WRITE),
+    validate({ query: importProductsQuery }),
+    // Parsers propios (el global de JSON omite esta ruta, ver OWN_JSON_BODY_PATHS)
+    express.text({ type: ['text/csv', 'application/csv'], limit: IMPORT_BODY_LIMIT }),
+    express.json({ limit: IMPORT_BODY_LIMIT }),
+    errorAsync(async (req, res) => {
       
-      return res.status(statusCode).json({
+      // === EXTRACCIÓN DE FILAS SEGÚN EL FORMATO ===
+      
+      let rows;
+      
+      if (req.is(['text/csv', 'application/csv'])) {
+        rows = parseCsv(typeof req.body === 'string' ? req.body : '', { delimiter: req.query.delimiter });
+      } else if (req.is('application/json')) {
+        rows = req.body;
+        
+        if (!Array.isArray(rows)) {
+          throw AppError.validation('El cuerpo JSON debe ser un arreglo de productos');
+        }
+      } else {
+        throw AppError.validation('Formato no soportado: use text/csv o application/json');
+      }
+      
+      // === INVOCACIÓN DEL SERVICIO ===
+      
+      const result = await productService.bulkImport(rows, {
+        mode: req.query.mode,
+        dryRun: req.query.dryRun,
+        actor: principalOf(req)
+      });
+      
+      // === MANEJO DE RESPUESTA ===
+      
+      if (result.isFailure) {
+        return res.status(result.error.httpCode ?? 400).json({
+          code: result.error.code,
+          message: result.error.message
+        });
+      }
+      
+      const { summary } = result.value;
+      
+      let statusCode = 200;
+      
+      if (!summary.dryRun && !summary.committed) {
+        statusCode = 422;
+      } else if (summary.committed && summary.created > 0) {
+        statusCode = 201;
+      }
+      
+      return res.status(statusCode).json(result.value);
+    })
+  );
+
+  // === ENDPOINT: EXPORTAR PRODUCTOS ===
+  
+  /**
+   * GET /products/export
+   * 
+   * Exporta el catálogo en streaming, leyendo de la base de datos con un
+   * cursor por lotes. Acepta los mismos filtros y ordenamiento que GET /products
+   * (la paginación se ignora: se exportan todos los productos filtrados).
+   * 
+   * Query Params:
+   * - format: csv (por defecto) | ndjson
+   * - minPrice, maxPrice, inStock, q, categoryId, brandId, sort, order
+   * - includeDeleted: requiere además catalog:write, como en GET /products
+   * 
+   * Responses:
+   * - 200: Archivo como adjunto (Content-Disposition)
+   * - 400: Formato o filtros inválidos
+   * - 401 / 403: Sin credenciales, sin el permiso catalog:read o, con
+   *   includeDeleted, sin catalog:write
+   */
+  router.get('/export', describeRoute({
+    summary: 'Exportar productos',
+    responses: {
+      200: 'Archivo como adjunto (Content-Disposition)',
+      400: 'Formato o filtros inválidos'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_READ), validate({ query: exportProductsQuery }), requirePermissionIf(req => req.query.includeDeleted === true, PERMISSIONS.CATALOG_WRITE), errorAsync(async (req, res) => {
+    
+    // === VALIDACIÓN DE PARÁMETROS ===
+    
+    // El esquema restringe format a las claves de EXPORT_FORMATS
+    const format = EXPORT_FORMATS[req.query.format];
+    
+    const criteria = ProductListCriteria.fromQuery(req.query);
+    const columns = criteria.includeDeleted
+      ? ['id', 'name', 'price', 'stock', 'categoryId', 'brandId', 'deletedAt']
+      : ['id', 'name', 'price', 'stock', 'categoryId', 'brandId'];
+    
+    // === STREAMING DE LA RESPUESTA ===
+    
+    // Los headers se envían con el primer producto: si la consulta falla
+    // antes, el error todavía puede responderse como JSON
+    let started = false;
+    
+    const start = async () => {
+      started = true;
+      const date = new Date().toISOString().slice(0, 10);
+      
+      res.status(200).set({
+        'Content-Type': format.contentType,
+        'Content-Disposition': `attachment; filename="products-${date}.${format.extension}"`,
+        'Cache-Control': 'no-store'
+      });
+      
+      await writeChunk(res, format.preamble(columns));
+    };
+    
+    try {
+      const result = await productService.exportAll(criteria, async (product) => {
+        if (!started) await start();
+        await writeChunk(res, format.serialize(product.toJSON(), columns));
+      });
+      
+      if (result.isFailure) {
+        return res.status(result.error.httpCode ?? 500).json({
+          code: result.error.code,
+          message: result.error.message
+        });
+      }
+      
+      // Exportación vacía: se envía igualmente el archivo con su encabezado
+      if (!started) await start();
+      
+      return res.end();
+      
+    } catch (error) {
+      // Con el archivo a medio enviar no es posible responder JSON:
+      // se corta la conexión para que el cliente detecte la descarga incompleta
+      if (started) {
+        logger.error('Exportación interrumpida', { error });
+        return res.destroy(error);
+      }
+      
+      throw error;
+    }
+  }));
+
+  // === ENDPOINT: BUSCAR PRODUCTOS ===
+  
+  /**
+   * GET /products/search
+   * 
+   * Búsqueda de texto completo insensible a acentos y tolerante a errores
+   * de tipeo. Debe registrarse antes de /:id para no confundirse con un id.
+   * 
+   * Query Params:
+   * - q: texto a buscar (2 a 100 caracteres, requerido)
+   * - page, limit: paginación por offset
+   * 
+   * Response Headers: X-Total-Count, X-Page-Count, Link
+   * 
+   * Responses:
+   * - 200: Resultados ordenados por relevancia (lista vacía si no hay coincidencias)
+   * - 400: Parámetros inválidos
+   */
+  router.get('/search', describeRoute({
+    summary: 'Buscar productos',
+    responses: {
+      200: 'Resultados ordenados por relevancia (lista vacía si no hay coincidencias)',
+      400: 'Parámetros inválidos'
+    }
+  }), validate({ query: searchProductsQuery }), errorAsync(async (req, res) => {
+    const criteria = ProductSearchCriteria.fromQuery(req.query);
+    
+    const result = await productService.search(criteria);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
         code: result.error.code,
         message: result.error.message
       });
     }
     
-    // Respuesta exitosa con la lista de productos
-    // Status 200 indica operación exitosa
+    setPaginationHeaders(req, res, result.value);
+    
+    // Cada resultado es el producto más su puntaje y el nombre resaltado
+    return res.status(200).json(
+      result.value.items.map(({ product, score, highlight }) => ({
+        ...product.toJSON(),
+        score,
+        highlight
+      }))
+    );
+  }));
+
+  // === ENDPOINT: OBTENER PRODUCTO POR ID ===
+  
+  /**
+   * GET /products/:id
+   * 
+   * Obtiene un único producto a partir de su identificador
+   * 
+   * Path Params:
+   * - id: UUID del producto
+   * 
+   * Responses:
+   * - 200: Producto encontrado
+   * - 400: El id no es un UUID válido
+   * - 404: El producto no existe
+   * - 500: Error interno del servidor
+   */
+  router.get('/:id', describeRoute({
+    summary: 'Obtener producto por id',
+    responses: {
+      200: 'Producto encontrado',
+      400: 'El id no es un UUID válido',
+      404: 'El producto no existe',
+      500: 'Error interno del servidor'
+    }
+  }), validate({ params: idParams }), errorAsync(async (req, res) => {
+    
+    const { id } = req.params;
+    
+    // === INVOCACIÓN DEL SERVICIO ===
+    
+    const result = await productService.getById(id);
+
+    // === MANEJO DE RESPUESTA ===
+    
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+    
+    res.set('ETag', toEtag(result.value.version));
     return res.status(200).json(result.value);
   }));
 
+  // === ENDPOINT: REEMPLAZAR PRODUCTO ===
+  
+  /**
+   * PUT /products/:id
+   * 
+   * Reemplaza todos los campos editables de un producto
+   * 
+   * Headers:
+   * - If-Match: ETag obtenido en la última lectura (requerido, `*` omite la verificación)
+   * 
+   * Request Body:
+   * {
+   *   "name": "string",
+   *   "price": "number",
+   *   "stock": "number",
+   *   "categoryId"?: "uuid" | null,   // omitido = sin categoría
+   *   "brandId"?: "uuid" | null       // omitido = sin marca
+   * }
+   * 
+   * Responses:
+   * - 200: Producto actualizado (incluye el nuevo ETag)
+   * - 400: Datos inválidos o nombre duplicado
+   * - 404: El producto no existe
+   * - 412: El producto fue modificado por otra operación
+   * - 428: Falta el header If-Match
+   */
+  router.put('/:id', describeRoute({
+    summary: 'Reemplazar producto',
+    parameters: [ifMatchHeader],
+    responses: {
+      200: 'Producto actualizado (incluye el nuevo ETag)',
+      400: 'Datos inválidos o nombre duplicado',
+      404: 'El producto no existe',
+      412: 'El producto fue modificado por otra operación',
+      428: 'Falta el header If-Match'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ params: idParams, body: productBody }), errorAsync(async (req, res) => {
+    
+    // === EXTRACCIÓN DE PARÁMETROS ===
+    
+    const { id } = req.params;
+    const { name, price, stock, categoryId, brandId } = req.body;
+    
+    const expectedVersion = parseIfMatch(req.get('If-Match'));
+    
+    // === INVOCACIÓN DEL SERVICIO ===
+    
+    const result = await productService.replace(id, { name, price, stock, categoryId, brandId }, expectedVersion, principalOf(req));
+
+    // === MANEJO DE RESPUESTA ===
+    
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message,
+        ...(result.error.meta?.fields && { fields: result.error.meta.fields })
+      });
+    }
+    
+    res.set('ETag', toEtag(result.value.version));
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: ACTUALIZAR PRODUCTO PARCIALMENTE ===
+  
+  /**
+   * PATCH /products/:id
+   * 
+   * Modifica uno o varios campos de un producto
+   * 
+   * Headers:
+   * - If-Match: ETag obtenido en la última lectura (requerido, `*` omite la verificación)
+   * 
+   * Request Body (al menos un campo):
+   * {
+   *   "name"?: "string",
+   *   "price"?: "number",
+   *   "stock"?: "number",
+   *   "categoryId"?: "uuid" | null,   // null quita la categoría
+   *   "brandId"?: "uuid" | null       // null quita la marca
+   * }
+   * 
+   * Responses:
+   * - 200: Producto actualizado (incluye el nuevo ETag)
+   * - 400: Datos inválidos, sin campos o nombre duplicado
+   * - 404: El producto no existe
+   * - 412: El producto fue modificado por otra operación
+   * - 428: Falta el header If-Match
+   */
+  router.patch('/:id', describeRoute({
+    summary: 'Actualizar producto parcialmente',
+    parameters: [ifMatchHeader],
+    responses: {
+      200: 'Producto actualizado (incluye el nuevo ETag)',
+      400: 'Datos inválidos, sin campos o nombre duplicado',
+      404: 'El producto no existe',
+      412: 'El producto fue modificado por otra operación',
+      428: 'Falta el header If-Match'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ params: idParams, body: productPatchBody }), errorAsync(async (req, res) => {
+    
+    // === EXTRACCIÓN DE PARÁMETROS ===
+    
+    const { id } = req.params;
+    const { name, price, stock, categoryId, brandId } = req.body;
+    
+    const expectedVersion = parseIfMatch(req.get('If-Match'));
+    
+    // === INVOCACIÓN DEL SERVICIO ===
+    
+    const result = await productService.update(id, { name, price, stock, categoryId, brandId }, expectedVersion, principalOf(req));
+
+    // === MANEJO DE RESPUESTA ===
+    
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message,
+        ...(result.error.meta?.fields && { fields: result.error.meta.fields })
+      });
+    }
+    
+    res.set('ETag', toEtag(result.value.version));
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: ELIMINAR PRODUCTO (SOFT DELETE) ===
+  
+  /**
+   * DELETE /products/:id
+   * 
+   * Elimina lógicamente un producto; puede restaurarse después
+   * 
+   * Responses:
+   * - 204: Producto eliminado
+   * - 400: El id no es un UUID válido
+   * - 404: El producto no existe o ya está eliminado
+   */
+  router.delete('/:id', describeRoute({
+    summary: 'Eliminar producto (soft delete)',
+    responses: {
+      204: 'Producto eliminado',
+      400: 'El id no es un UUID válido',
+      404: 'El producto no existe o ya está eliminado'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ params: idParams }), errorAsync(async (req, res) => {
+    const { id } = req.params;
+    
+    const result = await productService.remove(id);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+    
+    return res.status(204).end();
+  }));
+
+  // === ENDPOINT: REGISTRAR MOVIMIENTO DE INVENTARIO ===
+  
+  /**
+   * POST /products/:id/stock-movements
+   * 
+   * Registra un movimiento en el libro de inventario y actualiza el stock
+   * del producto (o de la variante) en la misma transacción
+   * 
+   * Request Body:
+   * {
+   *   "type": "receipt | sale | adjustment | return | damage",
+   *   "quantity": "number",      // Positiva; con signo solo en adjustment
+   *   "reason": "string",        // Motivo (requerido)
+   *   "variantId"?: "string",    // Requerido si el producto tiene variantes
+   *   "reference"?: "string"     // Factura, pedido, acta...
+   * }
+   * 
+   * El responsable (actor) es quien se autenticó: user:<id> o api-key:<id>.
+   * 
+   * Responses:
+   * - 201: Movimiento registrado (con stockBefore y stockAfter)
+   * - 400: Campos faltantes o inválidos
+   * - 401 / 403: Sin credenciales o sin el permiso stock:write
+   * - 404: El producto o la variante no existen
+   * - 409: INSUFFICIENT_STOCK, el stock quedaría negativo
+   */
+  router.post('/:id/stock-movements', describeRoute({
+    summary: 'Registrar movimiento de inventario',
+    responses: {
+      201: 'Movimiento registrado (con stockBefore y stockAfter)',
+      400: 'Campos faltantes o inválidos',
+      404: 'El producto o la variante no existen',
+      409: 'INSUFFICIENT_STOCK, el stock quedaría negativo'
+    }
+  }), requirePermission(PERMISSIONS.STOCK_WRITE), validate({ params: idParams, body: stockMovementBody }), errorAsync(async (req, res) => {
+    const { id } = req.params;
+    const { type, quantity, reason, variantId, reference } = req.body;
+    
+    const result = await productService.adjustStock(id, { type, quantity, reason, variantId, actor: principalOf(req), reference });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+    
+    return res.status(201).json(result.value);
+  }));
+
+  // === ENDPOINT: HISTORIAL DE INVENTARIO ===
+  
+  /**
+   * GET /products/:id/stock-history
+   * 
+   * Lista los movimientos de inventario del producto, del más reciente
+   * al más antiguo
+   * 
+   * Query Params:
+   * - variantId: solo movimientos de esa variante
+   * - type: solo movimientos de ese tipo
+   * - page, limit: paginación por offset
+   * 
+   * Response Headers: X-Total-Count, X-Page-Count, Link
+   * 
+   * Responses:
+   * - 200: Movimientos (lista vacía si no tiene)
+   * - 400: Parámetros inválidos
+   * - 401 / 403: Sin credenciales o sin el permiso catalog:read
+   * - 404: El producto no existe
+   */
+  router.get('/:id/stock-history', describeRoute({
+    summary: 'Historial de inventario',
+    responses: {
+      200: 'Movimientos (lista vacía si no tiene)',
+      400: 'Parámetros inválidos',
+      404: 'El producto no existe'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_READ), validate({ params: idParams, query: stockHistoryQuery }), errorAsync(async (req, res) => {
+    const { id } = req.params;
+    
+    const criteria = StockHistoryCriteria.fromQuery(req.query);
+    
+    const result = await productService.getStockHistory(id, criteria);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+    
+    setPaginationHeaders(req, res, result.value);
+    
+    return res.status(200).json(result.value.items);
+  }));
+
+  // === ENDPOINT: RESTAURAR PRODUCTO ===
+  
+  /**
+   * POST /products/:id/restore
+   * 
+   * Revierte la eliminación lógica de un producto
+   * 
+   * Responses:
+   * - 200: Producto restaurado
+   * - 400: El id no es un UUID válido
+   * - 404: El producto no existe
+   * - 409: El producto no está eliminado
+   */
+  router.post('/:id/restore', describeRoute({
+    summary: 'Restaurar producto',
+    responses: {
+      200: 'Producto restaurado',
+      400: 'El id no es un UUID válido',
+      404: 'El producto no existe',
+      409: 'El producto no está eliminado'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ params: idParams }), errorAsync(async (req, res) => {
+    const { id } = req.params;
+    
+    const result = await productService.restore(id);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+    
+    res.set('ETag', toEtag(result.value.version));
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: PURGAR PRODUCTO ===
+  
+  /**
+   * DELETE /products/:id/purge
+   * 
+   * Elimina físicamente un producto. Operación irreversible: exige el
+   * permiso catalog:purge y el token administrativo (header X-Admin-Token)
+   * 
+   * Responses:
+   * - 204: Producto purgado
+   * - 400: El id no es un UUID válido
+   * - 401: Sin sesión o falta el token administrativo
+   * - 403: Rol sin permiso, token inválido o purga deshabilitada
+   * - 404: El producto no existe
+   */
+  router.delete('/:id/purge', describeRoute({
+    summary: 'Purgar producto',
+    responses: {
+      204: 'Producto purgado',
+      400: 'El id no es un UUID válido',
+      401: 'Sin sesión o falta el token administrativo',
+      403: 'Rol sin permiso, token inválido o purga deshabilitada',
+      404: 'El producto no existe'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_PURGE), requireAdminToken(env), validate({ params: idParams }), errorAsync(async (req, res) => {
+    const { id } = req.params;
+    
+    const result = await productService.purge(id, { actor: principalOf(req) });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+    
+    return res.status(204).end();
+  }));
+
   return router;
 };
@@ -0,0 +1,266 @@
+/**
+ * Router de Imágenes de Producto - Controladores HTTP
+ *
+ * Endpoints anidados bajo /products/:productId/images para administrar la
+ * galería de un producto. La subida usa multipart/form-data (multer en
+ * memoria): el archivo se valida, se guarda en el almacenamiento
+ * configurado junto con su miniatura y se registra en la galería.
+ * Subir, editar y eliminar imágenes exige el permiso catalog:write.
+ *
+ * @module ProductImageRoutes
+ * @author Backend Team
+ */
+
+import express from 'express';
+import multer from 'multer';
+import { errorAsync } from '../Shared/errorHandler.js';
+import { describeRoute } from '../Shared/openApi.js';
+import { requirePermission } from '../Shared/authGuard.js';
+import { PERMISSIONS } from '../Domain/Users/Entities/Role.js';
+import { AppError } from '../Shared/AppError.js';
+import { validate, validationError } from '../Shared/validation.js';
+import { IMAGE_MIME_TYPES } from '../Domain/Products/Entities/ProductImage.js';
+import { uuidParams } from './Schemas/common.schemas.js';
+import { uploadImageBody, imagePatchBody } from './Schemas/ProductImage.schemas.js';
+
+/**
+ * Params de las rutas de la galería (montaje con :productId)
+ * @constant {Object}
+ * @private
+ */
+const productParams = uuidParams('productId');
+
+/**
+ * Params de las rutas de una imagen
+ * @constant {Object}
+ * @private
+ */
+const imageParams = uuidParams('productId', 'imageId');
+
+/**
+ * Construye el middleware que recibe el archivo del campo "image"
+ *
+ * El tipo declarado se filtra aquí para cortar la subida cuanto antes;
+ * el caso de uso vuelve a validar el tipo real a partir del contenido.
+ * Los errores de multer se traducen a AppError.
+ *
+ * @param {number} maxImageBytes - Tamaño máximo del archivo
+ * @returns {Function} Middleware de Express
+ *
+ * @private
+ */
+const receiveImage = (maxImageBytes) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxImageBytes, files: 1 },
+    fileFilter: (_req, file, callback) => {
+      if (IMAGE_MIME_TYPES.includes(file.mimetype)) {
+        return callback(null, true);
+      }
+
+      callback(new AppError(
+        'UNSUPPORTED_MEDIA_TYPE',
+        `Tipo de imagen no soportado: ${file.mimetype} (${IMAGE_MIME_TYPES.join(', ')})`,
+        415
+      ));
+    },
+  }).single('image');
+
+  return (req, res, next) => upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(error.code === 'LIMIT_FILE_SIZE'
+        ? new AppError('FILE_TOO_LARGE', `La imagen supera el tamaño máximo de ${maxImageBytes} bytes`, 413, { maxSize: maxImageBytes })
+        : AppError.validation(`Formulario inválido: ${error.message}`, { field: error.field }));
+    }
+
+    next(error);
+  });
+};
+
+/**
+ * Construye el router de imágenes con dependencias inyectadas
+ *
+ * Usa mergeParams para leer :productId de la ruta de montaje.
+ *
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {ProductImageService} dependencies.productImageService - Servicio de imágenes
+ * @param {Object} dependencies.env - Configuración (límite de tamaño)
+ * @returns {Router} Router de Express configurado
+ *
+ * @example
+ * app.use('/api/products/:productId/images', buildProductImageRouter({ productImageService, env }));
+ */
+export const buildProductImageRouter = ({ productImageService, env }) => {
+
+  const router = express.Router({ mergeParams: true });
+
+  // === ENDPOINT: SUBIR IMAGEN ===
+
+  /**
+   * POST /products/:productId/images
+   *
+   * Request (multipart/form-data):
+   * - image: archivo JPEG, PNG o WebP (máximo MAX_IMAGE_BYTES)
+   * - isPrimary?: "true" | "false"   // la primera imagen siempre es la principal
+   *
+   * Los params se validan antes de recibir el archivo y los campos de
+   * texto después, cuando multer ya los leyó.
+   *
+   * Responses:
+   * - 201: Imagen registrada (con url y thumbnailUrl)
+   * - 400: Falta el archivo o formulario inválido
+   * - 404: El producto no existe
+   * - 413: El archivo supera el tamaño máximo
+   * - 415: El archivo no es una imagen soportada
+   */
+  router.post(
+    '/',
+    describeRoute({
+      summary: 'Subir imagen',
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: {
+                image: { type: 'string', format: 'binary', description: `Archivo ${IMAGE_MIME_TYPES.join(', ')}` },
+                ...uploadImageBody.properties
+              },
+              required: ['image']
+            }
+          }
+        }
+      },
+      responses: {
+        201: 'Imagen registrada (con url y thumbnailUrl)',
+        400: 'Falta el archivo o formulario inválido',
+        404: 'El producto no existe',
+        413: 'El archivo supera el tamaño máximo',
+        415: 'El archivo no es una imagen soportada'
+      }
+    }),
+    requirePermission(PERMISSIONS.CATALOG_WRITE),
+    validate({ params: productParams }),
+    receiveImage(env.STORAGE.MAX_IMAGE_BYTES),
+    validate({ form: uploadImageBody }),
+    errorAsync(async (req, res) => {
+      if (!req.file) {
+        throw validationError([{ path: 'image', rule: 'required', message: 'El campo image (archivo) es requerido' }]);
+      }
+
+      const result = await productImageService.upload(
+        req.params.productId,
+        { content: req.file.buffer },
+        { isPrimary: req.body.isPrimary }
+      );
+
+      if (result.isFailure) {
+        return res.status(result.error.httpCode ?? 400).json({
+          code: result.error.code,
+          message: result.error.message
+        });
+      }
+
+      return res.status(201).json(result.value);
+    })
+  );
+
+  // === ENDPOINT: LISTAR IMÁGENES ===
+
+  /**
+   * GET /products/:productId/images
+   *
+   * Responses:
+   * - 200: Galería ordenada por posición (lista vacía si no tiene)
+   * - 404: El producto no existe
+   */
+  router.get('/', describeRoute({
+    summary: 'Listar imágenes',
+    responses: {
+      200: 'Galería ordenada por posición (lista vacía si no tiene)',
+      404: 'El producto no existe'
+    }
+  }), validate({ params: productParams }), errorAsync(async (req, res) => {
+    const result = await productImageService.getAll(req.params.productId);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: ORDENAR / MARCAR PRINCIPAL ===
+
+  /**
+   * PATCH /products/:productId/images/:imageId
+   *
+   * Request Body:
+   * {
+   *   "position"?: "number",   // Índice en la galería (0 = primera)
+   *   "isPrimary"?: true       // Marca la imagen como principal
+   * }
+   *
+   * Responses:
+   * - 200: Imagen actualizada
+   * - 400: Sin campos o valores inválidos
+   * - 404: El producto o la imagen no existen
+   */
+  router.patch('/:imageId', describeRoute({
+    summary: 'Ordenar imagen o marcarla como principal',
+    responses: {
+      200: 'Imagen actualizada',
+      400: 'Sin campos o valores inválidos',
+      404: 'El producto o la imagen no existen'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ params: imageParams, body: imagePatchBody }), errorAsync(async (req, res) => {
+    const { position, isPrimary } = req.body;
+
+    const result = await productImageService.update(req.params.productId, req.params.imageId, { position, isPrimary });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: ELIMINAR IMAGEN ===
+
+  /**
+   * DELETE /products/:productId/images/:imageId
+   *
+   * Elimina el registro y los archivos (original y miniatura).
+   *
+   * Responses:
+   * - 204: Imagen eliminada
+   * - 404: El producto o la imagen no existen
+   */
+  router.delete('/:imageId', describeRoute({
+    summary: 'Eliminar imagen',
+    responses: {
+      204: 'Imagen eliminada',
+      404: 'El producto o la imagen no existen'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ params: imageParams }), errorAsync(async (req, res) => {
+    const result = await productImageService.remove(req.params.productId, req.params.imageId);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(204).end();
+  }));
+
+  return router;
+};
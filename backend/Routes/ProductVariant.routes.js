@@ -0,0 +1,230 @@
+/**
+ * Router de Variantes de Producto - Controladores HTTP
+ * 
+ * Endpoints anidados bajo /products/:productId/variants para administrar
+ * las variantes (tono, tamaño) de un producto. Crear, editar y eliminar
+ * exigen el permiso catalog:write.
+ * 
+ * @module ProductVariantRoutes
+ * @author Backend Team
+ */
+
+import express from 'express';
+import { errorAsync } from '../Shared/errorHandler.js';
+import { describeRoute } from '../Shared/openApi.js';
+import { principalOf, requirePermission } from '../Shared/authGuard.js';
+import { PERMISSIONS } from '../Domain/Users/Entities/Role.js';
+import { validate } from '../Shared/validation.js';
+import { uuidParams } from './Schemas/common.schemas.js';
+import { variantBody, variantPatchBody } from './Schemas/ProductVariant.schemas.js';
+
+/**
+ * Campos editables de una variante
+ * @constant {string[]}
+ * @private
+ */
+const VARIANT_FIELDS = ['sku', 'shade', 'size', 'price', 'stock'];
+
+/**
+ * Params de las rutas de variantes (montaje con :productId)
+ * @constant {Object}
+ * @private
+ */
+const productParams = uuidParams('productId');
+
+/**
+ * Params de las rutas de una variante
+ * @constant {Object}
+ * @private
+ */
+const variantParams = uuidParams('productId', 'variantId');
+
+/**
+ * Toma del cuerpo solo los campos editables
+ * 
+ * @param {Object} body - req.body
+ * @returns {Object} Campos enviados (los ausentes quedan undefined)
+ * 
+ * @private
+ */
+const pickVariantFields = (body) =>
+  Object.fromEntries(VARIANT_FIELDS.map(field => [field, body?.[field]]));
+
+/**
+ * Construye el router de variantes con dependencias inyectadas
+ * 
+ * Usa mergeParams para leer :productId de la ruta de montaje.
+ * 
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {ProductVariantService} dependencies.productVariantService - Servicio de variantes
+ * @returns {Router} Router de Express configurado
+ * 
+ * @example
+ * app.use('/api/products/:productId/variants', buildProductVariantRouter({ productVariantService }));
+ */
+export const buildProductVariantRouter = ({ productVariantService }) => {
+
+  const router = express.Router({ mergeParams: true });
+
+  // === ENDPOINT: CREAR VARIANTE ===
+
+  /**
+   * POST /products/:productId/variants
+   * 
+   * Request Body:
+   * {
+   *   "sku": "string",           // Único en el catálogo
+   *   "shade"?: "string",        // Tono
+   *   "size"?: "string",         // Tamaño (al menos una de las dos opciones)
+   *   "price"?: "number" | null, // null/omitido hereda el precio del producto
+   *   "stock": "number"
+   * }
+   * 
+   * Responses:
+   * - 201: Variante creada
+   * - 400: Datos inválidos, SKU u opciones duplicadas
+   * - 404: El producto no existe
+   */
+  router.post('/', describeRoute({
+    summary: 'Crear variante',
+    responses: {
+      201: 'Variante creada',
+      400: 'Datos inválidos, SKU u opciones duplicadas',
+      404: 'El producto no existe'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ params: productParams, body: variantBody }), errorAsync(async (req, res) => {
+    const { sku, shade, size, price, stock } = pickVariantFields(req.body);
+
+    const result = await productVariantService.create(req.params.productId, { sku, shade, size, price, stock }, { actor: principalOf(req) });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(201).json(result.value);
+  }));
+
+  // === ENDPOINT: LISTAR VARIANTES ===
+
+  /**
+   * GET /products/:productId/variants
+   * 
+   * Responses:
+   * - 200: Variantes del producto (lista vacía si no tiene)
+   * - 404: El producto no existe
+   */
+  router.get('/', describeRoute({
+    summary: 'Listar variantes',
+    responses: {
+      200: 'Variantes del producto (lista vacía si no tiene)',
+      404: 'El producto no existe'
+    }
+  }), validate({ params: productParams }), errorAsync(async (req, res) => {
+    const result = await productVariantService.getAll(req.params.productId);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: OBTENER VARIANTE ===
+
+  /**
+   * GET /products/:productId/variants/:variantId
+   * 
+   * Responses:
+   * - 200: Variante encontrada
+   * - 404: El producto o la variante no existen
+   */
+  router.get('/:variantId', describeRoute({
+    summary: 'Obtener variante',
+    responses: {
+      200: 'Variante encontrada',
+      404: 'El producto o la variante no existen'
+    }
+  }), validate({ params: variantParams }), errorAsync(async (req, res) => {
+    const result = await productVariantService.getById(req.params.productId, req.params.variantId);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: ACTUALIZAR VARIANTE ===
+
+  /**
+   * PATCH /products/:productId/variants/:variantId
+   * 
+   * Modifica uno o varios de: sku, shade, size, price, stock.
+   * null en shade, size o price elimina el valor.
+   * 
+   * Responses:
+   * - 200: Variante actualizada
+   * - 400: Datos inválidos, sin campos, SKU u opciones duplicadas
+   * - 404: El producto o la variante no existen
+   */
+  router.patch('/:variantId', describeRoute({
+    summary: 'Actualizar variante',
+    responses: {
+      200: 'Variante actualizada',
+      400: 'Datos inválidos, sin campos, SKU u opciones duplicadas',
+      404: 'El producto o la variante no existen'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ params: variantParams, body: variantPatchBody }), errorAsync(async (req, res) => {
+    const changes = pickVariantFields(req.body);
+
+    const result = await productVariantService.update(req.params.productId, req.params.variantId, changes, { actor: principalOf(req) });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: ELIMINAR VARIANTE ===
+
+  /**
+   * DELETE /products/:productId/variants/:variantId
+   * 
+   * Responses:
+   * - 204: Variante eliminada
+   * - 404: El producto o la variante no existen
+   */
+  router.delete('/:variantId', describeRoute({
+    summary: 'Eliminar variante',
+    responses: {
+      204: 'Variante eliminada',
+      404: 'El producto o la variante no existen'
+    }
+  }), requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ params: variantParams }), errorAsync(async (req, res) => {
+    const result = await productVariantService.remove(req.params.productId, req.params.variantId);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(204).end();
+  }));
+
+  return router;
+};
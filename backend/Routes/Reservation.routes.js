@@ -0,0 +1,186 @@
+/**
+ * Router de Reservas de Stock - Controladores HTTP
+ * 
+ * Endpoints para apartar unidades de un producto durante un carrito o un
+ * checkout. Una reserva retiene stock hasta que se libera o vence; el
+ * stock disponible de los productos (campo available) ya la descuenta.
+ *
+ * Reservar y liberar exigen el token del carrito (header X-Cart-Token) o
+ * el permiso orders:write. Con el token, la reserva queda a nombre del
+ * carrito y tiene topes de unidades y vigencia (ver env.RESERVATIONS).
+ * 
+ * @module ReservationRoutes
+ * @author Backend Team
+ */
+
+import express from 'express';
+import { errorAsync } from '../Shared/errorHandler.js';
+import { describeRoute, headerParameter } from '../Shared/openApi.js';
+import { hasPermission, principalOf, requirePermissionIf } from '../Shared/authGuard.js';
+import { PERMISSIONS } from '../Domain/Users/Entities/Role.js';
+import { AppError } from '../Shared/AppError.js';
+import { validate } from '../Shared/validation.js';
+import { idParams } from './Schemas/common.schemas.js';
+import { reservationBody } from './Schemas/Reservation.schemas.js';
+
+/**
+ * Header X-Cart-Token en la documentación OpenAPI
+ * @constant {Object}
+ * @private
+ */
+const cartTokenHeader = headerParameter('X-Cart-Token', 'Token del carrito (no requerido con el permiso orders:write)');
+
+/**
+ * Construye el router de reservas con dependencias inyectadas
+ * 
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {ReservationService} dependencies.reservationService - Servicio de reservas
+ * @returns {Router} Router de Express configurado
+ * 
+ * @example
+ * app.use('/api/reservations', buildReservationRouter({ reservationService }));
+ */
+export const buildReservationRouter = ({ reservationService }) => {
+
+  const router = express.Router();
+
+  // === ENDPOINT: CREAR RESERVA ===
+
+  /**
+   * POST /reservations
+   * 
+   * Headers: X-Cart-Token (del carrito de cartId)
+   * 
+   * Request Body:
+   * {
+   *   "productId": "string",     // UUID del producto
+   *   "variantId"?: "string",    // Requerido si el producto tiene variantes
+   *   "quantity": "number",      // Unidades a reservar
+   *   "ttlSeconds"?: "number",   // Vigencia (por defecto RESERVATION_TTL_SECONDS)
+   *   "cartId"?: "string"        // Carrito; requerido sin el permiso orders:write
+   * }
+   * 
+   * La referencia de la reserva la fija el servidor: cartId o, sin
+   * carrito, quien se autenticó (user:<id> o api-key:<id>).
+   * 
+   * Responses:
+   * - 201: Reserva creada (con expiresAt)
+   * - 400: Campos faltantes o inválidos, o tope del carrito superado
+   * - 401: Sin cartId ni credenciales, o falta el header X-Cart-Token
+   * - 403: Sin cartId y sin el permiso orders:write, o el token no corresponde al carrito
+   * - 404: El carrito, el producto o la variante no existen
+   * - 409: INSUFFICIENT_STOCK, no hay unidades disponibles suficientes, o el carrito ya no admite cambios
+   */
+  router.post('/', describeRoute({
+    summary: 'Crear reserva',
+    parameters: [cartTokenHeader],
+    responses: {
+      201: 'Reserva creada (con expiresAt)',
+      400: 'Campos faltantes o inválidos, o tope del carrito superado',
+      401: 'Sin cartId ni credenciales, o falta el header X-Cart-Token',
+      403: 'Sin cartId y sin el permiso orders:write, o el token no corresponde al carrito',
+      404: 'El carrito, el producto o la variante no existen',
+      409: 'INSUFFICIENT_STOCK, no hay unidades disponibles suficientes, o el carrito ya no admite cambios'
+    }
+  }), validate({ body: reservationBody }), requirePermissionIf(req => !req.body.cartId, PERMISSIONS.ORDERS_WRITE), errorAsync(async (req, res) => {
+    const { productId, variantId, quantity, ttlSeconds, cartId } = req.body;
+    const cartToken = req.get('X-Cart-Token');
+
+    if (cartId && !cartToken) {
+      throw AppError.unauthorized('Se requiere el header X-Cart-Token del carrito');
+    }
+
+    const result = await reservationService.create({ productId, variantId, quantity, ttlSeconds }, {
+      cartId,
+      cartToken,
+      principal: principalOf(req),
+      privileged: hasPermission(req, PERMISSIONS.ORDERS_WRITE)
+    });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(201).json(result.value);
+  }));
+
+  // === ENDPOINT: OBTENER RESERVA POR ID ===
+
+  /**
+   * GET /reservations/:id
+   * 
+   * Responses:
+   * - 200: Reserva (status refleja el vencimiento aunque el barrido no haya pasado)
+   * - 400: El id no es un UUID válido
+   * - 404: La reserva no existe
+   */
+  router.get('/:id', describeRoute({
+    summary: 'Obtener reserva por id',
+    responses: {
+      200: 'Reserva (status refleja el vencimiento aunque el barrido no haya pasado)',
+      400: 'El id no es un UUID válido',
+      404: 'La reserva no existe'
+    }
+  }), validate({ params: idParams }), errorAsync(async (req, res) => {
+    const result = await reservationService.getById(req.params.id);
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  // === ENDPOINT: LIBERAR RESERVA ===
+
+  /**
+   * DELETE /reservations/:id
+   * 
+   * Libera la reserva: sus unidades vuelven a estar disponibles.
+   * 
+   * Headers: X-Cart-Token (del carrito de la reserva), salvo con el
+   * permiso orders:write
+   * 
+   * Responses:
+   * - 204: Reserva liberada
+   * - 400: El id no es un UUID válido
+   * - 401: Sin el header X-Cart-Token ni credenciales
+   * - 403: El token no corresponde al carrito de la reserva, o sin el permiso orders:write
+   * - 404: La reserva no existe
+   * - 409: La reserva ya fue liberada, consumida o venció
+   */
+  router.delete('/:id', describeRoute({
+    summary: 'Liberar reserva',
+    parameters: [cartTokenHeader],
+    responses: {
+      204: 'Reserva liberada',
+      400: 'El id no es un UUID válido',
+      401: 'Sin el header X-Cart-Token ni credenciales',
+      403: 'El token no corresponde al carrito de la reserva, o sin el permiso orders:write',
+      404: 'La reserva no existe',
+      409: 'La reserva ya fue liberada, consumida o venció'
+    }
+  }), validate({ params: idParams }), requirePermissionIf(req => !req.get('X-Cart-Token'), PERMISSIONS.ORDERS_WRITE), errorAsync(async (req, res) => {
+    const result = await reservationService.release(req.params.id, {
+      cartToken: req.get('X-Cart-Token'),
+      privileged: hasPermission(req, PERMISSIONS.ORDERS_WRITE)
+    });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 500).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(204).end();
+  }));
+
+  return router;
+};
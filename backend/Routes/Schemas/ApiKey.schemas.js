@@ -0,0 +1,28 @@
+/**
+ * Esquemas de Peticiones: API Keys
+ *
+ * @module ApiKeySchemas
+ * @author Backend Team
+ */
+
+import { API_KEY_SCOPES } from '../../Domain/ApiKeys/Entities/ApiKey.js';
+import { nonEmptyString } from './common.schemas.js';
+
+/**
+ * Cuerpo de POST /api-keys
+ * @constant {Object}
+ */
+export const createApiKeyBody = {
+  type: 'object',
+  properties: {
+    name: { ...nonEmptyString, maxLength: 100 },
+    scopes: {
+      type: 'array',
+      items: { type: 'string', enum: API_KEY_SCOPES },
+      minItems: 1
+    },
+    // Sin vencimiento la key no vence
+    expiresAt: { type: ['string', 'null'], format: 'date-time', default: null }
+  },
+  required: ['name', 'scopes']
+};
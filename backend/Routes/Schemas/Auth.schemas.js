@@ -0,0 +1,63 @@
+/**
+ * Esquemas de Peticiones: Autenticación
+ *
+ * Solo validan la forma: las reglas de la contraseña (longitud en bytes)
+ * y la normalización del email las aplica la entidad User.
+ *
+ * @module AuthSchemas
+ * @author Backend Team
+ */
+
+import { nonEmptyString, uuid } from './common.schemas.js';
+
+/**
+ * Cuerpo de POST /auth/register
+ * @constant {Object}
+ */
+export const registerBody = {
+  type: 'object',
+  properties: {
+    email: { type: 'string', format: 'email' },
+    password: { type: 'string', minLength: 8 },
+    name: { type: ['string', 'null'], default: null }
+  },
+  required: ['email', 'password']
+};
+
+/**
+ * Cuerpo de POST /auth/login
+ * @constant {Object}
+ */
+export const loginBody = {
+  type: 'object',
+  properties: {
+    email: nonEmptyString,
+    password: nonEmptyString,
+    cartId: uuid,
+    cartToken: nonEmptyString
+  },
+  required: ['email', 'password']
+};
+
+/**
+ * Cuerpo de POST /auth/refresh
+ * @constant {Object}
+ */
+export const refreshBody = {
+  type: 'object',
+  properties: {
+    refreshToken: nonEmptyString
+  },
+  required: ['refreshToken']
+};
+
+/**
+ * Cuerpo de POST /auth/logout (opcional)
+ * @constant {Object}
+ */
+export const logoutBody = {
+  type: 'object',
+  properties: {
+    refreshToken: { type: ['string', 'null'], default: null }
+  }
+};
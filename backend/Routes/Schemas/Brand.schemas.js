@@ -0,0 +1,20 @@
+/**
+ * Esquemas de Peticiones: Marcas
+ *
+ * @module BrandSchemas
+ * @author Backend Team
+ */
+
+import { nonEmptyString } from './common.schemas.js';
+
+/**
+ * Cuerpo de POST /brands y PUT /brands/:id
+ * @constant {Object}
+ */
+export const brandBody = {
+  type: 'object',
+  properties: {
+    name: nonEmptyString
+  },
+  required: ['name']
+};
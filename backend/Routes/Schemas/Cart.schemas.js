@@ -0,0 +1,47 @@
+/**
+ * Esquemas de Peticiones: Carritos
+ *
+ * @module CartSchemas
+ * @author Backend Team
+ */
+
+import { uuid, nullableUuid, nonEmptyString } from './common.schemas.js';
+
+/**
+ * Cuerpo de POST /carts/:id/items
+ * @constant {Object}
+ */
+export const addCartItemBody = {
+  type: 'object',
+  properties: {
+    productId: uuid,
+    variantId: nullableUuid,
+    quantity: { type: 'integer', minimum: 1 }
+  },
+  required: ['productId', 'quantity']
+};
+
+/**
+ * Cuerpo de PATCH /carts/:id/items/:itemId
+ * @constant {Object}
+ */
+export const updateCartItemBody = {
+  type: 'object',
+  properties: {
+    quantity: { type: 'integer', minimum: 1 }
+  },
+  required: ['quantity']
+};
+
+/**
+ * Cuerpo de POST /carts/:id/merge
+ * @constant {Object}
+ */
+export const mergeCartBody = {
+  type: 'object',
+  properties: {
+    sourceCartId: uuid,
+    sourceToken: nonEmptyString
+  },
+  required: ['sourceCartId', 'sourceToken']
+};
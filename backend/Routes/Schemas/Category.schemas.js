@@ -0,0 +1,33 @@
+/**
+ * Esquemas de Peticiones: Categorías
+ *
+ * @module CategorySchemas
+ * @author Backend Team
+ */
+
+import { nullableUuid, nonEmptyString } from './common.schemas.js';
+
+/**
+ * Cuerpo de POST /categories y PUT /categories/:id
+ * @constant {Object}
+ */
+export const categoryBody = {
+  type: 'object',
+  properties: {
+    name: nonEmptyString,
+    // Omitido o null = categoría raíz
+    parentId: { ...nullableUuid, default: null }
+  },
+  required: ['name']
+};
+
+/**
+ * Query de GET /categories
+ * @constant {Object}
+ */
+export const listCategoriesQuery = {
+  type: 'object',
+  properties: {
+    tree: { type: 'boolean', default: false }
+  }
+};
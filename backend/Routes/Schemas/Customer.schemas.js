@@ -0,0 +1,73 @@
+/**
+ * Esquemas de Peticiones: Clientes y Direcciones
+ *
+ * @module CustomerSchemas
+ * @author Backend Team
+ */
+
+import { nonEmptyString, paginationQuery, atLeastOneOf } from './common.schemas.js';
+
+/**
+ * Cuerpo de POST /customers y PUT /customers/:id
+ * @constant {Object}
+ */
+export const customerBody = {
+  type: 'object',
+  properties: {
+    name: nonEmptyString,
+    email: { type: 'string', format: 'email' },
+    // Ausente o null = sin teléfono
+    phone: { type: ['string', 'null'], default: null }
+  },
+  required: ['name', 'email']
+};
+
+/**
+ * Query de GET /customers
+ * @constant {Object}
+ */
+export const listCustomersQuery = {
+  type: 'object',
+  properties: {
+    ...paginationQuery,
+    q: { type: 'string' },
+    withStats: { type: 'boolean' }
+  }
+};
+
+/**
+ * Campos de una dirección; null en los opcionales elimina el valor
+ * @constant {Object}
+ * @private
+ */
+const addressProperties = {
+  label: { type: ['string', 'null'] },
+  line1: nonEmptyString,
+  line2: { type: ['string', 'null'] },
+  city: nonEmptyString,
+  region: { type: ['string', 'null'] },
+  postalCode: { type: ['string', 'null'] },
+  // ISO 3166-1 alfa-2 (ej: CO)
+  country: { type: 'string', pattern: '^\\s*[A-Za-z]{2}\\s*$' },
+  isDefault: { type: 'boolean' }
+};
+
+/**
+ * Cuerpo de POST /customers/:customerId/addresses
+ * @constant {Object}
+ */
+export const addressBody = {
+  type: 'object',
+  properties: addressProperties,
+  required: ['line1', 'city', 'country']
+};
+
+/**
+ * Cuerpo de PATCH /customers/:customerId/addresses/:addressId (al menos un campo)
+ * @constant {Object}
+ */
+export const addressPatchBody = {
+  type: 'object',
+  properties: addressProperties,
+  ...atLeastOneOf(Object.keys(addressProperties))
+};
@@ -0,0 +1,46 @@
+/**
+ * Esquemas de Peticiones: Pedidos
+ *
+ * @module OrderSchemas
+ * @author Backend Team
+ */
+
+import { ORDER_STATUSES } from '../../Domain/Orders/Entities/Order.js';
+import { uuid, nullableUuid, paginationQuery } from './common.schemas.js';
+
+/**
+ * Cuerpo de POST /orders (checkout)
+ * @constant {Object}
+ */
+export const placeOrderBody = {
+  type: 'object',
+  properties: {
+    cartId: uuid,
+    customerId: { ...nullableUuid, default: null }
+  },
+  required: ['cartId']
+};
+
+/**
+ * Query de GET /orders
+ * @constant {Object}
+ */
+export const listOrdersQuery = {
+  type: 'object',
+  properties: {
+    ...paginationQuery,
+    status: { type: 'string', enum: ORDER_STATUSES }
+  }
+};
+
+/**
+ * Cuerpo de PATCH /orders/:id/status
+ * @constant {Object}
+ */
+export const orderStatusBody = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ORDER_STATUSES }
+  },
+  required: ['status']
+};
@@ -0,0 +1,143 @@
+/**
+ * Esquemas de Peticiones: Productos
+ *
+ * Validan la forma de los datos antes de llegar al servicio. Las reglas
+ * de negocio (nombre único, referencias existentes, stock suficiente)
+ * siguen en las capas de aplicación y dominio.
+ *
+ * @module ProductSchemas
+ * @author Backend Team
+ */
+
+import { SORTABLE_FIELDS } from '../../Application/Products/Queries/ProductListCriteria.js';
+import { SEARCH_LENGTH } from '../../Application/Products/Queries/ProductSearchCriteria.js';
+import { IMPORT_MODES } from '../../Application/Products/UseCases/ImportProductsUseCase.js';
+import { MOVEMENT_TYPES } from '../../Domain/Products/Entities/StockMovement.js';
+import { uuid, nullableUuid, nonEmptyString, paginationQuery, atLeastOneOf } from './common.schemas.js';
+
+/**
+ * Campos editables de un producto
+ * @constant {Object}
+ * @private
+ */
+const productProperties = {
+  name: { type: 'string', minLength: 1, maxLength: 255 },
+  price: { type: 'number', exclusiveMinimum: 0 },
+  stock: { type: 'integer', minimum: 0 },
+  categoryId: nullableUuid,
+  brandId: nullableUuid
+};
+
+/**
+ * Cuerpo de POST /products y PUT /products/:id
+ * @constant {Object}
+ */
+export const productBody = {
+  type: 'object',
+  properties: productProperties,
+  required: ['name', 'price', 'stock']
+};
+
+/**
+ * Cuerpo de PATCH /products/:id (al menos un campo)
+ * @constant {Object}
+ */
+export const productPatchBody = {
+  type: 'object',
+  properties: productProperties,
+  ...atLeastOneOf(Object.keys(productProperties))
+};
+
+/**
+ * Filtros y ordenamiento del catálogo (GET /products y /products/export)
+ * @constant {Object}
+ * @private
+ */
+const listProperties = {
+  cursor: { type: 'string' },
+  minPrice: { type: 'number', minimum: 0 },
+  maxPrice: { type: 'number', minimum: 0 },
+  inStock: { type: 'boolean' },
+  q: { type: 'string' },
+  categoryId: uuid,
+  brandId: uuid,
+  sort: { type: 'string', enum: SORTABLE_FIELDS },
+  order: { type: 'string', enum: ['asc', 'desc', 'ASC', 'DESC'] },
+  includeDeleted: { type: 'boolean' }
+};
+
+/**
+ * Query de GET /products
+ * @constant {Object}
+ */
+export const listProductsQuery = {
+  type: 'object',
+  properties: { ...paginationQuery, ...listProperties }
+};
+
+/**
+ * Query de GET /products/export (la paginación se ignora)
+ * @constant {Object}
+ */
+export const exportProductsQuery = {
+  type: 'object',
+  properties: {
+    ...listProperties,
+    format: { type: 'string', enum: ['csv', 'ndjson'], default: 'csv' }
+  }
+};
+
+/**
+ * Query de GET /products/search
+ * @constant {Object}
+ */
+export const searchProductsQuery = {
+  type: 'object',
+  properties: {
+    ...paginationQuery,
+    q: { type: 'string', minLength: SEARCH_LENGTH.MIN, maxLength: SEARCH_LENGTH.MAX }
+  },
+  required: ['q']
+};
+
+/**
+ * Query de POST /products/import
+ * @constant {Object}
+ */
+export const importProductsQuery = {
+  type: 'object',
+  properties: {
+    mode: { type: 'string', enum: IMPORT_MODES, default: 'all-or-nothing' },
+    dryRun: { type: 'boolean', default: false },
+    delimiter: { type: 'string', minLength: 1, maxLength: 1, default: ',' }
+  }
+};
+
+/**
+ * Cuerpo de POST /products/:id/stock-movements
+ * @constant {Object}
+ */
+export const stockMovementBody = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: Object.keys(MOVEMENT_TYPES) },
+    quantity: { type: 'integer' },
+    reason: { ...nonEmptyString, maxLength: 255 },
+    variantId: nullableUuid,
+    reference: { type: ['string', 'null'] }
+  },
+  required: ['type', 'quantity', 'reason']
+};
+
+/**
+ * Query de GET /products/:id/stock-history
+ * @constant {Object}
+ */
+export const stockHistoryQuery = {
+  type: 'object',
+  properties: {
+    ...paginationQuery,
+    variantId: uuid,
+    type: { type: 'string', enum: Object.keys(MOVEMENT_TYPES) }
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Esquemas de Peticiones: Imágenes de Producto
+ *
+ * @module ProductImageSchemas
+ * @author Backend Team
+ */
+
+import { atLeastOneOf } from './common.schemas.js';
+
+/**
+ * Campos de texto del formulario de POST /products/:productId/images
+ * (el archivo lo recibe multer)
+ * @constant {Object}
+ */
+export const uploadImageBody = {
+  type: 'object',
+  properties: {
+    isPrimary: { type: 'boolean' }
+  }
+};
+
+/**
+ * Campos editables de una imagen
+ * @constant {Object}
+ * @private
+ */
+const imageProperties = {
+  position: { type: 'integer', minimum: 0 },
+  isPrimary: { type: 'boolean' }
+};
+
+/**
+ * Cuerpo de PATCH /products/:productId/images/:imageId (al menos un campo)
+ * @constant {Object}
+ */
+export const imagePatchBody = {
+  type: 'object',
+  properties: imageProperties,
+  ...atLeastOneOf(Object.keys(imageProperties))
+};
@@ -0,0 +1,42 @@
+/**
+ * Esquemas de Peticiones: Variantes de Producto
+ *
+ * @module ProductVariantSchemas
+ * @author Backend Team
+ */
+
+import { nonEmptyString, atLeastOneOf } from './common.schemas.js';
+
+/**
+ * Campos editables de una variante; null en shade, size o price elimina
+ * el valor (sin precio propio hereda el del producto)
+ * @constant {Object}
+ * @private
+ */
+const variantProperties = {
+  sku: nonEmptyString,
+  shade: { type: ['string', 'null'] },
+  size: { type: ['string', 'null'] },
+  price: { type: ['number', 'null'], exclusiveMinimum: 0 },
+  stock: { type: 'integer', minimum: 0 }
+};
+
+/**
+ * Cuerpo de POST /products/:productId/variants
+ * @constant {Object}
+ */
+export const variantBody = {
+  type: 'object',
+  properties: variantProperties,
+  required: ['sku', 'stock']
+};
+
+/**
+ * Cuerpo de PATCH /products/:productId/variants/:variantId (al menos un campo)
+ * @constant {Object}
+ */
+export const variantPatchBody = {
+  type: 'object',
+  properties: variantProperties,
+  ...atLeastOneOf(Object.keys(variantProperties))
+};
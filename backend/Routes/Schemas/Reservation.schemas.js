@@ -0,0 +1,24 @@
+/**
+ * Esquemas de Peticiones: Reservas de Stock
+ *
+ * @module ReservationSchemas
+ * @author Backend Team
+ */
+
+import { uuid, nullableUuid } from './common.schemas.js';
+
+/**
+ * Cuerpo de POST /reservations
+ * @constant {Object}
+ */
+export const reservationBody = {
+  type: 'object',
+  properties: {
+    productId: uuid,
+    variantId: nullableUuid,
+    quantity: { type: 'integer', minimum: 1 },
+    ttlSeconds: { type: 'integer', minimum: 1 },
+    cartId: uuid
+  },
+  required: ['productId', 'quantity']
+};
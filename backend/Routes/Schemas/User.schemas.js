@@ -0,0 +1,20 @@
+/**
+ * Esquemas de Peticiones: Usuarios
+ *
+ * @module UserSchemas
+ * @author Backend Team
+ */
+
+import { ROLES } from '../../Domain/Users/Entities/Role.js';
+
+/**
+ * Cuerpo de PATCH /users/:id/role
+ * @constant {Object}
+ */
+export const userRoleBody = {
+  type: 'object',
+  properties: {
+    role: { type: 'string', enum: ROLES }
+  },
+  required: ['role']
+};
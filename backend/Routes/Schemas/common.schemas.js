@@ -0,0 +1,73 @@
+/**
+ * Esquemas Comunes de Peticiones
+ *
+ * Fragmentos JSON Schema que se repiten en los esquemas de cada recurso:
+ * identificadores, paginación y el requisito de "al menos un campo" de
+ * los PATCH. Se usan con el middleware validate (Shared/validation.js).
+ *
+ * @module CommonSchemas
+ * @author Backend Team
+ */
+
+import { PAGE_LIMITS } from '../../Application/Products/Queries/ProductListCriteria.js';
+
+/**
+ * Identificador UUID
+ * @constant {Object}
+ */
+export const uuid = { type: 'string', format: 'uuid' };
+
+/**
+ * Identificador UUID o null (referencia opcional que puede quitarse)
+ * @constant {Object}
+ */
+export const nullableUuid = { type: ['string', 'null'], format: 'uuid' };
+
+/**
+ * Texto no vacío
+ * @constant {Object}
+ */
+export const nonEmptyString = { type: 'string', minLength: 1 };
+
+/**
+ * Construye el esquema de params para una ruta con identificadores UUID
+ *
+ * @param {...string} names - Nombres de los parámetros de la ruta
+ * @returns {Object} Esquema de req.params
+ *
+ * @example
+ * validate({ params: uuidParams('id', 'variantId') });
+ */
+export const uuidParams = (...names) => ({
+  type: 'object',
+  properties: Object.fromEntries(names.map(name => [name, uuid])),
+  required: names
+});
+
+/**
+ * Params de las rutas /:id
+ * @constant {Object}
+ */
+export const idParams = uuidParams('id');
+
+/**
+ * Query params de paginación por offset (page >= 1, 1 <= limit <= 100)
+ * @constant {Object}
+ */
+export const paginationQuery = {
+  page: { type: 'integer', minimum: 1 },
+  limit: { type: 'integer', minimum: 1, maximum: PAGE_LIMITS.MAX }
+};
+
+/**
+ * Exige al menos uno de los campos indicados (cuerpo de los PATCH)
+ *
+ * @param {string[]} fields - Campos aceptados
+ * @returns {Object} Fragmento anyOf para combinar con el esquema del cuerpo
+ *
+ * @example
+ * const patchBody = { type: 'object', properties, ...atLeastOneOf(Object.keys(properties)) };
+ */
+export const atLeastOneOf = (fields) => ({
+  anyOf: fields.map(field => ({ required: [field] }))
+});
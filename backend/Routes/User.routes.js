@@ -0,0 +1,77 @@
+/**
+ * Router de Usuarios - Controladores HTTP
+ * 
+ * Administración de cuentas de usuario. Exige el permiso users:manage
+ * (solo admin).
+ * 
+ * @module UserRoutes
+ * @author Backend Team
+ */
+
+import express from 'express';
+import { errorAsync } from '../Shared/errorHandler.js';
+import { describeRoute } from '../Shared/openApi.js';
+import { validate } from '../Shared/validation.js';
+import { requirePermission } from '../Shared/authGuard.js';
+import { PERMISSIONS } from '../Domain/Users/Entities/Role.js';
+import { idParams } from './Schemas/common.schemas.js';
+import { userRoleBody } from './Schemas/User.schemas.js';
+
+/**
+ * Construye el router de usuarios con dependencias inyectadas
+ * 
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {UserService} dependencies.userService - Servicio de usuarios
+ * @returns {Router} Router de Express configurado
+ * 
+ * @example
+ * app.use('/api/users', buildUserRouter({ userService }));
+ */
+export const buildUserRouter = ({ userService }) => {
+
+  const router = express.Router();
+
+  // === ENDPOINT: CAMBIAR ROL ===
+
+  /**
+   * PATCH /users/:id/role
+   * 
+   * Permiso: users:manage
+   * 
+   * Request Body:
+   * {
+   *   "role": "string"    // admin | catalog-editor | viewer | customer
+   * }
+   * 
+   * Responses:
+   * - 200: Usuario actualizado
+   * - 400: Falta role, no es un rol válido o el id no es un UUID
+   * - 401 / 403: Sin sesión o rol sin permiso
+   * - 404: El usuario no existe
+   * - 409: Intento de cambiar el propio rol
+   */
+  router.patch('/:id/role', describeRoute({
+    summary: 'Cambiar rol de un usuario',
+    responses: {
+      200: 'Usuario actualizado',
+      400: 'Falta role, no es un rol válido o el id no es un UUID',
+      404: 'El usuario no existe',
+      409: 'Intento de cambiar el propio rol'
+    }
+  }), requirePermission(PERMISSIONS.USERS_MANAGE), validate({ params: idParams, body: userRoleBody }), errorAsync(async (req, res) => {
+    const { role } = req.body;
+
+    const result = await userService.changeRole(req.params.id, role, { actorId: req.user.id });
+
+    if (result.isFailure) {
+      return res.status(result.error.httpCode ?? 400).json({
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    return res.status(200).json(result.value);
+  }));
+
+  return router;
+};
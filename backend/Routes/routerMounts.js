@@ -0,0 +1,84 @@
+/**
+ * Montaje de los Routers
+ *
+ * Tabla única de dónde se monta cada router del contenedor: la usa index.js
+ * para registrar las rutas y el router de documentación para generar el
+ * documento OpenAPI, así ambos no pueden divergir.
+ *
+ * @module RouterMounts
+ * @author Backend Team
+ */
+
+import { collectRoutes } from '../Shared/openApi.js';
+
+/**
+ * Routers de la API, bajo authenticate y el límite de peticiones
+ *
+ * Los anidados (/api/products/:productId/variants) van antes que el de su
+ * recurso padre.
+ *
+ * @constant {Array<{ path: string, router: string, tag: string }>}
+ */
+export const API_ROUTERS = [
+  { path: '/api/auth', router: 'authRouter', tag: 'Autenticación' },
+  { path: '/api/users', router: 'userRouter', tag: 'Usuarios' },
+  { path: '/api/api-keys', router: 'apiKeyRouter', tag: 'API keys' },
+  { path: '/api/products/:productId/variants', router: 'productVariantRouter', tag: 'Variantes' },
+  { path: '/api/products/:productId/images', router: 'productImageRouter', tag: 'Imágenes' },
+  { path: '/api/products', router: 'productRouter', tag: 'Productos' },
+  { path: '/api/categories', router: 'categoryRouter', tag: 'Categorías' },
+  { path: '/api/brands', router: 'brandRouter', tag: 'Marcas' },
+  { path: '/api/reservations', router: 'reservationRouter', tag: 'Reservas' },
+  { path: '/api/carts', router: 'cartRouter', tag: 'Carritos' },
+  { path: '/api/orders', router: 'orderRouter', tag: 'Pedidos' },
+  { path: '/api/customers/:customerId/addresses', router: 'customerAddressRouter', tag: 'Direcciones' },
+  { path: '/api/customers', router: 'customerRouter', tag: 'Clientes' }
+];
+
+/**
+ * Rutas que parsean su propio cuerpo JSON
+ *
+ * El parser global (límite de 100kb) las omite: la ruta monta el suyo,
+ * con un límite mayor y después de verificar el permiso.
+ *
+ * @constant {string[]}
+ */
+export const OWN_JSON_BODY_PATHS = ['/api/products/import'];
+
+/**
+ * Router de salud, fuera de /api
+ * @constant {{ path: string, router: string, tag: string }}
+ */
+export const HEALTH_ROUTER = { path: '/health', router: 'healthRouter', tag: 'Salud' };
+
+/**
+ * Router de métricas, fuera de /api (solo con METRICS_ENABLED)
+ * @constant {{ path: string, router: string, tag: string }}
+ */
+export const METRICS_ROUTER = { path: '/metrics', router: 'metricsRouter', tag: 'Métricas' };
+
+/**
+ * Lista los montajes activos con la configuración dada
+ *
+ * @param {Object} env - Configuración (sección METRICS)
+ * @returns {Array<{ path: string, router: string, tag: string }>} Montajes
+ */
+export const activeMounts = (env) => [
+  HEALTH_ROUTER,
+  ...(env.METRICS.ENABLED ? [METRICS_ROUTER] : []),
+  ...API_ROUTERS
+];
+
+/**
+ * Lista las rutas de todos los montajes
+ *
+ * @param {Array<Object>} mounts - Montajes (ver activeMounts)
+ * @param {Function} resolve - (nombre) => router del contenedor
+ * @returns {Array<Object>} Rutas (ver collectRoutes)
+ *
+ * @example
+ * const routes = collectMountedRoutes(activeMounts(env), name => container.resolve(name));
+ */
+export const collectMountedRoutes = (mounts, resolve) => mounts.flatMap(
+  ({ path, router, tag }) => collectRoutes(resolve(router), { path, tag })
+);
@@ -306,6 +306,56 @@ export class AppError extends Error {
     return new AppError('FORBIDDEN', message, 403, meta);
   }
   
+  /**
+   * Crea un error de precondición fallida (control de concurrencia)
+   * 
+   * Se usa cuando la versión enviada en `If-Match` no coincide con la
+   * versión actual del recurso.
+   * 
+   * @param {string} [message='El recurso fue modificado por otra operación'] - Mensaje del error
+   * @param {Object} [meta={}] - Metadatos adicionales
+   * @returns {AppError} Error de precondición fallida
+   * 
+   * @static
+   * @example
+   * throw AppError.preconditionFailed(undefined, { expected: 3, current: 4 });
+   */
+  static preconditionFailed(message = 'El recurso fue modificado por otra operación', meta = {}) {
+    return new AppError('PRECONDITION_FAILED', message, 412, meta);
+  }
+  
+  /**
+   * Crea un error de precondición requerida
+   * 
+   * Se usa cuando una operación exige el header `If-Match` y no fue enviado.
+   * 
+   * @param {string} [message='Se requiere el header If-Match'] - Mensaje del error
+   * @param {Object} [meta={}] - Metadatos adicionales
+   * @returns {AppError} Error de precondición requerida
+   * 
+   * @static
+   * @example
+   * throw AppError.preconditionRequired();
+   */
+  static preconditionRequired(message = 'Se requiere el header If-Match', meta = {}) {
+    return new AppError('PRECONDITION_REQUIRED', message, 428, meta);
+  }
+  
+  /**
+   * Crea un error de límite de peticiones excedido
+   * 
+   * @param {string} [message='Demasiadas peticiones, intente más tarde'] - Mensaje del error
+   * @param {Object} [meta={}] - Metadatos adicionales
+   * @returns {AppError} Error de límite excedido
+   * 
+   * @static
+   * @example
+   * throw AppError.tooManyRequests(undefined, { retryAfterSeconds: 30 });
+   */
+  static tooManyRequests(message = 'Demasiadas peticiones, intente más tarde', meta = {}) {
+    return new AppError('RATE_LIMITED', message, 429, meta);
+  }
+  
   /**
    * Crea un error interno del servidor
    * 
@@ -320,4 +370,56 @@ export class AppError extends Error {
   static internal(message = 'Error interno del servidor', meta = {}) {
     return new AppError('INTERNAL_ERROR', message, 500, meta);
   }
-}
\ No newline at end of file
+}
+/**
+ * Catálogo de códigos de error de la API
+ * 
+ * Todos los códigos que pueden llegar al cliente en el campo `code` de una
+ * respuesta de error, con su significado (los códigos por fila de la
+ * importación no son respuestas de error). Lo publica el documento OpenAPI
+ * (esquema Error): un código nuevo debe agregarse aquí.
+ * 
+ * @constant {Object<string, string>}
+ * 
+ * @example
+ * ERROR_CODES.RATE_LIMITED; // 'Se excedió el límite de peticiones...'
+ */
+export const ERROR_CODES = Object.freeze({
+  // === GENÉRICOS (métodos estáticos de AppError) ===
+  VALIDATION_ERROR: 'Datos de entrada inválidos; el detalle por campo viene en `fields`',
+  RESOURCE_NOT_FOUND: 'El recurso solicitado no existe',
+  CONFLICT_ERROR: 'La operación entra en conflicto con el estado actual de los datos',
+  UNAUTHORIZED: 'Faltan las credenciales o no son válidas',
+  FORBIDDEN: 'Las credenciales no otorgan el permiso requerido',
+  PRECONDITION_FAILED: 'La versión de If-Match no coincide con la actual del recurso',
+  PRECONDITION_REQUIRED: 'La operación exige el header If-Match',
+  RATE_LIMITED: 'Se excedió el límite de peticiones; reintentar después de Retry-After',
+  INTERNAL_ERROR: 'Error inesperado del servidor',
+
+  // === AUTENTICACIÓN ===
+  INVALID_CREDENTIALS: 'Email o contraseña incorrectos',
+  INVALID_REFRESH_TOKEN: 'El refresh token no existe, venció o ya se canjeó',
+  INVALID_API_KEY: 'La API key no existe, venció o fue revocada',
+
+  // === PAGINACIÓN ===
+  INVALID_CURSOR: 'El cursor de paginación fue alterado o no corresponde al ordenamiento solicitado',
+
+  // === UNICIDAD ===
+  USER_ALREADY_EXISTS: 'Ya existe un usuario con ese email',
+  PRODUCT_ALREADY_EXISTS: 'Ya existe un producto con ese nombre',
+  VARIANT_ALREADY_EXISTS: 'El producto ya tiene una variante con ese tono y tamaño',
+  SKU_ALREADY_EXISTS: 'Otra variante usa ese SKU',
+  CATEGORY_ALREADY_EXISTS: 'Ya existe una categoría hermana con ese nombre',
+  BRAND_ALREADY_EXISTS: 'Ya existe una marca con ese nombre',
+  CUSTOMER_ALREADY_EXISTS: 'Ya existe un cliente con ese email',
+
+  // === PRODUCTOS E INVENTARIO ===
+  PRODUCT_NOT_CREATED: 'Error al crear el producto',
+  IMPORT_ABORTED: 'Fila de importación no procesada: una fila anterior abortó la transacción',
+  INSUFFICIENT_STOCK: 'El movimiento dejaría el stock en negativo o no hay unidades disponibles para reservar, agregar al carrito o confirmar el pedido',
+
+  // === ARCHIVOS ===
+  FILE_TOO_LARGE: 'La imagen supera el tamaño máximo',
+  PAYLOAD_TOO_LARGE: 'El cuerpo de la petición supera el tamaño máximo',
+  UNSUPPORTED_MEDIA_TYPE: 'El archivo no es una imagen soportada'
+});
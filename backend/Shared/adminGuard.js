@@ -0,0 +1,62 @@
+/**
+ * Guardia de Operaciones Administrativas
+ * 
+ * Middleware que restringe operaciones destructivas (ej: purga física)
+ * a quien presente el token administrativo configurado en ADMIN_TOKEN
+ * mediante el header X-Admin-Token.
+ * 
+ * Si ADMIN_TOKEN no está configurado, la operación queda deshabilitada
+ * para todos: es preferible negar que permitir por omisión.
+ * 
+ * @module AdminGuard
+ * @author Backend Team
+ */
+
+import { timingSafeEqual } from 'node:crypto';
+import { AppError } from './AppError.js';
+
+/**
+ * Compara dos strings en tiempo constante
+ * 
+ * Evita que el tiempo de respuesta revele cuántos caracteres coinciden.
+ * También la usa el router de métricas para su token.
+ * 
+ * @param {string} a - Primer valor
+ * @param {string} b - Segundo valor
+ * @returns {boolean} true si son idénticos
+ */
+export function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Crea el middleware que exige el token administrativo
+ * 
+ * @param {Object} env - Configuración de la aplicación
+ * @returns {Function} Middleware de Express
+ * 
+ * @example
+ * router.delete('/:id/purge', requireAdminToken(env), errorAsync(handler));
+ */
+export const requireAdminToken = (env) => Object.assign((req, _res, next) => {
+  const expected = env.SECURITY.ADMIN_TOKEN;
+
+  if (!expected) {
+    return next(AppError.forbidden('Operación administrativa deshabilitada en este entorno'));
+  }
+
+  const provided = req.get('X-Admin-Token');
+
+  if (!provided) {
+    return next(AppError.unauthorized('Se requiere el header X-Admin-Token'));
+  }
+
+  if (!safeEqual(provided, expected)) {
+    return next(AppError.forbidden());
+  }
+
+  return next();
+}, { openApi: { adminToken: true } });
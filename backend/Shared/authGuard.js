@@ -0,0 +1,234 @@
+/**
+ * Autenticación de Peticiones
+ * 
+ * Middlewares que identifican a quien hace la petición: un usuario, por el
+ * access token JWT del header Authorization: Bearer <token>, o una
+ * integración, por la API key del header X-API-Key.
+ * 
+ * - authenticate se monta una sola vez, antes de los routers: si la
+ *   petición trae credenciales las verifica y adjunta req.user (usuario) o
+ *   req.apiKey (integración); si no trae, la deja pasar anónima. Una
+ *   credencial inválida, vencida o revocada es siempre 401: quien envía
+ *   credenciales espera que se usen. Enviar ambos headers es 400.
+ * - requireUser se coloca en cada endpoint que exige sesión de usuario.
+ * - requirePermission se coloca en cada endpoint que exige un permiso
+ *   (ver Domain/Users/Entities/Role.js): sin credenciales responde 401 y
+ *   con un rol (o scopes de API key) que no otorga el permiso, 403.
+ * - requirePermissionIf exige el permiso solo cuando la petición pide algo
+ *   restringido de un endpoint público (ej: includeDeleted en el catálogo).
+ * 
+ * @module AuthGuard
+ * @author Backend Team
+ */
+
+import { AppError } from './AppError.js';
+import { roleHasPermission } from '../Domain/Users/Entities/Role.js';
+import { scopesHavePermission } from '../Domain/ApiKeys/Entities/ApiKey.js';
+
+/**
+ * Esquema del header Authorization
+ * @constant {RegExp}
+ * @private
+ */
+const BEARER_REGEX = /^Bearer\s+(\S+)$/i;
+
+/**
+ * Construye el middleware que identifica al usuario o la integración
+ * 
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {AccessTokenService} dependencies.accessTokenService - Verificador de access tokens
+ * @param {RevokedTokenRepository} dependencies.revokedTokenRepository - Lista de revocación
+ * @param {ApiKeyService} dependencies.apiKeyService - Verificador de API keys
+ * @returns {Function} Middleware de Express (asigna req.user y req.auth, o req.apiKey)
+ * 
+ * @example
+ * app.use(buildAuthenticate({ accessTokenService, revokedTokenRepository, apiKeyService }));
+ */
+export const buildAuthenticate = ({ accessTokenService, revokedTokenRepository, apiKeyService }) => async (req, _res, next) => {
+  const header = req.get('Authorization');
+  const plainApiKey = req.get('X-API-Key');
+
+  if (header && plainApiKey) {
+    return next(AppError.validation('Envíe un solo tipo de credencial: Authorization o X-API-Key'));
+  }
+
+  // === API KEY ===
+
+  if (plainApiKey) {
+    try {
+      const result = await apiKeyService.authenticate(plainApiKey);
+
+      if (result.isFailure) return next(result.error);
+
+      /**
+       * Integración autenticada
+       * @type {{ id: string, name: string, scopes: string[] }}
+       */
+      req.apiKey = { id: result.value.id, name: result.value.name, scopes: result.value.scopes };
+
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  // === ACCESS TOKEN ===
+
+  if (!header) return next();
+
+  const match = BEARER_REGEX.exec(header);
+
+  if (!match) {
+    return next(AppError.unauthorized('El header Authorization debe tener el formato "Bearer <token>"'));
+  }
+
+  const claims = accessTokenService.verify(match[1]);
+
+  if (!claims) {
+    return next(AppError.unauthorized('El access token no es válido o venció'));
+  }
+
+  try {
+    if (await revokedTokenRepository.isRevoked(claims.jti)) {
+      return next(AppError.unauthorized('El access token fue revocado'));
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  /**
+   * Usuario autenticado
+   * @type {{ id: string, email: string, role: string }}
+   */
+  req.user = { id: claims.userId, email: claims.email, role: claims.role };
+
+  /**
+   * Datos del access token (para revocarlo al cerrar sesión)
+   * @type {{ jti: string, expiresAt: Date }}
+   */
+  req.auth = { jti: claims.jti, expiresAt: claims.expiresAt };
+
+  return next();
+};
+
+/**
+ * Middleware que exige una sesión
+ * 
+ * Debe ir después de authenticate.
+ * 
+ * @param {Object} req - Petición de Express
+ * @param {Object} _res - Respuesta de Express
+ * @param {Function} next - Siguiente middleware
+ * 
+ * @example
+ * router.post('/', requireUser, errorAsync(handler));
+ */
+export const requireUser = (req, _res, next) => {
+  if (!req.user) {
+    return next(AppError.unauthorized('Se requiere iniciar sesión (header Authorization: Bearer <token>)'));
+  }
+
+  return next();
+};
+
+// Documentación OpenAPI: solo acepta el access token de un usuario
+requireUser.openApi = { requiresUser: true };
+
+/**
+ * Crea el middleware que exige un permiso
+ * 
+ * Debe ir después de authenticate. El permiso lo otorga el rol del usuario
+ * o, en peticiones con X-API-Key, los scopes de la key. El permiso queda
+ * en la propiedad openApi del middleware para el documento OpenAPI.
+ * 
+ * @param {string} permission - Permiso requerido (ver PERMISSIONS)
+ * @returns {Function} Middleware de Express
+ * 
+ * @example
+ * router.post('/', requirePermission(PERMISSIONS.CATALOG_WRITE), errorAsync(handler));
+ */
+export const requirePermission = (permission) => Object.assign((req, res, next) => {
+  if (req.apiKey) {
+    if (!scopesHavePermission(req.apiKey.scopes, permission)) {
+      return next(AppError.forbidden(
+        `Los scopes de la API key no otorgan el permiso ${permission}`,
+        { permission, scopes: req.apiKey.scopes }
+      ));
+    }
+
+    return next();
+  }
+
+  return requireUser(req, res, (error) => {
+    if (error) return next(error);
+
+    if (!roleHasPermission(req.user.role, permission)) {
+      return next(AppError.forbidden(
+        `El rol ${req.user.role} no tiene el permiso ${permission}`,
+        { permission, role: req.user.role }
+      ));
+    }
+
+    return next();
+  });
+}, { openApi: { permission } });
+
+/**
+ * Indica si la petición tiene un permiso, sin rechazarla
+ *
+ * Para endpoints que cambian de comportamiento según el permiso (ej: sin
+ * él se aplican topes). Mismo criterio que requirePermission.
+ *
+ * @param {Request} req - Petición de Express, después de authenticate
+ * @param {string} permission - Permiso (ver PERMISSIONS)
+ * @returns {boolean} true si el rol del usuario o los scopes de la API key lo otorgan
+ *
+ * @example
+ * const privileged = hasPermission(req, PERMISSIONS.ORDERS_WRITE);
+ */
+export const hasPermission = (req, permission) => {
+  if (req.apiKey) return scopesHavePermission(req.apiKey.scopes, permission);
+
+  return Boolean(req.user) && roleHasPermission(req.user.role, permission);
+};
+
+/**
+ * Identifica a quien hace la petición autenticada
+ *
+ * Formato estable para registrar la autoría (ej: el responsable de un
+ * movimiento de inventario): el id no cambia aunque cambie el email o el
+ * nombre de la key.
+ *
+ * @param {Request} req - Petición de Express, después de authenticate
+ * @returns {string|null} "api-key:<id>", "user:<id>" o null si es anónima
+ *
+ * @example
+ * principalOf(req); // 'user:550e8400-e29b-41d4-a716-446655440000'
+ */
+export const principalOf = (req) => {
+  if (req.apiKey) return `api-key:${req.apiKey.id}`;
+  if (req.user) return `user:${req.user.id}`;
+
+  return null;
+};
+
+/**
+ * Crea el middleware que exige un permiso solo si se cumple una condición
+ *
+ * Para endpoints públicos con opciones restringidas. Debe ir después de
+ * validate cuando la condición lee req.query o req.body ya tipados. No
+ * aporta metadata OpenAPI: la ruta sigue siendo pública y documenta las
+ * respuestas 401/403 en describeRoute.
+ *
+ * @param {Function} condition - (req) => boolean; true si la petición requiere el permiso
+ * @param {string} permission - Permiso requerido (ver PERMISSIONS)
+ * @returns {Function} Middleware de Express
+ *
+ * @example
+ * router.get('/', validate({ query }), requirePermissionIf(req => req.query.includeDeleted, PERMISSIONS.CATALOG_WRITE), handler);
+ */
+export const requirePermissionIf = (condition, permission) => {
+  const guard = requirePermission(permission);
+
+  return (req, res, next) => (condition(req) ? guard(req, res, next) : next());
+};
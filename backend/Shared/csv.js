@@ -0,0 +1,142 @@
+/**
+ * Utilidades CSV
+ * 
+ * Lectura y escritura de CSV según RFC 4180 sin dependencias externas:
+ * - Campos entre comillas con comas, saltos de línea y comillas escapadas ("")
+ * - Finales de línea LF o CRLF
+ * - BOM de UTF-8 (frecuente en archivos exportados desde Excel)
+ * - Separador configurable (`,` por defecto, `;` en configuraciones regionales)
+ * - Neutralización de fórmulas al escribir (prevención de CSV injection)
+ * 
+ * @module Csv
+ * @author Backend Team
+ */
+
+/**
+ * Convierte texto CSV en una matriz de celdas
+ * 
+ * @param {string} text - Contenido CSV
+ * @param {string} [delimiter=','] - Separador de columnas
+ * @returns {string[][]} Filas con sus celdas (sin filas vacías)
+ * 
+ * @private
+ */
+function parseRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Eliminar BOM de UTF-8 si existe
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Ignorar líneas completamente vacías
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Convierte texto CSV con encabezado en un arreglo de objetos
+ * 
+ * La primera fila define las claves; los nombres de columna se recortan.
+ * Las celdas faltantes quedan como undefined.
+ * 
+ * @param {string} text - Contenido CSV
+ * @param {Object} [options] - Opciones de lectura
+ * @param {string} [options.delimiter=','] - Separador de columnas
+ * @returns {Object[]} Un objeto por fila de datos
+ * 
+ * @example
+ * parseCsv('name,price,stock\n"Labial, mate",25000,10');
+ * // [{ name: 'Labial, mate', price: '25000', stock: '10' }]
+ */
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  const [header = [], ...rows] = parseRows(text, delimiter);
+  const keys = header.map(key => key.trim());
+
+  return rows.map(cells =>
+    Object.fromEntries(keys.map((key, index) => [key, cells[index]]))
+  );
+}
+
+/**
+ * Serializa una celda para CSV
+ * 
+ * Usa comillas solo cuando el valor contiene el separador, comillas o
+ * saltos de línea. Los textos que empiezan con =, +, - o @ se prefijan
+ * con comilla simple para que las hojas de cálculo no los evalúen como
+ * fórmulas.
+ * 
+ * @param {any} value - Valor de la celda
+ * @param {string} delimiter - Separador de columnas
+ * @returns {string} Celda serializada
+ * 
+ * @private
+ */
+function formatCell(value, delimiter) {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Serializa una fila como línea CSV terminada en CRLF
+ * 
+ * @param {any[]} values - Celdas de la fila
+ * @param {Object} [options] - Opciones de escritura
+ * @param {string} [options.delimiter=','] - Separador de columnas
+ * @returns {string} Línea CSV
+ * 
+ * @example
+ * toCsvLine(['Labial, mate', 25000, 10]); // '"Labial, mate",25000,10\r\n'
+ */
+export function toCsvLine(values, { delimiter = ',' } = {}) {
+  return `${values.map(value => formatCell(value, delimiter)).join(delimiter)}\r\n`;
+}
@@ -9,7 +9,7 @@
  * - Captura automática de errores en rutas async/await
  * - Formateo consistente de respuestas de error
  * - Mapeo de errores internos a códigos HTTP apropiados
- * - Logging de errores para debugging y monitoreo
+ * - Logging estructurado de errores, con el requestId de la petición
  * - Prevención de exposición de información sensible
  * 
  * @module ErrorHandler
@@ -57,7 +57,7 @@ export const errorAsync = (fn) => (req, res, next) => {
 };
 
 /**
- * Middleware global de manejo de errores
+ * Construye el middleware global de manejo de errores
  * 
  * Captura todos los errores no manejados en la aplicación y los formatea
  * en respuestas HTTP consistentes. Debe ser el último middleware registrado
@@ -66,38 +66,21 @@ export const errorAsync = (fn) => (req, res, next) => {
  * Funcionalidades:
  * - Mapeo de errores internos a códigos HTTP apropiados
  * - Formateo consistente de respuestas de error
- * - Logging de errores para debugging
+ * - Logging: los errores 5xx en nivel error con el stack completo (y su
+ *   cause); los 4xx, previstos, en warn con solo código y mensaje
  * - Prevención de exposición de stack traces en producción
  * - Manejo especial para diferentes tipos de errores
  * 
- * @param {Error} err - Error capturado
- * @param {Request} _req - Objeto de request de Express (no usado)
- * @param {Response} res - Objeto de response de Express
- * @param {Function} _next - Función next de Express (no usado)
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {Logger} dependencies.logger - Logger de la aplicación
+ * @returns {Function} Middleware de errores de Express (err, req, res, next)
  * 
  * @example
  * // Registro del middleware (debe ser el último)
  * app.use('/api', routes);
- * app.use(globalErrorHandler);
+ * app.use(container.resolve('errorHandler'));
  */
-export function globalErrorHandler(err, _req, res, _next) {
-  
-  // === LOGGING DE ERRORES ===
-  
-  // En desarrollo, mostrar stack trace completo
-  if (process.env.NODE_ENV === 'development') {
-    console.error('🚨 Error capturado por el manejador global:');
-    console.error('Mensaje:', err.message);
-    console.error('Stack:', err.stack);
-    console.error('Código HTTP:', err.httpCode);
-    console.error('Código de error:', err.code);
-  } else {
-    // En producción, logging más conciso
-    console.error(`Error: ${err.code || 'UNKNOWN'} - ${err.message}`);
-    
-    // TODO: Integrar con servicio de logging (Winston, Bunyan, etc.)
-    // TODO: Enviar errores críticos a servicio de monitoreo (Sentry, etc.)
-  }
+export const buildErrorHandler = ({ logger }) => function globalErrorHandler(err, req, res, _next) {
   
   // === DETERMINACIÓN DEL CÓDIGO DE ESTADO HTTP ===
   
@@ -125,6 +108,9 @@ export function globalErrorHandler(err, _req, res, _next) {
       case 'ConflictError':
         statusCode = 409; // Conflict
         break;
+      case 'PayloadTooLargeError':
+        statusCode = 413; // Payload Too Large (límite de express.json / express.text)
+        break;
       case 'SequelizeUniqueConstraintError':
         statusCode = 409; // Conflict
         break;
@@ -145,18 +131,33 @@ export function globalErrorHandler(err, _req, res, _next) {
   
   if (err.code && typeof err.code === 'string') {
     errorCode = err.code;
+  } else if (err.name === 'PayloadTooLargeError') {
+    errorCode = 'PAYLOAD_TOO_LARGE';
   } else if (err.name) {
     // Convertir nombre de error a código consistente
     errorCode = err.name.replace(/Error$/, '').toUpperCase();
   }
   
+  // === LOGGING DEL ERROR ===
+  
+  // El requestId lo agrega el logger desde el contexto de la petición
+  const request = { method: req.method, path: req.originalUrl.split('?')[0], status: statusCode };
+  
+  if (statusCode >= 500) {
+    logger.error('Error no controlado', { ...request, error: err });
+  } else {
+    logger.warn('Petición rechazada', { ...request, code: errorCode, message: err.message });
+  }
+  
   // === DETERMINACIÓN DEL MENSAJE DE ERROR ===
   
   let errorMessage = 'Error interno del servidor';
   
   if (err.message) {
-    // En producción, filtrar mensajes que puedan exponer información sensible
-    if (process.env.NODE_ENV === 'production') {
+    // En producción, filtrar mensajes que puedan exponer información sensible.
+    // Solo en errores 5xx: los 4xx son errores previstos (ej: 401/403 sobre
+    // tokens) cuyo mensaje el cliente necesita y no revela detalles internos
+    if (process.env.NODE_ENV === 'production' && statusCode >= 500) {
       // Lista de patrones que no deben exponerse en producción
       const sensitivePatterns = [
         /password/i,
@@ -188,7 +189,12 @@ export function globalErrorHandler(err, _req, res, _next) {
     code: errorCode,
     message: errorMessage
   };
-  
+
+  // Violaciones por campo de VALIDATION_ERROR ({ path, rule, message })
+  if (Array.isArray(err.meta?.fields)) {
+    errorResponse.fields = err.meta.fields;
+  }
+
   // En desarrollo, agregar información adicional para debugging
   if (process.env.NODE_ENV === 'development') {
     errorResponse.stack = err.stack;
@@ -206,16 +212,14 @@ export function globalErrorHandler(err, _req, res, _next) {
   // === ENVÍO DE LA RESPUESTA ===
   
   // Verificar que la respuesta no haya sido enviada ya
+  // (si ya se enviaron headers, el error ya quedó registrado arriba)
   if (!res.headersSent) {
     res.status(statusCode).json(errorResponse);
-  } else {
-    // Si ya se enviaron headers, solo logear el error
-    console.error('Error después de enviar headers:', err.message);
   }
   
   // === MÉTRICAS Y MONITOREO ===
   
-  // TODO: Incrementar contadores de errores por tipo
-  // TODO: Enviar métricas a servicio de monitoreo
-  // TODO: Alertar en caso de errores críticos o alta frecuencia
-}
+  // El middleware de métricas HTTP cuenta esta respuesta por su código en
+  // app_errors_total (GET /metrics); las alertas por errores críticos o
+  // alta frecuencia se definen sobre esa métrica en Prometheus
+};
@@ -0,0 +1,106 @@
+/**
+ * Apagado Ordenado
+ *
+ * Detiene el servidor ante SIGTERM (el orquestador reemplaza o escala la
+ * instancia) o SIGINT sin cortar peticiones a medio atender:
+ *
+ * 1. Readiness pasa a responder 503 (shutting_down)
+ * 2. El servidor deja de aceptar conexiones y cierra las inactivas; las
+ *    keep-alive se cierran a medida que terminan su petición en curso
+ * 3. Se espera a que terminen las peticiones en curso y el barrido de
+ *    reservas, como mucho SHUTDOWN_TIMEOUT_MS; al vencer, se cortan las
+ *    conexiones que queden
+ * 4. Se cierra el pool de conexiones de Sequelize
+ *
+ * @module GracefulShutdown
+ * @author Backend Team
+ */
+
+/**
+ * Intervalo con que se cierran las conexiones keep-alive que quedaron
+ * inactivas durante el drenado
+ * @constant {number}
+ * @private
+ */
+const IDLE_SWEEP_INTERVAL_MS = 100;
+
+/**
+ * Construye la función de apagado
+ *
+ * La función es idempotente: una segunda señal durante el apagado recibe
+ * la misma promesa.
+ *
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {HealthService} dependencies.healthService - Servicio de salud (readiness)
+ * @param {ReservationSweeper} dependencies.reservationSweeper - Barrido de reservas
+ * @param {Sequelize} dependencies.sequelize - Instancia de Sequelize (pool a cerrar)
+ * @param {Object} dependencies.env - Configuración (sección SHUTDOWN)
+ * @param {Logger} dependencies.logger - Logger de la aplicación
+ * @returns {Function} (server, signal) => Promise<number> con el código de salida
+ *   (0 si todo terminó a tiempo, 1 si hubo que cortar conexiones o falló un paso)
+ *
+ * @example
+ * process.on('SIGTERM', async () => process.exit(await shutdown(server, 'SIGTERM')));
+ */
+export const buildGracefulShutdown = ({ healthService, reservationSweeper, sequelize, env, logger }) => {
+  const log = logger.child({ component: 'shutdown' });
+  const timeoutMs = env.SHUTDOWN.TIMEOUT_MS;
+
+  let shutdown = null;
+
+  const run = async (server, signal) => {
+    const startedAt = Date.now();
+    let exitCode = 0;
+
+    log.info('Apagado iniciado', { signal, timeoutMs });
+
+    healthService.markShuttingDown();
+
+    // Conexiones que siguen abiertas al vencer el plazo: se cortan
+    const timer = setTimeout(() => {
+      log.warn('Plazo de drenado vencido: se cierran las conexiones abiertas', { timeoutMs });
+      exitCode = 1;
+      server.closeAllConnections();
+    }, timeoutMs);
+
+    // close() solo cierra las keep-alive inactivas en ese momento: una que
+    // termina su petición después queda abierta esperando la siguiente
+    const idleSweep = setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_INTERVAL_MS);
+
+    try {
+      // close() deja de aceptar conexiones, cierra las inactivas y se
+      // resuelve cuando terminan las peticiones en curso
+      const drained = new Promise((resolve, reject) => {
+        server.close((error) => (error && error.code !== 'ERR_SERVER_NOT_RUNNING' ? reject(error) : resolve()));
+      });
+
+      await Promise.all([drained, reservationSweeper.stop()]);
+
+      clearTimeout(timer);
+      clearInterval(idleSweep);
+
+      await sequelize.close();
+
+      log.info('Apagado completo', { durationMs: Date.now() - startedAt });
+
+    } catch (error) {
+      clearTimeout(timer);
+      clearInterval(idleSweep);
+      exitCode = 1;
+      log.error('Apagado con errores', { error });
+    }
+
+    return exitCode;
+  };
+
+  return (server, signal) => {
+    if (shutdown) {
+      log.warn('Señal recibida durante el apagado', { signal });
+      return shutdown;
+    }
+
+    shutdown = run(server, signal);
+
+    return shutdown;
+  };
+};
@@ -0,0 +1,110 @@
+/**
+ * Métricas HTTP
+ *
+ * Middleware que mide cada petición y la reporta al registro de métricas
+ * al terminar la respuesta:
+ *
+ * - La duración, etiquetada con el método, el patrón de la ruta y el estado
+ * - Las respuestas de error (>= 400), contadas por el `code` de su cuerpo
+ *   JSON: cubre tanto los Result fallidos que responden los routers como
+ *   los errores que llegan al manejador global
+ *
+ * El patrón de la ruta se arma con el de montaje del router (registrado
+ * por routePattern) y el de la ruta que respondió (/:id), así las
+ * peticiones a /api/products/1 y /api/products/2 comparten serie. Las
+ * peticiones que no llegaron a ningún router se etiquetan "unmatched".
+ *
+ * @module HttpMetrics
+ * @author Backend Team
+ */
+
+/**
+ * Etiqueta de las peticiones que no llegaron a ningún router
+ * @constant {string}
+ * @private
+ */
+const UNMATCHED_ROUTE = 'unmatched';
+
+/**
+ * Crea el middleware que registra el patrón de montaje de un router
+ *
+ * req.baseUrl contiene los valores de los parámetros (/api/products/1/variants)
+ * y se vacía cuando un error sale del router: el patrón se guarda aparte.
+ *
+ * @param {string} pattern - Ruta de montaje (ej: /api/products/:productId/variants; '' en la raíz)
+ * @returns {Function} Middleware de Express
+ *
+ * @example
+ * app.use('/api/products', routePattern('/api/products'), productRouter);
+ */
+export const routePattern = (pattern) => (req, _res, next) => {
+  /**
+   * Patrón de montaje del router que atiende la petición
+   * @type {string}
+   */
+  req.routePattern = pattern;
+
+  next();
+};
+
+/**
+ * Arma la etiqueta de ruta de una petición terminada
+ *
+ * @param {Object} req - Petición de Express
+ * @returns {string} Patrón de la ruta (ej: /api/products/:id) o "unmatched"
+ *
+ * @private
+ */
+const routeLabel = (req) => {
+  if (req.routePattern === undefined) return UNMATCHED_ROUTE;
+
+  const path = req.route?.path ?? '';
+  const label = `${req.routePattern}${path === '/' ? '' : path}`;
+
+  return label || '/';
+};
+
+/**
+ * Construye el middleware de métricas HTTP
+ *
+ * Debe montarse antes que los routers (justo después del contexto de
+ * petición) para medir también el tiempo de los middlewares.
+ *
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {MetricsPort} dependencies.metrics - Registro de métricas
+ * @returns {Function} Middleware de Express
+ *
+ * @example
+ * app.use(buildHttpMetrics({ metrics }));
+ */
+export const buildHttpMetrics = ({ metrics }) => (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  let errorCode;
+
+  // Captura el código de error del cuerpo antes de serializarlo
+  const json = res.json;
+  res.json = function (body) {
+    if (res.statusCode >= 400 && typeof body?.code === 'string') {
+      errorCode = body.code;
+    }
+
+    return json.call(this, body);
+  };
+
+  res.on('finish', () => {
+    const status = res.statusCode;
+
+    metrics.observeRequest({
+      method: req.method,
+      route: routeLabel(req),
+      status,
+      durationSeconds: Number(process.hrtime.bigint() - startedAt) / 1e9
+    });
+
+    if (status >= 400) {
+      metrics.countError({ code: errorCode || 'UNKNOWN', status });
+    }
+  });
+
+  next();
+};
@@ -0,0 +1,251 @@
+/**
+ * Logger Estructurado
+ *
+ * Escribe cada evento como una línea JSON (un objeto por línea) para que
+ * los recolectores de logs (CloudWatch, Loki, Datadog...) puedan filtrar y
+ * agrupar sin expresiones regulares:
+ *
+ * {"level":"warn","timestamp":"2025-01-15T10:30:00.000Z","requestId":"…","message":"Transacción revertida","transactionId":"…","error":{…}}
+ *
+ * Características:
+ * - Niveles debug, info, warn y error; los inferiores al configurado se descartan
+ * - Cada línea incluye el contexto de la ejecución en curso (requestId de
+ *   la petición, jobId de una tarea) tomado de RequestContext
+ * - Los campos con nombre sensible (password, token, secret, authorization,
+ *   API keys, hashes...) se reemplazan por "[REDACTED]" a cualquier
+ *   profundidad; los errores se serializan con name, code, stack y cause
+ *
+ * Una instancia raíz se crea en Config/logger.js y se registra en el
+ * contenedor como `logger`; child() agrega campos fijos (ej: el componente).
+ *
+ * @module Logger
+ * @author Backend Team
+ */
+
+import { getRequestContext } from './requestContext.js';
+
+/**
+ * Niveles soportados y su severidad
+ * @constant {Object<string, number>}
+ */
+export const LOG_LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40 });
+
+/**
+ * Valor que reemplaza a los datos sensibles
+ * @constant {string}
+ */
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Nombres de campo cuyo valor nunca se registra
+ * @constant {RegExp}
+ * @private
+ */
+const SENSITIVE_KEY_REGEX = /password|secret|token|authorization|cookie|api[-_]?key$|hash|credential/i;
+
+/**
+ * Comparaciones en SQL contra columnas sensibles ("tokenHash" = '…')
+ * @constant {RegExp}
+ * @private
+ */
+const SENSITIVE_SQL_REGEX = /("?\w*(?:password|secret|token|hash)\w*"?\s*=\s*)'(?:[^']|'')*'/gi;
+
+/**
+ * Profundidad máxima que se recorre al redactar (evita ciclos y objetos enormes)
+ * @constant {number}
+ * @private
+ */
+const MAX_DEPTH = 6;
+
+/**
+ * Convierte un error en un objeto serializable
+ *
+ * @param {Error} error - Error a serializar
+ * @param {number} depth - Profundidad actual
+ * @returns {Object} name, message, code, httpCode, meta, stack y cause
+ *
+ * @private
+ */
+const serializeError = (error, depth) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  httpCode: error.httpCode,
+  meta: error.meta === undefined ? undefined : redact(error.meta, depth + 1),
+  stack: error.stack,
+  cause: error.cause === undefined ? undefined : redact(error.cause, depth + 1)
+});
+
+/**
+ * Copia un valor reemplazando los campos sensibles
+ *
+ * @param {any} value - Valor a redactar
+ * @param {number} [depth=0] - Profundidad actual
+ * @returns {any} Copia segura para registrar
+ *
+ * @example
+ * redact({ email: 'ana@mail.com', password: '123' }); // { email: 'ana@mail.com', password: '[REDACTED]' }
+ */
+export const redact = (value, depth = 0) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (value instanceof Error) return serializeError(value, depth);
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY_REGEX.test(key) ? REDACTED : redact(item, depth + 1)
+  ]));
+};
+
+/**
+ * Oculta los literales comparados contra columnas sensibles en una consulta
+ *
+ * Los valores de INSERT y UPDATE viajan como parámetros ($1, $2...) y no
+ * aparecen en el texto; las condiciones WHERE sí.
+ *
+ * @param {string} sql - Consulta registrada por Sequelize
+ * @returns {string} Consulta sin los valores sensibles
+ *
+ * @example
+ * redactSql(`SELECT * FROM "refresh_tokens" WHERE "tokenHash" = 'ab12'`);
+ * // SELECT * FROM "refresh_tokens" WHERE "tokenHash" = '[REDACTED]'
+ */
+export const redactSql = (sql) => sql.replace(SENSITIVE_SQL_REGEX, `$1'${REDACTED}'`);
+
+export class Logger {
+
+  /**
+   * Constructor del logger
+   *
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.level='info'] - Nivel mínimo (debug | info | warn | error)
+   * @param {Function} [options.write] - Destino de cada línea (por defecto stdout)
+   * @param {Object} [options.bindings={}] - Campos que se agregan a cada línea
+   * @throws {Error} Si el nivel no existe
+   */
+  constructor({ level = 'info', write = (line) => process.stdout.write(line), bindings = {} } = {}) {
+    if (!(level in LOG_LEVELS)) {
+      throw new Error(`Logger: nivel desconocido "${level}" (use ${Object.keys(LOG_LEVELS).join(', ')})`);
+    }
+
+    /**
+     * Nivel mínimo configurado
+     * @type {string}
+     */
+    this.level = level;
+
+    /**
+     * Destino de las líneas
+     * @type {Function}
+     * @private
+     */
+    this.write = write;
+
+    /**
+     * Campos fijos de este logger (ya redactados)
+     * @type {Object}
+     * @private
+     */
+    this.bindings = redact(bindings);
+  }
+
+  /**
+   * Crea un logger que agrega campos fijos a cada línea
+   *
+   * @param {Object} bindings - Campos a agregar (ej: { component: 'reservation-sweeper' })
+   * @returns {Logger} Nuevo logger con el mismo nivel y destino
+   *
+   * @example
+   * const log = logger.child({ component: 'unit-of-work' });
+   */
+  child(bindings) {
+    return new Logger({ level: this.level, write: this.write, bindings: { ...this.bindings, ...bindings } });
+  }
+
+  /**
+   * Indica si un nivel se registra con la configuración actual
+   *
+   * Sirve para no armar campos costosos que se descartarían.
+   *
+   * @param {string} level - Nivel a consultar
+   * @returns {boolean} true si se registra
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  /**
+   * Registra un evento de diagnóstico (consultas SQL, transacciones)
+   *
+   * @param {string} message - Descripción del evento
+   * @param {Object} [fields] - Datos del evento
+   */
+  debug(message, fields) {
+    this.#log('debug', message, fields);
+  }
+
+  /**
+   * Registra un evento normal del funcionamiento (arranque, peticiones)
+   *
+   * @param {string} message - Descripción del evento
+   * @param {Object} [fields] - Datos del evento
+   */
+  info(message, fields) {
+    this.#log('info', message, fields);
+  }
+
+  /**
+   * Registra una situación anómala que no impide continuar
+   *
+   * @param {string} message - Descripción del evento
+   * @param {Object} [fields] - Datos del evento
+   */
+  warn(message, fields) {
+    this.#log('warn', message, fields);
+  }
+
+  /**
+   * Registra un error
+   *
+   * @param {string} message - Descripción del evento
+   * @param {Object} [fields] - Datos del evento (el error, en `error`)
+   *
+   * @example
+   * logger.error('Barrido de reservas fallido', { error });
+   */
+  error(message, fields) {
+    this.#log('error', message, fields);
+  }
+
+  /**
+   * Arma y escribe una línea
+   *
+   * Un fallo al serializar o escribir no debe interrumpir a quien registra.
+   *
+   * @param {string} level - Nivel del evento
+   * @param {string} message - Descripción del evento
+   * @param {Object} [fields] - Datos del evento
+   *
+   * @private
+   */
+  #log(level, message, fields) {
+    if (!this.isLevelEnabled(level)) return;
+
+    try {
+      const entry = {
+        level,
+        timestamp: new Date().toISOString(),
+        ...redact(getRequestContext() ?? {}),
+        message,
+        ...this.bindings,
+        ...redact(fields ?? {})
+      };
+
+      this.write(`${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      process.stderr.write(`${JSON.stringify({ level: 'error', timestamp: new Date().toISOString(), message: 'No se pudo registrar un evento', original: message, error: error.message })}\n`);
+    }
+  }
+}
@@ -0,0 +1,343 @@
+/**
+ * Documento OpenAPI Generado desde los Routers
+ *
+ * El documento OpenAPI 3.1 de la API (servido en /openapi.json) no se
+ * escribe a mano: se arma recorriendo las rutas registradas en cada router
+ * y los middlewares de cada una. Los middlewares que participan exponen lo
+ * que aportan en su propiedad `openApi`:
+ *
+ * - describeRoute: resumen, descripción y respuestas de la operación
+ * - validate: esquemas de params, query y body (los mismos que valida)
+ * - requirePermission / requireUser: credenciales y permiso exigidos
+ * - requireAdminToken: el header X-Admin-Token
+ *
+ * A partir de ellos se completan las respuestas comunes: 400
+ * VALIDATION_ERROR si la ruta valida, 401/403 si exige credenciales y 429
+ * RATE_LIMITED bajo /api. Los errores comparten el esquema Error
+ * ({ code, message, fields? }) con el catálogo de códigos de AppError.
+ *
+ * Una ruta sin describeRoute queda fuera del documento; el test
+ * test/openApi.test.js falla si existe alguna.
+ *
+ * @module OpenApi
+ * @author Backend Team
+ */
+
+import { ERROR_CODES } from './AppError.js';
+
+/**
+ * Métodos HTTP que se documentan
+ * @constant {string[]}
+ * @private
+ */
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Parámetros de ruta de Express (/:id)
+ * @constant {RegExp}
+ * @private
+ */
+const PATH_PARAM_REGEX = /:(\w+)/g;
+
+/**
+ * Credenciales aceptadas en los endpoints que exigen un permiso
+ * @constant {Object[]}
+ * @private
+ */
+const ANY_CREDENTIAL = [{ bearerAuth: [] }, { apiKeyAuth: [] }];
+
+/**
+ * Crea el middleware que documenta una ruta
+ *
+ * No hace nada en la petición: solo expone la documentación de la
+ * operación al generador. Va primero entre los middlewares de la ruta.
+ *
+ * @param {Object} doc - Documentación de la operación
+ * @param {string} doc.summary - Resumen de una línea
+ * @param {string} [doc.description] - Detalle (Markdown)
+ * @param {Object<number, string|Object>} doc.responses - Respuestas por estado: una descripción
+ *   o un objeto Response de OpenAPI. Las >= 400 usan el esquema Error si no indican contenido
+ * @param {Object} [doc.requestBody] - RequestBody de OpenAPI para cuerpos no JSON (ej: multipart);
+ *   sin él, el cuerpo JSON sale del esquema de validate
+ * @param {Object[]} [doc.parameters] - Parámetros adicionales (ej: headers)
+ * @returns {Function} Middleware de Express con la propiedad openApi
+ *
+ * @example
+ * router.get('/:id', describeRoute({
+ *   summary: 'Obtener una marca',
+ *   responses: { 200: 'Marca encontrada', 404: 'La marca no existe' }
+ * }), validate({ params: idParams }), errorAsync(handler));
+ */
+export const describeRoute = (doc) => {
+  const middleware = (_req, _res, next) => next();
+
+  middleware.openApi = { doc };
+
+  return middleware;
+};
+
+/**
+ * Crea un parámetro de header requerido para describeRoute
+ *
+ * @param {string} name - Nombre del header
+ * @param {string} description - Qué contiene
+ * @returns {Object} Parameter de OpenAPI
+ *
+ * @example
+ * describeRoute({ summary: 'Obtener carrito', parameters: [headerParameter('X-Cart-Token', 'Token del carrito')], responses });
+ */
+export const headerParameter = (name, description) => ({
+  name,
+  in: 'header',
+  required: true,
+  description,
+  schema: { type: 'string' }
+});
+
+/**
+ * Lista las rutas de un router con lo que aportan sus middlewares
+ *
+ * Los middlewares de router (router.use) sin ruta aplican a las rutas
+ * registradas después de ellos.
+ *
+ * @param {Router} router - Router de Express
+ * @param {Object} mount - Montaje del router
+ * @param {string} mount.path - Ruta de montaje (ej: /api/products/:productId/variants)
+ * @param {string} mount.tag - Grupo de la documentación
+ * @returns {Array<{ method: string, path: string, tag: string, openApi: Object }>} Rutas
+ *   (path en formato Express, completo); openApi reúne doc, schemas, permission, requiresUser y adminToken
+ *
+ * @example
+ * collectRoutes(productRouter, { path: '/api/products', tag: 'Productos' });
+ * // [{ method: 'get', path: '/api/products/:id', tag: 'Productos', openApi: { doc, schemas } }, ...]
+ */
+export const collectRoutes = (router, { path: mountPath, tag }) => {
+  const routes = [];
+  let inherited = {};
+
+  for (const layer of router.stack) {
+    if (!layer.route) {
+      inherited = { ...inherited, ...layer.handle.openApi };
+      continue;
+    }
+
+    // Una ruta puede validar en dos pasos (params antes de multer, body después)
+    const openApi = layer.route.stack.reduce((merged, { handle }) => ({
+      ...merged,
+      ...handle.openApi,
+      schemas: { ...merged.schemas, ...handle.openApi?.schemas }
+    }), inherited);
+
+    const path = `${mountPath}${layer.route.path === '/' ? '' : layer.route.path}` || '/';
+
+    for (const method of METHODS.filter(name => layer.route.methods[name])) {
+      routes.push({ method, path, tag, openApi });
+    }
+  }
+
+  return routes;
+};
+
+/**
+ * Convierte una ruta de Express al formato de OpenAPI
+ *
+ * @param {string} path - Ruta de Express (/api/products/:id)
+ * @returns {string} Ruta de OpenAPI (/api/products/{id})
+ *
+ * @private
+ */
+const toOpenApiPath = (path) => path.replace(PATH_PARAM_REGEX, '{$1}');
+
+/**
+ * Convierte un esquema de objeto (params o query) en parámetros de OpenAPI
+ *
+ * @param {Object} [schema] - Esquema JSON Schema de tipo object
+ * @param {string} location - path o query
+ * @returns {Object[]} Parámetros
+ *
+ * @private
+ */
+const toParameters = (schema, location) => Object.entries(schema?.properties ?? {}).map(([name, property]) => ({
+  name,
+  in: location,
+  required: location === 'path' || (schema.required ?? []).includes(name),
+  schema: property
+}));
+
+/**
+ * Arma la respuesta de OpenAPI de un estado
+ *
+ * @param {number|string} status - Estado HTTP
+ * @param {string|Object} response - Descripción u objeto Response
+ * @returns {Object} Response de OpenAPI
+ *
+ * @private
+ */
+const toResponse = (status, response) => {
+  if (typeof response !== 'string') return response;
+
+  return Number(status) >= 400
+    ? { $ref: '#/components/responses/Error', description: response }
+    : { description: response };
+};
+
+/**
+ * Arma la operación de OpenAPI de una ruta
+ *
+ * @param {Object} route - Ruta de collectRoutes
+ * @returns {Object} Operation de OpenAPI
+ *
+ * @private
+ */
+const toOperation = ({ method, path, tag, openApi }) => {
+  const { doc, schemas = {}, permission, requiresUser, adminToken } = openApi;
+  const responses = { ...doc.responses };
+  const descriptions = doc.description ? [doc.description] : [];
+
+  if (permission) {
+    descriptions.push(`Requiere el permiso \`${permission}\` (por el rol del usuario o los scopes de la API key).`);
+  }
+
+  const pathNames = [...path.matchAll(PATH_PARAM_REGEX)].map(([, name]) => name);
+  const pathSchema = {
+    properties: Object.fromEntries(pathNames.map(name => [name, schemas.params?.properties?.[name] ?? { type: 'string' }]))
+  };
+
+  const operation = {
+    tags: [tag],
+    summary: doc.summary,
+    ...(descriptions.length > 0 && { description: descriptions.join('\n\n') }),
+    operationId: `${method}${toOpenApiPath(path).replace(/[^\w]+(\w)?/g, (_, char = '') => char.toUpperCase())}`,
+    parameters: [
+      ...toParameters(pathSchema, 'path'),
+      ...toParameters(schemas.query, 'query'),
+      ...(doc.parameters ?? [])
+    ]
+  };
+
+  if (doc.requestBody) {
+    operation.requestBody = doc.requestBody;
+  } else if (schemas.body) {
+    operation.requestBody = {
+      required: (schemas.body.required ?? []).length > 0,
+      content: { 'application/json': { schema: schemas.body } }
+    };
+  }
+
+  if (schemas.params || schemas.query || schemas.body) {
+    responses[400] ??= 'Datos de entrada inválidos (VALIDATION_ERROR, con el detalle por campo en `fields`)';
+  }
+
+  if (permission) {
+    operation.security = ANY_CREDENTIAL;
+    responses[401] ??= 'Sin credenciales, o credenciales inválidas o vencidas';
+    responses[403] ??= `Las credenciales no otorgan el permiso ${permission}`;
+  } else if (requiresUser) {
+    operation.security = [{ bearerAuth: [] }];
+    responses[401] ??= 'Sin sesión de usuario, o access token inválido o vencido';
+  }
+
+  if (adminToken) {
+    operation.parameters.push(headerParameter('X-Admin-Token', 'Token administrativo (ADMIN_TOKEN)'));
+  }
+
+  if (path.startsWith('/api/')) {
+    responses[429] ??= 'Límite de peticiones excedido (RATE_LIMITED, con Retry-After)';
+  }
+
+  operation.responses = Object.fromEntries(
+    Object.entries(responses).map(([status, response]) => [status, toResponse(status, response)])
+  );
+
+  return operation;
+};
+
+/**
+ * Esquemas y respuestas compartidos por todas las operaciones
+ * @constant {Object}
+ * @private
+ */
+const COMPONENTS = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'Access token de POST /api/auth/login o /api/auth/refresh'
+    },
+    apiKeyAuth: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'X-API-Key',
+      description: 'API key de una integración (POST /api/api-keys)'
+    }
+  },
+  schemas: {
+    FieldError: {
+      type: 'object',
+      description: 'Violación de una regla en un campo',
+      properties: {
+        path: { type: 'string', description: 'Ruta del campo (ej: items.0.quantity)' },
+        rule: { type: 'string', description: 'Regla incumplida (required, type, minimum, format...)' },
+        message: { type: 'string', description: 'Texto para mostrar junto al campo' }
+      },
+      required: ['path', 'rule', 'message']
+    },
+    Error: {
+      type: 'object',
+      description: 'Cuerpo de toda respuesta de error',
+      properties: {
+        code: {
+          type: 'string',
+          examples: Object.keys(ERROR_CODES),
+          description: [
+            'Código del error para identificación programática:',
+            ...Object.entries(ERROR_CODES).map(([code, description]) => `- \`${code}\`: ${description}`)
+          ].join('\n')
+        },
+        message: { type: 'string', description: 'Descripción para humanos' },
+        fields: {
+          type: 'array',
+          items: { $ref: '#/components/schemas/FieldError' },
+          description: 'Solo en VALIDATION_ERROR'
+        }
+      },
+      required: ['code', 'message']
+    }
+  },
+  responses: {
+    Error: {
+      description: 'Error',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    }
+  }
+};
+
+/**
+ * Construye el documento OpenAPI
+ *
+ * @param {Object} options - Opciones
+ * @param {Array<Object>} options.routes - Rutas de collectRoutes (las que no tienen describeRoute se omiten)
+ * @param {Object} options.info - Objeto Info de OpenAPI (title, version, description)
+ * @returns {Object} Documento OpenAPI 3.1
+ *
+ * @example
+ * const document = buildOpenApiDocument({ routes, info: { title: 'API', version: '1.0.0' } });
+ */
+export const buildOpenApiDocument = ({ routes, info }) => {
+  const paths = {};
+
+  for (const route of routes.filter(({ openApi }) => openApi.doc)) {
+    const path = toOpenApiPath(route.path);
+
+    paths[path] = { ...paths[path], [route.method]: toOperation(route) };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info,
+    tags: [...new Set(routes.map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: COMPONENTS
+  };
+};
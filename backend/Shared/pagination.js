@@ -0,0 +1,117 @@
+/**
+ * Utilidades de Paginación
+ * 
+ * Funciones compartidas para paginar listados HTTP:
+ * - Codificación/decodificación de cursores opacos (keyset pagination)
+ * - Headers de navegación X-Total-Count, X-Page-Count y Link (RFC 8288)
+ * 
+ * Los headers ya están expuestos en la configuración CORS de index.js,
+ * por lo que el frontend puede leerlos directamente.
+ * 
+ * @module Pagination
+ * @author Backend Team
+ */
+
+/**
+ * Codifica la posición de un registro como cursor opaco
+ * 
+ * @param {Object} position - Posición del último registro de la página
+ * @returns {string} Cursor en base64url
+ * 
+ * @example
+ * encodeCursor({ v: '19.99', id: '550e8400-...' }); // 'eyJ2Ijoi...'
+ */
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decodifica un cursor opaco
+ * 
+ * @param {string} cursor - Cursor recibido del cliente
+ * @returns {Object|null} Posición decodificada o null si el cursor no es válido
+ */
+export function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return position && typeof position === 'object' ? position : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Construye la URL de una página conservando el resto de parámetros
+ * 
+ * @param {Request} req - Request de Express
+ * @param {Object} overrides - Parámetros a reemplazar (undefined los elimina)
+ * @returns {string} URL absoluta
+ * 
+ * @private
+ */
+function buildPageUrl(req, overrides) {
+  const url = new URL(`${req.protocol}://${req.get('host')}${req.originalUrl}`);
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === undefined) {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, String(value));
+    }
+  }
+
+  return url.toString();
+}
+
+/**
+ * Agrega los headers de paginación a la respuesta
+ * 
+ * En modo offset genera los enlaces first/prev/next/last; en modo cursor
+ * solo first y next, ya que el cursor no permite saltar a páginas arbitrarias.
+ * 
+ * @param {Request} req - Request de Express
+ * @param {Response} res - Response de Express
+ * @param {Object} page - Metadatos de la página
+ * @param {number} page.total - Total de registros que cumplen los filtros
+ * @param {number} page.pageCount - Total de páginas
+ * @param {number} page.page - Página actual (modo offset)
+ * @param {string|null} [page.nextCursor] - Cursor de la siguiente página (modo cursor)
+ * @param {boolean} [page.cursorMode=false] - true si la consulta usó cursor
+ * 
+ * @example
+ * setPaginationHeaders(req, res, { total: 95, pageCount: 5, page: 2 });
+ * // X-Total-Count: 95
+ * // X-Page-Count: 5
+ * // Link: <...?page=1>; rel="first", <...?page=1>; rel="prev", ...
+ */
+export function setPaginationHeaders(req, res, { total, pageCount, page, nextCursor = null, cursorMode = false }) {
+  const links = [];
+
+  if (cursorMode) {
+    links.push(`<${buildPageUrl(req, { cursor: undefined, page: undefined })}>; rel="first"`);
+
+    if (nextCursor) {
+      links.push(`<${buildPageUrl(req, { cursor: nextCursor, page: undefined })}>; rel="next"`);
+    }
+  } else {
+    const lastPage = Math.max(pageCount, 1);
+
+    links.push(`<${buildPageUrl(req, { page: 1 })}>; rel="first"`);
+
+    if (page > 1) {
+      links.push(`<${buildPageUrl(req, { page: Math.min(page - 1, lastPage) })}>; rel="prev"`);
+    }
+
+    if (page < pageCount) {
+      links.push(`<${buildPageUrl(req, { page: page + 1 })}>; rel="next"`);
+    }
+
+    links.push(`<${buildPageUrl(req, { page: lastPage })}>; rel="last"`);
+  }
+
+  res.set({
+    'X-Total-Count': String(total),
+    'X-Page-Count': String(pageCount),
+    'Link': links.join(', ')
+  });
+}
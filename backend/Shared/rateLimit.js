@@ -0,0 +1,207 @@
+/**
+ * Límite de Peticiones
+ *
+ * Middlewares que limitan cuántas peticiones puede hacer cada identidad
+ * por ventana de tiempo. Se montan dos, uno a cada lado de authenticate:
+ *
+ * - buildIpRateLimit, antes de identificar: cuenta toda petición a /api
+ *   por IP. Frena la prueba de credenciales (un Bearer o una X-API-Key
+ *   inválidos responden 401 en authenticate, y cada key inválida cuesta
+ *   una consulta) y la de contraseñas: /api/auth tiene su propio
+ *   presupuesto, siempre por IP, aunque cada intento sea anónimo.
+ * - buildRateLimit, después de identificar: una integración cuenta por su
+ *   API key y un usuario por su cuenta, sin importar desde cuántas IPs
+ *   llegue; una petición anónima cuenta por IP. Cada tipo de identidad
+ *   tiene sus propios presupuestos, y cada identidad los tiene separados
+ *   para lecturas (GET, HEAD) y escrituras: un scraper que agota las
+ *   lecturas no bloquea los pedidos.
+ *
+ * Todas las respuestas llevan los headers RateLimit-Limit,
+ * RateLimit-Remaining, RateLimit-Reset (segundos hasta el fin de la
+ * ventana) y RateLimit-Policy del presupuesto más específico que las
+ * contó. Al exceder un presupuesto responde 429 RATE_LIMITED con
+ * Retry-After.
+ *
+ * Los contadores viven en un RateLimitStorePort; si el almacén falla la
+ * petición se deja pasar: el límite protege al servidor y no debe tumbarlo.
+ *
+ * @module RateLimit
+ * @author Backend Team
+ */
+
+import { AppError } from './AppError.js';
+
+/**
+ * Métodos HTTP que cuentan como lectura
+ * @constant {Set<string>}
+ * @private
+ */
+const READ_METHODS = new Set(['GET', 'HEAD']);
+
+/**
+ * Middleware que deja pasar todas las peticiones (límite deshabilitado)
+ * @constant {Function}
+ * @private
+ */
+const passThrough = (_req, _res, next) => next();
+
+/**
+ * Verifica si la petición es a los endpoints de autenticación
+ *
+ * @param {Object} req - Petición de Express (montada en /api)
+ * @returns {boolean} true para /api/auth y sus subrutas
+ *
+ * @private
+ */
+const isAuthPath = (req) => req.path === '/auth' || req.path.startsWith('/auth/');
+
+/**
+ * Identifica quién hace una petición ya autenticada
+ *
+ * @param {Object} req - Petición de Express (después de authenticate)
+ * @returns {{ kind: string, identity: string }} Tipo (apiKey | user | ip) e identidad
+ *
+ * @private
+ */
+const principal = (req) => {
+  if (req.apiKey) return { kind: 'apiKey', identity: `api-key:${req.apiKey.id}` };
+  if (req.user) return { kind: 'user', identity: `user:${req.user.id}` };
+
+  return { kind: 'ip', identity: `ip:${req.ip}` };
+};
+
+/**
+ * Construye un middleware que cuenta cada petición en el presupuesto que
+ * le asigna classify
+ *
+ * @param {Object} options - Opciones
+ * @param {RateLimitStore} options.rateLimitStore - Almacén de contadores
+ * @param {Logger} options.logger - Logger de la aplicación
+ * @param {number} options.windowSeconds - Duración de la ventana
+ * @param {Function} options.classify - (req) => { budget, identity, limit }, o null si la petición no cuenta
+ * @returns {Function} Middleware de Express
+ *
+ * @private
+ */
+const buildLimiter = ({ rateLimitStore, logger, windowSeconds, classify }) => {
+  const windowMs = windowSeconds * 1000;
+
+  return async (req, res, next) => {
+    const rule = classify(req);
+
+    if (!rule) return next();
+
+    const { budget, identity, limit } = rule;
+
+    let hit;
+
+    try {
+      hit = await rateLimitStore.hit(`${budget}:${identity}`, windowMs);
+    } catch (error) {
+      logger.error('Límite de peticiones no disponible', { error });
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000));
+
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - hit.count)),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${limit};w=${windowSeconds}`,
+    });
+
+    if (hit.count > limit) {
+      res.set('Retry-After', String(resetSeconds));
+
+      return next(AppError.tooManyRequests(
+        `Demasiadas peticiones: el límite es ${limit} cada ${windowSeconds} segundos. Reintente en ${resetSeconds} segundos`,
+        { budget, limit, retryAfterSeconds: resetSeconds }
+      ));
+    }
+
+    return next();
+  };
+};
+
+/**
+ * Construye el límite por IP, previo a identificar la petición
+ *
+ * Presupuestos: auth para /api/auth y ip para el resto de /api.
+ *
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {RateLimitStore} dependencies.rateLimitStore - Almacén de contadores
+ * @param {Object} dependencies.env - Configuración (sección RATE_LIMIT)
+ * @param {Logger} dependencies.logger - Logger de la aplicación
+ * @returns {Function} Middleware de Express
+ *
+ * @example
+ * app.use('/api', buildIpRateLimit({ rateLimitStore, env, logger }));
+ * app.use('/api', authenticate);
+ */
+export const buildIpRateLimit = ({ rateLimitStore, env, logger }) => {
+  const { ENABLED, WINDOW_SECONDS, AUTH_MAX, IP_MAX } = env.RATE_LIMIT;
+
+  if (!ENABLED) return passThrough;
+
+  return buildLimiter({
+    rateLimitStore,
+    logger,
+    windowSeconds: WINDOW_SECONDS,
+    classify: (req) => isAuthPath(req)
+      ? { budget: 'auth', identity: `ip:${req.ip}`, limit: AUTH_MAX }
+      : { budget: 'ip', identity: `ip:${req.ip}`, limit: IP_MAX },
+  });
+};
+
+/**
+ * Construye el límite por identidad, posterior a identificar la petición
+ *
+ * Presupuestos: read y write de cada API key, usuario o IP (anónimos),
+ * con límites propios de cada tipo de identidad. /api/auth no cuenta
+ * aquí: ya lo cuenta el límite por IP.
+ *
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {RateLimitStore} dependencies.rateLimitStore - Almacén de contadores
+ * @param {Object} dependencies.env - Configuración (sección RATE_LIMIT)
+ * @param {Logger} dependencies.logger - Logger de la aplicación
+ * @returns {Function} Middleware de Express
+ *
+ * @example
+ * app.use('/api', authenticate);
+ * app.use('/api', buildRateLimit({ rateLimitStore, env, logger }));
+ */
+export const buildRateLimit = ({ rateLimitStore, env, logger }) => {
+  const {
+    ENABLED,
+    WINDOW_SECONDS,
+    READ_MAX,
+    WRITE_MAX,
+    USER_READ_MAX,
+    USER_WRITE_MAX,
+    API_KEY_READ_MAX,
+    API_KEY_WRITE_MAX
+  } = env.RATE_LIMIT;
+
+  if (!ENABLED) return passThrough;
+
+  const limits = {
+    ip: { read: READ_MAX, write: WRITE_MAX },
+    user: { read: USER_READ_MAX, write: USER_WRITE_MAX },
+    apiKey: { read: API_KEY_READ_MAX, write: API_KEY_WRITE_MAX },
+  };
+
+  return buildLimiter({
+    rateLimitStore,
+    logger,
+    windowSeconds: WINDOW_SECONDS,
+    classify: (req) => {
+      if (isAuthPath(req)) return null;
+
+      const { kind, identity } = principal(req);
+      const budget = READ_METHODS.has(req.method) ? 'read' : 'write';
+
+      return { budget, identity, limit: limits[kind][budget] };
+    },
+  });
+};
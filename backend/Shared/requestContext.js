@@ -0,0 +1,106 @@
+/**
+ * Contexto de Petición
+ *
+ * Propaga, con AsyncLocalStorage, los datos que identifican el trabajo en
+ * curso (el X-Request-Id de una petición, el id de un barrido en segundo
+ * plano) a todo el código que se ejecuta por su causa: middlewares, casos
+ * de uso, repositorios, el Unit of Work y los logs de Sequelize. El logger
+ * agrega esos datos a cada línea, así una transacción revertida o una
+ * consulta lenta se rastrea hasta la petición que la originó sin pasar el
+ * id de mano en mano.
+ *
+ * El X-Request-Id se propaga si el cliente (o un proxy) lo envía con un
+ * formato seguro; si no, se genera uno. Siempre se devuelve en la
+ * respuesta para que el cliente pueda citarlo al reportar un error.
+ *
+ * @module RequestContext
+ * @author Backend Team
+ */
+
+import { AsyncLocalStorage, AsyncResource } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Almacén del contexto de la ejecución en curso
+ * @constant {AsyncLocalStorage}
+ * @private
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Formato aceptado para un X-Request-Id recibido
+ * Evita que un valor arbitrario (saltos de línea, textos enormes) llegue a los logs
+ * @constant {RegExp}
+ * @private
+ */
+const REQUEST_ID_REGEX = /^[\w.:-]{1,128}$/;
+
+/**
+ * Devuelve el contexto de la ejecución en curso
+ *
+ * @returns {Object|undefined} Datos del contexto (ej: { requestId }) o undefined fuera de una petición o tarea
+ *
+ * @example
+ * const { requestId } = getRequestContext() ?? {};
+ */
+export const getRequestContext = () => storage.getStore();
+
+/**
+ * Ejecuta una función dentro de un contexto
+ *
+ * Para trabajos que no nacen de una petición (tareas periódicas, scripts)
+ * y cuyos logs también deben poder agruparse.
+ *
+ * @param {Object} context - Datos del contexto (se agregan a cada línea de log)
+ * @param {Function} fn - Función a ejecutar
+ * @returns {any} Lo que devuelva fn
+ *
+ * @example
+ * await runWithContext({ jobId: randomUUID(), job: 'reservation-sweep' }, () => this.sweep());
+ */
+export const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Construye el middleware que abre el contexto de cada petición
+ *
+ * Debe montarse antes que cualquier otro middleware. Además del contexto:
+ * - asigna req.id y el header X-Request-Id de la respuesta
+ * - registra una línea por petición al terminar la respuesta, con método,
+ *   ruta (sin query string), estado, duración e identidad
+ *
+ * @param {Object} dependencies - Dependencias inyectadas
+ * @param {Logger} dependencies.logger - Logger de la aplicación
+ * @returns {Function} Middleware de Express
+ *
+ * @example
+ * app.use(buildRequestContext({ logger }));
+ */
+export const buildRequestContext = ({ logger }) => (req, res, next) => {
+  const received = req.get('X-Request-Id');
+  const requestId = received && REQUEST_ID_REGEX.test(received) ? received : randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  /**
+   * Identificador de la petición
+   * @type {string}
+   */
+  req.id = requestId;
+
+  res.set('X-Request-Id', requestId);
+
+  storage.run({ requestId }, () => {
+    // 'finish' se emite desde el socket: se enlaza al contexto de la petición
+    res.on('finish', AsyncResource.bind(() => {
+      logger.info('Petición completada', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e3) / 1e3,
+        userId: req.user?.id,
+        apiKeyId: req.apiKey?.id
+      });
+    }));
+
+    next();
+  });
+};
@@ -0,0 +1,309 @@
+/**
+ * Validación Declarativa de Peticiones
+ *
+ * Middleware que valida params, query y body de una ruta contra esquemas
+ * JSON Schema (Ajv) declarados junto al router (Routes/Schemas). Reemplaza
+ * las comprobaciones manuales de presencia y formato en cada controlador.
+ *
+ * Características:
+ * - Coerción de tipos solo en query, params y formularios multipart, que
+ *   siempre llegan como texto: "12" pasa a 12 y "true" a true. Los cuerpos
+ *   JSON se validan estrictos: null, true o "5" no pasan por un entero
+ * - En query, un parámetro vacío (?page=) cuenta como no enviado
+ * - Se reportan todos los errores a la vez, no solo el primero
+ *
+ * Cada violación se describe con { path, rule, message }: path es la ruta
+ * del campo dentro de la parte validada (ej: "price", "items.0.quantity"),
+ * rule la regla incumplida (required, type, minimum, format...) y message
+ * el texto para mostrar junto al campo. Las violaciones viajan en
+ * meta.fields de un AppError VALIDATION_ERROR y el manejador global las
+ * responde como `fields`; las entidades de dominio usan el mismo formato
+ * (DomainValidationError), así un formulario resalta el campo exacto sin
+ * importar qué capa rechazó el dato.
+ *
+ * @module Validation
+ * @author Backend Team
+ */
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { AppError } from './AppError.js';
+import { isUuid } from './validators.js';
+
+/**
+ * Crea una instancia de Ajv con los formatos de la aplicación
+ *
+ * verbose expone el esquema de cada error, necesario para describir las
+ * alternativas de un anyOf.
+ *
+ * @param {Object} options - Opciones
+ * @param {boolean} options.coerceTypes - Convertir los textos al tipo del esquema
+ * @returns {Ajv} Instancia configurada
+ *
+ * @private
+ */
+const createAjv = ({ coerceTypes }) => {
+  const instance = new Ajv({ allErrors: true, coerceTypes, useDefaults: true, allowUnionTypes: true, verbose: true });
+
+  addFormats(instance, ['date-time', 'email', 'uri']);
+
+  // Mismo criterio de UUID que el resto de la aplicación (versiones 1 a 5)
+  instance.addFormat('uuid', isUuid);
+
+  return instance;
+};
+
+/**
+ * Instancia para query, params y formularios: sus valores siempre son texto
+ * @constant {Ajv}
+ * @private
+ */
+const coercingAjv = createAjv({ coerceTypes: true });
+
+/**
+ * Instancia para cuerpos JSON: los tipos deben llegar tal como los pide el esquema
+ * @constant {Ajv}
+ * @private
+ */
+const strictAjv = createAjv({ coerceTypes: false });
+
+/**
+ * Nombres de los tipos JSON Schema para los mensajes
+ * @constant {Object}
+ * @private
+ */
+const TYPE_NAMES = {
+  string: 'texto',
+  number: 'número',
+  integer: 'entero',
+  boolean: 'booleano',
+  array: 'arreglo',
+  object: 'objeto',
+  null: 'null'
+};
+
+/**
+ * Mensajes de los formatos soportados
+ * @constant {Object}
+ * @private
+ */
+const FORMAT_MESSAGES = {
+  uuid: 'Debe ser un UUID válido',
+  'date-time': 'Debe ser una fecha ISO 8601 válida',
+  email: 'Debe ser un email válido',
+  uri: 'Debe ser una URL válida'
+};
+
+/**
+ * Mensaje de cada regla a partir de los parámetros del error de Ajv
+ * @constant {Object<string, Function>}
+ * @private
+ */
+const RULE_MESSAGES = {
+  required: () => 'El campo es requerido',
+  type: ({ type }) => `Debe ser de tipo ${[].concat(type).map(name => TYPE_NAMES[name] ?? name).join(' o ')}`,
+  minimum: ({ limit }) => `Debe ser mayor o igual a ${limit}`,
+  exclusiveMinimum: ({ limit }) => `Debe ser mayor a ${limit}`,
+  maximum: ({ limit }) => `Debe ser menor o igual a ${limit}`,
+  exclusiveMaximum: ({ limit }) => `Debe ser menor a ${limit}`,
+  multipleOf: ({ multipleOf }) => `Debe ser múltiplo de ${multipleOf}`,
+  minLength: ({ limit }) => `Debe tener al menos ${limit} caracteres`,
+  maxLength: ({ limit }) => `No puede exceder ${limit} caracteres`,
+  pattern: () => 'No tiene un formato válido',
+  format: ({ format }) => FORMAT_MESSAGES[format] ?? `Debe tener formato ${format}`,
+  enum: ({ allowedValues }) => `Debe ser uno de: ${allowedValues.join(', ')}`,
+  const: ({ allowedValue }) => `Debe ser ${allowedValue}`,
+  minItems: ({ limit }) => `Debe tener al menos ${limit} elementos`,
+  maxItems: ({ limit }) => `No puede tener más de ${limit} elementos`,
+  uniqueItems: () => 'No puede tener elementos repetidos',
+  minProperties: () => 'Debe enviar al menos un campo',
+  additionalProperties: () => 'El campo no está permitido'
+};
+
+/**
+ * Convierte un JSON Pointer de Ajv (/items/0/quantity) en ruta con puntos
+ *
+ * @param {string} pointer - instancePath del error
+ * @returns {string} Ruta (ej: items.0.quantity), vacía para la raíz
+ *
+ * @private
+ */
+const toPath = (pointer) => pointer
+  .split('/')
+  .slice(1)
+  .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+  .join('.');
+
+/**
+ * Agrega un segmento a una ruta
+ *
+ * @param {string} path - Ruta base
+ * @param {string} segment - Segmento a agregar
+ * @returns {string} Ruta resultante
+ *
+ * @private
+ */
+const joinPath = (path, segment) => (path ? `${path}.${segment}` : segment);
+
+/**
+ * Describe un anyOf incumplido
+ *
+ * Si todas las alternativas son del tipo { required: [campo] } (ej: un
+ * PATCH que exige al menos un campo) el mensaje las enumera.
+ *
+ * @param {Object[]} alternatives - Esquemas del anyOf
+ * @returns {string} Mensaje
+ *
+ * @private
+ */
+const describeAnyOf = (alternatives) => {
+  const fields = alternatives.map(alternative => alternative.required);
+
+  if (fields.every(required => Array.isArray(required) && required.length === 1)) {
+    return `Debe enviar al menos uno de los campos: ${fields.flat().join(', ')}`;
+  }
+
+  return 'No cumple ninguna de las alternativas permitidas';
+};
+
+/**
+ * Traduce los errores de Ajv al formato { path, rule, message }
+ *
+ * Los errores de las ramas de un anyOf se reemplazan por una única
+ * violación que describe las alternativas.
+ *
+ * @param {Object[]} errors - Errores de Ajv
+ * @returns {Array<{ path: string, rule: string, message: string }>} Violaciones
+ *
+ * @private
+ */
+const toFields = (errors) => {
+  const anyOfPaths = errors
+    .filter(error => error.keyword === 'anyOf')
+    .map(error => `${error.schemaPath}/`);
+
+  return errors
+    .filter(error => !anyOfPaths.some(prefix => error.schemaPath.startsWith(prefix)))
+    .map(error => {
+      let path = toPath(error.instancePath);
+
+      if (error.keyword === 'required') path = joinPath(path, error.params.missingProperty);
+      if (error.keyword === 'additionalProperties') path = joinPath(path, error.params.additionalProperty);
+
+      const message = error.keyword === 'anyOf'
+        ? describeAnyOf(error.schema)
+        : (RULE_MESSAGES[error.keyword]?.(error.params) ?? error.message);
+
+      return { path, rule: error.keyword, message };
+    });
+};
+
+/**
+ * Crea el error de validación con las violaciones encontradas
+ *
+ * El mensaje general repite la primera violación para los clientes que
+ * solo muestran `message`.
+ *
+ * @param {Array<{ path: string, rule: string, message: string }>} fields - Violaciones
+ * @returns {AppError} VALIDATION_ERROR con meta.fields
+ *
+ * @example
+ * throw validationError([{ path: 'limit', rule: 'maximum', message: 'Debe ser menor o igual a 100' }]);
+ */
+export const validationError = (fields) => {
+  const [first] = fields;
+  const summary = first.path ? `${first.path}: ${first.message}` : first.message;
+  const more = fields.length > 1 ? ` (y ${fields.length - 1} error(es) más)` : '';
+
+  return AppError.validation(`Datos de entrada inválidos: ${summary}${more}`, { fields });
+};
+
+/**
+ * Descarta los parámetros de query vacíos
+ *
+ * @param {Object} query - req.query de Express
+ * @returns {Object} Copia sin los valores ''
+ *
+ * @private
+ */
+const withoutEmpty = (query) => Object.fromEntries(
+  Object.entries(query ?? {}).filter(([, value]) => value !== '')
+);
+
+/**
+ * Construye un middleware que valida la petición contra esquemas
+ *
+ * Los esquemas se compilan una sola vez, al construir el router. Cada
+ * parte se reemplaza por su versión validada, con los valores por defecto
+ * (`default`) aplicados. En Express 5 req.query es un getter que vuelve a
+ * parsear la URL, por eso se redefine en la petición.
+ *
+ * `body` valida un cuerpo JSON sin coerción; `form` valida req.body con
+ * coerción, para los campos de texto de un multipart/form-data.
+ *
+ * Los esquemas quedan en la propiedad openApi del middleware: el documento
+ * OpenAPI describe los parámetros y el cuerpo a partir de ellos (el de un
+ * formulario lo declara la ruta en describeRoute).
+ *
+ * @param {Object} schemas - Esquemas por parte de la petición
+ * @param {Object} [schemas.params] - Esquema de req.params
+ * @param {Object} [schemas.query] - Esquema de req.query
+ * @param {Object} [schemas.body] - Esquema de req.body (JSON)
+ * @param {Object} [schemas.form] - Esquema de req.body (campos de un formulario multipart)
+ * @returns {Function} Middleware de Express
+ *
+ * @throws {AppError} VALIDATION_ERROR con meta.fields si alguna parte es inválida
+ *
+ * @example
+ * router.post('/', requirePermission(PERMISSIONS.CATALOG_WRITE), validate({ body: productBody }), handler);
+ */
+export const validate = ({ params, query, body, form }) => {
+  const validators = {
+    params: params && coercingAjv.compile(params),
+    query: query && coercingAjv.compile(query),
+    body: (body && strictAjv.compile(body)) || (form && coercingAjv.compile(form))
+  };
+
+  const middleware = (req, _res, next) => {
+    const fields = [];
+
+    if (validators.params) {
+      const data = { ...req.params };
+
+      if (validators.params(data)) {
+        req.params = data;
+      } else {
+        fields.push(...toFields(validators.params.errors));
+      }
+    }
+
+    if (validators.query) {
+      const data = withoutEmpty(req.query);
+
+      if (validators.query(data)) {
+        Object.defineProperty(req, 'query', { value: data, writable: true, configurable: true, enumerable: true });
+      } else {
+        fields.push(...toFields(validators.query.errors));
+      }
+    }
+
+    if (validators.body) {
+      // Sin cuerpo (o sin Content-Type JSON) se valida como objeto vacío
+      const data = req.body ?? {};
+
+      if (validators.body(data)) {
+        req.body = data;
+      } else {
+        fields.push(...toFields(validators.body.errors));
+      }
+    }
+
+    return next(fields.length > 0 ? validationError(fields) : undefined);
+  };
+
+  middleware.openApi = {
+    schemas: Object.fromEntries(Object.entries({ params, query, body }).filter(([, schema]) => schema))
+  };
+
+  return middleware;
+};
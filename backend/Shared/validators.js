@@ -0,0 +1,32 @@
+/**
+ * Validadores Compartidos
+ * 
+ * Funciones puras para validar formatos de entrada que se repiten en
+ * varias capas (parámetros de ruta, query strings, etc.). No dependen
+ * de Express ni de Sequelize.
+ * 
+ * @module Validators
+ * @author Backend Team
+ */
+
+/**
+ * Expresión regular para UUID (versiones 1 a 5)
+ * 
+ * @constant {RegExp}
+ * @private
+ */
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * Verifica si un valor es un UUID válido
+ * 
+ * @param {any} value - Valor a verificar
+ * @returns {boolean} true si el valor es un UUID con formato válido
+ * 
+ * @example
+ * isUuid('550e8400-e29b-41d4-a716-446655440000'); // true
+ * isUuid('123'); // false
+ */
+export function isUuid(value) {
+  return typeof value === 'string' && UUID_REGEX.test(value);
+}
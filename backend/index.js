@@ -7,10 +7,12 @@
  * Flujo de inicialización:
  * 1. Conexión y autenticación con la base de datos
  * 2. Construcción del contenedor de dependencias (IoC)
- * 3. Sincronización de modelos de Sequelize
+ * 3. Migraciones de esquema pendientes (tabla schema_migrations)
  * 4. Configuración del servidor Express
- * 5. Registro de middlewares y rutas
+ * 5. Registro de middlewares (contexto de petición primero) y rutas
  * 6. Inicio del servidor HTTP
+ * 7. Inicio de tareas en segundo plano (barrido de reservas)
+ * 8. Apagado ordenado ante SIGTERM/SIGINT
  * 
  * @author Backend Team
  * @version 1.0.0
@@ -21,7 +23,9 @@ import cors from 'cors';
 import { buildContainer } from './Config/container.js';
 import { sequelize } from './Config/Db.js';
 import { env } from './Config/env.js';
-import { globalErrorHandler } from './Shared/errorHandler.js';
+import { logger } from './Config/logger.js';
+import { routePattern } from './Shared/httpMetrics.js';
+import { API_ROUTERS, HEALTH_ROUTER, METRICS_ROUTER, OWN_JSON_BODY_PATHS } from './Routes/routerMounts.js';
 
 /**
  * Función principal que inicializa la aplicación
@@ -38,32 +42,44 @@ import { globalErrorHandler } from './Shared/errorHandler.js';
 async function main() {
   try {
     // === FASE 1: INICIALIZACIÓN DE BASE DE DATOS ===
-    console.log('Conectando a la base de datos...');
+    logger.info('Conectando a la base de datos...');
     
     // Verifica que la conexión a PostgreSQL sea válida
     // Lanza excepción si no puede conectar
     await sequelize.authenticate();
-    console.log('Conexión establecida correctamente.');
+    logger.info('Conexión establecida correctamente');
 
     // === FASE 2: CONFIGURACIÓN DE DEPENDENCIAS ===
-    console.log('Construyendo contenedor de dependencias...');
+    logger.info('Construyendo contenedor de dependencias...');
     
     // Construye el contenedor IoC con todas las dependencias registradas
     // Esto incluye repositorios, servicios, casos de uso y routers
     const container = buildContainer();
     
-    // === FASE 3: SINCRONIZACIÓN DE ESQUEMA ===
-    console.log('Sincronizando modelos...');
-    
-    // Sincroniza los modelos de Sequelize con la base de datos
-    // force: false evita recrear tablas existentes
-    // En producción, usar migraciones en lugar de sync()
-    await sequelize.sync({ force: false });
-    console.log('Modelos sincronizados.');
+    // === FASE 3: MIGRACIONES DE ESQUEMA ===
+    // El esquema se versiona con migraciones (migrations/): aplicar las
+    // pendientes nunca recrea tablas. Con varias instancias arrancando a la
+    // vez, el advisory lock hace que una migre y las demás esperen
+    if (env.DB.MIGRATE_ON_START) {
+      const applied = await container.resolve('migrationRunner').migrate();
+      logger.info('Esquema actualizado', { applied: applied.map(migration => migration.name) });
+    }
 
     // === FASE 4: CONFIGURACIÓN DEL SERVIDOR EXPRESS ===
     const app = express();
     
+    // IP del cliente detrás de proxies (límite de peticiones por IP)
+    app.set('trust proxy', env.TRUST_PROXY);
+    
+    // Contexto de cada petición (X-Request-Id) para todos los logs que
+    // genere, incluidos los de CORS y del parseo del cuerpo: va primero
+    app.use(container.resolve('requestContext'));
+    
+    // Latencia y errores de cada petición, para /metrics
+    if (env.METRICS.ENABLED) {
+      app.use(container.resolve('httpMetrics'));
+    }
+    
     // === CONFIGURACIÓN DE CORS ===
     // Configurar CORS para permitir requests desde el frontend
     const corsOptions = {
@@ -93,7 +109,7 @@ async function main() {
         if (allowedOrigins.includes(origin)) {
           callback(null, true);
         } else {
-          console.warn(`🚫 CORS: Origen no permitido: ${origin}`);
+          logger.warn('CORS: origen no permitido', { origin });
           callback(new Error('No permitido por política CORS'));
         }
       },
@@ -109,14 +125,26 @@ async function main() {
         'Accept',
         'Origin',
         'Cache-Control',
-        'X-File-Name'
+        'X-File-Name',
+        'If-Match',
+        'X-Admin-Token',
+        'X-Cart-Token',
+        'X-API-Key',
+        'X-Request-Id'
       ],
       
       // Headers que el cliente puede leer
       exposedHeaders: [
         'X-Total-Count',
         'X-Page-Count',
-        'Link'
+        'Link',
+        'ETag',
+        'RateLimit-Limit',
+        'RateLimit-Remaining',
+        'RateLimit-Reset',
+        'RateLimit-Policy',
+        'Retry-After',
+        'X-Request-Id'
       ],
       
       // Permitir envío de credenciales (cookies, auth headers)
@@ -133,41 +161,98 @@ async function main() {
     
     // Logging de configuración CORS en desarrollo
     if (env.NODE_ENV === 'development') {
-      console.log('🌐 CORS configurado para desarrollo');
-      console.log('   Orígenes permitidos:', env.CORS.ALLOWED_ORIGINS);
-      console.log('   Credenciales habilitadas:', env.CORS.CREDENTIALS);
+      logger.info('CORS configurado para desarrollo', {
+        allowedOrigins: env.CORS.ALLOWED_ORIGINS,
+        credentials: env.CORS.CREDENTIALS
+      });
     }
     
     // Middleware para parsear JSON en requests
-    // Límite por defecto: 100kb
-    app.use(express.json());
+    // Límite por defecto: 100kb; las rutas de OWN_JSON_BODY_PATHS parsean el suyo
+    app.use(express.json({
+      type: (req) => Boolean(req.is('application/json')) && !OWN_JSON_BODY_PATHS.includes(req.path)
+    }));
+
+    // Archivos subidos (imágenes de productos) con el almacenamiento local
+    // Los nombres incluyen un UUID y nunca se sobrescriben: se cachean como inmutables
+    if (env.STORAGE.DRIVER === 'local') {
+      // PUBLIC_URL puede ser absoluta (http://host/uploads): se monta solo su ruta
+      const uploadsPath = new URL(env.STORAGE.PUBLIC_URL, 'http://localhost').pathname;
+
+      app.use(uploadsPath, routePattern(uploadsPath), express.static(env.STORAGE.LOCAL_DIR, {
+        index: false,
+        immutable: true,
+        maxAge: '365d'
+      }));
+    }
 
     // === FASE 5: REGISTRO DE RUTAS ===
     // Los routers se resuelven desde el contenedor IoC
     // Esto permite inyección automática de dependencias
-    app.use('/api/products', container.resolve('productRouter'));
+    // Cada montaje registra su patrón (routePattern) para etiquetar las métricas
+
+    // Probes de liveness y readiness del orquestador: fuera de /api, sin autenticación ni límite de peticiones
+    app.use(HEALTH_ROUTER.path, routePattern(HEALTH_ROUTER.path), container.resolve(HEALTH_ROUTER.router));
+
+    // Métricas para Prometheus: fuera de /api, sin autenticación de usuarios ni límite de peticiones
+    if (env.METRICS.ENABLED) {
+      app.use(METRICS_ROUTER.path, routePattern(METRICS_ROUTER.path), container.resolve(METRICS_ROUTER.router));
+    }
+
+    // Documento OpenAPI (/openapi.json) y visor interactivo (/docs), públicos
+    app.use(container.resolve('docsRouter'));
+
+    // Límite por IP antes de identificar: las credenciales inválidas (401) también cuentan
+    app.use('/api', routePattern('/api'), container.resolve('ipRateLimit'));
+
+    // Identifica al usuario (Authorization, req.user) o la integración (X-API-Key, req.apiKey) antes de los routers
+    app.use('/api', container.resolve('authenticate'));
+
+    // Límite de peticiones por API key, usuario o IP (después de identificar)
+    app.use('/api', container.resolve('rateLimit'));
+
+    // Tabla compartida con el documento OpenAPI (Routes/routerMounts.js)
+    for (const { path, router } of API_ROUTERS) {
+      app.use(path, routePattern(path), container.resolve(router));
+    }
 
     // === FASE 6: MIDDLEWARE DE MANEJO DE ERRORES ===
     // Debe ser el último middleware registrado
     // Captura todos los errores no manejados en las rutas
-    app.use(globalErrorHandler);
+    app.use(container.resolve('errorHandler'));
 
     // === FASE 7: INICIO DEL SERVIDOR ===
-    app.listen(env.PORT, () => {
-      console.log(`🚀 API ejecutándose en http://localhost:${env.PORT}`);
-      console.log(`📚 Documentación disponible en /docs`);
-      console.log(`🔧 Ambiente: ${env.NODE_ENV}`);
+    const server = app.listen(env.PORT, () => {
+      logger.info('API ejecutándose', {
+        url: `http://localhost:${env.PORT}`,
+        docs: '/docs',
+        environment: env.NODE_ENV
+      });
     });
 
+    // === FASE 8: TAREAS EN SEGUNDO PLANO ===
+    // Barrido periódico de reservas de stock vencidas
+    if (container.resolve('reservationSweeper').start()) {
+      logger.info('Barrido de reservas programado', { intervalMs: env.RESERVATIONS.SWEEP_INTERVAL_MS });
+    }
+
+    // === FASE 9: APAGADO ORDENADO ===
+    // Readiness en 503, drenado de las peticiones en curso y cierre del pool
+    const shutdown = container.resolve('gracefulShutdown');
+
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.on(signal, async () => process.exit(await shutdown(server, signal)));
+    }
+
   } catch (error) {
-    console.error('❌ Error durante la inicialización:', error);
+    logger.error('Error durante la inicialización', { error });
     throw error;
   }
 }
 
 // Ejecuta la función principal y maneja errores fatales
 main().catch((error) => {
-  console.error('💥 Error fatal:', error);
+  logger.error('Error fatal', { error });
   
   // Cierra la conexión a la base de datos si existe
   if (sequelize) {
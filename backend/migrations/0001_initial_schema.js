@@ -0,0 +1,471 @@
+/**
+ * Migración 0001 - Esquema inicial
+ *
+ * Crea las tablas, tipos enumerados e índices tal como los dejaba
+ * sequelize.sync() antes de existir las migraciones, salvo las columnas
+ * que las tablas ganaron después de crearse: cada una tiene su propia
+ * migración (0004 a 0008). Es una foto fija: los cambios posteriores van
+ * en migraciones nuevas, nunca en este archivo.
+ *
+ * Todas las sentencias son idempotentes (IF NOT EXISTS y bloques DO que
+ * ignoran tipos duplicados), de modo que una base creada por sync() la
+ * adopta sin perder datos y queda registrada como aplicada.
+ *
+ * Adopción: sync() nunca modificó tablas existentes, así que una base
+ * creada por una versión anterior puede tener tablas a las que les faltan
+ * columnas agregadas después (ej: products sin version ni categoryId). Por
+ * eso este archivo no nombra esas columnas, ni en comentarios ni en
+ * índices: las agregan sus migraciones con ADD COLUMN IF NOT EXISTS, que
+ * no hacen nada si sync() ya las había creado.
+ *
+ * @module Migration0001InitialSchema
+ * @author Backend Team
+ */
+
+/**
+ * Sentencias de creación, en orden de dependencias (referenciadas primero)
+ * @constant {string[]}
+ * @private
+ */
+const UP_STATEMENTS = [
+  // --- categories ---
+  `CREATE TABLE IF NOT EXISTS "categories" (
+    "id" UUID,
+    "name" VARCHAR(100) NOT NULL,
+    "parentId" UUID REFERENCES "categories" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "categories" IS 'Categorías jerárquicas del catálogo'`,
+  `COMMENT ON COLUMN "categories"."id" IS 'Identificador único de la categoría (UUID v4)'`,
+  `COMMENT ON COLUMN "categories"."name" IS 'Nombre de la categoría'`,
+  `COMMENT ON COLUMN "categories"."parentId" IS 'Categoría padre; null si es raíz'`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS "categories_parent_name_unique" ON "categories" ("parentId", "name")`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS "categories_root_name_unique" ON "categories" ("name") WHERE "parentId" IS NULL`,
+
+  // --- brands ---
+  `CREATE TABLE IF NOT EXISTS "brands" (
+    "id" UUID,
+    "name" VARCHAR(100) NOT NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE ("name"),
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "brands" IS 'Marcas del catálogo'`,
+  `COMMENT ON COLUMN "brands"."id" IS 'Identificador único de la marca (UUID v4)'`,
+  `COMMENT ON COLUMN "brands"."name" IS 'Nombre único de la marca'`,
+
+  // --- products ---
+  `CREATE TABLE IF NOT EXISTS "products" (
+    "id" UUID,
+    "name" VARCHAR(255) NOT NULL,
+    "price" DECIMAL(10,2) NOT NULL,
+    "stock" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE ("name"),
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "products" IS 'Tabla de productos del sistema de inventario'`,
+  `COMMENT ON COLUMN "products"."id" IS 'Identificador único del producto (UUID v4)'`,
+  `COMMENT ON COLUMN "products"."name" IS 'Nombre único del producto'`,
+  `COMMENT ON COLUMN "products"."price" IS 'Precio del producto en la moneda base del sistema'`,
+  `COMMENT ON COLUMN "products"."stock" IS 'Cantidad disponible en inventario'`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS "products_name_idx" ON "products" ("name")`,
+  `CREATE INDEX IF NOT EXISTS "products_price_idx" ON "products" ("price")`,
+  `CREATE INDEX IF NOT EXISTS "products_stock_idx" ON "products" ("stock")`,
+  `CREATE INDEX IF NOT EXISTS "products_created_at_idx" ON "products" ("createdAt")`,
+
+  // --- product_variants ---
+  `CREATE TABLE IF NOT EXISTS "product_variants" (
+    "id" UUID,
+    "productId" UUID NOT NULL REFERENCES "products" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    "sku" VARCHAR(64) NOT NULL,
+    "shade" VARCHAR(50),
+    "size" VARCHAR(50),
+    "price" DECIMAL(10,2),
+    "stock" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE ("sku"),
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "product_variants" IS 'Variantes (tono, tamaño) de los productos'`,
+  `COMMENT ON COLUMN "product_variants"."id" IS 'Identificador único de la variante (UUID v4)'`,
+  `COMMENT ON COLUMN "product_variants"."productId" IS 'Producto al que pertenece la variante'`,
+  `COMMENT ON COLUMN "product_variants"."sku" IS 'Código de inventario (SKU) en mayúsculas'`,
+  `COMMENT ON COLUMN "product_variants"."shade" IS 'Tono (ej: 120)'`,
+  `COMMENT ON COLUMN "product_variants"."size" IS 'Tamaño o presentación (ej: 30ml)'`,
+  `COMMENT ON COLUMN "product_variants"."price" IS 'Precio de la variante; NULL hereda el precio del producto'`,
+  `COMMENT ON COLUMN "product_variants"."stock" IS 'Cantidad disponible de la variante'`,
+  `CREATE INDEX IF NOT EXISTS "product_variants_product_id_idx" ON "product_variants" ("productId")`,
+
+  // --- product_images ---
+  `CREATE TABLE IF NOT EXISTS "product_images" (
+    "id" UUID,
+    "productId" UUID NOT NULL REFERENCES "products" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    "key" VARCHAR(255) NOT NULL,
+    "thumbnailKey" VARCHAR(255) NOT NULL,
+    "url" VARCHAR(1024) NOT NULL,
+    "thumbnailUrl" VARCHAR(1024) NOT NULL,
+    "mimeType" VARCHAR(50) NOT NULL,
+    "size" INTEGER NOT NULL,
+    "width" INTEGER NOT NULL,
+    "height" INTEGER NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "isPrimary" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "product_images" IS 'Galería de imágenes de los productos'`,
+  `COMMENT ON COLUMN "product_images"."id" IS 'Identificador único de la imagen (UUID v4)'`,
+  `COMMENT ON COLUMN "product_images"."productId" IS 'Producto al que pertenece la imagen'`,
+  `COMMENT ON COLUMN "product_images"."key" IS 'Clave del archivo original en el almacenamiento'`,
+  `COMMENT ON COLUMN "product_images"."thumbnailKey" IS 'Clave de la miniatura en el almacenamiento'`,
+  `COMMENT ON COLUMN "product_images"."url" IS 'URL pública del archivo original'`,
+  `COMMENT ON COLUMN "product_images"."thumbnailUrl" IS 'URL pública de la miniatura'`,
+  `COMMENT ON COLUMN "product_images"."mimeType" IS 'Tipo MIME detectado del original'`,
+  `COMMENT ON COLUMN "product_images"."size" IS 'Tamaño del original en bytes'`,
+  `COMMENT ON COLUMN "product_images"."width" IS 'Ancho del original en píxeles'`,
+  `COMMENT ON COLUMN "product_images"."height" IS 'Alto del original en píxeles'`,
+  `COMMENT ON COLUMN "product_images"."position" IS 'Orden dentro de la galería (0 = primera)'`,
+  `COMMENT ON COLUMN "product_images"."isPrimary" IS 'Indica si es la imagen principal del producto'`,
+  `CREATE INDEX IF NOT EXISTS "product_images_product_position_idx" ON "product_images" ("productId", "position")`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS "product_images_primary_unique" ON "product_images" ("productId") WHERE "isPrimary" = true`,
+
+  // --- stock_movements ---
+  `DO $$ BEGIN
+    CREATE TYPE "public"."enum_stock_movements_type" AS ENUM ('receipt', 'return', 'sale', 'damage', 'adjustment');
+  EXCEPTION WHEN duplicate_object THEN null;
+  END $$`,
+  `CREATE TABLE IF NOT EXISTS "stock_movements" (
+    "id" UUID,
+    "productId" UUID NOT NULL REFERENCES "products" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    "variantId" UUID,
+    "type" "public"."enum_stock_movements_type" NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "stockAfter" INTEGER NOT NULL,
+    "reason" VARCHAR(255) NOT NULL,
+    "actor" VARCHAR(100),
+    "reference" VARCHAR(100),
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "stock_movements" IS 'Libro de movimientos de inventario (solo inserción)'`,
+  `COMMENT ON COLUMN "stock_movements"."id" IS 'Identificador único del movimiento (UUID v4)'`,
+  `COMMENT ON COLUMN "stock_movements"."productId" IS 'Producto afectado'`,
+  `COMMENT ON COLUMN "stock_movements"."variantId" IS 'Variante afectada; NULL si el movimiento es sobre el stock del producto'`,
+  `COMMENT ON COLUMN "stock_movements"."type" IS 'Tipo de movimiento (receipt, sale, adjustment, return, damage)'`,
+  `COMMENT ON COLUMN "stock_movements"."quantity" IS 'Cantidad con signo: positiva entra, negativa sale'`,
+  `COMMENT ON COLUMN "stock_movements"."stockAfter" IS 'Stock del producto o variante tras el movimiento'`,
+  `COMMENT ON COLUMN "stock_movements"."reason" IS 'Motivo del movimiento'`,
+  `COMMENT ON COLUMN "stock_movements"."actor" IS 'Responsable del movimiento'`,
+  `COMMENT ON COLUMN "stock_movements"."reference" IS 'Referencia externa (factura, pedido, acta...)'`,
+  `CREATE INDEX IF NOT EXISTS "stock_movements_product_created_idx" ON "stock_movements" ("productId", "createdAt")`,
+  `CREATE INDEX IF NOT EXISTS "stock_movements_variant_id_idx" ON "stock_movements" ("variantId")`,
+
+  // --- stock_reservations ---
+  `DO $$ BEGIN
+    CREATE TYPE "public"."enum_stock_reservations_status" AS ENUM ('active', 'released', 'expired', 'consumed');
+  EXCEPTION WHEN duplicate_object THEN null;
+  END $$`,
+  `CREATE TABLE IF NOT EXISTS "stock_reservations" (
+    "id" UUID,
+    "productId" UUID NOT NULL REFERENCES "products" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    "variantId" UUID REFERENCES "product_variants" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    "quantity" INTEGER NOT NULL,
+    "status" "public"."enum_stock_reservations_status" NOT NULL DEFAULT 'active',
+    "expiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "reference" VARCHAR(100),
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "stock_reservations" IS 'Reservas temporales de stock'`,
+  `COMMENT ON COLUMN "stock_reservations"."id" IS 'Identificador único de la reserva (UUID v4)'`,
+  `COMMENT ON COLUMN "stock_reservations"."productId" IS 'Producto reservado'`,
+  `COMMENT ON COLUMN "stock_reservations"."variantId" IS 'Variante reservada; NULL si la reserva es sobre el stock del producto'`,
+  `COMMENT ON COLUMN "stock_reservations"."quantity" IS 'Unidades reservadas'`,
+  `COMMENT ON COLUMN "stock_reservations"."status" IS 'Estado (active, released, expired, consumed)'`,
+  `COMMENT ON COLUMN "stock_reservations"."expiresAt" IS 'Fecha a partir de la cual la reserva deja de retener stock'`,
+  `COMMENT ON COLUMN "stock_reservations"."reference" IS 'Referencia externa (carrito, checkout...)'`,
+  `CREATE INDEX IF NOT EXISTS "stock_reservations_target_status_idx" ON "stock_reservations" ("productId", "variantId", "status")`,
+  `CREATE INDEX IF NOT EXISTS "stock_reservations_status_expires_idx" ON "stock_reservations" ("status", "expiresAt")`,
+
+  // --- carts ---
+  `DO $$ BEGIN
+    CREATE TYPE "public"."enum_carts_status" AS ENUM ('active', 'merged', 'ordered');
+  EXCEPTION WHEN duplicate_object THEN null;
+  END $$`,
+  `CREATE TABLE IF NOT EXISTS "carts" (
+    "id" UUID,
+    "tokenHash" CHAR(64) NOT NULL UNIQUE,
+    "status" "public"."enum_carts_status" NOT NULL DEFAULT 'active',
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "carts" IS 'Carritos de compras'`,
+  `COMMENT ON COLUMN "carts"."id" IS 'Identificador único del carrito (UUID v4)'`,
+  `COMMENT ON COLUMN "carts"."tokenHash" IS 'Hash SHA-256 (hex) del token de acceso del carrito'`,
+  `COMMENT ON COLUMN "carts"."status" IS 'Estado (active, merged, ordered)'`,
+
+  // --- cart_items ---
+  `CREATE TABLE IF NOT EXISTS "cart_items" (
+    "id" UUID,
+    "cartId" UUID NOT NULL REFERENCES "carts" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    "productId" UUID NOT NULL REFERENCES "products" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    "variantId" UUID REFERENCES "product_variants" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    "quantity" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "cart_items" IS 'Líneas de los carritos de compras'`,
+  `COMMENT ON COLUMN "cart_items"."id" IS 'Identificador único de la línea (UUID v4)'`,
+  `COMMENT ON COLUMN "cart_items"."cartId" IS 'Carrito al que pertenece la línea'`,
+  `COMMENT ON COLUMN "cart_items"."productId" IS 'Producto de la línea'`,
+  `COMMENT ON COLUMN "cart_items"."variantId" IS 'Variante de la línea; NULL si el producto no tiene variantes'`,
+  `COMMENT ON COLUMN "cart_items"."quantity" IS 'Unidades de la línea'`,
+  `CREATE INDEX IF NOT EXISTS "cart_items_cart_created_idx" ON "cart_items" ("cartId", "createdAt")`,
+
+  // --- customers ---
+  `CREATE TABLE IF NOT EXISTS "customers" (
+    "id" UUID,
+    "name" VARCHAR(255) NOT NULL,
+    "email" VARCHAR(255) NOT NULL,
+    "phone" VARCHAR(30),
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE ("email"),
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "customers" IS 'Clientes de la tienda'`,
+  `COMMENT ON COLUMN "customers"."id" IS 'Identificador único del cliente (UUID v4)'`,
+  `COMMENT ON COLUMN "customers"."name" IS 'Nombre completo del cliente'`,
+  `COMMENT ON COLUMN "customers"."email" IS 'Email de contacto, único y en minúsculas'`,
+  `COMMENT ON COLUMN "customers"."phone" IS 'Teléfono de contacto'`,
+  `CREATE INDEX IF NOT EXISTS "customers_name_idx" ON "customers" ("name")`,
+
+  // --- orders ---
+  `DO $$ BEGIN
+    CREATE TYPE "public"."enum_orders_status" AS ENUM ('pending', 'paid', 'shipped', 'delivered', 'cancelled');
+  EXCEPTION WHEN duplicate_object THEN null;
+  END $$`,
+  `CREATE TABLE IF NOT EXISTS "orders" (
+    "id" UUID,
+    "cartId" UUID REFERENCES "carts" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    "status" "public"."enum_orders_status" NOT NULL DEFAULT 'pending',
+    "subtotal" DECIMAL(12,2) NOT NULL,
+    "paidAt" TIMESTAMP WITH TIME ZONE,
+    "shippedAt" TIMESTAMP WITH TIME ZONE,
+    "deliveredAt" TIMESTAMP WITH TIME ZONE,
+    "cancelledAt" TIMESTAMP WITH TIME ZONE,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "orders" IS 'Pedidos confirmados'`,
+  `COMMENT ON COLUMN "orders"."id" IS 'Identificador único del pedido (UUID v4)'`,
+  `COMMENT ON COLUMN "orders"."cartId" IS 'Carrito convertido en este pedido'`,
+  `COMMENT ON COLUMN "orders"."status" IS 'Estado (pending, paid, shipped, delivered, cancelled)'`,
+  `COMMENT ON COLUMN "orders"."subtotal" IS 'Suma de las líneas al confirmar el pedido'`,
+  `COMMENT ON COLUMN "orders"."paidAt" IS 'Fecha de pago'`,
+  `COMMENT ON COLUMN "orders"."shippedAt" IS 'Fecha de envío'`,
+  `COMMENT ON COLUMN "orders"."deliveredAt" IS 'Fecha de entrega'`,
+  `COMMENT ON COLUMN "orders"."cancelledAt" IS 'Fecha de cancelación'`,
+  `CREATE INDEX IF NOT EXISTS "orders_status_created_idx" ON "orders" ("status", "createdAt")`,
+  `CREATE INDEX IF NOT EXISTS "orders_cart_id_idx" ON "orders" ("cartId")`,
+
+  // --- order_items ---
+  `CREATE TABLE IF NOT EXISTS "order_items" (
+    "id" UUID,
+    "orderId" UUID NOT NULL REFERENCES "orders" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    "productId" UUID NOT NULL,
+    "variantId" UUID,
+    "productName" VARCHAR(255) NOT NULL,
+    "sku" VARCHAR(64),
+    "unitPrice" DECIMAL(10,2) NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "order_items" IS 'Líneas de los pedidos (con precios al confirmar)'`,
+  `COMMENT ON COLUMN "order_items"."id" IS 'Identificador único de la línea (UUID v4)'`,
+  `COMMENT ON COLUMN "order_items"."orderId" IS 'Pedido al que pertenece la línea'`,
+  `COMMENT ON COLUMN "order_items"."productId" IS 'Producto vendido'`,
+  `COMMENT ON COLUMN "order_items"."variantId" IS 'Variante vendida; NULL si el producto no tiene variantes'`,
+  `COMMENT ON COLUMN "order_items"."productName" IS 'Nombre del producto al confirmar el pedido'`,
+  `COMMENT ON COLUMN "order_items"."sku" IS 'SKU de la variante al confirmar el pedido'`,
+  `COMMENT ON COLUMN "order_items"."unitPrice" IS 'Precio unitario al confirmar el pedido'`,
+  `COMMENT ON COLUMN "order_items"."quantity" IS 'Unidades vendidas'`,
+  `CREATE INDEX IF NOT EXISTS "order_items_order_id_idx" ON "order_items" ("orderId")`,
+  `CREATE INDEX IF NOT EXISTS "order_items_product_id_idx" ON "order_items" ("productId")`,
+
+  // --- customer_addresses ---
+  `CREATE TABLE IF NOT EXISTS "customer_addresses" (
+    "id" UUID,
+    "customerId" UUID NOT NULL REFERENCES "customers" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    "label" VARCHAR(50),
+    "line1" VARCHAR(255) NOT NULL,
+    "line2" VARCHAR(255),
+    "city" VARCHAR(100) NOT NULL,
+    "region" VARCHAR(100),
+    "postalCode" VARCHAR(20),
+    "country" CHAR(2) NOT NULL,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "customer_addresses" IS 'Libreta de direcciones de los clientes'`,
+  `COMMENT ON COLUMN "customer_addresses"."id" IS 'Identificador único de la dirección (UUID v4)'`,
+  `COMMENT ON COLUMN "customer_addresses"."customerId" IS 'Cliente dueño de la dirección'`,
+  `COMMENT ON COLUMN "customer_addresses"."label" IS 'Etiqueta de la dirección (ej: Casa, Oficina)'`,
+  `COMMENT ON COLUMN "customer_addresses"."line1" IS 'Calle y número'`,
+  `COMMENT ON COLUMN "customer_addresses"."line2" IS 'Apartamento, piso o referencias'`,
+  `COMMENT ON COLUMN "customer_addresses"."city" IS 'Ciudad'`,
+  `COMMENT ON COLUMN "customer_addresses"."region" IS 'Departamento, estado o provincia'`,
+  `COMMENT ON COLUMN "customer_addresses"."postalCode" IS 'Código postal'`,
+  `COMMENT ON COLUMN "customer_addresses"."country" IS 'Código de país ISO 3166-1 alfa-2'`,
+  `COMMENT ON COLUMN "customer_addresses"."isDefault" IS 'Dirección predeterminada del cliente'`,
+  `CREATE INDEX IF NOT EXISTS "customer_addresses_customer_created_idx" ON "customer_addresses" ("customerId", "createdAt")`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS "customer_addresses_default_unique" ON "customer_addresses" ("customerId") WHERE "isDefault" = true`,
+
+  // --- users ---
+  `CREATE TABLE IF NOT EXISTS "users" (
+    "id" UUID,
+    "email" VARCHAR(255) NOT NULL,
+    "name" VARCHAR(255),
+    "passwordHash" VARCHAR(60) NOT NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE ("email"),
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "users" IS 'Cuentas de usuario'`,
+  `COMMENT ON COLUMN "users"."id" IS 'Identificador único del usuario (UUID v4)'`,
+  `COMMENT ON COLUMN "users"."email" IS 'Email con el que inicia sesión, único y en minúsculas'`,
+  `COMMENT ON COLUMN "users"."name" IS 'Nombre para mostrar'`,
+  `COMMENT ON COLUMN "users"."passwordHash" IS 'Hash bcrypt de la contraseña'`,
+
+  // --- refresh_tokens ---
+  `CREATE TABLE IF NOT EXISTS "refresh_tokens" (
+    "id" UUID,
+    "userId" UUID NOT NULL REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    "tokenHash" CHAR(64) NOT NULL,
+    "familyId" UUID NOT NULL,
+    "expiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "revokedAt" TIMESTAMP WITH TIME ZONE,
+    "replacedById" UUID,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE ("tokenHash"),
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "refresh_tokens" IS 'Refresh tokens emitidos (rotación con detección de reutilización)'`,
+  `COMMENT ON COLUMN "refresh_tokens"."id" IS 'Identificador único del refresh token (UUID v4)'`,
+  `COMMENT ON COLUMN "refresh_tokens"."userId" IS 'Usuario dueño del token'`,
+  `COMMENT ON COLUMN "refresh_tokens"."tokenHash" IS 'SHA-256 del token en hexadecimal'`,
+  `COMMENT ON COLUMN "refresh_tokens"."familyId" IS 'Inicio de sesión del que desciende; se revoca completa si un token se reutiliza'`,
+  `COMMENT ON COLUMN "refresh_tokens"."expiresAt" IS 'Fecha de vencimiento'`,
+  `COMMENT ON COLUMN "refresh_tokens"."revokedAt" IS 'Fecha de revocación; NULL mientras el token esté vigente'`,
+  `COMMENT ON COLUMN "refresh_tokens"."replacedById" IS 'Refresh token emitido al rotar este'`,
+  `CREATE INDEX IF NOT EXISTS "refresh_tokens_family_idx" ON "refresh_tokens" ("familyId")`,
+  `CREATE INDEX IF NOT EXISTS "refresh_tokens_user_idx" ON "refresh_tokens" ("userId")`,
+
+  // --- revoked_tokens ---
+  `CREATE TABLE IF NOT EXISTS "revoked_tokens" (
+    "jti" UUID,
+    "expiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY ("jti")
+  )`,
+  `COMMENT ON TABLE "revoked_tokens" IS 'Lista de revocación de access tokens'`,
+  `COMMENT ON COLUMN "revoked_tokens"."jti" IS 'Claim jti del access token revocado'`,
+  `COMMENT ON COLUMN "revoked_tokens"."expiresAt" IS 'Vencimiento del access token; después la fila puede borrarse'`,
+  `CREATE INDEX IF NOT EXISTS "revoked_tokens_expires_idx" ON "revoked_tokens" ("expiresAt")`,
+
+  // --- api_keys ---
+  `CREATE TABLE IF NOT EXISTS "api_keys" (
+    "id" UUID,
+    "name" VARCHAR(100) NOT NULL,
+    "prefix" VARCHAR(16) NOT NULL,
+    "keyHash" CHAR(64) NOT NULL,
+    "scopes" VARCHAR(30)[] NOT NULL,
+    "expiresAt" TIMESTAMP WITH TIME ZONE,
+    "lastUsedAt" TIMESTAMP WITH TIME ZONE,
+    "revokedAt" TIMESTAMP WITH TIME ZONE,
+    "createdById" UUID REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE ("keyHash"),
+    PRIMARY KEY ("id")
+  )`,
+  `COMMENT ON TABLE "api_keys" IS 'API keys de integraciones máquina a máquina'`,
+  `COMMENT ON COLUMN "api_keys"."id" IS 'Identificador único de la API key (UUID v4)'`,
+  `COMMENT ON COLUMN "api_keys"."name" IS 'Nombre descriptivo de la integración'`,
+  `COMMENT ON COLUMN "api_keys"."prefix" IS 'Inicio de la key en claro, para reconocerla en el listado'`,
+  `COMMENT ON COLUMN "api_keys"."keyHash" IS 'SHA-256 de la key en hexadecimal'`,
+  `COMMENT ON COLUMN "api_keys"."scopes" IS 'Scopes otorgados (read:products, write:products, write:stock)'`,
+  `COMMENT ON COLUMN "api_keys"."expiresAt" IS 'Fecha de vencimiento; NULL si no vence'`,
+  `COMMENT ON COLUMN "api_keys"."lastUsedAt" IS 'Último uso registrado (con resolución de un minuto)'`,
+  `COMMENT ON COLUMN "api_keys"."revokedAt" IS 'Fecha de revocación; NULL mientras la key esté vigente'`,
+  `COMMENT ON COLUMN "api_keys"."createdById" IS 'Usuario que creó la key'`
+];
+
+/**
+ * Tablas en orden inverso de dependencias, para eliminarlas sin violar
+ * claves foráneas
+ * @constant {string[]}
+ * @private
+ */
+const TABLES = [
+  'api_keys', 'revoked_tokens', 'refresh_tokens', 'users', 'customer_addresses',
+  'order_items', 'orders', 'customers', 'cart_items', 'carts',
+  'stock_reservations', 'stock_movements', 'product_images', 'product_variants',
+  'products', 'brands', 'categories'
+];
+
+/**
+ * Tipos enumerados creados junto con sus tablas
+ * @constant {string[]}
+ * @private
+ */
+const ENUM_TYPES = [
+  'enum_stock_movements_type', 'enum_stock_reservations_status',
+  'enum_carts_status', 'enum_orders_status'
+];
+
+/**
+ * Crea el esquema inicial
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function up({ sequelize, transaction }) {
+  for (const statement of UP_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
+
+/**
+ * Elimina todas las tablas y tipos del esquema inicial (y sus datos)
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function down({ sequelize, transaction }) {
+  for (const table of TABLES) {
+    await sequelize.query(`DROP TABLE IF EXISTS "${table}"`, { transaction });
+  }
+
+  for (const type of ENUM_TYPES) {
+    await sequelize.query(`DROP TYPE IF EXISTS "public"."${type}"`, { transaction });
+  }
+}
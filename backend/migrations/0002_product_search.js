@@ -0,0 +1,95 @@
+/**
+ * Migración 0002 - Búsqueda de productos insensible a acentos
+ *
+ * Crea los objetos de base de datos que usa la búsqueda de texto completo
+ * (GET /products/search):
+ *
+ * - Extensión `unaccent`: elimina tildes y eñes ("Pestañina" → "Pestanina")
+ * - Extensión `pg_trgm`: similitud por trigramas, tolera errores de tipeo
+ * - Función `immutable_unaccent`: envoltorio IMMUTABLE de unaccent, requerido
+ *   para poder usarla en índices de expresión
+ * - Configuración `es_unaccent`: copia de `spanish` que aplica unaccent antes
+ *   del stemming, de modo que tsvector, tsquery y ts_headline ignoren acentos
+ * - Índice GIN tsvector y GIN trigram sobre products.name
+ *
+ * Reemplaza a ensureProductSearch(), que se ejecutaba en cada arranque. Las
+ * sentencias siguen siendo idempotentes para adoptar las bases que ya los
+ * tenían. Requiere permisos para crear extensiones.
+ *
+ * El nombre de la configuración está fijo: debe coincidir con SEARCH_CONFIG
+ * (productSearchSetup.js), pero una migración no puede depender de código
+ * que cambie después de aplicarla.
+ *
+ * @module Migration0002ProductSearch
+ * @author Backend Team
+ */
+
+/**
+ * Sentencias de creación, en orden de ejecución
+ * @constant {string[]}
+ * @private
+ */
+const UP_STATEMENTS = [
+  'CREATE EXTENSION IF NOT EXISTS unaccent',
+  'CREATE EXTENSION IF NOT EXISTS pg_trgm',
+  `CREATE OR REPLACE FUNCTION immutable_unaccent(text)
+     RETURNS text
+     LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+     AS $$ SELECT public.unaccent('public.unaccent', $1) $$`,
+  `DO $$
+   BEGIN
+     IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'es_unaccent') THEN
+       CREATE TEXT SEARCH CONFIGURATION es_unaccent (COPY = spanish);
+       ALTER TEXT SEARCH CONFIGURATION es_unaccent
+         ALTER MAPPING FOR hword, hword_part, word WITH unaccent, spanish_stem;
+     END IF;
+   END $$`,
+  `CREATE INDEX IF NOT EXISTS products_name_fts_idx
+     ON products USING GIN (to_tsvector('es_unaccent', name))`,
+  `CREATE INDEX IF NOT EXISTS products_name_trgm_idx
+     ON products USING GIN (immutable_unaccent(lower(name)) gin_trgm_ops)`,
+];
+
+/**
+ * Sentencias de reversión, en orden inverso a la creación
+ *
+ * Las extensiones no se eliminan: pueden estar en uso por otros objetos
+ * de la base de datos.
+ *
+ * @constant {string[]}
+ * @private
+ */
+const DOWN_STATEMENTS = [
+  'DROP INDEX IF EXISTS products_name_trgm_idx',
+  'DROP INDEX IF EXISTS products_name_fts_idx',
+  'DROP TEXT SEARCH CONFIGURATION IF EXISTS es_unaccent',
+  'DROP FUNCTION IF EXISTS immutable_unaccent(text)',
+];
+
+/**
+ * Crea las extensiones, la configuración y los índices de búsqueda
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function up({ sequelize, transaction }) {
+  for (const statement of UP_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
+
+/**
+ * Elimina los índices, la configuración y la función de búsqueda
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function down({ sequelize, transaction }) {
+  for (const statement of DOWN_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
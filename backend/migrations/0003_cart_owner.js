@@ -0,0 +1,65 @@
+/**
+ * Migración 0003 - Dueño de los carritos
+ *
+ * Agrega carts.userId: el usuario al que pertenece el carrito. Un carrito
+ * creado sin sesión queda sin dueño (NULL) hasta que quien lo usa inicia
+ * sesión; entonces se asocia a su cuenta o se fusiona con el carrito que
+ * ya tenía (ver LoginUseCase).
+ *
+ * Si se elimina el usuario, sus carritos quedan otra vez sin dueño: los
+ * pedidos que provienen de ellos no se pierden.
+ *
+ * @module Migration0003CartOwner
+ * @author Backend Team
+ */
+
+/**
+ * Sentencias de creación, en orden de ejecución
+ * @constant {string[]}
+ * @private
+ */
+const UP_STATEMENTS = [
+  `ALTER TABLE "carts" ADD COLUMN IF NOT EXISTS
+     "userId" UUID REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE`,
+  `COMMENT ON COLUMN "carts"."userId" IS 'Usuario dueño del carrito; NULL si es anónimo'`,
+  // Búsqueda del carrito activo de un usuario al iniciar sesión
+  `CREATE INDEX IF NOT EXISTS "carts_user_active_idx" ON "carts" ("userId") WHERE "status" = 'active'`,
+];
+
+/**
+ * Sentencias de reversión, en orden inverso a la creación
+ * @constant {string[]}
+ * @private
+ */
+const DOWN_STATEMENTS = [
+  'DROP INDEX IF EXISTS "carts_user_active_idx"',
+  'ALTER TABLE "carts" DROP COLUMN IF EXISTS "userId"',
+];
+
+/**
+ * Agrega el dueño de los carritos
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function up({ sequelize, transaction }) {
+  for (const statement of UP_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
+
+/**
+ * Elimina el dueño de los carritos
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function down({ sequelize, transaction }) {
+  for (const statement of DOWN_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Migración 0004 - Versión de los productos
+ *
+ * Agrega products.version: el contador del bloqueo optimista que respalda
+ * ETag e If-Match (412 si el producto cambió desde que se leyó). Las filas
+ * existentes empiezan en 0.
+ *
+ * IF NOT EXISTS: una base creada por sync() con un modelo que ya la tenía
+ * conserva la columna y sus valores.
+ *
+ * @module Migration0004ProductVersion
+ * @author Backend Team
+ */
+
+/**
+ * Sentencias de creación, en orden de ejecución
+ * @constant {string[]}
+ * @private
+ */
+const UP_STATEMENTS = [
+  'ALTER TABLE "products" ADD COLUMN IF NOT EXISTS "version" INTEGER NOT NULL DEFAULT 0',
+  `COMMENT ON COLUMN "products"."version" IS 'Versión para el bloqueo optimista (ETag e If-Match)'`,
+];
+
+/**
+ * Sentencias de reversión, en orden inverso a la creación
+ * @constant {string[]}
+ * @private
+ */
+const DOWN_STATEMENTS = [
+  'ALTER TABLE "products" DROP COLUMN IF EXISTS "version"',
+];
+
+/**
+ * Agrega la versión de los productos
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function up({ sequelize, transaction }) {
+  for (const statement of UP_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
+
+/**
+ * Elimina la versión de los productos
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function down({ sequelize, transaction }) {
+  for (const statement of DOWN_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
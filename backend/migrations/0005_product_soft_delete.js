@@ -0,0 +1,60 @@
+/**
+ * Migración 0005 - Baja lógica de productos
+ *
+ * Agrega products.deletedAt: la fecha de la baja lógica. Un producto con
+ * fecha queda fuera del catálogo hasta restaurarlo; solo la purga lo
+ * elimina de la tabla. Las filas existentes quedan activas (NULL).
+ *
+ * IF NOT EXISTS: una base creada por sync() con un modelo que ya la tenía
+ * conserva la columna y sus valores.
+ *
+ * @module Migration0005ProductSoftDelete
+ * @author Backend Team
+ */
+
+/**
+ * Sentencias de creación, en orden de ejecución
+ * @constant {string[]}
+ * @private
+ */
+const UP_STATEMENTS = [
+  'ALTER TABLE "products" ADD COLUMN IF NOT EXISTS "deletedAt" TIMESTAMP WITH TIME ZONE',
+  `COMMENT ON COLUMN "products"."deletedAt" IS 'Fecha de la baja lógica; NULL si el producto está activo'`,
+];
+
+/**
+ * Sentencias de reversión, en orden inverso a la creación
+ * @constant {string[]}
+ * @private
+ */
+const DOWN_STATEMENTS = [
+  'ALTER TABLE "products" DROP COLUMN IF EXISTS "deletedAt"',
+];
+
+/**
+ * Agrega la baja lógica de los productos
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function up({ sequelize, transaction }) {
+  for (const statement of UP_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
+
+/**
+ * Elimina la baja lógica de los productos (los productos dados de baja vuelven a estar activos)
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function down({ sequelize, transaction }) {
+  for (const statement of DOWN_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
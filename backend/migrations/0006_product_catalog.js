@@ -0,0 +1,69 @@
+/**
+ * Migración 0006 - Categoría y marca de los productos
+ *
+ * Agrega products.categoryId y products.brandId, con sus índices. Las
+ * claves foráneas son RESTRICT: una categoría o marca en uso no puede
+ * eliminarse. Las filas existentes quedan sin categoría ni marca (NULL).
+ *
+ * IF NOT EXISTS: una base creada por sync() con un modelo que ya las tenía
+ * conserva las columnas y sus valores.
+ *
+ * @module Migration0006ProductCatalog
+ * @author Backend Team
+ */
+
+/**
+ * Sentencias de creación, en orden de ejecución
+ * @constant {string[]}
+ * @private
+ */
+const UP_STATEMENTS = [
+  `ALTER TABLE "products" ADD COLUMN IF NOT EXISTS
+     "categoryId" UUID REFERENCES "categories" ("id") ON DELETE RESTRICT ON UPDATE CASCADE`,
+  `ALTER TABLE "products" ADD COLUMN IF NOT EXISTS
+     "brandId" UUID REFERENCES "brands" ("id") ON DELETE RESTRICT ON UPDATE CASCADE`,
+  `COMMENT ON COLUMN "products"."categoryId" IS 'Categoría del producto'`,
+  `COMMENT ON COLUMN "products"."brandId" IS 'Marca del producto'`,
+  'CREATE INDEX IF NOT EXISTS "products_category_id_idx" ON "products" ("categoryId")',
+  'CREATE INDEX IF NOT EXISTS "products_brand_id_idx" ON "products" ("brandId")',
+];
+
+/**
+ * Sentencias de reversión, en orden inverso a la creación
+ * @constant {string[]}
+ * @private
+ */
+const DOWN_STATEMENTS = [
+  'DROP INDEX IF EXISTS "products_brand_id_idx"',
+  'DROP INDEX IF EXISTS "products_category_id_idx"',
+  'ALTER TABLE "products" DROP COLUMN IF EXISTS "brandId"',
+  'ALTER TABLE "products" DROP COLUMN IF EXISTS "categoryId"',
+];
+
+/**
+ * Agrega la categoría y la marca de los productos
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function up({ sequelize, transaction }) {
+  for (const statement of UP_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
+
+/**
+ * Elimina la categoría y la marca de los productos
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function down({ sequelize, transaction }) {
+  for (const statement of DOWN_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
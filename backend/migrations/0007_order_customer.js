@@ -0,0 +1,64 @@
+/**
+ * Migración 0007 - Cliente de los pedidos
+ *
+ * Agrega orders.customerId, con el índice de los pedidos de un cliente
+ * (estadísticas de clientes). La clave foránea es RESTRICT: un cliente con
+ * pedidos no puede eliminarse. Los pedidos existentes quedan sin cliente
+ * (NULL), como las compras sin cliente registrado.
+ *
+ * IF NOT EXISTS: una base creada por sync() con un modelo que ya la tenía
+ * conserva la columna y sus valores.
+ *
+ * @module Migration0007OrderCustomer
+ * @author Backend Team
+ */
+
+/**
+ * Sentencias de creación, en orden de ejecución
+ * @constant {string[]}
+ * @private
+ */
+const UP_STATEMENTS = [
+  `ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS
+     "customerId" UUID REFERENCES "customers" ("id") ON DELETE RESTRICT ON UPDATE CASCADE`,
+  `COMMENT ON COLUMN "orders"."customerId" IS 'Cliente del pedido; NULL en compras sin cliente registrado'`,
+  'CREATE INDEX IF NOT EXISTS "orders_customer_created_idx" ON "orders" ("customerId", "createdAt")',
+];
+
+/**
+ * Sentencias de reversión, en orden inverso a la creación
+ * @constant {string[]}
+ * @private
+ */
+const DOWN_STATEMENTS = [
+  'DROP INDEX IF EXISTS "orders_customer_created_idx"',
+  'ALTER TABLE "orders" DROP COLUMN IF EXISTS "customerId"',
+];
+
+/**
+ * Agrega el cliente de los pedidos
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function up({ sequelize, transaction }) {
+  for (const statement of UP_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
+
+/**
+ * Elimina el cliente de los pedidos
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function down({ sequelize, transaction }) {
+  for (const statement of DOWN_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Migración 0008 - Rol de los usuarios
+ *
+ * Agrega users.role: el rol que define los permisos del usuario (ver
+ * Domain/Users/Entities/Role.js). Los usuarios existentes quedan como
+ * customer, sin permisos sobre el catálogo ni los pedidos; un admin se
+ * asigna con `pnpm grant-role`.
+ *
+ * IF NOT EXISTS: una base creada por sync() con un modelo que ya la tenía
+ * conserva la columna y sus valores.
+ *
+ * @module Migration0008UserRole
+ * @author Backend Team
+ */
+
+/**
+ * Sentencias de creación, en orden de ejecución
+ * @constant {string[]}
+ * @private
+ */
+const UP_STATEMENTS = [
+  `ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "role" VARCHAR(20) NOT NULL DEFAULT 'customer'`,
+  `COMMENT ON COLUMN "users"."role" IS 'Rol del usuario (admin, catalog-editor, viewer, customer)'`,
+];
+
+/**
+ * Sentencias de reversión, en orden inverso a la creación
+ * @constant {string[]}
+ * @private
+ */
+const DOWN_STATEMENTS = [
+  'ALTER TABLE "users" DROP COLUMN IF EXISTS "role"',
+];
+
+/**
+ * Agrega el rol de los usuarios
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function up({ sequelize, transaction }) {
+  for (const statement of UP_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
+
+/**
+ * Elimina el rol de los usuarios
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function down({ sequelize, transaction }) {
+  for (const statement of DOWN_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Migración 0009 - El historial de stock sobrevive a la purga
+ *
+ * Elimina la clave foránea de stock_movements."productId": con ON DELETE
+ * CASCADE, purgar un producto borraba su libro de inventario, que es de
+ * solo inserción. Los movimientos conservan el id del producto purgado,
+ * igual que variantId conserva el de las variantes eliminadas.
+ *
+ * El nombre de la restricción se busca en el catálogo: 0001 y sync() la
+ * crean sin nombre explícito.
+ *
+ * La reversión vuelve a crear la clave como NOT VALID: los movimientos de
+ * productos ya purgados no la cumplen y no se eliminan.
+ *
+ * @module Migration0009StockHistoryRetention
+ * @author Backend Team
+ */
+
+/**
+ * Sentencias de creación, en orden de ejecución
+ * @constant {string[]}
+ * @private
+ */
+const UP_STATEMENTS = [
+  `DO $$
+   DECLARE
+     fk record;
+   BEGIN
+     FOR fk IN
+       SELECT c.conname
+       FROM pg_constraint c
+       JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY (c.conkey)
+       WHERE c.conrelid = 'stock_movements'::regclass
+         AND c.contype = 'f'
+         AND a.attname = 'productId'
+     LOOP
+       EXECUTE format('ALTER TABLE "stock_movements" DROP CONSTRAINT %I', fk.conname);
+     END LOOP;
+   END $$`,
+  `COMMENT ON COLUMN "stock_movements"."productId" IS 'Producto afectado; sin clave foránea para conservar el historial de los productos purgados'`,
+];
+
+/**
+ * Sentencias de reversión, en orden inverso a la creación
+ * @constant {string[]}
+ * @private
+ */
+const DOWN_STATEMENTS = [
+  `COMMENT ON COLUMN "stock_movements"."productId" IS 'Producto afectado'`,
+  `ALTER TABLE "stock_movements"
+     ADD CONSTRAINT "stock_movements_productId_fkey" FOREIGN KEY ("productId")
+     REFERENCES "products" ("id") ON DELETE CASCADE ON UPDATE CASCADE NOT VALID`,
+];
+
+/**
+ * Elimina la clave foránea del producto en el historial de stock
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function up({ sequelize, transaction }) {
+  for (const statement of UP_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
+
+/**
+ * Restaura la clave foránea, sin validar los movimientos existentes
+ *
+ * @param {Object} context - Contexto de la migración
+ * @param {Sequelize} context.sequelize - Instancia de Sequelize
+ * @param {Transaction} context.transaction - Transacción de la migración
+ * @returns {Promise<void>}
+ */
+export async function down({ sequelize, transaction }) {
+  for (const statement of DOWN_STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Script de Asignación de Roles
+ * 
+ * Asigna un rol a un usuario existente, identificado por su email. Sirve
+ * para crear el primer administrador: las cuentas se registran como
+ * customer y solo un admin puede cambiar roles desde la API
+ * (PATCH /api/users/:id/role).
+ * 
+ * Uso:
+ *   pnpm grant-role <email> <rol>
+ *   pnpm grant-role ana@correo.com admin
+ * 
+ * El cambio se refleja en el siguiente access token del usuario (al
+ * renovar la sesión o volver a iniciarla).
+ * 
+ * @module GrantRole
+ * @author Backend Team
+ */
+
+import { sequelize } from '../Config/Db.js';
+import { buildUserModel } from '../Infraestructure/Users/Models/UserModel.js';
+import { ROLES } from '../Domain/Users/Entities/Role.js';
+import { normalizeEmail } from '../Domain/Customers/Entities/Customer.js';
+
+/**
+ * Asigna el rol indicado en la línea de comandos
+ * 
+ * @async
+ * @function grantRole
+ * @param {string} email - Email del usuario
+ * @param {string} role - Rol a asignar
+ * @throws {Error} Si los argumentos no son válidos o el usuario no existe
+ */
+async function grantRole(email, role) {
+  if (!email || !ROLES.includes(role)) {
+    throw new Error(`Uso: pnpm grant-role <email> <${ROLES.join('|')}>`);
+  }
+
+  try {
+    const UserModel = buildUserModel(sequelize);
+
+    const [count] = await UserModel.update(
+      { role },
+      { where: { email: normalizeEmail(email) } }
+    );
+
+    if (count === 0) {
+      throw new Error(`No existe un usuario con el email "${email}" (debe registrarse primero)`);
+    }
+
+    console.log(`✅ ${normalizeEmail(email)} ahora tiene el rol ${role}`);
+
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// === EJECUCIÓN DEL SCRIPT ===
+
+grantRole(process.argv[2], process.argv[3])
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('💀 Script falló:', error.message);
+    process.exit(1);
+  });
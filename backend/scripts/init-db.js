@@ -1,14 +1,13 @@
 /**
  * Script de Inicialización de Base de Datos
  * 
- * Script utilitario para configurar la base de datos desde cero,
- * incluyendo la creación de tablas y datos de ejemplo para desarrollo.
+ * Script utilitario para preparar la base de datos de desarrollo:
+ * aplica las migraciones pendientes y carga datos de ejemplo.
  * 
  * Funcionalidades:
  * - Verifica la conexión a PostgreSQL
- * - Registra todos los modelos de Sequelize
- * - Crea/recrea las tablas de la base de datos
- * - Inserta datos de ejemplo para desarrollo
+ * - Aplica las migraciones pendientes (mismo ejecutor que pnpm migrate)
+ * - Inserta datos de ejemplo si la tabla de productos está vacía
  * - Maneja errores y limpia recursos apropiadamente
  * 
  * Uso:
@@ -16,15 +15,18 @@
  * - Testing: Preparación de base de datos de pruebas
  * - CI/CD: Inicialización automática en pipelines
  * 
- * ADVERTENCIA: Este script usa { force: true } que ELIMINA
- * todas las tablas existentes. NO usar en producción.
+ * No elimina tablas ni datos: puede ejecutarse sobre una base existente.
+ * Para volver a una base vacía, revertir las migraciones
+ * (pnpm migrate:rollback --steps <n>) y ejecutar el script de nuevo.
  * 
  * @module InitDatabase
  * @author Backend Team
  */
 
 import { sequelize } from '../Config/Db.js';
+import { logger } from '../Config/logger.js';
 import { buildProductModel } from '../Infraestructure/Products/Models/ProductModel.js';
+import { MigrationRunner } from '../Infraestructure/Migrations/MigrationRunner.js';
 
 /**
  * Función principal de inicialización de la base de datos
@@ -34,10 +36,9 @@ import { buildProductModel } from '../Infraestructure/Products/Models/ProductMod
  * 
  * Proceso:
  * 1. Verificar conexión a PostgreSQL
- * 2. Registrar modelos de Sequelize
- * 3. Sincronizar esquema (crear/recrear tablas)
- * 4. Insertar datos de ejemplo
- * 5. Cerrar conexión limpiamente
+ * 2. Aplicar migraciones pendientes
+ * 3. Insertar datos de ejemplo (solo si no hay productos)
+ * 4. Cerrar conexión limpiamente
  * 
  * @async
  * @function initDatabase
@@ -80,90 +81,75 @@ async function initDatabase() {
       throw connectionError;
     }
 
-    // === FASE 2: REGISTRO DE MODELOS ===
-    console.log('\n📋 Registrando modelos de Sequelize...');
+    // === FASE 2: MIGRACIONES DE ESQUEMA ===
+    console.log('\n🔄 Aplicando migraciones...');
     
     try {
-      // Construir y registrar el modelo Product
-      const ProductModel = buildProductModel(sequelize);
-      console.log('✅ Modelo Product registrado correctamente');
-      
-      // TODO: Registrar modelos adicionales aquí
-      // const UserModel = buildUserModel(sequelize);
-      // const OrderModel = buildOrderModel(sequelize);
+      const runner = new MigrationRunner(sequelize, { logger });
+      const applied = await runner.migrate();
       
-      console.log(`   📊 Total de modelos registrados: 1`);
+      if (applied.length === 0) {
+        console.log('✅ El esquema ya estaba actualizado');
+      } else {
+        console.log(`✅ ${applied.length} migración(es) aplicada(s):`);
+        applied.forEach(migration => console.log(`   - ${migration.name}`));
+      }
       
-    } catch (modelError) {
-      console.error('❌ Error registrando modelos:', modelError.message);
-      throw modelError;
+    } catch (migrationError) {
+      console.error('❌ Error aplicando migraciones:', migrationError.message);
+      throw migrationError;
     }
 
-    // === FASE 3: SINCRONIZACIÓN DE ESQUEMA ===
-    console.log('\n🔄 Sincronizando esquema de base de datos...');
-    
-    // ADVERTENCIA: force: true elimina todas las tablas existentes
-    console.log('⚠️  ADVERTENCIA: Se eliminarán todas las tablas existentes');
-    
-    try {
-      // Sincronizar con force: true para recrear tablas
-      // En producción, usar migraciones en lugar de sync()
-      await sequelize.sync({ 
-        force: true,  // PELIGROSO: Elimina tablas existentes
-        logging: (sql) => console.log(`   🔍 SQL: ${sql}`)
-      });
-      
-      console.log('✅ Esquema sincronizado correctamente');
-      console.log('   📋 Todas las tablas han sido creadas/recreadas');
-      
-    } catch (syncError) {
-      console.error('❌ Error sincronizando esquema:', syncError.message);
-      throw syncError;
-    }
-
-    // === FASE 4: INSERCIÓN DE DATOS DE EJEMPLO ===
+    // === FASE 3: INSERCIÓN DE DATOS DE EJEMPLO ===
     console.log('\n📦 Insertando datos de ejemplo...');
     
     try {
-      // Obtener el modelo registrado
-      const ProductModel = sequelize.models.Product;
-      
-      // Datos de ejemplo para desarrollo
-      const sampleProducts = [
-        {
-          name: 'Laptop Gaming ROG Strix',
-          price: 1299.99,
-          stock: 15
-        },
-        {
-          name: 'Mouse Inalámbrico Logitech',
-          price: 79.99,
-          stock: 50
-        },
-        {
-          name: 'Teclado Mecánico RGB',
-          price: 149.99,
-          stock: 25
-        },
-        {
-          name: 'Monitor 4K 27 pulgadas',
-          price: 399.99,
-          stock: 8
-        },
-        {
-          name: 'Auriculares Gaming',
-          price: 199.99,
-          stock: 30
-        }
-      ];
+      const ProductModel = buildProductModel(sequelize);
       
-      // Insertar productos de ejemplo
-      const createdProducts = await ProductModel.bulkCreate(sampleProducts);
+      // Solo sobre un catálogo vacío: el script no pisa datos existentes
+      // (paranoid: false cuenta también los productos eliminados)
+      const existing = await ProductModel.count({ paranoid: false });
       
-      console.log(`✅ ${createdProducts.length} productos de ejemplo creados:`);
-      createdProducts.forEach((product, index) => {
-        console.log(`   ${index + 1}. ${product.name} - $${product.price} (Stock: ${product.stock})`);
-      });
+      if (existing > 0) {
+        console.log(`⏭️  Ya hay ${existing} productos: se omiten los datos de ejemplo`);
+      } else {
+        // Datos de ejemplo para desarrollo
+        const sampleProducts = [
+          {
+            name: 'Laptop Gaming ROG Strix',
+            price: 1299.99,
+            stock: 15
+          },
+          {
+            name: 'Mouse Inalámbrico Logitech',
+            price: 79.99,
+            stock: 50
+          },
+          {
+            name: 'Teclado Mecánico RGB',
+            price: 149.99,
+            stock: 25
+          },
+          {
+            name: 'Monitor 4K 27 pulgadas',
+            price: 399.99,
+            stock: 8
+          },
+          {
+            name: 'Auriculares Gaming',
+            price: 199.99,
+            stock: 30
+          }
+        ];
+        
+        // Insertar productos de ejemplo
+        const createdProducts = await ProductModel.bulkCreate(sampleProducts);
+        
+        console.log(`✅ ${createdProducts.length} productos de ejemplo creados:`);
+        createdProducts.forEach((product, index) => {
+          console.log(`   ${index + 1}. ${product.name} - $${product.price} (Stock: ${product.stock})`);
+        });
+      }
       
     } catch (dataError) {
       console.error('❌ Error insertando datos de ejemplo:', dataError.message);
@@ -0,0 +1,125 @@
+/**
+ * Script de Migraciones de Esquema
+ *
+ * Aplica, revierte o lista las migraciones del directorio migrations/
+ * (ver MigrationRunner). El servidor aplica las pendientes al arrancar
+ * salvo con DB_MIGRATE_ON_START=false; este script sirve para ejecutarlas
+ * como paso previo del despliegue y para revertirlas en desarrollo.
+ *
+ * Uso:
+ *   pnpm migrate                      Aplica todas las pendientes
+ *   pnpm migrate --to 3               Aplica las pendientes hasta la 0003
+ *   pnpm migrate:rollback             Revierte la última aplicada
+ *   pnpm migrate:rollback --steps 2   Revierte las dos últimas
+ *   pnpm migrate:status               Lista aplicadas, pendientes y sin archivo
+ *
+ * @module Migrate
+ * @author Backend Team
+ */
+
+import { parseArgs } from 'node:util';
+import { sequelize } from '../Config/Db.js';
+import { logger } from '../Config/logger.js';
+import { MigrationRunner } from '../Infraestructure/Migrations/MigrationRunner.js';
+
+/**
+ * Uso del script, mostrado ante argumentos inválidos
+ * @constant {string}
+ * @private
+ */
+const USAGE = 'Uso: node scripts/migrate.js <migrate|rollback|status> [--to <versión>] [--steps <n>]';
+
+/**
+ * Lee un entero positivo de una opción de la línea de comandos
+ *
+ * @param {string|undefined} value - Valor de la opción
+ * @param {string} option - Nombre de la opción (para el mensaje de error)
+ * @returns {number|undefined} Entero, o undefined si no se indicó
+ * @throws {Error} Si no es un entero positivo
+ *
+ * @private
+ */
+const positiveInt = (value, option) => {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`--${option} debe ser un entero positivo`);
+  }
+
+  return number;
+};
+
+/**
+ * Ejecuta el comando indicado en la línea de comandos
+ *
+ * @async
+ * @function migrate
+ * @param {string[]} args - Argumentos (sin node ni el script)
+ * @throws {Error} Si los argumentos no son válidos o una migración falla
+ */
+async function migrate(args) {
+  const { positionals, values } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      to: { type: 'string' },
+      steps: { type: 'string' }
+    }
+  });
+
+  const [command = 'migrate'] = positionals;
+  const runner = new MigrationRunner(sequelize, { logger });
+
+  try {
+    switch (command) {
+      case 'migrate': {
+        const applied = await runner.migrate({ to: positiveInt(values.to, 'to') });
+
+        console.log(applied.length === 0
+          ? '✅ No hay migraciones pendientes'
+          : `✅ ${applied.length} migración(es) aplicada(s): ${applied.map(m => m.name).join(', ')}`);
+        break;
+      }
+
+      case 'rollback': {
+        const reverted = await runner.rollback({ steps: positiveInt(values.steps, 'steps') });
+
+        console.log(reverted.length === 0
+          ? '✅ No hay migraciones aplicadas'
+          : `✅ ${reverted.length} migración(es) revertida(s): ${reverted.map(m => m.name).join(', ')}`);
+        break;
+      }
+
+      case 'status': {
+        const migrations = await runner.status();
+
+        if (migrations.length === 0) {
+          console.log('No hay migraciones');
+        }
+
+        for (const migration of migrations) {
+          const appliedAt = migration.appliedAt ? new Date(migration.appliedAt).toISOString() : '';
+          console.log(`${migration.status.padEnd(8)} ${migration.name} ${appliedAt}`.trimEnd());
+        }
+        break;
+      }
+
+      default:
+        throw new Error(USAGE);
+    }
+
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// === EJECUCIÓN DEL SCRIPT ===
+
+migrate(process.argv.slice(2))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('💀 Script falló:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,186 @@
+/**
+ * Tests de los Scopes de las API Keys
+ *
+ * Crea keys con CreateApiKeyUseCase sobre un repositorio en memoria y las
+ * presenta en X-API-Key a authenticate y requirePermission, con peticiones
+ * mínimas de Express: cada scope otorga solo sus permisos y una key
+ * revocada o vencida no autentica.
+ *
+ * @author Backend Team
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_KEY_SCOPES, ApiKey, scopesHavePermission } from '../Domain/ApiKeys/Entities/ApiKey.js';
+import { PERMISSIONS } from '../Domain/Users/Entities/Role.js';
+import { CreateApiKeyUseCase } from '../Application/ApiKeys/UseCases/CreateApiKeyUseCase.js';
+import { AuthenticateApiKeyUseCase } from '../Application/ApiKeys/UseCases/AuthenticateApiKeyUseCase.js';
+import { buildAuthenticate, hasPermission, principalOf, requirePermission } from '../Shared/authGuard.js';
+
+/**
+ * Repositorio de API keys en memoria
+ */
+class MemoryApiKeyRepository {
+  constructor() {
+    this.rows = new Map();
+    this.touches = 0;
+  }
+
+  #save(data) {
+    const apiKey = new ApiKey(data);
+    this.rows.set(apiKey.id, apiKey);
+    return apiKey;
+  }
+
+  async create(entity) {
+    return this.#save({ ...entity, id: `k${this.rows.size + 1}` });
+  }
+
+  async findByHash(keyHash) {
+    return [...this.rows.values()].find(apiKey => apiKey.keyHash === keyHash) ?? null;
+  }
+
+  async touchLastUsed(id, lastUsedAt) {
+    this.touches++;
+    this.#save({ ...this.rows.get(id), lastUsedAt });
+  }
+
+  revoke(id) {
+    this.#save({ ...this.rows.get(id), revokedAt: new Date() });
+  }
+}
+
+/**
+ * Construye los casos de uso y el middleware authenticate
+ */
+const build = () => {
+  const apiKeyRepository = new MemoryApiKeyRepository();
+  const dependencies = { apiKeyRepository, unitOfWork: { run: (work) => work(null) } };
+  const authenticateApiKeyUseCase = new AuthenticateApiKeyUseCase(dependencies);
+
+  const authenticate = buildAuthenticate({
+    accessTokenService: { verify: () => assert.fail('No se espera un access token') },
+    revokedTokenRepository: {},
+    apiKeyService: { authenticate: (key) => authenticateApiKeyUseCase.execute(key) }
+  });
+
+  const create = async (scopes, expiresAt = null) => {
+    const { value } = await new CreateApiKeyUseCase(dependencies).execute({ name: 'ERP', scopes, expiresAt }, { createdById: 'u1' });
+    return value;
+  };
+
+  return { apiKeyRepository, authenticate, create };
+};
+
+/**
+ * Ejecuta un middleware y devuelve el error pasado a next (o undefined)
+ */
+const run = async (middleware, req) => {
+  let error;
+  await middleware(req, {}, (err) => { error = err; });
+  return error;
+};
+
+/**
+ * Petición mínima con los headers indicados
+ */
+const request = (headers) => ({
+  get: (name) => Object.entries(headers).find(([key]) => key.toLowerCase() === name.toLowerCase())?.[1]
+});
+
+test('cada scope otorga solo sus permisos', () => {
+  assert.deepEqual(API_KEY_SCOPES, ['read:products', 'write:products', 'write:stock']);
+
+  assert.equal(scopesHavePermission(['read:products'], PERMISSIONS.CATALOG_READ), true);
+  assert.equal(scopesHavePermission(['read:products'], PERMISSIONS.CATALOG_WRITE), false);
+  assert.equal(scopesHavePermission(['write:products'], PERMISSIONS.CATALOG_READ), false, 'write no implica read');
+  assert.equal(scopesHavePermission(['write:stock'], PERMISSIONS.STOCK_WRITE), true);
+
+  // Ningún scope alcanza los pedidos ni la purga
+  for (const permission of [PERMISSIONS.ORDERS_READ, PERMISSIONS.ORDERS_WRITE, PERMISSIONS.CATALOG_PURGE]) {
+    assert.equal(scopesHavePermission(API_KEY_SCOPES, permission), false, permission);
+  }
+});
+
+test('no se crea una key sin scopes o con un scope desconocido', async () => {
+  const { apiKeyRepository } = build();
+  const useCase = new CreateApiKeyUseCase({ apiKeyRepository, unitOfWork: { run: (work) => work(null) } });
+
+  for (const scopes of [[], ['read:orders']]) {
+    const result = await useCase.execute({ name: 'ERP', scopes }, { createdById: 'u1' });
+    assert.equal(result.error.code, 'VALIDATION_ERROR', JSON.stringify(scopes));
+  }
+
+  assert.equal(apiKeyRepository.rows.size, 0);
+});
+
+test('una key autenticada solo pasa los permisos de sus scopes', async () => {
+  const { authenticate, create } = build();
+  const { apiKey, key } = await create(['read:products', 'write:stock', 'read:products']);
+
+  const req = request({ 'X-API-Key': key });
+  assert.equal(await run(authenticate, req), undefined);
+  assert.deepEqual(req.apiKey, { id: apiKey.id, name: 'ERP', scopes: ['read:products', 'write:stock'] });
+
+  assert.equal(await run(requirePermission(PERMISSIONS.CATALOG_READ), req), undefined);
+  assert.equal(await run(requirePermission(PERMISSIONS.STOCK_WRITE), req), undefined);
+
+  const denied = await run(requirePermission(PERMISSIONS.CATALOG_WRITE), req);
+  assert.equal(denied.httpCode, 403);
+  assert.deepEqual(denied.meta, { permission: PERMISSIONS.CATALOG_WRITE, scopes: ['read:products', 'write:stock'] });
+
+  assert.equal(hasPermission(req, PERMISSIONS.ORDERS_WRITE), false);
+  assert.equal(principalOf(req), `api-key:${apiKey.id}`);
+});
+
+test('una key revocada, vencida o desconocida no autentica', async () => {
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-01T12:00:00Z') });
+
+  try {
+    const { apiKeyRepository, authenticate, create } = build();
+    const revoked = await create(['read:products']);
+    const expiring = await create(['read:products'], new Date('2026-03-01T13:00:00Z'));
+
+    apiKeyRepository.revoke(revoked.apiKey.id);
+    mock.timers.tick(60 * 60 * 1000);
+
+    for (const key of [revoked.key, expiring.key, 'ak_desconocida']) {
+      const req = request({ 'X-API-Key': key });
+      const error = await run(authenticate, req);
+
+      assert.equal(error.code, 'INVALID_API_KEY');
+      assert.equal(error.httpCode, 401);
+      assert.equal(req.apiKey, undefined);
+    }
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('lastUsedAt se actualiza como mucho una vez por minuto', async () => {
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-01T12:00:00Z') });
+
+  try {
+    const { apiKeyRepository, authenticate, create } = build();
+    const { key } = await create(['read:products']);
+
+    await run(authenticate, request({ 'X-API-Key': key }));
+    await run(authenticate, request({ 'X-API-Key': key }));
+    assert.equal(apiKeyRepository.touches, 1);
+
+    mock.timers.tick(60 * 1000);
+    await run(authenticate, request({ 'X-API-Key': key }));
+    assert.equal(apiKeyRepository.touches, 2);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('no se aceptan una key y un access token en la misma petición', async () => {
+  const { authenticate, create } = build();
+  const { key } = await create(['read:products']);
+
+  const error = await run(authenticate, request({ 'X-API-Key': key, Authorization: 'Bearer token' }));
+
+  assert.equal(error.code, 'VALIDATION_ERROR');
+});
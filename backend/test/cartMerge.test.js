@@ -0,0 +1,161 @@
+/**
+ * Tests de la Fusión del Carrito al Iniciar Sesión
+ *
+ * Ejercita claimCart (lo invoca LoginUseCase) con repositorios en memoria:
+ * el carrito anónimo pasa a ser del usuario o se fusiona con el que ya
+ * tenía, y un carrito ajeno, inactivo o con otro token se ignora.
+ *
+ * @author Backend Team
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Product } from '../Domain/Products/Entities/Product.js';
+import { Cart } from '../Domain/Carts/Entities/Cart.js';
+import { CartItem } from '../Domain/Carts/Entities/CartItem.js';
+import { hashCartToken } from '../Application/Carts/Access/cartAccess.js';
+import { claimCart } from '../Application/Carts/Merge/cartMerge.js';
+
+const USER = 'user-ana';
+const GUEST = 'cart-guest';
+const OWNED = 'cart-owned';
+const TOKEN = 'token-invitado';
+
+/**
+ * Repositorio de carritos en memoria
+ * Guarda filas planas y devuelve entidades, como el de Sequelize
+ */
+class MemoryCartRepository {
+  constructor(rows) {
+    this.rows = new Map(rows.map(row => [row.id, { userId: null, status: 'active', items: [], ...row }]));
+    this.sequence = 0;
+  }
+
+  #toEntity(row) {
+    return row ? new Cart({ ...row, items: row.items.map(item => new CartItem(item)) }) : null;
+  }
+
+  async findById(id) {
+    return this.#toEntity(this.rows.get(id));
+  }
+
+  async findActiveByUser(userId) {
+    return this.#toEntity([...this.rows.values()].find(row => row.userId === userId && row.status === 'active'));
+  }
+
+  async assignOwner(id, userId) {
+    this.rows.get(id).userId = userId;
+  }
+
+  async updateStatus(id, status) {
+    this.rows.get(id).status = status;
+  }
+
+  async addItem(cartId, item) {
+    const { productId, variantId, quantity } = item;
+    this.rows.get(cartId).items.push({ id: `item-${++this.sequence}`, productId, variantId, quantity });
+  }
+
+  async updateItemQuantity(cartId, itemId, quantity) {
+    this.rows.get(cartId).items.find(item => item.id === itemId).quantity = quantity;
+  }
+}
+
+/**
+ * Construye los repositorios: un labial con 5 unidades, un rubor con 2
+ * (1 reservada) y una máscara eliminada del catálogo
+ */
+const build = (carts) => {
+  const products = [
+    new Product({ id: 'labial', name: 'Labial', price: 10, stock: 5 }),
+    new Product({ id: 'rubor', name: 'Rubor', price: 8, stock: 2, reserved: 1 }),
+    new Product({ id: 'mascara', name: 'Máscara', price: 9, stock: 4, deletedAt: new Date() })
+  ];
+
+  return {
+    cartRepository: new MemoryCartRepository(carts),
+    productRepository: { findById: async (id) => products.find(product => product.id === id) ?? null },
+    productVariantRepository: { findByProduct: async () => [] }
+  };
+};
+
+const guestCart = (overrides = {}) => ({
+  id: GUEST,
+  tokenHash: hashCartToken(TOKEN),
+  items: [{ id: 'g1', productId: 'labial', quantity: 2 }],
+  ...overrides
+});
+
+const ownedCart = (overrides = {}) => ({
+  id: OWNED,
+  tokenHash: hashCartToken('token-propio'),
+  userId: USER,
+  items: [{ id: 'o1', productId: 'labial', quantity: 1 }],
+  ...overrides
+});
+
+const lines = (repositories, id) => repositories.cartRepository.rows.get(id).items
+  .map(({ productId, quantity }) => ({ productId, quantity }));
+
+test('sin carrito propio, el carrito anónimo pasa a ser del usuario', async () => {
+  const repositories = build([guestCart()]);
+
+  const cartId = await claimCart(repositories, USER, { cartId: GUEST, cartToken: TOKEN }, null);
+
+  assert.equal(cartId, GUEST);
+  assert.equal(repositories.cartRepository.rows.get(GUEST).userId, USER);
+  assert.equal(repositories.cartRepository.rows.get(GUEST).status, 'active');
+});
+
+test('con carrito propio, las líneas se fusionan dentro de lo disponible', async () => {
+  const repositories = build([
+    guestCart({
+      items: [
+        { id: 'g1', productId: 'labial', quantity: 2 },
+        { id: 'g2', productId: 'rubor', quantity: 2 },
+        { id: 'g3', productId: 'mascara', quantity: 1 }
+      ]
+    }),
+    ownedCart()
+  ]);
+
+  const cartId = await claimCart(repositories, USER, { cartId: GUEST, cartToken: TOKEN }, null);
+
+  assert.equal(cartId, OWNED);
+  // El labial suma unidades, el rubor se limita a la disponible y la máscara se descarta
+  assert.deepEqual(lines(repositories, OWNED), [
+    { productId: 'labial', quantity: 3 },
+    { productId: 'rubor', quantity: 1 }
+  ]);
+  assert.equal(repositories.cartRepository.rows.get(GUEST).status, 'merged');
+  assert.equal(repositories.cartRepository.rows.get(GUEST).userId, null);
+});
+
+test('un token incorrecto no asocia ni fusiona el carrito', async () => {
+  const repositories = build([guestCart(), ownedCart()]);
+
+  const cartId = await claimCart(repositories, USER, { cartId: GUEST, cartToken: 'otro' }, null);
+
+  assert.equal(cartId, OWNED);
+  assert.deepEqual(lines(repositories, OWNED), [{ productId: 'labial', quantity: 1 }]);
+  assert.equal(repositories.cartRepository.rows.get(GUEST).status, 'active');
+});
+
+test('el carrito de otro usuario o ya confirmado se ignora', async () => {
+  for (const guest of [guestCart({ userId: 'user-otro' }), guestCart({ status: 'ordered' })]) {
+    const repositories = build([guest]);
+
+    const cartId = await claimCart(repositories, USER, { cartId: GUEST, cartToken: TOKEN }, null);
+
+    const { userId, status } = repositories.cartRepository.rows.get(GUEST);
+
+    assert.equal(cartId, null);
+    assert.deepEqual({ userId, status }, { userId: guest.userId ?? null, status: guest.status ?? 'active' });
+  }
+});
+
+test('sin carrito anónimo devuelve el carrito activo del usuario, si tiene', async () => {
+  assert.equal(await claimCart(build([ownedCart()]), USER, {}, null), OWNED);
+  assert.equal(await claimCart(build([]), USER, {}, null), null);
+  assert.equal(await claimCart(build([ownedCart()]), USER, { cartId: OWNED, cartToken: null }, null), OWNED);
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests de las Utilidades CSV
+ *
+ * Lectura de archivos de importación (comillas, finales de línea, BOM,
+ * separador regional) y escritura de líneas de exportación con
+ * neutralización de fórmulas.
+ *
+ * @author Backend Team
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsvLine } from '../Shared/csv.js';
+
+test('usa la primera fila como claves y recorta sus nombres', () => {
+  assert.deepEqual(parseCsv(' name , price\nMate,25000\nBolso,9000'), [
+    { name: 'Mate', price: '25000' },
+    { name: 'Bolso', price: '9000' }
+  ]);
+});
+
+test('respeta los campos entre comillas con separadores, saltos de línea y comillas escapadas', () => {
+  assert.deepEqual(parseCsv('name,description\n"Labial, mate","Dice ""hola""\nen dos líneas"'), [
+    { name: 'Labial, mate', description: 'Dice "hola"\nen dos líneas' }
+  ]);
+});
+
+test('acepta CRLF y BOM, e ignora las líneas vacías', () => {
+  assert.deepEqual(parseCsv('\uFEFFname,stock\r\n\r\nMate,3\r\n , \r\n'), [{ name: 'Mate', stock: '3' }]);
+});
+
+test('las celdas faltantes quedan como undefined', () => {
+  assert.deepEqual(parseCsv('name,price,stock\nMate,25000'), [{ name: 'Mate', price: '25000', stock: undefined }]);
+});
+
+test('admite un separador configurable', () => {
+  assert.deepEqual(parseCsv('name;price\n"a;b";1,5', { delimiter: ';' }), [{ name: 'a;b', price: '1,5' }]);
+});
+
+test('un archivo vacío no tiene filas', () => {
+  assert.deepEqual(parseCsv(''), []);
+  assert.deepEqual(parseCsv('name,price\n'), []);
+});
+
+test('escribe una línea CRLF escapando lo necesario', () => {
+  const date = new Date('2024-05-01T10:00:00.000Z');
+
+  assert.equal(toCsvLine(['Labial, mate', 'Dice "hola"', 12.5, null, undefined, date]),
+    '"Labial, mate","Dice ""hola""",12.5,,,2024-05-01T10:00:00.000Z\r\n');
+  assert.equal(toCsvLine(['a;b', 'c,d'], { delimiter: ';' }), '"a;b";c,d\r\n');
+});
+
+test('neutraliza los textos que una planilla interpretaría como fórmula', () => {
+  assert.equal(toCsvLine(['=1+1', '+54 11', '-x', '@SUM(A1)', -5]), "'=1+1,'+54 11,'-x,'@SUM(A1),-5\r\n");
+});
+
+test('lo escrito se vuelve a leer igual', () => {
+  const values = ['Labial, mate', 'Dice "hola"\nen dos líneas', 'simple'];
+  const text = toCsvLine(['a', 'b', 'c']) + toCsvLine(values);
+
+  assert.deepEqual(parseCsv(text), [{ a: values[0], b: values[1], c: values[2] }]);
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests del Logger
+ *
+ * Redacción de datos sensibles en los campos, los errores y las consultas
+ * SQL registradas, y formato de las líneas JSON que escribe Logger.
+ *
+ * @author Backend Team
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Logger, REDACTED, redact, redactSql } from '../Shared/logger.js';
+import { runWithContext } from '../Shared/requestContext.js';
+
+/**
+ * Logger que guarda las líneas escritas, ya parseadas
+ */
+const capture = (options = {}) => {
+  const lines = [];
+  const logger = new Logger({ ...options, write: (line) => lines.push(JSON.parse(line)) });
+
+  return { logger, lines };
+};
+
+test('redacta los campos sensibles en cualquier nivel de anidamiento', () => {
+  const value = redact({
+    email: 'ana@mail.com',
+    password: '123',
+    headers: { Authorization: 'Bearer abc', cookie: 'sid=1', 'x-api-key': 'k', accept: 'json' },
+    users: [{ passwordHash: 'h', name: 'Ana' }],
+    refreshToken: 'r',
+    clientSecret: 's'
+  });
+
+  assert.deepEqual(value, {
+    email: 'ana@mail.com',
+    password: REDACTED,
+    headers: { Authorization: REDACTED, cookie: REDACTED, 'x-api-key': REDACTED, accept: 'json' },
+    users: [{ passwordHash: REDACTED, name: 'Ana' }],
+    refreshToken: REDACTED,
+    clientSecret: REDACTED
+  });
+});
+
+test('serializa errores redactando su meta y su causa', () => {
+  const error = Object.assign(new Error('fallo'), {
+    code: 'X',
+    meta: { token: 't', id: 1 },
+    cause: { password: 'p' }
+  });
+
+  const value = redact({ error });
+
+  assert.equal(value.error.message, 'fallo');
+  assert.equal(value.error.code, 'X');
+  assert.deepEqual(value.error.meta, { token: REDACTED, id: 1 });
+  assert.deepEqual(value.error.cause, { password: REDACTED });
+  assert.match(value.error.stack, /fallo/);
+});
+
+test('trunca los objetos demasiado profundos o cíclicos', () => {
+  const cyclic = { name: 'a' };
+  cyclic.self = cyclic;
+
+  assert.doesNotThrow(() => JSON.stringify(redact(cyclic)));
+  assert.match(JSON.stringify(redact(cyclic)), /\[Truncated\]/);
+});
+
+test('oculta los literales comparados contra columnas sensibles en SQL', () => {
+  assert.equal(
+    redactSql(`SELECT * FROM "refresh_tokens" WHERE "tokenHash" = 'ab''12' AND "userId" = 'u1'`),
+    `SELECT * FROM "refresh_tokens" WHERE "tokenHash" = '${REDACTED}' AND "userId" = 'u1'`
+  );
+  assert.equal(redactSql(`UPDATE users SET password_hash = 'x'`), `UPDATE users SET password_hash = '${REDACTED}'`);
+});
+
+test('escribe una línea JSON por evento con los campos y el contexto de la petición, redactados', () => {
+  const { logger, lines } = capture();
+
+  runWithContext({ requestId: 'req-1' }, () => {
+    logger.child({ component: 'auth' }).info('Inicio de sesión', { email: 'ana@mail.com', password: '123' });
+  });
+
+  const [line] = lines;
+  assert.equal(line.level, 'info');
+  assert.equal(line.message, 'Inicio de sesión');
+  assert.equal(line.requestId, 'req-1');
+  assert.equal(line.component, 'auth');
+  assert.equal(line.email, 'ana@mail.com');
+  assert.equal(line.password, REDACTED);
+  assert.ok(!Number.isNaN(Date.parse(line.timestamp)));
+});
+
+test('descarta los eventos por debajo del nivel configurado', () => {
+  const { logger, lines } = capture({ level: 'warn' });
+
+  logger.debug('a');
+  logger.info('b');
+  logger.warn('c');
+  logger.error('d');
+
+  assert.deepEqual(lines.map(line => line.level), ['warn', 'error']);
+  assert.equal(logger.isLevelEnabled('info'), false);
+  assert.throws(() => new Logger({ level: 'verbose' }), /nivel desconocido/);
+});
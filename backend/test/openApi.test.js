@@ -0,0 +1,120 @@
+/**
+ * Tests del Documento OpenAPI
+ *
+ * Construye el contenedor (sin conectarse a la base de datos) y recorre
+ * los routers montados, como lo hace GET /openapi.json. Falla si una ruta
+ * se agrega sin describeRoute o si un código de AppError (de los métodos
+ * estáticos o de un `new AppError('CODIGO', ...)` en el código fuente) no
+ * está en el catálogo que publica el documento.
+ *
+ * @author Backend Team
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'node:fs/promises';
+import { join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { buildContainer } from '../Config/container.js';
+import { API_ROUTERS, HEALTH_ROUTER, METRICS_ROUTER, collectMountedRoutes } from '../Routes/routerMounts.js';
+import { buildOpenApiDocument } from '../Shared/openApi.js';
+import { AppError, ERROR_CODES } from '../Shared/AppError.js';
+
+const container = buildContainer();
+
+// Todos los montajes, incluido /metrics aunque esté deshabilitado
+const routes = collectMountedRoutes([HEALTH_ROUTER, METRICS_ROUTER, ...API_ROUTERS], name => container.resolve(name));
+
+const document = buildOpenApiDocument({ routes, info: { title: 'test', version: '0.0.0' } });
+
+const operations = Object.entries(document.paths).flatMap(
+  ([path, methods]) => Object.entries(methods).map(([method, operation]) => ({ method, path, operation }))
+);
+
+test('todas las rutas montadas están documentadas con describeRoute', () => {
+  const undocumented = routes
+    .filter(route => !route.openApi.doc)
+    .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+
+  assert.deepEqual(undocumented, [], 'Rutas sin describeRoute');
+  assert.equal(operations.length, routes.length);
+});
+
+test('cada operación tiene resumen y al menos una respuesta exitosa', () => {
+  for (const { method, path, operation } of operations) {
+    const name = `${method.toUpperCase()} ${path}`;
+
+    assert.ok(operation.summary, `${name} sin summary`);
+    assert.ok(Object.keys(operation.responses).some(status => /^2\d\d$/.test(status)), `${name} sin respuesta 2xx`);
+  }
+});
+
+test('cada parámetro de ruta está declarado', () => {
+  for (const { method, path, operation } of operations) {
+    const declared = operation.parameters.filter(p => p.in === 'path').map(p => p.name);
+    const expected = [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => name);
+
+    assert.deepEqual(declared, expected, `${method.toUpperCase()} ${path}`);
+  }
+});
+
+test('el catálogo de errores incluye los códigos de los métodos estáticos de AppError', () => {
+  const factories = ['validation', 'notFound', 'conflict', 'unauthorized', 'forbidden', 'preconditionFailed', 'preconditionRequired', 'tooManyRequests', 'internal'];
+
+  for (const factory of factories) {
+    const { code } = AppError[factory]('x');
+
+    assert.ok(ERROR_CODES[code], `${code} (AppError.${factory}) no está en ERROR_CODES`);
+  }
+
+  assert.deepEqual(document.components.schemas.Error.properties.code.examples, Object.keys(ERROR_CODES));
+});
+
+/**
+ * Directorio raíz del backend
+ * @constant {string}
+ */
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * Directorios que no forman parte del código de la aplicación
+ * @constant {Set<string>}
+ */
+const IGNORED_DIRS = new Set(['node_modules', 'test', 'migrations', 'uploads', 'coverage']);
+
+/**
+ * Lista los archivos .js del backend
+ *
+ * @param {string} dir - Directorio a recorrer
+ * @returns {Promise<string[]>} Rutas absolutas
+ */
+const sourceFiles = async (dir) => {
+  const entries = await readdir(dir, { withFileTypes: true });
+
+  const nested = await Promise.all(entries.map(entry => {
+    if (entry.isDirectory()) {
+      return entry.name.startsWith('.') || IGNORED_DIRS.has(entry.name) ? [] : sourceFiles(join(dir, entry.name));
+    }
+
+    return entry.name.endsWith('.js') ? [join(dir, entry.name)] : [];
+  }));
+
+  return nested.flat();
+};
+
+test('el catálogo de errores incluye los códigos lanzados con new AppError en el código fuente', async () => {
+  const missing = [];
+
+  for (const file of await sourceFiles(ROOT)) {
+    // Sin comentarios: los ejemplos de JSDoc usan códigos ficticios
+    const source = (await readFile(file, 'utf8'))
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/^\s*\/\/.*$/gm, '');
+
+    for (const [, code] of source.matchAll(/new AppError\(\s*['"]([A-Z_]+)['"]/g)) {
+      if (!ERROR_CODES[code]) missing.push(`${code} (${relative(ROOT, file)})`);
+    }
+  }
+
+  assert.deepEqual(missing, [], 'Códigos lanzados que no están en ERROR_CODES');
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests de la Entidad Pedido
+ *
+ * Transiciones de estado de Order: las permitidas registran su fecha y
+ * devuelven un pedido nuevo; las demás se rechazan sin modificarlo.
+ *
+ * @author Backend Team
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Order, ORDER_STATUSES, ORDER_TRANSITIONS } from '../Domain/Orders/Entities/Order.js';
+import { OrderItem } from '../Domain/Orders/Entities/OrderItem.js';
+
+const item = new OrderItem({ productId: 'p1', productName: 'Mate', unitPrice: 10.1, quantity: 3 });
+
+const order = (status = 'pending') => new Order({ id: 'o1', status, items: [item] });
+
+test('un pedido nuevo queda pendiente', () => {
+  assert.equal(order().status, 'pending');
+});
+
+test('recorre pending → paid → shipped → delivered registrando cada fecha', () => {
+  const paidAt = new Date('2024-05-01T10:00:00Z');
+  const shippedAt = new Date('2024-05-02T10:00:00Z');
+  const deliveredAt = new Date('2024-05-03T10:00:00Z');
+
+  const pending = order();
+  const delivered = pending
+    .transitionTo('paid', paidAt)
+    .transitionTo('shipped', shippedAt)
+    .transitionTo('delivered', deliveredAt);
+
+  assert.equal(delivered.status, 'delivered');
+  assert.deepEqual([delivered.paidAt, delivered.shippedAt, delivered.deliveredAt], [paidAt, shippedAt, deliveredAt]);
+  assert.equal(delivered.cancelledAt, null);
+  assert.equal(pending.status, 'pending', 'El pedido original no cambia');
+});
+
+test('solo pending y paid pueden cancelarse', () => {
+  for (const status of ORDER_STATUSES) {
+    assert.equal(order(status).canTransitionTo('cancelled'), ['pending', 'paid'].includes(status), status);
+  }
+
+  const cancelled = order('paid').transitionTo('cancelled');
+  assert.equal(cancelled.status, 'cancelled');
+  assert.ok(cancelled.cancelledAt instanceof Date);
+});
+
+test('rechaza toda transición fuera de la tabla', () => {
+  for (const from of ORDER_STATUSES) {
+    for (const to of ORDER_STATUSES.filter(status => !ORDER_TRANSITIONS[from].includes(status))) {
+      assert.throws(() => order(from).transitionTo(to), { message: `Order: No se puede pasar de ${from} a ${to}` });
+    }
+  }
+});
+
+test('rechaza estados desconocidos y pedidos sin líneas', () => {
+  assert.throws(() => order('refunded'), /El estado debe ser uno de/);
+  assert.throws(() => new Order({ items: [] }), /al menos una línea/);
+});
+
+test('calcula unidades y subtotal redondeado', () => {
+  assert.equal(order().itemCount(), 3);
+  assert.equal(order().subtotal(), 30.3);
+});
@@ -0,0 +1,180 @@
+/**
+ * Tests de la Importación de Productos
+ *
+ * Ejercita ImportProductsUseCase con un repositorio y un Unit of Work en
+ * memoria que, como PostgreSQL, descartan lo escrito en una transacción
+ * revertida: los modos all-or-nothing y best-effort, dryRun y el reporte
+ * de cada fila.
+ *
+ * @author Backend Team
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Product } from '../Domain/Products/Entities/Product.js';
+import { ImportProductsUseCase } from '../Application/Products/UseCases/ImportProductsUseCase.js';
+
+/**
+ * Construye el caso de uso sobre un catálogo en memoria
+ *
+ * Cada transacción acumula sus escrituras y solo las publica si el
+ * trabajo termina sin lanzar. failOn hace fallar el create de un nombre
+ * con un error de base de datos (no AppError).
+ */
+const build = ({ existing = [], failOn = null } = {}) => {
+  const products = existing.map((name, index) => new Product({ id: `existing-${index}`, name, price: 1, stock: 1 }));
+  const movements = [];
+  const errors = [];
+  let sequence = 0;
+
+  const productRepository = {
+    async findByName(name, transaction) {
+      return [...products, ...transaction.products].find(product => product.name === name) ?? null;
+    },
+    async create(entity, transaction) {
+      if (entity.name === failOn) {
+        throw new Error('Error creando producto: could not serialize access');
+      }
+
+      const created = new Product({ id: `p${++sequence}`, name: entity.name, price: entity.price, stock: entity.stock });
+      transaction.products.push(created);
+      return created;
+    }
+  };
+
+  const useCase = new ImportProductsUseCase({
+    productRepository,
+    stockMovementRepository: { create: async (movement, transaction) => transaction.movements.push(movement) },
+    unitOfWork: {
+      async run(work) {
+        const transaction = { products: [], movements: [] };
+        const result = await work(transaction);
+        products.push(...transaction.products);
+        movements.push(...transaction.movements);
+        return result;
+      }
+    },
+    logger: { error: (message, meta) => errors.push({ message, ...meta }) }
+  });
+
+  return { useCase, products, movements, errors };
+};
+
+const statuses = (report) => report.rows.map(row => row.status);
+
+test('best-effort guarda las filas válidas y reporta las demás', async () => {
+  const { useCase, products, movements } = build({ existing: ['Rubor'] });
+
+  const result = await useCase.execute([
+    { name: 'Labial', price: '12.5', stock: '3' },
+    { name: 'Corrector', price: 0, stock: 1 },
+    { name: 'Rubor', price: 8, stock: 1 },
+    { name: 'Labial', price: 9, stock: 1 }
+  ], { mode: 'best-effort', actor: 'api-key:7' });
+
+  const report = result.value;
+  assert.deepEqual(statuses(report), ['created', 'failed', 'skipped', 'skipped']);
+  assert.equal(report.rows[1].code, 'VALIDATION_ERROR');
+  assert.equal(report.rows[1].fields[0].path, 'price');
+  assert.equal(report.rows[2].code, 'PRODUCT_ALREADY_EXISTS');
+  assert.equal(report.rows[2].id, 'existing-0');
+  assert.equal(report.rows[3].code, 'DUPLICATE_ROW');
+  assert.equal(report.summary.committed, true);
+
+  // Los valores de texto del CSV se convierten a número
+  const labial = products.find(product => product.name === 'Labial');
+  assert.equal(labial.price, 12.5);
+  assert.equal(report.rows[0].id, labial.id);
+
+  assert.equal(movements.length, 1);
+  assert.equal(movements[0].reason, 'Stock inicial (importación)');
+  assert.equal(movements[0].actor, 'api-key:7');
+});
+
+test('all-or-nothing con una fila fallida no guarda ninguna', async () => {
+  const { useCase, products, movements } = build();
+
+  const { value: report } = await useCase.execute([
+    { name: 'Labial', price: 10, stock: 2 },
+    { name: '', price: 10, stock: 2 }
+  ]);
+
+  assert.deepEqual(statuses(report), ['rolled_back', 'failed']);
+  assert.equal(report.rows[0].id, undefined, 'Una fila revertida no tiene id');
+  assert.deepEqual(
+    { created: report.summary.created, rolledBack: report.summary.rolledBack, committed: report.summary.committed },
+    { created: 0, rolledBack: 1, committed: false }
+  );
+  assert.equal(products.length, 0);
+  assert.equal(movements.length, 0);
+});
+
+test('all-or-nothing sin errores guarda todas las filas', async () => {
+  const { useCase, products } = build();
+
+  const { value: report } = await useCase.execute([
+    { name: 'Labial', price: 10, stock: 2 },
+    { name: 'Rubor', price: 8, stock: 0 }
+  ]);
+
+  assert.deepEqual(statuses(report), ['created', 'created']);
+  assert.equal(report.summary.created, 2);
+  assert.equal(report.summary.committed, true);
+  assert.equal(products.length, 2);
+});
+
+test('dryRun reporta sin guardar en ambos modos', async () => {
+  for (const mode of ['all-or-nothing', 'best-effort']) {
+    const { useCase, products } = build();
+
+    const { value: report } = await useCase.execute([{ name: 'Labial', price: 10, stock: 2 }], { mode, dryRun: true });
+
+    assert.deepEqual(statuses(report), ['would_create'], mode);
+    assert.equal(report.summary.wouldCreate, 1);
+    assert.equal(report.summary.committed, false);
+    assert.equal(products.length, 0, mode);
+  }
+});
+
+test('un error de base de datos detiene all-or-nothing sin exponer su mensaje', async () => {
+  const { useCase, products, errors } = build({ failOn: 'Rubor' });
+
+  const { value: report } = await useCase.execute([
+    { name: 'Labial', price: 10, stock: 2 },
+    { name: 'Rubor', price: 8, stock: 1 },
+    { name: 'Máscara', price: 9, stock: 1 }
+  ]);
+
+  assert.deepEqual(statuses(report), ['rolled_back', 'failed', 'failed']);
+  assert.deepEqual(
+    { code: report.rows[1].code, message: report.rows[1].message },
+    { code: 'INTERNAL_ERROR', message: 'Error interno al procesar la fila' }
+  );
+  assert.equal(report.rows[2].code, 'IMPORT_ABORTED');
+  assert.equal(products.length, 0);
+
+  // El detalle queda solo en el log del servidor
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].row, 2);
+  assert.match(errors[0].error.message, /could not serialize/);
+});
+
+test('best-effort sigue con las filas siguientes a un error de base de datos', async () => {
+  const { useCase, products } = build({ failOn: 'Rubor' });
+
+  const { value: report } = await useCase.execute([
+    { name: 'Rubor', price: 8, stock: 1 },
+    { name: 'Labial', price: 10, stock: 2 }
+  ], { mode: 'best-effort' });
+
+  assert.deepEqual(statuses(report), ['failed', 'created']);
+  assert.equal(report.rows[0].code, 'INTERNAL_ERROR');
+  assert.deepEqual(products.map(product => product.name), ['Labial']);
+});
+
+test('rechaza un modo desconocido o una importación vacía', async () => {
+  const { useCase } = build();
+
+  assert.equal((await useCase.execute([{ name: 'Labial', price: 1, stock: 1 }], { mode: 'partial' })).error.code, 'VALIDATION_ERROR');
+  assert.equal((await useCase.execute([])).error.code, 'VALIDATION_ERROR');
+});
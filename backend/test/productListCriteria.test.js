@@ -0,0 +1,95 @@
+/**
+ * Tests de los Criterios del Listado de Productos
+ *
+ * Construye ProductListCriteria desde una query ya validada, como lo hace
+ * el router: normalización de búsqueda y orden, rango de precios y cursores
+ * (válidos, de otro ordenamiento o manipulados).
+ *
+ * @author Backend Team
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PAGE_LIMITS, ProductListCriteria } from '../Application/Products/Queries/ProductListCriteria.js';
+import { encodeCursor } from '../Shared/pagination.js';
+
+const ID = '550e8400-e29b-41d4-a716-446655440000';
+
+/**
+ * Ejecuta fromQuery y devuelve el AppError lanzado
+ */
+const rejection = (query) => {
+  try {
+    ProductListCriteria.fromQuery(query);
+  } catch (error) {
+    return error;
+  }
+
+  return assert.fail('fromQuery debía lanzar');
+};
+
+test('sin parámetros usa la primera página ordenada por nombre', () => {
+  const criteria = ProductListCriteria.fromQuery();
+
+  assert.equal(criteria.page, 1);
+  assert.equal(criteria.limit, PAGE_LIMITS.DEFAULT);
+  assert.equal(criteria.sort, 'name');
+  assert.equal(criteria.order, 'asc');
+  assert.equal(criteria.usesCursor(), false);
+  assert.ok(Object.isFrozen(criteria));
+});
+
+test('normaliza la búsqueda y la dirección del orden', () => {
+  assert.equal(ProductListCriteria.fromQuery({ q: '  café ' }).q, 'café');
+  assert.equal(ProductListCriteria.fromQuery({ q: '   ' }).q, null);
+  assert.equal(ProductListCriteria.fromQuery({ order: 'DESC' }).order, 'desc');
+});
+
+test('rechaza minPrice mayor que maxPrice', () => {
+  const error = rejection({ minPrice: 50, maxPrice: 10 });
+
+  assert.equal(error.code, 'VALIDATION_ERROR');
+  assert.deepEqual(error.meta.fields, [{ path: 'minPrice', rule: 'maxPrice', message: 'No puede ser mayor que maxPrice' }]);
+});
+
+test('acepta un cursor del mismo ordenamiento', () => {
+  const cursor = encodeCursor({ s: 'price:desc', v: '19.99', id: ID });
+  const criteria = ProductListCriteria.fromQuery({ cursor, sort: 'price', order: 'desc' });
+
+  assert.equal(criteria.usesCursor(), true);
+  assert.deepEqual(criteria.cursor, { s: 'price:desc', v: '19.99', id: ID });
+});
+
+test('rechaza un cursor generado con otro ordenamiento', () => {
+  const cursor = encodeCursor({ s: 'name:asc', v: 'Mate', id: ID });
+  const error = rejection({ cursor, sort: 'price' });
+
+  assert.equal(error.code, 'INVALID_CURSOR');
+  assert.equal(error.httpCode, 400);
+  assert.equal(error.meta.fields[0].message, 'El cursor no corresponde al ordenamiento solicitado');
+});
+
+test('rechaza cursores ilegibles o con valores manipulados', () => {
+  const cases = [
+    { sort: 'name', cursor: 'no-es-base64-json' },
+    { sort: 'name', cursor: encodeCursor(['name:asc', 'Mate', ID]) },
+    { sort: 'name', cursor: encodeCursor({ s: 'name:asc', v: 'Mate', id: 'no-es-uuid' }) },
+    { sort: 'price', cursor: encodeCursor({ s: 'price:asc', v: 'gratis', id: ID }) },
+    { sort: 'createdAt', cursor: encodeCursor({ s: 'createdAt:asc', v: 'ayer', id: ID }) }
+  ];
+
+  for (const { sort, cursor } of cases) {
+    const error = rejection({ cursor, sort });
+
+    assert.equal(error.code, 'INVALID_CURSOR', `Cursor aceptado: ${cursor}`);
+    assert.equal(error.meta.fields[0].message, 'El cursor no es válido');
+  }
+});
+
+test('with conserva los criterios y reemplaza los indicados', () => {
+  const criteria = ProductListCriteria.fromQuery({ q: 'mate', limit: 50 }).with({ includeDeleted: true });
+
+  assert.equal(criteria.q, 'mate');
+  assert.equal(criteria.limit, 50);
+  assert.equal(criteria.includeDeleted, true);
+});
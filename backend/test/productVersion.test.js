@@ -0,0 +1,192 @@
+/**
+ * Tests de la Concurrencia Optimista de Productos
+ *
+ * Ejercita UpdateProductUseCase con repositorios en memoria y la ruta
+ * PATCH /products/:id sobre un servidor efímero: el header If-Match es
+ * obligatorio, una versión vencida responde 412 sin tocar el producto y
+ * cada escritura devuelve el ETag de la nueva versión.
+ *
+ * @author Backend Team
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import express from 'express';
+import { Product } from '../Domain/Products/Entities/Product.js';
+import { UpdateProductUseCase } from '../Application/Products/UseCases/UpdateProductUseCase.js';
+import { buildProductRouter } from '../Routes/Product.routes.js';
+import { buildErrorHandler } from '../Shared/errorHandler.js';
+import { AppError } from '../Shared/AppError.js';
+
+const ID = '550e8400-e29b-41d4-a716-446655440000';
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * Repositorio de productos en memoria
+ * Como el de Sequelize, compara la versión al guardar e incrementa la columna
+ */
+class MemoryProductRepository {
+  constructor() {
+    this.rows = new Map();
+    this.beforeUpdate = null;
+  }
+
+  seed(data) {
+    this.rows.set(data.id, new Product({ version: 0, ...data }));
+  }
+
+  async findById(id) {
+    return this.rows.get(id) ?? null;
+  }
+
+  async findByName(name) {
+    return [...this.rows.values()].find(product => product.name === name) ?? null;
+  }
+
+  async update(entity, expectedVersion) {
+    // Simula otra escritura entre la lectura del caso de uso y el guardado
+    this.beforeUpdate?.();
+
+    const row = this.rows.get(entity.id);
+
+    if (!row) return null;
+
+    if (expectedVersion !== null && row.version !== expectedVersion) {
+      throw AppError.preconditionFailed(undefined, { id: entity.id, expectedVersion, currentVersion: row.version });
+    }
+
+    const { id, name, price, stock, categoryId, brandId } = entity;
+    const updated = new Product({ id, name, price, stock, categoryId, brandId, version: row.version + 1 });
+
+    this.rows.set(id, updated);
+    return updated;
+  }
+}
+
+/**
+ * Construye el caso de uso con repositorios nuevos
+ */
+const build = () => {
+  const productRepository = new MemoryProductRepository();
+  const movements = [];
+
+  productRepository.seed({ id: ID, name: 'Labial mate', price: 10, stock: 5 });
+
+  const useCase = new UpdateProductUseCase({
+    productRepository,
+    categoryRepository: { findById: async () => null },
+    brandRepository: { findById: async () => null },
+    stockMovementRepository: { create: async (movement) => movements.push(movement) },
+    unitOfWork: { run: (work) => work(null) }
+  });
+
+  return { useCase, productRepository, movements };
+};
+
+test('con la versión vigente actualiza e incrementa la versión', async () => {
+  const { useCase, movements } = build();
+
+  const result = await useCase.execute(ID, { stock: 8 }, { expectedVersion: 0, partial: true, actor: 'user:1' });
+
+  assert.equal(result.isSuccess, true);
+  assert.equal(result.value.version, 1);
+  assert.equal(result.value.stock, 8);
+  assert.equal(result.value.name, 'Labial mate', 'PATCH conserva los campos no enviados');
+  assert.equal(movements.length, 1);
+});
+
+test('una versión vencida falla con 412 y no modifica el producto', async () => {
+  const { useCase, productRepository, movements } = build();
+  await useCase.execute(ID, { price: 12 }, { expectedVersion: 0, partial: true });
+
+  const result = await useCase.execute(ID, { stock: 1 }, { expectedVersion: 0, partial: true });
+
+  assert.equal(result.isFailure, true);
+  assert.equal(result.error.code, 'PRECONDITION_FAILED');
+  assert.equal(result.error.httpCode, 412);
+  assert.deepEqual(result.error.meta, { id: ID, expectedVersion: 0, currentVersion: 1 });
+
+  const stored = await productRepository.findById(ID);
+  assert.equal(stored.stock, 5);
+  assert.equal(stored.price, 12);
+  assert.equal(movements.length, 0);
+});
+
+test('sin versión esperada (If-Match: *) no se verifica', async () => {
+  const { useCase } = build();
+  await useCase.execute(ID, { price: 12 }, { expectedVersion: 0, partial: true });
+
+  const result = await useCase.execute(ID, { price: 15 }, { expectedVersion: null, partial: true });
+
+  assert.equal(result.isSuccess, true);
+  assert.equal(result.value.version, 2);
+});
+
+test('una escritura concurrente entre la lectura y el guardado también es 412', async () => {
+  const { useCase, productRepository } = build();
+
+  productRepository.beforeUpdate = () => {
+    productRepository.beforeUpdate = null;
+    productRepository.seed({ id: ID, name: 'Labial mate', price: 11, stock: 5, version: 1 });
+  };
+
+  await assert.rejects(
+    useCase.execute(ID, { stock: 2 }, { expectedVersion: 0, partial: true }),
+    { code: 'PRECONDITION_FAILED', httpCode: 412 }
+  );
+});
+
+// === RUTA PATCH /products/:id ===
+
+const { useCase } = build();
+
+const app = express();
+app.use(express.json());
+app.use((req, _res, next) => {
+  req.user = { id: 'u1', role: 'catalog-editor' };
+  next();
+});
+app.use('/products', buildProductRouter({
+  productService: {
+    update: (id, changes, expectedVersion, actor) => useCase.execute(id, changes, { expectedVersion, partial: true, actor })
+  },
+  env: { SECURITY: {} },
+  logger: silentLogger
+}));
+app.use(buildErrorHandler({ logger: silentLogger }));
+
+const server = app.listen(0, '127.0.0.1');
+await once(server, 'listening');
+after(() => server.close());
+
+/**
+ * Envía un PATCH con el If-Match indicado (undefined lo omite)
+ */
+const patch = (ifMatch, body) => fetch(`http://127.0.0.1:${server.address().port}/products/${ID}`, {
+  method: 'PATCH',
+  headers: { 'Content-Type': 'application/json', ...(ifMatch !== undefined && { 'If-Match': ifMatch }) },
+  body: JSON.stringify(body)
+});
+
+test('la ruta exige If-Match, acepta ETags débiles y devuelve el nuevo ETag', async () => {
+  const missing = await patch(undefined, { stock: 6 });
+  assert.equal(missing.status, 428);
+  assert.equal((await missing.json()).code, 'PRECONDITION_REQUIRED');
+
+  const weak = await patch('W/"0"', { stock: 6 });
+  assert.equal(weak.status, 200);
+  assert.equal(weak.headers.get('ETag'), '"1"');
+
+  const stale = await patch('"0"', { stock: 7 });
+  assert.equal(stale.status, 412);
+  assert.equal((await stale.json()).code, 'PRECONDITION_FAILED');
+
+  const invalid = await patch('"uno"', { stock: 7 });
+  assert.equal(invalid.status, 412);
+
+  const wildcard = await patch('*', { stock: 7 });
+  assert.equal(wildcard.status, 200);
+  assert.equal(wildcard.headers.get('ETag'), '"2"');
+});
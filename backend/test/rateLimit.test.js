@@ -0,0 +1,164 @@
+/**
+ * Tests del Límite de Peticiones
+ *
+ * Ejercita MemoryRateLimitStore y los middlewares de Shared/rateLimit.js
+ * con peticiones y respuestas mínimas de Express: el límite por IP (antes
+ * de authenticate) y el límite por identidad (después).
+ *
+ * @author Backend Team
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryRateLimitStore } from '../Infraestructure/RateLimits/MemoryRateLimitStore.js';
+import { buildIpRateLimit, buildRateLimit } from '../Shared/rateLimit.js';
+
+const RATE_LIMIT = {
+  ENABLED: true,
+  WINDOW_SECONDS: 60,
+  AUTH_MAX: 2,
+  IP_MAX: 3,
+  READ_MAX: 2,
+  WRITE_MAX: 1,
+  USER_READ_MAX: 4,
+  USER_WRITE_MAX: 2,
+  API_KEY_READ_MAX: 6,
+  API_KEY_WRITE_MAX: 3
+};
+
+const silentLogger = { error: () => {} };
+
+/**
+ * Construye un middleware con un almacén nuevo
+ */
+const build = (factory, overrides = {}, rateLimitStore = new MemoryRateLimitStore()) => factory({
+  rateLimitStore,
+  env: { RATE_LIMIT: { ...RATE_LIMIT, ...overrides } },
+  logger: silentLogger
+});
+
+/**
+ * Ejecuta el middleware con una petición mínima y devuelve el error pasado
+ * a next (undefined si la dejó pasar) y los headers de la respuesta
+ */
+const run = async (middleware, { method = 'GET', path = '/products', ip = '10.0.0.1', user, apiKey } = {}) => {
+  const headers = {};
+  const res = {
+    set(name, value) {
+      Object.assign(headers, typeof name === 'object' ? name : { [name]: value });
+      return this;
+    }
+  };
+
+  let error;
+  await middleware({ method, path, ip, user, apiKey }, res, (err) => { error = err; });
+
+  return { error, headers };
+};
+
+const statuses = async (middleware, times, request) => {
+  const codes = [];
+
+  for (let i = 0; i < times; i++) {
+    const { error } = await run(middleware, request);
+    codes.push(error ? error.httpCode : 200);
+  }
+
+  return codes;
+};
+
+test('MemoryRateLimitStore cuenta por clave y reinicia al vencer la ventana', async () => {
+  mock.timers.enable({ apis: ['Date'], now: 0 });
+
+  try {
+    const store = new MemoryRateLimitStore({ sweepIntervalMs: 1000 });
+
+    assert.equal((await store.hit('a', 1000)).count, 1);
+    assert.equal((await store.hit('a', 1000)).count, 2);
+    assert.equal((await store.hit('b', 1000)).count, 1);
+
+    const { resetAt } = await store.hit('a', 1000);
+    assert.equal(resetAt.getTime(), 1000);
+
+    mock.timers.tick(1000);
+
+    assert.equal((await store.hit('a', 1000)).count, 1);
+    assert.equal(store.windows.has('b'), false, 'El barrido elimina las ventanas vencidas');
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('el límite por IP cuenta las peticiones con credenciales inválidas', async () => {
+  const ipRateLimit = build(buildIpRateLimit);
+
+  // Antes de authenticate no hay req.user ni req.apiKey: todas cuentan por IP
+  assert.deepEqual(await statuses(ipRateLimit, 4, {}), [200, 200, 200, 429]);
+  assert.deepEqual(await statuses(ipRateLimit, 1, { ip: '10.0.0.2' }), [200]);
+});
+
+test('el límite por IP usa el presupuesto auth en /auth', async () => {
+  const ipRateLimit = build(buildIpRateLimit);
+
+  assert.deepEqual(await statuses(ipRateLimit, 3, { method: 'POST', path: '/auth/login' }), [200, 200, 429]);
+  assert.deepEqual(await statuses(ipRateLimit, 1, {}), [200], 'El presupuesto ip es independiente');
+});
+
+test('el 429 informa el presupuesto y Retry-After', async () => {
+  const ipRateLimit = build(buildIpRateLimit, { IP_MAX: 1 });
+
+  const first = await run(ipRateLimit);
+  assert.equal(first.headers['RateLimit-Limit'], '1');
+  assert.equal(first.headers['RateLimit-Remaining'], '0');
+  assert.equal(first.headers['RateLimit-Policy'], '1;w=60');
+
+  const { error, headers } = await run(ipRateLimit);
+  assert.equal(error.code, 'RATE_LIMITED');
+  assert.equal(error.httpCode, 429);
+  assert.equal(error.meta.budget, 'ip');
+  assert.equal(headers['Retry-After'], headers['RateLimit-Reset']);
+});
+
+test('el límite por identidad separa lecturas y escrituras', async () => {
+  const rateLimit = build(buildRateLimit);
+
+  assert.deepEqual(await statuses(rateLimit, 3, {}), [200, 200, 429]);
+  assert.deepEqual(await statuses(rateLimit, 2, { method: 'POST' }), [200, 429]);
+});
+
+test('usuarios y API keys tienen presupuestos propios, sin importar la IP', async () => {
+  const rateLimit = build(buildRateLimit);
+  const user = { id: 'u1' };
+  const apiKey = { id: 'k1' };
+
+  assert.deepEqual(await statuses(rateLimit, 2, { user, ip: '10.0.0.1' }), [200, 200]);
+  assert.deepEqual(await statuses(rateLimit, 3, { user, ip: '10.0.0.2' }), [200, 200, 429]);
+  assert.deepEqual(await statuses(rateLimit, 7, { apiKey }), [200, 200, 200, 200, 200, 200, 429]);
+
+  // El usuario no consumió el presupuesto anónimo de su IP
+  assert.deepEqual(await statuses(rateLimit, 2, { ip: '10.0.0.1' }), [200, 200]);
+});
+
+test('el límite por identidad no cuenta /auth', async () => {
+  const rateLimit = build(buildRateLimit, { WRITE_MAX: 0 });
+
+  const { error, headers } = await run(rateLimit, { method: 'POST', path: '/auth/login' });
+  assert.equal(error, undefined);
+  assert.deepEqual(headers, {});
+});
+
+test('si el almacén falla la petición pasa', async () => {
+  const failingStore = { hit: async () => { throw new Error('sin conexión'); } };
+  const rateLimit = build(buildRateLimit, {}, failingStore);
+
+  assert.deepEqual(await statuses(rateLimit, 3, {}), [200, 200, 200]);
+});
+
+test('deshabilitado no cuenta ninguna petición', async () => {
+  const store = { hit: () => assert.fail('No debe contar') };
+
+  for (const factory of [buildIpRateLimit, buildRateLimit]) {
+    const middleware = build(factory, { ENABLED: false }, store);
+    assert.equal((await run(middleware)).error, undefined);
+  }
+});
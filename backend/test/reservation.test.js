@@ -0,0 +1,194 @@
+/**
+ * Tests de las Reservas de Stock
+ *
+ * Ejercita los casos de uso de reservas con repositorios en memoria: la
+ * disponibilidad descuenta las reservas activas (no las vencidas ni las
+ * liberadas), los topes de un carrito sin orders:write y quién puede
+ * liberar una reserva.
+ *
+ * @author Backend Team
+ */
+
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Product } from '../Domain/Products/Entities/Product.js';
+import { ProductVariant } from '../Domain/Products/Entities/ProductVariant.js';
+import { Cart } from '../Domain/Carts/Entities/Cart.js';
+import { Reservation } from '../Domain/Reservations/Entities/Reservation.js';
+import { hashCartToken } from '../Application/Carts/Access/cartAccess.js';
+import { CreateReservationUseCase } from '../Application/Reservations/UseCases/CreateReservationUseCase.js';
+import { ReleaseReservationUseCase } from '../Application/Reservations/UseCases/ReleaseReservationUseCase.js';
+import { ExpireReservationsUseCase } from '../Application/Reservations/UseCases/ExpireReservationsUseCase.js';
+
+const PRODUCT = '550e8400-e29b-41d4-a716-446655440000';
+const WITH_VARIANTS = '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+const VARIANT = '6ba7b811-9dad-11d1-80b4-00c04fd430c8';
+const CART = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+const TOKEN = 'token-del-carrito';
+
+const RESERVATIONS = {
+  DEFAULT_TTL_SECONDS: 900,
+  MAX_TTL_SECONDS: 86400,
+  CART_MAX_UNITS: 4,
+  CART_MAX_TTL_SECONDS: 900
+};
+
+/**
+ * Repositorio de reservas en memoria
+ * Como el de Sequelize, ignora las reservas vencidas al sumar
+ */
+class MemoryReservationRepository {
+  constructor() {
+    this.rows = new Map();
+  }
+
+  async create(entity) {
+    const reservation = new Reservation({ ...entity, id: `r${this.rows.size + 1}`, createdAt: new Date() });
+    this.rows.set(reservation.id, reservation);
+    return reservation;
+  }
+
+  async findById(id) {
+    return this.rows.get(id) ?? null;
+  }
+
+  async findActiveByReference(reference) {
+    return [...this.rows.values()].filter(row => row.reference === reference && row.isActive());
+  }
+
+  async sumActive({ productId, variantId }) {
+    return [...this.rows.values()]
+      .filter(row => row.productId === productId && row.variantId === variantId && row.isActive())
+      .reduce((total, row) => total + row.quantity, 0);
+  }
+
+  async updateStatus(id, status) {
+    const reservation = new Reservation({ ...this.rows.get(id), status });
+    this.rows.set(id, reservation);
+    return reservation;
+  }
+
+  async expireOverdue(now) {
+    const overdue = [...this.rows.values()].filter(row => row.status === 'active' && !row.isActive(now));
+    overdue.forEach(row => this.rows.set(row.id, new Reservation({ ...row, status: 'expired' })));
+    return overdue.length;
+  }
+}
+
+let repositories;
+let create;
+let release;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-01T12:00:00Z') });
+
+  const products = [
+    new Product({ id: PRODUCT, name: 'Labial mate', price: 10, stock: 5 }),
+    new Product({ id: WITH_VARIANTS, name: 'Base líquida', price: 20, stock: 0 })
+  ];
+  const variants = [new ProductVariant({ id: VARIANT, productId: WITH_VARIANTS, sku: 'BASE-M', size: 'M', stock: 2 })];
+  const cart = new Cart({ id: CART, tokenHash: hashCartToken(TOKEN) });
+
+  repositories = {
+    productRepository: { findById: async (id) => products.find(product => product.id === id) ?? null },
+    productVariantRepository: {
+      findById: async (productId, id) => variants.find(v => v.productId === productId && v.id === id) ?? null,
+      findByProduct: async (productId) => variants.filter(v => v.productId === productId)
+    },
+    cartRepository: { findById: async (id) => (id === CART ? cart : null) },
+    reservationRepository: new MemoryReservationRepository(),
+    unitOfWork: { run: (work) => work(null) }
+  };
+
+  create = new CreateReservationUseCase({ ...repositories, env: { RESERVATIONS } });
+  release = new ReleaseReservationUseCase(repositories);
+});
+
+afterEach(() => mock.timers.reset());
+
+const forCart = { cartId: CART, cartToken: TOKEN };
+const staff = { principal: 'user:1', privileged: true };
+
+test('reserva unidades disponibles y las descuenta de las siguientes reservas', async () => {
+  const first = await create.execute({ productId: PRODUCT, quantity: 3 }, staff);
+
+  assert.equal(first.isSuccess, true);
+  assert.equal(first.value.reference, 'user:1');
+  assert.equal(first.value.expiresAt.toISOString(), '2026-03-01T12:15:00.000Z');
+
+  const second = await create.execute({ productId: PRODUCT, quantity: 3 }, staff);
+
+  assert.equal(second.error.code, 'INSUFFICIENT_STOCK');
+  assert.equal(second.error.httpCode, 409);
+  assert.deepEqual(second.error.meta, { productId: PRODUCT, variantId: null, available: 2, quantity: 3 });
+});
+
+test('una reserva vencida o liberada deja de descontar stock', async () => {
+  const { value: short } = await create.execute({ productId: PRODUCT, quantity: 5, ttlSeconds: 60 }, staff);
+
+  mock.timers.tick(60_000);
+  assert.equal(short.isActive(), false);
+  assert.equal((await create.execute({ productId: PRODUCT, quantity: 5 }, staff)).isSuccess, true);
+
+  const [held] = await repositories.reservationRepository.findActiveByReference('user:1');
+  await release.execute(held.id, { privileged: true });
+
+  assert.equal((await create.execute({ productId: PRODUCT, quantity: 5 }, staff)).isSuccess, true);
+});
+
+test('un producto con variantes se reserva por variante', async () => {
+  const withoutVariant = await create.execute({ productId: WITH_VARIANTS, quantity: 1 }, staff);
+  assert.equal(withoutVariant.error.code, 'VALIDATION_ERROR');
+
+  const variant = await create.execute({ productId: WITH_VARIANTS, variantId: VARIANT, quantity: 2 }, staff);
+  assert.equal(variant.isSuccess, true);
+
+  const exhausted = await create.execute({ productId: WITH_VARIANTS, variantId: VARIANT, quantity: 1 }, staff);
+  assert.equal(exhausted.error.meta.available, 0);
+});
+
+test('sin orders:write solo se reserva para un carrito, con su token y sus topes', async () => {
+  assert.equal((await create.execute({ productId: PRODUCT, quantity: 1 })).error.httpCode, 403);
+  assert.equal((await create.execute({ productId: PRODUCT, quantity: 1 }, { cartId: CART, cartToken: 'otro' })).error.httpCode, 403);
+
+  const reservation = await create.execute({ productId: PRODUCT, quantity: 3 }, forCart);
+  assert.equal(reservation.value.reference, CART, 'La referencia es el carrito');
+
+  const overUnits = await create.execute({ productId: PRODUCT, quantity: 2 }, forCart);
+  assert.equal(overUnits.error.code, 'VALIDATION_ERROR');
+  assert.equal(overUnits.error.meta.held, 3);
+
+  const overTtl = await create.execute({ productId: PRODUCT, quantity: 1, ttlSeconds: 901 }, forCart);
+  assert.equal(overTtl.error.meta.field, 'ttlSeconds');
+});
+
+test('una reserva de carrito se libera con el token del carrito, una sola vez', async () => {
+  const { value: reservation } = await create.execute({ productId: PRODUCT, quantity: 1 }, forCart);
+
+  assert.equal((await release.execute(reservation.id, { cartToken: 'otro' })).error.httpCode, 403);
+
+  const released = await release.execute(reservation.id, { cartToken: TOKEN });
+  assert.equal(released.value.status, 'released');
+
+  const again = await release.execute(reservation.id, { cartToken: TOKEN });
+  assert.equal(again.error.code, 'CONFLICT_ERROR');
+  assert.equal(again.error.meta.status, 'released');
+});
+
+test('una reserva sin carrito solo la libera quien tiene orders:write', async () => {
+  const { value: reservation } = await create.execute({ productId: PRODUCT, quantity: 1 }, staff);
+
+  assert.equal((await release.execute(reservation.id, { cartToken: TOKEN })).error.httpCode, 403);
+  assert.equal((await release.execute(reservation.id, { privileged: true })).isSuccess, true);
+});
+
+test('el barrido marca como vencidas solo las reservas cuya vigencia terminó', async () => {
+  await create.execute({ productId: PRODUCT, quantity: 1, ttlSeconds: 60 }, staff);
+  await create.execute({ productId: PRODUCT, quantity: 1, ttlSeconds: 600 }, staff);
+
+  mock.timers.tick(60_000);
+
+  const { value } = await new ExpireReservationsUseCase(repositories).execute();
+  assert.deepEqual(value, { expired: 1 });
+  assert.deepEqual([...repositories.reservationRepository.rows.values()].map(row => row.status), ['expired', 'active']);
+});
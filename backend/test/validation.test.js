@@ -0,0 +1,115 @@
+/**
+ * Tests de la Validación Declarativa
+ *
+ * Valida peticiones mínimas con el middleware de Shared/validation.js y
+ * comprueba cómo los errores de Ajv llegan a meta.fields: ruta con puntos,
+ * regla incumplida y mensaje para el campo.
+ *
+ * @author Backend Team
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate, validationError } from '../Shared/validation.js';
+
+/**
+ * Ejecuta el middleware y devuelve el error pasado a next (o undefined)
+ * Las partes validadas quedan en la misma petición
+ */
+const run = (schemas, req) => {
+  let error;
+  validate(schemas)(Object.assign(req, { params: req.params ?? {}, query: req.query ?? {} }), {}, (err) => { error = err; });
+  return error;
+};
+
+const itemsBody = {
+  type: 'object',
+  required: ['name', 'items'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    email: { type: 'string', format: 'email' },
+    status: { enum: ['active', 'inactive'] },
+    items: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['quantity'],
+        properties: { quantity: { type: 'integer', minimum: 1 } }
+      }
+    }
+  }
+};
+
+test('reporta todas las violaciones con ruta, regla y mensaje', () => {
+  const error = run({ body: itemsBody }, {
+    body: { email: 'no-es-email', status: 'other', extra: 1, items: [{ quantity: 0 }, {}] }
+  });
+
+  assert.equal(error.code, 'VALIDATION_ERROR');
+  assert.equal(error.httpCode, 400);
+  assert.deepEqual(
+    [...error.meta.fields].sort((a, b) => a.path.localeCompare(b.path)),
+    [
+      { path: 'email', rule: 'format', message: 'Debe ser un email válido' },
+      { path: 'extra', rule: 'additionalProperties', message: 'El campo no está permitido' },
+      { path: 'items.0.quantity', rule: 'minimum', message: 'Debe ser mayor o igual a 1' },
+      { path: 'items.1.quantity', rule: 'required', message: 'El campo es requerido' },
+      { path: 'name', rule: 'required', message: 'El campo es requerido' },
+      { path: 'status', rule: 'enum', message: 'Debe ser uno de: active, inactive' }
+    ]
+  );
+});
+
+test('el mensaje general repite la primera violación y cuenta las demás', () => {
+  const error = validationError([
+    { path: 'limit', rule: 'maximum', message: 'Debe ser menor o igual a 100' },
+    { path: 'page', rule: 'minimum', message: 'Debe ser mayor o igual a 1' }
+  ]);
+
+  assert.equal(error.message, 'Datos de entrada inválidos: limit: Debe ser menor o igual a 100 (y 1 error(es) más)');
+});
+
+test('los cuerpos JSON no se convierten de tipo', () => {
+  const error = run({ body: itemsBody }, { body: { name: 'a', items: [{ quantity: '5' }] } });
+
+  assert.deepEqual(error.meta.fields, [{ path: 'items.0.quantity', rule: 'type', message: 'Debe ser de tipo entero' }]);
+});
+
+test('query y params se convierten, y un parámetro vacío cuenta como no enviado', () => {
+  const req = {
+    params: { id: '550e8400-e29b-41d4-a716-446655440000' },
+    query: { page: '2', inStock: 'true', q: '' }
+  };
+
+  const error = run({
+    params: { type: 'object', properties: { id: { type: 'string', format: 'uuid' } } },
+    query: {
+      type: 'object',
+      properties: {
+        page: { type: 'integer', minimum: 1 },
+        limit: { type: 'integer', default: 20 },
+        inStock: { type: 'boolean' },
+        q: { type: 'string', minLength: 1 }
+      }
+    }
+  }, req);
+
+  assert.equal(error, undefined);
+  assert.deepEqual(req.query, { page: 2, limit: 20, inStock: true });
+});
+
+test('un anyOf de campos requeridos se describe como una sola violación', () => {
+  const error = run({
+    body: {
+      type: 'object',
+      properties: { name: { type: 'string' }, price: { type: 'number' } },
+      anyOf: [{ required: ['name'] }, { required: ['price'] }]
+    }
+  }, { body: {} });
+
+  assert.deepEqual(error.meta.fields, [
+    { path: '', rule: 'anyOf', message: 'Debe enviar al menos uno de los campos: name, price' }
+  ]);
+});